@@ -7,8 +7,14 @@ const express = require('express');
 const cors = require('cors');
 const config = require('../src/config/app');
 const { errorHandler, notFound } = require('../src/middleware/errorHandler');
+const { secure } = require('../src/middleware/authorization');
+const IntegrationsService = require('../src/services/IntegrationsService');
+
+// Stored integration credentials cannot be read or written without master keys
+IntegrationsService.getCredentialKeyring();
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
 app.use(cors(config.cors));
@@ -39,26 +45,21 @@ const messagingRouter = require('../src/routes/messaging');
 const announcementsRouter = require('../src/routes/announcements');
 
 app.use(`${config.apiPrefix}/auth`, authRouter);
-app.use(`${config.apiPrefix}/tasks`, tasksRouter);
-app.use(`${config.apiPrefix}/tasks`, taskDependenciesRouter);
-app.use(`${config.apiPrefix}/tasks`, taskEnhancementsRouter);
-app.use(`${config.apiPrefix}/task-templates`, taskTemplatesRouter);
-app.use(`${config.apiPrefix}/temperatures`, temperaturesRouter);
-app.use(`${config.apiPrefix}/temperatures`, enhancedTemperaturesRouter);
-app.use(`${config.apiPrefix}/inventory`, inventoryRouter);
-app.use(`${config.apiPrefix}/inventory`, enhancedInventoryRouter);
-app.use(`${config.apiPrefix}/invoices`, invoicesRouter);
-app.use(`${config.apiPrefix}/schedules`, schedulesRouter);
-app.use(`${config.apiPrefix}/scheduling`, schedulingRouter);
-app.use(`${config.apiPrefix}/analytics`, analyticsRouter);
-app.use(`${config.apiPrefix}/analytics`, enhancedAnalyticsRouter);
-app.use(`${config.apiPrefix}/integrations`, integrationsRouter);
-app.use(`${config.apiPrefix}/exports`, exportsRouter);
-app.use(`${config.apiPrefix}/user-management`, userManagementRouter);
-app.use(`${config.apiPrefix}/locations`, locationsRouter);
-app.use(`${config.apiPrefix}/notifications`, notificationsRouter);
-app.use(`${config.apiPrefix}/messaging`, messagingRouter);
-app.use(`${config.apiPrefix}/announcements`, announcementsRouter);
+app.use(`${config.apiPrefix}/tasks`, secure('tasks'), tasksRouter, taskDependenciesRouter, taskEnhancementsRouter);
+app.use(`${config.apiPrefix}/task-templates`, secure('taskTemplates'), taskTemplatesRouter);
+app.use(`${config.apiPrefix}/temperatures`, secure('temperatures'), temperaturesRouter, enhancedTemperaturesRouter);
+app.use(`${config.apiPrefix}/inventory`, secure('inventory'), inventoryRouter, enhancedInventoryRouter);
+app.use(`${config.apiPrefix}/invoices`, secure('invoices'), invoicesRouter);
+app.use(`${config.apiPrefix}/schedules`, secure('schedules'), schedulesRouter);
+app.use(`${config.apiPrefix}/scheduling`, secure('scheduling'), schedulingRouter);
+app.use(`${config.apiPrefix}/analytics`, secure('analytics'), analyticsRouter, enhancedAnalyticsRouter);
+app.use(`${config.apiPrefix}/integrations`, secure('integrations'), integrationsRouter);
+app.use(`${config.apiPrefix}/exports`, secure('exports'), exportsRouter);
+app.use(`${config.apiPrefix}/user-management`, secure('userManagement'), userManagementRouter);
+app.use(`${config.apiPrefix}/locations`, secure('locations'), locationsRouter);
+app.use(`${config.apiPrefix}/notifications`, secure('notifications'), notificationsRouter);
+app.use(`${config.apiPrefix}/messaging`, secure('messaging'), messagingRouter);
+app.use(`${config.apiPrefix}/announcements`, secure('announcements'), announcementsRouter);
 
 // Health endpoint (root and API namespace)
 const healthHandler = (req, res) => {
@@ -2,10 +2,26 @@
  * Application Configuration
  */
 
+/**
+ * Express "trust proxy" setting from TRUST_PROXY: true/false, a hop count, or
+ * proxy addresses/subnets ("loopback", "10.0.0.0/8,172.16.0.1")
+ */
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+};
+
 module.exports = {
   port: process.env.PORT || 3000,
   env: process.env.NODE_ENV || 'development',
   apiPrefix: '/api/v1',
+
+  // Which reverse proxies may set X-Forwarded-For. req.ip (used by API key IP
+  // allowlists and request logs) is only the real client address when this
+  // matches the proxies in front of the app
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   
   // JWT Configuration
   jwt: {
@@ -24,7 +40,36 @@ module.exports = {
     maxFileSize: 10 * 1024 * 1024, // 10MB
     allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf']
   },
-  
+
+  // Object Storage (uploaded photos, documents and scans)
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'local',
+    local: {
+      directory: process.env.UPLOAD_PATH || './uploads',
+      publicUrl: process.env.PUBLIC_URL || '',
+      signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'pattyshack-secret-change-in-production'
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || null,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || 'pattyshack-uploads',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      requestTimeoutMs: 30000
+    },
+    signedUrlTtlSeconds: 15 * 60,
+    thumbnail: { width: 320, height: 320, quality: 80 },
+    // Accepted content types and size limits per kind of upload
+    kinds: {
+      task_photo: { types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'], maxSize: 10 * 1024 * 1024 },
+      photo_annotation: { types: ['image/jpeg', 'image/png', 'image/webp'], maxSize: 10 * 1024 * 1024 },
+      compliance_document: { types: ['application/pdf', 'image/jpeg', 'image/png'], maxSize: 25 * 1024 * 1024 },
+      invoice_scan: { types: ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'], maxSize: 20 * 1024 * 1024 }
+    },
+    inlineMigrationBatchSize: 50
+  },
+
   // IoT Sensor Configuration
   iot: {
     temperatureThresholds: {
@@ -38,6 +83,86 @@ module.exports = {
   // Notification Configuration
   notifications: {
     enabled: true,
-    providers: ['email', 'sms', 'push']
+    providers: ['email', 'sms', 'push'],
+    outboxDir: process.env.NOTIFICATION_OUTBOX_DIR || './outbox',
+    defaultFromEmail: process.env.EMAIL_FROM || 'noreply@pattyshack.com',
+    defaultFromPhone: process.env.TWILIO_PHONE_NUMBER || '+1234567890',
+    requestTimeoutMs: 15000,
+    batchSize: 50,
+    // Retry n waits retryBaseDelaySeconds * 2^(n-1), capped at retryMaxDelaySeconds
+    retryBaseDelaySeconds: 60,
+    retryMaxDelaySeconds: 3600
+  },
+
+  // Marketing campaign delivery
+  marketing: {
+    // Public base URL used in tracking and unsubscribe links
+    publicUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+    trackingSecret: process.env.MARKETING_TRACKING_SECRET || process.env.JWT_SECRET || 'pattyshack-secret-change-in-production',
+    batchSize: 200,
+    batchIntervalMinutes: 1,
+    // Orders placed within this many days of an open/click count as conversions
+    attributionWindowDays: 7,
+    // Loyalty point thresholds for the loyalty_tier workflow trigger
+    loyaltyTiers: { silver: 500, gold: 1500, platinum: 5000 },
+    workflowBatchSize: 100,
+    // How long a worker holds an execution before another may resume it
+    workflowLeaseMinutes: 5,
+    workflowMaxAttempts: 3,
+    // Customers returned with a dynamic segment preview
+    segmentPreviewSampleSize: 10
+  },
+
+  // Bulk Data Imports
+  imports: {
+    directory: process.env.IMPORT_DIR || null,
+    maxFileSize: 10 * 1024 * 1024, // 10MB
+    maxRows: 10000,
+    batchSize: 100,
+    // Validation errors kept on the import job (the rest are counted only)
+    maxStoredErrors: 500
+  },
+
+  // POS / Accounting Connectors
+  integrations: {
+    fixtureDir: process.env.POS_FIXTURE_DIR || null,
+    requestTimeoutMs: 30000,
+    pageSize: 100,
+    maxPagesPerSync: 500,
+    // Master keys for stored credentials as "version:key" pairs, e.g. "2:<base64>,1:<base64>".
+    // New values use the current version (the highest unless set); keep old
+    // versions configured until the re-encryption job has moved every value off them.
+    // Required in production; elsewhere a fixed development key is used
+    credentialMasterKeys: process.env.CREDENTIALS_MASTER_KEYS ||
+      (process.env.NODE_ENV === 'production' ? null : '1:pattyshack-development-credentials-key'),
+    credentialKeyVersion: process.env.CREDENTIALS_KEY_VERSION || null,
+    reencryptBatchSize: 100,
+    // Per-request API key logs kept for usage analytics
+    apiKeyUsageRetentionDays: 90,
+    oauth: {
+      // Must match the redirect URI registered with each provider
+      redirectUri: process.env.OAUTH_REDIRECT_URI ||
+        `${process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`}/api/v1/integrations/oauth/callback`,
+      // The browser lands back here (or on a returnUrl under it) after consent
+      appUrl: process.env.APP_URL || process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+      stateTtlMinutes: 10,
+      // Access tokens expiring within this window are refreshed
+      refreshLeadMinutes: 15,
+      requestTimeoutMs: 15000
+    }
+  },
+
+  // Background job worker and recurring schedule processor, started with the
+  // server (the serverless entry point in api/ does not run them)
+  jobs: {
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000
+  },
+
+  // Realtime (Socket.IO) Server
+  realtime: {
+    enabled: process.env.REALTIME_ENABLED !== 'false',
+    path: process.env.REALTIME_PATH || '/socket.io',
+    cleanupIntervalMinutes: 5
   }
 };
@@ -0,0 +1,414 @@
+/**
+ * Route Permission Policies
+ * Which permission each router family needs, keyed by the name passed to secure()
+ *
+ * Paths are relative to the mount point. For each request the first matching
+ * rule decides the permission; otherwise GET/HEAD need `read` and every other
+ * method needs `write`. A null permission means any authenticated caller.
+ *
+ *   public        - [method, path] pairs served without authentication
+ *   rules         - { methods, path, permission, self } overrides; with `self`, a
+ *                   caller addressing their own user id (last capture) needs no permission
+ *   records       - { methods, path, field, table, columns } where the capture (or body
+ *                   `field`) is a record id whose location(s) the caller must be able to
+ *                   access; `location: true` means the id is itself a location id, and
+ *                   `through` ({ table, column } or a list of hops) that it is the id of a
+ *                   row referencing the record; `shared` means a record (or body) without
+ *                   a location is brand-wide and only callers reaching every location may
+ *                   write it
+ *   global        - { methods, path } endpoints over company-wide data, only for callers
+ *                   that reach every location
+ *   scopeToHome   - reads by restricted callers that name no location are limited to their
+ *                   home location; 'all' applies the same to write bodies
+ *   locationField - query/body field scopeToHome sets (default locationId)
+ */
+
+const WRITE = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+module.exports = {
+  tasks: {
+    read: 'task:read',
+    write: 'task:update',
+    rules: [
+      { methods: ['POST'], path: /^\/(bulk)?$/, permission: 'task:create' },
+      { methods: ['DELETE'], path: /^\/[^/]+$/, permission: 'task:delete' },
+      { methods: ['PUT'], path: /^\/bulk\/assign$/, permission: 'task:assign' },
+      { methods: ['POST'], path: /^\/escalations\/process$/, permission: 'task:assign' },
+      { methods: ['GET'], path: /^\/analytics\//, permission: 'analytics:view' }
+    ],
+    records: [{ path: /^\/([^/]+)/, table: 'tasks' }],
+    scopeToHome: true
+  },
+
+  taskTemplates: {
+    read: 'task:read',
+    write: 'task:create',
+    rules: [
+      { methods: ['DELETE'], path: /^\/[^/]+$/, permission: 'task:delete' }
+    ],
+    // Templates are shared across locations; usage stats are per location
+    scopeToHome: true
+  },
+
+  temperatures: {
+    read: 'temperature:read',
+    write: 'temperature:log',
+    rules: [
+      { methods: ['POST'], path: /^\/equipment$/, permission: 'temperature:manage' },
+      { methods: WRITE, path: /^\/equipment\/[^/]+\/(threshold|battery)$/, permission: 'temperature:manage' },
+      { methods: ['POST'], path: /^\/maintenance$/, permission: 'temperature:manage' }
+    ],
+    records: [
+      { path: /^\/equipment\/([^/]+)/, table: 'equipment' },
+      { path: /^\/alerts\/([^/]+)\//, table: 'temperature_alerts' }
+    ],
+    scopeToHome: true
+  },
+
+  inventory: {
+    read: 'inventory:read',
+    write: 'inventory:update',
+    rules: [
+      { methods: ['POST'], path: /^\/(count|waste)$/, permission: 'inventory:count' },
+      { methods: ['POST'], path: /^\/(vendors|vendor-pricing|recipes|purchase-orders|forecast)$/, permission: 'inventory:manage' },
+      { methods: ['POST'], path: /^\/transfers(\/|$)/, permission: 'inventory:manage' }
+    ],
+    records: [
+      { path: /^\/transfers\/([^/]+)/, table: 'inventory_transfers', columns: ['from_location_id', 'to_location_id'] }
+    ],
+    scopeToHome: true
+  },
+
+  invoices: {
+    read: 'invoice:read',
+    write: 'invoice:manage',
+    rules: [
+      { methods: ['POST'], path: /^\/[^/]+\/approve$/, permission: 'invoice:approve' }
+    ],
+    records: [{ path: /^\/([^/]+)/, table: 'invoices' }],
+    scopeToHome: true
+  },
+
+  schedules: {
+    read: 'schedule:view',
+    write: 'schedule:update',
+    rules: [
+      { methods: ['POST'], path: /^\/$/, permission: 'schedule:create' },
+      // Crew clock themselves in and out
+      { methods: ['POST'], path: /^\/[^/]+\/clock-(in|out)$/, permission: 'schedule:view' }
+    ],
+    records: [{ path: /^\/([^/]+)\/clock-/, table: 'schedules' }],
+    scopeToHome: true
+  },
+
+  scheduling: {
+    read: 'schedule:view',
+    write: 'schedule:update',
+    rules: [
+      // Employee self-service: availability, time-off requests and shift trades
+      { methods: ['POST'], path: /^\/(availability|time-off|shift-trades)$/, permission: 'schedule:view' },
+      { methods: ['POST'], path: /^\/shift-trades\/[^/]+\/respond$/, permission: 'schedule:view' },
+      { methods: ['POST'], path: /^\/(schedules|templates)$/, permission: 'schedule:create' },
+      { methods: ['POST'], path: /^\/schedules\/[^/]+\/publish$/, permission: 'schedule:publish' },
+      { methods: ['GET'], path: /^\/(?:availability|shifts\/employee)\/([^/]+)$/, permission: 'schedule:update', self: true }
+    ],
+    records: [
+      { methods: ['GET'], path: /^\/availability\/([^/]+)$/, table: 'users' },
+      { methods: ['DELETE'], path: /^\/availability\/([^/]+)$/, table: 'employee_availability' },
+      { path: /^\/time-off\/([^/]+)\//, table: 'time_off_requests' },
+      { path: /^\/templates\/([^/]+)/, table: 'schedule_templates' },
+      { path: /^\/schedules\/([^/]+)/, table: 'schedules' },
+      { methods: ['POST'], path: /^\/shifts$/, field: 'scheduleId', table: 'schedules' },
+      { path: /^\/shifts\/employee\/([^/]+)$/, table: 'users' },
+      { path: /^\/shifts\/(?!employee\/)([^/]+)/, table: 'schedules', through: { table: 'shifts', column: 'schedule_id' } },
+      { methods: ['POST'], path: /^\/shifts\/[^/]+\/assign$/, field: 'userId', table: 'users' },
+      {
+        methods: ['POST'],
+        path: /^\/shift-trades$/,
+        field: 'shiftId',
+        table: 'schedules',
+        through: { table: 'shifts', column: 'schedule_id' }
+      },
+      {
+        path: /^\/shift-trades\/([^/]+)\//,
+        table: 'schedules',
+        through: [{ table: 'shift_trades', column: 'shift_id' }, { table: 'shifts', column: 'schedule_id' }]
+      }
+    ],
+    scopeToHome: true
+  },
+
+  analytics: {
+    read: 'analytics:view',
+    write: 'analytics:manage',
+    rules: [
+      { methods: ['POST'], path: /^\/labor\/entries\/[^/]+\/approve$/, permission: 'schedule:update' }
+    ],
+    scopeToHome: true
+  },
+
+  locations: {
+    read: 'location:read',
+    write: 'location:manage',
+    records: [{ path: /^\/(?!hierarchy\/)([^/]+)/, location: true }]
+  },
+
+  integrations: {
+    read: 'integration:read',
+    write: 'integration:manage',
+    // OAuth providers redirect the user's browser here; the state parameter identifies the connect
+    public: [['GET', /^\/oauth\/callback$/]],
+    records: [
+      { path: /^\/location\/([^/]+)/, location: true },
+      // Webhooks without a location receive every location's events
+      { path: /^\/webhooks\/(?!trigger$|deliveries\/)([^/]+)/, table: 'webhooks', shared: true },
+      {
+        path: /^\/webhooks\/deliveries\/([^/]+)/,
+        table: 'webhooks',
+        through: { table: 'webhook_deliveries', column: 'webhook_id' },
+        shared: true
+      },
+      { path: /^\/api-keys\/([^/]+)/, table: 'api_keys' },
+      { path: /^\/(?!providers|webhooks|api-keys|location|events|oauth)([^/]+)/, table: 'location_integrations' }
+    ]
+  },
+
+  exports: {
+    read: 'analytics:export',
+    write: 'analytics:export',
+    records: [{ path: /^\/(?!my-exports)([^/]+)/, table: 'data_export_jobs' }],
+    scopeToHome: 'all'
+  },
+
+  imports: {
+    read: 'data:import',
+    write: 'data:import',
+    records: [{ path: /^\/(?!types)([^/]+)/, table: 'data_import_jobs' }],
+    scopeToHome: true
+  },
+
+  files: {
+    // Signed download links carry their own authorization; /:id checks the file's location
+    public: [['GET', /^\/download$/]],
+    read: null,
+    write: null
+  },
+
+  userManagement: {
+    read: 'user:read',
+    write: 'user:manage',
+    public: [['POST', /^\/password\/(request-reset|reset)$/]],
+    rules: [
+      { methods: ['GET'], path: /^\/profile\/([^/]+)$/, permission: 'user:read', self: true },
+      { methods: ['PUT'], path: /^\/(?:profile|preferences)\/([^/]+)$/, permission: 'user:manage', self: true },
+      { methods: ['GET'], path: /^\/users\/([^/]+)\/(?:roles|permissions)$/, permission: 'user:read', self: true },
+      { methods: ['POST'], path: /^\/users\/[^/]+\/check-permission$/, permission: 'user:read' },
+      { methods: ['POST'], path: /^\/(password\/change|activity)$/, permission: null },
+      // Roles apply everywhere, so only super admins define them
+      { methods: ['POST'], path: /^\/roles$/, permission: 'role:manage' },
+      { methods: ['PUT'], path: /^\/roles\/[^/]+\/permissions$/, permission: 'role:manage' }
+    ],
+    records: [
+      { path: /^\/(?:profile|preferences)\/([^/]+)$/, table: 'users' },
+      { path: /^\/users\/([^/]+)\//, table: 'users' },
+      { path: /^\/activity\/user\/([^/]+)$/, table: 'users' },
+      { path: /^\/teams\/([^/]+)/, table: 'teams' },
+      { methods: ['POST'], path: /^\/teams\/[^/]+\/members$/, field: 'userId', table: 'users' },
+      { path: /^\/teams\/[^/]+\/members\/([^/]+)$/, table: 'users' }
+    ],
+    scopeToHome: true
+  },
+
+  compliance: {
+    read: 'compliance:read',
+    write: 'compliance:manage',
+    records: [
+      { path: /^\/inspections\/([^/]+)/, table: 'compliance_inspections' },
+      { path: /^\/documents\/([^/]+)/, table: 'documents' },
+      { path: /^\/locations\/([^/]+)\/requirement-coverage$/, location: true },
+      { path: /^\/locations\/([^/]+)\/document-packet$/, location: true }
+    ],
+    // The regulatory requirement library is shared by every location
+    global: [{ methods: WRITE, path: /^\/requirements(\/|$)/ }],
+    scopeToHome: true
+  },
+
+  businessIntelligence: {
+    read: 'analytics:view',
+    write: 'analytics:manage',
+    rules: [
+      { methods: ['PUT'], path: /^\/dashboards\/[^/]+\/set-default$/, permission: 'analytics:view' },
+      { methods: ['POST'], path: /^\/reports\/[^/]+\/execute$/, permission: 'analytics:view' }
+    ]
+  },
+
+  predictiveAnalytics: {
+    read: 'analytics:view',
+    write: 'analytics:manage'
+  },
+
+  reports: {
+    read: 'analytics:view',
+    write: 'analytics:manage',
+    rules: [
+      { methods: ['POST'], path: /^\/(templates|charts)\/[^/]+\/render$/, permission: 'analytics:view' }
+    ],
+    // Rendering checks the location in the report parameters
+    records: [{ path: /^\/templates\/([^/]+)/, table: 'report_templates' }],
+    global: [{ methods: ['DELETE'], path: /^\/cache$/ }]
+  },
+
+  realtime: {
+    read: null,
+    write: 'realtime:manage',
+    rules: [
+      { methods: ['PUT'], path: /^\/presence$/, permission: null }
+    ]
+  },
+
+  jobs: {
+    read: 'job:read',
+    write: 'job:manage',
+    rules: [
+      { methods: ['POST'], path: /^\/schedules\/preview$/, permission: 'job:read' }
+    ],
+    records: [
+      { path: /^\/definitions\/([^/]+)/, table: 'job_definitions' },
+      {
+        path: /^\/(?!definitions|schedules|stats)([^/]+)/,
+        table: 'job_definitions',
+        through: { table: 'jobs', column: 'job_definition_id' }
+      }
+    ],
+    // Ad hoc jobs run any handler and queue stats cover every location
+    global: [
+      { methods: ['POST'], path: /^\/$/ },
+      { methods: ['GET'], path: /^\/stats\// }
+    ],
+    scopeToHome: 'all'
+  },
+
+  menu: {
+    read: 'menu:read',
+    write: 'menu:manage',
+    // Rows without a location are the brand-wide menu; a location can add its own
+    // items, categories, dayparts and modifier groups and override brand-wide items
+    records: [
+      { path: /^\/(?:items|seasonal-menus)\/[^/]+\/locations\/([^/]+)$/, location: true },
+      { path: /^\/items\/([^/]+)(?:$|\/(?!locations\/))/, table: 'menu_items', shared: true },
+      { path: /^\/seasonal-menus\/([^/]+)(?:$|\/(?!locations\/))/, table: 'seasonal_menus', shared: true },
+      { path: /^\/modifier-groups\/([^/]+)/, table: 'menu_modifier_groups', shared: true },
+      {
+        path: /^\/modifiers\/([^/]+)/,
+        table: 'menu_modifier_groups',
+        through: { table: 'menu_modifiers', column: 'group_id' },
+        shared: true
+      },
+      {
+        methods: ['POST'],
+        path: /^\/(?:categories|items|dayparts|seasonal-menus|modifier-groups)$/,
+        field: 'location_id',
+        location: true,
+        shared: true
+      }
+    ],
+    global: [{ methods: WRITE, path: /^\/recipes(\/|$)/ }],
+    scopeToHome: true,
+    locationField: 'location_id'
+  },
+
+  financial: {
+    read: 'financial:read',
+    write: 'financial:manage',
+    rules: [
+      { methods: ['POST'], path: /^\/fiscal-periods\/[^/]+\/reopen$/, permission: 'financial:reopen' }
+    ],
+    records: [
+      { path: /^\/journal-entries\/([^/]+)/, table: 'journal_entries' },
+      { path: /^\/budgets\/([^/]+)/, table: 'budgets' },
+      { methods: ['POST'], path: /^\/payments$/, field: 'ap_id', table: 'accounts_payable' },
+      { methods: ['POST'], path: /^\/payments$/, field: 'ar_id', table: 'accounts_receivable' }
+    ],
+    // The chart of accounts, fiscal calendar and consolidated reports span every location
+    global: [
+      { methods: WRITE, path: /^\/(accounts|fiscal-periods|fiscal-years)(\/|$)/ },
+      { methods: ['GET'], path: /^\/(payables|receivables)\/aging$/ },
+      { methods: ['GET'], path: /^\/reports\/(trial-balance|balance-sheet)$/ }
+    ],
+    scopeToHome: true,
+    locationField: 'location_id'
+  },
+
+  marketing: {
+    read: 'marketing:read',
+    write: 'marketing:manage',
+    // Links in customer emails and customer-facing checkout endpoints
+    public: [
+      ['GET', /^\/track\/(open|click)\/[^/]+$/],
+      ['GET', /^\/unsubscribe\/[^/]+$/],
+      ['POST', /^\/promotions\/validate$/],
+      ['POST', /^\/promotions\/[^/]+\/redeem$/],
+      ['POST', /^\/gift-cards$/],
+      ['GET', /^\/gift-cards\/[^/]+\/balance$/],
+      ['POST', /^\/referrals(\/complete)?$/]
+    ],
+    records: [
+      { path: /^\/segments\/(?!preview$)([^/]+)/, table: 'customer_segments' },
+      { path: /^\/campaigns\/([^/]+)/, table: 'marketing_campaigns' },
+      { path: /^\/workflows\/([^/]+)/, table: 'marketing_workflows' },
+      {
+        path: /^\/workflow-executions\/([^/]+)/,
+        table: 'marketing_workflows',
+        through: { table: 'workflow_executions', column: 'workflow_id' }
+      }
+    ],
+    global: [{ methods: ['GET'], path: /^\/engagement\/scores$/ }],
+    scopeToHome: true,
+    locationField: 'location_id'
+  },
+
+  franchise: {
+    read: 'franchise:read',
+    write: 'franchise:manage',
+    rules: [
+      // Employees take their own training modules and see their own progress
+      { methods: ['POST'], path: /^\/training\/users\/([^/]+)\/module-completions$/, permission: 'franchise:manage', self: true },
+      { methods: ['GET'], path: /^\/training\/users\/([^/]+)\/status$/, permission: 'franchise:read', self: true }
+    ],
+    records: [
+      { path: /^\/royalties\/(?!calculate$|payment-status$)([^/]+)/, table: 'royalty_calculations' },
+      { path: /^\/territory-conflicts\/([^/]+)/, table: 'territory_conflicts' },
+      { path: /^\/training\/assignments\/([^/]+)$/, table: 'training_assignments' },
+      { path: /^\/training\/users\/([^/]+)\//, table: 'users' },
+      { path: /^\/support-tickets\/([^/]+)/, table: 'franchise_support_tickets' }
+    ],
+    // Brands, agreements and territories belong to the franchisor, not a location
+    global: [
+      { methods: WRITE, path: /^\/(brands|agreements|territories|standards)(\/|$)/ },
+      { methods: ['POST'], path: /^\/royalties\/calculate$/ },
+      { methods: ['GET'], path: /^\/(agreements|territories\/reports|performance)(\/|$)/ }
+    ],
+    scopeToHome: true,
+    locationField: 'location_id'
+  },
+
+  // Staff routes inside the customer-facing portal, secured route by route
+  customerOrders: {
+    read: 'order:manage',
+    write: 'order:manage',
+    records: [{ path: /^\/orders\/([^/]+)/, table: 'online_orders' }]
+  },
+
+  // Per-user data; the services scope by req.user
+  search: { read: null, write: null },
+  notifications: { read: null, write: null },
+  messaging: { read: null, write: null },
+
+  announcements: {
+    read: null,
+    write: 'announcement:manage',
+    rules: [
+      { methods: ['POST'], path: /^\/[^/]+\/acknowledge$/, permission: null }
+    ]
+  }
+};
@@ -0,0 +1,36 @@
+-- Migration: Cron Scheduling for Job Definitions
+-- Per-definition timezones and missed-run policies for cron schedules
+
+BEGIN;
+
+-- Location whose timezone the schedule follows (used when timezone is NULL)
+ALTER TABLE job_definitions ADD COLUMN IF NOT EXISTS location_id VARCHAR(255) REFERENCES locations(id) ON DELETE SET NULL;
+
+-- Explicit IANA timezone for the cron expression, e.g. 'America/Chicago'
+ALTER TABLE job_definitions ADD COLUMN IF NOT EXISTS timezone VARCHAR(100);
+
+-- What to do with runs missed while the scheduler was down:
+--   run_once - run a single job for all missed runs (default)
+--   catch_up - run one job per missed run, up to max_catch_up_runs
+--   skip     - drop missed runs and wait for the next scheduled time
+ALTER TABLE job_definitions ADD COLUMN IF NOT EXISTS missed_run_policy VARCHAR(20) DEFAULT 'run_once';
+ALTER TABLE job_definitions ADD COLUMN IF NOT EXISTS max_catch_up_runs INTEGER DEFAULT 10;
+
+-- Seconds a run may be late before it counts as missed
+ALTER TABLE job_definitions ADD COLUMN IF NOT EXISTS misfire_grace_seconds INTEGER DEFAULT 300;
+
+ALTER TABLE job_definitions DROP CONSTRAINT IF EXISTS job_definitions_missed_run_policy_check;
+ALTER TABLE job_definitions ADD CONSTRAINT job_definitions_missed_run_policy_check
+  CHECK (missed_run_policy IN ('run_once', 'catch_up', 'skip'));
+
+CREATE INDEX IF NOT EXISTS idx_job_def_location ON job_definitions(location_id);
+
+COMMIT;
+
+-- Rollback script (for reference)
+-- ALTER TABLE job_definitions DROP CONSTRAINT IF EXISTS job_definitions_missed_run_policy_check;
+-- ALTER TABLE job_definitions DROP COLUMN IF EXISTS misfire_grace_seconds;
+-- ALTER TABLE job_definitions DROP COLUMN IF EXISTS max_catch_up_runs;
+-- ALTER TABLE job_definitions DROP COLUMN IF EXISTS missed_run_policy;
+-- ALTER TABLE job_definitions DROP COLUMN IF EXISTS timezone;
+-- ALTER TABLE job_definitions DROP COLUMN IF EXISTS location_id;
@@ -0,0 +1,60 @@
+-- Migration: Global Search Configuration
+-- Display and location columns for search_indexes, plus entries for every
+-- entity type searched by SearchService
+
+BEGIN;
+
+-- Columns concatenated into the result title/subtitle, e.g. {"title": ["first_name", "last_name"]}
+ALTER TABLE search_indexes ADD COLUMN IF NOT EXISTS display_columns JSONB DEFAULT '{}';
+
+-- Column holding the row's location, used to filter results to the caller's locations
+ALTER TABLE search_indexes ADD COLUMN IF NOT EXISTS location_column VARCHAR(100);
+
+-- Entity-level multiplier applied to ts_rank when mixing entity types
+ALTER TABLE search_indexes ADD COLUMN IF NOT EXISTS rank_boost NUMERIC(4,2) DEFAULT 1.00;
+
+-- Inventory lives in inventory_items, not the legacy inventory table
+UPDATE search_indexes
+SET table_name = 'inventory_items',
+    searchable_columns = ARRAY['name', 'sku', 'category'],
+    weight_config = '{"name": "A", "sku": "A", "category": "B"}',
+    display_columns = '{"title": ["name"], "subtitle": ["category"]}',
+    location_column = 'location_id'
+WHERE entity_type = 'inventory';
+
+UPDATE search_indexes
+SET searchable_columns = ARRAY['title', 'description', 'category'],
+    weight_config = '{"title": "A", "description": "B", "category": "C"}',
+    display_columns = '{"title": ["title"], "subtitle": ["description"]}',
+    location_column = 'location_id'
+WHERE entity_type = 'task';
+
+UPDATE search_indexes
+SET searchable_columns = ARRAY['first_name', 'last_name', 'username', 'email'],
+    weight_config = '{"first_name": "A", "last_name": "A", "username": "B", "email": "C"}',
+    display_columns = '{"title": ["first_name", "last_name"], "subtitle": ["email"]}',
+    location_column = 'location_id'
+WHERE entity_type = 'user';
+
+UPDATE search_indexes
+SET weight_config = '{"name": "A", "equipment_type": "B"}',
+    display_columns = '{"title": ["name"], "subtitle": ["equipment_type"]}',
+    location_column = 'location_id'
+WHERE entity_type = 'equipment';
+
+INSERT INTO search_indexes (entity_type, table_name, searchable_columns, weight_config, display_columns, location_column) VALUES
+('invoice', 'invoices', ARRAY['invoice_number', 'notes', 'gl_code'],
+ '{"invoice_number": "A", "notes": "B", "gl_code": "C"}',
+ '{"title": ["invoice_number"], "subtitle": ["status"]}', 'location_id'),
+('menu_item', 'menu_items', ARRAY['name', 'description', 'sku'],
+ '{"name": "A", "sku": "A", "description": "B"}',
+ '{"title": ["name"], "subtitle": ["description"]}', 'location_id'),
+('document', 'documents', ARRAY['title', 'document_type', 'category', 'file_name', 'issuing_authority'],
+ '{"title": "A", "document_type": "B", "category": "B", "file_name": "C", "issuing_authority": "C"}',
+ '{"title": ["title"], "subtitle": ["document_type"]}', 'location_id')
+ON CONFLICT (entity_type) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_search_history_user_time ON search_history(user_id, searched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_saved_search_shared ON saved_searches(is_shared);
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Migration: Reporting Engine
+-- Report templates and charts render from named data sources instead of raw SQL
+
+BEGIN;
+
+-- Templates now name a data source; query_template is kept for reference only
+ALTER TABLE report_templates ALTER COLUMN query_template DROP NOT NULL;
+ALTER TABLE report_templates ADD COLUMN IF NOT EXISTS data_source VARCHAR(100);
+ALTER TABLE report_templates ADD COLUMN IF NOT EXISTS columns JSONB; -- [{ "key": "daily_sales", "label": "Sales" }]
+ALTER TABLE report_templates ADD COLUMN IF NOT EXISTS location_id VARCHAR(255) REFERENCES locations(id) ON DELETE CASCADE;
+ALTER TABLE report_templates ADD COLUMN IF NOT EXISTS cache_ttl_seconds INTEGER DEFAULT 900;
+ALTER TABLE report_templates ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE chart_configurations ADD COLUMN IF NOT EXISTS is_shared BOOLEAN DEFAULT true;
+ALTER TABLE chart_configurations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Point the default templates at data sources
+UPDATE report_templates
+SET data_source = 'sales_daily',
+    query_template = NULL,
+    parameters = '{"startDate": {"default": "-7d"}, "endDate": {"default": "today"}}',
+    output_format = 'chart',
+    chart_config = '{"type": "bar", "x": "sale_date", "y": ["daily_sales"]}'
+WHERE name = 'Daily Sales Summary';
+
+UPDATE report_templates
+SET data_source = 'labor_daily',
+    query_template = NULL,
+    parameters = '{"startDate": {"default": "-14d"}, "endDate": {"default": "today"}}',
+    output_format = 'chart',
+    chart_config = '{"type": "line", "x": "shift_date", "y": ["total_labor_cost", "total_overtime_cost"]}'
+WHERE name = 'Labor Cost Report';
+
+UPDATE report_templates
+SET data_source = 'task_status',
+    query_template = NULL,
+    parameters = '{"startDate": {"default": "-30d"}}',
+    output_format = 'chart',
+    chart_config = '{"type": "pie", "x": "status", "y": ["count"]}'
+WHERE name = 'Task Completion Trends';
+
+CREATE INDEX IF NOT EXISTS idx_report_template_source ON report_templates(data_source);
+CREATE INDEX IF NOT EXISTS idx_report_template_location ON report_templates(location_id);
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- Migration: POS Connectors
+-- External IDs for idempotent imports and per-integration sync cursors
+
+BEGIN;
+
+-- Where a sales/labor row came from, so re-imports update instead of duplicating
+ALTER TABLE sales_entries ADD COLUMN IF NOT EXISTS source VARCHAR(100);
+ALTER TABLE sales_entries ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+ALTER TABLE sales_entries ADD COLUMN IF NOT EXISTS line_items JSONB DEFAULT '[]'; -- [{ "sku", "name", "quantity", "revenue" }]
+
+ALTER TABLE labor_entries ADD COLUMN IF NOT EXISTS source VARCHAR(100);
+ALTER TABLE labor_entries ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_source_external
+  ON sales_entries(location_id, source, external_id) WHERE external_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labor_source_external
+  ON labor_entries(location_id, source, external_id) WHERE external_id IS NOT NULL;
+
+-- Per-resource high-water marks, e.g. {"sales": {"since": "2024-01-01T00:00:00Z"}}
+ALTER TABLE location_integrations ADD COLUMN IF NOT EXISTS sync_cursor JSONB DEFAULT '{}';
+
+-- QuickBooks imports sales receipts and time activities
+UPDATE integration_providers
+SET supported_features = supported_features || '["sales_import", "employee_hours"]'::jsonb
+WHERE id = 'provider-quickbooks'
+  AND NOT supported_features @> '["sales_import"]'::jsonb;
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Migration: Notification Transports
+-- Provider transport config, retry scheduling and delivery webhook bookkeeping
+
+BEGIN;
+
+-- Console providers so alerts are delivered (to the log) until a real provider is configured.
+-- config.transport selects the transport: console, file, smtp or http.
+INSERT INTO notification_providers (provider_name, provider_type, config, is_active, is_default)
+SELECT 'console-email', 'email', '{"transport": "console"}', true,
+       NOT EXISTS (SELECT 1 FROM notification_providers WHERE provider_type = 'email' AND is_default = true)
+WHERE NOT EXISTS (SELECT 1 FROM notification_providers WHERE provider_name = 'console-email');
+
+INSERT INTO notification_providers (provider_name, provider_type, config, is_active, is_default)
+SELECT 'console-sms', 'sms', '{"transport": "console"}', true,
+       NOT EXISTS (SELECT 1 FROM notification_providers WHERE provider_type = 'sms' AND is_default = true)
+WHERE NOT EXISTS (SELECT 1 FROM notification_providers WHERE provider_name = 'console-sms');
+
+-- Webhook events are matched back to log rows by provider message ID
+CREATE INDEX IF NOT EXISTS idx_delivery_log_provider_message
+  ON notification_delivery_log(provider_message_id);
+
+-- Providers retry webhooks; the same event must only be applied once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_provider_event
+  ON notification_webhooks(provider_id, provider_event_id) WHERE provider_event_id IS NOT NULL;
+
+-- Retries back off from one minute, so the queue is drained every minute
+UPDATE job_definitions SET schedule_interval_minutes = 1 WHERE name = 'process_notifications';
+
+COMMIT;
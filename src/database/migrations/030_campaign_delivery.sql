@@ -0,0 +1,72 @@
+-- Migration: Campaign Delivery
+-- Batched campaign sending, delivery linkage and open/click/conversion tracking
+
+BEGIN;
+
+-- email_templates was first created by 017 (notification templates), so 023's
+-- marketing definition never applied. Add the marketing columns alongside.
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS template_name VARCHAR(255);
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS template_category VARCHAR(100);
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS subject_line VARCHAR(255);
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS preview_text VARCHAR(255);
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS html_content TEXT;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS text_content TEXT;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS design_json JSONB;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+
+-- Marketing templates are keyed by template_name and carry their own content
+ALTER TABLE email_templates ALTER COLUMN name DROP NOT NULL;
+ALTER TABLE email_templates ALTER COLUMN subject DROP NOT NULL;
+ALTER TABLE email_templates ALTER COLUMN body_html DROP NOT NULL;
+
+-- Send throttling: batch_size messages every batch_interval_minutes
+ALTER TABLE marketing_campaigns ADD COLUMN IF NOT EXISTS send_batch_size INTEGER;
+ALTER TABLE marketing_campaigns ADD COLUMN IF NOT EXISTS send_batch_interval_minutes INTEGER;
+ALTER TABLE marketing_campaigns ADD COLUMN IF NOT EXISTS next_batch_at TIMESTAMPTZ;
+ALTER TABLE marketing_campaigns ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+-- Link each message to its delivery queue row; status adds queued and suppressed
+ALTER TABLE campaign_messages ADD COLUMN IF NOT EXISTS email_queue_id VARCHAR(255) REFERENCES email_queue(id) ON DELETE SET NULL;
+ALTER TABLE campaign_messages ADD COLUMN IF NOT EXISTS sms_queue_id VARCHAR(255) REFERENCES sms_queue(id) ON DELETE SET NULL;
+ALTER TABLE campaign_messages ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMPTZ;
+ALTER TABLE campaign_messages ADD COLUMN IF NOT EXISTS converted_at TIMESTAMPTZ;
+ALTER TABLE campaign_messages ADD COLUMN IF NOT EXISTS conversion_order_id VARCHAR(255);
+ALTER TABLE campaign_messages ADD COLUMN IF NOT EXISTS conversion_revenue NUMERIC(10,2);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_messages_email_queue ON campaign_messages(email_queue_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_messages_sms_queue ON campaign_messages(sms_queue_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_messages_engagement ON campaign_messages(customer_id, clicked_at, opened_at);
+
+-- Sends due batches and starts scheduled campaigns
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('process_campaign_batches', 'Send due marketing campaign batches', 'email_send',
+        (SELECT id FROM job_queues WHERE name = 'notifications'),
+        'processCampaignBatches', 1, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+CREATE OR REPLACE VIEW campaign_performance AS
+SELECT
+  mc.id,
+  mc.campaign_name,
+  mc.campaign_type,
+  mc.status,
+  mc.total_recipients,
+  mc.total_sent,
+  mc.total_delivered,
+  mc.total_opened,
+  mc.total_clicked,
+  mc.total_converted,
+  ROUND((mc.total_opened::NUMERIC / NULLIF(mc.total_delivered, 0)) * 100, 2) as open_rate,
+  ROUND((mc.total_clicked::NUMERIC / NULLIF(mc.total_delivered, 0)) * 100, 2) as click_rate,
+  ROUND((mc.total_converted::NUMERIC / NULLIF(mc.total_delivered, 0)) * 100, 2) as conversion_rate,
+  mc.conversion_revenue,
+  mc.created_at,
+  mc.total_bounced,
+  mc.total_unsubscribed,
+  ROUND((mc.total_bounced::NUMERIC / NULLIF(mc.total_sent, 0)) * 100, 2) as bounce_rate,
+  (SELECT COUNT(*) FROM campaign_messages cm WHERE cm.campaign_id = mc.id AND cm.status = 'pending') as pending_messages
+FROM marketing_campaigns mc
+ORDER BY mc.created_at DESC;
+
+COMMIT;
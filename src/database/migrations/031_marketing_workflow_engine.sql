@@ -0,0 +1,35 @@
+-- Migration: Marketing Workflow Engine
+-- Persisted, resumable per-customer workflow executions
+
+BEGIN;
+
+-- When the execution should next run, and a lease so a crashed worker's run is picked up again
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+-- Identifies the triggering occurrence (e.g. 'birthday:2024') so it enrolls a customer once
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS trigger_key VARCHAR(255);
+
+-- Values produced by steps (e.g. a granted promotion code) for later steps' merge fields
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS context JSONB DEFAULT '{}';
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- status: running (ready), waiting (delayed until next_run_at), completed, cancelled, failed
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_due
+  ON workflow_executions(status, next_run_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_executions_trigger
+  ON workflow_executions(workflow_id, customer_id, trigger_key) WHERE trigger_key IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_steps_order
+  ON workflow_steps(workflow_id, step_order);
+
+-- Evaluates scheduled triggers (no visit, birthday, loyalty tier) and runs due executions
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('process_marketing_workflows', 'Enroll customers in marketing workflows and run due steps', 'email_send',
+        (SELECT id FROM job_queues WHERE name = 'notifications'),
+        'processMarketingWorkflows', 5, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
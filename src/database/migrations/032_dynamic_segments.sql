@@ -0,0 +1,26 @@
+-- Migration: Dynamic Customer Segments
+-- Rule-based segments whose membership is recomputed on a schedule
+
+BEGIN;
+
+ALTER TABLE customer_segments ADD COLUMN IF NOT EXISTS refresh_interval_minutes INTEGER DEFAULT 60;
+ALTER TABLE customer_segments ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMPTZ;
+ALTER TABLE customer_segments ADD COLUMN IF NOT EXISTS last_refresh_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_customer_segments_refresh
+  ON customer_segments(segment_type, is_active, last_refreshed_at);
+
+-- Helps the per-customer activity subqueries used by segment rules
+CREATE INDEX IF NOT EXISTS idx_online_orders_customer_placed
+  ON online_orders(customer_id, placed_at);
+CREATE INDEX IF NOT EXISTS idx_customer_reviews_customer
+  ON customer_reviews(customer_id, created_at);
+
+-- Recomputes dynamic segments whose refresh interval has elapsed
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('refresh_dynamic_segments', 'Recompute membership of dynamic customer segments', 'segment_refresh',
+        (SELECT id FROM job_queues WHERE name = 'low_priority'),
+        'refreshDynamicSegments', 15, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- Migration: Data Import Pipeline
+-- Bulk CSV/JSON imports with column mapping, change tracking and rollback
+
+BEGIN;
+
+ALTER TABLE data_import_jobs DROP CONSTRAINT IF EXISTS data_import_jobs_status_check;
+ALTER TABLE data_import_jobs ADD CONSTRAINT data_import_jobs_status_check
+  CHECK (status IN ('pending', 'validating', 'processing', 'completed', 'failed', 'cancelled', 'rolled_back'));
+
+ALTER TABLE data_import_jobs ADD COLUMN IF NOT EXISTS original_filename VARCHAR(500);
+ALTER TABLE data_import_jobs ADD COLUMN IF NOT EXISTS column_mapping JSONB DEFAULT '{}';
+ALTER TABLE data_import_jobs ADD COLUMN IF NOT EXISTS dry_run BOOLEAN DEFAULT false;
+ALTER TABLE data_import_jobs ADD COLUMN IF NOT EXISTS skip_invalid_rows BOOLEAN DEFAULT false;
+ALTER TABLE data_import_jobs ADD COLUMN IF NOT EXISTS job_id VARCHAR(255);
+ALTER TABLE data_import_jobs ADD COLUMN IF NOT EXISTS rolled_back_at TIMESTAMP;
+ALTER TABLE data_import_jobs ADD COLUMN IF NOT EXISTS rolled_back_by VARCHAR(255);
+
+-- One row per record an import created or updated; previous_data restores updates on rollback
+CREATE TABLE IF NOT EXISTS data_import_changes (
+  id SERIAL PRIMARY KEY,
+  import_id VARCHAR(255) NOT NULL REFERENCES data_import_jobs(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  target_table VARCHAR(100) NOT NULL,
+  record_id VARCHAR(255) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated')),
+  previous_data JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_changes_import ON data_import_changes(import_id);
+
+COMMIT;
@@ -0,0 +1,44 @@
+-- Migration: Object Storage
+-- Uploaded files live in a storage backend (local disk or S3); rows here hold their metadata
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS stored_files (
+  id VARCHAR(255) PRIMARY KEY,
+  storage_backend VARCHAR(50) NOT NULL,
+  storage_key VARCHAR(500) NOT NULL,
+  thumbnail_key VARCHAR(500),
+  original_filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  checksum_sha256 VARCHAR(64) NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  -- What the file is attached to: task_photo, photo_annotation, compliance_document, invoice_scan
+  owner_type VARCHAR(50) NOT NULL,
+  owner_id VARCHAR(255),
+  location_id VARCHAR(255) REFERENCES locations(id) ON DELETE SET NULL,
+  uploaded_by VARCHAR(255),
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP,
+  UNIQUE (storage_backend, storage_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stored_files_owner ON stored_files(owner_type, owner_id);
+CREATE INDEX IF NOT EXISTS idx_stored_files_location ON stored_files(location_id);
+
+-- Annotations point at the stored photo; the annotated rendering is optional
+ALTER TABLE task_photo_annotations ADD COLUMN IF NOT EXISTS file_id VARCHAR(255) REFERENCES stored_files(id) ON DELETE SET NULL;
+ALTER TABLE task_photo_annotations ADD COLUMN IF NOT EXISTS annotated_file_id VARCHAR(255) REFERENCES stored_files(id) ON DELETE SET NULL;
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS file_id VARCHAR(255) REFERENCES stored_files(id) ON DELETE SET NULL;
+
+-- Moves inline base64 photos (data: URLs) out of task rows into storage
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('migrate_inline_files', 'Move base64 task photos and annotation images into object storage', 'storage_migration',
+        (SELECT id FROM job_queues WHERE name = 'low_priority'),
+        'migrateInlineFiles', 60, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,149 @@
+-- Migration: Central Authorization
+-- Permissions for every router, base roles for users.role and a working user_permissions_view
+
+BEGIN;
+
+-- Every user holds the role mapped from users.role everywhere in their location subtree;
+-- user_roles adds further roles at specific locations
+CREATE TABLE IF NOT EXISTS default_role_mappings (
+  user_role VARCHAR(50) PRIMARY KEY,
+  role_id VARCHAR(255) NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO default_role_mappings (user_role, role_id) VALUES
+  ('crew', 'role-employee'),
+  ('manager', 'role-manager'),
+  ('district', 'role-admin'),
+  ('regional', 'role-admin'),
+  ('corporate', 'role-super-admin')
+ON CONFLICT (user_role) DO NOTHING;
+
+INSERT INTO permissions (id, name, resource, action, description) VALUES
+  -- Invoice permissions
+  ('perm-invoice-read', 'invoice:read', 'invoices', 'read', 'View invoices'),
+  ('perm-invoice-manage', 'invoice:manage', 'invoices', 'manage', 'Create and update invoices'),
+  ('perm-invoice-approve', 'invoice:approve', 'invoices', 'approve', 'Approve invoices'),
+
+  -- Location permissions
+  ('perm-location-read', 'location:read', 'locations', 'read', 'View locations'),
+  ('perm-location-manage', 'location:manage', 'locations', 'manage', 'Create and update locations'),
+
+  -- Compliance permissions
+  ('perm-compliance-read', 'compliance:read', 'compliance', 'read', 'View checklists, inspections and documents'),
+  ('perm-compliance-manage', 'compliance:manage', 'compliance', 'manage', 'Run inspections and manage compliance records'),
+
+  -- Menu permissions
+  ('perm-menu-read', 'menu:read', 'menu', 'read', 'View menus and recipes'),
+  ('perm-menu-manage', 'menu:manage', 'menu', 'manage', 'Manage menu items, recipes and pricing'),
+
+  -- Financial permissions
+  ('perm-financial-read', 'financial:read', 'financial', 'read', 'View ledgers and financial reports'),
+  ('perm-financial-manage', 'financial:manage', 'financial', 'manage', 'Post entries, payables and budgets'),
+
+  -- Marketing permissions
+  ('perm-marketing-read', 'marketing:read', 'marketing', 'read', 'View campaigns, segments and workflows'),
+  ('perm-marketing-manage', 'marketing:manage', 'marketing', 'manage', 'Manage campaigns, segments and promotions'),
+
+  -- Franchise permissions
+  ('perm-franchise-read', 'franchise:read', 'franchise', 'read', 'View franchise agreements and performance'),
+  ('perm-franchise-manage', 'franchise:manage', 'franchise', 'manage', 'Manage brands, agreements and royalties'),
+
+  -- Analytics, reporting and announcements
+  ('perm-analytics-manage', 'analytics:manage', 'analytics', 'manage', 'Record metrics and manage dashboards, KPIs and models'),
+  ('perm-announcement-manage', 'announcement:manage', 'announcements', 'manage', 'Publish announcements'),
+
+  -- Platform permissions
+  ('perm-job-read', 'job:read', 'jobs', 'read', 'View background jobs'),
+  ('perm-job-manage', 'job:manage', 'jobs', 'manage', 'Run, cancel and retry background jobs'),
+  ('perm-data-import', 'data:import', 'data', 'import', 'Run bulk data imports'),
+  ('perm-realtime-manage', 'realtime:manage', 'realtime', 'manage', 'Broadcast realtime messages'),
+  ('perm-integration-read', 'integration:read', 'integrations', 'read', 'View integrations and sync logs')
+ON CONFLICT (name) DO NOTHING;
+
+-- Super Admin gets all permissions
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-super-admin', id FROM permissions
+ON CONFLICT DO NOTHING;
+
+-- Admin gets most permissions
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-admin', id FROM permissions
+WHERE name NOT LIKE 'integration:%'
+ON CONFLICT DO NOTHING;
+
+-- Manager runs their location
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-manager', id FROM permissions
+WHERE name IN (
+  'task:delete',
+  'invoice:read', 'invoice:manage', 'invoice:approve',
+  'location:read', 'compliance:read', 'compliance:manage',
+  'menu:read', 'menu:manage', 'financial:read',
+  'marketing:read', 'marketing:manage', 'franchise:read',
+  'analytics:manage', 'announcement:manage',
+  'job:read', 'data:import', 'integration:read'
+)
+ON CONFLICT DO NOTHING;
+
+-- Shift Lead
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-shift-lead', id FROM permissions
+WHERE name IN (
+  'invoice:read', 'location:read', 'compliance:read', 'compliance:manage', 'menu:read'
+)
+ON CONFLICT DO NOTHING;
+
+-- Employee
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-employee', id FROM permissions
+WHERE name IN ('location:read', 'compliance:read', 'menu:read')
+ON CONFLICT DO NOTHING;
+
+-- Read Only
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-readonly', id FROM permissions
+WHERE action = 'read' OR action = 'view'
+ON CONFLICT DO NOTHING;
+
+-- The original view referenced a users.name column that does not exist. Base roles
+-- (via default_role_mappings) apply at every location, so their location_id is NULL.
+DROP VIEW IF EXISTS user_permissions_view;
+
+CREATE VIEW user_permissions_view AS
+SELECT DISTINCT
+  u.id as user_id,
+  TRIM(COALESCE(u.first_name, '') || ' ' || COALESCE(u.last_name, '')) as user_name,
+  u.email,
+  r.id as role_id,
+  r.name as role_name,
+  p.id as permission_id,
+  p.name as permission_name,
+  p.resource,
+  p.action,
+  ur.location_id
+FROM users u
+JOIN user_roles ur ON u.id = ur.user_id
+JOIN roles r ON ur.role_id = r.id
+JOIN role_permissions rp ON r.id = rp.role_id
+JOIN permissions p ON rp.permission_id = p.id
+UNION
+SELECT
+  u.id as user_id,
+  TRIM(COALESCE(u.first_name, '') || ' ' || COALESCE(u.last_name, '')) as user_name,
+  u.email,
+  r.id as role_id,
+  r.name as role_name,
+  p.id as permission_id,
+  p.name as permission_name,
+  p.resource,
+  p.action,
+  NULL::VARCHAR(255) as location_id
+FROM users u
+JOIN default_role_mappings drm ON drm.user_role = u.role
+JOIN roles r ON drm.role_id = r.id
+JOIN role_permissions rp ON r.id = rp.role_id
+JOIN permissions p ON rp.permission_id = p.id
+WHERE u.active IS NOT FALSE;
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- Migration: Franchise Territories
+-- Postal-code and polygon territories attached to agreements, with encroachment tracking
+
+BEGIN;
+
+-- zip_codes territories list their postal codes; polygon territories carry a GeoJSON boundary
+ALTER TABLE territories ADD COLUMN IF NOT EXISTS postal_codes VARCHAR(20)[] DEFAULT '{}';
+ALTER TABLE territories ADD COLUMN IF NOT EXISTS boundary_polygon JSONB;
+ALTER TABLE territories ADD COLUMN IF NOT EXISTS is_exclusive BOOLEAN DEFAULT TRUE;
+ALTER TABLE territories ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+ALTER TABLE territories ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_territories_agreement ON territories(assigned_agreement_id);
+CREATE INDEX IF NOT EXISTS idx_territories_postal_codes ON territories USING GIN (postal_codes);
+
+-- Coordinates for polygon containment checks
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS latitude NUMERIC(9,6);
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS longitude NUMERIC(9,6);
+
+-- Overlaps between territories and locations opened inside someone else's exclusive territory
+CREATE TABLE IF NOT EXISTS territory_conflicts (
+  id VARCHAR(255) PRIMARY KEY DEFAULT ('tconf_' || gen_random_uuid()::TEXT),
+  territory_id VARCHAR(255) REFERENCES territories(id) ON DELETE CASCADE NOT NULL,
+  conflict_type VARCHAR(50) NOT NULL CHECK (conflict_type IN ('overlap', 'encroachment')),
+  conflicting_territory_id VARCHAR(255) REFERENCES territories(id) ON DELETE CASCADE,
+  location_id VARCHAR(255) REFERENCES locations(id) ON DELETE CASCADE,
+  details JSONB DEFAULT '{}',
+  status VARCHAR(50) DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+  resolution_notes TEXT,
+  resolved_by VARCHAR(255),
+  resolved_at TIMESTAMPTZ,
+  detected_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_territory_conflicts_territory ON territory_conflicts(territory_id);
+CREATE INDEX IF NOT EXISTS idx_territory_conflicts_location ON territory_conflicts(location_id);
+CREATE INDEX IF NOT EXISTS idx_territory_conflicts_status ON territory_conflicts(status);
+
+COMMIT;
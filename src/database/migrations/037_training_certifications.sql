@@ -0,0 +1,100 @@
+-- Migration: Training Programs and Certifications
+-- Program modules, role/location assignments, quiz completions, certificate expiry and
+-- the certifications each scheduled position requires
+
+BEGIN;
+
+-- Certification programs (food handler cards, ServSafe, ...) issue certificates valid
+-- for certification_valid_months; reminders go out reminder_days before expiry
+ALTER TABLE training_programs ADD COLUMN IF NOT EXISTS certification_name VARCHAR(255);
+ALTER TABLE training_programs ADD COLUMN IF NOT EXISTS certification_valid_months INTEGER;
+ALTER TABLE training_programs ADD COLUMN IF NOT EXISTS passing_score NUMERIC(5,2) DEFAULT 70;
+ALTER TABLE training_programs ADD COLUMN IF NOT EXISTS reminder_days INTEGER[] DEFAULT '{30,7,1}';
+ALTER TABLE training_programs ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+ALTER TABLE training_programs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE TABLE IF NOT EXISTS training_modules (
+  id VARCHAR(255) PRIMARY KEY DEFAULT ('tmod_' || gen_random_uuid()::TEXT),
+  program_id VARCHAR(255) REFERENCES training_programs(id) ON DELETE CASCADE NOT NULL,
+  module_order INTEGER NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  content_url TEXT,
+  duration_minutes INTEGER,
+  has_quiz BOOLEAN DEFAULT FALSE,
+  passing_score NUMERIC(5,2), -- falls back to the program's passing_score
+  is_required BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(program_id, module_order)
+);
+
+-- A program applies to a role, a location, or a role at a location
+CREATE TABLE IF NOT EXISTS training_assignments (
+  id VARCHAR(255) PRIMARY KEY DEFAULT ('tassign_' || gen_random_uuid()::TEXT),
+  program_id VARCHAR(255) REFERENCES training_programs(id) ON DELETE CASCADE NOT NULL,
+  role VARCHAR(50),
+  location_id VARCHAR(255) REFERENCES locations(id) ON DELETE CASCADE,
+  due_within_days INTEGER,
+  assigned_by VARCHAR(255),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (role IS NOT NULL OR location_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_assignments_program ON training_assignments(program_id);
+CREATE INDEX IF NOT EXISTS idx_training_assignments_target ON training_assignments(role, location_id);
+
+-- Best score and pass state per employee and module
+CREATE TABLE IF NOT EXISTS training_module_completions (
+  id VARCHAR(255) PRIMARY KEY DEFAULT ('tmc_' || gen_random_uuid()::TEXT),
+  program_id VARCHAR(255) REFERENCES training_programs(id) ON DELETE CASCADE NOT NULL,
+  module_id VARCHAR(255) REFERENCES training_modules(id) ON DELETE CASCADE NOT NULL,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  location_id VARCHAR(255) REFERENCES locations(id),
+  score NUMERIC(5,2),
+  passed BOOLEAN DEFAULT FALSE,
+  attempts INTEGER DEFAULT 1,
+  completed_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(module_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_module_completions_user ON training_module_completions(user_id, program_id);
+
+ALTER TABLE franchise_training_records ADD COLUMN IF NOT EXISTS certificate_number VARCHAR(100);
+ALTER TABLE franchise_training_records ADD COLUMN IF NOT EXISTS recorded_by VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_franchise_training_records_user ON franchise_training_records(user_id, program_id);
+CREATE INDEX IF NOT EXISTS idx_franchise_training_records_expiry
+  ON franchise_training_records(certification_expires_at) WHERE certified = TRUE;
+
+-- One reminder per certificate and threshold; days_before 0 is the expired notice
+CREATE TABLE IF NOT EXISTS training_certification_reminders (
+  id VARCHAR(255) PRIMARY KEY DEFAULT ('tcrem_' || gen_random_uuid()::TEXT),
+  record_id VARCHAR(255) REFERENCES franchise_training_records(id) ON DELETE CASCADE NOT NULL,
+  days_before INTEGER NOT NULL,
+  sent_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(record_id, days_before)
+);
+
+-- Certifications an employee must hold to work a shift position; a NULL location
+-- applies everywhere
+CREATE TABLE IF NOT EXISTS position_certification_requirements (
+  id VARCHAR(255) PRIMARY KEY DEFAULT ('pcert_' || gen_random_uuid()::TEXT),
+  position VARCHAR(100) NOT NULL,
+  program_id VARCHAR(255) REFERENCES training_programs(id) ON DELETE CASCADE NOT NULL,
+  location_id VARCHAR(255) REFERENCES locations(id) ON DELETE CASCADE,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_position_certification_requirements_unique
+  ON position_certification_requirements(position, program_id, COALESCE(location_id, ''));
+
+-- Daily certificate expiry reminders
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('certification_expiry_reminders', 'Remind employees and managers about expiring certifications', 'notification',
+        (SELECT id FROM job_queues WHERE name = 'notifications'),
+        'processCertificationReminders', 1440, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,74 @@
+-- Migration: Seasonal, Limited-Time and Daypart Menus
+-- Date-boxed seasonal menus, dayparts, per-location overrides and price overrides
+
+BEGIN;
+
+-- Named service periods. end_time before start_time wraps past midnight (late night).
+-- Location-specific dayparts replace the global ones of the same name.
+CREATE TABLE IF NOT EXISTS menu_dayparts (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  location_id VARCHAR(255) REFERENCES locations(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  days_of_week INTEGER[] DEFAULT '{0,1,2,3,4,5,6}',
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_menu_dayparts_name
+  ON menu_dayparts(COALESCE(location_id, ''), name);
+
+INSERT INTO menu_dayparts (location_id, name, start_time, end_time) VALUES
+  (NULL, 'breakfast', '06:00', '10:30'),
+  (NULL, 'lunch', '10:30', '15:00'),
+  (NULL, 'dinner', '15:00', '22:00'),
+  (NULL, 'late_night', '22:00', '02:00')
+ON CONFLICT DO NOTHING;
+
+-- Core menu items restricted to dayparts (NULL = all day)
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS dayparts VARCHAR(50)[];
+
+-- Seasonal menus run between start_date and end_date (inclusive, open-ended when NULL),
+-- optionally only during some dayparts. Items on a seasonal menu are only sold while
+-- one of their menus is running.
+ALTER TABLE seasonal_menus ADD COLUMN IF NOT EXISTS menu_type VARCHAR(50) DEFAULT 'seasonal'
+  CHECK (menu_type IN ('seasonal', 'limited_time', 'daypart'));
+ALTER TABLE seasonal_menus ADD COLUMN IF NOT EXISTS dayparts VARCHAR(50)[];
+ALTER TABLE seasonal_menus ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+ALTER TABLE seasonal_menus ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE seasonal_menus ALTER COLUMN end_date DROP NOT NULL;
+
+ALTER TABLE seasonal_menu_items ADD COLUMN IF NOT EXISTS price_override NUMERIC(10,2);
+ALTER TABLE seasonal_menu_items ADD COLUMN IF NOT EXISTS dayparts VARCHAR(50)[];
+ALTER TABLE seasonal_menu_items ADD COLUMN IF NOT EXISTS display_order INTEGER DEFAULT 0;
+
+-- A location can opt out of a chain-wide seasonal menu or run it on different dates
+CREATE TABLE IF NOT EXISTS seasonal_menu_location_overrides (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  seasonal_menu_id VARCHAR(255) NOT NULL REFERENCES seasonal_menus(id) ON DELETE CASCADE,
+  location_id VARCHAR(255) NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  is_excluded BOOLEAN DEFAULT false,
+  start_date DATE,
+  end_date DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(seasonal_menu_id, location_id)
+);
+
+-- Per-location price, availability and daypart overrides for any menu item
+CREATE TABLE IF NOT EXISTS menu_item_location_overrides (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  menu_item_id VARCHAR(255) NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  location_id VARCHAR(255) NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  price_override NUMERIC(10,2),
+  is_available BOOLEAN,
+  dayparts VARCHAR(50)[],
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(menu_item_id, location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasonal_menu_items_item ON seasonal_menu_items(menu_item_id);
+CREATE INDEX IF NOT EXISTS idx_menu_item_location_overrides_location ON menu_item_location_overrides(location_id);
+
+COMMIT;
@@ -0,0 +1,104 @@
+-- Migration: Menu Modifiers, Combos and Recipe-Based Inventory Depletion
+-- Modifier groups with selection rules and price deltas, combo components, modifier
+-- ingredient impact and depletion of inventory_items when online orders complete
+
+BEGIN;
+
+-- Modifier groups ("Toppings", "Remove", "Bun") with selection limits; NULL max = unlimited
+CREATE TABLE IF NOT EXISTS menu_modifier_groups (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  location_id VARCHAR(255) REFERENCES locations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  min_selections INTEGER DEFAULT 0 CHECK (min_selections >= 0),
+  max_selections INTEGER CHECK (max_selections IS NULL OR max_selections >= 1),
+  display_order INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (max_selections IS NULL OR max_selections >= min_selections)
+);
+
+ALTER TABLE menu_modifiers ADD COLUMN IF NOT EXISTS group_id VARCHAR(255) REFERENCES menu_modifier_groups(id) ON DELETE CASCADE;
+ALTER TABLE menu_modifiers ADD COLUMN IF NOT EXISTS max_quantity INTEGER DEFAULT 1;
+ALTER TABLE menu_modifiers ADD COLUMN IF NOT EXISTS is_default BOOLEAN DEFAULT false;
+ALTER TABLE menu_modifiers ADD COLUMN IF NOT EXISTS display_order INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_menu_modifiers_group ON menu_modifiers(group_id);
+
+-- Groups offered on an item; limits here override the group's own
+CREATE TABLE IF NOT EXISTS menu_item_modifier_groups (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  menu_item_id VARCHAR(255) NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  group_id VARCHAR(255) NOT NULL REFERENCES menu_modifier_groups(id) ON DELETE CASCADE,
+  min_selections INTEGER,
+  max_selections INTEGER,
+  display_order INTEGER DEFAULT 0,
+  UNIQUE(menu_item_id, group_id)
+);
+
+-- Ingredient impact of one modifier unit. Positive quantities add ("extra bacon"),
+-- negative ones take away from the item's recipe ("no onion").
+CREATE TABLE IF NOT EXISTS menu_modifier_ingredients (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  modifier_id VARCHAR(255) NOT NULL REFERENCES menu_modifiers(id) ON DELETE CASCADE,
+  inventory_item_id VARCHAR(255) REFERENCES inventory_items(id) ON DELETE SET NULL,
+  ingredient_name VARCHAR(255) NOT NULL,
+  quantity NUMERIC(10,3) NOT NULL,
+  unit VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_modifier_ingredients_modifier ON menu_modifier_ingredients(modifier_id);
+
+-- Combos are menu items (priced at base_price) built from component slots
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS is_combo BOOLEAN DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS menu_combo_components (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  combo_item_id VARCHAR(255) NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  min_selections INTEGER DEFAULT 1,
+  max_selections INTEGER DEFAULT 1,
+  display_order INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS menu_combo_component_options (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  component_id VARCHAR(255) NOT NULL REFERENCES menu_combo_components(id) ON DELETE CASCADE,
+  menu_item_id VARCHAR(255) NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  price_delta NUMERIC(10,2) DEFAULT 0,
+  is_default BOOLEAN DEFAULT false,
+  UNIQUE(component_id, menu_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_combo_components_combo ON menu_combo_components(combo_item_id);
+
+-- Recipe ingredients point at the live inventory table; links into the legacy table
+-- are dropped and re-resolved by ingredient name at depletion time
+ALTER TABLE recipe_ingredients DROP CONSTRAINT IF EXISTS recipe_ingredients_inventory_item_id_fkey;
+UPDATE recipe_ingredients SET inventory_item_id = NULL
+WHERE inventory_item_id IS NOT NULL
+  AND inventory_item_id NOT IN (SELECT id FROM inventory_items);
+ALTER TABLE recipe_ingredients
+  ADD CONSTRAINT recipe_ingredients_inventory_item_id_fkey
+  FOREIGN KEY (inventory_item_id) REFERENCES inventory_items(id) ON DELETE SET NULL;
+
+-- Chosen combo components: [{component_id, menu_item_id, name, price_delta, modifiers}]
+ALTER TABLE online_order_items ADD COLUMN IF NOT EXISTS components JSONB DEFAULT '[]';
+ALTER TABLE online_orders ADD COLUMN IF NOT EXISTS inventory_depleted_at TIMESTAMPTZ;
+
+-- Ingredients taken out of stock for completed orders
+CREATE TABLE IF NOT EXISTS inventory_depletions (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  order_id VARCHAR(255) NOT NULL REFERENCES online_orders(id) ON DELETE CASCADE,
+  inventory_item_id VARCHAR(255) NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+  location_id VARCHAR(255) NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  quantity NUMERIC(12,3) NOT NULL,
+  unit VARCHAR(50),
+  cost NUMERIC(10,2),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(order_id, inventory_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_depletions_item ON inventory_depletions(inventory_item_id, created_at);
+
+COMMIT;
@@ -0,0 +1,112 @@
+-- Migration: Regulatory Requirements Library
+-- Jurisdiction-specific food code requirements mapped to checklist items, with
+-- inspections and violations linked to the requirements they prove or breach
+
+BEGIN;
+
+-- Library requirements have no location_id and apply by jurisdiction:
+-- federal everywhere, state/county/city where the location's address matches
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS code VARCHAR(100);
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS source VARCHAR(255);
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS category VARCHAR(100);
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS jurisdiction_level VARCHAR(20) DEFAULT 'federal'
+  CHECK (jurisdiction_level IN ('federal', 'state', 'county', 'city'));
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS state VARCHAR(50);
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS county VARCHAR(255);
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS city VARCHAR(255);
+ALTER TABLE regulatory_requirements ADD COLUMN IF NOT EXISTS is_critical BOOLEAN DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regulatory_requirements_code
+  ON regulatory_requirements(regulatory_body, code, COALESCE(state, ''), COALESCE(county, ''), COALESCE(city, ''))
+  WHERE code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_regulatory_requirements_jurisdiction
+  ON regulatory_requirements(jurisdiction_level, state);
+
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS county VARCHAR(255);
+
+-- Checklist items that check a requirement
+CREATE TABLE IF NOT EXISTS regulatory_requirement_checklist_items (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  requirement_id VARCHAR(255) NOT NULL REFERENCES regulatory_requirements(id) ON DELETE CASCADE,
+  checklist_item_id VARCHAR(255) NOT NULL REFERENCES compliance_checklist_items(id) ON DELETE CASCADE,
+  created_by VARCHAR(255) REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(requirement_id, checklist_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_requirement_checklist_items_item
+  ON regulatory_requirement_checklist_items(checklist_item_id);
+
+-- What each completed inspection proved (met) or found breached (not_met)
+CREATE TABLE IF NOT EXISTS compliance_inspection_requirements (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  inspection_id VARCHAR(255) NOT NULL REFERENCES compliance_inspections(id) ON DELETE CASCADE,
+  requirement_id VARCHAR(255) NOT NULL REFERENCES regulatory_requirements(id) ON DELETE CASCADE,
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('met', 'not_met')),
+  checklist_item_ids VARCHAR(255)[] DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(inspection_id, requirement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inspection_requirements_requirement
+  ON compliance_inspection_requirements(requirement_id);
+
+ALTER TABLE violations ADD COLUMN IF NOT EXISTS requirement_id VARCHAR(255) REFERENCES regulatory_requirements(id) ON DELETE SET NULL;
+ALTER TABLE violations ADD COLUMN IF NOT EXISTS checklist_item_id VARCHAR(255) REFERENCES compliance_checklist_items(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_violations_requirement ON violations(requirement_id);
+
+-- FDA Food Code sections behind the sample health inspection checklist
+INSERT INTO regulatory_requirements
+  (code, title, description, requirement_type, regulatory_body, source, category, jurisdiction_level, is_critical)
+VALUES
+  ('3-501.16', 'Time/temperature control for safety food, hot and cold holding',
+   'TCS food held at 135°F (57°C) or above, or 41°F (5°C) or below', 'inspection', 'FDA', 'FDA Food Code 2022', 'food_safety', 'federal', true),
+  ('3-501.17', 'Ready-to-eat TCS food, date marking',
+   'Ready-to-eat TCS food held more than 24 hours is marked with its discard date', 'inspection', 'FDA', 'FDA Food Code 2022', 'food_safety', 'federal', true),
+  ('3-302.11', 'Packaged and unpackaged food, separation and segregation',
+   'Raw animal foods separated from ready-to-eat food during storage, preparation and display', 'inspection', 'FDA', 'FDA Food Code 2022', 'food_safety', 'federal', true),
+  ('5-205.11', 'Handwashing sinks, accessibility and use',
+   'Handwashing sinks kept accessible and used only for handwashing', 'inspection', 'FDA', 'FDA Food Code 2022', 'cleanliness', 'federal', true),
+  ('6-301.12', 'Hand drying provision',
+   'Each handwashing sink provided with individual disposable towels or another approved drying method', 'inspection', 'FDA', 'FDA Food Code 2022', 'cleanliness', 'federal', false),
+  ('4-602.11', 'Food-contact surfaces, cleaning frequency',
+   'Equipment food-contact surfaces and utensils cleaned and sanitized at the required frequency', 'inspection', 'FDA', 'FDA Food Code 2022', 'cleanliness', 'federal', true),
+  ('6-501.111', 'Controlling pests',
+   'Premises kept free of insects, rodents and other pests', 'inspection', 'FDA', 'FDA Food Code 2022', 'cleanliness', 'federal', true),
+  ('7-201.11', 'Poisonous or toxic materials, separation',
+   'Poisonous or toxic materials stored so they cannot contaminate food, equipment or single-service articles', 'inspection', 'FDA', 'FDA Food Code 2022', 'food_safety', 'federal', true),
+  ('2-102.12', 'Certified food protection manager',
+   'At least one employee with supervisory responsibility is a certified food protection manager', 'certification', 'FDA', 'FDA Food Code 2022', 'documentation', 'federal', false),
+  ('4-501.114', 'Chemical sanitizer concentration',
+   'Chemical sanitizers used at the concentration specified on the label (e.g. chlorine 50-100 ppm, quaternary ammonium per label)', 'inspection', 'FDA', 'FDA Food Code 2022', 'chemical', 'federal', true)
+ON CONFLICT DO NOTHING;
+
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 3-501.16'
+WHERE reference_standard IS NULL AND item_text LIKE 'Food stored at proper temperatures%';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 5-205.11, 6-301.12'
+WHERE reference_standard IS NULL AND item_text LIKE 'Hand washing sinks are accessible%';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 3-302.11'
+WHERE reference_standard IS NULL AND item_text LIKE 'No cross-contamination observed%';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 4-602.11'
+WHERE reference_standard IS NULL AND item_text LIKE 'Food preparation surfaces are clean%';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 3-501.17'
+WHERE reference_standard IS NULL AND item_text LIKE 'Proper date marking%';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 6-501.111'
+WHERE reference_standard IS NULL AND item_text LIKE 'Pest control measures%';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 7-201.11'
+WHERE reference_standard IS NULL AND item_text LIKE 'Proper storage of chemicals%';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 3-501.16'
+WHERE reference_standard IS NULL AND item_text LIKE '%temperature check';
+UPDATE compliance_checklist_items SET reference_standard = 'FDA Food Code 4-501.114'
+WHERE reference_standard IS NULL AND item_text LIKE 'Sanitizer concentration test%';
+
+-- Map items to requirements whose code their reference standard cites
+INSERT INTO regulatory_requirement_checklist_items (requirement_id, checklist_item_id)
+SELECT r.id, i.id
+FROM regulatory_requirements r
+JOIN compliance_checklist_items i ON i.reference_standard ~ ('(^|[^0-9.-])' || replace(r.code, '.', '\.') || '($|[^0-9])')
+WHERE r.code IS NOT NULL AND r.location_id IS NULL
+ON CONFLICT DO NOTHING;
+
+COMMIT;
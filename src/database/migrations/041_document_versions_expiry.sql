@@ -0,0 +1,52 @@
+-- Migration: Compliance Document Versions and Expiry Tracking
+-- Uploaded revisions keep their file and a metadata snapshot; expiring documents
+-- get escalating reminders
+
+BEGIN;
+
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS file_id VARCHAR(255) REFERENCES stored_files(id) ON DELETE SET NULL;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100);
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS issue_date DATE;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS expiration_date DATE;
+-- Snapshot of the document's descriptive fields at this version (title, category,
+-- dates, issuing authority and custom metadata), compared to diff versions
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_versions_number ON document_versions(document_id, version);
+
+-- Existing documents start their history at their current version
+INSERT INTO document_versions
+  (document_id, version, file_url, file_name, file_size, file_id, mime_type, issue_date, expiration_date,
+   change_description, uploaded_by, metadata, created_at)
+SELECT d.id, COALESCE(d.version, 1), d.file_url, d.file_name, d.file_size, d.file_id, d.mime_type,
+       d.issue_date, d.expiration_date, 'Initial version', d.uploaded_by,
+       COALESCE(d.metadata, '{}'::jsonb) || jsonb_build_object(
+         'title', d.title,
+         'category', d.category,
+         'issue_date', to_char(d.issue_date, 'YYYY-MM-DD'),
+         'expiration_date', to_char(d.expiration_date, 'YYYY-MM-DD'),
+         'issuing_authority', d.issuing_authority
+       ),
+       d.created_at
+FROM documents d
+WHERE NOT EXISTS (SELECT 1 FROM document_versions v WHERE v.document_id = d.id);
+
+-- One row per reminder sent; keyed by expiration date so a renewal starts over
+CREATE TABLE IF NOT EXISTS document_expiry_reminders (
+  id VARCHAR(255) PRIMARY KEY DEFAULT gen_random_uuid()::varchar,
+  document_id VARCHAR(255) NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  expiration_date DATE NOT NULL,
+  days_before INTEGER NOT NULL,
+  escalation VARCHAR(20) NOT NULL,
+  recipients VARCHAR(255)[] DEFAULT '{}',
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(document_id, expiration_date, days_before)
+);
+
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('document_expiry_reminders', 'Escalating reminders for expiring permits, licenses and certificates', 'notification',
+        (SELECT id FROM job_queues WHERE name = 'notifications'),
+        'processDocumentExpiryReminders', 1440, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
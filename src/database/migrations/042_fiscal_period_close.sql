@@ -0,0 +1,55 @@
+-- Migration: Fiscal Period Close
+-- Open, soft-closed and hard-closed fiscal periods, year-end closing entries into
+-- retained earnings and a permissioned reopen
+
+BEGIN;
+
+-- open: anything posts; soft_closed: only adjusting entries post; hard_closed: nothing posts.
+-- is_closed stays true for either closed status
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'open'
+  CHECK (status IN ('open', 'soft_closed', 'hard_closed'));
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS soft_closed_by VARCHAR(255) REFERENCES users(id);
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS soft_closed_at TIMESTAMPTZ;
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS reopened_by VARCHAR(255) REFERENCES users(id);
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS reopened_at TIMESTAMPTZ;
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS reopen_reason TEXT;
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS reopen_count INTEGER DEFAULT 0;
+
+UPDATE fiscal_periods SET status = 'hard_closed' WHERE is_closed = TRUE AND status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_periods_dates ON fiscal_periods(start_date, end_date);
+
+-- Entries were created without a number although the column is required
+CREATE SEQUENCE IF NOT EXISTS journal_entry_number_seq;
+ALTER TABLE journal_entries ALTER COLUMN entry_number
+  SET DEFAULT ('JE-' || lpad(nextval('journal_entry_number_seq')::TEXT, 6, '0'));
+
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS fiscal_period_id VARCHAR(255) REFERENCES fiscal_periods(id);
+
+-- Year-end closes; reopening a period of a closed year reverses its closing entry
+CREATE TABLE IF NOT EXISTS fiscal_year_closings (
+  id VARCHAR(255) PRIMARY KEY DEFAULT ('yclose_' || gen_random_uuid()::TEXT),
+  fiscal_year INTEGER NOT NULL,
+  journal_entry_id VARCHAR(255) NOT NULL REFERENCES journal_entries(id),
+  retained_earnings_account_id VARCHAR(255) NOT NULL REFERENCES chart_of_accounts(id),
+  net_income NUMERIC(12,2) NOT NULL,
+  closed_by VARCHAR(255) REFERENCES users(id),
+  closed_at TIMESTAMPTZ DEFAULT NOW(),
+  reversal_entry_id VARCHAR(255) REFERENCES journal_entries(id),
+  reversed_by VARCHAR(255) REFERENCES users(id),
+  reversed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fiscal_year_closings_active
+  ON fiscal_year_closings(fiscal_year) WHERE reversed_at IS NULL;
+
+-- Reopening closed books is restricted to corporate
+INSERT INTO permissions (id, name, resource, action, description) VALUES
+  ('perm-financial-reopen', 'financial:reopen', 'financial', 'reopen', 'Reopen closed fiscal periods')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-super-admin', id FROM permissions WHERE name = 'financial:reopen'
+ON CONFLICT DO NOTHING;
+
+COMMIT;
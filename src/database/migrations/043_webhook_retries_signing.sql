@@ -0,0 +1,39 @@
+-- Migration: Webhook Retries, Signing and Replay
+-- Failed deliveries are retried with exponential backoff, payloads are signed
+-- with per-webhook secrets, and endpoints that keep failing are disabled
+
+BEGIN;
+
+-- Signing secrets; during rotation the previous secret also signs until it expires
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS secret VARCHAR(255);
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS previous_secret VARCHAR(255);
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS previous_secret_expires_at TIMESTAMP;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS secret_rotated_at TIMESTAMP;
+
+-- Owner is notified when the webhook is disabled
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Failed attempts since the last success; reaching disable_after_failures disables the webhook
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER DEFAULT 0;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS disable_after_failures INTEGER DEFAULT 20;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+
+UPDATE webhooks
+SET secret = 'whsec_' || replace(gen_random_uuid()::text, '-', '') || replace(gen_random_uuid()::text, '-', '')
+WHERE secret IS NULL;
+
+-- 'retrying' deliveries are due again at next_retry_at; 'failed' ones are final
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS replay_of VARCHAR(255) REFERENCES webhook_deliveries(id) ON DELETE SET NULL;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS replayed_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries(next_retry_at) WHERE status = 'retrying';
+
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('webhook_retries', 'Retry failed webhook deliveries that are due', 'webhook_retry',
+        (SELECT id FROM job_queues WHERE name = 'default'),
+        'processWebhookRetries', 1, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- Migration: Encrypted Integration Credentials
+-- location_integrations.credentials and webhooks.auth_credentials hold AES-GCM
+-- envelopes ({ enc, key_version, wrapped_key, iv, tag, data }) instead of
+-- plaintext. Encryption needs the master keys from configuration, so existing
+-- plaintext values are encrypted by the re-encryption job, which also moves
+-- values onto a new master key after a rotation.
+
+BEGIN;
+
+COMMENT ON COLUMN location_integrations.credentials IS 'AES-256-GCM envelope; see utils/credentialEncryption';
+COMMENT ON COLUMN webhooks.auth_credentials IS 'AES-256-GCM envelope; see utils/credentialEncryption';
+
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('credential_reencryption', 'Encrypt plaintext integration credentials and re-wrap them under the current master key', 'maintenance',
+        (SELECT id FROM job_queues WHERE name = 'low_priority'),
+        'processCredentialReencryption', 60, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
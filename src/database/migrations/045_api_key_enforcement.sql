@@ -0,0 +1,49 @@
+-- Migration: API Key Enforcement
+-- Hourly and burst rate limits, IP allowlists, resource and location scopes,
+-- and a per-request log for usage analytics
+
+BEGIN;
+
+-- Requests allowed in any one minute, on top of rate_limit_per_hour
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS burst_limit_per_minute INTEGER DEFAULT 60;
+
+-- Route families (routePermissions policy names) the key may call; empty allows all
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_resources JSONB DEFAULT '[]';
+
+-- Locations the key may reach; empty falls back to location_id, then the owner's locations
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_location_ids JSONB DEFAULT '[]';
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- Requests per key per minute; the last 60 rows are the hourly window
+CREATE TABLE IF NOT EXISTS api_key_rate_windows (
+  api_key_id VARCHAR(255) NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  window_start TIMESTAMP NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (api_key_id, window_start)
+);
+
+-- One row per request made with a key, including rejected ones
+CREATE TABLE IF NOT EXISTS api_key_requests (
+  id BIGSERIAL PRIMARY KEY,
+  api_key_id VARCHAR(255) NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(500) NOT NULL,
+  resource VARCHAR(100),
+  status_code INTEGER,
+  -- rate_limited, burst_limited, ip_not_allowed or resource_not_allowed
+  rejected_reason VARCHAR(50),
+  ip_address VARCHAR(64),
+  response_time_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_key_requests_key_time ON api_key_requests(api_key_id, created_at DESC);
+
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('api_key_usage_cleanup', 'Drop expired API key rate windows and old request logs', 'data_cleanup',
+        (SELECT id FROM job_queues WHERE name = 'low_priority'),
+        'cleanupApiKeyUsage', 1440, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,53 @@
+-- Migration: OAuth Connect
+-- Authorization-code (PKCE) connect flow for OAuth 2.0 providers, token
+-- expiry tracking for refresh, and a needs_reauth integration status
+
+BEGIN;
+
+-- Per-provider OAuth client registration; oauth_client_secret is a credential
+-- envelope (see utils/credentialEncryption) bound to the provider id
+ALTER TABLE integration_providers ADD COLUMN IF NOT EXISTS oauth_authorize_url VARCHAR(500);
+ALTER TABLE integration_providers ADD COLUMN IF NOT EXISTS oauth_token_url VARCHAR(500);
+ALTER TABLE integration_providers ADD COLUMN IF NOT EXISTS oauth_client_id VARCHAR(255);
+ALTER TABLE integration_providers ADD COLUMN IF NOT EXISTS oauth_client_secret JSONB;
+ALTER TABLE integration_providers ADD COLUMN IF NOT EXISTS oauth_scopes JSONB DEFAULT '[]';
+-- Extra authorize URL parameters, e.g. {"access_type": "offline"}
+ALTER TABLE integration_providers ADD COLUMN IF NOT EXISTS oauth_extra_params JSONB DEFAULT '{}';
+ALTER TABLE integration_providers ADD COLUMN IF NOT EXISTS oauth_token_auth_method VARCHAR(30) DEFAULT 'client_secret_basic'
+  CHECK (oauth_token_auth_method IN ('client_secret_basic', 'client_secret_post'));
+
+-- Pending connects, one per authorize redirect; consumed by the callback
+CREATE TABLE IF NOT EXISTS oauth_states (
+  id VARCHAR(255) PRIMARY KEY,
+  state_hash VARCHAR(64) NOT NULL UNIQUE,
+  provider_id VARCHAR(255) NOT NULL REFERENCES integration_providers(id) ON DELETE CASCADE,
+  location_id VARCHAR(255) NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  user_id VARCHAR(255),
+  -- Credential envelope holding the PKCE code verifier
+  code_verifier JSONB NOT NULL,
+  -- config, syncFrequencyMinutes, autoSyncEnabled and enabledFeatures for the new integration
+  integration_settings JSONB DEFAULT '{}',
+  return_url VARCHAR(1000),
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires ON oauth_states(expires_at);
+
+ALTER TABLE location_integrations ADD COLUMN IF NOT EXISTS token_expires_at TIMESTAMP;
+ALTER TABLE location_integrations ADD COLUMN IF NOT EXISTS connected_via VARCHAR(20) DEFAULT 'credentials';
+
+ALTER TABLE location_integrations DROP CONSTRAINT IF EXISTS location_integrations_status_check;
+ALTER TABLE location_integrations ADD CONSTRAINT location_integrations_status_check
+  CHECK (status IN ('active', 'inactive', 'error', 'pending', 'needs_reauth'));
+
+CREATE INDEX IF NOT EXISTS idx_location_integrations_token_expiry
+  ON location_integrations(token_expires_at) WHERE connected_via = 'oauth';
+
+INSERT INTO job_definitions (name, description, job_type, queue_id, handler_function, schedule_interval_minutes, parameters, is_enabled)
+VALUES ('oauth_token_refresh', 'Refresh OAuth access tokens before they expire and drop stale connect states', 'integration_sync',
+        (SELECT id FROM job_queues WHERE name = 'default'),
+        'refreshOAuthTokens', 5, '{}', true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMIT;
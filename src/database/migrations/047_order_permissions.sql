@@ -0,0 +1,17 @@
+-- Migration: Order Permissions
+-- Staff handling of online orders (status changes, driver assignment)
+
+BEGIN;
+
+INSERT INTO permissions (id, name, resource, action, description) VALUES
+  ('perm-order-manage', 'order:manage', 'orders', 'manage', 'Update online order status and assign drivers')
+ON CONFLICT (name) DO NOTHING;
+
+-- Kitchen and counter staff move orders through their statuses
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r, permissions p
+WHERE r.id IN ('role-super-admin', 'role-admin', 'role-manager', 'role-shift-lead', 'role-employee')
+  AND p.name = 'order:manage'
+ON CONFLICT DO NOTHING;
+
+COMMIT;
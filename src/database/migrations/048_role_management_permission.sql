@@ -0,0 +1,15 @@
+-- Migration: Role Management Permission
+-- Roles and their permissions apply at every location, so defining them is
+-- restricted to super admins
+
+BEGIN;
+
+INSERT INTO permissions (id, name, resource, action, description) VALUES
+  ('perm-role-manage', 'role:manage', 'roles', 'manage', 'Create roles and change role permissions')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT 'role-super-admin', id FROM permissions WHERE name = 'role:manage'
+ON CONFLICT DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- Migration: Encrypted Webhook Signing Secrets
+-- webhooks.secret and previous_secret hold AES-GCM envelopes of { secret }
+-- like other credentials. Existing plaintext secrets are wrapped as
+-- { "secret": "..." } here and encrypted by the re-encryption job; the hint
+-- shown in the API is kept in its own column so listing never decrypts.
+
+BEGIN;
+
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS secret_hint VARCHAR(32);
+
+UPDATE webhooks
+SET secret_hint = left(secret, 6) || '…' || right(secret, 4)
+WHERE secret IS NOT NULL AND secret_hint IS NULL;
+
+ALTER TABLE webhooks
+  ALTER COLUMN secret TYPE JSONB
+    USING CASE WHEN secret IS NULL THEN NULL ELSE jsonb_build_object('secret', secret) END,
+  ALTER COLUMN previous_secret TYPE JSONB
+    USING CASE WHEN previous_secret IS NULL THEN NULL ELSE jsonb_build_object('secret', previous_secret) END;
+
+COMMENT ON COLUMN webhooks.secret IS 'AES-256-GCM envelope of { secret }; see utils/credentialEncryption';
+COMMENT ON COLUMN webhooks.previous_secret IS 'AES-256-GCM envelope of { secret }; see utils/credentialEncryption';
+
+COMMIT;
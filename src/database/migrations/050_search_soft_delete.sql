@@ -0,0 +1,13 @@
+-- Migration: Search Soft-Delete Filters
+-- Values that mark a row as deleted or archived, per entity type, so search
+-- leaves those rows out the way the global_search_index view did for tasks
+
+BEGIN;
+
+-- Column -> values excluded from results, e.g. {"status": ["deleted"]}
+ALTER TABLE search_indexes ADD COLUMN IF NOT EXISTS excluded_values JSONB DEFAULT '{}';
+
+UPDATE search_indexes SET excluded_values = '{"status": ["deleted"]}' WHERE entity_type = 'task';
+UPDATE search_indexes SET excluded_values = '{"status": ["archived"]}' WHERE entity_type = 'document';
+
+COMMIT;
@@ -0,0 +1,88 @@
+/**
+ * API Key Middleware
+ * Authenticates X-API-Key requests and enforces each key's IP allowlist and
+ * hourly/burst rate limits. Every request made with a valid key is logged for
+ * usage analytics, including the ones rejected here.
+ */
+
+const IntegrationsService = require('../services/IntegrationsService');
+const { ipAllowed, rateLimitHeaders } = require('../utils/apiKeyLimits');
+
+/**
+ * Principal for a request made with an X-API-Key header. The key acts with its own
+ * permission list, scoped to its locations (or its owner's locations) and, when
+ * set, to the route families in allowed_resources.
+ */
+const apiKeyPrincipal = (key) => ({
+  id: key.user_id || null,
+  role: 'api_key',
+  locationId: key.location_id || null,
+  locationIds: Array.isArray(key.allowed_location_ids) ? key.allowed_location_ids : [],
+  resources: Array.isArray(key.allowed_resources) ? key.allowed_resources : [],
+  apiKeyId: key.id,
+  apiKeyName: key.name,
+  ownerId: key.user_id || null,
+  permissions: Array.isArray(key.permissions) ? key.permissions : []
+});
+
+/**
+ * Log the request against its key once the response has gone out
+ */
+const trackUsage = (req, res, key) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    IntegrationsService.logApiKeyRequest({
+      apiKeyId: key.id,
+      method: req.method,
+      path: (req.originalUrl || req.url || '').split('?')[0],
+      resource: req.routePolicy,
+      statusCode: res.statusCode,
+      rejectedReason: req.apiKeyRejection,
+      ipAddress: req.ip,
+      responseTimeMs: Date.now() - startedAt
+    }).catch(error => {
+      console.error('[API Key] Failed to log request:', error.message);
+    });
+  });
+};
+
+const reject = (req, res, status, reason, message) => {
+  req.apiKeyRejection = reason;
+  return res.status(status).json({ success: false, error: message });
+};
+
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const { valid, key } = await IntegrationsService.validateApiKey(req.headers['x-api-key']);
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid, revoked or expired API key'
+      });
+    }
+
+    req.apiKey = key;
+    trackUsage(req, res, key);
+
+    if (!ipAllowed(key.ip_whitelist, req.ip)) {
+      return reject(req, res, 403, 'ip_not_allowed', 'This API key is not allowed from your IP address');
+    }
+
+    const decision = await IntegrationsService.consumeApiKeyRateLimit(key);
+    res.set(rateLimitHeaders(decision));
+    if (!decision.allowed) {
+      return reject(req, res, 429, decision.reason, decision.reason === 'burst_limited'
+        ? `Burst limit of ${decision.burstLimit} requests per minute exceeded`
+        : `Rate limit of ${decision.limit} requests per hour exceeded`);
+    }
+
+    req.user = apiKeyPrincipal(key);
+    req.authType = 'api_key';
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticateApiKey, apiKeyPrincipal };
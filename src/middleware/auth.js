@@ -1,12 +1,22 @@
 /**
  * Authentication Middleware
- * Handles JWT authentication and role-based access control
+ * Handles JWT and API key authentication and role-based access control
  */
 
 const AuthService = require('../services/AuthService');
+const { authenticateApiKey, apiKeyPrincipal } = require('./apiKey');
 
 const authenticate = async (req, res, next) => {
+  // Already authenticated earlier in the chain (routers mounted behind secure())
+  if (req.user) {
+    return next();
+  }
+
   try {
+    if (req.headers['x-api-key']) {
+      return authenticateApiKey(req, res, next);
+    }
+
     // Extract token from Authorization header
     const authHeader = req.headers.authorization;
 
@@ -35,6 +45,7 @@ const authenticate = async (req, res, next) => {
 
     // Attach decoded token for additional info if needed
     req.tokenData = decoded;
+    req.authType = 'jwt';
 
     next();
   } catch (error) {
@@ -99,4 +110,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate, authorize, optionalAuth };
+module.exports = { authenticate, authorize, optionalAuth, apiKeyPrincipal };
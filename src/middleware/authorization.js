@@ -0,0 +1,244 @@
+/**
+ * Authorization Middleware
+ * Per-route permissions and location scoping from src/config/routePermissions.js
+ */
+
+const policies = require('../config/routePermissions');
+const AuthorizationService = require('../services/AuthorizationService');
+const { authenticate } = require('./auth');
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+// Query and body fields that name the location a request reads or writes
+const LOCATION_FIELDS = ['locationId', 'location_id', 'fromLocationId', 'toLocationId'];
+
+const forbidden = (message) => {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+};
+
+const getPolicy = (name) => {
+  const policy = policies[name];
+  if (!policy) {
+    throw new Error(`Unknown route permission policy: ${name}`);
+  }
+  return policy;
+};
+
+const isPublic = (policy, method, path) =>
+  (policy.public || []).some(([publicMethod, pattern]) =>
+    (publicMethod === method || (publicMethod === 'GET' && method === 'HEAD')) && pattern.test(path)
+  );
+
+/**
+ * Permission a request needs. `selfUserId` is set when the route addresses a user
+ * id and callers acting on themselves need no permission.
+ */
+const resolvePermission = (policy, method, path) => {
+  for (const rule of policy.rules || []) {
+    const match = rule.methods.includes(method) ? rule.path.exec(path) : null;
+    if (match) {
+      return {
+        permission: rule.permission,
+        selfUserId: rule.self ? match[match.length - 1] : null
+      };
+    }
+  }
+
+  return {
+    permission: READ_METHODS.includes(method) ? policy.read : policy.write,
+    selfUserId: null
+  };
+};
+
+/**
+ * Location ids named in the query string or (for writes) the body
+ */
+const requestedLocationIds = (req) => {
+  const sources = [req.query || {}];
+  if (!READ_METHODS.includes(req.method) && req.body && typeof req.body === 'object') {
+    sources.push(req.body);
+  }
+
+  const ids = new Set();
+  for (const source of sources) {
+    for (const field of LOCATION_FIELDS) {
+      if (source[field]) ids.add(String(source[field]));
+    }
+
+    const list = source.locationIds;
+    const values = Array.isArray(list) ? list : (typeof list === 'string' ? list.split(',') : []);
+    values.map(value => String(value).trim()).filter(Boolean).forEach(value => ids.add(value));
+  }
+  return [...ids];
+};
+
+/**
+ * Location ids of the record(s) a request addresses, per the policy's `records` entries.
+ * Throws a 403 for writes to `shared` records that have no location.
+ */
+const recordLocationIds = async (policy, req) => {
+  const locationIds = [];
+  const brandWide = (record) => {
+    if (record.shared && !READ_METHODS.includes(req.method)) {
+      throw forbidden('Access to every location is required');
+    }
+  };
+
+  for (const record of policy.records || []) {
+    if (record.methods && !record.methods.includes(req.method)) continue;
+    const match = record.path.exec(req.path);
+    if (!match) continue;
+
+    const id = record.field ? (req.body || {})[record.field] : match[1];
+    if (!id) {
+      brandWide(record);
+      continue;
+    }
+
+    if (record.location) {
+      locationIds.push([String(id)]);
+      continue;
+    }
+
+    const columns = record.columns || ['location_id'];
+    const found = await Promise.all(columns.map(column =>
+      AuthorizationService.getRecordLocation(record.table, column, id, record.through)
+    ));
+    const ids = found.filter(Boolean);
+    if (ids.length > 0) {
+      locationIds.push(ids);
+    } else {
+      brandWide(record);
+    }
+  }
+
+  return locationIds;
+};
+
+/**
+ * Throw a 403 unless the caller can reach the location. For handlers that only
+ * see the location after their own parsing (e.g. multipart bodies).
+ */
+const assertLocationAccess = async (req, locationId) => {
+  if (!(await AuthorizationService.canAccessLocation(req.user, locationId))) {
+    throw forbidden('Access denied to this location');
+  }
+};
+
+const checkAccess = async (req, policy, policyName) => {
+  // API keys scoped to resources only reach those route families
+  const { resources } = req.user;
+  if (req.user.apiKeyId && resources && resources.length > 0 && !resources.includes(policyName)) {
+    req.apiKeyRejection = 'resource_not_allowed';
+    throw forbidden(`This API key is not scoped to ${policyName}`);
+  }
+
+  const { permission, selfUserId } = resolvePermission(policy, req.method, req.path);
+  const requested = requestedLocationIds(req);
+
+  const actingOnSelf = selfUserId !== null && req.user.id && selfUserId === req.user.id;
+  if (!actingOnSelf) {
+    const allowed = await AuthorizationService.hasPermission(
+      req.user,
+      permission,
+      requested.length === 1 ? requested[0] : null
+    );
+    if (!allowed) {
+      throw forbidden(`Insufficient permissions. Required permission: ${permission}`);
+    }
+  }
+
+  const accessible = await AuthorizationService.getAccessibleLocationIds(req.user);
+  if (accessible === null) {
+    return;
+  }
+
+  const global = (policy.global || []).some(entry =>
+    entry.methods.includes(req.method) && entry.path.test(req.path)
+  );
+  if (global) {
+    throw forbidden('Access to every location is required');
+  }
+
+  const denied = requested.find(locationId => !accessible.includes(locationId));
+  if (denied) {
+    throw forbidden(`Access denied to location ${denied}`);
+  }
+
+  // Records shared between locations (e.g. transfers) are reachable from either end
+  const records = await recordLocationIds(policy, req);
+  if (records.some(ids => !ids.some(locationId => accessible.includes(locationId)))) {
+    throw forbidden('Access denied to this location');
+  }
+
+  const isRead = READ_METHODS.includes(req.method);
+  if (requested.length === 0 && (policy.scopeToHome === 'all' || (policy.scopeToHome && isRead))) {
+    const home = accessible.includes(req.user.locationId) ? req.user.locationId : accessible[0];
+    if (!home) {
+      throw forbidden('No locations are assigned to this account');
+    }
+    const target = isRead ? req.query : req.body;
+    if (target && typeof target === 'object') {
+      target[policy.locationField || 'locationId'] = home;
+    }
+  }
+};
+
+/**
+ * Authenticate (JWT or X-API-Key) and authorize every request to a router family.
+ * Public paths in the policy pass through untouched.
+ */
+const secure = (policyName) => {
+  const policy = getPolicy(policyName);
+
+  return (req, res, next) => {
+    if (isPublic(policy, req.method, req.path)) {
+      return next();
+    }
+
+    req.routePolicy = policyName;
+    authenticate(req, res, (error) => {
+      if (error) return next(error);
+      checkAccess(req, policy, policyName).then(() => next(), next);
+    });
+  };
+};
+
+/**
+ * Route-level permission check for routers that need more than their policy
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    const requested = requestedLocationIds(req);
+    const allowed = await AuthorizationService.hasPermission(
+      req.user,
+      permission,
+      requested.length === 1 ? requested[0] : null
+    );
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: `Insufficient permissions. Required permission: ${permission}`
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  secure,
+  requirePermission,
+  assertLocationAccess,
+  resolvePermission,
+  requestedLocationIds,
+  isPublic
+};
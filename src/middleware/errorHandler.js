@@ -6,12 +6,15 @@
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
   
-  const status = err.status || 500;
+  // Upload limits enforced by multer (file too large, unexpected field)
+  const uploadStatus = err.name === 'MulterError' ? (err.code === 'LIMIT_FILE_SIZE' ? 413 : 400) : null;
+  const status = err.status || uploadStatus || 500;
   const message = err.message || 'Internal server error';
   
   res.status(status).json({
     success: false,
     error: message,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
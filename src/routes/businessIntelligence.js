@@ -7,13 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const BusinessIntelligenceService = require('../services/BusinessIntelligenceService');
-
-// Middleware to authenticate requests (placeholder)
-const authenticate = (req, res, next) => {
-  // TODO: Implement actual authentication
-  req.user = { id: req.headers['x-user-id'] || 'system' };
-  next();
-};
+const { authenticate } = require('../middleware/auth');
 
 // ============================================
 // KPI MANAGEMENT
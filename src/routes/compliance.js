@@ -6,15 +6,17 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const ComplianceService = require('../services/ComplianceService');
+const config = require('../config/app');
+const { authenticate } = require('../middleware/auth');
+const { assertLocationAccess } = require('../middleware/authorization');
 
-// Middleware to authenticate requests (placeholder - implement based on your auth system)
-const authenticate = (req, res, next) => {
-  // TODO: Implement actual authentication
-  req.user = { id: req.headers['x-user-id'] || 'system' };
-  next();
-};
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.storage.kinds.compliance_document.maxSize }
+});
 
 // ============================================
 // COMPLIANCE CHECKLISTS
@@ -118,7 +120,7 @@ router.put('/inspections/:id/complete', authenticate, async (req, res) => {
     res.json({ success: true, data: inspection });
   } catch (error) {
     console.error('[Compliance API] Error completing inspection:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -132,13 +134,14 @@ router.put('/inspections/:id/complete', authenticate, async (req, res) => {
  */
 router.get('/violations', authenticate, async (req, res) => {
   try {
-    const { location_id, status, severity, violation_type } = req.query;
+    const { location_id, status, severity, violation_type, requirement_id } = req.query;
     const filters = {};
 
     if (location_id) filters.location_id = location_id;
     if (status) filters.status = status;
     if (severity) filters.severity = severity;
     if (violation_type) filters.violation_type = violation_type;
+    if (requirement_id) filters.requirement_id = requirement_id;
 
     const violations = await ComplianceService.getViolations(filters);
     res.json({ success: true, data: violations });
@@ -162,6 +165,118 @@ router.post('/violations', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// REGULATORY REQUIREMENTS
+// ============================================
+
+/**
+ * GET /api/compliance/requirements
+ * Get requirements library (location_id: only those applying to the location)
+ */
+router.get('/requirements', authenticate, async (req, res) => {
+  try {
+    const { location_id, jurisdiction_level, state, regulatory_body, category, requirement_type } = req.query;
+    const filters = {};
+
+    if (location_id) filters.location_id = location_id;
+    if (jurisdiction_level) filters.jurisdiction_level = jurisdiction_level;
+    if (state) filters.state = state;
+    if (regulatory_body) filters.regulatory_body = regulatory_body;
+    if (category) filters.category = category;
+    if (requirement_type) filters.requirement_type = requirement_type;
+
+    const requirements = await ComplianceService.getRequirements(filters);
+    res.json({ success: true, data: requirements });
+  } catch (error) {
+    console.error('[Compliance API] Error getting requirements:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/compliance/requirements/import
+ * Load or update jurisdiction-specific requirements
+ */
+router.post('/requirements/import', authenticate, async (req, res) => {
+  try {
+    const result = await ComplianceService.importRequirements(req.body.requirements, req.user.id);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('[Compliance API] Error importing requirements:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/compliance/requirements/auto-map
+ * Map checklist items to the requirements their reference standard cites
+ */
+router.post('/requirements/auto-map', authenticate, async (req, res) => {
+  try {
+    const result = await ComplianceService.autoMapRequirements();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('[Compliance API] Error auto-mapping requirements:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/compliance/requirements/:id
+ * Get requirement with checklist items, inspection outcomes and violations
+ */
+router.get('/requirements/:id', authenticate, async (req, res) => {
+  try {
+    const requirement = await ComplianceService.getRequirementById(req.params.id);
+    if (!requirement) {
+      return res.status(404).json({ success: false, error: 'Requirement not found' });
+    }
+    res.json({ success: true, data: requirement });
+  } catch (error) {
+    console.error('[Compliance API] Error getting requirement:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/compliance/requirements/:id/checklist-items
+ * Replace the checklist items that check a requirement
+ */
+router.put('/requirements/:id/checklist-items', authenticate, async (req, res) => {
+  try {
+    const { checklist_item_ids } = req.body;
+    if (!Array.isArray(checklist_item_ids)) {
+      return res.status(400).json({ success: false, error: 'checklist_item_ids must be an array' });
+    }
+    const requirement = await ComplianceService.setRequirementChecklistItems(
+      req.params.id,
+      checklist_item_ids,
+      req.user.id
+    );
+    if (!requirement) {
+      return res.status(404).json({ success: false, error: 'Requirement not found' });
+    }
+    res.json({ success: true, data: requirement });
+  } catch (error) {
+    console.error('[Compliance API] Error mapping requirement checklist items:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/compliance/locations/:locationId/requirement-coverage
+ * Requirement coverage report for a location
+ */
+router.get('/locations/:locationId/requirement-coverage', authenticate, async (req, res) => {
+  try {
+    const report = await ComplianceService.getRequirementCoverage(req.params.locationId);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('[Compliance API] Error getting requirement coverage:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // CORRECTIVE ACTIONS
 // ============================================
@@ -208,13 +323,15 @@ router.put('/corrective-actions/:id/complete', authenticate, async (req, res) =>
  */
 router.get('/documents', authenticate, async (req, res) => {
   try {
-    const { location_id, document_type, category, is_active } = req.query;
+    const { location_id, document_type, category, is_active, status, expiring_within_days } = req.query;
     const filters = {};
 
     if (location_id) filters.location_id = location_id;
     if (document_type) filters.document_type = document_type;
     if (category) filters.category = category;
     if (is_active !== undefined) filters.is_active = is_active === 'true';
+    if (status) filters.status = status;
+    if (expiring_within_days) filters.expiring_within_days = parseInt(expiring_within_days);
 
     const documents = await ComplianceService.getDocuments(filters);
     res.json({ success: true, data: documents });
@@ -226,15 +343,120 @@ router.get('/documents', authenticate, async (req, res) => {
 
 /**
  * POST /api/compliance/documents
- * Create new document
+ * Create new document (multipart: "file" plus document fields)
  */
-router.post('/documents', authenticate, async (req, res) => {
+router.post('/documents', authenticate, upload.single('file'), async (req, res) => {
   try {
-    const document = await ComplianceService.createDocument(req.body, req.user.id);
+    await assertLocationAccess(req, req.body.location_id);
+    const document = await ComplianceService.createDocument(req.body, req.user.id, req.file);
     res.status(201).json({ success: true, data: document });
   } catch (error) {
     console.error('[Compliance API] Error creating document:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/compliance/documents/:id/download
+ * Signed, expiring download URL for a document's file
+ */
+router.get('/documents/:id/download', authenticate, async (req, res) => {
+  try {
+    const download = await ComplianceService.getDocumentDownload(req.params.id);
+    if (!download) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    res.json({ success: true, data: download });
+  } catch (error) {
+    console.error('[Compliance API] Error getting document download:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/compliance/documents/:id/versions
+ * Upload a new revision (multipart: "file", change_description and any updated
+ * dates or fields)
+ */
+router.post('/documents/:id/versions', authenticate, upload.single('file'), async (req, res) => {
+  try {
+    const document = await ComplianceService.uploadDocumentVersion(req.params.id, req.body, req.user.id, req.file);
+    res.status(201).json({ success: true, data: document });
+  } catch (error) {
+    console.error('[Compliance API] Error uploading document version:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/compliance/documents/:id/versions
+ * Version history with the changes made in each version
+ */
+router.get('/documents/:id/versions', authenticate, async (req, res) => {
+  try {
+    const history = await ComplianceService.getDocumentVersions(req.params.id);
+    if (!history) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('[Compliance API] Error getting document versions:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/compliance/documents/:id/versions/diff?from=1&to=2
+ * Field changes between two versions (defaults to the latest change)
+ */
+router.get('/documents/:id/versions/diff', authenticate, async (req, res) => {
+  try {
+    const diff = await ComplianceService.getDocumentVersionDiff(req.params.id, req.query.from, req.query.to);
+    if (!diff) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    res.json({ success: true, data: diff });
+  } catch (error) {
+    console.error('[Compliance API] Error diffing document versions:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/compliance/documents/:id/versions/:version/download
+ * Signed, expiring download URL for an earlier version's file
+ */
+router.get('/documents/:id/versions/:version/download', authenticate, async (req, res) => {
+  try {
+    const download = await ComplianceService.getDocumentVersionDownload(req.params.id, req.params.version);
+    if (!download) {
+      return res.status(404).json({ success: false, error: 'Document version not found' });
+    }
+    res.json({ success: true, data: download });
+  } catch (error) {
+    console.error('[Compliance API] Error getting document version download:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/compliance/locations/:locationId/document-packet?format=pdf|json
+ * Current permits, licenses and certificates for a location, for inspectors
+ */
+router.get('/locations/:locationId/document-packet', authenticate, async (req, res) => {
+  try {
+    if (req.query.format === 'json') {
+      const packet = await ComplianceService.getDocumentPacket(req.params.locationId);
+      return res.json({ success: true, data: packet });
+    }
+
+    const { data, filename, contentType } = await ComplianceService.exportDocumentPacketPdf(req.params.locationId);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(data);
+  } catch (error) {
+    console.error('[Compliance API] Error exporting document packet:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -9,6 +9,7 @@ const express = require('express');
 const router = express.Router();
 const CustomerPortalService = require('../services/CustomerPortalService');
 const bcrypt = require('bcrypt');
+const { secure } = require('../middleware/authorization');
 
 // Middleware to authenticate customer requests
 const authenticateCustomer = (req, res, next) => {
@@ -111,7 +112,29 @@ router.post('/orders', authenticateCustomer, async (req, res) => {
     res.status(201).json({ success: true, data: order });
   } catch (error) {
     console.error('[Customer API] Error creating order:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.unavailableItems && { unavailable_items: error.unavailableItems })
+    });
+  }
+});
+
+/**
+ * POST /api/customers/orders/quote
+ * Price an order (modifiers, combos, totals) without placing it
+ */
+router.post('/orders/quote', authenticateCustomer, async (req, res) => {
+  try {
+    const quote = await CustomerPortalService.priceOrder(req.body, req.customer.id);
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    console.error('[Customer API] Error pricing order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.unavailableItems && { unavailable_items: error.unavailableItems })
+    });
   }
 });
 
@@ -150,13 +173,13 @@ router.get('/orders/:id', authenticateCustomer, async (req, res) => {
  * PUT /api/customers/orders/:id/status
  * Update order status (for staff/admin)
  */
-router.put('/orders/:id/status', async (req, res) => {
+router.put('/orders/:id/status', secure('customerOrders'), async (req, res) => {
   try {
     const { status } = req.body;
     const order = await CustomerPortalService.updateOrderStatus(
       req.params.id,
       status,
-      req.headers['x-user-id']
+      req.user.id
     );
     res.json({ success: true, data: order });
   } catch (error) {
@@ -364,7 +387,7 @@ router.get('/delivery/zone', async (req, res) => {
  * POST /api/customers/orders/:id/assign-driver
  * Assign driver to order
  */
-router.post('/orders/:id/assign-driver', async (req, res) => {
+router.post('/orders/:id/assign-driver', secure('customerOrders'), async (req, res) => {
   try {
     const { driver_id } = req.body;
     const order = await CustomerPortalService.assignDriverToOrder(req.params.id, driver_id);
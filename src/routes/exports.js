@@ -1,6 +1,6 @@
 /**
  * Data Export Routes
- * Data exports to CSV, JSON, XLSX formats
+ * Data exports to CSV, JSON, XLSX and PDF formats
  */
 
 const express = require('express');
@@ -11,7 +11,7 @@ const router = express.Router();
 // Create export job
 router.post('/', async (req, res, next) => {
   try {
-    const exportJob = await DataExportService.createExportJob(req.body);
+    const exportJob = await DataExportService.createExportJob({ ...req.body, userId: req.user.id });
     res.status(201).json({ success: true, data: exportJob });
   } catch (error) {
     next(error);
@@ -21,7 +21,7 @@ router.post('/', async (req, res, next) => {
 // Get user's export jobs
 router.get('/my-exports', async (req, res, next) => {
   try {
-    const { userId } = req.query;
+    const userId = req.user.id;
     const { limit = 20 } = req.query;
     const exports = await DataExportService.getUserExports(userId, parseInt(limit));
     res.json({ success: true, data: exports });
@@ -0,0 +1,78 @@
+/**
+ * File Routes
+ * Signed download links for files in object storage
+ */
+
+const express = require('express');
+const StorageService = require('../services/StorageService');
+const LocationService = require('../services/LocationService');
+const { authenticate } = require('../middleware/auth');
+const { sanitizeFilename } = require('../utils/fileTypes');
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/files/download
+ * Serve a local-disk object; the link itself carries the authorization (key, expires, signature)
+ */
+router.get('/download', async (req, res, next) => {
+  try {
+    const { key, expires, filename = '', signature } = req.query;
+    const { data, contentType } = await StorageService.readSignedDownload({ key, expires, filename, signature });
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    if (filename) {
+      res.setHeader('Content-Disposition', `inline; filename="${sanitizeFilename(filename)}"`);
+    }
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Load a file the caller's locations can see
+ */
+const loadFile = async (req, res, next) => {
+  try {
+    const file = await StorageService.getFile(req.params.id);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    if (file.location_id) {
+      const accessible = await LocationService.getAccessibleLocationIds(req.user);
+      if (accessible !== null && !accessible.includes(file.location_id)) {
+        return res.status(403).json({ success: false, error: 'Access denied to this file' });
+      }
+    }
+
+    req.storedFile = file;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/files/:id
+ * File metadata with signed URLs. ?redirect=true (optionally &variant=thumbnail)
+ * redirects to the signed URL instead, so the reference works as an image source.
+ */
+router.get('/:id', authenticate, loadFile, async (req, res, next) => {
+  try {
+    const file = await StorageService.getSignedFile(req.storedFile);
+
+    if (req.query.redirect === 'true') {
+      const target = req.query.variant === 'thumbnail' && file.thumbnailUrl ? file.thumbnailUrl : file.url;
+      return res.redirect(302, target);
+    }
+
+    res.json({ success: true, data: file });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -8,12 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const FinancialService = require('../services/FinancialService');
-
-// Middleware to authenticate requests
-const authenticate = (req, res, next) => {
-  req.user = { id: req.headers['x-user-id'] || 'system' };
-  next();
-};
+const { authenticate } = require('../middleware/auth');
 
 // ============================================
 // CHART OF ACCOUNTS
@@ -61,7 +56,7 @@ router.post('/journal-entries', authenticate, async (req, res) => {
     res.status(201).json({ success: true, data: entry });
   } catch (error) {
     console.error('[Financial API] Error creating journal entry:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -92,10 +87,115 @@ router.post('/journal-entries/:id/post', authenticate, async (req, res) => {
     res.json({ success: true, data: entry });
   } catch (error) {
     console.error('[Financial API] Error posting journal entry:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// FISCAL PERIODS
+// ============================================
+
+/**
+ * GET /api/financial/fiscal-periods
+ * Get fiscal periods (?fiscal_year, ?status)
+ */
+router.get('/fiscal-periods', authenticate, async (req, res) => {
+  try {
+    const periods = await FinancialService.getFiscalPeriods(req.query);
+    res.json({ success: true, data: periods });
+  } catch (error) {
+    console.error('[Financial API] Error getting fiscal periods:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/financial/fiscal-periods
+ * Open a fiscal year as monthly periods ({ fiscal_year, start_month })
+ */
+router.post('/fiscal-periods', authenticate, async (req, res) => {
+  try {
+    const periods = await FinancialService.createFiscalYear(req.body, req.user.id);
+    res.status(201).json({ success: true, data: periods });
+  } catch (error) {
+    console.error('[Financial API] Error creating fiscal year:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/financial/fiscal-periods/:id/history
+ * Close and reopen audit trail of a period
+ */
+router.get('/fiscal-periods/:id/history', authenticate, async (req, res) => {
+  try {
+    const history = await FinancialService.getPeriodHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({ success: false, error: 'Fiscal period not found' });
+    }
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('[Financial API] Error getting fiscal period history:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * POST /api/financial/fiscal-periods/:id/soft-close
+ * Soft-close a period; only adjusting entries can still post
+ */
+router.post('/fiscal-periods/:id/soft-close', authenticate, async (req, res) => {
+  try {
+    const period = await FinancialService.closePeriod(req.params.id, 'soft', req.user.id);
+    res.json({ success: true, data: period });
+  } catch (error) {
+    console.error('[Financial API] Error soft-closing fiscal period:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/financial/fiscal-periods/:id/hard-close
+ * Hard-close a period; nothing posts until it is reopened
+ */
+router.post('/fiscal-periods/:id/hard-close', authenticate, async (req, res) => {
+  try {
+    const period = await FinancialService.closePeriod(req.params.id, 'hard', req.user.id);
+    res.json({ success: true, data: period });
+  } catch (error) {
+    console.error('[Financial API] Error hard-closing fiscal period:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/financial/fiscal-periods/:id/reopen
+ * Reopen a closed period ({ reason }); requires financial:reopen
+ */
+router.post('/fiscal-periods/:id/reopen', authenticate, async (req, res) => {
+  try {
+    const period = await FinancialService.reopenPeriod(req.params.id, req.body.reason, req.user.id);
+    res.json({ success: true, data: period });
+  } catch (error) {
+    console.error('[Financial API] Error reopening fiscal period:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/financial/fiscal-years/:year/close
+ * Year-end close into retained earnings ({ retained_earnings_account_id } optional)
+ */
+router.post('/fiscal-years/:year/close', authenticate, async (req, res) => {
+  try {
+    const closing = await FinancialService.closeFiscalYear(req.params.year, req.body, req.user.id);
+    res.status(201).json({ success: true, data: closing });
+  } catch (error) {
+    console.error('[Financial API] Error closing fiscal year:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // ACCOUNTS PAYABLE
 // ============================================
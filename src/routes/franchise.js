@@ -8,12 +8,8 @@
 const express = require('express');
 const router = express.Router();
 const FranchiseService = require('../services/FranchiseService');
-
-// Middleware
-const authenticate = (req, res, next) => {
-  req.user = { id: req.headers['x-user-id'] || 'system' };
-  next();
-};
+const TrainingService = require('../services/TrainingService');
+const { authenticate } = require('../middleware/auth');
 
 // ============================================
 // BRANDS
@@ -249,6 +245,406 @@ router.get('/inspections', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// TERRITORIES
+// ============================================
+
+/**
+ * POST /api/franchise/territories
+ * Create territory (postal codes or polygon), optionally assigned to an agreement
+ */
+router.post('/territories', authenticate, async (req, res) => {
+  try {
+    const territory = await FranchiseService.createTerritory(req.body, req.user.id);
+    res.status(201).json({ success: true, data: territory });
+  } catch (error) {
+    console.error('[Franchise API] Error creating territory:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, conflicts: error.conflicts });
+  }
+});
+
+/**
+ * GET /api/franchise/territories
+ * Get territories
+ */
+router.get('/territories', authenticate, async (req, res) => {
+  try {
+    const territories = await FranchiseService.getTerritories(req.query);
+    res.json({ success: true, data: territories });
+  } catch (error) {
+    console.error('[Franchise API] Error getting territories:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/territories/availability
+ * Check whether a candidate address (postal_code and/or latitude, longitude) is available
+ */
+router.get('/territories/availability', authenticate, async (req, res) => {
+  try {
+    const { brand_id, postal_code, latitude, longitude } = req.query;
+    const availability = await FranchiseService.checkTerritoryAvailability({
+      brand_id,
+      postal_code,
+      latitude: latitude ?? null,
+      longitude: longitude ?? null
+    });
+    res.json({ success: true, data: availability });
+  } catch (error) {
+    console.error('[Franchise API] Error checking territory availability:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/territories/reports
+ * Locations and delivery zones inside each territory
+ */
+router.get('/territories/reports', authenticate, async (req, res) => {
+  try {
+    const reports = await FranchiseService.getTerritoryReports({ brand_id: req.query.brand_id });
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    console.error('[Franchise API] Error getting territory reports:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/territories/:id
+ * Get territory by ID
+ */
+router.get('/territories/:id', authenticate, async (req, res) => {
+  try {
+    const territory = await FranchiseService.getTerritoryById(req.params.id);
+    if (!territory) {
+      return res.status(404).json({ success: false, error: 'Territory not found' });
+    }
+    res.json({ success: true, data: territory });
+  } catch (error) {
+    console.error('[Franchise API] Error getting territory:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/territories/:id/report
+ * Locations and delivery zones inside a territory
+ */
+router.get('/territories/:id/report', authenticate, async (req, res) => {
+  try {
+    const [report] = await FranchiseService.getTerritoryReports({ territory_id: req.params.id });
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Territory not found' });
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('[Franchise API] Error getting territory report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/franchise/territories/:id/assign
+ * Assign territory to a franchise agreement
+ */
+router.post('/territories/:id/assign', authenticate, async (req, res) => {
+  try {
+    const { agreement_id, force } = req.body;
+    if (!agreement_id) {
+      return res.status(400).json({ success: false, error: 'agreement_id is required' });
+    }
+    const territory = await FranchiseService.assignTerritory(req.params.id, agreement_id, { force: force === true });
+    res.json({ success: true, data: territory });
+  } catch (error) {
+    console.error('[Franchise API] Error assigning territory:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, conflicts: error.conflicts });
+  }
+});
+
+/**
+ * POST /api/franchise/territories/:id/release
+ * Release territory from its agreement
+ */
+router.post('/territories/:id/release', authenticate, async (req, res) => {
+  try {
+    const territory = await FranchiseService.releaseTerritory(req.params.id);
+    if (!territory) {
+      return res.status(404).json({ success: false, error: 'Territory not found' });
+    }
+    res.json({ success: true, data: territory });
+  } catch (error) {
+    console.error('[Franchise API] Error releasing territory:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/territory-conflicts
+ * Get territory overlaps and encroachments
+ */
+router.get('/territory-conflicts', authenticate, async (req, res) => {
+  try {
+    const conflicts = await FranchiseService.getTerritoryConflicts(req.query);
+    res.json({ success: true, data: conflicts });
+  } catch (error) {
+    console.error('[Franchise API] Error getting territory conflicts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/franchise/territory-conflicts/:id/resolve
+ * Acknowledge or resolve territory conflict
+ */
+router.post('/territory-conflicts/:id/resolve', authenticate, async (req, res) => {
+  try {
+    const { status = 'resolved', resolution_notes } = req.body;
+    const conflict = await FranchiseService.resolveTerritoryConflict(
+      req.params.id,
+      status,
+      resolution_notes,
+      req.user.id
+    );
+    if (!conflict) {
+      return res.status(404).json({ success: false, error: 'Conflict not found' });
+    }
+    res.json({ success: true, data: conflict });
+  } catch (error) {
+    console.error('[Franchise API] Error resolving territory conflict:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// TRAINING & CERTIFICATION
+// ============================================
+
+/**
+ * POST /api/franchise/training/programs
+ * Create training program with modules
+ */
+router.post('/training/programs', authenticate, async (req, res) => {
+  try {
+    const program = await TrainingService.createProgram(req.body, req.user.id);
+    res.status(201).json({ success: true, data: program });
+  } catch (error) {
+    console.error('[Franchise API] Error creating training program:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/training/programs
+ * Get training programs
+ */
+router.get('/training/programs', authenticate, async (req, res) => {
+  try {
+    const programs = await TrainingService.getPrograms(req.query);
+    res.json({ success: true, data: programs });
+  } catch (error) {
+    console.error('[Franchise API] Error getting training programs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/training/programs/:id
+ * Get training program with modules
+ */
+router.get('/training/programs/:id', authenticate, async (req, res) => {
+  try {
+    const program = await TrainingService.getProgramById(req.params.id);
+    if (!program) {
+      return res.status(404).json({ success: false, error: 'Program not found' });
+    }
+    res.json({ success: true, data: program });
+  } catch (error) {
+    console.error('[Franchise API] Error getting training program:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/franchise/training/programs/:id/modules
+ * Add module to training program
+ */
+router.post('/training/programs/:id/modules', authenticate, async (req, res) => {
+  try {
+    const trainingModule = await TrainingService.addModule(req.params.id, req.body);
+    res.status(201).json({ success: true, data: trainingModule });
+  } catch (error) {
+    console.error('[Franchise API] Error adding training module:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/franchise/training/programs/:id/assignments
+ * Assign training program to a role and/or location
+ */
+router.post('/training/programs/:id/assignments', authenticate, async (req, res) => {
+  try {
+    const assignment = await TrainingService.assignProgram(req.params.id, req.body, req.user.id);
+    res.status(201).json({ success: true, data: assignment });
+  } catch (error) {
+    console.error('[Franchise API] Error assigning training program:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/training/assignments
+ * Get training assignments
+ */
+router.get('/training/assignments', authenticate, async (req, res) => {
+  try {
+    const assignments = await TrainingService.getAssignments(req.query);
+    res.json({ success: true, data: assignments });
+  } catch (error) {
+    console.error('[Franchise API] Error getting training assignments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/franchise/training/assignments/:id
+ * Remove training assignment
+ */
+router.delete('/training/assignments/:id', authenticate, async (req, res) => {
+  try {
+    const assignment = await TrainingService.removeAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ success: false, error: 'Assignment not found' });
+    }
+    res.json({ success: true, data: assignment });
+  } catch (error) {
+    console.error('[Franchise API] Error removing training assignment:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/franchise/training/records
+ * Record training completion or externally issued certificate
+ */
+router.post('/training/records', authenticate, async (req, res) => {
+  try {
+    const record = await TrainingService.recordTrainingCompletion(req.body, req.user.id);
+    res.status(201).json({ success: true, data: record });
+  } catch (error) {
+    console.error('[Franchise API] Error recording training:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/training/records
+ * Get training records
+ */
+router.get('/training/records', authenticate, async (req, res) => {
+  try {
+    const records = await TrainingService.getTrainingRecords(req.query);
+    res.json({ success: true, data: records });
+  } catch (error) {
+    console.error('[Franchise API] Error getting training records:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/franchise/training/users/:userId/module-completions
+ * Record module completion and quiz score for employee
+ */
+router.post('/training/users/:userId/module-completions', authenticate, async (req, res) => {
+  try {
+    const { program_id, module_id } = req.body;
+    if (!program_id || !module_id) {
+      return res.status(400).json({ success: false, error: 'program_id and module_id are required' });
+    }
+    const result = await TrainingService.recordModuleCompletion(req.params.userId, req.body);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('[Franchise API] Error recording module completion:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/training/users/:userId/status
+ * Get employee training status
+ */
+router.get('/training/users/:userId/status', authenticate, async (req, res) => {
+  try {
+    const status = await TrainingService.getUserTrainingStatus(req.params.userId);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('[Franchise API] Error getting training status:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/training/certifications/expiring
+ * Get certifications expiring within `days` (default 30) or already expired
+ */
+router.get('/training/certifications/expiring', authenticate, async (req, res) => {
+  try {
+    const { days, location_id } = req.query;
+    const certifications = await TrainingService.getExpiringCertifications({ days, location_id });
+    res.json({ success: true, data: certifications });
+  } catch (error) {
+    console.error('[Franchise API] Error getting expiring certifications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/franchise/training/position-requirements
+ * Require certification for shift position
+ */
+router.post('/training/position-requirements', authenticate, async (req, res) => {
+  try {
+    const requirement = await TrainingService.setPositionRequirement(req.body, req.user.id);
+    res.status(201).json({ success: true, data: requirement });
+  } catch (error) {
+    console.error('[Franchise API] Error setting position requirement:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/franchise/training/position-requirements
+ * Get position certification requirements
+ */
+router.get('/training/position-requirements', authenticate, async (req, res) => {
+  try {
+    const requirements = await TrainingService.getPositionRequirements(req.query);
+    res.json({ success: true, data: requirements });
+  } catch (error) {
+    console.error('[Franchise API] Error getting position requirements:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/franchise/training/position-requirements/:id
+ * Remove position certification requirement
+ */
+router.delete('/training/position-requirements/:id', authenticate, async (req, res) => {
+  try {
+    const requirement = await TrainingService.removePositionRequirement(req.params.id);
+    if (!requirement) {
+      return res.status(404).json({ success: false, error: 'Requirement not found' });
+    }
+    res.json({ success: true, data: requirement });
+  } catch (error) {
+    console.error('[Franchise API] Error removing position requirement:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // FRANCHISE SUPPORT
 // ============================================
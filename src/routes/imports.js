@@ -0,0 +1,119 @@
+/**
+ * Data Import Routes
+ * Bulk CSV/JSON imports with dry-run validation and rollback
+ */
+
+const express = require('express');
+const multer = require('multer');
+const DataImportService = require('../services/DataImportService');
+const { authenticate } = require('../middleware/auth');
+const { assertLocationAccess } = require('../middleware/authorization');
+const config = require('../config/app');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.imports.maxFileSize
+  }
+});
+
+router.use(authenticate);
+
+/**
+ * GET /api/v1/imports/types
+ * Importable record types and their fields
+ */
+router.get('/types', (req, res) => {
+  res.json({ success: true, data: DataImportService.getImportTypes() });
+});
+
+/**
+ * GET /api/v1/imports
+ * Recent imports, optionally for one location
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { locationId, limit = 20 } = req.query;
+    const imports = await DataImportService.getImportJobs({ locationId, limit: parseInt(limit) });
+    res.json({ success: true, data: imports });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/imports
+ * Upload a file (multipart field "file"). Set dryRun=true to validate only.
+ */
+router.post('/', upload.single('file'), async (req, res, next) => {
+  try {
+    const { importType, format, mapping, dryRun, skipInvalidRows } = req.body;
+    // Multipart fields are only parsed here, after the router-level location checks
+    const locationId = req.body.locationId || req.user.locationId;
+    await assertLocationAccess(req, locationId);
+
+    const importJob = await DataImportService.createImportJob({
+      file: req.file,
+      importType,
+      locationId,
+      userId: req.user.id,
+      format,
+      mapping,
+      dryRun: dryRun === true || dryRun === 'true',
+      skipInvalidRows: skipInvalidRows === true || skipInvalidRows === 'true'
+    });
+
+    res.status(201).json({ success: true, data: importJob });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/imports/:id
+ * Import status, row counts and validation errors
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const importJob = await DataImportService.getImportJob(req.params.id);
+    if (!importJob) {
+      return res.status(404).json({ success: false, error: 'Import not found' });
+    }
+    res.json({ success: true, data: importJob });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/imports/:id/run
+ * Run an import that was uploaded as a dry run
+ */
+router.post('/:id/run', async (req, res, next) => {
+  try {
+    const { skipInvalidRows } = req.body;
+    const importJob = await DataImportService.startImport(req.params.id, {
+      skipInvalidRows: skipInvalidRows === undefined ? undefined : Boolean(skipInvalidRows)
+    });
+    res.json({ success: true, data: importJob });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/imports/:id/rollback
+ * Undo a completed import
+ */
+router.post('/:id/rollback', async (req, res, next) => {
+  try {
+    const importJob = await DataImportService.rollbackImport(req.params.id, req.user.id);
+    res.json({ success: true, data: importJob });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
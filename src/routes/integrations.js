@@ -5,6 +5,9 @@
 
 const express = require('express');
 const IntegrationsService = require('../services/IntegrationsService');
+const AuthorizationService = require('../services/AuthorizationService');
+const { describeCatalog } = require('../utils/domainEvents');
+const { assertLocationAccess } = require('../middleware/authorization');
 
 const router = express.Router();
 
@@ -30,11 +33,53 @@ router.get('/providers/:id', async (req, res, next) => {
   }
 });
 
+router.put('/providers/:id/oauth', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const provider = await IntegrationsService.configureProviderOAuth(id, req.body, req.user.id);
+    if (!provider) {
+      return res.status(404).json({ success: false, error: 'Integration provider not found' });
+    }
+    res.json({ success: true, data: provider });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== OAUTH CONNECT =====
+
+router.post('/oauth/:providerId/authorize', async (req, res, next) => {
+  try {
+    const { providerId } = req.params;
+    const result = await IntegrationsService.startOAuthConnect(providerId, req.body, req.user.id);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Public: the provider redirects the user's browser here, so there is no bearer token
+router.get('/oauth/callback', async (req, res, next) => {
+  try {
+    const result = await IntegrationsService.completeOAuthConnect(req.query);
+    const returnUrl = new URL(result.returnUrl);
+
+    returnUrl.searchParams.set('oauth', result.success ? 'connected' : 'failed');
+    if (result.providerId) returnUrl.searchParams.set('provider', result.providerId);
+    if (result.integration) returnUrl.searchParams.set('integration', result.integration.id);
+    if (result.error) returnUrl.searchParams.set('error', result.error);
+
+    res.redirect(302, returnUrl.toString());
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ===== LOCATION INTEGRATIONS =====
 
 router.post('/connect', async (req, res, next) => {
   try {
-    const integration = await IntegrationsService.connectIntegration(req.body);
+    const integration = await IntegrationsService.connectIntegration(req.body, req.user.id);
     res.status(201).json({ success: true, data: integration });
   } catch (error) {
     next(error);
@@ -55,7 +100,7 @@ router.put('/:id/status', async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
-    const integration = await IntegrationsService.updateIntegrationStatus(id, status);
+    const integration = await IntegrationsService.updateIntegrationStatus(id, status, req.user.id);
     res.json({ success: true, data: integration });
   } catch (error) {
     next(error);
@@ -65,7 +110,25 @@ router.put('/:id/status', async (req, res, next) => {
 router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const integration = await IntegrationsService.disconnectIntegration(id);
+    const integration = await IntegrationsService.disconnectIntegration(id, req.user.id);
+    res.json({ success: true, data: integration });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/credentials', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { credentials } = req.body;
+    if (!credentials || typeof credentials !== 'object') {
+      return res.status(400).json({ success: false, error: 'credentials object is required' });
+    }
+
+    const integration = await IntegrationsService.updateIntegrationCredentials(id, credentials, req.user.id);
+    if (!integration) {
+      return res.status(404).json({ success: false, error: 'Integration not found' });
+    }
     res.json({ success: true, data: integration });
   } catch (error) {
     next(error);
@@ -96,12 +159,29 @@ router.get('/:id/sync-logs', async (req, res, next) => {
   }
 });
 
+// ===== EVENT CATALOG =====
+
+router.get('/events/catalog', (req, res) => {
+  res.json({ success: true, data: describeCatalog() });
+});
+
 // ===== WEBHOOKS =====
 
 router.post('/webhooks', async (req, res, next) => {
   try {
-    const webhook = await IntegrationsService.createWebhook(req.body);
-    res.status(201).json({ success: true, data: webhook });
+    // A webhook without a location receives every location's events
+    if (!req.body.locationId && (await AuthorizationService.getAccessibleLocationIds(req.user)) !== null) {
+      const error = new Error('locationId is required');
+      error.status = 400;
+      throw error;
+    }
+
+    const webhook = await IntegrationsService.createWebhook({ ...req.body, createdBy: req.user.id });
+    res.status(201).json({
+      success: true,
+      data: webhook,
+      message: 'Save the signing secret securely - it will not be shown again'
+    });
   } catch (error) {
     next(error);
   }
@@ -147,11 +227,96 @@ router.post('/webhooks/trigger', async (req, res, next) => {
   }
 });
 
+router.post('/webhooks/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { graceHours = 24 } = req.body;
+    const webhook = await IntegrationsService.rotateWebhookSecret(id, graceHours);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({
+      success: true,
+      data: webhook,
+      message: 'Save the new signing secret securely - it will not be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/webhooks/:id/deliveries', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, limit = 50 } = req.query;
+    const deliveries = await IntegrationsService.getWebhookDeliveries(id, { status, limit: parseInt(limit) });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/webhooks/deliveries/:deliveryId/replay', async (req, res, next) => {
+  try {
+    const { deliveryId } = req.params;
+    const result = await IntegrationsService.replayDelivery(deliveryId, req.user.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ===== API KEYS =====
 
+/**
+ * A key is managed by its creator, or by callers who reach every location it can
+ * (a key without locations only by callers who reach every location)
+ */
+const assertApiKeyAccess = async (req, res, next) => {
+  try {
+    const key = await IntegrationsService.getApiKeyScope(req.params.id);
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    if (key.user_id && key.user_id === req.user.id) {
+      return next();
+    }
+
+    const accessible = await AuthorizationService.getAccessibleLocationIds(req.user);
+    const keyLocations = [key.location_id, ...(key.allowed_location_ids || [])].filter(Boolean);
+    const reachable = accessible === null ||
+      (keyLocations.length > 0 && keyLocations.every(locationId => accessible.includes(locationId)));
+    if (!reachable) {
+      const error = new Error('Access denied to this API key');
+      error.status = 403;
+      throw error;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.all('/api-keys/:id/*', assertApiKeyAccess);
+
 router.post('/api-keys', async (req, res, next) => {
   try {
-    const apiKey = await IntegrationsService.createApiKey(req.body);
+    // A key can only be scoped to locations its creator can reach
+    const { allowedLocationIds, permissions } = req.body;
+    for (const locationId of Array.isArray(allowedLocationIds) ? allowedLocationIds : []) {
+      await assertLocationAccess(req, locationId);
+    }
+
+    // ...and only carries permissions its creator holds
+    const missing = await AuthorizationService.missingPermissions(req.user, Array.isArray(permissions) ? permissions : []);
+    if (missing.length > 0) {
+      const error = new Error(`You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+      error.status = 403;
+      throw error;
+    }
+
+    // Keys act for their creator, whose locations bound an unscoped key
+    const apiKey = await IntegrationsService.createApiKey({ ...req.body, userId: req.user.id });
     res.status(201).json({
       success: true,
       data: apiKey,
@@ -162,6 +327,17 @@ router.post('/api-keys', async (req, res, next) => {
   }
 });
 
+router.get('/api-keys/:id/usage', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { days } = req.query;
+    const usage = await IntegrationsService.getApiKeyUsage(id, { days });
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.post('/api-keys/:id/revoke', async (req, res, next) => {
   try {
     const { id } = req.params;
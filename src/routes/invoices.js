@@ -4,11 +4,18 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const InvoiceService = require('../services/InvoiceService');
 const validators = require('../utils/validators');
+const config = require('../config/app');
 
 const router = express.Router();
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.storage.kinds.invoice_scan.maxSize }
+});
+
 const REQUIRED_FIELDS = ['locationId', 'vendorId', 'invoiceNumber'];
 
 /**
@@ -642,4 +649,107 @@ router.post('/:id/ocr', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /invoices/{id}/scans:
+ *   post:
+ *     summary: Upload an invoice scan
+ *     description: Store a scanned invoice (PDF, JPEG, PNG or WebP) in object storage and attach it to the invoice
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scan
+ *             properties:
+ *               scan:
+ *                 type: string
+ *                 format: binary
+ *               uploadedBy:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Scan stored
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/scans', upload.single('scan'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No scan file provided'
+      });
+    }
+
+    const result = await InvoiceService.addScan(req.params.id, req.file, {
+      uploadedBy: req.body.uploadedBy || null
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/scans:
+ *   get:
+ *     summary: List invoice scans
+ *     description: Stored scans with signed, expiring download URLs
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scans retrieved
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/scans', async (req, res, next) => {
+  try {
+    const scans = await InvoiceService.getScans(req.params.id);
+
+    if (!scans) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: scans
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -7,13 +7,80 @@
 const express = require('express');
 const router = express.Router();
 const JobService = require('../services/JobService');
+const { authenticate } = require('../middleware/auth');
 
-// Middleware to authenticate requests (placeholder)
-const authenticate = (req, res, next) => {
-  // TODO: Implement actual authentication
-  req.user = { id: req.headers['x-user-id'] || 'system' };
-  next();
-};
+// ============================================
+// JOB DEFINITIONS (RECURRING SCHEDULES)
+// ============================================
+
+/**
+ * POST /api/jobs/definitions
+ * Create a recurring job definition
+ */
+router.post('/definitions', authenticate, async (req, res) => {
+  try {
+    JobService.validateSchedule(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const definition = await JobService.createJobDefinition(req.body, req.user.id);
+    res.status(201).json({ success: true, data: definition });
+  } catch (error) {
+    console.error('[Jobs API] Error creating job definition:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/definitions
+ * List job definitions
+ */
+router.get('/definitions', authenticate, async (req, res) => {
+  try {
+    const filters = { locationId: req.query.locationId };
+    if (req.query.isEnabled !== undefined) {
+      filters.isEnabled = req.query.isEnabled === 'true';
+    }
+    const definitions = await JobService.getJobDefinitions(filters);
+    res.json({ success: true, data: definitions });
+  } catch (error) {
+    console.error('[Jobs API] Error getting job definitions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/definitions/:id/next-runs
+ * Preview the next N run times of a job definition
+ */
+router.get('/definitions/:id/next-runs', authenticate, async (req, res) => {
+  try {
+    const preview = await JobService.getDefinitionNextRuns(req.params.id, req.query.count);
+    if (!preview) {
+      return res.status(404).json({ success: false, error: 'Job definition not found' });
+    }
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('[Jobs API] Error previewing job definition:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/schedules/preview
+ * Preview the next N run times of a cron expression or interval
+ * Body: { scheduleCron | scheduleIntervalMinutes, timezone, count, from }
+ */
+router.post('/schedules/preview', authenticate, async (req, res) => {
+  try {
+    const runs = JobService.previewSchedule(req.body);
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
 // ============================================
 // JOB MANAGEMENT
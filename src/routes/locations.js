@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const LocationService = require('../services/LocationService');
+const AuthorizationService = require('../services/AuthorizationService');
 const { authenticate, authorize } = require('../middleware/auth');
 
 /**
@@ -97,7 +98,8 @@ router.get('/', async (req, res) => {
       brandId,
       type,
       active: active !== undefined ? active === 'true' : undefined,
-      managerId
+      managerId,
+      ids: await AuthorizationService.getAccessibleLocationIds(req.user)
     });
 
     const hierarchy = await LocationService.getHierarchy();
@@ -171,7 +173,9 @@ router.get('/hierarchy/:level/:id', async (req, res) => {
   try {
     const { level, id } = req.params;
 
-    const locations = await LocationService.getLocationsByHierarchy(level, id);
+    const accessible = await AuthorizationService.getAccessibleLocationIds(req.user);
+    const locations = (await LocationService.getLocationsByHierarchy(level, id))
+      .filter(location => accessible === null || accessible.includes(location.id));
 
     res.json({
       success: true,
@@ -376,6 +380,10 @@ router.get('/:id', async (req, res) => {
  *                 type: string
  *                 description: State or province
  *                 example: IL
+ *               county:
+ *                 type: string
+ *                 description: County, used to match county health rules
+ *                 example: Sangamon
  *               zip:
  *                 type: string
  *                 description: ZIP or postal code
@@ -417,6 +425,21 @@ router.get('/:id', async (req, res) => {
  *                 type: object
  *                 description: Additional metadata as JSON
  *                 example: { "seatingCapacity": 50, "parkingSpaces": 20 }
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude, used for polygon franchise territories
+ *                 example: 39.7817
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude, used for polygon franchise territories
+ *                 example: -89.6501
+ *               franchiseAgreementId:
+ *                 type: string
+ *                 description: Franchise agreement operating the location
+ *               allowEncroachment:
+ *                 type: boolean
+ *                 description: Create the location even if it falls inside another agreement's exclusive territory (recorded as a territory conflict)
+ *                 example: false
  *     responses:
  *       201:
  *         description: Location created successfully
@@ -450,10 +473,29 @@ router.get('/:id', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: Insufficient permissions
+ *       409:
+ *         description: Location falls inside another agreement's exclusive franchise territory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                 conflicts:
+ *                   type: array
+ *                   items:
+ *                     type: object
  */
 router.post('/', authenticate, authorize('manager', 'district', 'regional', 'corporate'), async (req, res) => {
   try {
-    const { name, code, address, city, state, zip, phone, type, brandId, districtId, regionId, managerId, timezone, openingDate, metadata } = req.body;
+    const {
+      name, code, address, city, state, county, zip, phone, type, brandId, districtId, regionId, managerId, timezone, openingDate, metadata,
+      latitude, longitude, franchiseAgreementId, allowEncroachment
+    } = req.body;
 
     // Validate required fields
     if (!name || !code) {
@@ -469,6 +511,7 @@ router.post('/', authenticate, authorize('manager', 'district', 'regional', 'cor
       address,
       city,
       state,
+      county,
       zip,
       phone,
       type,
@@ -478,7 +521,11 @@ router.post('/', authenticate, authorize('manager', 'district', 'regional', 'cor
       managerId,
       timezone,
       openingDate,
-      metadata
+      metadata,
+      latitude,
+      longitude,
+      franchiseAgreementId,
+      allowEncroachment: allowEncroachment === true
     });
 
     res.status(201).json({
@@ -487,9 +534,10 @@ router.post('/', authenticate, authorize('manager', 'district', 'regional', 'cor
       message: 'Location created successfully'
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.conflicts && { conflicts: error.conflicts })
     });
   }
 });
@@ -538,6 +586,10 @@ router.post('/', authenticate, authorize('manager', 'district', 'regional', 'cor
  *                 type: string
  *                 description: State or province
  *                 example: IL
+ *               county:
+ *                 type: string
+ *                 description: County, used to match county health rules
+ *                 example: Sangamon
  *               zip:
  *                 type: string
  *                 description: ZIP or postal code
@@ -2,18 +2,14 @@
  * Marketing Automation API Routes
  * Phase 21
  *
- * Endpoints for campaigns, segmentation, promotions, and engagement
+ * Endpoints for campaigns, segmentation, workflows, promotions, and engagement
  */
 
 const express = require('express');
 const router = express.Router();
 const MarketingService = require('../services/MarketingService');
-
-// Middleware
-const authenticate = (req, res, next) => {
-  req.user = { id: req.headers['x-user-id'] || 'system' };
-  next();
-};
+const MarketingWorkflowService = require('../services/MarketingWorkflowService');
+const { authenticate } = require('../middleware/auth');
 
 // ============================================
 // CUSTOMER SEGMENTATION
@@ -29,7 +25,35 @@ router.post('/segments', authenticate, async (req, res) => {
     res.status(201).json({ success: true, data: segment });
   } catch (error) {
     console.error('[Marketing API] Error creating segment:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/marketing/segments/preview
+ * Count customers matching dynamic segment rules before saving
+ */
+router.post('/segments/preview', authenticate, async (req, res) => {
+  try {
+    const preview = await MarketingService.previewSegment(req.body.criteria);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('[Marketing API] Error previewing segment:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/marketing/segments/:id/refresh
+ * Recompute dynamic segment membership now
+ */
+router.post('/segments/:id/refresh', authenticate, async (req, res) => {
+  try {
+    const result = await MarketingService.refreshSegment(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('[Marketing API] Error refreshing segment:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -58,7 +82,7 @@ router.post('/segments/:id/members', authenticate, async (req, res) => {
     res.json({ success: true, message: 'Customers added to segment' });
   } catch (error) {
     console.error('[Marketing API] Error adding customers to segment:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -121,7 +145,21 @@ router.post('/campaigns/:id/send', authenticate, async (req, res) => {
     res.json({ success: true, data: result });
   } catch (error) {
     console.error('[Marketing API] Error sending campaign:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/marketing/campaigns/:id/pause
+ * Stop sending further batches (send again to resume)
+ */
+router.post('/campaigns/:id/pause', authenticate, async (req, res) => {
+  try {
+    const campaign = await MarketingService.pauseCampaign(req.params.id);
+    res.json({ success: true, data: campaign });
+  } catch (error) {
+    console.error('[Marketing API] Error pausing campaign:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -139,6 +177,184 @@ router.get('/campaigns/:id/performance', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// TRACKING & UNSUBSCRIBE (links in campaign email)
+// ============================================
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * GET /api/marketing/track/open/:messageId
+ * Open-tracking pixel
+ */
+router.get('/track/open/:messageId', async (req, res) => {
+  try {
+    if (MarketingService.verifyTrackingSignature('open', req.params.messageId, req.query.sig)) {
+      await MarketingService.recordMessageEvent(req.params.messageId, 'opened');
+    }
+  } catch (error) {
+    console.error('[Marketing API] Error tracking open:', error);
+  }
+
+  res.set({ 'Content-Type': 'image/gif', 'Cache-Control': 'no-store, max-age=0' });
+  res.send(TRACKING_PIXEL);
+});
+
+/**
+ * GET /api/marketing/track/click/:messageId
+ * Record a click and redirect to the original link
+ */
+router.get('/track/click/:messageId', async (req, res) => {
+  const { url, sig } = req.query;
+  if (!url || !MarketingService.verifyTrackingSignature('click', req.params.messageId, sig, url)) {
+    return res.status(400).json({ success: false, error: 'Invalid tracking link' });
+  }
+
+  try {
+    await MarketingService.recordMessageEvent(req.params.messageId, 'clicked', { url });
+  } catch (error) {
+    console.error('[Marketing API] Error tracking click:', error);
+  }
+
+  res.redirect(302, url);
+});
+
+/**
+ * GET /api/marketing/unsubscribe/:messageId
+ * One-click unsubscribe from marketing email
+ */
+router.get('/unsubscribe/:messageId', async (req, res) => {
+  try {
+    if (!MarketingService.verifyTrackingSignature('unsubscribe', req.params.messageId, req.query.sig)) {
+      return res.status(400).json({ success: false, error: 'Invalid unsubscribe link' });
+    }
+
+    await MarketingService.unsubscribeFromMessage(req.params.messageId);
+    res.json({ success: true, message: 'You have been unsubscribed from marketing email' });
+  } catch (error) {
+    console.error('[Marketing API] Error unsubscribing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// WORKFLOWS
+// ============================================
+
+/**
+ * POST /api/marketing/workflows
+ * Create workflow with its steps
+ */
+router.post('/workflows', authenticate, async (req, res) => {
+  try {
+    const workflow = await MarketingWorkflowService.createWorkflow(req.body, req.user.id);
+    res.status(201).json({ success: true, data: workflow });
+  } catch (error) {
+    console.error('[Marketing API] Error creating workflow:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/marketing/workflows
+ * Get workflows
+ */
+router.get('/workflows', authenticate, async (req, res) => {
+  try {
+    const workflows = await MarketingWorkflowService.getWorkflows(req.query);
+    res.json({ success: true, data: workflows });
+  } catch (error) {
+    console.error('[Marketing API] Error getting workflows:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/marketing/workflows/:id
+ * Get workflow with steps
+ */
+router.get('/workflows/:id', authenticate, async (req, res) => {
+  try {
+    const workflow = await MarketingWorkflowService.getWorkflowById(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    res.json({ success: true, data: workflow });
+  } catch (error) {
+    console.error('[Marketing API] Error getting workflow:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/marketing/workflows/:id
+ * Activate or deactivate workflow
+ */
+router.patch('/workflows/:id', authenticate, async (req, res) => {
+  try {
+    if (req.body.is_active === undefined) {
+      return res.status(400).json({ success: false, error: 'is_active is required' });
+    }
+    const workflow = await MarketingWorkflowService.setWorkflowActive(req.params.id, req.body.is_active);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    res.json({ success: true, data: workflow });
+  } catch (error) {
+    console.error('[Marketing API] Error updating workflow:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/marketing/workflows/:id/enroll
+ * Manually enroll a customer
+ */
+router.post('/workflows/:id/enroll', authenticate, async (req, res) => {
+  try {
+    if (!req.body.customer_id) {
+      return res.status(400).json({ success: false, error: 'customer_id is required' });
+    }
+    const execution = await MarketingWorkflowService.startExecution(req.params.id, req.body.customer_id, {
+      triggerKey: req.body.trigger_key || null,
+      context: req.body.context || {}
+    });
+    res.status(201).json({ success: true, data: execution });
+  } catch (error) {
+    console.error('[Marketing API] Error enrolling customer:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/marketing/workflows/:id/executions
+ * Get workflow executions
+ */
+router.get('/workflows/:id/executions', authenticate, async (req, res) => {
+  try {
+    const executions = await MarketingWorkflowService.getExecutions(req.params.id, req.query);
+    res.json({ success: true, data: executions });
+  } catch (error) {
+    console.error('[Marketing API] Error getting workflow executions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/marketing/workflow-executions/:id/cancel
+ * Cancel a running or waiting execution
+ */
+router.post('/workflow-executions/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const execution = await MarketingWorkflowService.cancelExecution(req.params.id);
+    res.json({ success: true, data: execution });
+  } catch (error) {
+    console.error('[Marketing API] Error cancelling workflow execution:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // EMAIL TEMPLATES
 // ============================================
@@ -7,12 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const MenuManagementService = require('../services/MenuManagementService');
-
-// Middleware to authenticate requests (placeholder)
-const authenticate = (req, res, next) => {
-  req.user = { id: req.headers['x-user-id'] || 'system' };
-  next();
-};
+const { authenticate } = require('../middleware/auth');
 
 // ============================================
 // MENU CATEGORIES
@@ -73,12 +68,15 @@ router.get('/items', authenticate, async (req, res) => {
 
 /**
  * GET /api/menu/full
- * Get full menu with categories
+ * Get full menu with categories as sold now (or at `as_of`)
  */
 router.get('/full', authenticate, async (req, res) => {
   try {
-    const { location_id } = req.query;
-    const menu = await MenuManagementService.getFullMenu(location_id);
+    const { location_id, as_of, include_unavailable } = req.query;
+    const menu = await MenuManagementService.getFullMenu(location_id, {
+      as_of,
+      include_unavailable: include_unavailable === 'true'
+    });
     res.json({ success: true, data: menu });
   } catch (error) {
     console.error('[Menu API] Error getting full menu:', error);
@@ -86,6 +84,21 @@ router.get('/full', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/menu/preview
+ * Preview menu as of a date/time, with active dayparts and seasonal menus
+ */
+router.get('/preview', authenticate, async (req, res) => {
+  try {
+    const { location_id, as_of } = req.query;
+    const preview = await MenuManagementService.getMenuPreview(location_id, as_of);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('[Menu API] Error previewing menu:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/menu/items
  * Create menu item
@@ -114,6 +127,298 @@ router.put('/items/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/menu/items/:id/locations/:locationId
+ * Set location price, availability or daypart override for menu item
+ */
+router.put('/items/:id/locations/:locationId', authenticate, async (req, res) => {
+  try {
+    const override = await MenuManagementService.setItemLocationOverride(
+      req.params.id,
+      req.params.locationId,
+      req.body,
+      req.user.id
+    );
+    res.json({ success: true, data: override });
+  } catch (error) {
+    console.error('[Menu API] Error setting item location override:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// DAYPARTS & SEASONAL MENUS
+// ============================================
+
+/**
+ * GET /api/menu/dayparts
+ * Get dayparts
+ */
+router.get('/dayparts', authenticate, async (req, res) => {
+  try {
+    const dayparts = await MenuManagementService.getDayparts(req.query.location_id);
+    res.json({ success: true, data: dayparts });
+  } catch (error) {
+    console.error('[Menu API] Error getting dayparts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/menu/dayparts
+ * Create or update daypart
+ */
+router.post('/dayparts', authenticate, async (req, res) => {
+  try {
+    const daypart = await MenuManagementService.saveDaypart(req.body, req.user.id);
+    res.status(201).json({ success: true, data: daypart });
+  } catch (error) {
+    console.error('[Menu API] Error saving daypart:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/menu/seasonal-menus
+ * Create seasonal, limited-time or daypart menu
+ */
+router.post('/seasonal-menus', authenticate, async (req, res) => {
+  try {
+    const seasonalMenu = await MenuManagementService.createSeasonalMenu(req.body, req.user.id);
+    res.status(201).json({ success: true, data: seasonalMenu });
+  } catch (error) {
+    console.error('[Menu API] Error creating seasonal menu:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/menu/seasonal-menus
+ * Get seasonal menus
+ */
+router.get('/seasonal-menus', authenticate, async (req, res) => {
+  try {
+    const seasonalMenus = await MenuManagementService.getSeasonalMenus(req.query);
+    res.json({ success: true, data: seasonalMenus });
+  } catch (error) {
+    console.error('[Menu API] Error getting seasonal menus:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/menu/seasonal-menus/:id
+ * Get seasonal menu with items and location overrides
+ */
+router.get('/seasonal-menus/:id', authenticate, async (req, res) => {
+  try {
+    const seasonalMenu = await MenuManagementService.getSeasonalMenuById(req.params.id);
+    if (!seasonalMenu) {
+      return res.status(404).json({ success: false, error: 'Seasonal menu not found' });
+    }
+    res.json({ success: true, data: seasonalMenu });
+  } catch (error) {
+    console.error('[Menu API] Error getting seasonal menu:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/menu/seasonal-menus/:id
+ * Update seasonal menu
+ */
+router.put('/seasonal-menus/:id', authenticate, async (req, res) => {
+  try {
+    const seasonalMenu = await MenuManagementService.updateSeasonalMenu(req.params.id, req.body, req.user.id);
+    res.json({ success: true, data: seasonalMenu });
+  } catch (error) {
+    console.error('[Menu API] Error updating seasonal menu:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/menu/seasonal-menus/:id/items
+ * Add item (with optional price override and dayparts) to seasonal menu
+ */
+router.post('/seasonal-menus/:id/items', authenticate, async (req, res) => {
+  try {
+    if (!req.body.menu_item_id) {
+      return res.status(400).json({ success: false, error: 'menu_item_id is required' });
+    }
+    const item = await MenuManagementService.addSeasonalMenuItem(req.params.id, req.body);
+    res.status(201).json({ success: true, data: item });
+  } catch (error) {
+    console.error('[Menu API] Error adding seasonal menu item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/menu/seasonal-menus/:id/items/:itemId
+ * Remove item from seasonal menu
+ */
+router.delete('/seasonal-menus/:id/items/:itemId', authenticate, async (req, res) => {
+  try {
+    const item = await MenuManagementService.removeSeasonalMenuItem(req.params.id, req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Seasonal menu item not found' });
+    }
+    res.json({ success: true, data: item });
+  } catch (error) {
+    console.error('[Menu API] Error removing seasonal menu item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/menu/seasonal-menus/:id/locations/:locationId
+ * Exclude location from seasonal menu or override its dates there
+ */
+router.put('/seasonal-menus/:id/locations/:locationId', authenticate, async (req, res) => {
+  try {
+    const override = await MenuManagementService.setSeasonalMenuLocationOverride(
+      req.params.id,
+      req.params.locationId,
+      req.body,
+      req.user.id
+    );
+    res.json({ success: true, data: override });
+  } catch (error) {
+    console.error('[Menu API] Error setting seasonal menu location override:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// MODIFIERS & COMBOS
+// ============================================
+
+/**
+ * GET /api/menu/modifier-groups
+ * Get modifier groups with their modifiers
+ */
+router.get('/modifier-groups', authenticate, async (req, res) => {
+  try {
+    const groups = await MenuManagementService.getModifierGroups(req.query.location_id);
+    res.json({ success: true, data: groups });
+  } catch (error) {
+    console.error('[Menu API] Error getting modifier groups:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/menu/modifier-groups
+ * Create modifier group with selection limits and modifiers
+ */
+router.post('/modifier-groups', authenticate, async (req, res) => {
+  try {
+    const group = await MenuManagementService.createModifierGroup(req.body, req.user.id);
+    res.status(201).json({ success: true, data: group });
+  } catch (error) {
+    console.error('[Menu API] Error creating modifier group:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/menu/modifier-groups/:id/modifiers
+ * Add modifier to group
+ */
+router.post('/modifier-groups/:id/modifiers', authenticate, async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    const modifier = await MenuManagementService.addModifier(req.params.id, req.body);
+    res.status(201).json({ success: true, data: modifier });
+  } catch (error) {
+    console.error('[Menu API] Error adding modifier:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/menu/modifiers/:id/ingredients
+ * Replace the ingredients one unit of a modifier adds or removes
+ */
+router.put('/modifiers/:id/ingredients', authenticate, async (req, res) => {
+  try {
+    const { ingredients } = req.body;
+    if (!Array.isArray(ingredients) || ingredients.some(ingredient => !ingredient.ingredient_name || ingredient.quantity === undefined)) {
+      return res.status(400).json({ success: false, error: 'ingredients must be an array of { ingredient_name, quantity }' });
+    }
+    const rows = await MenuManagementService.setModifierIngredients(req.params.id, ingredients, req.user.id);
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('[Menu API] Error setting modifier ingredients:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/menu/items/:id/options
+ * Get modifier groups, modifiers and combo components offered on an item
+ */
+router.get('/items/:id/options', authenticate, async (req, res) => {
+  try {
+    const options = await MenuManagementService.getItemOptions(req.params.id);
+    res.json({ success: true, data: options });
+  } catch (error) {
+    console.error('[Menu API] Error getting item options:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/menu/items/:id/modifier-groups/:groupId
+ * Offer modifier group on item (optional min/max override)
+ */
+router.put('/items/:id/modifier-groups/:groupId', authenticate, async (req, res) => {
+  try {
+    const link = await MenuManagementService.attachModifierGroup(req.params.id, req.params.groupId, req.body);
+    res.json({ success: true, data: link });
+  } catch (error) {
+    console.error('[Menu API] Error attaching modifier group:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/menu/items/:id/modifier-groups/:groupId
+ * Stop offering modifier group on item
+ */
+router.delete('/items/:id/modifier-groups/:groupId', authenticate, async (req, res) => {
+  try {
+    const link = await MenuManagementService.detachModifierGroup(req.params.id, req.params.groupId);
+    if (!link) {
+      return res.status(404).json({ success: false, error: 'Modifier group is not offered on this item' });
+    }
+    res.json({ success: true, data: link });
+  } catch (error) {
+    console.error('[Menu API] Error detaching modifier group:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/menu/items/:id/combo
+ * Replace combo components and their options
+ */
+router.put('/items/:id/combo', authenticate, async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.components)) {
+      return res.status(400).json({ success: false, error: 'components must be an array' });
+    }
+    const options = await MenuManagementService.setComboComponents(req.params.id, req.body.components, req.user.id);
+    res.json({ success: true, data: options });
+  } catch (error) {
+    console.error('[Menu API] Error setting combo components:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // RECIPES
 // ============================================
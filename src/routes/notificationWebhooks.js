@@ -0,0 +1,31 @@
+/**
+ * Notification Webhook Routes
+ * Delivery-status callbacks from email/SMS providers (no user authentication;
+ * providers authenticate with the webhook token configured on the provider)
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationDeliveryService = require('../services/NotificationDeliveryService');
+
+/**
+ * POST /api/v1/notifications/webhooks/:provider
+ * Record delivered/bounced/opened/clicked/failed events for a provider
+ */
+router.post('/:provider', async (req, res, next) => {
+  try {
+    const result = await NotificationDeliveryService.handleProviderWebhook(req.params.provider, req.body, {
+      headers: req.headers,
+      query: req.query
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,426 @@
+/**
+ * Reports Routes
+ * Report templates, chart configurations, rendering and dashboard layouts
+ */
+
+const express = require('express');
+const router = express.Router();
+const ReportingService = require('../services/ReportingService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+const canManage = authorize('manager', 'district', 'regional', 'corporate');
+
+/**
+ * GET /api/v1/reports/data-sources
+ * List data sources that templates and charts can render from
+ */
+router.get('/data-sources', (req, res) => {
+  res.json({
+    success: true,
+    data: ReportingService.getDataSources()
+  });
+});
+
+// ===== REPORT TEMPLATES =====
+
+/**
+ * GET /api/v1/reports/templates
+ * Get public and own report templates
+ * Query: category, dataSource
+ */
+router.get('/templates', async (req, res, next) => {
+  try {
+    const templates = await ReportingService.getTemplates({
+      category: req.query.category,
+      dataSource: req.query.dataSource
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/reports/templates
+ * Create a report template
+ */
+router.post('/templates', canManage, async (req, res, next) => {
+  try {
+    const { name, dataSource } = req.body;
+
+    if (!name || !dataSource) {
+      return res.status(400).json({ success: false, error: 'name and dataSource are required' });
+    }
+
+    const template = await ReportingService.createTemplate(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Report template created'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/reports/templates/:id
+ * Get a report template
+ */
+router.get('/templates/:id', async (req, res, next) => {
+  try {
+    const template = await ReportingService.getTemplate(req.params.id);
+
+    if (!template || !ReportingService.canView(template, req.user, 'is_public')) {
+      return res.status(404).json({ success: false, error: 'Report template not found' });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/reports/templates/:id
+ * Update a report template (creator or corporate)
+ */
+router.put('/templates/:id', canManage, async (req, res, next) => {
+  try {
+    const existing = await ReportingService.getTemplate(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Report template not found' });
+    }
+    if (!ReportingService.canModify(existing, req.user)) {
+      return res.status(403).json({ success: false, error: 'Only the creator can modify this template' });
+    }
+
+    const template = await ReportingService.updateTemplate(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: template,
+      message: 'Report template updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/reports/templates/:id
+ * Delete a report template (creator or corporate)
+ */
+router.delete('/templates/:id', canManage, async (req, res, next) => {
+  try {
+    const existing = await ReportingService.getTemplate(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Report template not found' });
+    }
+    if (!ReportingService.canModify(existing, req.user)) {
+      return res.status(403).json({ success: false, error: 'Only the creator can delete this template' });
+    }
+
+    await ReportingService.deleteTemplate(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Report template deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/reports/templates/:id/render
+ * Render a template to table rows and chart series
+ * Body: { parameters, refresh }
+ */
+router.post('/templates/:id/render', async (req, res, next) => {
+  try {
+    const rendered = await ReportingService.renderTemplate(
+      req.params.id,
+      req.body.parameters || {},
+      { user: req.user, refresh: req.body.refresh === true }
+    );
+
+    if (!rendered) {
+      return res.status(404).json({ success: false, error: 'Report template not found' });
+    }
+
+    res.json({
+      success: true,
+      data: rendered
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== CHART CONFIGURATIONS =====
+
+/**
+ * GET /api/v1/reports/charts
+ * Get shared and own chart configurations
+ */
+router.get('/charts', async (req, res, next) => {
+  try {
+    const charts = await ReportingService.getCharts(req.user.id);
+
+    res.json({
+      success: true,
+      data: charts,
+      count: charts.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/reports/charts
+ * Create a chart configuration
+ */
+router.post('/charts', canManage, async (req, res, next) => {
+  try {
+    const { name, chartType, dataSource } = req.body;
+
+    if (!name || !chartType || !dataSource) {
+      return res.status(400).json({ success: false, error: 'name, chartType and dataSource are required' });
+    }
+
+    const chart = await ReportingService.createChart(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: chart,
+      message: 'Chart created'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/reports/charts/:id
+ * Get a chart configuration
+ */
+router.get('/charts/:id', async (req, res, next) => {
+  try {
+    const chart = await ReportingService.getChart(req.params.id);
+
+    if (!chart || !ReportingService.canView(chart, req.user, 'is_shared')) {
+      return res.status(404).json({ success: false, error: 'Chart not found' });
+    }
+
+    res.json({
+      success: true,
+      data: chart
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/reports/charts/:id
+ * Update a chart configuration (creator or corporate)
+ */
+router.put('/charts/:id', canManage, async (req, res, next) => {
+  try {
+    const existing = await ReportingService.getChart(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Chart not found' });
+    }
+    if (!ReportingService.canModify(existing, req.user)) {
+      return res.status(403).json({ success: false, error: 'Only the creator can modify this chart' });
+    }
+
+    const chart = await ReportingService.updateChart(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: chart,
+      message: 'Chart updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/reports/charts/:id
+ * Delete a chart configuration (creator or corporate)
+ */
+router.delete('/charts/:id', canManage, async (req, res, next) => {
+  try {
+    const existing = await ReportingService.getChart(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Chart not found' });
+    }
+    if (!ReportingService.canModify(existing, req.user)) {
+      return res.status(403).json({ success: false, error: 'Only the creator can delete this chart' });
+    }
+
+    await ReportingService.deleteChart(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Chart deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/reports/charts/:id/render
+ * Render a chart to labels and series
+ * Body: { parameters, refresh }
+ */
+router.post('/charts/:id/render', async (req, res, next) => {
+  try {
+    const rendered = await ReportingService.renderChart(
+      req.params.id,
+      req.body.parameters || {},
+      { user: req.user, refresh: req.body.refresh === true }
+    );
+
+    if (!rendered) {
+      return res.status(404).json({ success: false, error: 'Chart not found' });
+    }
+
+    res.json({
+      success: true,
+      data: rendered
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== CACHE =====
+
+/**
+ * DELETE /api/v1/reports/cache
+ * Invalidate cached results
+ * Query: templateId, chartId, dataSource (none clears everything)
+ */
+router.delete('/cache', authorize('corporate'), async (req, res, next) => {
+  try {
+    const { templateId, chartId, dataSource } = req.query;
+    const deleted = await ReportingService.invalidateCache({ templateId, chartId, dataSource });
+
+    res.json({
+      success: true,
+      data: { deleted },
+      message: 'Report cache invalidated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== DASHBOARD LAYOUTS =====
+
+/**
+ * GET /api/v1/reports/dashboards
+ * Get own and shared dashboard layouts
+ */
+router.get('/dashboards', async (req, res, next) => {
+  try {
+    const layouts = await ReportingService.getDashboardLayouts(req.user.id);
+
+    res.json({
+      success: true,
+      data: layouts,
+      count: layouts.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/reports/dashboards
+ * Create a dashboard layout
+ */
+router.post('/dashboards', async (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+
+    const layout = await ReportingService.saveDashboardLayout(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: layout,
+      message: 'Dashboard layout created'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/reports/dashboards/:id
+ * Update an own dashboard layout
+ */
+router.put('/dashboards/:id', async (req, res, next) => {
+  try {
+    const layout = await ReportingService.saveDashboardLayout(req.user.id, req.body, req.params.id);
+
+    if (!layout) {
+      return res.status(404).json({ success: false, error: 'Dashboard layout not found' });
+    }
+
+    res.json({
+      success: true,
+      data: layout,
+      message: 'Dashboard layout updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/reports/dashboards/:id
+ * Delete an own dashboard layout
+ */
+router.delete('/dashboards/:id', async (req, res, next) => {
+  try {
+    const deleted = await ReportingService.deleteDashboardLayout(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Dashboard layout not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dashboard layout deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+/**
+ * Search Routes
+ * Global search, saved searches and search history
+ */
+
+const express = require('express');
+const router = express.Router();
+const SearchService = require('../services/SearchService');
+const { authenticate } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+const parseEntityTypes = (value) => {
+  if (!value) return null;
+  const types = (Array.isArray(value) ? value : String(value).split(','))
+    .map(type => type.trim())
+    .filter(Boolean);
+  return types.length > 0 ? types : null;
+};
+
+/**
+ * GET /api/v1/search
+ * Search tasks, inventory, users, invoices, menu items and documents at once
+ * Query: q, types (comma-separated), locationId, limit, offset
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { q, types, locationId, limit, offset } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ success: false, error: 'Query parameter q is required' });
+    }
+
+    const results = await SearchService.search(q, {
+      entityTypes: parseEntityTypes(types),
+      locationId,
+      limit,
+      offset
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/search/entity-types
+ * List searchable entity types
+ */
+router.get('/entity-types', async (req, res, next) => {
+  try {
+    const indexes = await SearchService.getSearchIndexes();
+
+    res.json({
+      success: true,
+      data: indexes.map(index => ({
+        entityType: index.entity_type,
+        searchableColumns: index.searchable_columns,
+        weights: index.weight_config || {}
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== SEARCH HISTORY =====
+
+/**
+ * GET /api/v1/search/history
+ * Get the current user's recent searches
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const history = await SearchService.getRecentSearches(req.user.id, req.query.limit);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/search/history
+ * Clear the current user's search history
+ */
+router.delete('/history', async (req, res, next) => {
+  try {
+    const deleted = await SearchService.clearSearchHistory(req.user.id);
+
+    res.json({
+      success: true,
+      data: { deleted },
+      message: 'Search history cleared'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== SAVED SEARCHES =====
+
+/**
+ * GET /api/v1/search/saved
+ * Get own and shared saved searches
+ */
+router.get('/saved', async (req, res, next) => {
+  try {
+    const searches = await SearchService.getSavedSearches(req.user.id, {
+      favoritesOnly: req.query.favorites === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: searches,
+      count: searches.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/search/saved
+ * Save a search
+ */
+router.post('/saved', async (req, res, next) => {
+  try {
+    const { name, query } = req.body;
+
+    if (!name || !query) {
+      return res.status(400).json({ success: false, error: 'name and query are required' });
+    }
+
+    const saved = await SearchService.createSavedSearch(req.user.id, {
+      ...req.body,
+      entityTypes: parseEntityTypes(req.body.entityTypes)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: saved,
+      message: 'Search saved'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/search/saved/:id
+ * Get a saved search
+ */
+router.get('/saved/:id', async (req, res, next) => {
+  try {
+    const saved = await SearchService.getSavedSearch(req.params.id, req.user.id);
+
+    if (!saved) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    res.json({
+      success: true,
+      data: saved
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/search/saved/:id
+ * Update a saved search (owner only)
+ */
+router.put('/saved/:id', async (req, res, next) => {
+  try {
+    const updates = { ...req.body };
+    if (updates.entityTypes !== undefined) {
+      updates.entityTypes = parseEntityTypes(updates.entityTypes);
+    }
+
+    const saved = await SearchService.updateSavedSearch(req.params.id, req.user.id, updates);
+
+    if (!saved) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    res.json({
+      success: true,
+      data: saved,
+      message: 'Saved search updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/search/saved/:id
+ * Delete a saved search (owner only)
+ */
+router.delete('/saved/:id', async (req, res, next) => {
+  try {
+    const deleted = await SearchService.deleteSavedSearch(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/search/saved/:id/run
+ * Run a saved search
+ */
+router.post('/saved/:id/run', async (req, res, next) => {
+  try {
+    const results = await SearchService.runSavedSearch(req.params.id, req.user, {
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    if (!results) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
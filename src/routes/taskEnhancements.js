@@ -4,12 +4,18 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const TaskEscalationService = require('../services/TaskEscalationService');
 const TaskService = require('../services/TaskService');
 const { getPool } = require('../database/pool');
 
 const router = express.Router();
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
 // ===== ESCALATION ENDPOINTS =====
 
 /**
@@ -90,30 +96,46 @@ router.get('/escalations/pending', async (req, res, next) => {
  *     summary: Add photo annotation
  *     tags: [Task Photos]
  */
-router.post('/:id/annotations', async (req, res, next) => {
+router.post('/:id/annotations', upload.single('image'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { photoUrl, annotations, annotatedBy } = req.body;
+    const { fileId, photoUrl, annotatedBy } = req.body;
+    let { annotations } = req.body;
+
+    // Multipart requests send annotations as a JSON string
+    if (typeof annotations === 'string') {
+      try {
+        annotations = JSON.parse(annotations);
+      } catch (error) {
+        annotations = null;
+      }
+    }
 
-    if (!photoUrl || !annotations) {
+    if ((!fileId && !photoUrl) || !annotations) {
       return res.status(400).json({
         success: false,
-        error: 'photoUrl and annotations are required'
+        error: 'fileId (or photoUrl) and annotations are required'
       });
     }
 
-    const pool = getPool();
-    const annotationId = `ann-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const annotation = await TaskService.addPhotoAnnotation(id, {
+      fileId,
+      photoUrl,
+      annotations,
+      annotatedBy,
+      image: req.file
+    });
 
-    const result = await pool.query(`
-      INSERT INTO task_photo_annotations (id, task_id, photo_url, annotations, annotated_by)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *
-    `, [annotationId, id, photoUrl, JSON.stringify(annotations), annotatedBy]);
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
 
     res.status(201).json({
       success: true,
-      data: result.rows[0]
+      data: annotation
     });
   } catch (error) {
     next(error);
@@ -129,18 +151,11 @@ router.post('/:id/annotations', async (req, res, next) => {
  */
 router.get('/:id/annotations', async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const pool = getPool();
-
-    const result = await pool.query(`
-      SELECT * FROM task_photo_annotations
-      WHERE task_id = $1
-      ORDER BY annotated_at DESC
-    `, [id]);
+    const annotations = await TaskService.getPhotoAnnotations(req.params.id);
 
     res.json({
       success: true,
-      data: result.rows
+      data: annotations
     });
   } catch (error) {
     next(error);
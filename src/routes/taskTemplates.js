@@ -6,6 +6,7 @@
 const express = require('express');
 const TaskTemplateService = require('../services/TaskTemplateService');
 const validators = require('../utils/validators');
+const { assertLocationAccess } = require('../middleware/authorization');
 
 const router = express.Router();
 
@@ -416,6 +417,10 @@ router.post('/:id/use-bulk', async (req, res, next) => {
       }
     }
 
+    for (const location of locations) {
+      await assertLocationAccess(req, location.locationId);
+    }
+
     const tasks = await TaskTemplateService.createTasksFromTemplateBulk(id, locations);
 
     res.status(201).json({
@@ -449,6 +454,11 @@ router.post('/:id/use-bulk', async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Only count tasks at this location
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
@@ -456,7 +466,7 @@ router.post('/:id/use-bulk', async (req, res, next) => {
 router.get('/:id/stats', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const stats = await TaskTemplateService.getTemplateUsageStats(id);
+    const stats = await TaskTemplateService.getTemplateUsageStats(id, req.query.locationId);
 
     res.json({
       success: true,
@@ -18,11 +18,11 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10 MB
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, GIF, and PDF allowed.'));
+      cb(new Error('Invalid file type. Only JPEG, PNG, GIF, WebP, and PDF allowed.'));
     }
   },
 });
@@ -577,7 +577,10 @@ router.delete('/:id', async (req, res, next) => {
  *               photo:
  *                 type: string
  *                 format: binary
- *                 description: Photo file (JPEG, PNG, GIF, or PDF, max 10MB)
+ *                 description: Photo file (JPEG, PNG, GIF, WebP or PDF, max 10MB)
+ *               userId:
+ *                 type: string
+ *                 description: Uploading user
  *     responses:
  *       200:
  *         description: Photo uploaded successfully
@@ -594,7 +597,10 @@ router.delete('/:id', async (req, res, next) => {
  *                   properties:
  *                     photoUrl:
  *                       type: string
- *                       description: URL or path to uploaded photo
+ *                       description: Stable file reference saved on the task (/api/v1/files/{fileId})
+ *                     photo:
+ *                       type: object
+ *                       description: Stored file with signed url and thumbnailUrl
  *                     task:
  *                       $ref: '#/components/schemas/Task'
  *       400:
@@ -613,14 +619,9 @@ router.post('/:id/photos', upload.single('photo'), async (req, res, next) => {
       });
     }
 
-    // In production, you would upload to S3, Cloudinary, or similar
-    // For now, we'll store the base64 encoded image
-    const photoBase64 = req.file.buffer.toString('base64');
-    const photoUrl = `data:${req.file.mimetype};base64,${photoBase64}`;
+    const result = await TaskService.addPhoto(id, req.file, { uploadedBy: req.body.userId || null });
 
-    const task = await TaskService.addPhoto(id, photoUrl);
-
-    if (!task) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         error: 'Task not found'
@@ -630,8 +631,9 @@ router.post('/:id/photos', upload.single('photo'), async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        photoUrl,
-        task
+        photoUrl: result.photo.reference,
+        photo: result.photo,
+        task: result.task
       }
     });
   } catch (error) {
@@ -639,6 +641,46 @@ router.post('/:id/photos', upload.single('photo'), async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /tasks/{id}/photos:
+ *   get:
+ *     summary: List task photos
+ *     description: Task photos with signed, expiring download and thumbnail URLs
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Photos retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/photos', async (req, res, next) => {
+  try {
+    const photos = await TaskService.getTaskPhotos(req.params.id);
+
+    if (!photos) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: photos
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /tasks/bulk:
@@ -2,6 +2,7 @@
  * PattyShack Server
  * Restaurant Operations Platform API Server
  */
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
@@ -9,13 +10,21 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('../config/swagger');
 const config = require('../config/app');
 const { errorHandler, notFound } = require('../middleware/errorHandler');
+const { secure } = require('../middleware/authorization');
 const { initializePool, testConnection, closePool } = require('../database/pool');
 const { runMigrations } = require('../database/migrate');
 const { seedDatabase } = require('../database/seeds');
 const { autoSeedDemoUsers } = require('../../scripts/autoSeedOnStartup');
 const authRouter = require('../routes/auth');
+const RealtimeService = require('../services/RealtimeService');
+const EventBus = require('../services/EventBus');
+const JobService = require('../services/JobService');
+const IntegrationsService = require('../services/IntegrationsService');
 
 const app = express();
+// Socket.IO shares this server with Express
+const server = http.createServer(app);
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
 app.use(cors(config.cors));
@@ -43,10 +52,12 @@ const enhancedAnalyticsRouter = require('../routes/enhancedAnalytics');
 const locationsRouter = require('../routes/locations');
 const integrationsRouter = require('../routes/integrations');
 const exportsRouter = require('../routes/exports');
+const importsRouter = require('../routes/imports');
+const filesRouter = require('../routes/files');
 const userManagementRouter = require('../routes/userManagement');
-const authRouter = require('../routes/auth');
 // Phase 9: Notifications & Communication
 const notificationsRouter = require('../routes/notifications');
+const notificationWebhooksRouter = require('../routes/notificationWebhooks');
 const messagingRouter = require('../routes/messaging');
 const announcementsRouter = require('../routes/announcements');
 // Phase 10: Compliance & Audit
@@ -69,49 +80,59 @@ const financialRouter = require('../routes/financial');
 const marketingRouter = require('../routes/marketing');
 // Phase 22: Franchise Management
 const franchiseRouter = require('../routes/franchise');
+// Global search
+const searchRouter = require('../routes/search');
+// Reporting engine
+const reportsRouter = require('../routes/reports');
 
+// Every router except auth, provider callbacks and the customer portal is behind
+// secure(): authentication (JWT or X-API-Key), the permissions in
+// config/routePermissions.js and the caller's location subtree
 app.use(`${config.apiPrefix}/auth`, authRouter);
-app.use(`${config.apiPrefix}/tasks`, tasksRouter);
-app.use(`${config.apiPrefix}/tasks`, taskDependenciesRouter);
-app.use(`${config.apiPrefix}/tasks`, taskEnhancementsRouter);
-app.use(`${config.apiPrefix}/task-templates`, taskTemplatesRouter);
-app.use(`${config.apiPrefix}/temperatures`, temperaturesRouter);
-app.use(`${config.apiPrefix}/temperatures`, enhancedTemperaturesRouter);
-app.use(`${config.apiPrefix}/inventory`, inventoryRouter);
-app.use(`${config.apiPrefix}/inventory`, enhancedInventoryRouter);
-app.use(`${config.apiPrefix}/invoices`, invoicesRouter);
-app.use(`${config.apiPrefix}/schedules`, schedulesRouter);
-app.use(`${config.apiPrefix}/scheduling`, schedulingRouter);
-app.use(`${config.apiPrefix}/analytics`, analyticsRouter);
-app.use(`${config.apiPrefix}/analytics`, enhancedAnalyticsRouter);
-app.use(`${config.apiPrefix}/integrations`, integrationsRouter);
-app.use(`${config.apiPrefix}/exports`, exportsRouter);
-app.use(`${config.apiPrefix}/user-management`, userManagementRouter);
-app.use(`${config.apiPrefix}/locations`, locationsRouter);
+app.use(`${config.apiPrefix}/tasks`, secure('tasks'), tasksRouter, taskDependenciesRouter, taskEnhancementsRouter);
+app.use(`${config.apiPrefix}/task-templates`, secure('taskTemplates'), taskTemplatesRouter);
+app.use(`${config.apiPrefix}/temperatures`, secure('temperatures'), temperaturesRouter, enhancedTemperaturesRouter);
+app.use(`${config.apiPrefix}/inventory`, secure('inventory'), inventoryRouter, enhancedInventoryRouter);
+app.use(`${config.apiPrefix}/invoices`, secure('invoices'), invoicesRouter);
+app.use(`${config.apiPrefix}/schedules`, secure('schedules'), schedulesRouter);
+app.use(`${config.apiPrefix}/scheduling`, secure('scheduling'), schedulingRouter);
+app.use(`${config.apiPrefix}/analytics`, secure('analytics'), analyticsRouter, enhancedAnalyticsRouter);
+app.use(`${config.apiPrefix}/integrations`, secure('integrations'), integrationsRouter);
+app.use(`${config.apiPrefix}/exports`, secure('exports'), exportsRouter);
+app.use(`${config.apiPrefix}/imports`, secure('imports'), importsRouter);
+app.use(`${config.apiPrefix}/files`, secure('files'), filesRouter);
+app.use(`${config.apiPrefix}/user-management`, secure('userManagement'), userManagementRouter);
+app.use(`${config.apiPrefix}/locations`, secure('locations'), locationsRouter);
 // Phase 9 routes
-app.use(`${config.apiPrefix}/notifications`, notificationsRouter);
-app.use(`${config.apiPrefix}/messaging`, messagingRouter);
-app.use(`${config.apiPrefix}/announcements`, announcementsRouter);
+// Provider callbacks are mounted ahead of the authenticated notifications router
+app.use(`${config.apiPrefix}/notifications/webhooks`, notificationWebhooksRouter);
+app.use(`${config.apiPrefix}/notifications`, secure('notifications'), notificationsRouter);
+app.use(`${config.apiPrefix}/messaging`, secure('messaging'), messagingRouter);
+app.use(`${config.apiPrefix}/announcements`, secure('announcements'), announcementsRouter);
 // Phase 10 routes
-app.use(`${config.apiPrefix}/compliance`, complianceRouter);
+app.use(`${config.apiPrefix}/compliance`, secure('compliance'), complianceRouter);
 // Phase 11 routes
-app.use(`${config.apiPrefix}/bi`, businessIntelligenceRouter);
+app.use(`${config.apiPrefix}/bi`, secure('businessIntelligence'), businessIntelligenceRouter);
 // Phase 12 routes
-app.use(`${config.apiPrefix}/ml`, predictiveAnalyticsRouter);
+app.use(`${config.apiPrefix}/ml`, secure('predictiveAnalytics'), predictiveAnalyticsRouter);
 // Phase 13 routes
-app.use(`${config.apiPrefix}/realtime`, realtimeRouter);
+app.use(`${config.apiPrefix}/realtime`, secure('realtime'), realtimeRouter);
 // Phase 14 routes
-app.use(`${config.apiPrefix}/jobs`, jobsRouter);
+app.use(`${config.apiPrefix}/jobs`, secure('jobs'), jobsRouter);
 // Phase 18 routes
-app.use(`${config.apiPrefix}/menu`, menuManagementRouter);
-// Phase 19 routes
+app.use(`${config.apiPrefix}/menu`, secure('menu'), menuManagementRouter);
+// Phase 19 routes (customer-facing; authenticated per route with customer credentials)
 app.use(`${config.apiPrefix}/customers`, customerPortalRouter);
 // Phase 20 routes
-app.use(`${config.apiPrefix}/financial`, financialRouter);
+app.use(`${config.apiPrefix}/financial`, secure('financial'), financialRouter);
 // Phase 21 routes
-app.use(`${config.apiPrefix}/marketing`, marketingRouter);
+app.use(`${config.apiPrefix}/marketing`, secure('marketing'), marketingRouter);
 // Phase 22 routes
-app.use(`${config.apiPrefix}/franchise`, franchiseRouter);
+app.use(`${config.apiPrefix}/franchise`, secure('franchise'), franchiseRouter);
+// Global search
+app.use(`${config.apiPrefix}/search`, secure('search'), searchRouter);
+// Reporting engine
+app.use(`${config.apiPrefix}/reports`, secure('reports'), reportsRouter);
 
 // Health endpoint (both root and API namespace)
 const healthHandler = (req, res) => {
@@ -162,6 +183,8 @@ async function startServer() {
   const PORT = config.port;
   try {
     console.log('\n🚀 Starting PattyShack server...\n');
+    // Stored integration credentials cannot be read or written without master keys
+    IntegrationsService.getCredentialKeyring();
     initializePool();
     const ok = await testConnection();
     if (!ok && config.env === 'production') throw new Error('Database connection failed');
@@ -171,7 +194,14 @@ async function startServer() {
       console.log('\n🌱 Seeding demo data...');
       await seedDatabase();
     }
-    app.listen(PORT, () => {
+    if (config.realtime.enabled) {
+      RealtimeService.attach(server);
+    }
+    EventBus.registerDefaultSubscribers();
+    if (config.jobs.workerEnabled) {
+      JobService.startProcessing(config.jobs.pollIntervalMs);
+    }
+    server.listen(PORT, () => {
       console.log(`✅ Server running on port ${PORT}`);
     });
   } catch (err) {
@@ -183,11 +213,15 @@ async function startServer() {
 // graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('\n⚠️  SIGTERM received, shutting down gracefully...');
+  JobService.stopProcessing();
+  await RealtimeService.close();
   await closePool();
   process.exit(0);
 });
 process.on('SIGINT', async () => {
   console.log('\n⚠️  SIGINT received, shutting down gracefully...');
+  JobService.stopProcessing();
+  await RealtimeService.close();
   await closePool();
   process.exit(0);
 });
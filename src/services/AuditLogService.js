@@ -4,6 +4,7 @@
  */
 
 const pool = require('../database/pool').getPool();
+const { redactSecrets } = require('../utils/credentialEncryption');
 
 class AuditLogService {
   /**
@@ -34,8 +35,9 @@ class AuditLogService {
           action,
           userId,
           locationId,
-          JSON.stringify(changes),
-          JSON.stringify(metadata),
+          // Passwords, tokens and credentials never reach the audit trail
+          JSON.stringify(redactSecrets(changes)),
+          JSON.stringify(redactSecrets(metadata)),
           severity
         ]
       );
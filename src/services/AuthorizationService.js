@@ -0,0 +1,180 @@
+/**
+ * Authorization Service
+ * Permission checks and location scoping for users and API keys
+ *
+ * Users get permissions from role_permissions through their base role (mapped
+ * from users.role) and any per-location roles in user_roles; both are read
+ * through UserManagementService.checkPermission. API keys carry their own
+ * permission list. Either kind of caller only reaches locations in its
+ * subtree of the brand → region → district → location hierarchy.
+ */
+
+const { getPool } = require('../database/pool');
+const UserManagementService = require('./UserManagementService');
+const LocationService = require('./LocationService');
+
+// Permission answers are cached briefly; role changes apply within this window
+const CACHE_TTL_MS = 30 * 1000;
+// Oldest answers are dropped beyond this many, whatever their age
+const MAX_CACHE_ENTRIES = 10000;
+
+class AuthorizationService {
+  constructor() {
+    this.cache = new Map();
+    this.nextSweepAt = 0;
+  }
+
+  cached(key, load) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    const value = load().catch(error => {
+      this.cache.delete(key);
+      throw error;
+    });
+    this.cache.delete(key);
+    this.evictCacheEntries();
+    this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+
+  /**
+   * Drop expired answers (at most once per TTL) and, past the size cap, the
+   * oldest ones. Map iteration follows insertion order.
+   */
+  evictCacheEntries() {
+    const now = Date.now();
+    if (now >= this.nextSweepAt) {
+      for (const [key, entry] of this.cache) {
+        if (entry.expiresAt <= now) this.cache.delete(key);
+      }
+      this.nextSweepAt = now + CACHE_TTL_MS;
+    }
+
+    while (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+    this.nextSweepAt = 0;
+  }
+
+  /**
+   * Whether a permission list grants a permission. Entries may be exact
+   * ("task:read"), resource wildcards ("task:*") or "*".
+   */
+  permissionListGrants(granted = [], permission) {
+    const [resource] = permission.split(':');
+    return granted.some(entry =>
+      entry === '*' || entry === permission || entry === `${resource}:*`
+    );
+  }
+
+  /**
+   * Whether the caller holds a permission, optionally at a specific location
+   */
+  async hasPermission(principal, permission, locationId = null) {
+    if (!principal) return false;
+    if (!permission) return true;
+
+    if (principal.apiKeyId) {
+      return this.permissionListGrants(principal.permissions, permission);
+    }
+
+    return this.cached(`perm:${principal.id}:${permission}:${locationId || ''}`, () =>
+      UserManagementService.checkPermission(principal.id, permission, locationId)
+    );
+  }
+
+  /**
+   * Location ids the caller may read or write, or null when unrestricted.
+   * A key with neither locations nor an owner reaches no location.
+   */
+  async getAccessibleLocationIds(principal) {
+    if (!principal) return [];
+
+    if (principal.apiKeyId) {
+      const scoped = [principal.locationId, ...(principal.locationIds || [])].filter(Boolean);
+      if (scoped.length > 0) return [...new Set(scoped)];
+      if (!principal.ownerId) return [];
+
+      const owner = await this.getUser(principal.ownerId);
+      return owner ? this.getAccessibleLocationIds(owner) : [];
+    }
+
+    return this.cached(`locations:${principal.id}`, () => LocationService.getAccessibleLocationIds(principal));
+  }
+
+  /**
+   * Entries of a permission list (e.g. for a new API key) that the caller does
+   * not hold itself. A wildcard needs every catalog permission it covers.
+   */
+  async missingPermissions(principal, requested = []) {
+    const catalog = requested.some(entry => entry.includes('*'))
+      ? (await UserManagementService.getPermissions()).map(row => row.name)
+      : [];
+
+    const missing = [];
+    for (const entry of requested) {
+      const names = entry.includes('*')
+        ? catalog.filter(name => this.permissionListGrants([entry], name))
+        : [entry];
+
+      for (const name of names) {
+        if (!(await this.hasPermission(principal, name))) {
+          missing.push(entry);
+          break;
+        }
+      }
+    }
+    return missing;
+  }
+
+  async canAccessLocation(principal, locationId) {
+    if (!locationId) return true;
+    const accessible = await this.getAccessibleLocationIds(principal);
+    return accessible === null || accessible.includes(locationId);
+  }
+
+  async getUser(userId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT id, role, location_id FROM users WHERE id = $1 AND active = true',
+      [userId]
+    );
+    const row = result.rows[0];
+    return row ? { id: row.id, role: row.role, locationId: row.location_id } : null;
+  }
+
+  /**
+   * Location of an existing record, for checks on routes addressed by record id.
+   * With `through` (one { table, column } hop or a list of them), the id is of a
+   * row that references the record, directly or via the rows in between.
+   */
+  async getRecordLocation(table, column, id, through = null) {
+    const pool = getPool();
+    const hops = through ? [].concat(through) : [];
+
+    if (hops.length === 0) {
+      const result = await pool.query(`SELECT ${column} AS location_id FROM ${table} WHERE id = $1`, [id]);
+      return result.rows[0] ? result.rows[0].location_id : null;
+    }
+
+    const joins = hops.map((hop, index) => {
+      const last = index === hops.length - 1;
+      const alias = last ? 'r' : `c${index + 1}`;
+      return `JOIN ${last ? table : hops[index + 1].table} ${alias} ON ${alias}.id = c${index}.${hop.column}`;
+    });
+    const result = await pool.query(
+      `SELECT r.${column} AS location_id FROM ${hops[0].table} c0 ${joins.join(' ')} WHERE c0.id = $1`,
+      [id]
+    );
+    return result.rows[0] ? result.rows[0].location_id : null;
+  }
+}
+
+module.exports = new AuthorizationService();
@@ -5,8 +5,44 @@
  * Part of Phase 10: Compliance & Audit Trail System
  */
 
+const PDFDocument = require('pdfkit');
 const pool = require('../database/pool').getPool();
 const AuditLogService = require('./AuditLogService');
+const StorageService = require('./StorageService');
+const { requirementAppliesTo, requirementOutcomes, buildCoverageReport } = require('../utils/regulatoryCoverage');
+const { expiryReminderDays, reminderStage, diffVersions } = require('../utils/documentExpiry');
+
+const JURISDICTION_LEVELS = ['federal', 'state', 'county', 'city'];
+
+// Links checklist items to library requirements whose code their reference_standard cites
+const AUTO_MAP_SQL = `
+  INSERT INTO regulatory_requirement_checklist_items (requirement_id, checklist_item_id)
+  SELECT r.id, i.id
+  FROM regulatory_requirements r
+  JOIN compliance_checklist_items i
+    ON i.reference_standard ~ ('(^|[^0-9.-])' || replace(r.code, '.', '\\.') || '($|[^0-9])')
+  WHERE r.code IS NOT NULL AND r.location_id IS NULL AND r.is_active = true
+  ON CONFLICT DO NOTHING`;
+
+// Records the document's current file and descriptive fields as a version row
+const SNAPSHOT_VERSION_SQL = `
+  INSERT INTO document_versions
+    (document_id, version, file_url, file_name, file_size, file_id, mime_type, issue_date, expiration_date,
+     change_description, uploaded_by, metadata)
+  SELECT d.id, d.version, d.file_url, d.file_name, d.file_size, d.file_id, d.mime_type,
+         d.issue_date, d.expiration_date, $2, $3,
+         COALESCE(d.metadata, '{}'::jsonb) || jsonb_build_object(
+           'title', d.title,
+           'category', d.category,
+           'issue_date', to_char(d.issue_date, 'YYYY-MM-DD'),
+           'expiration_date', to_char(d.expiration_date, 'YYYY-MM-DD'),
+           'issuing_authority', d.issuing_authority
+         )
+  FROM documents d
+  WHERE d.id = $1
+  RETURNING *`;
+
+const PACKET_IMAGE_TYPES = ['image/jpeg', 'image/png'];
 
 class ComplianceService {
   /**
@@ -61,9 +97,18 @@ class ComplianceService {
       }
 
       const itemsResult = await pool.query(
-        `SELECT * FROM compliance_checklist_items
-         WHERE checklist_id = $1
-         ORDER BY sort_order ASC`,
+        `SELECT i.*,
+                COALESCE(
+                  json_agg(json_build_object('id', r.id, 'code', r.code, 'title', r.title))
+                    FILTER (WHERE r.id IS NOT NULL),
+                  '[]'
+                ) as requirements
+         FROM compliance_checklist_items i
+         LEFT JOIN regulatory_requirement_checklist_items rci ON rci.checklist_item_id = i.id
+         LEFT JOIN regulatory_requirements r ON r.id = rci.requirement_id
+         WHERE i.checklist_id = $1
+         GROUP BY i.id
+         ORDER BY i.sort_order ASC`,
         [checklistId]
       );
 
@@ -85,33 +130,49 @@ class ComplianceService {
     try {
       await client.query('BEGIN');
 
-      const { name, description, category, frequency, required_by_role, items } = checklistData;
+      const { name, description, checklist_type, category, regulatory_body, frequency, location_id,
+              passing_score, items } = checklistData;
 
       const checklistResult = await client.query(
         `INSERT INTO compliance_checklists
-         (name, description, category, frequency, required_by_role, created_by)
-         VALUES ($1, $2, $3, $4, $5, $6)
+         (name, description, checklist_type, category, regulatory_body, frequency, location_id,
+          passing_score, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
          RETURNING *`,
-        [name, description, category, frequency, required_by_role, userId]
+        [name, description, checklist_type || 'custom', category, regulatory_body || null, frequency,
+         location_id || null, passing_score ?? null, userId]
       );
 
       const checklist = checklistResult.rows[0];
 
-      // Create checklist items if provided
+      // Create checklist items if provided; requirement_ids maps an item to the requirements it checks
       if (items && items.length > 0) {
         for (let i = 0; i < items.length; i++) {
           const item = items[i];
-          await client.query(
+          const itemResult = await client.query(
             `INSERT INTO compliance_checklist_items
-             (checklist_id, item_text, item_type, is_required, expected_value, sort_order)
-             VALUES ($1, $2, $3, $4, $5, $6)`,
-            [checklist.id, item.item_text, item.item_type, item.is_required,
-             item.expected_value, item.sort_order || i]
+             (checklist_id, item_text, description, category, response_type, is_critical,
+              requires_photo, reference_standard, sort_order)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING id`,
+            [checklist.id, item.item_text, item.description || null, item.category || category || null,
+             item.response_type || item.item_type || 'yes_no', item.is_critical ?? item.is_required ?? false,
+             item.requires_photo === true, item.reference_standard || null, item.sort_order ?? i]
           );
+
+          for (const requirementId of item.requirement_ids || []) {
+            await client.query(
+              `INSERT INTO regulatory_requirement_checklist_items (requirement_id, checklist_item_id, created_by)
+               VALUES ($1, $2, $3)
+               ON CONFLICT DO NOTHING`,
+              [requirementId, itemResult.rows[0].id, userId]
+            );
+          }
         }
+        await client.query(AUTO_MAP_SQL);
       }
 
-      await AuditLogService.logCreate('compliance_checklist', checklist.id, checklist, userId);
+      await AuditLogService.logCreate('compliance_checklist', checklist.id, checklist, userId, location_id);
       await client.query('COMMIT');
 
       return this.getChecklistById(checklist.id);
@@ -199,7 +260,9 @@ class ComplianceService {
   }
 
   /**
-   * Complete inspection with results
+   * Complete inspection with results. Item `responses` are recorded and decide which
+   * mapped requirements the inspection proved or found breached; `violations` may
+   * name the requirement (or checklist item) they breach.
    */
   async completeInspection(inspectionId, completionData, userId) {
     const client = await pool.connect();
@@ -210,38 +273,83 @@ class ComplianceService {
         `SELECT * FROM compliance_inspections WHERE id = $1`,
         [inspectionId]
       );
+      if (before.rows.length === 0) {
+        const error = new Error('Inspection not found');
+        error.status = 404;
+        throw error;
+      }
 
-      const { score, findings, passed, items_checked } = completionData;
+      const { score, findings, passed, items_checked, notes, responses = [], violations = [] } = completionData;
 
       const result = await client.query(
         `UPDATE compliance_inspections
          SET status = 'completed',
              completed_at = CURRENT_TIMESTAMP,
              score = $1,
-             findings = $2,
-             passed = $3,
-             items_checked = $4
+             passed = $2,
+             notes = COALESCE($3, notes),
+             metadata = COALESCE(metadata, '{}'::jsonb) || $4::jsonb
          WHERE id = $5
          RETURNING *`,
-        [score, JSON.stringify(findings), passed, items_checked, inspectionId]
+        [score, passed, notes || null,
+         JSON.stringify({ findings: findings || null, items_checked: items_checked ?? responses.length }),
+         inspectionId]
       );
 
       const inspection = result.rows[0];
 
+      for (const response of responses) {
+        await client.query(
+          `INSERT INTO compliance_inspection_responses
+           (inspection_id, checklist_item_id, response_value, is_compliant, photo_urls, notes, flagged_for_action)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [inspectionId, response.checklist_item_id, response.response_value ?? null,
+           response.is_compliant ?? null, response.photo_urls || null, response.notes || null,
+           response.flagged_for_action === true]
+        );
+      }
+
+      const itemIds = [...new Set([
+        ...responses.map(response => response.checklist_item_id),
+        ...violations.map(violation => violation.checklist_item_id).filter(Boolean)
+      ])];
+      const mappings = itemIds.length > 0
+        ? (await client.query(
+          `SELECT requirement_id, checklist_item_id FROM regulatory_requirement_checklist_items
+           WHERE checklist_item_id = ANY($1)`,
+          [itemIds]
+        )).rows
+        : [];
+
+      const outcomes = new Map(requirementOutcomes(responses, mappings).map(outcome => [outcome.requirement_id, outcome]));
+
       // Create violations if any
-      if (completionData.violations && completionData.violations.length > 0) {
-        for (const violation of completionData.violations) {
-          await client.query(
-            `INSERT INTO violations
-             (location_id, violation_type, severity, description, detected_date,
-              detected_by, source_type, source_id, status)
-             VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, 'inspection', $6, 'open')`,
-            [inspection.location_id, violation.violation_type, violation.severity,
-             violation.description, userId, inspectionId]
-          );
+      for (const violation of violations) {
+        const created = await this.insertViolation(client, {
+          ...violation,
+          location_id: inspection.location_id,
+          inspection_id: inspectionId
+        }, userId, mappings);
+
+        if (created.requirement_id) {
+          const outcome = outcomes.get(created.requirement_id) ||
+            { requirement_id: created.requirement_id, outcome: 'not_met', checklist_item_ids: [] };
+          outcome.outcome = 'not_met';
+          outcomes.set(created.requirement_id, outcome);
         }
       }
 
+      for (const outcome of outcomes.values()) {
+        await client.query(
+          `INSERT INTO compliance_inspection_requirements (inspection_id, requirement_id, outcome, checklist_item_ids)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (inspection_id, requirement_id) DO UPDATE SET
+             outcome = EXCLUDED.outcome,
+             checklist_item_ids = EXCLUDED.checklist_item_ids`,
+          [inspectionId, outcome.requirement_id, outcome.outcome, outcome.checklist_item_ids]
+        );
+      }
+
       await AuditLogService.logUpdate(
         'compliance_inspection',
         inspectionId,
@@ -252,7 +360,7 @@ class ComplianceService {
       );
 
       await client.query('COMMIT');
-      return inspection;
+      return { ...inspection, requirements: [...outcomes.values()] };
     } catch (error) {
       await client.query('ROLLBACK');
       console.error('[ComplianceService] Error completing inspection:', error);
@@ -268,9 +376,10 @@ class ComplianceService {
   async getViolations(filters = {}) {
     try {
       let query = `
-        SELECT v.*, l.name as location_name
+        SELECT v.*, l.name as location_name, r.code as requirement_code, r.title as requirement_title
         FROM violations v
         LEFT JOIN locations l ON v.location_id = l.id
+        LEFT JOIN regulatory_requirements r ON v.requirement_id = r.id
         WHERE 1=1
       `;
       const params = [];
@@ -296,6 +405,11 @@ class ComplianceService {
         params.push(filters.violation_type);
       }
 
+      if (filters.requirement_id) {
+        query += ` AND v.requirement_id = $${paramIndex++}`;
+        params.push(filters.requirement_id);
+      }
+
       query += ` ORDER BY v.detected_date DESC, v.severity DESC`;
 
       const result = await pool.query(query, params);
@@ -314,20 +428,9 @@ class ComplianceService {
     try {
       await client.query('BEGIN');
 
-      const { location_id, violation_type, severity, description, source_type, source_id } = violationData;
-
-      const result = await client.query(
-        `INSERT INTO violations
-         (location_id, violation_type, severity, description, detected_date,
-          detected_by, source_type, source_id, status)
-         VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, $6, $7, 'open')
-         RETURNING *`,
-        [location_id, violation_type, severity, description, userId, source_type, source_id]
-      );
-
-      const violation = result.rows[0];
+      const violation = await this.insertViolation(client, violationData, userId);
 
-      await AuditLogService.logCreate('violation', violation.id, violation, userId, location_id);
+      await AuditLogService.logCreate('violation', violation.id, violation, userId, violation.location_id);
       await client.query('COMMIT');
 
       return violation;
@@ -340,6 +443,50 @@ class ComplianceService {
     }
   }
 
+  /**
+   * Insert a violation, linking it to the requirement it breaches: the given
+   * requirement_id, or the requirement mapped to its checklist item
+   */
+  async insertViolation(client, violationData, userId, mappings = null) {
+    const { location_id, violation_type, severity, title, description, checklist_item_id,
+            resolution_required_by, photo_urls } = violationData;
+    const inspectionId = violationData.inspection_id ||
+      (violationData.source_type === 'inspection' ? violationData.source_id : null);
+
+    let requirementId = violationData.requirement_id || null;
+    if (!requirementId && checklist_item_id) {
+      const candidates = mappings || (await client.query(
+        'SELECT requirement_id, checklist_item_id FROM regulatory_requirement_checklist_items WHERE checklist_item_id = $1',
+        [checklist_item_id]
+      )).rows;
+      const mapping = candidates.find(candidate => candidate.checklist_item_id === checklist_item_id);
+      requirementId = mapping ? mapping.requirement_id : null;
+    }
+
+    let regulatoryReference = violationData.regulatory_reference || null;
+    if (requirementId && !regulatoryReference) {
+      const requirement = await client.query(
+        'SELECT regulatory_body, source, code FROM regulatory_requirements WHERE id = $1',
+        [requirementId]
+      );
+      const row = requirement.rows[0];
+      regulatoryReference = row && row.code ? `${row.source || row.regulatory_body} ${row.code}` : null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO violations
+       (location_id, inspection_id, requirement_id, checklist_item_id, violation_type, severity,
+        title, description, regulatory_reference, detected_by, resolution_required_by, photo_urls, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'open')
+       RETURNING *`,
+      [location_id, inspectionId, requirementId, checklist_item_id || null, violation_type, severity,
+       String(title || description).slice(0, 255), description, regulatoryReference, userId,
+       resolution_required_by || null, photo_urls || null]
+    );
+
+    return result.rows[0];
+  }
+
   /**
    * Create corrective action for violation
    */
@@ -447,13 +594,322 @@ class ComplianceService {
     }
   }
 
+  /**
+   * Get regulatory requirements. With location_id, only those applying to the location.
+   */
+  async getRequirements(filters = {}) {
+    try {
+      let query = `
+        SELECT r.*, COUNT(rci.id)::int as checklist_item_count
+        FROM regulatory_requirements r
+        LEFT JOIN regulatory_requirement_checklist_items rci ON rci.requirement_id = r.id
+        WHERE r.is_active = true
+      `;
+      const params = [];
+      let paramIndex = 1;
+
+      for (const field of ['jurisdiction_level', 'state', 'regulatory_body', 'category', 'requirement_type']) {
+        if (filters[field]) {
+          query += ` AND r.${field} = $${paramIndex++}`;
+          params.push(filters[field]);
+        }
+      }
+
+      query += ` GROUP BY r.id ORDER BY r.regulatory_body, r.code NULLS LAST, r.title`;
+
+      const result = await pool.query(query, params);
+      if (!filters.location_id) {
+        return result.rows;
+      }
+
+      const location = await this.getRequirementLocation(filters.location_id);
+      return result.rows.filter(requirement => requirementAppliesTo(requirement, location));
+    } catch (error) {
+      console.error('[ComplianceService] Error getting requirements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get requirement with its checklist items and latest inspection outcomes and violations
+   */
+  async getRequirementById(requirementId) {
+    const result = await pool.query('SELECT * FROM regulatory_requirements WHERE id = $1', [requirementId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [items, inspections, violations] = await Promise.all([
+      pool.query(
+        `SELECT i.id, i.item_text, i.reference_standard, c.id as checklist_id, c.name as checklist_name,
+                c.location_id as checklist_location_id
+         FROM regulatory_requirement_checklist_items rci
+         JOIN compliance_checklist_items i ON i.id = rci.checklist_item_id
+         JOIN compliance_checklists c ON c.id = i.checklist_id
+         WHERE rci.requirement_id = $1
+         ORDER BY c.name, i.sort_order`,
+        [requirementId]
+      ),
+      pool.query(
+        `SELECT cir.inspection_id, cir.outcome, ci.location_id, ci.completed_at
+         FROM compliance_inspection_requirements cir
+         JOIN compliance_inspections ci ON ci.id = cir.inspection_id
+         WHERE cir.requirement_id = $1
+         ORDER BY ci.completed_at DESC NULLS LAST
+         LIMIT 20`,
+        [requirementId]
+      ),
+      pool.query(
+        `SELECT id, location_id, inspection_id, severity, title, status, detected_date
+         FROM violations
+         WHERE requirement_id = $1
+         ORDER BY detected_date DESC
+         LIMIT 20`,
+        [requirementId]
+      )
+    ]);
+
+    return {
+      ...result.rows[0],
+      checklist_items: items.rows,
+      recent_inspections: inspections.rows,
+      recent_violations: violations.rows
+    };
+  }
+
+  /**
+   * Load library requirements (e.g. FDA Food Code sections, county health rules).
+   * Requirements are matched on regulatory body, code and jurisdiction and updated
+   * in place; `checklist_item_ids` maps them to checklist items, and items whose
+   * reference_standard cites a code are mapped automatically.
+   */
+  async importRequirements(requirements, userId) {
+    if (!Array.isArray(requirements) || requirements.length === 0) {
+      const error = new Error('requirements must be a non-empty array');
+      error.status = 400;
+      throw error;
+    }
+
+    requirements.forEach((requirement, index) => {
+      const problem = this.validateRequirement(requirement);
+      if (problem) {
+        const error = new Error(`Requirement ${index + 1}: ${problem}`);
+        error.status = 400;
+        throw error;
+      }
+    });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const imported = [];
+      for (const requirement of requirements) {
+        const level = requirement.jurisdiction_level || 'federal';
+        const result = await client.query(
+          `INSERT INTO regulatory_requirements
+           (code, title, description, requirement_type, regulatory_body, source, category,
+            jurisdiction_level, state, county, city, frequency, is_critical)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+           ON CONFLICT (regulatory_body, code, COALESCE(state, ''), COALESCE(county, ''), COALESCE(city, ''))
+             WHERE code IS NOT NULL
+           DO UPDATE SET
+             title = EXCLUDED.title,
+             description = EXCLUDED.description,
+             requirement_type = EXCLUDED.requirement_type,
+             source = EXCLUDED.source,
+             category = EXCLUDED.category,
+             jurisdiction_level = EXCLUDED.jurisdiction_level,
+             frequency = EXCLUDED.frequency,
+             is_critical = EXCLUDED.is_critical,
+             is_active = true,
+             updated_at = CURRENT_TIMESTAMP
+           RETURNING *`,
+          [
+            requirement.code,
+            requirement.title,
+            requirement.description || null,
+            requirement.requirement_type || 'inspection',
+            requirement.regulatory_body,
+            requirement.source || null,
+            requirement.category || null,
+            level,
+            level === 'federal' ? null : requirement.state,
+            level === 'county' ? requirement.county : null,
+            level === 'city' ? requirement.city : null,
+            requirement.frequency || null,
+            requirement.is_critical === true
+          ]
+        );
+        const row = result.rows[0];
+
+        for (const checklistItemId of requirement.checklist_item_ids || []) {
+          await client.query(
+            `INSERT INTO regulatory_requirement_checklist_items (requirement_id, checklist_item_id, created_by)
+             VALUES ($1, $2, $3)
+             ON CONFLICT DO NOTHING`,
+            [row.id, checklistItemId, userId]
+          );
+        }
+        await AuditLogService.logCreate('regulatory_requirement', row.id, row, userId, null, { source: 'import' });
+        imported.push(row);
+      }
+
+      const mapped = await client.query(AUTO_MAP_SQL);
+
+      await client.query('COMMIT');
+
+      return { imported: imported.length, auto_mapped: mapped.rowCount, requirements: imported };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[ComplianceService] Error importing requirements:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  validateRequirement(requirement) {
+    if (!requirement || !requirement.code || !requirement.title || !requirement.regulatory_body) {
+      return 'code, title and regulatory_body are required';
+    }
+    const level = requirement.jurisdiction_level || 'federal';
+    if (!JURISDICTION_LEVELS.includes(level)) {
+      return `jurisdiction_level must be one of ${JURISDICTION_LEVELS.join(', ')}`;
+    }
+    if (level !== 'federal' && !requirement.state) {
+      return `state is required for ${level} requirements`;
+    }
+    if (level === 'county' && !requirement.county) {
+      return 'county is required for county requirements';
+    }
+    if (level === 'city' && !requirement.city) {
+      return 'city is required for city requirements';
+    }
+    return null;
+  }
+
+  /**
+   * Replace the checklist items mapped to a requirement
+   */
+  async setRequirementChecklistItems(requirementId, checklistItemIds, userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const before = await client.query(
+        'SELECT checklist_item_id FROM regulatory_requirement_checklist_items WHERE requirement_id = $1',
+        [requirementId]
+      );
+      await client.query('DELETE FROM regulatory_requirement_checklist_items WHERE requirement_id = $1', [requirementId]);
+      for (const checklistItemId of checklistItemIds) {
+        await client.query(
+          `INSERT INTO regulatory_requirement_checklist_items (requirement_id, checklist_item_id, created_by)
+           VALUES ($1, $2, $3)
+           ON CONFLICT DO NOTHING`,
+          [requirementId, checklistItemId, userId]
+        );
+      }
+
+      await AuditLogService.logUpdate(
+        'regulatory_requirement_checklist_items',
+        requirementId,
+        { checklist_item_ids: before.rows.map(row => row.checklist_item_id) },
+        { checklist_item_ids: checklistItemIds },
+        userId
+      );
+      await client.query('COMMIT');
+
+      return this.getRequirementById(requirementId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[ComplianceService] Error mapping requirement checklist items:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Map checklist items to requirements whose code their reference_standard cites
+   */
+  async autoMapRequirements() {
+    const result = await pool.query(AUTO_MAP_SQL);
+    return { mapped: result.rowCount };
+  }
+
+  async getRequirementLocation(locationId) {
+    const result = await pool.query('SELECT id, name, state, county, city FROM locations WHERE id = $1', [locationId]);
+    if (result.rows.length === 0) {
+      const error = new Error('Location not found');
+      error.status = 404;
+      throw error;
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Requirement coverage for a location: which applicable requirements no checklist
+   * used there checks, and which the latest inspections and open violations prove
+   * or breach
+   */
+  async getRequirementCoverage(locationId) {
+    try {
+      const location = await this.getRequirementLocation(locationId);
+
+      const [requirements, mappings, lastInspections, openViolations] = await Promise.all([
+        pool.query(
+          `SELECT * FROM regulatory_requirements
+           WHERE is_active = true AND (location_id IS NULL OR location_id = $1)
+           ORDER BY is_critical DESC, regulatory_body, code NULLS LAST, title`,
+          [locationId]
+        ),
+        pool.query(
+          `SELECT rci.requirement_id, rci.checklist_item_id, i.item_text,
+                  c.id as checklist_id, c.name as checklist_name,
+                  c.location_id as checklist_location_id, c.is_active as checklist_active
+           FROM regulatory_requirement_checklist_items rci
+           JOIN compliance_checklist_items i ON i.id = rci.checklist_item_id
+           JOIN compliance_checklists c ON c.id = i.checklist_id`
+        ),
+        pool.query(
+          `SELECT DISTINCT ON (cir.requirement_id)
+                  cir.requirement_id, cir.inspection_id, cir.outcome, ci.completed_at
+           FROM compliance_inspection_requirements cir
+           JOIN compliance_inspections ci ON ci.id = cir.inspection_id
+           WHERE ci.location_id = $1
+           ORDER BY cir.requirement_id, ci.completed_at DESC NULLS LAST`,
+          [locationId]
+        ),
+        pool.query(
+          `SELECT requirement_id, COUNT(*)::int as count
+           FROM violations
+           WHERE location_id = $1 AND requirement_id IS NOT NULL AND status IN ('open', 'in_progress')
+           GROUP BY requirement_id`,
+          [locationId]
+        )
+      ]);
+
+      const report = buildCoverageReport(location, requirements.rows, mappings.rows, {
+        lastInspections: new Map(lastInspections.rows.map(({ requirement_id, ...inspection }) => [requirement_id, inspection])),
+        openViolations: new Map(openViolations.rows.map(row => [row.requirement_id, row.count]))
+      });
+
+      return { ...report, location_name: location.name, generated_at: new Date().toISOString() };
+    } catch (error) {
+      console.error('[ComplianceService] Error getting requirement coverage:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get documents with filters
    */
   async getDocuments(filters = {}) {
     try {
       let query = `
-        SELECT d.*, l.name as location_name
+        SELECT d.*, l.name as location_name,
+               (d.expiration_date - CURRENT_DATE) as days_until_expiry
         FROM documents d
         LEFT JOIN locations l ON d.location_id = l.id
         WHERE 1=1
@@ -481,7 +937,21 @@ class ComplianceService {
         params.push(filters.is_active);
       }
 
-      query += ` ORDER BY d.created_at DESC`;
+      if (filters.status) {
+        query += ` AND d.status = $${paramIndex++}`;
+        params.push(filters.status);
+      }
+
+      // Unexpired documents expiring within the window
+      if (filters.expiring_within_days !== undefined) {
+        query += ` AND d.status != 'archived'
+                   AND d.expiration_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $${paramIndex++}::int`;
+        params.push(filters.expiring_within_days);
+      }
+
+      query += filters.expiring_within_days !== undefined
+        ? ` ORDER BY d.expiration_date ASC`
+        : ` ORDER BY d.created_at DESC`;
 
       const result = await pool.query(query, params);
       return result.rows;
@@ -492,27 +962,48 @@ class ComplianceService {
   }
 
   /**
-   * Create document
+   * Create document from an uploaded file, which is kept in object storage
    */
-  async createDocument(documentData, userId) {
+  async createDocument(documentData, userId, file) {
+    const { title, description, document_type, category, location_id, issue_date, effective_date,
+            expiration_date, issuing_authority, is_regulatory_required, reminder_days_before_expiry,
+            review_frequency, owner_user_id } = documentData;
+
+    if (!title || !document_type) {
+      const error = new Error('title and document_type are required');
+      error.status = 400;
+      throw error;
+    }
+
+    const stored = await StorageService.storeFile(file, {
+      kind: 'compliance_document',
+      locationId: location_id || null,
+      uploadedBy: userId
+    });
+
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
-      const { title, description, document_type, category, file_url, location_id,
-              effective_date, review_frequency } = documentData;
-
       const result = await client.query(
         `INSERT INTO documents
-         (title, description, document_type, category, file_url, location_id,
-          version, effective_date, review_frequency, uploaded_by, is_active)
-         VALUES ($1, $2, $3, $4, $5, $6, '1.0', $7, $8, $9, true)
+         (title, document_type, category, location_id, file_url, file_name, file_size, mime_type, file_id,
+          issue_date, expiration_date, issuing_authority, is_regulatory_required,
+          reminder_days_before_expiry, uploaded_by, metadata, owner_user_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
          RETURNING *`,
-        [title, description, document_type, category, file_url, location_id,
-         effective_date, review_frequency, userId]
+        [title, document_type, category || null, location_id || null, stored.reference, stored.filename,
+         stored.size, stored.contentType, stored.id, issue_date || effective_date || null,
+         expiration_date || null, issuing_authority || null,
+         is_regulatory_required === true || is_regulatory_required === 'true',
+         reminder_days_before_expiry || 30, userId,
+         JSON.stringify({ description: description || null, review_frequency: review_frequency || null }),
+         owner_user_id || null]
       );
 
       const document = result.rows[0];
+      await StorageService.assignOwner(stored.id, document.id, client);
+      await client.query(SNAPSHOT_VERSION_SQL, [document.id, 'Initial version', userId]);
 
       await AuditLogService.logCreate('document', document.id, document, userId, location_id);
       await client.query('COMMIT');
@@ -520,6 +1011,7 @@ class ComplianceService {
       return document;
     } catch (error) {
       await client.query('ROLLBACK');
+      await StorageService.deleteFile(stored.id).catch(() => null);
       console.error('[ComplianceService] Error creating document:', error);
       throw error;
     } finally {
@@ -527,6 +1019,494 @@ class ComplianceService {
     }
   }
 
+  /**
+   * Document with a signed, expiring download URL for its file
+   */
+  async getDocumentDownload(documentId) {
+    const result = await pool.query('SELECT * FROM documents WHERE id = $1', [documentId]);
+    const document = result.rows[0];
+    if (!document) {
+      return null;
+    }
+
+    const fileId = document.file_id || StorageService.parseFileReference(document.file_url);
+    const file = fileId ? await StorageService.getFile(fileId) : null;
+
+    return {
+      document,
+      file: file ? await StorageService.getSignedFile(file) : { url: document.file_url, thumbnailUrl: null }
+    };
+  }
+
+  /**
+   * Upload a revision of a document. The previous file stays in the version
+   * history; dates and descriptive fields not given carry over.
+   */
+  async uploadDocumentVersion(documentId, versionData, userId, file) {
+    const { change_description, title, category, issue_date, effective_date, expiration_date,
+            issuing_authority, reminder_days_before_expiry, description, review_frequency } = versionData;
+
+    const existing = await pool.query('SELECT location_id FROM documents WHERE id = $1', [documentId]);
+    if (existing.rows.length === 0) {
+      const error = new Error('Document not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const stored = await StorageService.storeFile(file, {
+      kind: 'compliance_document',
+      locationId: existing.rows[0].location_id,
+      uploadedBy: userId
+    });
+
+    const metadata = {};
+    if (description !== undefined) metadata.description = description || null;
+    if (review_frequency !== undefined) metadata.review_frequency = review_frequency || null;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM documents WHERE id = $1 FOR UPDATE', [documentId]);
+      const before = current.rows[0];
+
+      const result = await client.query(
+        `UPDATE documents
+         SET version = version + 1,
+             file_url = $2, file_name = $3, file_size = $4, mime_type = $5, file_id = $6,
+             title = COALESCE($7, title),
+             category = COALESCE($8, category),
+             issue_date = COALESCE($9::date, issue_date),
+             expiration_date = COALESCE($10::date, expiration_date),
+             issuing_authority = COALESCE($11, issuing_authority),
+             reminder_days_before_expiry = COALESCE($12::int, reminder_days_before_expiry),
+             metadata = COALESCE(metadata, '{}'::jsonb) || $13::jsonb,
+             status = CASE
+               WHEN status = 'archived' THEN status
+               WHEN COALESCE($10::date, expiration_date) < CURRENT_DATE THEN 'expired'
+               ELSE 'active'
+             END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [documentId, stored.reference, stored.filename, stored.size, stored.contentType, stored.id,
+         title || null, category || null, issue_date || effective_date || null, expiration_date || null,
+         issuing_authority || null, reminder_days_before_expiry || null, JSON.stringify(metadata)]
+      );
+
+      const document = result.rows[0];
+      await StorageService.assignOwner(stored.id, document.id, client);
+      const version = await client.query(SNAPSHOT_VERSION_SQL, [document.id, change_description || null, userId]);
+
+      await AuditLogService.logUpdate('document', document.id, before, document, userId, document.location_id, {
+        action: 'new_version',
+        version: document.version
+      });
+      await client.query('COMMIT');
+
+      return { ...document, current_version: version.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await StorageService.deleteFile(stored.id).catch(() => null);
+      console.error('[ComplianceService] Error uploading document version:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Version history of a document, newest first, each with its changes from the previous version
+   */
+  async getDocumentVersions(documentId) {
+    const document = await pool.query('SELECT id, title, version FROM documents WHERE id = $1', [documentId]);
+    if (document.rows.length === 0) {
+      return null;
+    }
+
+    const result = await pool.query(
+      `SELECT v.*, u.first_name || ' ' || u.last_name as uploaded_by_name
+       FROM document_versions v
+       LEFT JOIN users u ON v.uploaded_by = u.id
+       WHERE v.document_id = $1
+       ORDER BY v.version ASC`,
+      [documentId]
+    );
+
+    const versions = result.rows.map((version, index) => ({
+      ...version,
+      changes: index > 0 ? diffVersions(result.rows[index - 1], version) : []
+    }));
+
+    return { ...document.rows[0], versions: versions.reverse() };
+  }
+
+  /**
+   * Field changes between two versions of a document (defaults: the current
+   * version against the one before it)
+   */
+  async getDocumentVersionDiff(documentId, fromVersion, toVersion) {
+    const document = await pool.query('SELECT id, version FROM documents WHERE id = $1', [documentId]);
+    if (document.rows.length === 0) {
+      return null;
+    }
+
+    const to = toVersion ? parseInt(toVersion) : document.rows[0].version;
+    const from = fromVersion ? parseInt(fromVersion) : to - 1;
+
+    const result = await pool.query(
+      'SELECT * FROM document_versions WHERE document_id = $1 AND version = ANY($2::int[])',
+      [documentId, [from, to]]
+    );
+    const versions = new Map(result.rows.map(row => [row.version, row]));
+
+    const missing = [from, to].filter(version => !versions.has(version));
+    if (missing.length > 0) {
+      const error = new Error(`Version ${missing[0]} not found for this document`);
+      error.status = 404;
+      throw error;
+    }
+
+    const summary = ({ version, file_name, change_description, uploaded_by, created_at }) =>
+      ({ version, file_name, change_description, uploaded_by, created_at });
+
+    return {
+      document_id: documentId,
+      from: summary(versions.get(from)),
+      to: summary(versions.get(to)),
+      changes: diffVersions(versions.get(from), versions.get(to))
+    };
+  }
+
+  /**
+   * Signed download URL for the file of one document version
+   */
+  async getDocumentVersionDownload(documentId, version) {
+    const result = await pool.query(
+      'SELECT * FROM document_versions WHERE document_id = $1 AND version = $2',
+      [documentId, parseInt(version)]
+    );
+    const documentVersion = result.rows[0];
+    if (!documentVersion) {
+      return null;
+    }
+
+    const fileId = documentVersion.file_id || StorageService.parseFileReference(documentVersion.file_url);
+    const file = fileId ? await StorageService.getFile(fileId) : null;
+
+    return {
+      version: documentVersion,
+      file: file ? await StorageService.getSignedFile(file) : { url: documentVersion.file_url, thumbnailUrl: null }
+    };
+  }
+
+  /**
+   * Mark lapsed documents expired and send escalating expiry reminders: a notice
+   * to the owner, a warning in the last week that also reaches the location
+   * manager (corporate for company-wide documents) and an expired notice that
+   * goes up to corporate. Each threshold is sent once per expiration date.
+   */
+  async processDocumentExpiryReminders(params = {}) {
+    const NotificationService = require('./NotificationService');
+    const expiredWithinDays = params.expired_within_days || 30;
+
+    const lapsed = await pool.query(
+      `UPDATE documents SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE expiration_date < CURRENT_DATE AND status IN ('active', 'pending_renewal')
+       RETURNING id`
+    );
+
+    const result = await pool.query(
+      `SELECT d.id, d.title, d.document_type, d.location_id, d.owner_user_id, d.uploaded_by,
+              d.reminder_days_before_expiry,
+              to_char(d.expiration_date, 'YYYY-MM-DD') as expires_on,
+              (d.expiration_date - CURRENT_DATE) as days_remaining,
+              l.name as location_name, l.manager_id
+       FROM documents d
+       LEFT JOIN locations l ON l.id = d.location_id
+       WHERE d.expiration_date IS NOT NULL
+         AND d.status != 'archived'
+         AND d.expiration_date >= CURRENT_DATE - $1::int
+         AND d.expiration_date <= CURRENT_DATE + GREATEST(COALESCE(d.reminder_days_before_expiry, 30), 14)`,
+      [expiredWithinDays]
+    );
+
+    let corporateUserIds = null;
+    const corporateUsers = async () => {
+      if (!corporateUserIds) {
+        const users = await pool.query("SELECT id FROM users WHERE role = 'corporate' AND active = true");
+        corporateUserIds = users.rows.map(row => row.id);
+      }
+      return corporateUserIds;
+    };
+
+    let sent = 0;
+    for (const document of result.rows) {
+      const stage = reminderStage(document.days_remaining, expiryReminderDays(document.reminder_days_before_expiry));
+      if (!stage) continue;
+
+      const recipients = [document.owner_user_id || document.uploaded_by];
+      if (stage.escalation !== 'notice') {
+        recipients.push(...(document.location_id ? [document.manager_id] : await corporateUsers()));
+      }
+      if (stage.escalation === 'expired') {
+        recipients.push(...await corporateUsers());
+      }
+      const userIds = [...new Set(recipients.filter(Boolean))];
+
+      const claimed = await pool.query(
+        `INSERT INTO document_expiry_reminders (document_id, expiration_date, days_before, escalation, recipients)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (document_id, expiration_date, days_before) DO NOTHING
+         RETURNING id`,
+        [document.id, document.expires_on, stage.days_before, stage.escalation, userIds]
+      );
+      if (claimed.rows.length === 0) continue;
+
+      const where = document.location_name ? ` for ${document.location_name}` : '';
+      const expired = stage.escalation === 'expired';
+      const notification = {
+        locationId: document.location_id,
+        notificationType: expired ? 'document_expired' : 'document_expiring',
+        title: expired
+          ? `${document.title} has expired`
+          : `${document.title} expires in ${document.days_remaining} day(s)`,
+        message: expired
+          ? `The ${document.document_type} "${document.title}"${where} expired on ${document.expires_on}. Upload the renewed document.`
+          : `The ${document.document_type} "${document.title}"${where} expires on ${document.expires_on}. Upload the renewal before it lapses.`,
+        priority: { notice: 'medium', warning: 'high', expired: 'urgent' }[stage.escalation],
+        actionUrl: `/compliance/documents/${document.id}`,
+        metadata: { documentId: document.id, escalation: stage.escalation, daysRemaining: document.days_remaining }
+      };
+
+      for (const userId of userIds) {
+        try {
+          await NotificationService.createNotification({ ...notification, userId });
+          sent++;
+        } catch (error) {
+          console.error(`[ComplianceService] Failed to send expiry reminder for document ${document.id}:`, error);
+        }
+      }
+    }
+
+    return { checked: result.rows.length, sent, expired: lapsed.rows.length };
+  }
+
+  /**
+   * Location, its current documents (including company-wide ones) with version
+   * history, and their stored files
+   */
+  async loadDocumentPacket(locationId) {
+    const location = await pool.query(
+      'SELECT id, name, address, city, state FROM locations WHERE id = $1',
+      [locationId]
+    );
+    if (location.rows.length === 0) {
+      const error = new Error('Location not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const documents = await pool.query(
+      `SELECT d.id, d.title, d.document_type, d.category, d.location_id, d.version, d.status,
+              d.issuing_authority, d.file_name, d.mime_type, d.file_id, d.file_url,
+              to_char(d.issue_date, 'YYYY-MM-DD') as issue_date,
+              to_char(d.expiration_date, 'YYYY-MM-DD') as expiration_date,
+              (d.expiration_date - CURRENT_DATE) as days_until_expiry
+       FROM documents d
+       WHERE (d.location_id = $1 OR d.location_id IS NULL) AND d.status != 'archived'
+       ORDER BY d.document_type, d.title`,
+      [locationId]
+    );
+
+    const ids = documents.rows.map(document => document.id);
+    const versions = await pool.query(
+      `SELECT v.document_id, v.version, v.file_name, v.change_description, v.created_at,
+              u.first_name || ' ' || u.last_name as uploaded_by_name
+       FROM document_versions v
+       LEFT JOIN users u ON v.uploaded_by = u.id
+       WHERE v.document_id = ANY($1)
+       ORDER BY v.version DESC`,
+      [ids]
+    );
+
+    const fileIds = documents.rows
+      .map(document => document.file_id || StorageService.parseFileReference(document.file_url))
+      .filter(Boolean);
+    const files = await pool.query(
+      'SELECT * FROM stored_files WHERE id = ANY($1) AND deleted_at IS NULL',
+      [fileIds]
+    );
+    const filesById = new Map(files.rows.map(file => [file.id, file]));
+
+    return {
+      location: location.rows[0],
+      documents: documents.rows.map(document => ({
+        ...document,
+        versions: versions.rows.filter(version => version.document_id === document.id),
+        stored_file: filesById.get(document.file_id || StorageService.parseFileReference(document.file_url)) || null
+      }))
+    };
+  }
+
+  /**
+   * Document packet for inspectors as JSON, with signed download URLs
+   */
+  async getDocumentPacket(locationId) {
+    const { location, documents } = await this.loadDocumentPacket(locationId);
+
+    return {
+      location,
+      generated_at: new Date().toISOString(),
+      documents: await Promise.all(documents.map(async ({ stored_file, file_id, file_url, ...document }) => ({
+        ...document,
+        file: stored_file ? await StorageService.getSignedFile(stored_file) : { url: file_url, thumbnailUrl: null }
+      })))
+    };
+  }
+
+  /**
+   * Document packet for inspectors as one PDF: cover and index, then a page per
+   * document with its history. Scanned images are printed on the page; PDF
+   * originals are embedded as attachments.
+   */
+  async exportDocumentPacketPdf(locationId) {
+    const { location, documents } = await this.loadDocumentPacket(locationId);
+
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, bufferPages: true });
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', resolve);
+      doc.on('error', reject);
+    });
+
+    const generatedAt = new Date().toISOString().replace('T', ' ').substring(0, 16);
+    const expired = documents.filter(document => document.days_until_expiry !== null && document.days_until_expiry < 0);
+    const expiring = documents.filter(document =>
+      document.days_until_expiry !== null && document.days_until_expiry >= 0 && document.days_until_expiry <= 30);
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Compliance Document Packet');
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(14).text(location.name);
+    doc.font('Helvetica').fontSize(10);
+    [location.address, [location.city, location.state].filter(Boolean).join(', ')]
+      .filter(Boolean)
+      .forEach(line => doc.text(line));
+    doc.moveDown();
+    doc.text(`Generated ${generatedAt} UTC`);
+    doc.text(`${documents.length} document(s), ${expired.length} expired, ${expiring.length} expiring within 30 days`);
+    doc.moveDown();
+
+    // Index
+    const columns = [
+      { header: 'Document', width: 170, value: document => document.title },
+      { header: 'Type', width: 80, value: document => document.document_type },
+      { header: 'Issued by', width: 100, value: document => document.issuing_authority || '' },
+      { header: 'Expires', width: 70, value: document => document.expiration_date || '' },
+      { header: 'Status', width: 50, value: document => document.status },
+      { header: 'Ver.', width: 30, value: document => String(document.version) }
+    ];
+    const drawRow = (cells, options = {}) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 14) {
+        doc.addPage();
+      }
+      const top = doc.y;
+      let x = doc.page.margins.left;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(options.color || '#000000');
+      cells.forEach((cell, index) => {
+        doc.text(cell, x, top, { width: columns[index].width - 4, ellipsis: true, lineBreak: false });
+        x += columns[index].width;
+      });
+      doc.fillColor('#000000');
+      doc.x = doc.page.margins.left;
+      doc.y = top + 14;
+    };
+
+    drawRow(columns.map(column => column.header), { bold: true });
+    documents.forEach(document => drawRow(
+      columns.map(column => column.value(document)),
+      { color: document.days_until_expiry !== null && document.days_until_expiry < 0 ? '#C00000' : null }
+    ));
+    if (documents.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(9).text('No documents on file for this location.');
+    }
+
+    for (const document of documents) {
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(14).text(document.title);
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(10);
+      [
+        ['Type', document.document_type],
+        ['Category', document.category],
+        ['Scope', document.location_id ? location.name : 'Company-wide'],
+        ['Issuing authority', document.issuing_authority],
+        ['Issued', document.issue_date],
+        ['Expires', document.expiration_date],
+        ['Status', document.status],
+        ['Version', document.version]
+      ].filter(([, value]) => value !== null && value !== undefined).forEach(([label, value]) => {
+        doc.text(`${label}: ${value}`);
+      });
+
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(10).text('Version history');
+      doc.font('Helvetica').fontSize(8);
+      document.versions.forEach(version => {
+        const uploaded = new Date(version.created_at).toISOString().substring(0, 10);
+        doc.text(`v${version.version}  ${uploaded}  ${version.file_name}` +
+          `${version.uploaded_by_name ? `  (${version.uploaded_by_name})` : ''}` +
+          `${version.change_description ? ` - ${version.change_description}` : ''}`);
+      });
+      doc.moveDown();
+
+      const file = document.stored_file;
+      if (!file) continue;
+
+      try {
+        const data = await StorageService.getBackend(file.storage_backend).getObject(file.storage_key);
+        if (PACKET_IMAGE_TYPES.includes(file.content_type)) {
+          const height = doc.page.height - doc.page.margins.bottom - doc.y;
+          doc.image(data, { fit: [doc.page.width - doc.page.margins.left - doc.page.margins.right, height], align: 'center' });
+        } else {
+          doc.file(data, { name: file.original_filename || document.file_name, type: file.content_type });
+          doc.font('Helvetica-Oblique').fontSize(9)
+            .text(`Original attached to this PDF as ${file.original_filename || document.file_name}.`);
+        }
+      } catch (error) {
+        console.error(`[ComplianceService] Could not include file for document ${document.id}:`, error);
+        doc.font('Helvetica-Oblique').fontSize(9).text('Original file unavailable.');
+      }
+    }
+
+    // Page footers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const { margins } = doc.page;
+      doc.page.margins = { ...margins, bottom: 0 };
+      doc.font('Helvetica').fontSize(7).fillColor('#666666').text(
+        `${location.name}  ·  Page ${i - range.start + 1} of ${range.count}`,
+        margins.left,
+        doc.page.height - margins.bottom + 12,
+        { width: doc.page.width - margins.left - margins.right, align: 'right', lineBreak: false }
+      );
+      doc.fillColor('#000000');
+      doc.page.margins = margins;
+    }
+
+    doc.end();
+    await finished;
+
+    const slug = location.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return {
+      data: Buffer.concat(chunks),
+      filename: `document-packet-${slug || location.id}-${generatedAt.substring(0, 10)}.pdf`,
+      contentType: 'application/pdf'
+    };
+  }
+
   /**
    * Get compliance dashboard data
    */
@@ -569,10 +1549,24 @@ class ComplianceService {
         locationId ? [locationId] : []
       );
 
+      // Documents in force at the location, including company-wide ones
+      const documentSummary = await pool.query(
+        `SELECT
+           COUNT(*) FILTER (WHERE expiration_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 30) as expiring_30_days,
+           COUNT(*) FILTER (WHERE expiration_date < CURRENT_DATE) as expired
+         FROM documents
+         WHERE status != 'archived' ${locationFilter ? 'AND (location_id = $1 OR location_id IS NULL)' : ''}`,
+        locationId ? [locationId] : []
+      );
+
       return {
         violations: violationSummary.rows[0],
         inspections: inspectionSummary.rows[0],
-        pending_actions: parseInt(pendingActions.rows[0].count)
+        pending_actions: parseInt(pendingActions.rows[0].count),
+        documents: {
+          expiring_30_days: parseInt(documentSummary.rows[0].expiring_30_days),
+          expired: parseInt(documentSummary.rows[0].expired)
+        }
       };
     } catch (error) {
       console.error('[ComplianceService] Error getting dashboard:', error);
@@ -5,8 +5,16 @@
  * Handles online ordering, reservations, loyalty, and customer accounts
  */
 
-const { pool } = require('../database/pool');
+const pool = require('../database/pool').getPool();
 const bcrypt = require('bcrypt');
+const MarketingService = require('./MarketingService');
+const MarketingWorkflowService = require('./MarketingWorkflowService');
+const MenuManagementService = require('./MenuManagementService');
+const EventBus = require('./EventBus');
+const { promotionDiscount, salesTax } = require('../utils/orderPricing');
+
+// Tax types charged on food and drink sales
+const SALES_TAX_TYPES = ['sales_tax', 'vat', 'gst'];
 
 class CustomerPortalService {
   // ============================================
@@ -42,6 +50,15 @@ class CustomerPortalService {
       await client.query('COMMIT');
       const account = result.rows[0];
       delete account.password_hash;
+
+      try {
+        await MarketingWorkflowService.triggerWorkflows('customer_signup', account.id, {
+          locationId: account.preferred_location_id
+        });
+      } catch (error) {
+        console.error('[CustomerPortal] Failed to trigger signup workflows:', error.message);
+      }
+
       return account;
     } catch (error) {
       await client.query('ROLLBACK');
@@ -185,12 +202,14 @@ class CustomerPortalService {
   // ============================================
 
   async createOnlineOrder(orderData, customerId) {
+    const pricing = await this.priceOrder(orderData, customerId);
+
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
       // Calculate loyalty points
-      const loyaltyPoints = await this.calculateLoyaltyPoints(orderData.total_amount);
+      const loyaltyPoints = await this.calculateLoyaltyPoints(pricing.total_amount);
 
       // Create order
       const orderResult = await client.query(
@@ -206,14 +225,14 @@ class CustomerPortalService {
           customerId,
           orderData.location_id,
           orderData.order_type,
-          orderData.subtotal,
-          orderData.tax_amount || 0,
-          orderData.delivery_fee || 0,
-          orderData.tip_amount || 0,
-          orderData.discount_amount || 0,
+          pricing.subtotal,
+          pricing.tax_amount,
+          pricing.delivery_fee,
+          pricing.tip_amount,
+          pricing.discount_amount,
           orderData.loyalty_points_used || 0,
           loyaltyPoints,
-          orderData.total_amount,
+          pricing.total_amount,
           orderData.special_instructions,
           orderData.delivery_address_id,
           orderData.scheduled_for,
@@ -223,19 +242,24 @@ class CustomerPortalService {
 
       const order = orderResult.rows[0];
 
+      if (pricing.promotion) {
+        await MarketingService.redeemPromotion(pricing.promotion.id, customerId, order.id, pricing.discount_amount, client);
+      }
+
       // Insert order items
-      for (const item of orderData.items) {
+      for (const item of pricing.items) {
         await client.query(
           `INSERT INTO online_order_items (
             order_id, menu_item_id, quantity, unit_price,
-            modifiers, special_instructions, subtotal
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            modifiers, components, special_instructions, subtotal
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
           [
             order.id,
             item.menu_item_id,
             item.quantity,
             item.unit_price,
-            JSON.stringify(item.modifiers || []),
+            JSON.stringify(item.modifiers),
+            JSON.stringify(item.components),
             item.special_instructions,
             item.subtotal
           ]
@@ -263,6 +287,20 @@ class CustomerPortalService {
       }
 
       await client.query('COMMIT');
+
+      // Credit the campaign the customer last opened or clicked
+      try {
+        await MarketingService.recordConversion(customerId, order.id, pricing.total_amount);
+      } catch (error) {
+        console.error('[CustomerPortal] Failed to record campaign conversion:', error.message);
+      }
+
+      try {
+        await MarketingWorkflowService.handleOrderPlaced(customerId, order);
+      } catch (error) {
+        console.error('[CustomerPortal] Failed to trigger order workflows:', error.message);
+      }
+
       return await this.getOrderById(order.id);
     } catch (error) {
       await client.query('ROLLBACK');
@@ -272,6 +310,122 @@ class CustomerPortalService {
     }
   }
 
+  /**
+   * Price an order from the menu: each line at the item's effective price plus its
+   * modifier and combo deltas, less the discount of a valid promotion_code, plus the
+   * location's sales tax on the discounted subtotal. Client-supplied prices, totals,
+   * tax and discounts are ignored; only the delivery fee and tip are taken as given.
+   */
+  async priceOrder(orderData, customerId = null) {
+    const deliveryFee = this.parseCharge(orderData.delivery_fee, 'delivery_fee');
+    const tipAmount = this.parseCharge(orderData.tip_amount, 'tip_amount');
+
+    const availability = await this.assertItemsAvailable(orderData);
+    const items = await MenuManagementService.priceOrderItems(orderData.items, availability);
+
+    const roundMoney = (value) => Math.round(value * 100) / 100;
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+    const promotion = orderData.promotion_code
+      ? await this.getOrderPromotion(orderData.promotion_code, customerId, orderData.location_id, subtotal)
+      : null;
+    const discountAmount = promotion ? promotionDiscount(promotion, items, subtotal) : 0;
+    const taxAmount = salesTax(subtotal - discountAmount, await this.getSalesTaxRates(orderData.location_id));
+
+    return {
+      items,
+      subtotal,
+      tax_amount: taxAmount,
+      delivery_fee: deliveryFee,
+      tip_amount: tipAmount,
+      discount_amount: discountAmount,
+      promotion: promotion ? { id: promotion.id, promotion_code: promotion.promotion_code } : null,
+      total_amount: roundMoney(subtotal - discountAmount + taxAmount + deliveryFee + tipAmount)
+    };
+  }
+
+  parseCharge(value, field) {
+    if (value === undefined || value === null || value === '') return 0;
+
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      const error = new Error(`${field} must be a non-negative amount`);
+      error.status = 400;
+      throw error;
+    }
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * A promotion the customer may use on this order; invalid codes are a 400
+   */
+  async getOrderPromotion(promotionCode, customerId, locationId, subtotal) {
+    let promotion;
+    try {
+      promotion = await MarketingService.validatePromotion(promotionCode, customerId, subtotal);
+    } catch (error) {
+      error.status = error.status || 400;
+      throw error;
+    }
+
+    if (promotion.location_id && promotion.location_id !== locationId) {
+      const error = new Error('This promotion is not valid at this location');
+      error.status = 400;
+      throw error;
+    }
+    return promotion;
+  }
+
+  async getSalesTaxRates(locationId) {
+    const result = await pool.query(
+      `SELECT tax_rate, is_compound FROM tax_rates
+       WHERE location_id = $1 AND is_active = TRUE AND tax_type = ANY($2)
+         AND effective_from <= CURRENT_DATE
+         AND (effective_to IS NULL OR effective_to >= CURRENT_DATE)`,
+      [locationId, SALES_TAX_TYPES]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Reject orders containing items not sold at the location when the order is
+   * wanted (scheduled_for, or now): out of season, outside their daypart or
+   * switched off at the location
+   */
+  async assertItemsAvailable(orderData) {
+    const items = orderData.items || [];
+    if (items.length === 0) {
+      const error = new Error('Order must contain at least one item');
+      error.status = 400;
+      throw error;
+    }
+
+    const orderTime = orderData.scheduled_for ? new Date(orderData.scheduled_for) : new Date();
+    if (Number.isNaN(orderTime.getTime())) {
+      const error = new Error('scheduled_for must be a valid date/time');
+      error.status = 400;
+      throw error;
+    }
+
+    const menuItemIds = [...new Set(items.flatMap(item => [
+      item.menu_item_id,
+      ...(Array.isArray(item.components) ? item.components.map(component => component.menu_item_id) : [])
+    ]))];
+    const availability = await MenuManagementService.checkItemAvailability(orderData.location_id, menuItemIds, orderTime);
+    const unavailable = availability.filter(item => !item.available);
+
+    if (unavailable.length > 0) {
+      const error = new Error(
+        `Not available at the requested time: ${unavailable.map(item => item.name || item.menu_item_id).join(', ')}`
+      );
+      error.status = 400;
+      error.unavailableItems = unavailable.map(({ menu_item_id, name, reason }) => ({ menu_item_id, name, reason }));
+      throw error;
+    }
+
+    return availability;
+  }
+
   async getOrderById(orderId) {
     const result = await pool.query(
       `SELECT
@@ -284,6 +438,7 @@ class CustomerPortalService {
             'quantity', oi.quantity,
             'unit_price', oi.unit_price,
             'modifiers', oi.modifiers,
+            'components', oi.components,
             'special_instructions', oi.special_instructions,
             'subtotal', oi.subtotal
           )) FILTER (WHERE oi.id IS NOT NULL),
@@ -323,6 +478,11 @@ class CustomerPortalService {
   }
 
   async updateOrderStatus(orderId, status, userId) {
+    const previous = await pool.query(
+      'SELECT order_status FROM online_orders WHERE id = $1',
+      [orderId]
+    );
+
     const result = await pool.query(
       `UPDATE online_orders
        SET order_status = $1, updated_at = NOW()
@@ -331,6 +491,31 @@ class CustomerPortalService {
       [status, orderId]
     );
 
+    const order = result.rows[0];
+    const previousStatus = previous.rows[0] ? previous.rows[0].order_status : null;
+    if (order && previousStatus !== status) {
+      EventBus.publish('order.status_changed', {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        locationId: order.location_id,
+        customerId: order.customer_id,
+        orderType: order.order_type,
+        previousStatus,
+        status,
+        totalAmount: parseFloat(order.total_amount)
+      }, { actorId: userId });
+    }
+
+    // Completed orders use up their recipe ingredients; a stock problem must not
+    // block the status change
+    if (result.rows[0] && status === 'completed') {
+      try {
+        await MenuManagementService.depleteInventoryForOrder(orderId);
+      } catch (error) {
+        console.error('[CustomerPortal] Failed to deplete inventory for order:', error.message);
+      }
+    }
+
     return result.rows[0];
   }
 
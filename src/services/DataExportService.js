@@ -1,12 +1,133 @@
 /**
  * Data Export/Import Service
- * Handles data exports to CSV, JSON, XLSX and imports from various formats
+ * Handles data exports to CSV, JSON, XLSX, PDF and imports from various formats
  */
 
 const { getPool } = require('../database/pool');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
 const path = require('path');
 const { Parser } = require('@json2csv/plainjs');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+/**
+ * Column layout per export type.
+ * type: string | number | currency | date | datetime | time | boolean
+ * total: summed on the summary sheet
+ */
+const EXPORT_DEFINITIONS = {
+  tasks: {
+    title: 'Tasks',
+    columns: [
+      { key: 'title', header: 'Title', type: 'string', width: 32 },
+      { key: 'task_type', header: 'Type', type: 'string', width: 14 },
+      { key: 'priority', header: 'Priority', type: 'string', width: 10 },
+      { key: 'status', header: 'Status', type: 'string', width: 12 },
+      { key: 'due_date', header: 'Due', type: 'datetime', width: 18 },
+      { key: 'completed_at', header: 'Completed', type: 'datetime', width: 18 },
+      { key: 'assigned_to_name', header: 'Assigned To', type: 'string', width: 20 },
+      { key: 'created_by_name', header: 'Created By', type: 'string', width: 20 },
+      { key: 'location_name', header: 'Location', type: 'string', width: 20 },
+      { key: 'description', header: 'Description', type: 'string', width: 40, pdf: false },
+      { key: 'created_at', header: 'Created', type: 'datetime', width: 18 },
+      { key: 'id', header: 'ID', type: 'string', width: 24, pdf: false }
+    ]
+  },
+  temperatures: {
+    title: 'Temperature Logs',
+    columns: [
+      { key: 'recorded_at', header: 'Recorded', type: 'datetime', width: 18 },
+      { key: 'equipment_name', header: 'Equipment', type: 'string', width: 24 },
+      { key: 'equipment_type', header: 'Type', type: 'string', width: 16 },
+      { key: 'temperature', header: 'Temp (°F)', type: 'number', width: 10, numFmt: '0.0' },
+      { key: 'is_within_range', header: 'In Range', type: 'boolean', width: 10 },
+      { key: 'recorded_by_name', header: 'Recorded By', type: 'string', width: 20 },
+      { key: 'location_name', header: 'Location', type: 'string', width: 20 },
+      { key: 'notes', header: 'Notes', type: 'string', width: 36 },
+      { key: 'id', header: 'ID', type: 'string', width: 24, pdf: false }
+    ],
+    // Health inspectors care most about out-of-range readings
+    flagRow: row => row.is_within_range === false
+  },
+  inventory: {
+    title: 'Inventory',
+    columns: [
+      { key: 'item_name', header: 'Item', type: 'string', width: 28 },
+      { key: 'category', header: 'Category', type: 'string', width: 16 },
+      { key: 'current_quantity', header: 'On Hand', type: 'number', width: 10 },
+      { key: 'unit', header: 'Unit', type: 'string', width: 8 },
+      { key: 'unit_cost', header: 'Unit Cost', type: 'currency', width: 12 },
+      { key: 'total_value', header: 'Value', type: 'currency', width: 14, total: true },
+      { key: 'par_level', header: 'Par', type: 'number', width: 8 },
+      { key: 'reorder_point', header: 'Reorder At', type: 'number', width: 10 },
+      { key: 'last_counted_at', header: 'Last Counted', type: 'datetime', width: 18 },
+      { key: 'location_name', header: 'Location', type: 'string', width: 20 },
+      { key: 'id', header: 'ID', type: 'string', width: 24, pdf: false }
+    ],
+    flagRow: row => row.reorder_point !== null && row.reorder_point !== undefined
+      && Number(row.current_quantity) <= Number(row.reorder_point)
+  },
+  schedules: {
+    title: 'Schedules',
+    columns: [
+      { key: 'shift_date', header: 'Date', type: 'date', width: 12 },
+      { key: 'start_time', header: 'Start', type: 'time', width: 8 },
+      { key: 'end_time', header: 'End', type: 'time', width: 8 },
+      { key: 'employee_name', header: 'Employee', type: 'string', width: 22 },
+      { key: 'position', header: 'Position', type: 'string', width: 16 },
+      { key: 'total_hours', header: 'Hours', type: 'number', width: 8, numFmt: '0.00', total: true },
+      { key: 'estimated_cost', header: 'Est. Cost', type: 'currency', width: 12, total: true },
+      { key: 'status', header: 'Status', type: 'string', width: 12 },
+      { key: 'location_name', header: 'Location', type: 'string', width: 20 },
+      { key: 'id', header: 'ID', type: 'string', width: 24, pdf: false }
+    ]
+  },
+  labor: {
+    title: 'Labor',
+    columns: [
+      { key: 'shift_date', header: 'Date', type: 'date', width: 12 },
+      { key: 'employee_name', header: 'Employee', type: 'string', width: 22 },
+      { key: 'position', header: 'Position', type: 'string', width: 16 },
+      { key: 'clock_in', header: 'Clock In', type: 'datetime', width: 18 },
+      { key: 'clock_out', header: 'Clock Out', type: 'datetime', width: 18 },
+      { key: 'total_hours', header: 'Hours', type: 'number', width: 8, numFmt: '0.00', total: true },
+      { key: 'hourly_rate', header: 'Rate', type: 'currency', width: 10 },
+      { key: 'overtime_hours', header: 'OT Hours', type: 'number', width: 9, numFmt: '0.00', total: true },
+      { key: 'overtime_cost', header: 'OT Cost', type: 'currency', width: 12, total: true },
+      { key: 'total_cost', header: 'Total Cost', type: 'currency', width: 12, total: true },
+      { key: 'status', header: 'Status', type: 'string', width: 10 },
+      { key: 'location_name', header: 'Location', type: 'string', width: 20 },
+      { key: 'id', header: 'ID', type: 'string', width: 24, pdf: false }
+    ]
+  },
+  sales: {
+    title: 'Sales',
+    columns: [
+      { key: 'sale_date', header: 'Date', type: 'date', width: 12 },
+      { key: 'sale_hour', header: 'Hour', type: 'number', width: 6, numFmt: '0' },
+      { key: 'gross_sales', header: 'Gross', type: 'currency', width: 12, total: true },
+      { key: 'discounts', header: 'Discounts', type: 'currency', width: 12, total: true },
+      { key: 'net_sales', header: 'Net', type: 'currency', width: 12, total: true },
+      { key: 'tax_amount', header: 'Tax', type: 'currency', width: 10, total: true },
+      { key: 'tips', header: 'Tips', type: 'currency', width: 10, total: true },
+      { key: 'transaction_count', header: 'Transactions', type: 'number', width: 12, numFmt: '0', total: true },
+      { key: 'guest_count', header: 'Guests', type: 'number', width: 8, numFmt: '0', total: true },
+      { key: 'average_check', header: 'Avg Check', type: 'currency', width: 11 },
+      { key: 'location_name', header: 'Location', type: 'string', width: 20 },
+      { key: 'id', header: 'ID', type: 'string', width: 24, pdf: false }
+    ]
+  }
+};
+
+// The 'all' export type bundles every dataset into one workbook/PDF
+const ALL_EXPORT_TYPES = Object.keys(EXPORT_DEFINITIONS);
+
+const NUMBER_FORMATS = {
+  currency: '"$"#,##0.00',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
 
 class DataExportService {
   constructor() {
@@ -72,10 +193,14 @@ class DataExportService {
       const job = jobResult.rows[0];
 
       // Get data based on export type
-      const data = await this.getDataForExport(job.export_type, job.filters, job.location_id);
+      const datasets = await this.getExportDatasets(job.export_type, job.filters || {}, job.location_id);
+      const rowCount = datasets.reduce((sum, dataset) => sum + dataset.rows.length, 0);
 
       // Generate file based on format
-      const filePath = await this.generateExportFile(data, job.format, job.export_type);
+      const filePath = await this.generateExportFile(datasets, job.format, job.export_type, {
+        locationId: job.location_id,
+        filters: job.filters || {}
+      });
       const stats = await fs.stat(filePath);
 
       // Update job with results
@@ -92,14 +217,14 @@ class DataExportService {
       `, [
         filePath,
         stats.size,
-        data.length,
+        rowCount,
         `/api/v1/exports/${exportId}/download`,
         exportId
       ]);
 
       await client.query('COMMIT');
 
-      return { success: true, exportId, rowCount: data.length };
+      return { success: true, exportId, rowCount };
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -119,6 +244,20 @@ class DataExportService {
     }
   }
 
+  /**
+   * Load one dataset per sheet: [{ type, rows }]
+   */
+  async getExportDatasets(exportType, filters, locationId) {
+    const types = exportType === 'all' ? ALL_EXPORT_TYPES : [exportType];
+    const datasets = [];
+
+    for (const type of types) {
+      datasets.push({ type, rows: await this.getDataForExport(type, filters, locationId) });
+    }
+
+    return datasets;
+  }
+
   async getDataForExport(exportType, filters, locationId) {
     const pool = getPool();
 
@@ -414,22 +553,34 @@ class DataExportService {
     return result.rows;
   }
 
-  async generateExportFile(data, format, exportType) {
+  async generateExportFile(datasets, format, exportType, meta = {}) {
     const timestamp = Date.now();
     const filename = `${exportType}_${timestamp}.${format}`;
     const filePath = path.join(this.exportDir, filename);
 
     switch (format) {
       case 'csv':
-        await this.generateCSV(data, filePath);
+        if (datasets.length > 1) {
+          throw new Error('CSV exports contain a single dataset; use xlsx, pdf or json for multiple');
+        }
+        await this.generateCSV(datasets[0].rows, filePath);
         break;
 
       case 'json':
-        await this.generateJSON(data, filePath);
+        await this.generateJSON(
+          datasets.length === 1
+            ? datasets[0].rows
+            : Object.fromEntries(datasets.map(dataset => [dataset.type, dataset.rows])),
+          filePath
+        );
         break;
 
       case 'xlsx':
-        await this.generateXLSX(data, filePath);
+        await this.generateXLSX(datasets, filePath, { ...meta, exportType });
+        break;
+
+      case 'pdf':
+        await this.generatePDF(datasets, filePath, { ...meta, exportType });
         break;
 
       default:
@@ -454,10 +605,345 @@ class DataExportService {
     await fs.writeFile(filePath, JSON.stringify(data, null, 2));
   }
 
-  async generateXLSX(data, filePath) {
-    // Placeholder for XLSX generation
-    // Would use a library like 'exceljs' or 'xlsx'
-    await this.generateCSV(data, filePath);
+  /**
+   * Workbook with a summary sheet followed by one typed sheet per dataset
+   */
+  async generateXLSX(datasets, filePath, meta = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'PattyShack';
+    workbook.created = new Date();
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+      { header: 'Metric', key: 'metric', width: 36 },
+      { header: 'Value', key: 'value', width: 24 }
+    ];
+    this.styleHeaderRow(summarySheet);
+    summarySheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    this.buildSummary(datasets, meta).forEach(item => {
+      const row = summarySheet.addRow({ metric: item.label, value: this.toCellValue(item.value, item.type) });
+      if (NUMBER_FORMATS[item.type]) {
+        row.getCell('value').numFmt = NUMBER_FORMATS[item.type];
+      }
+      if (item.section) {
+        row.font = { bold: true };
+      }
+    });
+
+    datasets.forEach(dataset => {
+      const definition = this.getExportDefinition(dataset.type, dataset.rows);
+      const sheet = workbook.addWorksheet(definition.title.substring(0, 31));
+
+      sheet.columns = definition.columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.width || 16,
+        style: column.numFmt || NUMBER_FORMATS[column.type]
+          ? { numFmt: column.numFmt || NUMBER_FORMATS[column.type] }
+          : {}
+      }));
+      this.styleHeaderRow(sheet);
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+      dataset.rows.forEach(record => {
+        const values = {};
+        definition.columns.forEach(column => {
+          values[column.key] = this.toCellValue(record[column.key], column.type);
+        });
+
+        const row = sheet.addRow(values);
+        if (definition.flagRow && definition.flagRow(record)) {
+          row.font = { color: { argb: 'FFC00000' }, bold: true };
+        }
+      });
+
+      if (dataset.rows.length > 0) {
+        sheet.autoFilter = {
+          from: { row: 1, column: 1 },
+          to: { row: 1, column: definition.columns.length }
+        };
+      }
+    });
+
+    await workbook.xlsx.writeFile(filePath);
+  }
+
+  /**
+   * Printable landscape report: summary first, then one table per dataset
+   */
+  async generatePDF(datasets, filePath, meta = {}) {
+    const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 36, bufferPages: true });
+    const stream = createWriteStream(filePath);
+    const finished = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    const title = meta.exportType === 'all'
+      ? 'Operations Export'
+      : `${this.getExportDefinition(meta.exportType, []).title} Export`;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title);
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(9);
+
+    this.buildSummary(datasets, meta).forEach(item => {
+      if (item.section) {
+        doc.moveDown(0.4).font('Helvetica-Bold').text(item.label).font('Helvetica');
+        return;
+      }
+      doc.text(`${item.label}: ${this.formatCell(item.value, item.type)}`);
+    });
+
+    datasets.forEach(dataset => {
+      const definition = this.getExportDefinition(dataset.type, dataset.rows);
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(13).text(definition.title);
+      doc.moveDown(0.3);
+      this.drawPdfTable(doc, definition, dataset.rows);
+    });
+
+    // Page footers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.height - doc.page.margins.bottom + 12;
+
+      // Writing inside the bottom margin would otherwise start a new page
+      const { margins } = doc.page;
+      doc.page.margins = { ...margins, bottom: 0 };
+      doc.font('Helvetica').fontSize(7).fillColor('#666666').text(
+        `Generated ${new Date().toISOString().replace('T', ' ').substring(0, 16)} UTC  ·  Page ${i - range.start + 1} of ${range.count}`,
+        margins.left,
+        bottom,
+        { width: doc.page.width - margins.left - margins.right, align: 'right', lineBreak: false }
+      );
+      doc.fillColor('#000000');
+      doc.page.margins = margins;
+    }
+
+    doc.end();
+    await finished;
+  }
+
+  drawPdfTable(doc, definition, rows) {
+    const columns = definition.columns.filter(column => column.pdf !== false);
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const totalWeight = columns.reduce((sum, column) => sum + (column.width || 16), 0);
+    const widths = columns.map(column => ((column.width || 16) / totalWeight) * usableWidth);
+    const rowHeight = 14;
+    const bottomLimit = () => doc.page.height - doc.page.margins.bottom - rowHeight;
+
+    const drawRow = (cells, y, options = {}) => {
+      if (options.fill) {
+        doc.rect(left, y - 2, usableWidth, rowHeight).fill(options.fill);
+      }
+      doc.fillColor(options.color || '#000000').font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+
+      let x = left;
+      cells.forEach((cell, index) => {
+        const column = columns[index];
+        const numeric = ['number', 'currency'].includes(column.type);
+        doc.text(cell, x + 2, y + 1, {
+          width: widths[index] - 4,
+          height: rowHeight - 2,
+          align: numeric ? 'right' : 'left',
+          ellipsis: true,
+          lineBreak: false
+        });
+        x += widths[index];
+      });
+      doc.fillColor('#000000');
+    };
+
+    const drawHeader = y => {
+      drawRow(columns.map(column => column.header), y, { bold: true, fill: '#DDE3EA' });
+      return y + rowHeight;
+    };
+
+    let y = drawHeader(doc.y);
+
+    if (rows.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(8).text('No records for the selected filters.', left, y + 4);
+      return;
+    }
+
+    rows.forEach((record, index) => {
+      if (y > bottomLimit()) {
+        doc.addPage();
+        y = drawHeader(doc.page.margins.top);
+      }
+
+      const flagged = definition.flagRow && definition.flagRow(record);
+      drawRow(
+        columns.map(column => this.formatCell(record[column.key], column.type)),
+        y,
+        {
+          fill: index % 2 === 1 ? '#F5F7FA' : null,
+          color: flagged ? '#C00000' : null,
+          bold: flagged
+        }
+      );
+      y += rowHeight;
+    });
+  }
+
+  styleHeaderRow(sheet) {
+    const header = sheet.getRow(1);
+    header.font = { bold: true };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDDE3EA' } };
+    header.alignment = { vertical: 'middle' };
+  }
+
+  /**
+   * Column definition for an export type; unknown types fall back to the row keys
+   */
+  getExportDefinition(exportType, rows) {
+    if (EXPORT_DEFINITIONS[exportType]) {
+      return EXPORT_DEFINITIONS[exportType];
+    }
+
+    const keys = rows.length > 0 ? Object.keys(rows[0]) : [];
+    return {
+      title: String(exportType || 'Export'),
+      columns: keys.map(key => ({ key, header: key, type: 'string', width: 18 }))
+    };
+  }
+
+  /**
+   * Summary lines: export details, then row counts and totals per dataset
+   */
+  buildSummary(datasets, meta = {}) {
+    const filters = meta.filters || {};
+    const items = [
+      { label: 'Export', value: meta.exportType, type: 'string' },
+      { label: 'Generated', value: new Date(), type: 'datetime' },
+      { label: 'Location', value: meta.locationId || 'All locations', type: 'string' }
+    ];
+
+    if (filters.startDate) items.push({ label: 'From', value: filters.startDate, type: 'date' });
+    if (filters.endDate) items.push({ label: 'To', value: filters.endDate, type: 'date' });
+    if (filters.status) items.push({ label: 'Status', value: filters.status, type: 'string' });
+
+    datasets.forEach(dataset => {
+      const definition = this.getExportDefinition(dataset.type, dataset.rows);
+      items.push({ label: definition.title, section: true, type: 'string' });
+      items.push({ label: `${definition.title} rows`, value: dataset.rows.length, type: 'number' });
+
+      definition.columns.filter(column => column.total).forEach(column => {
+        const total = dataset.rows.reduce((sum, row) => sum + (parseFloat(row[column.key]) || 0), 0);
+        items.push({
+          label: `Total ${column.header.toLowerCase()}`,
+          value: Math.round(total * 100) / 100,
+          type: column.type
+        });
+      });
+
+      if (definition.flagRow) {
+        const flagged = dataset.rows.filter(row => definition.flagRow(row)).length;
+        items.push({
+          label: dataset.type === 'temperatures' ? 'Out-of-range readings' : 'At or below reorder point',
+          value: flagged,
+          type: 'number'
+        });
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Convert a database value to a typed Excel cell value.
+   * Dates keep their wall-clock time (Excel has no timezone).
+   */
+  toCellValue(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (type) {
+      case 'number':
+      case 'currency': {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+      }
+
+      case 'boolean':
+        return value === true || value === 'true' || value === 't';
+
+      case 'date':
+      case 'datetime': {
+        const date = this.parseDateValue(value);
+        if (!date) return String(value);
+        return type === 'date'
+          ? new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+          : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds()));
+      }
+
+      case 'time':
+        return String(value).substring(0, 5);
+
+      default:
+        return typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  /**
+   * Render a value as text for PDF cells and summary lines
+   */
+  formatCell(value, type) {
+    if (value === null || value === undefined || value === '') return '';
+
+    const pad = number => String(number).padStart(2, '0');
+
+    switch (type) {
+      case 'currency': {
+        const number = parseFloat(value);
+        return Number.isFinite(number)
+          ? `${number < 0 ? '-' : ''}$${Math.abs(number).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`
+          : String(value);
+      }
+
+      case 'number': {
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) return String(value);
+        return Number.isInteger(number) ? String(number) : number.toFixed(2);
+      }
+
+      case 'boolean':
+        return value === true || value === 'true' || value === 't' ? 'Yes' : 'No';
+
+      case 'date':
+      case 'datetime': {
+        const date = this.parseDateValue(value);
+        if (!date) return String(value);
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return type === 'date' ? day : `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+      }
+
+      case 'time':
+        return String(value).substring(0, 5);
+
+      default:
+        return typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  parseDateValue(value) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : value;
+    }
+
+    // Bare dates are calendar days, not UTC midnight
+    const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) {
+      return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
   }
 
   async getExportJob(exportId) {
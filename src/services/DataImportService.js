@@ -0,0 +1,592 @@
+/**
+ * Data Import Service
+ * Bulk CSV/JSON imports of inventory items, vendors, menu items, employees and equipment
+ *
+ * An upload is parsed, mapped and validated straight away (a dry run stops
+ * there). Running the import enqueues a JobService job that upserts rows in
+ * batches, recording every created/updated record in data_import_changes so a
+ * completed import can be rolled back.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { getPool } = require('../database/pool');
+const config = require('../config/app');
+const JobService = require('./JobService');
+const AuthorizationService = require('./AuthorizationService');
+const {
+  IMPORT_DEFINITIONS,
+  parseImportFile,
+  resolveColumnMapping,
+  validateRecord
+} = require('../utils/dataImport');
+
+const SUPPORTED_FORMATS = ['csv', 'json'];
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class DataImportService {
+  constructor() {
+    this.importDir = config.imports.directory
+      ? path.resolve(config.imports.directory)
+      : path.join(__dirname, '../../imports');
+  }
+
+  getImportTypes() {
+    return Object.entries(IMPORT_DEFINITIONS).map(([type, definition]) => ({
+      type,
+      title: definition.title,
+      key: definition.key,
+      fields: Object.entries(definition.fields).map(([field, spec]) => ({
+        field,
+        type: spec.type,
+        required: Boolean(spec.required),
+        values: spec.values
+      }))
+    }));
+  }
+
+  getDefinition(importType) {
+    const definition = IMPORT_DEFINITIONS[importType];
+    if (!definition) {
+      throw createError(`Unknown import type: ${importType}`, 400);
+    }
+    return definition;
+  }
+
+  // ===== UPLOAD & VALIDATION =====
+
+  /**
+   * Store and validate an upload. Unless dryRun is set, the import starts right
+   * away when every row is valid (or skipInvalidRows is set).
+   */
+  async createImportJob({ file, importType, locationId, userId, format, mapping, dryRun = false, skipInvalidRows = false }) {
+    const definition = this.getDefinition(importType);
+
+    if (!file || !file.buffer) {
+      throw createError('An import file is required', 400);
+    }
+    if (!locationId || !userId) {
+      throw createError('locationId and userId are required', 400);
+    }
+
+    const fileFormat = (format || path.extname(file.originalname || '').substring(1)).toLowerCase();
+    if (!SUPPORTED_FORMATS.includes(fileFormat)) {
+      throw createError(`Unsupported import format: ${fileFormat || 'unknown'}`, 400);
+    }
+
+    let validation;
+    try {
+      validation = await this.validateFile(definition, file.buffer, fileFormat, mapping, locationId);
+    } catch (error) {
+      throw error.status ? error : createError(error.message, 400);
+    }
+
+    const id = `import-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const filePath = path.join(this.importDir, `${id}.${fileFormat}`);
+    await fs.mkdir(this.importDir, { recursive: true });
+    await fs.writeFile(filePath, file.buffer);
+
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO data_import_jobs (
+        id, location_id, user_id, import_type, format, file_path, file_size_bytes,
+        original_filename, column_mapping, dry_run, skip_invalid_rows, status,
+        validation_errors, total_rows, import_summary
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending', $12, $13, $14)
+      RETURNING *
+    `, [
+      id,
+      locationId,
+      userId,
+      importType,
+      fileFormat,
+      filePath,
+      file.buffer.length,
+      file.originalname || null,
+      JSON.stringify(validation.columnMapping),
+      Boolean(dryRun),
+      Boolean(skipInvalidRows),
+      JSON.stringify(validation.errors),
+      validation.totalRows,
+      JSON.stringify(validation.summary)
+    ]);
+
+    if (dryRun || (validation.summary.invalid_rows > 0 && !skipInvalidRows)) {
+      return result.rows[0];
+    }
+
+    return this.startImport(id, { skipInvalidRows });
+  }
+
+  /**
+   * Parse, map and validate every row; also works out which rows would create
+   * new records and which would update existing ones
+   */
+  async validateFile(definition, content, format, mapping, locationId) {
+    const { columns, records } = parseImportFile(content, format);
+
+    if (records.length === 0) {
+      throw createError('The import file has no rows', 400);
+    }
+    if (records.length > config.imports.maxRows) {
+      throw createError(`Imports are limited to ${config.imports.maxRows} rows`, 400);
+    }
+
+    const columnMapping = resolveColumnMapping(definition, columns, this.parseMapping(mapping));
+    const rows = this.validateRows(definition, records, columnMapping);
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const existingKeys = await this.findExistingKeys(definition, validRows.map(row => row.values[definition.key]), locationId);
+    const wouldUpdate = validRows.filter(row => existingKeys.has(this.normalizeKey(row.values[definition.key]))).length;
+
+    const errors = rows.flatMap(row => row.errors.map(error => ({ row: row.rowNumber, ...error })));
+    const invalidRows = rows.length - validRows.length;
+
+    return {
+      columnMapping,
+      totalRows: rows.length,
+      errors: errors.slice(0, config.imports.maxStoredErrors),
+      summary: {
+        columns,
+        valid_rows: validRows.length,
+        invalid_rows: invalidRows,
+        error_count: errors.length,
+        would_create: validRows.length - wouldUpdate,
+        would_update: wouldUpdate
+      }
+    };
+  }
+
+  parseMapping(mapping) {
+    if (!mapping) return {};
+    if (typeof mapping === 'object') return mapping;
+
+    try {
+      return JSON.parse(mapping);
+    } catch (error) {
+      throw createError('mapping must be a JSON object of { field: column }', 400);
+    }
+  }
+
+  /**
+   * Validate records; rows are numbered from 1 (the CSV header is not counted).
+   * A key repeated later in the file is an error on the later row.
+   */
+  validateRows(definition, records, columnMapping) {
+    const seenKeys = new Map();
+
+    return records.map((record, index) => {
+      const rowNumber = index + 1;
+      const { values, errors } = validateRecord(definition, record, columnMapping);
+
+      const key = values[definition.key];
+      if (key !== null && key !== undefined) {
+        const normalized = this.normalizeKey(key);
+        if (seenKeys.has(normalized)) {
+          errors.push({
+            field: definition.key,
+            message: `${definition.key} ${key} already appears on row ${seenKeys.get(normalized)}`
+          });
+        } else {
+          seenKeys.set(normalized, rowNumber);
+        }
+      }
+
+      return { rowNumber, values, errors };
+    });
+  }
+
+  normalizeKey(key) {
+    return String(key).trim().toLowerCase();
+  }
+
+  async findExistingKeys(definition, keys, locationId) {
+    if (keys.length === 0) return new Set();
+
+    const pool = getPool();
+    const values = [keys.map(key => this.normalizeKey(key))];
+    let query = `SELECT LOWER(${definition.key}) as key FROM ${definition.table} WHERE LOWER(${definition.key}) = ANY($1)`;
+
+    if (definition.locationScoped) {
+      query += ' AND location_id = $2';
+      values.push(locationId);
+    }
+
+    const result = await pool.query(query, values);
+    return new Set(result.rows.map(row => row.key));
+  }
+
+  // ===== PROCESSING =====
+
+  /**
+   * Queue a validated import for processing
+   */
+  async startImport(importId, { skipInvalidRows } = {}) {
+    const job = await this.getImportJob(importId);
+    if (!job) {
+      throw createError('Import not found', 404);
+    }
+    if (job.status !== 'pending') {
+      throw createError(`Import is already ${job.status}`, 400);
+    }
+
+    const skipInvalid = skipInvalidRows === undefined ? job.skip_invalid_rows : Boolean(skipInvalidRows);
+    const invalidRows = (job.import_summary && job.import_summary.invalid_rows) || 0;
+    if (invalidRows > 0 && !skipInvalid) {
+      throw createError(`${invalidRows} row(s) failed validation; fix them or set skipInvalidRows`, 400);
+    }
+
+    const jobId = await JobService.enqueueJob({
+      jobType: 'data_import',
+      handlerFunction: 'processDataImport',
+      parameters: { importId },
+      queueName: 'default'
+    }, job.user_id);
+
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE data_import_jobs
+      SET status = 'validating', dry_run = false, skip_invalid_rows = $1, job_id = $2
+      WHERE id = $3
+      RETURNING *
+    `, [skipInvalid, jobId, importId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Job handler: upsert every valid row in batches, reporting progress to JobService
+   */
+  async processImport(importId, jobId = null) {
+    const pool = getPool();
+    const job = await this.getImportJob(importId);
+    if (!job) {
+      throw new Error(`Import not found: ${importId}`);
+    }
+    if (job.status !== 'validating') {
+      throw new Error(`Import ${importId} is ${job.status}, not queued`);
+    }
+
+    await pool.query(
+      `UPDATE data_import_jobs SET status = 'processing', started_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [importId]
+    );
+
+    try {
+      const definition = this.getDefinition(job.import_type);
+      const content = await fs.readFile(job.file_path);
+      const { records } = parseImportFile(content, job.format);
+      const rows = this.validateRows(definition, records, job.column_mapping);
+
+      const accessible = await this.getImporterLocationIds(job);
+
+      const counts = { processed: 0, succeeded: 0, failed: 0, created: 0, updated: 0 };
+      const errors = [];
+
+      for (let start = 0; start < rows.length; start += config.imports.batchSize) {
+        const batch = rows.slice(start, start + config.imports.batchSize);
+        await this.processBatch(definition, { ...job, accessible }, batch, counts, errors);
+
+        await pool.query(`
+          UPDATE data_import_jobs
+          SET rows_processed = $1, rows_succeeded = $2, rows_failed = $3
+          WHERE id = $4
+        `, [counts.processed, counts.succeeded, counts.failed, importId]);
+
+        if (jobId) {
+          const percentage = 10 + Math.floor((counts.processed / rows.length) * 80);
+          await JobService.updateJobProgress(jobId, percentage, `Imported ${counts.processed} of ${rows.length} rows`);
+        }
+      }
+
+      const summary = { ...job.import_summary, created: counts.created, updated: counts.updated };
+      await pool.query(`
+        UPDATE data_import_jobs
+        SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
+            validation_errors = $1, import_summary = $2
+        WHERE id = $3
+      `, [JSON.stringify(errors.slice(0, config.imports.maxStoredErrors)), JSON.stringify(summary), importId]);
+
+      return { importId, ...counts };
+    } catch (error) {
+      await pool.query(`
+        UPDATE data_import_jobs
+        SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error_message = $1
+        WHERE id = $2
+      `, [error.message, importId]);
+      throw error;
+    }
+  }
+
+  /**
+   * Locations the user who started the import can reach (null when unrestricted);
+   * a user who has since been deactivated reaches none
+   */
+  async getImporterLocationIds(job) {
+    const user = await AuthorizationService.getUser(job.user_id);
+    return user ? AuthorizationService.getAccessibleLocationIds(user) : [];
+  }
+
+  /**
+   * Throw when the importer may not update an existing record of a type that
+   * is matched across locations (see utils/dataImport)
+   */
+  assertCanUpdate(definition, job, current) {
+    const { accessible } = job;
+
+    if (definition.sharedRecords && accessible !== null) {
+      throw createError(`${definition.title} are shared by every location; only corporate users can update existing ones`, 403);
+    }
+
+    if (definition.reachableByLocation) {
+      const roleSpec = definition.fields.role;
+      if (roleSpec && !roleSpec.values.includes(current.role)) {
+        throw createError(`${current[definition.key]} has the ${current.role} role and cannot be updated by an import`, 403);
+      }
+      if (accessible !== null && !accessible.includes(current.location_id)) {
+        throw createError(`${current[definition.key]} belongs to a location you do not have access to`, 403);
+      }
+    }
+  }
+
+  /**
+   * Upsert one batch in a transaction; a failing row is rolled back to its savepoint
+   */
+  async processBatch(definition, job, batch, counts, errors) {
+    const pool = getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const row of batch) {
+        counts.processed++;
+
+        if (row.errors.length > 0) {
+          counts.failed++;
+          row.errors.forEach(error => errors.push({ row: row.rowNumber, ...error }));
+          continue;
+        }
+
+        try {
+          await client.query('SAVEPOINT import_row');
+          const action = await this.upsertRow(client, definition, job, row);
+          await client.query('RELEASE SAVEPOINT import_row');
+          counts.succeeded++;
+          counts[action]++;
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT import_row');
+          counts.failed++;
+          errors.push({ row: row.rowNumber, field: null, message: error.message });
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert or update the record matching the row's key. Blank cells leave
+   * existing values untouched. Returns 'created' or 'updated'.
+   */
+  async upsertRow(client, definition, job, row) {
+    const { table, key } = definition;
+    const values = Object.fromEntries(Object.entries(row.values).filter(([, value]) => value !== null));
+
+    const lookupValues = [this.normalizeKey(values[key])];
+    let lookup = `SELECT * FROM ${table} WHERE LOWER(${key}) = $1`;
+    if (definition.locationScoped) {
+      lookup += ' AND location_id = $2';
+      lookupValues.push(job.location_id);
+    }
+
+    const existing = await client.query(`${lookup} LIMIT 1 FOR UPDATE`, lookupValues);
+
+    if (existing.rows.length > 0) {
+      const current = existing.rows[0];
+      this.assertCanUpdate(definition, job, current);
+
+      const columns = Object.keys(values).filter(column => column !== key);
+      const previous = Object.fromEntries(columns.map(column => [column, current[column]]));
+
+      if (columns.length > 0) {
+        const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+        await client.query(
+          `UPDATE ${table} SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1}`,
+          [...columns.map(column => values[column]), current.id]
+        );
+      }
+
+      await this.recordChange(client, job.id, row.rowNumber, table, current.id, 'updated', previous);
+      return 'updated';
+    }
+
+    const record = { id: `${definition.idPrefix}-${Date.now()}-${Math.random().toString(36).substring(7)}`, ...values };
+    if (definition.locationScoped) {
+      record.location_id = job.location_id;
+    }
+    if (definition.table === 'users') {
+      Object.assign(record, await this.buildNewUser(values, job));
+    }
+
+    const columns = Object.keys(record);
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})`,
+      columns.map(column => record[column])
+    );
+
+    await this.recordChange(client, job.id, row.rowNumber, table, record.id, 'created', null);
+    return 'created';
+  }
+
+  /**
+   * Imported employees get a random password and must use a password reset to sign in
+   */
+  async buildNewUser(values, job) {
+    return {
+      username: values.username || values.email,
+      password: await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 10),
+      role: values.role || 'crew',
+      location_id: job.location_id
+    };
+  }
+
+  async recordChange(client, importId, rowNumber, table, recordId, action, previousData) {
+    await client.query(`
+      INSERT INTO data_import_changes (import_id, row_number, target_table, record_id, action, previous_data)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [importId, rowNumber, table, recordId, action, previousData ? JSON.stringify(previousData) : null]);
+  }
+
+  // ===== ROLLBACK =====
+
+  /**
+   * Undo a completed import: delete the records it created and restore the
+   * fields it changed. Fails as a whole if a created record is now referenced.
+   */
+  async rollbackImport(importId, userId) {
+    const job = await this.getImportJob(importId);
+    if (!job) {
+      throw createError('Import not found', 404);
+    }
+    if (job.status !== 'completed') {
+      throw createError(`Only completed imports can be rolled back (import is ${job.status})`, 400);
+    }
+
+    const pool = getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const changes = await client.query(
+        'SELECT * FROM data_import_changes WHERE import_id = $1 ORDER BY id DESC',
+        [importId]
+      );
+
+      let deleted = 0;
+      let restored = 0;
+
+      for (const change of changes.rows) {
+        if (change.action === 'created') {
+          await client.query(`DELETE FROM ${this.getChangeTable(change)} WHERE id = $1`, [change.record_id]);
+          deleted++;
+          continue;
+        }
+
+        const previous = change.previous_data || {};
+        const columns = Object.keys(previous).filter(column => /^[a-z_]+$/.test(column));
+        if (columns.length > 0) {
+          const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+          await client.query(
+            `UPDATE ${this.getChangeTable(change)} SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1}`,
+            [...columns.map(column => previous[column]), change.record_id]
+          );
+        }
+        restored++;
+      }
+
+      const result = await client.query(`
+        UPDATE data_import_jobs
+        SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $1,
+            import_summary = import_summary || $2::jsonb
+        WHERE id = $3
+        RETURNING *
+      `, [userId || null, JSON.stringify({ rollback: { deleted, restored } }), importId]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23503') {
+        throw createError('Imported records are now referenced by other data and cannot be removed', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Only tables that imports write to may be touched by a rollback
+   */
+  getChangeTable(change) {
+    const allowed = Object.values(IMPORT_DEFINITIONS).map(definition => definition.table);
+    if (!allowed.includes(change.target_table)) {
+      throw new Error(`Unexpected import table: ${change.target_table}`);
+    }
+    return change.target_table;
+  }
+
+  // ===== QUERIES =====
+
+  async getImportJob(importId) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      'SELECT * FROM data_import_jobs WHERE id = $1',
+      [importId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async getImportJobs({ locationId, userId, limit = 20 } = {}) {
+    const pool = getPool();
+    const conditions = [];
+    const values = [];
+
+    if (locationId) {
+      values.push(locationId);
+      conditions.push(`location_id = $${values.length}`);
+    }
+    if (userId) {
+      values.push(userId);
+      conditions.push(`user_id = $${values.length}`);
+    }
+
+    values.push(limit);
+    const result = await pool.query(`
+      SELECT * FROM data_import_jobs
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT $${values.length}
+    `, values);
+
+    return result.rows;
+  }
+}
+
+module.exports = new DataImportService();
@@ -104,7 +104,15 @@ class EnhancedTemperatureService {
       JSON.stringify(alertData.notifyRoles || ['manager'])
     ]);
 
-    return result.rows[0];
+    const alert = result.rows[0];
+
+    const equipment = await pool.query('SELECT location_id FROM equipment WHERE id = $1', [alert.equipment_id]);
+    if (equipment.rows.length > 0) {
+      const RealtimeService = require('./RealtimeService');
+      RealtimeService.broadcastToRoom('location', equipment.rows[0].location_id, 'temperature_alert', alert);
+    }
+
+    return alert;
   }
 
   async getActiveAlerts(locationId = null) {
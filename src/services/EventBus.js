@@ -0,0 +1,107 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for the domain events in utils/domainEvents
+ *
+ * Services publish once their change is committed. Subscribers run after the
+ * publishing call has returned, so a slow webhook or a failing notification
+ * rule never fails the business operation; subscriber errors are logged.
+ */
+
+const { EVENT_CATALOG, buildEvent, realtimeRooms } = require('../utils/domainEvents');
+
+class EventBus {
+  constructor() {
+    this.subscribers = [];
+    this.defaultSubscribersRegistered = false;
+  }
+
+  /**
+   * Subscribe a handler to one event type, a list of types, or '*' for all.
+   * Returns a function that removes the subscription.
+   */
+  subscribe(name, types, handler) {
+    const subscriber = { name, types: types === '*' ? '*' : [].concat(types), handler };
+    this.subscribers.push(subscriber);
+
+    return () => {
+      this.subscribers = this.subscribers.filter(existing => existing !== subscriber);
+    };
+  }
+
+  /**
+   * Publish an event from the catalog. Returns the envelope, or null when the
+   * payload does not match the catalog (logged, never thrown to the publisher).
+   */
+  publish(type, data, options = {}) {
+    let event;
+    try {
+      event = buildEvent(type, data, options);
+    } catch (error) {
+      console.error('[EventBus] Rejected event:', error.message);
+      return null;
+    }
+
+    setImmediate(() => {
+      this.dispatch(event);
+    });
+
+    return event;
+  }
+
+  /**
+   * Run every matching subscriber for an event, returning one result per subscriber
+   */
+  async dispatch(event) {
+    const targets = this.subscribers.filter(
+      subscriber => subscriber.types === '*' || subscriber.types.includes(event.type)
+    );
+
+    return Promise.all(targets.map(async subscriber => {
+      try {
+        await subscriber.handler(event);
+        return { subscriber: subscriber.name, success: true };
+      } catch (error) {
+        console.error(`[EventBus] ${subscriber.name} failed on ${event.type} ${event.id}:`, error.message);
+        return { subscriber: subscriber.name, success: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Wire webhooks, notification rules and realtime broadcasts to every event.
+   * Services are required lazily: most of them publish to this bus.
+   */
+  registerDefaultSubscribers() {
+    if (this.defaultSubscribersRegistered) return;
+    this.defaultSubscribersRegistered = true;
+
+    this.subscribe('webhooks', '*', async (event) => {
+      const IntegrationsService = require('./IntegrationsService');
+      await IntegrationsService.triggerWebhook(event.type, event, { locationId: event.location_id });
+    });
+
+    this.subscribe('notification-rules', '*', async (event) => {
+      const { notification } = EVENT_CATALOG[event.type];
+      if (!notification) return;
+
+      const NotificationService = require('./NotificationService');
+      await NotificationService.triggerEventNotification(notification, {
+        ...event.data,
+        locationId: event.location_id,
+        eventId: event.id
+      });
+    });
+
+    this.subscribe('realtime', '*', async (event) => {
+      const { realtime } = EVENT_CATALOG[event.type];
+      if (!realtime) return;
+
+      const RealtimeService = require('./RealtimeService');
+      for (const { roomType, roomId } of realtimeRooms(event)) {
+        RealtimeService.broadcastToRoom(roomType, roomId, realtime.event, event);
+      }
+    });
+  }
+}
+
+module.exports = new EventBus();
@@ -5,7 +5,20 @@
  * Handles general ledger, AP/AR, budgets, and financial reporting
  */
 
-const { pool } = require('../database/pool');
+const pool = require('../database/pool').getPool();
+const AuditLogService = require('./AuditLogService');
+const {
+  buildMonthlyPeriods,
+  canPostToPeriod,
+  transitionError,
+  buildClosingLines
+} = require('../utils/fiscalPeriods');
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
 
 class FinancialService {
   // ============================================
@@ -61,21 +74,28 @@ class FinancialService {
   // ============================================
 
   async createJournalEntry(entryData, userId) {
+    if (entryData.entry_type === 'closing') {
+      throw createError('Closing entries are created by the year-end close', 400);
+    }
+
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
+      const period = await this.assertPostingAllowed(client, entryData.entry_date, entryData.entry_type || 'manual');
+
       const result = await client.query(
         `INSERT INTO journal_entries (
-          entry_date, entry_type, description, location_id, created_by
-        ) VALUES ($1, $2, $3, $4, $5)
+          entry_date, entry_type, description, location_id, created_by, fiscal_period_id
+        ) VALUES ($1, $2, $3, $4, $5, $6)
         RETURNING *`,
         [
           entryData.entry_date,
           entryData.entry_type || 'manual',
           entryData.description,
           entryData.location_id,
-          userId
+          userId,
+          period ? period.id : null
         ]
       );
 
@@ -89,8 +109,9 @@ class FinancialService {
         await client.query(
           `INSERT INTO general_ledger (
             transaction_date, account_id, location_id, debit_amount,
-            credit_amount, description, journal_entry_id, posted_by
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            credit_amount, description, journal_entry_id, posted_by,
+            fiscal_year, fiscal_period
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
           [
             entryData.entry_date,
             line.account_id,
@@ -99,7 +120,9 @@ class FinancialService {
             line.credit_amount || 0,
             line.description || entryData.description,
             journalEntry.id,
-            userId
+            userId,
+            period ? period.fiscal_year : null,
+            period ? period.period_number : null
           ]
         );
 
@@ -153,27 +176,539 @@ class FinancialService {
   }
 
   async postJournalEntry(entryId, userId) {
-    const result = await pool.query(
-      `UPDATE journal_entries
-       SET is_posted = TRUE, posted_at = NOW(), posted_by = $1
-       WHERE id = $2 AND is_balanced = TRUE
-       RETURNING *`,
-      [userId, entryId]
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const entryResult = await client.query(
+        `SELECT *, to_char(entry_date, 'YYYY-MM-DD') as entry_day
+         FROM journal_entries WHERE id = $1 FOR UPDATE`,
+        [entryId]
+      );
+      const entry = entryResult.rows[0];
+
+      if (!entry) {
+        throw createError('Journal entry not found', 404);
+      }
+      if (!entry.is_balanced) {
+        throw createError('Journal entry is not balanced', 400);
+      }
+      if (entry.is_posted) {
+        throw createError('Journal entry is already posted', 409);
+      }
+
+      const period = await this.assertPostingAllowed(client, entry.entry_day, entry.entry_type);
+
+      const result = await client.query(
+        `UPDATE journal_entries
+         SET is_posted = TRUE, posted_at = NOW(), posted_by = $1,
+             fiscal_period_id = COALESCE($3, fiscal_period_id)
+         WHERE id = $2
+         RETURNING *`,
+        [userId, entryId, period ? period.id : null]
+      );
+
+      // Mark GL entries as posted
+      await client.query(
+        `UPDATE general_ledger
+         SET is_posted = TRUE, posted_at = NOW(),
+             fiscal_year = COALESCE($2, fiscal_year), fiscal_period = COALESCE($3, fiscal_period)
+         WHERE journal_entry_id = $1`,
+        [entryId, period ? period.fiscal_year : null, period ? period.period_number : null]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Fiscal period an entry of this type dated entryDate would post into, or an
+   * error when that period is closed to it. Once any periods are set up, dates
+   * outside them are rejected; before that, posting is unrestricted (null).
+   * Holds a share lock on the period so it cannot close mid-transaction.
+   */
+  async assertPostingAllowed(client, entryDate, entryType = 'manual') {
+    if (!entryDate) {
+      throw createError('entry_date is required', 400);
+    }
+
+    const result = await client.query(
+      `SELECT * FROM fiscal_periods
+       WHERE $1::date BETWEEN start_date AND end_date
+       ORDER BY start_date
+       LIMIT 1
+       FOR SHARE`,
+      [entryDate]
+    );
+    const period = result.rows[0];
+
+    if (!period) {
+      const configured = await client.query('SELECT EXISTS (SELECT 1 FROM fiscal_periods) as configured');
+      if (configured.rows[0].configured) {
+        throw createError(`No fiscal period covers ${entryDate}; set up the fiscal year first`, 400);
+      }
+      return null;
+    }
+
+    if (!canPostToPeriod(period.status, entryType)) {
+      throw createError(
+        period.status === 'soft_closed'
+          ? `${period.period_name} is soft-closed; only adjusting entries can be posted`
+          : `${period.period_name} is closed; reopen it to post entries`,
+        409
+      );
+    }
+
+    return period;
+  }
+
+  /**
+   * Insert an already posted, balanced entry with per-line locations. Used by the
+   * year-end close and its reversal, which post into closed periods by design.
+   */
+  async insertPostedEntry(client, { entryDate, entryType, description, period, lines, referenceType, referenceId }, userId) {
+    const totalDebits = lines.reduce((sum, line) => sum + parseFloat(line.debit_amount || 0), 0);
+    const totalCredits = lines.reduce((sum, line) => sum + parseFloat(line.credit_amount || 0), 0);
+
+    const result = await client.query(
+      `INSERT INTO journal_entries (
+        entry_date, entry_type, description, total_debits, total_credits, is_balanced,
+        is_posted, posted_at, posted_by, created_by, fiscal_period_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, TRUE, NOW(), $7, $7, $8)
+      RETURNING *`,
+      [entryDate, entryType, description, totalDebits, totalCredits,
+       Math.abs(totalDebits - totalCredits) < 0.01, userId, period.id]
+    );
+    const entry = result.rows[0];
+
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO general_ledger (
+          transaction_date, account_id, location_id, debit_amount, credit_amount,
+          description, reference_type, reference_id, journal_entry_id, posted_by,
+          is_posted, posted_at, fiscal_year, fiscal_period
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, TRUE, NOW(), $11, $12)`,
+        [entryDate, line.account_id, line.location_id, line.debit_amount, line.credit_amount,
+         description, referenceType, referenceId, entry.id, userId, period.fiscal_year, period.period_number]
+      );
+    }
+
+    return entry;
+  }
+
+  // ============================================
+  // FISCAL PERIODS
+  // ============================================
+
+  async getFiscalPeriods(filters = {}) {
+    let query = 'SELECT * FROM fiscal_periods WHERE 1=1';
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.fiscal_year) {
+      query += ` AND fiscal_year = $${paramCount}`;
+      values.push(parseInt(filters.fiscal_year));
+      paramCount++;
+    }
+
+    if (filters.status) {
+      query += ` AND status = $${paramCount}`;
+      values.push(filters.status);
+      paramCount++;
+    }
+
+    query += ' ORDER BY start_date';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Open a fiscal year as twelve monthly periods
+   */
+  async createFiscalYear(yearData, userId) {
+    const fiscalYear = parseInt(yearData.fiscal_year);
+    const startMonth = parseInt(yearData.start_month || 1);
+
+    if (!fiscalYear || fiscalYear < 1900 || fiscalYear > 2999) {
+      throw createError('fiscal_year must be a four-digit year', 400);
+    }
+    if (!(startMonth >= 1 && startMonth <= 12)) {
+      throw createError('start_month must be between 1 and 12', 400);
+    }
+
+    const periods = buildMonthlyPeriods(fiscalYear, startMonth);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const overlap = await client.query(
+        `SELECT period_name FROM fiscal_periods
+         WHERE fiscal_year = $1 OR (start_date <= $3::date AND end_date >= $2::date)
+         LIMIT 1`,
+        [fiscalYear, periods[0].start_date, periods[periods.length - 1].end_date]
+      );
+      if (overlap.rows.length > 0) {
+        throw createError(`Fiscal year ${fiscalYear} overlaps existing period ${overlap.rows[0].period_name}`, 409);
+      }
+
+      const created = [];
+      for (const period of periods) {
+        const result = await client.query(
+          `INSERT INTO fiscal_periods (fiscal_year, period_number, period_name, start_date, end_date, status)
+           VALUES ($1, $2, $3, $4, $5, 'open')
+           RETURNING *`,
+          [fiscalYear, period.period_number, period.period_name, period.start_date, period.end_date]
+        );
+        created.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+
+      for (const period of created) {
+        await AuditLogService.logCreate('fiscal_period', period.id, period, userId);
+      }
+      return created;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Soft-close (only adjusting entries may still post) or hard-close (nothing
+   * posts) a period. Hard-closing requires every entry dated in it to be posted.
+   */
+  async closePeriod(periodId, mode, userId) {
+    const status = mode === 'hard' ? 'hard_closed' : 'soft_closed';
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM fiscal_periods WHERE id = $1 FOR UPDATE', [periodId]);
+      const period = current.rows[0];
+      if (!period) {
+        throw createError('Fiscal period not found', 404);
+      }
+
+      const invalid = transitionError(period.status, status);
+      if (invalid) {
+        throw createError(invalid, 409);
+      }
+
+      const unposted = await client.query(
+        `SELECT COUNT(*)
+         FROM journal_entries je
+         JOIN fiscal_periods fp ON fp.id = $1
+         WHERE je.entry_date BETWEEN fp.start_date AND fp.end_date AND je.is_posted = FALSE`,
+        [periodId]
+      );
+      const unpostedEntries = parseInt(unposted.rows[0].count);
+      if (status === 'hard_closed' && unpostedEntries > 0) {
+        throw createError(
+          `${unpostedEntries} unposted journal entr${unpostedEntries === 1 ? 'y is' : 'ies are'} dated in ${period.period_name}; post or remove them before hard-closing`,
+          409
+        );
+      }
+
+      const result = await client.query(
+        status === 'hard_closed'
+          ? `UPDATE fiscal_periods
+             SET status = 'hard_closed', is_closed = TRUE, closed_by = $2, closed_at = NOW()
+             WHERE id = $1 RETURNING *`
+          : `UPDATE fiscal_periods
+             SET status = 'soft_closed', is_closed = TRUE, soft_closed_by = $2, soft_closed_at = NOW()
+             WHERE id = $1 RETURNING *`,
+        [periodId, userId]
+      );
+
+      await client.query('COMMIT');
+
+      await AuditLogService.log({
+        entityType: 'fiscal_period',
+        entityId: periodId,
+        action: status === 'hard_closed' ? 'hard_close' : 'soft_close',
+        userId,
+        changes: { before: { status: period.status }, after: { status } },
+        metadata: { period_name: period.period_name, fiscal_year: period.fiscal_year }
+      });
+
+      return { ...result.rows[0], unposted_entries: unpostedEntries };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Reopen a closed period. Needs a reason; when the year has been closed, the
+   * closing entry is reversed so the year can be closed again afterwards.
+   */
+  async reopenPeriod(periodId, reason, userId) {
+    if (!reason || !String(reason).trim()) {
+      throw createError('A reason is required to reopen a fiscal period', 400);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM fiscal_periods WHERE id = $1 FOR UPDATE', [periodId]);
+      const period = current.rows[0];
+      if (!period) {
+        throw createError('Fiscal period not found', 404);
+      }
+
+      const invalid = transitionError(period.status, 'open');
+      if (invalid) {
+        throw createError(invalid, 409);
+      }
+
+      const closing = await client.query(
+        `SELECT * FROM fiscal_year_closings
+         WHERE fiscal_year = $1 AND reversed_at IS NULL
+         FOR UPDATE`,
+        [period.fiscal_year]
+      );
+      const yearClose = closing.rows[0] || null;
+
+      let reversal = null;
+      if (yearClose) {
+        reversal = await this.reverseYearEndClose(client, yearClose, userId);
+      }
+
+      const result = await client.query(
+        `UPDATE fiscal_periods
+         SET status = 'open', is_closed = FALSE, reopened_by = $2, reopened_at = NOW(),
+             reopen_reason = $3, reopen_count = COALESCE(reopen_count, 0) + 1
+         WHERE id = $1
+         RETURNING *`,
+        [periodId, userId, String(reason).trim()]
+      );
+
+      await client.query('COMMIT');
+
+      await AuditLogService.log({
+        entityType: 'fiscal_period',
+        entityId: periodId,
+        action: 'reopen',
+        userId,
+        changes: { before: { status: period.status }, after: { status: 'open' } },
+        metadata: {
+          period_name: period.period_name,
+          fiscal_year: period.fiscal_year,
+          reason: String(reason).trim(),
+          reversed_year_end_entry_id: reversal ? reversal.id : null
+        },
+        severity: 'warning'
+      });
+
+      return { ...result.rows[0], year_end_reversal_entry_id: reversal ? reversal.id : null };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async reverseYearEndClose(client, yearClose, userId) {
+    const original = await client.query(
+      `SELECT je.entry_date, to_char(je.entry_date, 'YYYY-MM-DD') as entry_day, fp.*
+       FROM journal_entries je
+       JOIN fiscal_periods fp ON fp.id = je.fiscal_period_id
+       WHERE je.id = $1`,
+      [yearClose.journal_entry_id]
     );
+    const lines = await client.query(
+      'SELECT account_id, location_id, debit_amount, credit_amount FROM general_ledger WHERE journal_entry_id = $1',
+      [yearClose.journal_entry_id]
+    );
+
+    const reversal = await this.insertPostedEntry(client, {
+      entryDate: original.rows[0].entry_day,
+      entryType: 'closing',
+      description: `Reversal of fiscal ${yearClose.fiscal_year} year-end close`,
+      period: original.rows[0],
+      lines: lines.rows.map(line => ({
+        account_id: line.account_id,
+        location_id: line.location_id,
+        debit_amount: line.credit_amount,
+        credit_amount: line.debit_amount
+      })),
+      referenceType: 'year_end_close_reversal',
+      referenceId: yearClose.id
+    }, userId);
+
+    await client.query(
+      `UPDATE fiscal_year_closings
+       SET reversal_entry_id = $2, reversed_by = $3, reversed_at = NOW()
+       WHERE id = $1`,
+      [yearClose.id, reversal.id, userId]
+    );
+
+    return reversal;
+  }
+
+  /**
+   * Year-end close: zero the year's revenue and expense accounts into retained
+   * earnings with a closing entry dated the last day of the year, then
+   * hard-close every period of the year. All periods must be closed first.
+   */
+  async closeFiscalYear(fiscalYear, closeData, userId) {
+    const year = parseInt(fiscalYear);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const periodsResult = await client.query(
+        `SELECT *, to_char(start_date, 'YYYY-MM-DD') as start_day, to_char(end_date, 'YYYY-MM-DD') as end_day
+         FROM fiscal_periods WHERE fiscal_year = $1
+         ORDER BY start_date
+         FOR UPDATE`,
+        [year]
+      );
+      const periods = periodsResult.rows;
+      if (periods.length === 0) {
+        throw createError(`Fiscal year ${year} has no periods`, 404);
+      }
 
+      const open = periods.filter(period => period.status === 'open');
+      if (open.length > 0) {
+        throw createError(
+          `Close every period before the year-end close (still open: ${open.map(period => period.period_name).join(', ')})`,
+          409
+        );
+      }
+
+      const existing = await client.query(
+        'SELECT id FROM fiscal_year_closings WHERE fiscal_year = $1 AND reversed_at IS NULL',
+        [year]
+      );
+      if (existing.rows.length > 0) {
+        throw createError(`Fiscal year ${year} is already closed`, 409);
+      }
+
+      const first = periods[0];
+      const last = periods[periods.length - 1];
+
+      const unposted = await client.query(
+        'SELECT COUNT(*) FROM journal_entries WHERE entry_date BETWEEN $1 AND $2 AND is_posted = FALSE',
+        [first.start_day, last.end_day]
+      );
+      if (parseInt(unposted.rows[0].count) > 0) {
+        throw createError(`Fiscal year ${year} has ${unposted.rows[0].count} unposted journal entries`, 409);
+      }
+
+      const retainedEarnings = await client.query(
+        closeData.retained_earnings_account_id
+          ? `SELECT * FROM chart_of_accounts WHERE id = $1`
+          : `SELECT * FROM chart_of_accounts
+             WHERE account_type = 'equity' AND account_category = 'retained_earnings' AND is_active = TRUE
+             ORDER BY account_code LIMIT 1`,
+        closeData.retained_earnings_account_id ? [closeData.retained_earnings_account_id] : []
+      );
+      const retainedEarningsAccount = retainedEarnings.rows[0];
+      if (!retainedEarningsAccount || retainedEarningsAccount.account_type !== 'equity') {
+        throw createError('A retained earnings equity account is required', 400);
+      }
+
+      const balances = await client.query(
+        `SELECT gl.account_id, coa.account_type, gl.location_id,
+                SUM(gl.debit_amount) as debit, SUM(gl.credit_amount) as credit
+         FROM general_ledger gl
+         JOIN chart_of_accounts coa ON coa.id = gl.account_id
+         WHERE gl.is_posted = TRUE
+           AND gl.transaction_date BETWEEN $1 AND $2
+           AND coa.account_type IN ('revenue', 'expense')
+         GROUP BY gl.account_id, coa.account_type, coa.account_code, gl.location_id
+         ORDER BY coa.account_code, gl.location_id`,
+        [first.start_day, last.end_day]
+      );
+
+      const { lines, net_income } = buildClosingLines(balances.rows, retainedEarningsAccount.id);
+      if (lines.length === 0) {
+        throw createError(`Fiscal year ${year} has no revenue or expense activity to close`, 409);
+      }
+
+      const entry = await this.insertPostedEntry(client, {
+        entryDate: last.end_day,
+        entryType: 'closing',
+        description: `Fiscal ${year} year-end close to ${retainedEarningsAccount.account_name}`,
+        period: last,
+        lines,
+        referenceType: 'year_end_close',
+        referenceId: String(year)
+      }, userId);
+
+      const closing = await client.query(
+        `INSERT INTO fiscal_year_closings (fiscal_year, journal_entry_id, retained_earnings_account_id, net_income, closed_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [year, entry.id, retainedEarningsAccount.id, net_income, userId]
+      );
+
+      await client.query(
+        `UPDATE fiscal_periods
+         SET status = 'hard_closed', is_closed = TRUE, closed_by = $2, closed_at = NOW()
+         WHERE fiscal_year = $1 AND status != 'hard_closed'`,
+        [year, userId]
+      );
+
+      await client.query('COMMIT');
+
+      await AuditLogService.log({
+        entityType: 'fiscal_year_closing',
+        entityId: closing.rows[0].id,
+        action: 'year_end_close',
+        userId,
+        changes: { after: closing.rows[0] },
+        metadata: { fiscal_year: year, net_income, journal_entry_id: entry.id }
+      });
+
+      return {
+        ...closing.rows[0],
+        journal_entry: await this.getJournalEntryById(entry.id)
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close, reopen and year-end history of a period
+   */
+  async getPeriodHistory(periodId) {
+    const result = await pool.query('SELECT * FROM fiscal_periods WHERE id = $1', [periodId]);
     if (result.rows.length === 0) {
-      throw new Error('Journal entry not found or not balanced');
+      return null;
     }
 
-    // Mark GL entries as posted
-    await pool.query(
-      `UPDATE general_ledger
-       SET is_posted = TRUE, posted_at = NOW()
-       WHERE journal_entry_id = $1`,
-      [entryId]
+    const closings = await pool.query(
+      'SELECT * FROM fiscal_year_closings WHERE fiscal_year = $1 ORDER BY closed_at DESC',
+      [result.rows[0].fiscal_year]
     );
 
-    return result.rows[0];
+    return {
+      period: result.rows[0],
+      year_end_closings: closings.rows,
+      audit_trail: await AuditLogService.getEntityAuditTrail('fiscal_period', periodId)
+    };
   }
 
   // ============================================
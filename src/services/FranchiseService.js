@@ -5,7 +5,22 @@
  * Handles franchise operations, royalties, compliance, and multi-brand management
  */
 
-const { pool } = require('../database/pool');
+const pool = require('../database/pool').getPool();
+const {
+  TERRITORY_TYPES,
+  normalizePostalCodes,
+  normalizePolygon,
+  toGeoJSON,
+  territoryContains,
+  territoryOverlap,
+  zoneCoverage
+} = require('../utils/territories');
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
 
 class FranchiseService {
   // ============================================
@@ -295,6 +310,407 @@ class FranchiseService {
     return result.rows;
   }
 
+  // ============================================
+  // TERRITORY MANAGEMENT
+  // ============================================
+
+  /**
+   * Create a postal-code (zip_codes) or polygon territory, optionally assigning it
+   * to an agreement. Overlaps with the brand's other territories are recorded
+   * and returned.
+   */
+  async createTerritory(territoryData, userId) {
+    const shape = this.validateTerritoryShape(territoryData);
+    if (!territoryData.brand_id) {
+      throw createError('brand_id is required', 400);
+    }
+    if (!territoryData.territory_name) {
+      throw createError('territory_name is required', 400);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO territories (
+        brand_id, territory_name, territory_code, territory_type, postal_codes,
+        boundary_polygon, geographic_data, population, market_size, is_exclusive, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        territoryData.brand_id,
+        territoryData.territory_name,
+        territoryData.territory_code,
+        territoryData.territory_type,
+        shape.postal_codes,
+        shape.boundary_polygon ? JSON.stringify(shape.boundary_polygon) : null,
+        JSON.stringify(territoryData.geographic_data || {}),
+        territoryData.population,
+        territoryData.market_size,
+        territoryData.is_exclusive !== false,
+        userId
+      ]
+    );
+
+    let territory = result.rows[0];
+    const overlaps = await this.findTerritoryOverlaps(territory);
+    await this.recordOverlaps(territory, overlaps);
+
+    if (territoryData.assigned_agreement_id) {
+      territory = await this.assignTerritory(territory.id, territoryData.assigned_agreement_id, {
+        force: territoryData.force === true
+      });
+    }
+
+    return { ...territory, overlaps };
+  }
+
+  /**
+   * Normalized postal codes / boundary for a territory type
+   */
+  validateTerritoryShape(territoryData) {
+    const type = territoryData.territory_type;
+    if (!TERRITORY_TYPES.includes(type)) {
+      throw createError(`territory_type must be one of: ${TERRITORY_TYPES.join(', ')}`, 400);
+    }
+
+    if (type === 'zip_codes') {
+      const postalCodes = normalizePostalCodes(territoryData.postal_codes || []);
+      if (postalCodes.length === 0) {
+        throw createError('postal_codes are required for zip_codes territories', 400);
+      }
+      return { postal_codes: postalCodes, boundary_polygon: null };
+    }
+
+    const polygons = normalizePolygon(territoryData.boundary_polygon);
+    if (!polygons) {
+      throw createError('boundary_polygon is required for polygon territories', 400);
+    }
+    return { postal_codes: [], boundary_polygon: toGeoJSON(polygons) };
+  }
+
+  async getTerritories(filters = {}) {
+    let query = 'SELECT * FROM territories WHERE 1=1';
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.brand_id) {
+      query += ` AND brand_id = $${paramCount}`;
+      values.push(filters.brand_id);
+      paramCount++;
+    }
+
+    if (filters.agreement_id) {
+      query += ` AND assigned_agreement_id = $${paramCount}`;
+      values.push(filters.agreement_id);
+      paramCount++;
+    }
+
+    if (filters.is_available !== undefined) {
+      query += ` AND is_available = $${paramCount}`;
+      values.push(filters.is_available === true || filters.is_available === 'true');
+      paramCount++;
+    }
+
+    query += ' ORDER BY territory_name';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  async getTerritoryById(territoryId) {
+    const result = await pool.query('SELECT * FROM territories WHERE id = $1', [territoryId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Other territories of the same brand that share postal codes or area
+   */
+  async findTerritoryOverlaps(territory) {
+    const result = await pool.query(
+      'SELECT * FROM territories WHERE brand_id = $1 AND id <> $2',
+      [territory.brand_id, territory.id]
+    );
+
+    return result.rows
+      .map(other => ({ other, overlap: territoryOverlap(territory, other) }))
+      .filter(({ overlap }) => overlap.overlaps)
+      .map(({ other, overlap }) => ({
+        territory_id: other.id,
+        territory_name: other.territory_name,
+        assigned_agreement_id: other.assigned_agreement_id,
+        is_exclusive: other.is_exclusive,
+        shared_postal_codes: overlap.sharedPostalCodes
+      }));
+  }
+
+  async recordOverlaps(territory, overlaps) {
+    for (const overlap of overlaps) {
+      await pool.query(
+        `INSERT INTO territory_conflicts (territory_id, conflict_type, conflicting_territory_id, details)
+         VALUES ($1, 'overlap', $2, $3)`,
+        [territory.id, overlap.territory_id, JSON.stringify({ shared_postal_codes: overlap.shared_postal_codes })]
+      );
+    }
+  }
+
+  /**
+   * Attach a territory to a franchise agreement. Refused (409) when it overlaps
+   * a territory held by another agreement and either one is exclusive, unless forced.
+   */
+  async assignTerritory(territoryId, agreementId, { force = false } = {}) {
+    const territory = await this.getTerritoryById(territoryId);
+    if (!territory) {
+      throw createError('Territory not found', 404);
+    }
+    const agreement = await this.getFranchiseAgreementById(agreementId);
+    if (!agreement) {
+      throw createError('Agreement not found', 404);
+    }
+    if (agreement.brand_id !== territory.brand_id) {
+      throw createError('Territory and agreement belong to different brands', 400);
+    }
+
+    const conflicts = (await this.findTerritoryOverlaps(territory)).filter(overlap =>
+      overlap.assigned_agreement_id &&
+      overlap.assigned_agreement_id !== agreementId &&
+      (overlap.is_exclusive || territory.is_exclusive)
+    );
+    if (conflicts.length > 0 && !force) {
+      const error = createError('Territory overlaps territories held by other agreements', 409);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    const result = await pool.query(
+      `UPDATE territories
+       SET assigned_agreement_id = $1, is_available = FALSE, assigned_at = NOW(), updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [agreementId, territoryId]
+    );
+
+    // Keep the agreement's descriptive territory in step for agreements created without one
+    await pool.query(
+      `UPDATE franchise_agreements
+       SET territory = COALESCE(territory, $1),
+           territory_polygon = COALESCE(territory_polygon, $2),
+           exclusive_territory = exclusive_territory OR $3,
+           updated_at = NOW()
+       WHERE id = $4`,
+      [territory.territory_name, territory.boundary_polygon ? JSON.stringify(territory.boundary_polygon) : null, territory.is_exclusive, agreementId]
+    );
+
+    return result.rows[0];
+  }
+
+  async releaseTerritory(territoryId) {
+    const result = await pool.query(
+      `UPDATE territories
+       SET assigned_agreement_id = NULL, is_available = TRUE, assigned_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [territoryId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Whether a candidate site is open for a new franchise. The site is described
+   * by postal_code and/or latitude/longitude; it is unavailable when it falls in
+   * an exclusive territory already held by an agreement.
+   */
+  async checkTerritoryAvailability({ brand_id, postal_code = null, latitude = null, longitude = null }) {
+    if (!brand_id) {
+      throw createError('brand_id is required', 400);
+    }
+    if (!postal_code && (latitude === null || longitude === null)) {
+      throw createError('postal_code or latitude and longitude are required', 400);
+    }
+
+    const territories = await this.getTerritories({ brand_id });
+    const containing = territories.filter(territory =>
+      territoryContains(territory, { postalCode: postal_code, latitude, longitude })
+    );
+    const blocking = containing.filter(territory => territory.assigned_agreement_id && territory.is_exclusive);
+
+    return {
+      available: blocking.length === 0,
+      territories: containing.map(territory => ({
+        id: territory.id,
+        territory_name: territory.territory_name,
+        territory_type: territory.territory_type,
+        assigned_agreement_id: territory.assigned_agreement_id,
+        is_exclusive: territory.is_exclusive,
+        is_available: territory.is_available
+      })),
+      blocking_territory_ids: blocking.map(territory => territory.id)
+    };
+  }
+
+  /**
+   * Exclusive territories a new location would encroach on: ones held by an
+   * agreement other than the location's own. `location` uses locations columns.
+   */
+  async findEncroachments(location) {
+    const territories = await this.getTerritories(location.brand_id ? { brand_id: location.brand_id } : {});
+
+    return territories
+      .filter(territory =>
+        territory.assigned_agreement_id &&
+        territory.is_exclusive &&
+        territory.assigned_agreement_id !== (location.franchise_agreement_id || null) &&
+        territoryContains(territory, {
+          postalCode: location.zip,
+          latitude: location.latitude,
+          longitude: location.longitude
+        })
+      )
+      .map(territory => ({
+        territory_id: territory.id,
+        territory_name: territory.territory_name,
+        assigned_agreement_id: territory.assigned_agreement_id
+      }));
+  }
+
+  async recordEncroachments(locationId, encroachments, db = pool) {
+    const conflicts = [];
+    for (const encroachment of encroachments) {
+      const result = await db.query(
+        `INSERT INTO territory_conflicts (territory_id, conflict_type, location_id, details)
+         VALUES ($1, 'encroachment', $2, $3)
+         RETURNING *`,
+        [encroachment.territory_id, locationId, JSON.stringify({ assigned_agreement_id: encroachment.assigned_agreement_id })]
+      );
+      conflicts.push(result.rows[0]);
+    }
+    return conflicts;
+  }
+
+  async getTerritoryConflicts(filters = {}) {
+    let query = `
+      SELECT tc.*, t.territory_name, ct.territory_name as conflicting_territory_name, l.name as location_name
+      FROM territory_conflicts tc
+      JOIN territories t ON t.id = tc.territory_id
+      LEFT JOIN territories ct ON ct.id = tc.conflicting_territory_id
+      LEFT JOIN locations l ON l.id = tc.location_id
+      WHERE 1=1`;
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.territory_id) {
+      query += ` AND (tc.territory_id = $${paramCount} OR tc.conflicting_territory_id = $${paramCount})`;
+      values.push(filters.territory_id);
+      paramCount++;
+    }
+
+    if (filters.status) {
+      query += ` AND tc.status = $${paramCount}`;
+      values.push(filters.status);
+      paramCount++;
+    }
+
+    if (filters.brand_id) {
+      query += ` AND t.brand_id = $${paramCount}`;
+      values.push(filters.brand_id);
+      paramCount++;
+    }
+
+    query += ' ORDER BY tc.detected_at DESC';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  async resolveTerritoryConflict(conflictId, status, resolutionNotes, userId) {
+    if (!['acknowledged', 'resolved'].includes(status)) {
+      throw createError('status must be acknowledged or resolved', 400);
+    }
+
+    const result = await pool.query(
+      `UPDATE territory_conflicts
+       SET status = $1, resolution_notes = $2, resolved_by = $3,
+           resolved_at = CASE WHEN $1 = 'resolved' THEN NOW() ELSE resolved_at END
+       WHERE id = $4
+       RETURNING *`,
+      [status, resolutionNotes, userId, conflictId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Locations and delivery zones inside each territory (all of a brand's
+   * territories, or one). Delivery zones report full or partial coverage.
+   */
+  async getTerritoryReports(filters = {}) {
+    const territories = filters.territory_id
+      ? [await this.getTerritoryById(filters.territory_id)].filter(Boolean)
+      : await this.getTerritories({ brand_id: filters.brand_id });
+
+    if (territories.length === 0) {
+      return [];
+    }
+
+    const [locations, zones, conflicts] = await Promise.all([
+      pool.query(
+        `SELECT id, name, code, zip, latitude, longitude, brand_id, franchise_agreement_id, is_franchised, active
+         FROM locations WHERE active = TRUE`
+      ),
+      pool.query(
+        `SELECT dz.id, dz.zone_name, dz.location_id, dz.postal_codes, dz.boundary_polygon, l.name as location_name
+         FROM delivery_zones dz
+         JOIN locations l ON l.id = dz.location_id
+         WHERE dz.is_active = TRUE`
+      ),
+      pool.query(
+        `SELECT territory_id, COUNT(*)::int as open_conflicts
+         FROM territory_conflicts WHERE status = 'open' GROUP BY territory_id`
+      )
+    ]);
+    const openConflicts = new Map(conflicts.rows.map(row => [row.territory_id, row.open_conflicts]));
+
+    return territories.map(territory => {
+      const insideLocations = locations.rows
+        .filter(location => territoryContains(territory, {
+          postalCode: location.zip,
+          latitude: location.latitude,
+          longitude: location.longitude
+        }))
+        .map(location => ({
+          ...location,
+          held_by_territory_agreement: Boolean(territory.assigned_agreement_id) &&
+            location.franchise_agreement_id === territory.assigned_agreement_id
+        }));
+
+      const insideZones = zones.rows
+        .map(zone => ({ zone, coverage: zoneCoverage(territory, zone) }))
+        .filter(({ coverage }) => coverage)
+        .map(({ zone, coverage }) => ({
+          id: zone.id,
+          zone_name: zone.zone_name,
+          location_id: zone.location_id,
+          location_name: zone.location_name,
+          coverage
+        }));
+
+      return {
+        territory: {
+          id: territory.id,
+          territory_name: territory.territory_name,
+          territory_type: territory.territory_type,
+          brand_id: territory.brand_id,
+          assigned_agreement_id: territory.assigned_agreement_id,
+          is_exclusive: territory.is_exclusive
+        },
+        locations: insideLocations,
+        delivery_zones: insideZones,
+        summary: {
+          location_count: insideLocations.length,
+          foreign_location_count: insideLocations.filter(location => !location.held_by_territory_agreement).length,
+          delivery_zone_count: insideZones.length,
+          open_conflicts: openConflicts.get(territory.id) || 0
+        }
+      };
+    });
+  }
+
   // ============================================
   // FRANCHISE SUPPORT
   // ============================================
@@ -6,6 +6,21 @@
 const { getPool } = require('../database/pool');
 const crypto = require('crypto');
 const axios = require('axios');
+const MenuManagementService = require('./MenuManagementService');
+const config = require('../config/app');
+const AuditLogService = require('./AuditLogService');
+const { createConnector } = require('./connectors');
+const { generateSecret, secretHint, signatureHeaders, retryDelaySeconds } = require('../utils/webhookSigning');
+const credentialEncryption = require('../utils/credentialEncryption');
+const oauth = require('../utils/oauth');
+const { HOUR_WINDOWS, invalidAllowlistEntries, rateLimitDecision } = require('../utils/apiKeyLimits');
+const routePermissions = require('../config/routePermissions');
+
+// Per-record errors kept on a sync log
+const MAX_LOGGED_RECORD_ERRORS = 200;
+
+// Provider callback parameters kept with OAuth tokens (QuickBooks sends the company ID)
+const OAUTH_CALLBACK_FIELDS = ['realmId'];
 
 class IntegrationsService {
   // ===== INTEGRATION PROVIDERS =====
@@ -24,7 +39,7 @@ class IntegrationsService {
     query += ' ORDER BY category, name';
 
     const result = await pool.query(query, params);
-    return result.rows;
+    return result.rows.map(row => this.formatProvider(row));
   }
 
   async getProvider(providerId) {
@@ -35,17 +50,29 @@ class IntegrationsService {
       [providerId]
     );
 
-    return result.rows[0] || null;
+    return result.rows[0] ? this.formatProvider(result.rows[0]) : null;
+  }
+
+  /**
+   * Provider row as returned by the API, without the OAuth client secret
+   */
+  formatProvider(row) {
+    const { oauth_client_secret: clientSecret, ...provider } = row;
+    return {
+      ...provider,
+      oauth_configured: Boolean(provider.oauth_authorize_url && provider.oauth_token_url && provider.oauth_client_id),
+      oauth_client_secret_configured: credentialEncryption.isEncrypted(clientSecret)
+    };
   }
 
   // ===== LOCATION INTEGRATIONS =====
 
-  async connectIntegration(integrationData) {
+  async connectIntegration(integrationData, userId = null) {
     const pool = getPool();
     const id = `integration-${Date.now()}-${Math.random().toString(36).substring(7)}`;
 
     // Encrypt credentials before storing
-    const encryptedCredentials = this.encryptCredentials(integrationData.credentials);
+    const encryptedCredentials = this.encryptCredentials(integrationData.credentials, id);
 
     const result = await pool.query(`
       INSERT INTO location_integrations (
@@ -57,7 +84,7 @@ class IntegrationsService {
       id,
       integrationData.locationId,
       integrationData.providerId,
-      encryptedCredentials,
+      JSON.stringify(encryptedCredentials),
       JSON.stringify(integrationData.config || {}),
       integrationData.syncFrequencyMinutes || 60,
       integrationData.autoSyncEnabled !== false,
@@ -79,7 +106,10 @@ class IntegrationsService {
       );
     }
 
-    return { ...result.rows[0], connectionTest: testResult };
+    const integration = this.formatIntegration(result.rows[0]);
+    await AuditLogService.logCreate('location_integration', id, integration, userId, integration.location_id);
+
+    return { ...integration, connectionTest: testResult };
   }
 
   async getLocationIntegrations(locationId) {
@@ -97,23 +127,34 @@ class IntegrationsService {
       ORDER BY ip.category, ip.name
     `, [locationId]);
 
-    return result.rows;
+    return result.rows.map(row => this.formatIntegration(row));
   }
 
-  async updateIntegrationStatus(integrationId, status) {
+  async updateIntegrationStatus(integrationId, status, userId = null) {
     const pool = getPool();
 
     const result = await pool.query(`
-      UPDATE location_integrations
+      UPDATE location_integrations li
       SET status = $1, updated_at = NOW()
-      WHERE id = $2
-      RETURNING *
+      FROM (SELECT id, status FROM location_integrations WHERE id = $2 FOR UPDATE) previous
+      WHERE li.id = previous.id
+      RETURNING li.*, previous.status AS previous_status
     `, [status, integrationId]);
 
-    return result.rows[0];
+    if (result.rows.length === 0) return null;
+
+    const { previous_status: previousStatus, ...row } = result.rows[0];
+    const integration = this.formatIntegration(row);
+    await AuditLogService.logUpdate(
+      'location_integration', integrationId,
+      { status: previousStatus }, { status: integration.status },
+      userId, integration.location_id
+    );
+
+    return integration;
   }
 
-  async disconnectIntegration(integrationId) {
+  async disconnectIntegration(integrationId, userId = null) {
     const pool = getPool();
 
     const result = await pool.query(
@@ -121,134 +162,976 @@ class IntegrationsService {
       [integrationId]
     );
 
-    return result.rows[0];
+    if (result.rows.length === 0) return null;
+
+    const integration = this.formatIntegration(result.rows[0]);
+    await AuditLogService.logDelete('location_integration', integrationId, integration, userId, integration.location_id);
+
+    return integration;
   }
 
-  // ===== SYNC OPERATIONS =====
+  /**
+   * Replace an integration's credentials, e.g. after the vendor issued new ones
+   */
+  async updateIntegrationCredentials(integrationId, credentials, userId = null) {
+    const pool = getPool();
 
-  async syncIntegration(integrationId, syncType = 'manual') {
+    const result = await pool.query(`
+      UPDATE location_integrations
+      SET credentials = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [JSON.stringify(this.encryptCredentials(credentials, integrationId)), integrationId]);
+
+    if (result.rows.length === 0) return null;
+
+    const integration = this.formatIntegration(result.rows[0]);
+    await AuditLogService.log({
+      entityType: 'location_integration',
+      entityId: integrationId,
+      action: 'credentials_updated',
+      userId,
+      locationId: integration.location_id,
+      changes: { credential_fields: Object.keys(credentials || {}) },
+      severity: 'warning'
+    });
+
+    return integration;
+  }
+
+  /**
+   * Integration row as returned by the API: credentials are never included,
+   * only whether they are set and which key version protects them
+   */
+  formatIntegration(row) {
+    const { credentials, ...integration } = row;
+    const configured = credentialEncryption.isEncrypted(credentials) ||
+      Boolean(credentials && Object.keys(credentials).length > 0);
+
+    return {
+      ...integration,
+      credentials_configured: configured,
+      credentials_key_version: credentialEncryption.isEncrypted(credentials) ? credentials.key_version : null
+    };
+  }
+
+  // ===== OAUTH CONNECT =====
+
+  /**
+   * Register the OAuth client for a provider. The client secret is stored
+   * encrypted; leave it out to keep the current one.
+   */
+  async configureProviderOAuth(providerId, settings, userId = null) {
+    const pool = getPool();
+
+    for (const field of ['authorizeUrl', 'tokenUrl', 'clientId']) {
+      if (!settings[field]) {
+        const error = new Error(`${field} is required`);
+        error.status = 400;
+        throw error;
+      }
+    }
+
+    for (const field of ['authorizeUrl', 'tokenUrl']) {
+      let url;
+      try {
+        url = new URL(settings[field]);
+      } catch (err) {
+        url = null;
+      }
+      if (!url || !['https:', 'http:'].includes(url.protocol)) {
+        const error = new Error(`${field} must be an http(s) URL`);
+        error.status = 400;
+        throw error;
+      }
+    }
+
+    const authMethod = settings.tokenAuthMethod || 'client_secret_basic';
+    if (!['client_secret_basic', 'client_secret_post'].includes(authMethod)) {
+      const error = new Error('tokenAuthMethod must be client_secret_basic or client_secret_post');
+      error.status = 400;
+      throw error;
+    }
+
+    const result = await pool.query(`
+      UPDATE integration_providers
+      SET oauth_authorize_url = $2,
+          oauth_token_url = $3,
+          oauth_client_id = $4,
+          oauth_client_secret = COALESCE($5, oauth_client_secret),
+          oauth_scopes = $6,
+          oauth_extra_params = $7,
+          oauth_token_auth_method = $8,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      providerId,
+      settings.authorizeUrl,
+      settings.tokenUrl,
+      settings.clientId,
+      settings.clientSecret ? JSON.stringify(this.encryptCredentials({ clientSecret: settings.clientSecret }, providerId)) : null,
+      JSON.stringify(Array.isArray(settings.scopes) ? settings.scopes : []),
+      JSON.stringify(settings.extraParams || {}),
+      authMethod
+    ]);
+
+    if (result.rows.length === 0) return null;
+
+    const provider = this.formatProvider(result.rows[0]);
+    await AuditLogService.log({
+      entityType: 'integration_provider',
+      entityId: providerId,
+      action: 'oauth_configured',
+      userId,
+      changes: {
+        authorize_url: provider.oauth_authorize_url,
+        token_url: provider.oauth_token_url,
+        client_id: provider.oauth_client_id,
+        client_secret_changed: Boolean(settings.clientSecret)
+      },
+      severity: 'warning'
+    });
+
+    return provider;
+  }
+
+  /**
+   * OAuth client settings for a provider, with the client secret decrypted
+   */
+  async getOAuthClient(providerId) {
+    const pool = getPool();
+
+    const result = await pool.query('SELECT * FROM integration_providers WHERE id = $1', [providerId]);
+    const provider = result.rows[0];
+
+    if (!provider) {
+      const error = new Error('Integration provider not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (provider.auth_type !== 'oauth2' || !provider.oauth_authorize_url || !provider.oauth_token_url || !provider.oauth_client_id) {
+      const error = new Error(`${provider.name} is not configured for OAuth connections`);
+      error.status = 400;
+      throw error;
+    }
+
+    const { clientSecret } = this.decryptCredentials(provider.oauth_client_secret, provider.id);
+
+    return {
+      providerId: provider.id,
+      providerName: provider.name,
+      authorizeUrl: provider.oauth_authorize_url,
+      tokenUrl: provider.oauth_token_url,
+      clientId: provider.oauth_client_id,
+      clientSecret: clientSecret || null,
+      authMethod: provider.oauth_token_auth_method,
+      scopes: provider.oauth_scopes || [],
+      extraParams: provider.oauth_extra_params || {}
+    };
+  }
+
+  hashOAuthState(state) {
+    return crypto.createHash('sha256').update(String(state)).digest('hex');
+  }
+
+  /**
+   * Begin connecting a location to an OAuth provider. Returns the provider's
+   * authorize URL to send the browser to; the state and PKCE verifier stay
+   * server-side until the callback (or expiry).
+   */
+  async startOAuthConnect(providerId, data, userId = null) {
+    const pool = getPool();
+
+    if (!data.locationId) {
+      const error = new Error('locationId is required');
+      error.status = 400;
+      throw error;
+    }
+
+    const client = await this.getOAuthClient(providerId);
+    const state = oauth.generateState();
+    const verifier = oauth.generateCodeVerifier();
+    const id = `oauthstate-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const settings = config.integrations.oauth;
+
+    const result = await pool.query(`
+      INSERT INTO oauth_states (
+        id, state_hash, provider_id, location_id, user_id, code_verifier,
+        integration_settings, return_url, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + ($9 * INTERVAL '1 minute'))
+      RETURNING expires_at
+    `, [
+      id,
+      this.hashOAuthState(state),
+      providerId,
+      data.locationId,
+      userId,
+      JSON.stringify(this.encryptCredentials({ verifier }, id)),
+      JSON.stringify({
+        config: data.config || {},
+        syncFrequencyMinutes: data.syncFrequencyMinutes || 60,
+        autoSyncEnabled: data.autoSyncEnabled !== false,
+        enabledFeatures: data.enabledFeatures || []
+      }),
+      oauth.safeReturnUrl(data.returnUrl, settings.appUrl),
+      settings.stateTtlMinutes
+    ]);
+
+    return {
+      authorizationUrl: oauth.buildAuthorizationUrl(client, { state, verifier, redirectUri: settings.redirectUri }),
+      expiresAt: result.rows[0].expires_at
+    };
+  }
+
+  /**
+   * Finish a connect from the provider's redirect: consume the state, exchange
+   * the code for tokens and store them on the location's integration (created,
+   * or updated when reconnecting). Never throws for provider or user errors;
+   * the result says where to send the browser and what happened.
+   */
+  async completeOAuthConnect(query) {
+    const pool = getPool();
+    const { state, code, error: providerError, error_description: errorDescription } = query;
+    const fallbackUrl = oauth.safeReturnUrl(null, config.integrations.oauth.appUrl);
+
+    const claimed = state
+      ? await pool.query(
+        'DELETE FROM oauth_states WHERE state_hash = $1 RETURNING *, expires_at > NOW() AS is_current',
+        [this.hashOAuthState(state)]
+      )
+      : { rows: [] };
+    const pending = claimed.rows[0];
+
+    if (!pending || !pending.is_current) {
+      return { success: false, returnUrl: fallbackUrl, error: 'This connection link has expired. Please start again.' };
+    }
+
+    const returnUrl = pending.return_url || fallbackUrl;
+
+    if (providerError || !code) {
+      return {
+        success: false,
+        returnUrl,
+        providerId: pending.provider_id,
+        error: providerError ? (errorDescription || providerError) : 'The provider did not return an authorization code'
+      };
+    }
+
+    let tokens;
+    try {
+      const client = await this.getOAuthClient(pending.provider_id);
+      const { verifier } = this.decryptCredentials(pending.code_verifier, pending.id);
+
+      tokens = await oauth.requestToken(client, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.integrations.oauth.redirectUri,
+        code_verifier: verifier
+      }, { timeoutMs: config.integrations.oauth.requestTimeoutMs });
+    } catch (error) {
+      console.error(`[OAuth] Code exchange failed for ${pending.provider_id} at ${pending.location_id}:`, error.message);
+      return { success: false, returnUrl, providerId: pending.provider_id, error: error.message };
+    }
+
+    const credentials = { ...tokens };
+    for (const field of OAUTH_CALLBACK_FIELDS) {
+      if (typeof query[field] === 'string' && query[field]) credentials[field] = query[field];
+    }
+
+    let integration;
+    try {
+      integration = await this.saveOAuthIntegration(pending, credentials);
+    } catch (error) {
+      console.error(`[OAuth] Saving the integration failed for ${pending.provider_id} at ${pending.location_id}:`, error.message);
+      return { success: false, returnUrl, providerId: pending.provider_id, error: 'The connection could not be saved. Please try again.' };
+    }
+
+    return { success: true, returnUrl, providerId: pending.provider_id, integration };
+  }
+
+  async saveOAuthIntegration(pending, credentials) {
     const pool = getPool();
     const client = await pool.connect();
+    const settings = pending.integration_settings || {};
+    let row;
+    let reconnected;
 
     try {
       await client.query('BEGIN');
 
-      const logId = `synclog-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+      const existing = await client.query(
+        'SELECT id FROM location_integrations WHERE location_id = $1 AND provider_id = $2 FOR UPDATE',
+        [pending.location_id, pending.provider_id]
+      );
+      reconnected = existing.rows.length > 0;
+      const id = reconnected
+        ? existing.rows[0].id
+        : `integration-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+      const storedCredentials = JSON.stringify(this.encryptCredentials(credentials, id));
+
+      const result = reconnected
+        ? await client.query(`
+          UPDATE location_integrations
+          SET credentials = $2, token_expires_at = $3, connected_via = 'oauth', status = 'active',
+              error_count = 0, last_error = NULL, updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [id, storedCredentials, credentials.expiresAt])
+        : await client.query(`
+          INSERT INTO location_integrations (
+            id, location_id, provider_id, status, credentials, config, sync_frequency_minutes,
+            auto_sync_enabled, enabled_features, token_expires_at, connected_via
+          ) VALUES ($1, $2, $3, 'active', $4, $5, $6, $7, $8, $9, 'oauth')
+          RETURNING *
+        `, [
+          id,
+          pending.location_id,
+          pending.provider_id,
+          storedCredentials,
+          JSON.stringify(settings.config || {}),
+          settings.syncFrequencyMinutes || 60,
+          settings.autoSyncEnabled !== false,
+          JSON.stringify(settings.enabledFeatures || []),
+          credentials.expiresAt
+        ]);
+      row = result.rows[0];
 
-      // Create sync log
-      await client.query(`
-        INSERT INTO integration_sync_logs (
-          id, integration_id, sync_type, direction, status, started_at
-        ) VALUES ($1, $2, $3, 'bidirectional', 'in_progress', NOW())
-      `, [logId, integrationId, syncType]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-      // Get integration details
-      const integrationResult = await client.query(`
-        SELECT li.*, ip.* FROM location_integrations li
-        JOIN integration_providers ip ON li.provider_id = ip.id
-        WHERE li.id = $1
-      `, [integrationId]);
+    const integration = this.formatIntegration(row);
+    await AuditLogService.log({
+      entityType: 'location_integration',
+      entityId: integration.id,
+      action: reconnected ? 'oauth_reconnected' : 'oauth_connected',
+      userId: pending.user_id,
+      locationId: integration.location_id,
+      changes: { provider_id: integration.provider_id, scope: credentials.scope, token_expires_at: credentials.expiresAt },
+      severity: 'info'
+    });
+
+    return integration;
+  }
+
+  /**
+   * Refresh an OAuth integration's access token. The row stays locked during
+   * the token request so a sync and the refresh job never spend the same
+   * refresh token twice; unless forced, a token that another caller already
+   * refreshed is left alone.
+   *
+   * A refresh the provider rejects (no refresh token, invalid_grant, revoked
+   * consent) marks the integration needs_reauth. Network errors and provider
+   * outages are recorded and retried by the next job run.
+   */
+  async refreshIntegrationToken(integrationId, { force = false } = {}) {
+    const pool = getPool();
+    const client = await pool.connect();
+    const leadSeconds = config.integrations.oauth.refreshLeadMinutes * 60;
+    let integration;
+    let outcome;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        "SELECT * FROM location_integrations WHERE id = $1 AND connected_via = 'oauth' FOR UPDATE",
+        [integrationId]
+      );
+      integration = result.rows[0];
+
+      if (!integration) {
+        await client.query('ROLLBACK');
+        return { refreshed: false, error: 'OAuth integration not found' };
+      }
+
+      const credentials = this.getIntegrationCredentials(integration);
+
+      if (!force && !oauth.refreshDue(integration.token_expires_at, leadSeconds)) {
+        await client.query('COMMIT');
+        return { refreshed: false, credentials };
+      }
+
+      try {
+        if (!credentials.refreshToken) {
+          const error = new Error('No refresh token was issued; the integration must be reconnected');
+          error.permanent = true;
+          throw error;
+        }
+
+        const oauthClient = await this.getOAuthClient(integration.provider_id);
+        const tokens = await oauth.requestToken(oauthClient, {
+          grant_type: 'refresh_token',
+          refresh_token: credentials.refreshToken
+        }, { previous: credentials, timeoutMs: config.integrations.oauth.requestTimeoutMs });
+        const refreshed = { ...credentials, ...tokens };
+
+        await client.query(`
+          UPDATE location_integrations
+          SET credentials = $2, token_expires_at = $3, error_count = 0, last_error = NULL, updated_at = NOW()
+          WHERE id = $1
+        `, [integrationId, JSON.stringify(this.encryptCredentials(refreshed, integrationId)), tokens.expiresAt]);
+
+        outcome = { refreshed: true, credentials: refreshed, expiresAt: tokens.expiresAt };
+      } catch (error) {
+        const reason = `Token refresh failed: ${error.message.replace(/^Token request failed: /, '')}`;
+
+        await client.query(`
+          UPDATE location_integrations
+          SET status = CASE WHEN $3 THEN 'needs_reauth' ELSE status END,
+              error_count = error_count + 1,
+              last_error = $2,
+              updated_at = NOW()
+          WHERE id = $1
+        `, [integrationId, reason, Boolean(error.permanent)]);
+
+        outcome = { refreshed: false, needsReauth: Boolean(error.permanent), error: reason };
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (outcome.needsReauth && integration.status !== 'needs_reauth') {
+      await this.notifyNeedsReauth(integration, outcome.error);
+    }
+
+    return outcome;
+  }
 
-      if (integrationResult.rows.length === 0) {
-        throw new Error('Integration not found');
+  /**
+   * Tell the location manager an integration must be reconnected
+   */
+  async notifyNeedsReauth(integration, reason) {
+    const pool = getPool();
+
+    await AuditLogService.log({
+      entityType: 'location_integration',
+      entityId: integration.id,
+      action: 'needs_reauth',
+      locationId: integration.location_id,
+      changes: { status: 'needs_reauth', previous_status: integration.status },
+      metadata: { reason },
+      severity: 'warning'
+    });
+
+    try {
+      const result = await pool.query(`
+        SELECT l.manager_id, ip.name AS provider_name
+        FROM locations l, integration_providers ip
+        WHERE l.id = $1 AND ip.id = $2
+      `, [integration.location_id, integration.provider_id]);
+      const row = result.rows[0];
+
+      if (row && row.manager_id) {
+        const NotificationService = require('./NotificationService');
+        await NotificationService.createNotification({
+          userId: row.manager_id,
+          locationId: integration.location_id,
+          notificationType: 'integration_needs_reauth',
+          title: `Reconnect ${row.provider_name}`,
+          message: `${reason}. Syncing is paused until someone reconnects ${row.provider_name} from the integrations page.`,
+          priority: 'high',
+          actionUrl: '/integrations',
+          metadata: { integrationId: integration.id, providerId: integration.provider_id }
+        });
+      }
+    } catch (error) {
+      console.error(`[IntegrationsService] Failed to notify about integration ${integration.id} needing reauth:`, error);
+    }
+  }
+
+  /**
+   * Job: refresh access tokens that expire within the refresh lead time and
+   * drop connect states that were never completed
+   */
+  async refreshOAuthTokens(params = {}) {
+    const pool = getPool();
+    const leadMinutes = params.leadMinutes || config.integrations.oauth.refreshLeadMinutes;
+
+    const due = await pool.query(`
+      SELECT id FROM location_integrations
+      WHERE connected_via = 'oauth'
+        AND status IN ('active', 'error')
+        AND token_expires_at IS NOT NULL
+        AND token_expires_at <= NOW() + ($1 * INTERVAL '1 minute')
+      ORDER BY token_expires_at
+    `, [leadMinutes]);
+
+    const summary = { due: due.rows.length, refreshed: 0, needs_reauth: 0, failed: 0 };
+
+    for (const { id } of due.rows) {
+      try {
+        const result = await this.refreshIntegrationToken(id);
+        if (result.refreshed) {
+          summary.refreshed++;
+        } else if (result.needsReauth) {
+          summary.needs_reauth++;
+        } else if (result.error) {
+          summary.failed++;
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`[OAuth] Could not refresh integration ${id}:`, error.message);
       }
+    }
 
-      const integration = integrationResult.rows[0];
+    const states = await pool.query('DELETE FROM oauth_states WHERE expires_at < NOW()');
+    summary.states_deleted = states.rowCount;
 
-      // Perform actual sync based on provider
-      const syncResult = await this.performSync(integration);
+    return summary;
+  }
+
+  /**
+   * Credentials to call the provider with, refreshing an OAuth access token
+   * that is about to expire
+   */
+  async getFreshIntegrationCredentials(integration) {
+    if (integration.status === 'needs_reauth') {
+      throw new Error('Integration needs to be reconnected');
+    }
 
-      // Update sync log
-      await client.query(`
+    if (integration.connected_via !== 'oauth' ||
+        !oauth.refreshDue(integration.token_expires_at, config.integrations.oauth.refreshLeadMinutes * 60)) {
+      return this.getIntegrationCredentials(integration);
+    }
+
+    const result = await this.refreshIntegrationToken(integration.id);
+    if (result.credentials) {
+      return result.credentials;
+    }
+
+    // A provider outage shouldn't stop a sync while the current token still works
+    const stillValid = integration.token_expires_at && new Date(integration.token_expires_at) > new Date();
+    if (!result.needsReauth && stillValid) {
+      return this.getIntegrationCredentials(integration);
+    }
+    throw new Error(result.error);
+  }
+
+  // ===== SYNC OPERATIONS =====
+
+  /**
+   * Import sales and labor from the integration's connector.
+   * Records are upserted by external ID, so re-running a sync is safe.
+   * A 'full' sync ignores the stored cursor and re-reads everything.
+   */
+  async syncIntegration(integrationId, syncType = 'manual') {
+    const pool = getPool();
+
+    const integration = await this.getIntegrationForSync(integrationId);
+    if (!integration) {
+      return { success: false, error: 'Integration not found' };
+    }
+
+    const logId = `synclog-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+
+    await pool.query(`
+      INSERT INTO integration_sync_logs (
+        id, integration_id, sync_type, direction, status, started_at
+      ) VALUES ($1, $2, $3, 'import', 'in_progress', NOW())
+    `, [logId, integrationId, syncType]);
+
+    try {
+      const connector = createConnector(integration, await this.getFreshIntegrationCredentials(integration));
+      if (!connector) {
+        throw new Error('Provider sync not implemented');
+      }
+
+      const result = await this.runConnectorSync(connector, integration, { full: syncType === 'full' });
+
+      await pool.query(`
         UPDATE integration_sync_logs
-        SET status = $1,
+        SET status = 'completed',
             completed_at = NOW(),
-            records_processed = $2,
-            records_succeeded = $3,
-            records_failed = $4
-        WHERE id = $5
+            records_processed = $1,
+            records_succeeded = $2,
+            records_failed = $3,
+            error_details = $4,
+            sync_metadata = $5
+        WHERE id = $6
       `, [
-        syncResult.success ? 'completed' : 'failed',
-        syncResult.processed || 0,
-        syncResult.succeeded || 0,
-        syncResult.failed || 0,
+        result.processed,
+        result.succeeded,
+        result.failed,
+        result.errors.length > 0 ? JSON.stringify(result.errors.slice(0, MAX_LOGGED_RECORD_ERRORS)) : null,
+        JSON.stringify({ connector: connector.key, resources: result.resources, cursor: result.cursor }),
         logId
       ]);
 
-      // Update integration last sync
-      await client.query(`
+      await pool.query(`
         UPDATE location_integrations
         SET last_sync_at = NOW(),
             last_sync_status = $1,
-            error_count = CASE WHEN $1 = 'success' THEN 0 ELSE error_count + 1 END
+            error_count = 0,
+            last_error = NULL,
+            updated_at = NOW()
         WHERE id = $2
-      `, [syncResult.success ? 'success' : 'failure', integrationId]);
+      `, [result.failed > 0 ? 'partial' : 'success', integrationId]);
 
-      await client.query('COMMIT');
-
-      return { success: true, syncLog: logId, ...syncResult };
+      return {
+        success: true,
+        syncLog: logId,
+        processed: result.processed,
+        succeeded: result.succeeded,
+        failed: result.failed,
+        resources: result.resources
+      };
 
     } catch (error) {
-      await client.query('ROLLBACK');
       console.error('Sync error:', error);
 
+      await pool.query(`
+        UPDATE integration_sync_logs
+        SET status = 'failed', completed_at = NOW(), error_message = $1
+        WHERE id = $2
+      `, [error.message, logId]);
+
+      await pool.query(`
+        UPDATE location_integrations
+        SET last_sync_at = NOW(),
+            last_sync_status = 'failure',
+            error_count = error_count + 1,
+            last_error = $1,
+            updated_at = NOW()
+        WHERE id = $2
+      `, [error.message, integrationId]);
+
       return {
         success: false,
+        syncLog: logId,
         error: error.message
       };
-    } finally {
-      client.release();
     }
   }
 
-  async performSync(integration) {
-    // Provider-specific sync logic
-    switch (integration.provider_id) {
-      case 'provider-square':
-        return await this.syncSquare(integration);
+  async getIntegrationForSync(integrationId) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT
+        li.*,
+        ip.name as provider_name,
+        ip.category as provider_category,
+        ip.base_url,
+        l.timezone as location_timezone
+      FROM location_integrations li
+      JOIN integration_providers ip ON li.provider_id = ip.id
+      JOIN locations l ON li.location_id = l.id
+      WHERE li.id = $1
+    `, [integrationId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Page through each connector resource, upserting records one at a time so
+   * a bad record is logged without failing the sync. The stored cursor for a
+   * resource only advances when every record in it was imported.
+   */
+  async runConnectorSync(connector, integration, { full = false } = {}) {
+    const pool = getPool();
+    const cursor = { ...(integration.sync_cursor || {}) };
+    const totals = { processed: 0, succeeded: 0, failed: 0, errors: [], resources: {}, cursor };
+    const context = { userCache: new Map(), salesDates: new Set() };
+
+    for (const resource of connector.resources) {
+      const since = full ? null : (cursor[resource] && cursor[resource].since) || null;
+      const stats = { processed: 0, succeeded: 0, failed: 0 };
+      let highWaterMark = since;
+
+      for await (const page of connector.fetchPages(resource, { since })) {
+        for (const raw of page) {
+          stats.processed++;
+          let record = null;
+
+          try {
+            record = connector.mapRecord(resource, raw);
+            await this.importRecord(resource, record, connector, integration, context);
+            stats.succeeded++;
+            highWaterMark = connector.highWaterMark([record], highWaterMark);
+          } catch (error) {
+            stats.failed++;
+            totals.errors.push({
+              resource,
+              externalId: record ? record.externalId : (raw && (raw.id || raw.guid || raw.Id)) || null,
+              error: error.message
+            });
+          }
+        }
+      }
 
-      case 'provider-toast':
-        return await this.syncToast(integration);
+      if (stats.failed === 0 && highWaterMark) {
+        cursor[resource] = { since: highWaterMark, updatedAt: new Date().toISOString() };
+        await pool.query(
+          'UPDATE location_integrations SET sync_cursor = $1 WHERE id = $2',
+          [JSON.stringify(cursor), integration.id]
+        );
+      }
 
-      case 'provider-quickbooks':
-        return await this.syncQuickBooks(integration);
+      totals.processed += stats.processed;
+      totals.succeeded += stats.succeeded;
+      totals.failed += stats.failed;
+      totals.resources[resource] = stats;
+    }
 
-      default:
-        return {
-          success: false,
-          error: 'Provider sync not implemented'
-        };
+    if (context.salesDates.size > 0) {
+      totals.resources.menu_performance = await this.refreshMenuPerformance(
+        integration,
+        [...context.salesDates]
+      );
     }
+
+    return totals;
   }
 
-  async syncSquare(integration) {
-    // Placeholder for Square sync implementation
-    return {
-      success: true,
-      processed: 100,
-      succeeded: 95,
-      failed: 5
-    };
+  async importRecord(resource, record, connector, integration, context) {
+    if (!record || !record.externalId) {
+      throw new Error('Record has no external ID');
+    }
+
+    if (resource === 'sales') {
+      const saleDate = await this.upsertSalesEntry(record, connector, integration);
+      context.salesDates.add(saleDate);
+      return;
+    }
+
+    if (resource === 'labor') {
+      await this.upsertLaborEntry(record, connector, integration, context);
+      return;
+    }
+
+    throw new Error(`Unsupported resource: ${resource}`);
   }
 
-  async syncToast(integration) {
-    // Placeholder for Toast sync implementation
-    return {
-      success: true,
-      processed: 50,
-      succeeded: 50,
-      failed: 0
-    };
+  async upsertSalesEntry(sale, connector, integration) {
+    const pool = getPool();
+    const id = `sale-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const local = connector.localDateParts(sale.occurredAt);
+    const saleDate = sale.saleDate || local.date;
+
+    await pool.query(`
+      INSERT INTO sales_entries (
+        id, location_id, sale_date, sale_hour, gross_sales, net_sales,
+        tax_amount, tips, discounts, voids, transaction_count, guest_count,
+        average_check, payment_methods, line_items, source, external_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 1, $11, $6, $12, $13, $14, $15)
+      ON CONFLICT (location_id, source, external_id) WHERE external_id IS NOT NULL
+      DO UPDATE SET
+        sale_date = EXCLUDED.sale_date,
+        sale_hour = EXCLUDED.sale_hour,
+        gross_sales = EXCLUDED.gross_sales,
+        net_sales = EXCLUDED.net_sales,
+        tax_amount = EXCLUDED.tax_amount,
+        tips = EXCLUDED.tips,
+        discounts = EXCLUDED.discounts,
+        voids = EXCLUDED.voids,
+        guest_count = EXCLUDED.guest_count,
+        average_check = EXCLUDED.average_check,
+        payment_methods = EXCLUDED.payment_methods,
+        line_items = EXCLUDED.line_items,
+        updated_at = NOW()
+    `, [
+      id,
+      integration.location_id,
+      saleDate,
+      local.hour,
+      sale.grossSales,
+      sale.netSales,
+      sale.taxAmount || 0,
+      sale.tips || 0,
+      sale.discounts || 0,
+      sale.voids || 0,
+      sale.guestCount || 0,
+      JSON.stringify(sale.paymentMethods || {}),
+      JSON.stringify(sale.lineItems || []),
+      connector.key,
+      String(sale.externalId)
+    ]);
+
+    return saleDate;
   }
 
-  async syncQuickBooks(integration) {
-    // Placeholder for QuickBooks sync implementation
-    return {
-      success: true,
-      processed: 75,
-      succeeded: 70,
-      failed: 5
-    };
+  async upsertLaborEntry(shift, connector, integration, context) {
+    const pool = getPool();
+
+    if (shift.deleted) {
+      await pool.query(
+        'DELETE FROM labor_entries WHERE location_id = $1 AND source = $2 AND external_id = $3',
+        [integration.location_id, connector.key, String(shift.externalId)]
+      );
+      return;
+    }
+
+    const userId = await this.resolveEmployee(shift, integration, context);
+
+    const settings = integration.config || {};
+    const hourlyRate = shift.hourlyRate !== null && shift.hourlyRate !== undefined
+      ? shift.hourlyRate
+      : settings.defaultHourlyRate;
+    if (hourlyRate === null || hourlyRate === undefined) {
+      throw new Error(`No hourly rate for employee ${shift.employeeExternalId}`);
+    }
+
+    // Same rules as manually entered labor: overtime past 8 hours at 1.5x
+    let totalHours = null;
+    let totalCost = null;
+    let overtimeHours = 0;
+    let overtimeCost = 0;
+
+    if (shift.clockOut) {
+      totalHours = (new Date(shift.clockOut) - new Date(shift.clockIn)) / (1000 * 60 * 60);
+      totalHours = Math.max(0, totalHours - (shift.breakMinutes || 0) / 60);
+      overtimeHours = Math.max(0, totalHours - 8);
+      overtimeCost = overtimeHours * hourlyRate * 1.5;
+      totalCost = (totalHours - overtimeHours) * hourlyRate + overtimeCost;
+    }
+
+    const id = `labor-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const shiftDate = shift.shiftDate || connector.localDateParts(shift.clockIn).date;
+
+    await pool.query(`
+      INSERT INTO labor_entries (
+        id, user_id, location_id, shift_date, clock_in, clock_out,
+        total_hours, hourly_rate, total_cost, overtime_hours, overtime_cost,
+        break_minutes, position, status, source, external_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'active', $14, $15)
+      ON CONFLICT (location_id, source, external_id) WHERE external_id IS NOT NULL
+      DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        shift_date = EXCLUDED.shift_date,
+        clock_in = EXCLUDED.clock_in,
+        clock_out = EXCLUDED.clock_out,
+        total_hours = EXCLUDED.total_hours,
+        hourly_rate = EXCLUDED.hourly_rate,
+        total_cost = EXCLUDED.total_cost,
+        overtime_hours = EXCLUDED.overtime_hours,
+        overtime_cost = EXCLUDED.overtime_cost,
+        break_minutes = EXCLUDED.break_minutes,
+        position = EXCLUDED.position,
+        updated_at = NOW()
+      WHERE labor_entries.status = 'active'
+    `, [
+      id,
+      userId,
+      integration.location_id,
+      shiftDate,
+      shift.clockIn,
+      shift.clockOut || null,
+      totalHours,
+      hourlyRate,
+      totalCost,
+      overtimeHours,
+      overtimeCost,
+      shift.breakMinutes || 0,
+      shift.position || null,
+      connector.key,
+      String(shift.externalId)
+    ]);
+  }
+
+  /**
+   * Map a POS employee to a user via config.employeeMap, then by email
+   */
+  async resolveEmployee(shift, integration, context) {
+    const key = shift.employeeExternalId || shift.employeeEmail;
+    if (context.userCache.has(key)) {
+      return context.userCache.get(key);
+    }
+
+    const pool = getPool();
+    const employeeMap = (integration.config && integration.config.employeeMap) || {};
+    let userId = shift.employeeExternalId ? employeeMap[shift.employeeExternalId] || null : null;
+
+    if (!userId && shift.employeeEmail) {
+      const result = await pool.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [shift.employeeEmail]);
+      userId = result.rows[0] ? result.rows[0].id : null;
+    }
+
+    if (!userId) {
+      throw new Error(`No user mapped for employee ${key || '(unknown)'}`);
+    }
+
+    context.userCache.set(key, userId);
+    return userId;
+  }
+
+  /**
+   * Rebuild daily menu_performance rows from imported line items.
+   * Items are matched by config.menuItemMap (external ID -> menu item),
+   * then SKU, then name.
+   */
+  async refreshMenuPerformance(integration, saleDates) {
+    const pool = getPool();
+    const menuItemMap = (integration.config && integration.config.menuItemMap) || {};
+
+    const [menuItemsResult, salesResult] = await Promise.all([
+      pool.query(`
+        SELECT id, name, sku, cost_price FROM menu_items
+        WHERE location_id = $1 OR location_id IS NULL
+      `, [integration.location_id]),
+      pool.query(`
+        SELECT sale_date::text as sale_date, line_items FROM sales_entries
+        WHERE location_id = $1 AND sale_date = ANY($2::date[])
+          AND jsonb_array_length(COALESCE(line_items, '[]'::jsonb)) > 0
+      `, [integration.location_id, saleDates])
+    ]);
+
+    const byId = new Map(menuItemsResult.rows.map(item => [item.id, item]));
+    const bySku = new Map(menuItemsResult.rows.filter(item => item.sku).map(item => [item.sku.toLowerCase(), item]));
+    const byName = new Map(menuItemsResult.rows.map(item => [item.name.toLowerCase(), item]));
+
+    const matchItem = line => (line.externalId && byId.get(menuItemMap[line.externalId]))
+      || (line.sku && bySku.get(String(line.sku).toLowerCase()))
+      || (line.name && byName.get(String(line.name).toLowerCase()))
+      || null;
+
+    const totals = new Map();
+    const unmatched = new Set();
+
+    salesResult.rows.forEach(row => {
+      (row.line_items || []).forEach(line => {
+        const item = matchItem(line);
+        if (!item) {
+          unmatched.add(line.name || line.externalId);
+          return;
+        }
+
+        const key = `${item.id}|${row.sale_date}`;
+        const entry = totals.get(key) || { item, saleDate: row.sale_date, units: 0, revenue: 0 };
+        entry.units += Number(line.quantity) || 0;
+        entry.revenue += Number(line.revenue) || 0;
+        totals.set(key, entry);
+      });
+    });
+
+    let recorded = 0;
+    for (const entry of totals.values()) {
+      if (entry.units <= 0) continue;
+
+      await MenuManagementService.recordMenuPerformance({
+        menu_item_id: entry.item.id,
+        location_id: integration.location_id,
+        period_start: entry.saleDate,
+        period_end: entry.saleDate,
+        units_sold: Math.round(entry.units),
+        total_revenue: Math.round(entry.revenue * 100) / 100,
+        total_cost: Math.round(entry.units * parseFloat(entry.item.cost_price || 0) * 100) / 100
+      });
+      recorded++;
+    }
+
+    return { recorded, unmatchedItems: [...unmatched].slice(0, 50) };
   }
 
   async getSyncLogs(integrationId, limit = 50) {
@@ -269,13 +1152,14 @@ class IntegrationsService {
   async createWebhook(webhookData) {
     const pool = getPool();
     const id = `webhook-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const secret = generateSecret();
 
     const result = await pool.query(`
       INSERT INTO webhooks (
         id, location_id, name, url, event_types, method, headers,
         auth_type, auth_credentials, is_active, retry_on_failure,
-        max_retries, retry_delay_seconds
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        max_retries, retry_delay_seconds, secret, secret_hint, created_by, disable_after_failures
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
       RETURNING *
     `, [
       id,
@@ -286,14 +1170,19 @@ class IntegrationsService {
       webhookData.method || 'POST',
       JSON.stringify(webhookData.headers || {}),
       webhookData.authType || 'none',
-      JSON.stringify(webhookData.authCredentials || {}),
+      JSON.stringify(this.encryptCredentials(webhookData.authCredentials || {}, id)),
       webhookData.isActive !== false,
       webhookData.retryOnFailure !== false,
-      webhookData.maxRetries || 3,
-      webhookData.retryDelaySeconds || 60
+      webhookData.maxRetries ?? 3,
+      webhookData.retryDelaySeconds || 60,
+      JSON.stringify(this.encryptCredentials({ secret }, id)),
+      secretHint(secret),
+      webhookData.createdBy || null,
+      webhookData.disableAfterFailures || 20
     ]);
 
-    return result.rows[0];
+    // The signing secret is only returned here and on rotation
+    return { ...this.formatWebhook(result.rows[0]), secret };
   }
 
   async getWebhooks(locationId = null) {
@@ -310,7 +1199,7 @@ class IntegrationsService {
     query += ' ORDER BY created_at DESC';
 
     const result = await pool.query(query, params);
-    return result.rows;
+    return result.rows.map(row => this.formatWebhook(row));
   }
 
   async updateWebhook(webhookId, updateData) {
@@ -333,6 +1222,11 @@ class IntegrationsService {
     if (updateData.isActive !== undefined) {
       updates.push(`is_active = $${paramCount++}`);
       values.push(updateData.isActive);
+
+      // Re-enabling starts the failure count over
+      if (updateData.isActive) {
+        updates.push('consecutive_failures = 0', 'disabled_at = NULL', 'disabled_reason = NULL');
+      }
     }
 
     if (updateData.eventTypes !== undefined) {
@@ -340,6 +1234,31 @@ class IntegrationsService {
       values.push(JSON.stringify(updateData.eventTypes));
     }
 
+    if (updateData.authType !== undefined) {
+      updates.push(`auth_type = $${paramCount++}`);
+      values.push(updateData.authType);
+    }
+
+    if (updateData.authCredentials !== undefined) {
+      updates.push(`auth_credentials = $${paramCount++}`);
+      values.push(JSON.stringify(this.encryptCredentials(updateData.authCredentials || {}, webhookId)));
+    }
+
+    if (updateData.maxRetries !== undefined) {
+      updates.push(`max_retries = $${paramCount++}`);
+      values.push(updateData.maxRetries);
+    }
+
+    if (updateData.retryDelaySeconds !== undefined) {
+      updates.push(`retry_delay_seconds = $${paramCount++}`);
+      values.push(updateData.retryDelaySeconds);
+    }
+
+    if (updateData.disableAfterFailures !== undefined) {
+      updates.push(`disable_after_failures = $${paramCount++}`);
+      values.push(updateData.disableAfterFailures);
+    }
+
     values.push(webhookId);
 
     const result = await pool.query(`
@@ -349,7 +1268,7 @@ class IntegrationsService {
       RETURNING *
     `, values);
 
-    return result.rows[0];
+    return result.rows[0] ? this.formatWebhook(result.rows[0]) : null;
   }
 
   async deleteWebhook(webhookId) {
@@ -360,10 +1279,42 @@ class IntegrationsService {
       [webhookId]
     );
 
-    return result.rows[0];
+    return result.rows[0] ? this.formatWebhook(result.rows[0]) : null;
   }
 
-  async triggerWebhook(eventType, payload) {
+  /**
+   * Replace a webhook's signing secret. The old secret keeps signing alongside
+   * the new one for the grace period so consumers can switch over.
+   */
+  async rotateWebhookSecret(webhookId, graceHours = 24) {
+    const pool = getPool();
+    const secret = generateSecret();
+    const grace = Math.max(parseFloat(graceHours) || 0, 0);
+
+    const result = await pool.query(`
+      UPDATE webhooks
+      SET previous_secret = CASE WHEN $3 > 0 THEN secret ELSE NULL END,
+          previous_secret_expires_at = CASE WHEN $3 > 0 THEN NOW() + INTERVAL '1 hour' * $3 ELSE NULL END,
+          secret = $2,
+          secret_hint = $4,
+          secret_rotated_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [webhookId, JSON.stringify(this.encryptCredentials({ secret }, webhookId)), grace, secretHint(secret)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { ...this.formatWebhook(result.rows[0]), secret };
+  }
+
+  /**
+   * Deliver an event to every active webhook subscribed to its type. With a
+   * locationId, webhooks registered for other locations are skipped.
+   */
+  async triggerWebhook(eventType, payload, { locationId = null } = {}) {
     const pool = getPool();
 
     // Find webhooks listening to this event type
@@ -371,7 +1322,8 @@ class IntegrationsService {
       SELECT * FROM webhooks
       WHERE is_active = true
         AND event_types @> $1::jsonb
-    `, [JSON.stringify([eventType])]);
+        AND ($2::varchar IS NULL OR location_id IS NULL OR location_id = $2)
+    `, [JSON.stringify([eventType]), locationId]);
 
     const deliveryPromises = webhooksResult.rows.map(webhook =>
       this.deliverWebhook(webhook, eventType, payload)
@@ -380,34 +1332,55 @@ class IntegrationsService {
     return await Promise.allSettled(deliveryPromises);
   }
 
-  async deliverWebhook(webhook, eventType, payload) {
+  async deliverWebhook(webhook, eventType, payload, { replayOf = null, replayedBy = null } = {}) {
     const pool = getPool();
     const deliveryId = `delivery-${Date.now()}-${Math.random().toString(36).substring(7)}`;
 
-    try {
-      // Create delivery log
-      await pool.query(`
-        INSERT INTO webhook_deliveries (
-          id, webhook_id, event_type, payload, status, attempts
-        ) VALUES ($1, $2, $3, $4, 'pending', 0)
-      `, [deliveryId, webhook.id, eventType, JSON.stringify(payload)]);
+    // Create delivery log
+    const delivery = await pool.query(`
+      INSERT INTO webhook_deliveries (
+        id, webhook_id, event_type, payload, status, attempts, replay_of, replayed_by
+      ) VALUES ($1, $2, $3, $4, 'pending', 0, $5, $6)
+      RETURNING *
+    `, [deliveryId, webhook.id, eventType, JSON.stringify(payload), replayOf, replayedBy]);
+
+    return this.attemptDelivery(webhook, delivery.rows[0]);
+  }
 
+  /**
+   * Send one attempt of a delivery. On failure the delivery is scheduled for a
+   * retry with exponential backoff until max_retries retries have been made;
+   * a webhook whose attempts keep failing is disabled.
+   */
+  async attemptDelivery(webhook, delivery) {
+    const pool = getPool();
+    const body = JSON.stringify(delivery.payload);
+
+    try {
       // Prepare request
-      const headers = { ...webhook.headers, 'Content-Type': 'application/json' };
+      const headers = {
+        ...webhook.headers,
+        'Content-Type': 'application/json',
+        'X-PattyShack-Event': delivery.event_type,
+        'X-PattyShack-Delivery': delivery.id,
+        ...signatureHeaders(this.activeSecrets(webhook), body)
+      };
 
       if (webhook.auth_type === 'bearer_token') {
-        headers['Authorization'] = `Bearer ${webhook.auth_credentials.token}`;
+        const authCredentials = this.decryptCredentials(webhook.auth_credentials, webhook.id);
+        headers['Authorization'] = `Bearer ${authCredentials.token}`;
       }
 
       const startTime = Date.now();
 
-      // Send webhook
+      // Send the exact bytes that were signed
       const response = await axios({
         method: webhook.method,
         url: webhook.url,
-        data: payload,
+        data: body,
         headers,
-        timeout: 30000
+        timeout: 30000,
+        transformRequest: [data => data]
       });
 
       const responseTime = Date.now() - startTime;
@@ -420,64 +1393,271 @@ class IntegrationsService {
             response_body = $2,
             response_time_ms = $3,
             attempts = attempts + 1,
-            last_attempt_at = NOW()
+            last_attempt_at = NOW(),
+            next_retry_at = NULL,
+            error_message = NULL
         WHERE id = $4
-      `, [response.status, JSON.stringify(response.data).substring(0, 1000), responseTime, deliveryId]);
+      `, [response.status, JSON.stringify(response.data ?? null).substring(0, 1000), responseTime, delivery.id]);
 
       // Update webhook stats
       await pool.query(`
         UPDATE webhooks
         SET success_count = success_count + 1,
+            consecutive_failures = 0,
             last_triggered_at = NOW(),
             last_status = 'success'
         WHERE id = $1
       `, [webhook.id]);
 
-      return { success: true, deliveryId };
+      return { success: true, deliveryId: delivery.id };
 
     } catch (error) {
-      console.error('Webhook delivery error:', error);
+      console.error('Webhook delivery error:', error.message);
+
+      const attempts = (delivery.attempts || 0) + 1;
+      const retry = webhook.retry_on_failure && attempts <= (webhook.max_retries ?? 3);
 
       // Update delivery log with error
       await pool.query(`
         UPDATE webhook_deliveries
-        SET status = 'failed',
-            error_message = $1,
-            attempts = attempts + 1,
+        SET status = $1,
+            http_status_code = $2,
+            response_body = $3,
+            error_message = $4,
+            attempts = $5,
             last_attempt_at = NOW(),
-            next_retry_at = CASE
-              WHEN $2 AND attempts < $3
-              THEN NOW() + INTERVAL '1 second' * $4
-              ELSE NULL
-            END
-        WHERE id = $5
+            next_retry_at = CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + INTERVAL '1 second' * $6 END
+        WHERE id = $7
       `, [
+        retry ? 'retrying' : 'failed',
+        error.response ? error.response.status : null,
+        error.response ? JSON.stringify(error.response.data ?? null).substring(0, 1000) : null,
         error.message,
-        webhook.retry_on_failure,
-        webhook.max_retries,
-        webhook.retry_delay_seconds,
-        deliveryId
+        attempts,
+        retry ? retryDelaySeconds(webhook.retry_delay_seconds, attempts) : null,
+        delivery.id
       ]);
 
       // Update webhook stats
-      await pool.query(`
+      const stats = await pool.query(`
         UPDATE webhooks
         SET failure_count = failure_count + 1,
+            consecutive_failures = COALESCE(consecutive_failures, 0) + 1,
             last_triggered_at = NOW(),
             last_status = 'failed'
         WHERE id = $1
+        RETURNING *
       `, [webhook.id]);
 
-      return { success: false, error: error.message, deliveryId };
+      const updated = stats.rows[0];
+      if (updated && updated.is_active && updated.consecutive_failures >= (updated.disable_after_failures || 20)) {
+        await this.disableWebhook(updated, `Disabled after ${updated.consecutive_failures} consecutive failed deliveries (last error: ${error.message})`);
+      }
+
+      return { success: false, error: error.message, deliveryId: delivery.id, willRetry: retry };
     }
   }
 
+  /**
+   * Secrets that sign outgoing payloads: the current one, plus the previous one
+   * until its rotation grace period ends
+   */
+  activeSecrets(webhook) {
+    const previousActive = webhook.previous_secret &&
+      webhook.previous_secret_expires_at &&
+      new Date(webhook.previous_secret_expires_at) > new Date();
+    return [webhook.secret, previousActive ? webhook.previous_secret : null]
+      .filter(Boolean)
+      .map(stored => this.decryptCredentials(stored, webhook.id).secret)
+      .filter(Boolean);
+  }
+
+  /**
+   * Turn off a failing webhook and tell its owner (or the location manager)
+   */
+  async disableWebhook(webhook, reason) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      UPDATE webhooks
+      SET is_active = false, disabled_at = NOW(), disabled_reason = $2, updated_at = NOW()
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [webhook.id, reason]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    try {
+      let ownerId = webhook.created_by;
+      if (!ownerId && webhook.location_id) {
+        const location = await pool.query('SELECT manager_id FROM locations WHERE id = $1', [webhook.location_id]);
+        ownerId = location.rows[0] ? location.rows[0].manager_id : null;
+      }
+
+      if (ownerId) {
+        const NotificationService = require('./NotificationService');
+        await NotificationService.createNotification({
+          userId: ownerId,
+          locationId: webhook.location_id,
+          notificationType: 'webhook_disabled',
+          title: `Webhook "${webhook.name}" was disabled`,
+          message: `${reason}. Fix the endpoint at ${webhook.url}, then re-enable the webhook and replay any failed deliveries.`,
+          priority: 'high',
+          actionUrl: '/integrations/webhooks',
+          metadata: { webhookId: webhook.id }
+        });
+      }
+    } catch (error) {
+      console.error(`[IntegrationsService] Failed to notify owner of disabled webhook ${webhook.id}:`, error);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Retry deliveries whose next_retry_at has passed. Due rows are claimed by
+   * pushing next_retry_at out a few minutes, so overlapping runs skip them.
+   */
+  async processWebhookRetries(params = {}) {
+    const pool = getPool();
+    const limit = params.limit || 100;
+
+    const claimed = await pool.query(`
+      UPDATE webhook_deliveries d
+      SET next_retry_at = NOW() + INTERVAL '5 minutes'
+      WHERE d.id IN (
+        SELECT wd.id
+        FROM webhook_deliveries wd
+        JOIN webhooks w ON w.id = wd.webhook_id
+        WHERE wd.status = 'retrying'
+          AND wd.next_retry_at <= NOW()
+          AND w.is_active = true
+        ORDER BY wd.next_retry_at
+        LIMIT $1
+        FOR UPDATE OF wd SKIP LOCKED
+      )
+      RETURNING d.*
+    `, [limit]);
+
+    let delivered = 0;
+    let failed = 0;
+    const webhooks = new Map();
+
+    for (const delivery of claimed.rows) {
+      if (!webhooks.has(delivery.webhook_id)) {
+        const webhook = await pool.query('SELECT * FROM webhooks WHERE id = $1', [delivery.webhook_id]);
+        webhooks.set(delivery.webhook_id, webhook.rows[0] || null);
+      }
+
+      // A webhook disabled earlier in this run keeps its remaining retries for later
+      const webhook = webhooks.get(delivery.webhook_id);
+      if (!webhook || !webhook.is_active) continue;
+
+      const result = await this.attemptDelivery(webhook, delivery);
+      if (result.success) {
+        delivered++;
+      } else {
+        failed++;
+        const current = await pool.query('SELECT * FROM webhooks WHERE id = $1', [webhook.id]);
+        webhooks.set(webhook.id, current.rows[0] || null);
+      }
+    }
+
+    return { processed: claimed.rows.length, delivered, failed };
+  }
+
+  async getWebhookDeliveries(webhookId, filters = {}) {
+    const pool = getPool();
+
+    let query = 'SELECT * FROM webhook_deliveries WHERE webhook_id = $1';
+    const params = [webhookId];
+
+    if (filters.status) {
+      params.push(filters.status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    params.push(filters.limit || 50);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Send a past delivery's event and payload again as a new delivery
+   */
+  async replayDelivery(deliveryId, userId = null) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT d.id as delivery_id, d.event_type, d.payload, w.*
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = $1
+    `, [deliveryId]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('Webhook delivery not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const { delivery_id, event_type, payload, ...webhook } = result.rows[0];
+    if (!webhook.is_active) {
+      const error = new Error('Webhook is disabled; re-enable it before replaying deliveries');
+      error.status = 409;
+      throw error;
+    }
+
+    return this.deliverWebhook(webhook, event_type, payload, { replayOf: delivery_id, replayedBy: userId });
+  }
+
+  /**
+   * Webhook row without its signing secrets or endpoint credentials
+   */
+  formatWebhook(row) {
+    const { secret, previous_secret, auth_credentials, ...webhook } = row;
+    return {
+      ...webhook,
+      auth_configured: credentialEncryption.isEncrypted(auth_credentials) ||
+        Boolean(auth_credentials && Object.keys(auth_credentials).length > 0),
+      rotation_in_progress: Boolean(previous_secret && row.previous_secret_expires_at &&
+        new Date(row.previous_secret_expires_at) > new Date())
+    };
+  }
+
   // ===== API KEYS =====
 
   async createApiKey(keyData) {
     const pool = getPool();
     const id = `apikey-${Date.now()}-${Math.random().toString(36).substring(7)}`;
 
+    const ipWhitelist = keyData.ipWhitelist || [];
+    const allowedResources = keyData.allowedResources || [];
+    const allowedLocationIds = keyData.allowedLocationIds || [];
+
+    const permissions = keyData.permissions || [];
+
+    if (![ipWhitelist, allowedResources, allowedLocationIds, permissions].every(Array.isArray)) {
+      const error = new Error('permissions, ipWhitelist, allowedResources and allowedLocationIds must be arrays');
+      error.status = 400;
+      throw error;
+    }
+
+    const invalidIps = invalidAllowlistEntries(ipWhitelist);
+    const unknownResources = allowedResources.filter(resource => !routePermissions[resource]);
+
+    if (invalidIps.length > 0 || unknownResources.length > 0) {
+      const error = new Error(invalidIps.length > 0
+        ? `Invalid IP allowlist entries: ${invalidIps.join(', ')}`
+        : `Unknown resources: ${unknownResources.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
     // Generate API key
     const apiKey = this.generateApiKey();
     const keyHash = this.hashApiKey(apiKey);
@@ -486,9 +1666,11 @@ class IntegrationsService {
     const result = await pool.query(`
       INSERT INTO api_keys (
         id, name, key_hash, key_prefix, location_id, user_id,
-        permissions, rate_limit_per_hour, expires_at, ip_whitelist
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING id, name, key_prefix, created_at
+        permissions, rate_limit_per_hour, expires_at, ip_whitelist,
+        burst_limit_per_minute, allowed_resources, allowed_location_ids
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id, name, key_prefix, location_id, rate_limit_per_hour, burst_limit_per_minute,
+                ip_whitelist, allowed_resources, allowed_location_ids, expires_at, created_at
     `, [
       id,
       keyData.name,
@@ -496,10 +1678,13 @@ class IntegrationsService {
       keyPrefix,
       keyData.locationId || null,
       keyData.userId || null,
-      JSON.stringify(keyData.permissions || []),
+      JSON.stringify(permissions),
       keyData.rateLimitPerHour || 1000,
       keyData.expiresAt || null,
-      JSON.stringify(keyData.ipWhitelist || [])
+      JSON.stringify(ipWhitelist),
+      keyData.burstLimitPerMinute || 60,
+      JSON.stringify(allowedResources),
+      JSON.stringify(allowedLocationIds)
     ]);
 
     // Return the actual key only once (never stored in plain text)
@@ -540,14 +1725,229 @@ class IntegrationsService {
     };
   }
 
+  /**
+   * Count a request against a key's hourly and burst limits. Rejected requests
+   * are taken back out of the count so a client that keeps retrying is not
+   * locked out for longer.
+   */
+  async consumeApiKeyRateLimit(key) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      WITH bucket AS (
+        INSERT INTO api_key_rate_windows (api_key_id, window_start, request_count)
+        VALUES ($1, date_trunc('minute', NOW()), 1)
+        ON CONFLICT (api_key_id, window_start)
+        DO UPDATE SET request_count = api_key_rate_windows.request_count + 1
+        RETURNING window_start, request_count
+      )
+      SELECT
+        bucket.window_start,
+        bucket.request_count AS minute_count,
+        bucket.request_count + COALESCE(SUM(w.request_count), 0) AS hour_count,
+        LEAST(bucket.window_start, MIN(w.window_start)) AS oldest_window_start
+      FROM bucket
+      LEFT JOIN api_key_rate_windows w
+        ON w.api_key_id = $1
+        AND w.window_start < bucket.window_start
+        AND w.window_start > bucket.window_start - ($2 * INTERVAL '1 minute')
+      GROUP BY bucket.window_start, bucket.request_count
+    `, [key.id, HOUR_WINDOWS]);
+
+    const usage = result.rows[0];
+    const decision = rateLimitDecision({
+      hourlyLimit: key.rate_limit_per_hour,
+      burstLimit: key.burst_limit_per_minute
+    }, {
+      windowStart: usage.window_start,
+      oldestWindowStart: usage.oldest_window_start,
+      minuteCount: parseInt(usage.minute_count, 10),
+      hourCount: parseInt(usage.hour_count, 10)
+    });
+
+    if (!decision.allowed) {
+      await pool.query(`
+        UPDATE api_key_rate_windows
+        SET request_count = request_count - 1
+        WHERE api_key_id = $1 AND window_start = $2
+      `, [key.id, usage.window_start]);
+    }
+
+    return decision;
+  }
+
+  /**
+   * Record one request made with a key (called once the response is sent)
+   */
+  async logApiKeyRequest(entry) {
+    const pool = getPool();
+
+    await pool.query(`
+      INSERT INTO api_key_requests (
+        api_key_id, method, path, resource, status_code, rejected_reason, ip_address, response_time_ms
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      entry.apiKeyId,
+      entry.method,
+      String(entry.path).substring(0, 500),
+      entry.resource || null,
+      entry.statusCode,
+      entry.rejectedReason || null,
+      entry.ipAddress || null,
+      entry.responseTimeMs
+    ]);
+  }
+
+  /**
+   * Owner and locations of a key, for checks on who may manage it
+   */
+  async getApiKeyScope(keyId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT id, user_id, location_id, allowed_location_ids FROM api_keys WHERE id = $1',
+      [keyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Usage analytics for a key over the last `days` days: totals, daily counts,
+   * busiest resources, rejections by reason and the current rate limit state
+   */
+  async getApiKeyUsage(keyId, { days = 7 } = {}) {
+    const pool = getPool();
+    const period = Math.min(Math.max(parseInt(days, 10) || 7, 1), config.integrations.apiKeyUsageRetentionDays);
+
+    const keyResult = await pool.query(`
+      SELECT id, name, key_prefix, location_id, is_active, rate_limit_per_hour, burst_limit_per_minute,
+             ip_whitelist, allowed_resources, allowed_location_ids, usage_count, last_used_at,
+             expires_at, revoked_at, created_at
+      FROM api_keys
+      WHERE id = $1
+    `, [keyId]);
+
+    if (keyResult.rows.length === 0) {
+      const error = new Error('API key not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const since = `NOW() - ($2 * INTERVAL '1 day')`;
+
+    const [totals, daily, resources, rejections, windows] = await Promise.all([
+      pool.query(`
+        SELECT
+          COUNT(*) AS requests,
+          COUNT(*) FILTER (WHERE status_code < 400) AS successful,
+          COUNT(*) FILTER (WHERE status_code >= 400 AND status_code < 500) AS client_errors,
+          COUNT(*) FILTER (WHERE status_code >= 500) AS server_errors,
+          COUNT(*) FILTER (WHERE rejected_reason IS NOT NULL) AS rejected,
+          ROUND(AVG(response_time_ms)) AS avg_response_time_ms
+        FROM api_key_requests
+        WHERE api_key_id = $1 AND created_at >= ${since}
+      `, [keyId, period]),
+      pool.query(`
+        SELECT
+          to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS date,
+          COUNT(*) AS requests,
+          COUNT(*) FILTER (WHERE status_code >= 400) AS errors,
+          COUNT(*) FILTER (WHERE rejected_reason IS NOT NULL) AS rejected
+        FROM api_key_requests
+        WHERE api_key_id = $1 AND created_at >= ${since}
+        GROUP BY 1
+        ORDER BY 1
+      `, [keyId, period]),
+      pool.query(`
+        SELECT COALESCE(resource, 'unknown') AS resource, method, COUNT(*) AS requests
+        FROM api_key_requests
+        WHERE api_key_id = $1 AND created_at >= ${since}
+        GROUP BY 1, 2
+        ORDER BY requests DESC
+        LIMIT 20
+      `, [keyId, period]),
+      pool.query(`
+        SELECT rejected_reason AS reason, COUNT(*) AS requests
+        FROM api_key_requests
+        WHERE api_key_id = $1 AND created_at >= ${since} AND rejected_reason IS NOT NULL
+        GROUP BY 1
+        ORDER BY requests DESC
+      `, [keyId, period]),
+      pool.query(`
+        SELECT
+          COALESCE(SUM(request_count) FILTER (WHERE window_start = date_trunc('minute', NOW())), 0) AS current_minute,
+          COALESCE(SUM(request_count), 0) AS current_hour
+        FROM api_key_rate_windows
+        WHERE api_key_id = $1
+          AND window_start > date_trunc('minute', NOW()) - ($2 * INTERVAL '1 minute')
+      `, [keyId, HOUR_WINDOWS])
+    ]);
+
+    const key = keyResult.rows[0];
+    const count = (value) => parseInt(value, 10) || 0;
+    const total = totals.rows[0];
+    const window = windows.rows[0];
+
+    return {
+      key,
+      period_days: period,
+      totals: {
+        requests: count(total.requests),
+        successful: count(total.successful),
+        client_errors: count(total.client_errors),
+        server_errors: count(total.server_errors),
+        rejected: count(total.rejected),
+        avg_response_time_ms: total.avg_response_time_ms === null ? null : count(total.avg_response_time_ms)
+      },
+      daily: daily.rows.map(row => ({
+        date: row.date,
+        requests: count(row.requests),
+        errors: count(row.errors),
+        rejected: count(row.rejected)
+      })),
+      top_resources: resources.rows.map(row => ({
+        resource: row.resource,
+        method: row.method,
+        requests: count(row.requests)
+      })),
+      rejections: rejections.rows.map(row => ({ reason: row.reason, requests: count(row.requests) })),
+      rate_limit: {
+        hourly_limit: key.rate_limit_per_hour,
+        hourly_used: count(window.current_hour),
+        burst_limit: key.burst_limit_per_minute,
+        burst_used: count(window.current_minute)
+      }
+    };
+  }
+
+  /**
+   * Drop rate windows older than the hourly window and request logs past retention
+   */
+  async cleanupApiKeyUsage(params = {}) {
+    const pool = getPool();
+    const retentionDays = params.retentionDays || config.integrations.apiKeyUsageRetentionDays;
+
+    const windows = await pool.query(`
+      DELETE FROM api_key_rate_windows
+      WHERE window_start < date_trunc('minute', NOW()) - ($1 * INTERVAL '1 minute')
+    `, [HOUR_WINDOWS]);
+
+    const requests = await pool.query(`
+      DELETE FROM api_key_requests
+      WHERE created_at < NOW() - ($1 * INTERVAL '1 day')
+    `, [retentionDays]);
+
+    return { rate_windows_deleted: windows.rowCount, requests_deleted: requests.rowCount };
+  }
+
   async revokeApiKey(keyId) {
     const pool = getPool();
 
     const result = await pool.query(`
       UPDATE api_keys
-      SET is_active = false
+      SET is_active = false,
+          revoked_at = COALESCE(revoked_at, NOW())
       WHERE id = $1
-      RETURNING *
+      RETURNING id, name, key_prefix, location_id, is_active, revoked_at
     `, [keyId]);
 
     return result.rows[0];
@@ -555,14 +1955,112 @@ class IntegrationsService {
 
   // ===== HELPER METHODS =====
 
-  encryptCredentials(credentials) {
-    // Placeholder - implement proper encryption
-    return JSON.stringify(credentials);
+  /**
+   * Master keys for stored credentials, parsed from configuration on first use
+   */
+  getCredentialKeyring() {
+    if (!this.credentialKeyring) {
+      this.credentialKeyring = credentialEncryption.parseKeyring(
+        config.integrations.credentialMasterKeys,
+        config.integrations.credentialKeyVersion
+      );
+    }
+    return this.credentialKeyring;
+  }
+
+  /**
+   * Envelope-encrypt credentials for storage; context is the owning record's id
+   */
+  encryptCredentials(credentials, context) {
+    return credentialEncryption.encryptCredentials(credentials, this.getCredentialKeyring(), context);
+  }
+
+  decryptCredentials(encryptedCredentials, context) {
+    return credentialEncryption.decryptCredentials(encryptedCredentials, this.getCredentialKeyring(), context);
+  }
+
+  /**
+   * Credentials for a location integration row
+   */
+  getIntegrationCredentials(integration) {
+    return this.decryptCredentials(integration.credentials, integration.id);
   }
 
-  decryptCredentials(encryptedCredentials) {
-    // Placeholder - implement proper decryption
-    return JSON.parse(encryptedCredentials);
+  /**
+   * Move stored credentials onto the current master key: values under an older
+   * key version have their data keys re-wrapped, and values stored before
+   * encryption are encrypted. Runs in batches so it can follow a key rotation.
+   */
+  async processCredentialReencryption(params = {}) {
+    const pool = getPool();
+    const keyring = this.getCredentialKeyring();
+    const batchSize = params.batchSize || config.integrations.reencryptBatchSize;
+    const targets = [
+      { table: 'location_integrations', column: 'credentials', entityType: 'location_integration' },
+      { table: 'webhooks', column: 'auth_credentials', entityType: 'webhook' },
+      { table: 'webhooks', column: 'secret', entityType: 'webhook' },
+      { table: 'webhooks', column: 'previous_secret', entityType: 'webhook' }
+    ];
+    const summary = { currentKeyVersion: keyring.currentVersion };
+
+    for (const { table, column, entityType } of targets) {
+      const counts = { reencrypted: 0, failed: 0 };
+      summary[`${table}.${column}`] = counts;
+
+      for (;;) {
+        const client = await pool.connect();
+        let rows;
+
+        try {
+          await client.query('BEGIN');
+
+          const result = await client.query(`
+            SELECT id, location_id, ${column} AS stored
+            FROM ${table}
+            WHERE ${column} IS NOT NULL
+              AND ${column} <> '{}'::jsonb
+              AND (${column}->>'key_version') IS DISTINCT FROM $1
+            ORDER BY id
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+          `, [String(keyring.currentVersion), batchSize]);
+          rows = result.rows;
+
+          for (const row of rows) {
+            try {
+              const stored = credentialEncryption.reencryptCredentials(row.stored, keyring, row.id);
+              await client.query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [JSON.stringify(stored), row.id]);
+              counts.reencrypted++;
+            } catch (error) {
+              counts.failed++;
+              console.error(`[Integrations] Could not re-encrypt ${column} for ${table} ${row.id}:`, error.message);
+            }
+          }
+
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+
+        // Rows that failed stay behind the current version; stop rather than loop over them
+        if (rows.length < batchSize || counts.failed > 0) break;
+      }
+
+      if (counts.reencrypted > 0) {
+        await AuditLogService.log({
+          entityType,
+          entityId: `reencryption-${Date.now()}`,
+          action: 'credentials_reencrypted',
+          metadata: { table, column, keyVersion: keyring.currentVersion, ...counts },
+          severity: 'info'
+        });
+      }
+    }
+
+    return summary;
   }
 
   generateApiKey() {
@@ -5,6 +5,7 @@
 
 const { getPool } = require('../database/pool');
 const NotificationService = require('./NotificationService');
+const EventBus = require('./EventBus');
 
 class InventoryService {
   constructor() {
@@ -444,6 +445,18 @@ class InventoryService {
   }
 
   async notifyLowStock(item) {
+    EventBus.publish('inventory.low_stock', {
+      itemId: item.id,
+      itemName: item.name,
+      sku: item.sku,
+      locationId: item.locationId,
+      unit: item.unit,
+      currentQuantity: item.currentQuantity,
+      reorderPoint: item.reorderPoint,
+      parLevel: item.parLevel,
+      vendorId: item.vendorId
+    });
+
     try {
       await NotificationService.sendInventoryLowStockAlert(item);
     } catch (error) {
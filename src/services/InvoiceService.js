@@ -4,6 +4,8 @@
  */
 
 const { getPool } = require('../database/pool');
+const StorageService = require('./StorageService');
+const EventBus = require('./EventBus');
 
 class InvoiceService {
   constructor() {
@@ -266,7 +268,20 @@ class InvoiceService {
     `, [userId || 'system', updatedNotes, String(id)]);
 
     if (result.rows.length === 0) return null;
-    return this.formatInvoice(result.rows[0]);
+
+    const invoice = this.formatInvoice(result.rows[0]);
+    EventBus.publish('invoice.approved', {
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      vendorId: invoice.vendorId,
+      locationId: invoice.locationId,
+      total: invoice.total,
+      dueDate: invoice.dueDate,
+      approvedBy: invoice.approvedBy,
+      approvedAt: invoice.approvedAt
+    }, { actorId: userId });
+
+    return invoice;
   }
 
   async reconcileInvoice(id, data = {}) {
@@ -331,6 +346,63 @@ class InvoiceService {
     return this.formatInvoice(result.rows[0]);
   }
 
+  /**
+   * Store a scanned invoice (PDF or image) and list it in the invoice's attachments
+   */
+  async addScan(id, file, { uploadedBy = null } = {}) {
+    const pool = getPool();
+
+    const currentResult = await pool.query('SELECT location_id FROM invoices WHERE id = $1', [String(id)]);
+    if (currentResult.rows.length === 0) {
+      return null;
+    }
+
+    const scan = await StorageService.storeFile(file, {
+      kind: 'invoice_scan',
+      ownerId: String(id),
+      locationId: currentResult.rows[0].location_id,
+      uploadedBy
+    });
+
+    const attachment = {
+      type: 'scan',
+      fileId: scan.id,
+      url: scan.reference,
+      filename: scan.filename,
+      contentType: scan.contentType,
+      size: scan.size,
+      uploadedBy,
+      uploadedAt: new Date().toISOString()
+    };
+
+    const result = await pool.query(`
+      UPDATE invoices
+      SET attachments = COALESCE(attachments, '[]'::jsonb) || jsonb_build_array($1::jsonb),
+          updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [JSON.stringify(attachment), String(id)]);
+
+    return {
+      invoice: this.formatInvoice(result.rows[0]),
+      scan: await StorageService.getSignedFile(await StorageService.getFile(scan.id))
+    };
+  }
+
+  /**
+   * Stored scans for an invoice, with signed download and thumbnail URLs
+   */
+  async getScans(id) {
+    const pool = getPool();
+    const result = await pool.query('SELECT id FROM invoices WHERE id = $1', [String(id)]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const files = await StorageService.getFilesForOwner('invoice_scan', String(id));
+    return Promise.all(files.map(file => StorageService.getSignedFile(file)));
+  }
+
   async recordOCRResult(id, data = {}) {
     const pool = getPool();
 
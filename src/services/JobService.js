@@ -7,6 +7,10 @@
 
 const pool = require('../database/pool').getPool();
 const { v4: uuidv4 } = require('uuid');
+const cron = require('../utils/cron');
+const NotificationDeliveryService = require('./NotificationDeliveryService');
+
+const MISSED_RUN_POLICIES = ['run_once', 'catch_up', 'skip'];
 
 class JobService {
   constructor() {
@@ -53,9 +57,73 @@ class JobService {
 
     // Notification processing handler
     this.registerHandler('processPendingNotifications', async (params) => {
-      // TODO: Implement actual notification processing
-      console.log('[JobService] Processing pending notifications');
-      return { processed: 0 };
+      return NotificationDeliveryService.processPendingNotifications(params.limit);
+    });
+
+    // Marketing campaign batches (throttled sending and scheduled starts)
+    this.registerHandler('processCampaignBatches', async (params) => {
+      const MarketingService = require('./MarketingService');
+      return MarketingService.processCampaignBatches(params);
+    });
+
+    // Dynamic customer segment membership
+    this.registerHandler('refreshDynamicSegments', async (params) => {
+      const MarketingService = require('./MarketingService');
+      return MarketingService.refreshDynamicSegments(params);
+    });
+
+    // Marketing workflows (scheduled triggers and due steps)
+    this.registerHandler('processMarketingWorkflows', async (params) => {
+      const MarketingWorkflowService = require('./MarketingWorkflowService');
+      return MarketingWorkflowService.processMarketingWorkflows(params);
+    });
+
+    // Bulk data imports
+    this.registerHandler('processDataImport', async (params, jobId) => {
+      const DataImportService = require('./DataImportService');
+      return DataImportService.processImport(params.importId, jobId);
+    });
+
+    // Move legacy base64 uploads into object storage
+    this.registerHandler('migrateInlineFiles', async (params) => {
+      const StorageService = require('./StorageService');
+      return StorageService.migrateInlineFiles(params);
+    });
+
+    // Certificate expiry reminders
+    this.registerHandler('processCertificationReminders', async (params) => {
+      const TrainingService = require('./TrainingService');
+      return TrainingService.processCertificationReminders(params);
+    });
+
+    // Compliance document expiry reminders
+    this.registerHandler('processDocumentExpiryReminders', async (params) => {
+      const ComplianceService = require('./ComplianceService');
+      return ComplianceService.processDocumentExpiryReminders(params);
+    });
+
+    // Webhook delivery retries
+    this.registerHandler('processWebhookRetries', async (params) => {
+      const IntegrationsService = require('./IntegrationsService');
+      return IntegrationsService.processWebhookRetries(params);
+    });
+
+    // Integration credentials onto the current master key
+    this.registerHandler('processCredentialReencryption', async (params) => {
+      const IntegrationsService = require('./IntegrationsService');
+      return IntegrationsService.processCredentialReencryption(params);
+    });
+
+    // API key rate windows and request log retention
+    this.registerHandler('cleanupApiKeyUsage', async (params) => {
+      const IntegrationsService = require('./IntegrationsService');
+      return IntegrationsService.cleanupApiKeyUsage(params);
+    });
+
+    // OAuth access token refresh ahead of expiry
+    this.registerHandler('refreshOAuthTokens', async (params) => {
+      const IntegrationsService = require('./IntegrationsService');
+      return IntegrationsService.refreshOAuthTokens(params);
     });
   }
 
@@ -276,9 +344,11 @@ class JobService {
     try {
       // Get job definitions that are ready to run
       const result = await pool.query(
-        `SELECT * FROM job_definitions
-         WHERE is_enabled = true
-           AND (next_run_at IS NULL OR next_run_at <= CURRENT_TIMESTAMP)`
+        `SELECT jd.*, COALESCE(jd.timezone, l.timezone, 'UTC') as effective_timezone
+         FROM job_definitions jd
+         LEFT JOIN locations l ON jd.location_id = l.id
+         WHERE jd.is_enabled = true
+           AND (jd.next_run_at IS NULL OR jd.next_run_at <= CURRENT_TIMESTAMP)`
       );
 
       for (const jobDef of result.rows) {
@@ -289,6 +359,57 @@ class JobService {
     }
   }
 
+  /**
+   * Work out which runs of a definition are due and when it runs next.
+   *
+   * Interval definitions run immediately and then every N minutes. Cron
+   * definitions are first given a next_run_at without running; after that,
+   * every scheduled time between next_run_at and now is due and the
+   * definition's missed_run_policy decides which of them actually run.
+   */
+  planScheduledRuns(jobDef, now = new Date()) {
+    if (jobDef.schedule_interval_minutes) {
+      return {
+        runs: [now],
+        skipped: 0,
+        nextRunAt: new Date(now.getTime() + jobDef.schedule_interval_minutes * 60000)
+      };
+    }
+
+    const timezone = jobDef.effective_timezone || jobDef.timezone || 'UTC';
+    const parsed = cron.parseExpression(jobDef.schedule_cron);
+    const nextRunAt = cron.getNextRun(parsed, { after: now, timezone });
+
+    if (!jobDef.next_run_at) {
+      return { runs: [], skipped: 0, nextRunAt };
+    }
+
+    const firstDue = new Date(jobDef.next_run_at);
+    const keep = jobDef.missed_run_policy === 'catch_up' ? (jobDef.max_catch_up_runs || 10) : 1;
+    const graceMs = (jobDef.misfire_grace_seconds ?? 300) * 1000;
+
+    // Only the latest runs can matter, so search back from now; after a long
+    // outage the window may hold far more runs than are ever kept
+    const latest = cron.getLatestRunsBetween(parsed, firstDue, now, { timezone, limit: keep });
+    const due = latest.length < keep ? [firstDue, ...latest] : latest;
+    // Missed runs are only counted for logging, up to the search cap
+    const missed = 1 + cron.getRunsBetween(parsed, firstDue, now, { timezone }).length;
+
+    let runs;
+    switch (jobDef.missed_run_policy) {
+      case 'catch_up':
+        runs = due.slice(-keep);
+        break;
+      case 'skip':
+        runs = due.slice(-1).filter(run => now.getTime() - run.getTime() <= graceMs);
+        break;
+      default:
+        runs = due.slice(-1);
+    }
+
+    return { runs, skipped: Math.max(0, missed - runs.length), nextRunAt };
+  }
+
   /**
    * Schedule a job definition
    */
@@ -297,38 +418,39 @@ class JobService {
     try {
       await client.query('BEGIN');
 
-      // Enqueue the job
-      const jobId = await this.enqueueJob({
-        jobType: jobDef.job_type,
-        handlerFunction: jobDef.handler_function,
-        parameters: jobDef.parameters,
-        queueName: null, // Will use queue from definition
-        priority: 5,
-        jobDefinitionId: jobDef.id
-      });
-
-      // Calculate next run time
-      let nextRunAt;
-      if (jobDef.schedule_interval_minutes) {
-        nextRunAt = new Date(Date.now() + jobDef.schedule_interval_minutes * 60000);
-      } else if (jobDef.schedule_cron) {
-        // TODO: Implement cron parser for accurate next run calculation
-        // For now, assume daily if cron exists
-        nextRunAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const { runs, skipped, nextRunAt } = this.planScheduledRuns(jobDef);
+
+      // Enqueue one job per due run
+      const jobIds = [];
+      for (const scheduledFor of runs) {
+        const jobId = await this.enqueueJob({
+          jobType: jobDef.job_type,
+          handlerFunction: jobDef.handler_function,
+          parameters: jobDef.schedule_cron
+            ? { ...(jobDef.parameters || {}), scheduled_for: scheduledFor.toISOString() }
+            : jobDef.parameters,
+          queueName: null, // Will use queue from definition
+          priority: 5,
+          jobDefinitionId: jobDef.id
+        });
+        jobIds.push(jobId);
       }
 
       // Update job definition
       await client.query(
         `UPDATE job_definitions
-         SET last_run_at = CURRENT_TIMESTAMP,
+         SET last_run_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE last_run_at END,
              next_run_at = $1
          WHERE id = $2`,
-        [nextRunAt, jobDef.id]
+        [nextRunAt, jobDef.id, jobIds.length > 0]
       );
 
       await client.query('COMMIT');
 
-      console.log(`[JobService] Scheduled job definition ${jobDef.name} -> job ${jobId}`);
+      if (skipped > 0) {
+        console.log(`[JobService] Skipped ${skipped} missed run(s) of ${jobDef.name} (policy: ${jobDef.missed_run_policy || 'run_once'})`);
+      }
+      console.log(`[JobService] Scheduled job definition ${jobDef.name} -> jobs [${jobIds.join(', ')}], next run ${nextRunAt ? nextRunAt.toISOString() : 'never'}`);
     } catch (error) {
       await client.query('ROLLBACK');
       console.error(`[JobService] Error scheduling job definition ${jobDef.name}:`, error);
@@ -337,6 +459,143 @@ class JobService {
     }
   }
 
+  // ============================================
+  // JOB DEFINITIONS
+  // ============================================
+
+  /**
+   * Validate schedule settings for a job definition
+   */
+  validateSchedule({ scheduleCron, scheduleIntervalMinutes, timezone, missedRunPolicy }) {
+    if (!scheduleCron && !scheduleIntervalMinutes) {
+      throw new Error('Either scheduleCron or scheduleIntervalMinutes is required');
+    }
+    if (scheduleCron) {
+      cron.parseExpression(scheduleCron);
+    }
+    if (timezone && !cron.isValidTimezone(timezone)) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+    if (missedRunPolicy && !MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+      throw new Error(`missedRunPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create a recurring job definition
+   */
+  async createJobDefinition(definitionData, userId = null) {
+    this.validateSchedule(definitionData);
+
+    const {
+      name, description, jobType, handlerFunction, scheduleCron, scheduleIntervalMinutes,
+      parameters, locationId, timezone, missedRunPolicy, maxCatchUpRuns, misfireGraceSeconds
+    } = definitionData;
+
+    const result = await pool.query(
+      `INSERT INTO job_definitions
+       (name, description, job_type, handler_function, schedule_cron, schedule_interval_minutes,
+        parameters, location_id, timezone, missed_run_policy, max_catch_up_runs,
+        misfire_grace_seconds, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [name, description, jobType, handlerFunction, scheduleCron || null,
+       scheduleIntervalMinutes || null, JSON.stringify(parameters || {}), locationId || null,
+       timezone || null, missedRunPolicy || 'run_once', maxCatchUpRuns || 10,
+       misfireGraceSeconds ?? 300, userId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get job definitions with their effective timezone
+   */
+  async getJobDefinitions(filters = {}) {
+    let query = `SELECT jd.*, COALESCE(jd.timezone, l.timezone, 'UTC') as effective_timezone
+                 FROM job_definitions jd
+                 LEFT JOIN locations l ON jd.location_id = l.id
+                 WHERE 1=1`;
+    const params = [];
+
+    if (filters.locationId) {
+      params.push(filters.locationId);
+      query += ` AND jd.location_id = $${params.length}`;
+    }
+    if (filters.isEnabled !== undefined) {
+      params.push(filters.isEnabled);
+      query += ` AND jd.is_enabled = $${params.length}`;
+    }
+
+    query += ' ORDER BY jd.name';
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a job definition with its effective timezone
+   */
+  async getJobDefinition(definitionId) {
+    const result = await pool.query(
+      `SELECT jd.*, COALESCE(jd.timezone, l.timezone, 'UTC') as effective_timezone
+       FROM job_definitions jd
+       LEFT JOIN locations l ON jd.location_id = l.id
+       WHERE jd.id = $1`,
+      [definitionId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Preview upcoming run times for a schedule
+   */
+  previewSchedule({ scheduleCron, scheduleIntervalMinutes, timezone, count = 5, from }) {
+    this.validateSchedule({ scheduleCron, scheduleIntervalMinutes, timezone });
+
+    const after = from ? new Date(from) : new Date();
+    if (Number.isNaN(after.getTime())) {
+      throw new Error('Invalid from date');
+    }
+
+    const runCount = Math.min(Math.max(parseInt(count, 10) || 5, 1), 100);
+
+    if (scheduleCron) {
+      return cron.getNextRuns(scheduleCron, runCount, { after, timezone: timezone || 'UTC' });
+    }
+
+    return Array.from({ length: runCount }, (_, i) =>
+      new Date(after.getTime() + (i + 1) * scheduleIntervalMinutes * 60000));
+  }
+
+  /**
+   * Preview upcoming run times for an existing job definition
+   */
+  async getDefinitionNextRuns(definitionId, count = 5) {
+    const jobDef = await this.getJobDefinition(definitionId);
+    if (!jobDef) {
+      return null;
+    }
+
+    const runs = this.previewSchedule({
+      scheduleCron: jobDef.schedule_cron,
+      scheduleIntervalMinutes: jobDef.schedule_interval_minutes,
+      timezone: jobDef.effective_timezone,
+      count
+    });
+
+    return {
+      definition_id: jobDef.id,
+      name: jobDef.name,
+      schedule_cron: jobDef.schedule_cron,
+      schedule_interval_minutes: jobDef.schedule_interval_minutes,
+      timezone: jobDef.effective_timezone,
+      missed_run_policy: jobDef.missed_run_policy,
+      next_runs: runs
+    };
+  }
+
   /**
    * Get job status
    */
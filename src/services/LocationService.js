@@ -51,6 +51,12 @@ class LocationService {
       params.push(filters.managerId);
     }
 
+    // Restrict to the caller's accessible locations (null means all)
+    if (filters.ids) {
+      query += ` AND id = ANY($${paramIndex++})`;
+      params.push(filters.ids);
+    }
+
     query += ' ORDER BY name ASC';
 
     const result = await pool.query(query, params);
@@ -71,10 +77,14 @@ class LocationService {
   }
 
   /**
-   * Create new location
+   * Create new location. Locations inside another agreement's exclusive franchise
+   * territory are refused (409) unless `allowEncroachment` is set, in which case
+   * the encroachment is recorded as a territory conflict.
    */
   async createLocation(locationData) {
     const pool = getPool();
+    // Required lazily: FranchiseService takes its pool at load time
+    const FranchiseService = require('./FranchiseService');
 
     const location = {
       id: `location-${Date.now()}`,
@@ -83,6 +93,7 @@ class LocationService {
       address: locationData.address || null,
       city: locationData.city || null,
       state: locationData.state || null,
+      county: locationData.county || null,
       zip: locationData.zip || null,
       phone: locationData.phone || null,
       type: locationData.type || 'corporate',
@@ -93,24 +104,40 @@ class LocationService {
       timezone: locationData.timezone || 'America/New_York',
       active: locationData.active !== undefined ? locationData.active : true,
       opening_date: locationData.openingDate || null,
-      metadata: JSON.stringify(locationData.metadata || {})
+      metadata: JSON.stringify(locationData.metadata || {}),
+      latitude: locationData.latitude ?? null,
+      longitude: locationData.longitude ?? null,
+      franchise_agreement_id: locationData.franchiseAgreementId || null
     };
 
+    const encroachments = await FranchiseService.findEncroachments(location);
+    if (encroachments.length > 0 && !locationData.allowEncroachment) {
+      const error = new Error('Location falls inside an exclusive territory held by another franchise agreement');
+      error.status = 409;
+      error.conflicts = encroachments;
+      throw error;
+    }
+
     const result = await pool.query(`
       INSERT INTO locations (
         id, name, code, address, city, state, zip, phone, type,
-        brand_id, district_id, region_id, manager_id, timezone, active, opening_date, metadata
+        brand_id, district_id, region_id, manager_id, timezone, active, opening_date, metadata,
+        latitude, longitude, franchise_agreement_id, is_franchised, county
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
       RETURNING *
     `, [
       location.id, location.name, location.code, location.address, location.city,
       location.state, location.zip, location.phone, location.type, location.brand_id,
       location.district_id, location.region_id, location.manager_id, location.timezone,
-      location.active, location.opening_date, location.metadata
+      location.active, location.opening_date, location.metadata,
+      location.latitude, location.longitude, location.franchise_agreement_id,
+      Boolean(location.franchise_agreement_id), location.county
     ]);
 
-    return this.formatLocation(result.rows[0]);
+    const territoryConflicts = await FranchiseService.recordEncroachments(location.id, encroachments);
+
+    return { ...this.formatLocation(result.rows[0]), territoryConflicts };
   }
 
   /**
@@ -148,6 +175,11 @@ class LocationService {
       params.push(updates.state);
     }
 
+    if (updates.county !== undefined) {
+      setClauses.push(`county = $${paramIndex++}`);
+      params.push(updates.county);
+    }
+
     if (updates.zip !== undefined) {
       setClauses.push(`zip = $${paramIndex++}`);
       params.push(updates.zip);
@@ -224,9 +256,9 @@ class LocationService {
 
     const result = await pool.query(`
       SELECT
-        DISTINCT brand_id,
-        DISTINCT region_id,
-        DISTINCT district_id,
+        brand_id,
+        region_id,
+        district_id,
         COUNT(*) as location_count
       FROM locations
       WHERE active = true
@@ -275,6 +307,40 @@ class LocationService {
     return result.rows.map(row => this.formatLocation(row));
   }
 
+  /**
+   * Get IDs of the locations a user can see.
+   * Corporate users see everything (returns null); regional and district
+   * users see their home location's region or district; everyone else sees
+   * their home location. Locations from explicit role assignments are added.
+   */
+  async getAccessibleLocationIds(user) {
+    if (!user) return [];
+    if (user.role === 'corporate') return null;
+
+    const pool = getPool();
+    const locationIds = new Set();
+
+    const home = user.locationId ? await this.getLocationById(user.locationId) : null;
+    if (home) {
+      if (user.role === 'regional' && home.regionId) {
+        const result = await pool.query('SELECT id FROM locations WHERE region_id = $1', [home.regionId]);
+        result.rows.forEach(row => locationIds.add(row.id));
+      } else if (user.role === 'district' && home.districtId) {
+        const result = await pool.query('SELECT id FROM locations WHERE district_id = $1', [home.districtId]);
+        result.rows.forEach(row => locationIds.add(row.id));
+      }
+      locationIds.add(home.id);
+    }
+
+    const assigned = await pool.query(
+      'SELECT DISTINCT location_id FROM user_roles WHERE user_id = $1 AND location_id IS NOT NULL',
+      [user.id]
+    );
+    assigned.rows.forEach(row => locationIds.add(row.location_id));
+
+    return [...locationIds];
+  }
+
   /**
    * Get location scorecard with metrics
    */
@@ -457,6 +523,7 @@ class LocationService {
       address: row.address,
       city: row.city,
       state: row.state,
+      county: row.county || null,
       zip: row.zip,
       phone: row.phone,
       type: row.type,
@@ -468,6 +535,9 @@ class LocationService {
       active: row.active,
       openingDate: row.opening_date,
       metadata: row.metadata || {},
+      latitude: row.latitude !== null && row.latitude !== undefined ? Number(row.latitude) : null,
+      longitude: row.longitude !== null && row.longitude !== undefined ? Number(row.longitude) : null,
+      franchiseAgreementId: row.franchise_agreement_id || null,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     };
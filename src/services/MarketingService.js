@@ -5,19 +5,60 @@
  * Handles campaigns, segmentation, workflows, and promotions
  */
 
-const { pool } = require('../database/pool');
+const pool = require('../database/pool').getPool();
+const config = require('../config/app');
+const NotificationDeliveryService = require('./NotificationDeliveryService');
+const {
+  renderMergeFields,
+  rewriteLinks,
+  appendTrackingPixel,
+  signTrackingValue,
+  verifyTrackingValue
+} = require('../utils/campaignContent');
+const { compileSegmentRules } = require('../utils/segmentRules');
+
+const SENDABLE_STATUSES = ['draft', 'scheduled', 'paused'];
+
+// Forward-only status order for campaign messages; bounced/failed are terminal
+const STATUS_PROGRESSION = ['pending', 'sending', 'queued', 'sent', 'delivered', 'opened', 'clicked'];
+
+// Delivery/engagement events: timestamp column, campaign counter and resulting status
+const MESSAGE_EVENTS = {
+  sent: { column: 'sent_at', counter: 'total_sent', status: 'sent' },
+  delivered: { column: 'delivered_at', counter: 'total_delivered', status: 'delivered' },
+  opened: { column: 'opened_at', counter: 'total_opened', status: 'opened', implies: 'delivered' },
+  clicked: { column: 'clicked_at', counter: 'total_clicked', status: 'clicked', implies: 'opened' },
+  bounced: { column: 'bounced_at', counter: 'total_bounced', status: 'bounced' },
+  complained: {},
+  failed: {}
+};
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
 
 class MarketingService {
+  constructor() {
+    NotificationDeliveryService.addDeliveryListener((eventType, details) => this.handleDeliveryEvent(eventType, details));
+  }
+
   // ============================================
   // CUSTOMER SEGMENTATION
   // ============================================
 
   async createSegment(segmentData, userId) {
+    const isDynamic = segmentData.segment_type === 'dynamic';
+    if (isDynamic) {
+      this.compileSegmentCriteria(segmentData.criteria);
+    }
+
     const result = await pool.query(
       `INSERT INTO customer_segments (
         segment_name, description, location_id, segment_type,
-        criteria, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6)
+        criteria, created_by, refresh_interval_minutes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *`,
       [
         segmentData.segment_name,
@@ -25,7 +66,8 @@ class MarketingService {
         segmentData.location_id,
         segmentData.segment_type || 'static',
         JSON.stringify(segmentData.criteria),
-        userId
+        userId,
+        segmentData.refresh_interval_minutes || 60
       ]
     );
 
@@ -36,10 +78,154 @@ class MarketingService {
       await this.addCustomersToSegment(segment.id, segmentData.customer_ids);
     }
 
+    if (isDynamic) {
+      await this.refreshSegment(segment.id);
+      return this.getSegmentById(segment.id);
+    }
+
     return segment;
   }
 
+  async getSegmentById(segmentId) {
+    const result = await pool.query('SELECT * FROM customer_segments WHERE id = $1', [segmentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Compile dynamic segment rules, reporting invalid rules as a 400
+   */
+  compileSegmentCriteria(criteria, values = []) {
+    try {
+      return compileSegmentRules(criteria, values);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+  }
+
+  /**
+   * Count the customers matching rules without saving a segment
+   */
+  async previewSegment(criteria) {
+    const { sql, values } = this.compileSegmentCriteria(criteria);
+
+    const counts = await pool.query(
+      `SELECT
+        COUNT(*)::INTEGER as customer_count,
+        COUNT(*) FILTER (WHERE c.marketing_opt_in = TRUE AND c.account_status = 'active')::INTEGER as reachable_count
+      FROM customer_accounts c
+      WHERE ${sql}`,
+      values
+    );
+
+    values.push(config.marketing.segmentPreviewSampleSize);
+    const sample = await pool.query(
+      `SELECT c.id, c.first_name, c.last_name, c.email, c.loyalty_points, c.total_orders, c.total_spent
+      FROM customer_accounts c
+      WHERE ${sql}
+      ORDER BY c.total_spent DESC NULLS LAST
+      LIMIT $${values.length}`,
+      values
+    );
+
+    return { ...counts.rows[0], sample: sample.rows };
+  }
+
+  /**
+   * Recompute a dynamic segment's members from its rules
+   */
+  async refreshSegment(segmentId) {
+    const segment = await this.getSegmentById(segmentId);
+    if (!segment) {
+      throw createError('Segment not found', 404);
+    }
+    if (segment.segment_type !== 'dynamic') {
+      throw createError('Only dynamic segments can be refreshed', 400);
+    }
+
+    // $1 is the segment id; rule parameters follow
+    const { sql, values } = this.compileSegmentCriteria(segment.criteria, [segmentId]);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const removed = await client.query(
+        `DELETE FROM customer_segment_members m
+         WHERE m.segment_id = $1
+           AND m.customer_id NOT IN (SELECT c.id FROM customer_accounts c WHERE ${sql})`,
+        values
+      );
+
+      const added = await client.query(
+        `INSERT INTO customer_segment_members (segment_id, customer_id)
+         SELECT $1, c.id FROM customer_accounts c WHERE ${sql}
+         ON CONFLICT DO NOTHING`,
+        values
+      );
+
+      const updated = await client.query(
+        `UPDATE customer_segments
+         SET customer_count = (SELECT COUNT(*) FROM customer_segment_members WHERE segment_id = $1),
+             last_refreshed_at = NOW(), last_refresh_error = NULL, updated_at = NOW()
+         WHERE id = $1
+         RETURNING customer_count`,
+        [segmentId]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        segment_id: segmentId,
+        added: added.rowCount,
+        removed: removed.rowCount,
+        customer_count: updated.rows[0].customer_count
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Job handler: refresh every active dynamic segment whose interval has elapsed
+   */
+  async refreshDynamicSegments(params = {}) {
+    const due = await pool.query(
+      `SELECT id FROM customer_segments
+       WHERE segment_type = 'dynamic' AND is_active = TRUE
+         AND (last_refreshed_at IS NULL
+              OR last_refreshed_at <= NOW() - make_interval(mins => COALESCE(refresh_interval_minutes, 60)))
+       ORDER BY last_refreshed_at ASC NULLS FIRST
+       LIMIT $1`,
+      [params.limit || 50]
+    );
+
+    const summary = { refreshed: 0, failed: 0 };
+    for (const { id } of due.rows) {
+      try {
+        await this.refreshSegment(id);
+        summary.refreshed++;
+      } catch (error) {
+        console.error(`[Marketing] Failed to refresh segment ${id}:`, error.message);
+        await pool.query(
+          `UPDATE customer_segments SET last_refreshed_at = NOW(), last_refresh_error = $1 WHERE id = $2`,
+          [error.message, id]
+        );
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
   async addCustomersToSegment(segmentId, customerIds) {
+    const segment = await this.getSegmentById(segmentId);
+    if (segment && segment.segment_type === 'dynamic') {
+      throw createError('Members of a dynamic segment come from its rules', 400);
+    }
+
     const values = customerIds.map(customerId => `('${segmentId}', '${customerId}')`).join(',');
     await pool.query(
       `INSERT INTO customer_segment_members (segment_id, customer_id)
@@ -78,8 +264,9 @@ class MarketingService {
       `INSERT INTO marketing_campaigns (
         campaign_name, campaign_type, campaign_objective, location_id,
         segment_id, subject_line, preview_text, email_template_id,
-        sms_message, scheduled_send_time, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        sms_message, scheduled_send_time, created_by, send_from,
+        send_batch_size, send_batch_interval_minutes, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       RETURNING *`,
       [
         campaignData.campaign_name,
@@ -92,7 +279,12 @@ class MarketingService {
         campaignData.email_template_id,
         campaignData.sms_message,
         campaignData.scheduled_send_time,
-        userId
+        userId,
+        campaignData.send_from,
+        campaignData.send_batch_size,
+        campaignData.send_batch_interval_minutes,
+        // Scheduled campaigns are started by the processCampaignBatches job
+        campaignData.scheduled_send_time ? 'scheduled' : 'draft'
       ]
     );
 
@@ -137,42 +329,549 @@ class MarketingService {
     return result.rows;
   }
 
+  /**
+   * Start delivering a campaign: create a message per segment member, suppress
+   * unsubscribed/opted-out customers and hand batching to the job queue
+   */
   async sendCampaign(campaignId) {
     const campaign = await this.getCampaignById(campaignId);
     if (!campaign) {
-      throw new Error('Campaign not found');
+      throw createError('Campaign not found', 404);
+    }
+
+    if (!SENDABLE_STATUSES.includes(campaign.status)) {
+      throw createError(`Campaign cannot be sent while ${campaign.status}`, 400);
+    }
+
+    if (!['email', 'sms'].includes(campaign.campaign_type)) {
+      throw createError(`Delivery is not supported for ${campaign.campaign_type} campaigns`, 400);
+    }
+
+    if (campaign.email_template_id) {
+      const template = await this.getEmailTemplateById(campaign.email_template_id);
+      if (!template) {
+        throw createError('Campaign email template not found', 400);
+      }
+    }
+
+    // Dynamic segments are brought up to date before messages are created
+    const segment = await this.getSegmentById(campaign.segment_id);
+    if (segment && segment.segment_type === 'dynamic') {
+      await this.refreshSegment(segment.id);
     }
 
     // Get segment members
     const members = await this.getSegmentMembers(campaign.segment_id);
 
-    // Create messages for each recipient
+    // Create messages for each recipient not already messaged (a paused campaign resumes)
+    let queued = 0;
+    let suppressed = 0;
     for (const customer of members) {
-      await pool.query(
+      const reason = await this.getSuppressionReason(campaign, customer);
+
+      const result = await pool.query(
         `INSERT INTO campaign_messages (
           campaign_id, customer_id, message_type,
-          recipient_email, recipient_phone, message_content, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, 'pending')`,
+          recipient_email, recipient_phone, status, error_message
+        )
+        SELECT $1, $2, $3, $4, $5, $6, $7
+        WHERE NOT EXISTS (
+          SELECT 1 FROM campaign_messages WHERE campaign_id = $1 AND customer_id = $2
+        )
+        RETURNING id`,
         [
           campaignId,
           customer.id,
           campaign.campaign_type,
           customer.email,
           customer.phone,
-          campaign.campaign_type === 'email' ? campaign.subject_line : campaign.sms_message
+          reason ? 'suppressed' : 'pending',
+          reason
         ]
       );
+
+      if (result.rows.length > 0) {
+        if (reason) {
+          suppressed++;
+        } else {
+          queued++;
+        }
+      }
     }
 
     // Update campaign
     await pool.query(
       `UPDATE marketing_campaigns
-       SET status = 'running', send_time = NOW(), total_recipients = $1
+       SET status = 'running', send_time = COALESCE(send_time, NOW()), next_batch_at = NOW(),
+           total_recipients = $1, updated_at = NOW()
        WHERE id = $2`,
       [members.length, campaignId]
     );
 
-    return { campaign, recipients: members.length };
+    const JobService = require('./JobService');
+    const jobId = await JobService.enqueueJob({
+      jobType: 'email_send',
+      handlerFunction: 'processCampaignBatches',
+      parameters: { campaignId },
+      queueName: 'notifications'
+    });
+
+    return { campaign, recipients: members.length, queued, suppressed, jobId };
+  }
+
+  /**
+   * Why a customer must not receive a campaign, or null when they may
+   */
+  async getSuppressionReason(campaign, customer) {
+    if (customer.account_status && customer.account_status !== 'active') {
+      return 'inactive_account';
+    }
+
+    if (!customer.marketing_opt_in) {
+      return 'marketing_opt_out';
+    }
+
+    if (campaign.campaign_type === 'sms') {
+      return customer.phone ? null : 'missing_phone';
+    }
+
+    if (!customer.email) {
+      return 'missing_email';
+    }
+
+    const result = await pool.query(
+      'SELECT 1 FROM email_unsubscribes WHERE LOWER(email) = LOWER($1)',
+      [customer.email]
+    );
+    return result.rows.length > 0 ? 'unsubscribed' : null;
+  }
+
+  async pauseCampaign(campaignId) {
+    const result = await pool.query(
+      `UPDATE marketing_campaigns SET status = 'paused', updated_at = NOW()
+       WHERE id = $1 AND status IN ('running', 'scheduled')
+       RETURNING *`,
+      [campaignId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createError('Only running or scheduled campaigns can be paused', 400);
+    }
+    return result.rows[0];
+  }
+
+  // ============================================
+  // CAMPAIGN DELIVERY
+  // ============================================
+
+  /**
+   * Job handler: start due scheduled campaigns and send one batch for every
+   * running campaign whose throttle window has passed
+   */
+  async processCampaignBatches(params = {}) {
+    if (!params.campaignId) {
+      const scheduled = await pool.query(
+        `SELECT id FROM marketing_campaigns
+         WHERE status = 'scheduled' AND scheduled_send_time <= NOW()`
+      );
+      for (const { id } of scheduled.rows) {
+        await this.sendCampaign(id);
+      }
+    }
+
+    const values = [];
+    let query = `SELECT * FROM marketing_campaigns
+                 WHERE status = 'running' AND (next_batch_at IS NULL OR next_batch_at <= NOW())`;
+
+    if (params.campaignId) {
+      query += ' AND id = $1';
+      values.push(params.campaignId);
+    }
+
+    const campaigns = await pool.query(query, values);
+    const summary = { campaigns: campaigns.rows.length, sent: 0, suppressed: 0, failed: 0 };
+
+    for (const campaign of campaigns.rows) {
+      const result = await this.sendCampaignBatch(campaign);
+      summary.sent += result.sent;
+      summary.suppressed += result.suppressed;
+      summary.failed += result.failed;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Render and hand one batch of pending messages to the delivery queue
+   */
+  async sendCampaignBatch(campaign) {
+    const batchSize = campaign.send_batch_size || config.marketing.batchSize;
+    const intervalMinutes = campaign.send_batch_interval_minutes || config.marketing.batchIntervalMinutes;
+
+    // Push the next batch out first so an overlapping run does not double the rate
+    await pool.query(
+      `UPDATE marketing_campaigns
+       SET next_batch_at = NOW() + make_interval(mins => $1)
+       WHERE id = $2`,
+      [intervalMinutes, campaign.id]
+    );
+
+    const claimed = await pool.query(
+      `UPDATE campaign_messages
+       SET status = 'sending'
+       WHERE id IN (
+         SELECT id FROM campaign_messages
+         WHERE campaign_id = $1 AND status = 'pending'
+         ORDER BY created_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id`,
+      [campaign.id, batchSize]
+    );
+
+    const template = campaign.email_template_id
+      ? await this.getEmailTemplateById(campaign.email_template_id)
+      : null;
+
+    const result = { sent: 0, suppressed: 0, failed: 0 };
+    for (const { id } of claimed.rows) {
+      const outcome = await this.deliverCampaignMessage(campaign, template, id);
+      result[outcome]++;
+    }
+
+    const remaining = await pool.query(
+      `SELECT COUNT(*)::INTEGER as count FROM campaign_messages
+       WHERE campaign_id = $1 AND status IN ('pending', 'sending')`,
+      [campaign.id]
+    );
+
+    if (remaining.rows[0].count === 0) {
+      await pool.query(
+        `UPDATE marketing_campaigns
+         SET status = 'completed', completed_at = NOW(), next_batch_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND status = 'running'`,
+        [campaign.id]
+      );
+    }
+
+    return result;
+  }
+
+  async deliverCampaignMessage(campaign, template, messageId) {
+    const messageResult = await pool.query(
+      `SELECT cm.*, c.first_name, c.last_name, c.email, c.phone, c.loyalty_points,
+              c.marketing_opt_in, c.account_status, l.name as location_name
+       FROM campaign_messages cm
+       JOIN customer_accounts c ON c.id = cm.customer_id
+       LEFT JOIN locations l ON l.id = COALESCE($2, c.preferred_location_id)
+       WHERE cm.id = $1`,
+      [messageId, campaign.location_id]
+    );
+    const message = messageResult.rows[0];
+
+    try {
+      // Customers may opt out between scheduling and their batch
+      const reason = await this.getSuppressionReason(campaign, message);
+      if (reason) {
+        await this.markMessageSuppressed(messageId, reason);
+        return 'suppressed';
+      }
+
+      const fields = this.buildMergeFields(campaign, message);
+
+      if (campaign.campaign_type === 'sms') {
+        const body = renderMergeFields(campaign.sms_message, fields);
+        const queuedSms = await NotificationDeliveryService.queueSMS({
+          toPhone: message.phone,
+          message: body,
+          fromPhone: campaign.send_from || undefined,
+          priority: 3
+        });
+
+        await pool.query(
+          `UPDATE campaign_messages
+           SET status = 'queued', sms_queue_id = $1, message_content = $2, personalization_data = $3
+           WHERE id = $4`,
+          [queuedSms.id, body, JSON.stringify(fields), messageId]
+        );
+        await NotificationDeliveryService.sendQueuedSMS(queuedSms.id);
+        return 'sent';
+      }
+
+      const content = this.renderCampaignEmail(campaign, template, message, fields);
+      const queuedEmail = await NotificationDeliveryService.queueEmail({
+        toEmail: message.email,
+        toName: [message.first_name, message.last_name].filter(Boolean).join(' ') || null,
+        subject: content.subject,
+        bodyHtml: content.html,
+        bodyText: content.text,
+        templateId: template ? template.id : null,
+        templateVariables: fields,
+        fromEmail: campaign.send_from || (template && template.from_email) || undefined,
+        fromName: template ? template.from_name : undefined,
+        priority: 3
+      });
+
+      // queueEmail returns null for addresses on the unsubscribe list
+      if (!queuedEmail) {
+        await this.markMessageSuppressed(messageId, 'unsubscribed');
+        return 'suppressed';
+      }
+
+      await pool.query(
+        `UPDATE campaign_messages
+         SET status = 'queued', email_queue_id = $1, message_content = $2, personalization_data = $3
+         WHERE id = $4`,
+        [queuedEmail.id, content.html, JSON.stringify(fields), messageId]
+      );
+      await NotificationDeliveryService.sendQueuedEmail(queuedEmail.id);
+      return 'sent';
+    } catch (error) {
+      console.error(`[Marketing] Failed to deliver campaign message ${messageId}:`, error.message);
+      await pool.query(
+        `UPDATE campaign_messages SET status = 'failed', error_message = $1 WHERE id = $2`,
+        [error.message, messageId]
+      );
+      return 'failed';
+    }
+  }
+
+  async markMessageSuppressed(messageId, reason) {
+    await pool.query(
+      `UPDATE campaign_messages SET status = 'suppressed', error_message = $1 WHERE id = $2`,
+      [reason, messageId]
+    );
+  }
+
+  /**
+   * Values available to {{merge_fields}} in subjects, bodies and SMS text
+   */
+  buildMergeFields(campaign, message) {
+    return {
+      first_name: message.first_name || '',
+      last_name: message.last_name || '',
+      customer_name: [message.first_name, message.last_name].filter(Boolean).join(' '),
+      email: message.email,
+      loyalty_points: message.loyalty_points || 0,
+      location_name: message.location_name || '',
+      campaign_name: campaign.campaign_name,
+      unsubscribe_url: this.buildTrackingUrl('unsubscribe', message.id)
+    };
+  }
+
+  /**
+   * Subject and bodies for one recipient, with click tracking and an open pixel
+   */
+  renderCampaignEmail(campaign, template, message, fields) {
+    const subject = campaign.subject_line || (template && (template.subject_line || template.subject)) || campaign.campaign_name;
+    const htmlSource = template
+      ? template.html_content || template.body_html
+      : `<p>${campaign.preview_text || subject}</p>`;
+    const textSource = template ? template.text_content || template.body_text : campaign.preview_text || subject;
+
+    let html = renderMergeFields(htmlSource, fields, { html: true });
+    // The unsubscribe link is not a click
+    html = rewriteLinks(html, url => (url === fields.unsubscribe_url ? null : this.buildTrackingUrl('click', message.id, url)));
+    html = appendTrackingPixel(html, this.buildTrackingUrl('open', message.id));
+
+    return {
+      subject: renderMergeFields(subject, fields),
+      html,
+      text: renderMergeFields(textSource, fields)
+    };
+  }
+
+  /**
+   * Signed open/click/unsubscribe link for a campaign message
+   */
+  buildTrackingUrl(kind, messageId, url = null) {
+    const base = `${config.marketing.publicUrl.replace(/\/$/, '')}${config.apiPrefix}/marketing`;
+    const sig = signTrackingValue(config.marketing.trackingSecret, kind, messageId, url || '');
+
+    if (kind === 'click') {
+      return `${base}/track/click/${encodeURIComponent(messageId)}?url=${encodeURIComponent(url)}&sig=${sig}`;
+    }
+    if (kind === 'open') {
+      return `${base}/track/open/${encodeURIComponent(messageId)}?sig=${sig}`;
+    }
+    return `${base}/unsubscribe/${encodeURIComponent(messageId)}?sig=${sig}`;
+  }
+
+  verifyTrackingSignature(kind, messageId, signature, url = null) {
+    return verifyTrackingValue(config.marketing.trackingSecret, signature, kind, messageId, url || '');
+  }
+
+  // ============================================
+  // ENGAGEMENT TRACKING
+  // ============================================
+
+  /**
+   * Delivery listener: map queue-level events back to campaign messages
+   */
+  async handleDeliveryEvent(eventType, { channel, queueId, occurredAt, reason, url }) {
+    if (!queueId || !MESSAGE_EVENTS[eventType]) {
+      return;
+    }
+
+    const column = channel === 'sms' ? 'sms_queue_id' : 'email_queue_id';
+    const result = await pool.query(
+      `SELECT id FROM campaign_messages WHERE ${column} = $1`,
+      [queueId]
+    );
+
+    for (const { id } of result.rows) {
+      await this.recordMessageEvent(id, eventType, { occurredAt, reason, url });
+    }
+  }
+
+  /**
+   * Record sent/delivered/opened/clicked/bounced/failed for a campaign message.
+   * Counters on marketing_campaigns only move the first time an event is seen.
+   */
+  async recordMessageEvent(messageId, eventType, { occurredAt = null, reason = null, url = null } = {}) {
+    const event = MESSAGE_EVENTS[eventType];
+    if (!event) {
+      return false;
+    }
+
+    // A click implies an open, and an open implies delivery
+    if (event.implies) {
+      await this.recordMessageEvent(messageId, event.implies, { occurredAt });
+    }
+
+    if (eventType === 'complained') {
+      return this.unsubscribeFromMessage(messageId, 'complaint');
+    }
+
+    if (eventType === 'failed') {
+      const failed = await pool.query(
+        `UPDATE campaign_messages SET status = 'failed', error_message = $2
+         WHERE id = $1 AND delivered_at IS NULL
+         RETURNING id`,
+        [messageId, reason]
+      );
+      return failed.rows.length > 0;
+    }
+
+    const result = await pool.query(
+      `UPDATE campaign_messages
+       SET ${event.column} = COALESCE($2::timestamptz, NOW()),
+           status = CASE
+             WHEN status IN ('bounced', 'failed') THEN status
+             WHEN array_position($3::text[], status) >= array_position($3::text[], $4) THEN status
+             ELSE $4
+           END,
+           error_message = COALESCE($5, error_message)
+       WHERE id = $1 AND ${event.column} IS NULL
+       RETURNING campaign_id`,
+      [messageId, occurredAt, STATUS_PROGRESSION, event.status, reason]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    if (event.counter) {
+      await pool.query(
+        `UPDATE marketing_campaigns SET ${event.counter} = ${event.counter} + 1 WHERE id = $1`,
+        [result.rows[0].campaign_id]
+      );
+    }
+
+    if (url) {
+      await pool.query(
+        `UPDATE campaign_messages
+         SET personalization_data = COALESCE(personalization_data, '{}'::jsonb) || jsonb_build_object('clicked_url', $1::text)
+         WHERE id = $2`,
+        [url, messageId]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Unsubscribe the recipient of a campaign message (link or spam complaint)
+   */
+  async unsubscribeFromMessage(messageId, reason = 'unsubscribe_link') {
+    const result = await pool.query(
+      `UPDATE campaign_messages SET unsubscribed_at = NOW()
+       WHERE id = $1 AND unsubscribed_at IS NULL
+       RETURNING campaign_id, customer_id, recipient_email`,
+      [messageId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    const message = result.rows[0];
+
+    await pool.query(
+      'UPDATE customer_accounts SET marketing_opt_in = FALSE, updated_at = NOW() WHERE id = $1',
+      [message.customer_id]
+    );
+
+    if (message.recipient_email) {
+      await NotificationDeliveryService.unsubscribeEmail(message.recipient_email, reason);
+    }
+
+    await pool.query(
+      'UPDATE marketing_campaigns SET total_unsubscribed = total_unsubscribed + 1 WHERE id = $1',
+      [message.campaign_id]
+    );
+
+    return true;
+  }
+
+  /**
+   * Credit an order to the campaign message the customer most recently
+   * engaged with inside the attribution window
+   */
+  async recordConversion(customerId, orderId, orderAmount) {
+    if (!customerId) {
+      return null;
+    }
+
+    const result = await pool.query(
+      `UPDATE campaign_messages
+       SET converted_at = NOW(), conversion_order_id = $2, conversion_revenue = $3
+       WHERE id = (
+         SELECT id FROM campaign_messages
+         WHERE customer_id = $1
+           AND converted_at IS NULL
+           AND COALESCE(clicked_at, opened_at) >= NOW() - make_interval(days => $4)
+         ORDER BY COALESCE(clicked_at, opened_at) DESC
+         LIMIT 1
+       )
+       RETURNING id, campaign_id`,
+      [customerId, orderId, orderAmount, config.marketing.attributionWindowDays]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { id, campaign_id: campaignId } = result.rows[0];
+    await pool.query(
+      `UPDATE marketing_campaigns
+       SET total_converted = total_converted + 1,
+           conversion_revenue = conversion_revenue + $1
+       WHERE id = $2`,
+      [orderAmount, campaignId]
+    );
+
+    return { messageId: id, campaignId };
+  }
+
+  async getEmailTemplateById(templateId) {
+    const result = await pool.query(
+      'SELECT * FROM email_templates WHERE id = $1',
+      [templateId]
+    );
+
+    return result.rows[0];
   }
 
   async getCampaignPerformance(campaignId = null) {
@@ -303,22 +1002,18 @@ class MarketingService {
     return promo;
   }
 
-  async redeemPromotion(promotionId, customerId, orderId, discountApplied) {
+  /**
+   * Record a redemption; pass the client of an open transaction to record it there
+   */
+  async redeemPromotion(promotionId, customerId, orderId, discountApplied, transaction = null) {
+    if (transaction) {
+      return this.recordRedemption(transaction, promotionId, customerId, orderId, discountApplied);
+    }
+
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
-
-      await client.query(
-        `INSERT INTO promotion_redemptions (promotion_id, customer_id, order_id, discount_applied)
-         VALUES ($1, $2, $3, $4)`,
-        [promotionId, customerId, orderId, discountApplied]
-      );
-
-      await client.query(
-        'UPDATE promotions SET current_uses = current_uses + 1 WHERE id = $1',
-        [promotionId]
-      );
-
+      await this.recordRedemption(client, promotionId, customerId, orderId, discountApplied);
       await client.query('COMMIT');
     } catch (error) {
       await client.query('ROLLBACK');
@@ -328,6 +1023,19 @@ class MarketingService {
     }
   }
 
+  async recordRedemption(client, promotionId, customerId, orderId, discountApplied) {
+    await client.query(
+      `INSERT INTO promotion_redemptions (promotion_id, customer_id, order_id, discount_applied)
+       VALUES ($1, $2, $3, $4)`,
+      [promotionId, customerId, orderId, discountApplied]
+    );
+
+    await client.query(
+      'UPDATE promotions SET current_uses = current_uses + 1 WHERE id = $1',
+      [promotionId]
+    );
+  }
+
   // ============================================
   // GIFT CARDS
   // ============================================
@@ -0,0 +1,800 @@
+/**
+ * Marketing Workflow Service
+ * Phase 21
+ *
+ * Trigger-based customer journeys built from marketing_workflows and
+ * workflow_steps. Each enrolled customer gets a workflow_executions row that
+ * records the next step to run, so the JobService worker can resume it after
+ * waits, restarts or failures.
+ *
+ * Triggers:
+ *   customer_signup, first_order, order_placed  - fired by CustomerPortalService
+ *   no_visit     { days }             - no order in the last N days
+ *   birthday     { days_before }      - date_of_birth is N days away
+ *   loyalty_tier { tier | min_points } - loyalty balance reached a tier
+ */
+
+const crypto = require('crypto');
+const pool = require('../database/pool').getPool();
+const config = require('../config/app');
+const MarketingService = require('./MarketingService');
+const NotificationDeliveryService = require('./NotificationDeliveryService');
+const { renderMergeFields } = require('../utils/campaignContent');
+const {
+  evaluateCondition,
+  getDelayMinutes,
+  resolveNextStep,
+  validateSteps
+} = require('../utils/workflowSteps');
+
+const EVENT_TRIGGERS = ['customer_signup', 'first_order', 'order_placed'];
+const SCHEDULED_TRIGGERS = ['no_visit', 'birthday', 'loyalty_tier'];
+
+// Guards against conditional branches that loop without a wait step
+const MAX_STEPS_PER_RUN = 50;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class MarketingWorkflowService {
+  // ============================================
+  // WORKFLOW DEFINITIONS
+  // ============================================
+
+  async createWorkflow(workflowData, userId) {
+    const triggerType = workflowData.trigger_type;
+    if (![...EVENT_TRIGGERS, ...SCHEDULED_TRIGGERS].includes(triggerType)) {
+      throw createError(`Unknown trigger type: ${triggerType}`, 400);
+    }
+
+    try {
+      validateSteps(workflowData.steps);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO marketing_workflows (
+          workflow_name, description, trigger_type, trigger_criteria,
+          location_id, is_active, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+          workflowData.workflow_name,
+          workflowData.description,
+          triggerType,
+          JSON.stringify(workflowData.trigger_criteria || {}),
+          workflowData.location_id,
+          workflowData.is_active !== false,
+          userId
+        ]
+      );
+
+      const workflow = result.rows[0];
+
+      for (const step of workflowData.steps) {
+        await client.query(
+          `INSERT INTO workflow_steps (
+            workflow_id, step_order, step_type, delay_amount, delay_unit, action_data
+          ) VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            workflow.id,
+            step.step_order,
+            step.step_type,
+            step.delay_amount,
+            step.delay_unit,
+            JSON.stringify(step.action_data || {})
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+      return this.getWorkflowById(workflow.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getWorkflowById(workflowId) {
+    const result = await pool.query(
+      'SELECT * FROM marketing_workflows WHERE id = $1',
+      [workflowId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const workflow = result.rows[0];
+    workflow.steps = await this.getWorkflowSteps(workflowId);
+    return workflow;
+  }
+
+  async getWorkflowSteps(workflowId) {
+    const result = await pool.query(
+      'SELECT * FROM workflow_steps WHERE workflow_id = $1 ORDER BY step_order ASC',
+      [workflowId]
+    );
+
+    return result.rows;
+  }
+
+  async getWorkflows(filters = {}) {
+    let query = 'SELECT * FROM marketing_workflows WHERE 1=1';
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.location_id) {
+      query += ` AND location_id = $${paramCount}`;
+      values.push(filters.location_id);
+      paramCount++;
+    }
+
+    if (filters.trigger_type) {
+      query += ` AND trigger_type = $${paramCount}`;
+      values.push(filters.trigger_type);
+      paramCount++;
+    }
+
+    if (filters.is_active !== undefined) {
+      query += ` AND is_active = $${paramCount}`;
+      values.push(filters.is_active === true || filters.is_active === 'true');
+      paramCount++;
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  async setWorkflowActive(workflowId, isActive) {
+    const result = await pool.query(
+      `UPDATE marketing_workflows SET is_active = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [Boolean(isActive), workflowId]
+    );
+
+    return result.rows[0];
+  }
+
+  // ============================================
+  // EXECUTIONS
+  // ============================================
+
+  async getExecutions(workflowId, filters = {}) {
+    let query = 'SELECT * FROM workflow_executions WHERE workflow_id = $1';
+    const values = [workflowId];
+
+    if (filters.status) {
+      query += ' AND status = $2';
+      values.push(filters.status);
+    }
+
+    query += ' ORDER BY triggered_at DESC LIMIT 500';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  async cancelExecution(executionId) {
+    const result = await pool.query(
+      `UPDATE workflow_executions
+       SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status IN ('running', 'waiting')
+       RETURNING *`,
+      [executionId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createError('Only running or waiting executions can be cancelled', 400);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Enroll a customer; returns null when this trigger occurrence already enrolled them
+   */
+  async enrollCustomer(workflow, customerId, { triggerKey = null, context = {} } = {}) {
+    const result = await pool.query(
+      `INSERT INTO workflow_executions (workflow_id, customer_id, status, next_run_at, trigger_key, context, execution_log)
+       VALUES ($1, $2, 'running', NOW(), $3, $4, '[]')
+       ON CONFLICT (workflow_id, customer_id, trigger_key) WHERE trigger_key IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [workflow.id, customerId, triggerKey, JSON.stringify(context)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await pool.query(
+      'UPDATE marketing_workflows SET total_triggered = total_triggered + 1 WHERE id = $1',
+      [workflow.id]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Manually enroll a customer and run the execution up to its first wait
+   */
+  async startExecution(workflowId, customerId, { triggerKey = null, context = {} } = {}) {
+    const workflow = await this.getWorkflowById(workflowId);
+    if (!workflow) {
+      throw createError('Workflow not found', 404);
+    }
+    if (!workflow.is_active) {
+      throw createError('Workflow is not active', 400);
+    }
+
+    const execution = await this.enrollCustomer(workflow, customerId, { triggerKey, context });
+    if (!execution) {
+      throw createError('Customer is already enrolled for this trigger', 409);
+    }
+
+    await this.runDueExecutions({ executionIds: [execution.id] });
+
+    const result = await pool.query('SELECT * FROM workflow_executions WHERE id = $1', [execution.id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Fire an event trigger for a customer and run the new executions up to their first wait
+   */
+  async triggerWorkflows(triggerType, customerId, { triggerKey = triggerType, context = {}, locationId = null } = {}) {
+    const workflows = await pool.query(
+      `SELECT * FROM marketing_workflows
+       WHERE trigger_type = $1 AND is_active = TRUE
+         AND (location_id IS NULL OR location_id = $2)`,
+      [triggerType, locationId]
+    );
+
+    const executionIds = [];
+    for (const workflow of workflows.rows) {
+      const execution = await this.enrollCustomer(workflow, customerId, { triggerKey, context });
+      if (execution) {
+        executionIds.push(execution.id);
+      }
+    }
+
+    if (executionIds.length > 0) {
+      await this.runDueExecutions({ executionIds });
+    }
+
+    return executionIds;
+  }
+
+  /**
+   * Fire order_placed for every order, and first_order for a customer's first one
+   */
+  async handleOrderPlaced(customerId, order) {
+    if (!customerId) {
+      return [];
+    }
+
+    const context = {
+      order_id: order.id,
+      order_number: order.order_number,
+      order_total: order.total_amount,
+      location_id: order.location_id
+    };
+
+    const executionIds = await this.triggerWorkflows('order_placed', customerId, {
+      triggerKey: `order:${order.id}`,
+      context,
+      locationId: order.location_id
+    });
+
+    const count = await pool.query(
+      'SELECT COUNT(*)::INTEGER as order_count FROM online_orders WHERE customer_id = $1',
+      [customerId]
+    );
+
+    if (count.rows[0].order_count === 1) {
+      executionIds.push(...await this.triggerWorkflows('first_order', customerId, {
+        context,
+        locationId: order.location_id
+      }));
+    }
+
+    return executionIds;
+  }
+
+  /**
+   * Enroll customers matching scheduled triggers (no visit, birthday, loyalty tier)
+   */
+  async evaluateScheduledTriggers() {
+    const workflows = await pool.query(
+      `SELECT * FROM marketing_workflows
+       WHERE is_active = TRUE AND trigger_type = ANY($1)`,
+      [SCHEDULED_TRIGGERS]
+    );
+
+    let enrolled = 0;
+    for (const workflow of workflows.rows) {
+      const candidates = await this.findTriggeredCustomers(workflow);
+      for (const candidate of candidates) {
+        const execution = await this.enrollCustomer(workflow, candidate.customer_id, {
+          triggerKey: candidate.trigger_key
+        });
+        if (execution) {
+          enrolled++;
+        }
+      }
+    }
+
+    return enrolled;
+  }
+
+  /**
+   * Customers currently matching a scheduled trigger, each with the key of the occurrence
+   */
+  async findTriggeredCustomers(workflow) {
+    const criteria = workflow.trigger_criteria || {};
+
+    if (workflow.trigger_type === 'no_visit') {
+      const result = await pool.query(
+        `SELECT c.id as customer_id, 'no_visit:' || TO_CHAR(last.last_order_at, 'YYYY-MM-DD') as trigger_key
+         FROM customer_accounts c
+         JOIN LATERAL (
+           SELECT MAX(o.placed_at) as last_order_at
+           FROM online_orders o
+           WHERE o.customer_id = c.id AND o.order_status <> 'cancelled'
+         ) last ON TRUE
+         WHERE c.account_status = 'active'
+           AND last.last_order_at < NOW() - make_interval(days => $1)
+           AND ($2::varchar IS NULL OR c.preferred_location_id = $2)`,
+        [parseInt(criteria.days || 30, 10), workflow.location_id]
+      );
+      return result.rows;
+    }
+
+    if (workflow.trigger_type === 'birthday') {
+      const result = await pool.query(
+        `SELECT c.id as customer_id,
+                'birthday:' || TO_CHAR(CURRENT_DATE + $1::integer, 'YYYY') as trigger_key
+         FROM customer_accounts c
+         WHERE c.account_status = 'active'
+           AND c.date_of_birth IS NOT NULL
+           AND TO_CHAR(c.date_of_birth, 'MM-DD') = TO_CHAR(CURRENT_DATE + $1::integer, 'MM-DD')
+           AND ($2::varchar IS NULL OR c.preferred_location_id = $2)`,
+        [parseInt(criteria.days_before || 0, 10), workflow.location_id]
+      );
+      return result.rows;
+    }
+
+    if (workflow.trigger_type === 'loyalty_tier') {
+      const minPoints = criteria.tier ? config.marketing.loyaltyTiers[criteria.tier] : criteria.min_points;
+      if (minPoints === undefined || minPoints === null) {
+        console.warn(`[MarketingWorkflow] Workflow ${workflow.id} has no loyalty tier threshold`);
+        return [];
+      }
+
+      const result = await pool.query(
+        `SELECT c.id as customer_id, $2 as trigger_key
+         FROM customer_accounts c
+         WHERE c.account_status = 'active'
+           AND c.loyalty_points >= $1
+           AND ($3::varchar IS NULL OR c.preferred_location_id = $3)`,
+        [minPoints, `loyalty_tier:${criteria.tier || minPoints}`, workflow.location_id]
+      );
+      return result.rows;
+    }
+
+    return [];
+  }
+
+  // ============================================
+  // EXECUTION ENGINE
+  // ============================================
+
+  /**
+   * Job handler: enroll scheduled triggers, then run every due execution
+   */
+  async processMarketingWorkflows(params = {}) {
+    const enrolled = await this.evaluateScheduledTriggers();
+    const result = await this.runDueExecutions({ limit: params.limit });
+    return { enrolled, ...result };
+  }
+
+  /**
+   * Lease due executions and run each until it waits, finishes or fails
+   */
+  async runDueExecutions({ limit = config.marketing.workflowBatchSize, executionIds = null } = {}) {
+    const values = [limit, config.marketing.workflowLeaseMinutes];
+    let filter = '';
+    if (executionIds) {
+      filter = 'AND id = ANY($3)';
+      values.push(executionIds);
+    }
+
+    const claimed = await pool.query(
+      `UPDATE workflow_executions
+       SET locked_until = NOW() + make_interval(mins => $2), updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM workflow_executions
+         WHERE status IN ('running', 'waiting')
+           AND next_run_at <= NOW()
+           AND (locked_until IS NULL OR locked_until < NOW())
+           ${filter}
+         ORDER BY next_run_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      values
+    );
+
+    const summary = { processed: claimed.rows.length, completed: 0, waiting: 0, failed: 0, retrying: 0 };
+    for (const execution of claimed.rows) {
+      const outcome = await this.runExecution(execution);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run one execution from its current step; returns completed, waiting, retrying or failed
+   */
+  async runExecution(execution) {
+    const context = { ...(execution.context || {}) };
+
+    try {
+      const workflow = await this.getWorkflowById(execution.workflow_id);
+      if (!workflow || !workflow.is_active) {
+        await this.finishExecution(execution, 'cancelled', context, [this.logEntry(null, 'workflow_inactive')]);
+        return 'completed';
+      }
+
+      const steps = workflow.steps;
+      let step = execution.current_step_id
+        ? steps.find(candidate => candidate.id === execution.current_step_id)
+        : resolveNextStep(steps, null);
+
+      for (let count = 0; step && count < MAX_STEPS_PER_RUN; count++) {
+        const customer = await this.getCustomerFacts(execution.customer_id, context);
+        const result = await this.executeStep(workflow, step, customer, context, execution);
+        const entry = this.logEntry(step, result.outcome, result.detail);
+
+        if (result.waitMinutes !== undefined && result.next) {
+          await this.saveProgress(execution, {
+            status: 'waiting',
+            currentStepId: result.next.id,
+            nextRunAt: new Date(Date.now() + result.waitMinutes * 60000),
+            context,
+            entry
+          });
+          return 'waiting';
+        }
+
+        if (!result.next) {
+          await this.finishExecution(execution, 'completed', context, [entry]);
+          return 'completed';
+        }
+
+        // Persist after every step so a crash resumes at the right place
+        await this.saveProgress(execution, {
+          status: 'running',
+          currentStepId: result.next.id,
+          nextRunAt: new Date(),
+          context,
+          entry
+        });
+        step = result.next;
+      }
+
+      if (step) {
+        throw new Error(`Workflow ran ${MAX_STEPS_PER_RUN} steps without waiting; check for a branch loop`);
+      }
+
+      await this.finishExecution(execution, 'completed', context, []);
+      return 'completed';
+    } catch (error) {
+      return this.handleExecutionError(execution, context, error);
+    }
+  }
+
+  /**
+   * Perform one step. Returns { next, outcome, detail, waitMinutes }.
+   */
+  async executeStep(workflow, step, customer, context, execution) {
+    const data = step.action_data || {};
+    const next = () => resolveNextStep(workflow.steps, step);
+
+    switch (step.step_type) {
+      case 'wait':
+        return { next: next(), outcome: 'waiting', waitMinutes: getDelayMinutes(step) };
+
+      case 'conditional_split': {
+        const matched = evaluateCondition(data.condition, customer);
+        return {
+          next: resolveNextStep(workflow.steps, step, matched ? data.then_step : data.else_step),
+          outcome: matched ? 'condition_true' : 'condition_false'
+        };
+      }
+
+      case 'send_email':
+        return { next: next(), ...(await this.sendWorkflowEmail(data, customer, context)) };
+
+      case 'send_sms':
+        return { next: next(), ...(await this.sendWorkflowSMS(data, customer, context)) };
+
+      case 'grant_promotion':
+        return { next: next(), ...(await this.grantPromotion(workflow, data, customer, context, execution)) };
+
+      case 'add_to_segment':
+        await this.addToSegment(data.segment_id, customer.id);
+        return { next: next(), outcome: 'added_to_segment', detail: { segment_id: data.segment_id } };
+
+      default:
+        throw new Error(`Unknown step type: ${step.step_type}`);
+    }
+  }
+
+  async sendWorkflowEmail(data, customer, context) {
+    const reason = await MarketingService.getSuppressionReason({ campaign_type: 'email' }, customer);
+    if (reason) {
+      return { outcome: 'skipped', detail: { reason } };
+    }
+
+    const template = data.template_id ? await MarketingService.getEmailTemplateById(data.template_id) : null;
+    if (!template) {
+      throw new Error(`Email template not found: ${data.template_id}`);
+    }
+
+    const fields = this.buildMergeFields(customer, context);
+    const subject = data.subject || template.subject_line || template.subject;
+
+    const queued = await NotificationDeliveryService.queueEmail({
+      toEmail: customer.email,
+      toName: fields.customer_name || null,
+      subject: renderMergeFields(subject, fields),
+      bodyHtml: renderMergeFields(template.html_content || template.body_html, fields, { html: true }),
+      bodyText: renderMergeFields(template.text_content || template.body_text, fields),
+      templateId: template.id,
+      templateVariables: fields,
+      fromEmail: template.from_email || undefined,
+      fromName: template.from_name || undefined,
+      priority: 3
+    });
+
+    return queued
+      ? { outcome: 'email_queued', detail: { email_queue_id: queued.id } }
+      : { outcome: 'skipped', detail: { reason: 'unsubscribed' } };
+  }
+
+  async sendWorkflowSMS(data, customer, context) {
+    const reason = await MarketingService.getSuppressionReason({ campaign_type: 'sms' }, customer);
+    if (reason) {
+      return { outcome: 'skipped', detail: { reason } };
+    }
+
+    if (!data.message) {
+      throw new Error('SMS step has no message');
+    }
+
+    const queued = await NotificationDeliveryService.queueSMS({
+      toPhone: customer.phone,
+      message: renderMergeFields(data.message, this.buildMergeFields(customer, context)),
+      priority: 3
+    });
+
+    return { outcome: 'sms_queued', detail: { sms_queue_id: queued.id } };
+  }
+
+  /**
+   * Attach an existing promotion, or mint a single-use code for this customer.
+   * The code is kept in the execution context for {{promotion_code}} in later steps.
+   */
+  async grantPromotion(workflow, data, customer, context, execution) {
+    let promotion;
+
+    if (data.promotion_id) {
+      const result = await pool.query('SELECT * FROM promotions WHERE id = $1', [data.promotion_id]);
+      promotion = result.rows[0];
+      if (!promotion) {
+        throw new Error(`Promotion not found: ${data.promotion_id}`);
+      }
+    } else {
+      const prefix = String(data.code_prefix || 'WF').toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 10);
+      const code = `${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+      const result = await pool.query(
+        `INSERT INTO promotions (
+          promotion_code, promotion_name, description, promotion_type,
+          discount_percentage, discount_amount, free_item_id, minimum_purchase_amount,
+          location_id, max_uses, max_uses_per_customer, valid_from, valid_until, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 1, 1, NOW(), NOW() + make_interval(days => $10), $11)
+        RETURNING *`,
+        [
+          code,
+          data.promotion_name || `${workflow.workflow_name} reward`,
+          `Granted to customer ${customer.id} by workflow execution ${execution.id}`,
+          data.promotion_type || 'percentage_off',
+          data.discount_percentage,
+          data.discount_amount,
+          data.free_item_id,
+          data.minimum_purchase_amount,
+          workflow.location_id,
+          parseInt(data.valid_days || 14, 10),
+          `workflow:${workflow.id}`
+        ]
+      );
+      promotion = result.rows[0];
+    }
+
+    context.promotion_id = promotion.id;
+    context.promotion_code = promotion.promotion_code;
+    context.promotion_expires = promotion.valid_until;
+
+    return { outcome: 'promotion_granted', detail: { promotion_id: promotion.id, promotion_code: promotion.promotion_code } };
+  }
+
+  async addToSegment(segmentId, customerId) {
+    if (!segmentId) {
+      throw new Error('add_to_segment step has no segment_id');
+    }
+
+    const segment = await MarketingService.getSegmentById(segmentId);
+    if (!segment) {
+      throw new Error(`Segment not found: ${segmentId}`);
+    }
+    if (segment.segment_type === 'dynamic') {
+      throw new Error(`Segment ${segmentId} is dynamic; its members come from its rules`);
+    }
+
+    await pool.query(
+      `INSERT INTO customer_segment_members (segment_id, customer_id)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [segmentId, customerId]
+    );
+
+    await pool.query(
+      `UPDATE customer_segments
+       SET customer_count = (SELECT COUNT(*) FROM customer_segment_members WHERE segment_id = $1)
+       WHERE id = $1`,
+      [segmentId]
+    );
+  }
+
+  /**
+   * Customer row plus derived facts for conditions; context values (trigger data,
+   * granted promotions) are merged in so branches can test them too
+   */
+  async getCustomerFacts(customerId, context = {}) {
+    const result = await pool.query(
+      `SELECT c.id, c.email, c.phone, c.first_name, c.last_name, c.date_of_birth,
+              c.loyalty_points, c.total_orders, c.total_spent, c.marketing_opt_in,
+              c.account_status, c.preferred_location_id, l.name as location_name,
+              stats.order_count, stats.last_order_at
+       FROM customer_accounts c
+       LEFT JOIN locations l ON l.id = c.preferred_location_id
+       LEFT JOIN LATERAL (
+         SELECT COUNT(*)::INTEGER as order_count, MAX(o.placed_at) as last_order_at
+         FROM online_orders o
+         WHERE o.customer_id = c.id AND o.order_status <> 'cancelled'
+       ) stats ON TRUE
+       WHERE c.id = $1`,
+      [customerId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Customer not found: ${customerId}`);
+    }
+
+    const customer = result.rows[0];
+    const tiers = Object.entries(config.marketing.loyaltyTiers)
+      .filter(([, points]) => customer.loyalty_points >= points)
+      .sort((a, b) => b[1] - a[1]);
+
+    return {
+      ...context,
+      ...customer,
+      loyalty_tier: tiers.length > 0 ? tiers[0][0] : null,
+      days_since_last_order: customer.last_order_at
+        ? Math.floor((Date.now() - new Date(customer.last_order_at).getTime()) / 86400000)
+        : null
+    };
+  }
+
+  buildMergeFields(customer, context) {
+    return {
+      ...context,
+      first_name: customer.first_name || '',
+      last_name: customer.last_name || '',
+      customer_name: [customer.first_name, customer.last_name].filter(Boolean).join(' '),
+      email: customer.email,
+      loyalty_points: customer.loyalty_points || 0,
+      loyalty_tier: customer.loyalty_tier || '',
+      location_name: customer.location_name || ''
+    };
+  }
+
+  logEntry(step, outcome, detail = null) {
+    return {
+      step_id: step ? step.id : null,
+      step_order: step ? step.step_order : null,
+      step_type: step ? step.step_type : null,
+      outcome,
+      detail,
+      at: new Date().toISOString()
+    };
+  }
+
+  async saveProgress(execution, { status, currentStepId, nextRunAt, context, entry }) {
+    await pool.query(
+      `UPDATE workflow_executions
+       SET status = $1, current_step_id = $2, next_run_at = $3, context = $4,
+           execution_log = COALESCE(execution_log, '[]'::jsonb) || $5::jsonb,
+           attempts = 0, last_error = NULL, updated_at = NOW(),
+           locked_until = CASE WHEN $1 = 'waiting' THEN NULL ELSE locked_until END
+       WHERE id = $6`,
+      [status, currentStepId, nextRunAt, JSON.stringify(context), JSON.stringify([entry]), execution.id]
+    );
+  }
+
+  async finishExecution(execution, status, context, entries) {
+    await pool.query(
+      `UPDATE workflow_executions
+       SET status = $1, completed_at = NOW(), context = $2,
+           execution_log = COALESCE(execution_log, '[]'::jsonb) || $3::jsonb,
+           locked_until = NULL, updated_at = NOW()
+       WHERE id = $4`,
+      [status, JSON.stringify(context), JSON.stringify(entries), execution.id]
+    );
+
+    if (status === 'completed') {
+      await pool.query(
+        'UPDATE marketing_workflows SET total_completed = total_completed + 1 WHERE id = $1',
+        [execution.workflow_id]
+      );
+    }
+  }
+
+  /**
+   * Retry the current step with a growing delay, then give up
+   */
+  async handleExecutionError(execution, context, error) {
+    const attempts = (execution.attempts || 0) + 1;
+    const failed = attempts >= config.marketing.workflowMaxAttempts;
+
+    console.error(`[MarketingWorkflow] Execution ${execution.id} failed (attempt ${attempts}):`, error.message);
+
+    await pool.query(
+      `UPDATE workflow_executions
+       SET status = $1, attempts = $2, last_error = $3, context = $4,
+           next_run_at = NOW() + make_interval(mins => $5),
+           completed_at = CASE WHEN $1 = 'failed' THEN NOW() ELSE NULL END,
+           execution_log = COALESCE(execution_log, '[]'::jsonb) || $6::jsonb,
+           locked_until = NULL, updated_at = NOW()
+       WHERE id = $7`,
+      [
+        failed ? 'failed' : 'running',
+        attempts,
+        error.message,
+        JSON.stringify(context),
+        attempts * 5,
+        JSON.stringify([this.logEntry(null, 'error', { message: error.message, attempt: attempts })]),
+        execution.id
+      ]
+    );
+
+    return failed ? 'failed' : 'retrying';
+  }
+}
+
+module.exports = new MarketingWorkflowService();
@@ -7,6 +7,8 @@
 
 const pool = require('../database/pool').getPool();
 const AuditLogService = require('./AuditLogService');
+const { localMoment, activeDayparts, isSeasonalMenuRunning, resolveMenuItem } = require('../utils/menuAvailability');
+const { priceOrderLine, ingredientUsage } = require('../utils/orderPricing');
 
 class MenuManagementService {
   /**
@@ -65,7 +67,7 @@ class MenuManagementService {
   }
 
   /**
-   * Get menu items
+   * Get menu items; a location filter includes the brand-wide items
    */
   async getMenuItems(filters = {}) {
     try {
@@ -80,7 +82,7 @@ class MenuManagementService {
       let paramIndex = 1;
 
       if (filters.location_id) {
-        query += ` AND mi.location_id = $${paramIndex++}`;
+        query += ` AND (mi.location_id = $${paramIndex++} OR mi.location_id IS NULL)`;
         params.push(filters.location_id);
       }
 
@@ -110,21 +112,35 @@ class MenuManagementService {
   }
 
   /**
-   * Get full menu with categories
+   * Get full menu with categories as sold at a moment (default now): seasonal and
+   * limited-time items only while their menu runs, daypart items only during their
+   * dayparts, and location price overrides applied. `include_unavailable` keeps
+   * the other items, flagged with the reason.
    */
-  async getFullMenu(locationId = null) {
+  async getFullMenu(locationId = null, options = {}) {
     try {
-      let query = `SELECT * FROM full_menu WHERE 1=1`;
+      const asOf = options.as_of ? new Date(options.as_of) : new Date();
+      const context = await this.getAvailabilityContext(locationId, asOf);
+
+      let query = `
+        SELECT mc.id as category_id, mc.name as category_name, mc.display_order as category_order,
+               mi.*, r.estimated_cost as cost,
+               ROUND((COALESCE(r.estimated_cost, 0) / NULLIF(mi.base_price, 0)) * 100, 2) as food_cost_pct
+        FROM menu_categories mc
+        LEFT JOIN menu_items mi ON mc.id = mi.category_id
+        LEFT JOIN recipes r ON mi.id = r.menu_item_id AND r.is_active = true
+        WHERE mc.is_active = true`;
       const params = [];
 
       if (locationId) {
-        query += ` AND category_id IN (
-          SELECT id FROM menu_categories
-          WHERE location_id = $1 OR location_id IS NULL
-        )`;
+        query += `
+          AND (mc.location_id = $1 OR mc.location_id IS NULL)
+          AND (mi.id IS NULL OR mi.location_id = $1 OR mi.location_id IS NULL)`;
         params.push(locationId);
       }
 
+      query += ` ORDER BY mc.display_order, mi.name`;
+
       const result = await pool.query(query, params);
 
       // Group by categories
@@ -139,31 +155,165 @@ class MenuManagementService {
           };
         }
 
-        if (row.item_id) {
-          menu[row.category_id].items.push({
-            id: row.item_id,
-            name: row.item_name,
-            description: row.description,
-            price: row.base_price,
-            image_url: row.image_url,
-            dietary_info: row.dietary_info,
-            allergens: row.allergens,
-            is_available: row.is_available,
-            is_featured: row.is_featured,
-            popularity_score: row.popularity_score,
-            cost: row.cost,
-            food_cost_pct: row.food_cost_pct
-          });
-        }
+        if (!row.id) return;
+
+        const availability = this.resolveItemAvailability(row, context);
+        menu[row.category_id].hadItems = true;
+        if (!availability.available && !options.include_unavailable) return;
+
+        menu[row.category_id].items.push({
+          id: row.id,
+          name: row.name,
+          description: row.description,
+          price: availability.price,
+          base_price: row.base_price,
+          image_url: row.image_url,
+          dietary_info: row.dietary_info,
+          allergens: row.allergens,
+          dayparts: row.dayparts,
+          is_available: availability.available,
+          unavailable_reason: availability.reason,
+          seasonal_menu: availability.seasonal_menu,
+          is_featured: row.is_featured,
+          popularity_score: row.popularity_score,
+          cost: row.cost,
+          food_cost_pct: row.food_cost_pct
+        });
       });
 
-      return Object.values(menu);
+      // Categories whose items are all out of season or daypart are hidden
+      return Object.values(menu)
+        .filter(category => !category.hadItems || category.items.length > 0)
+        .map(({ hadItems, ...category }) => category);
     } catch (error) {
       console.error('[MenuManagement] Error getting full menu:', error);
       throw error;
     }
   }
 
+  /**
+   * Menu as of a date/time, with the dayparts and seasonal menus in effect
+   */
+  async getMenuPreview(locationId, asOf) {
+    const when = asOf ? new Date(asOf) : new Date();
+    if (Number.isNaN(when.getTime())) {
+      const error = new Error('as_of must be a valid date/time');
+      error.status = 400;
+      throw error;
+    }
+
+    const context = await this.getAvailabilityContext(locationId, when);
+    const categories = await this.getFullMenu(locationId, { as_of: when, include_unavailable: true });
+
+    const runningMenus = context.seasonalMenus
+      .filter(menu => isSeasonalMenuRunning(menu, context.menuOverrides.get(menu.id), context.moment, context.activeDayparts))
+      .map(menu => ({ id: menu.id, name: menu.name, menu_type: menu.menu_type, start_date: menu.start_date, end_date: menu.end_date }));
+
+    return {
+      location_id: locationId,
+      as_of: when.toISOString(),
+      timezone: context.timezone,
+      local_date: context.moment.date,
+      local_time: context.moment.time,
+      active_dayparts: context.activeDayparts,
+      seasonal_menus: runningMenus,
+      categories
+    };
+  }
+
+  /**
+   * Everything needed to decide item availability at a location and moment
+   */
+  async getAvailabilityContext(locationId, asOf) {
+    const [location, dayparts, seasonalMenus, seasonalItems, menuOverrides, itemOverrides] = await Promise.all([
+      locationId
+        ? pool.query('SELECT id, timezone FROM locations WHERE id = $1', [locationId])
+        : { rows: [] },
+      pool.query(
+        `SELECT * FROM menu_dayparts
+         WHERE is_active = true AND (location_id IS NULL OR location_id = $1)`,
+        [locationId]
+      ),
+      pool.query(
+        `SELECT id, location_id, name, menu_type, dayparts, is_active,
+                to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date
+         FROM seasonal_menus
+         WHERE location_id IS NULL OR location_id = $1
+         ORDER BY start_date DESC`,
+        [locationId]
+      ),
+      pool.query(
+        `SELECT smi.* FROM seasonal_menu_items smi
+         JOIN seasonal_menus sm ON sm.id = smi.seasonal_menu_id
+         WHERE sm.location_id IS NULL OR sm.location_id = $1`,
+        [locationId]
+      ),
+      locationId
+        ? pool.query(
+          `SELECT seasonal_menu_id, is_excluded,
+                  to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date
+           FROM seasonal_menu_location_overrides WHERE location_id = $1`,
+          [locationId]
+        )
+        : { rows: [] },
+      locationId
+        ? pool.query('SELECT * FROM menu_item_location_overrides WHERE location_id = $1', [locationId])
+        : { rows: [] }
+    ]);
+
+    const timezone = location.rows[0]?.timezone || 'UTC';
+    const moment = localMoment(asOf, timezone);
+
+    const menusById = new Map(seasonalMenus.rows.map(menu => [menu.id, menu]));
+    const seasonalByItem = new Map();
+    for (const entry of seasonalItems.rows) {
+      const menu = menusById.get(entry.seasonal_menu_id);
+      if (!menu) continue;
+      if (!seasonalByItem.has(entry.menu_item_id)) seasonalByItem.set(entry.menu_item_id, []);
+      seasonalByItem.get(entry.menu_item_id).push({ menu, entry });
+    }
+
+    return {
+      timezone,
+      moment,
+      activeDayparts: activeDayparts(dayparts.rows, moment),
+      seasonalMenus: seasonalMenus.rows,
+      seasonalByItem,
+      menuOverrides: new Map(menuOverrides.rows.map(override => [override.seasonal_menu_id, override])),
+      itemOverrides: new Map(itemOverrides.rows.map(override => [override.menu_item_id, override]))
+    };
+  }
+
+  resolveItemAvailability(item, context) {
+    return resolveMenuItem(item, {
+      moment: context.moment,
+      active: context.activeDayparts,
+      seasonal: (context.seasonalByItem.get(item.id) || []).map(({ menu, entry }) => ({
+        menu,
+        entry,
+        override: context.menuOverrides.get(menu.id)
+      })),
+      location: context.itemOverrides.get(item.id) || null
+    });
+  }
+
+  /**
+   * Availability and price of the given items at a location and moment
+   */
+  async checkItemAvailability(locationId, menuItemIds, asOf = new Date()) {
+    const context = await this.getAvailabilityContext(locationId, new Date(asOf));
+    const result = await pool.query('SELECT * FROM menu_items WHERE id = ANY($1)', [menuItemIds]);
+    const items = new Map(result.rows.map(item => [item.id, item]));
+
+    return menuItemIds.map(menuItemId => {
+      const item = items.get(menuItemId);
+      if (!item || (locationId && item.location_id && item.location_id !== locationId)) {
+        return { menu_item_id: menuItemId, name: item ? item.name : null, available: false, reason: 'not_on_menu', price: null };
+      }
+      return { menu_item_id: menuItemId, name: item.name, ...this.resolveItemAvailability(item, context) };
+    });
+  }
+
   /**
    * Create menu item
    */
@@ -527,6 +677,779 @@ class MenuManagementService {
       throw error;
     }
   }
+  // ============================================
+  // SEASONAL MENUS & DAYPARTS
+  // ============================================
+
+  /**
+   * Get dayparts (global ones and the location's own)
+   */
+  async getDayparts(locationId = null) {
+    const result = await pool.query(
+      `SELECT * FROM menu_dayparts
+       WHERE is_active = true AND (location_id IS NULL OR location_id = $1)
+       ORDER BY start_time`,
+      [locationId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create or replace a daypart; a location daypart overrides the global one of the same name
+   */
+  async saveDaypart(daypartData, userId) {
+    const { location_id, name, start_time, end_time, days_of_week } = daypartData;
+    if (!name || !start_time || !end_time) {
+      const error = new Error('name, start_time and end_time are required');
+      error.status = 400;
+      throw error;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO menu_dayparts (location_id, name, start_time, end_time, days_of_week)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (COALESCE(location_id, ''), name) DO UPDATE SET
+         start_time = EXCLUDED.start_time,
+         end_time = EXCLUDED.end_time,
+         days_of_week = EXCLUDED.days_of_week,
+         is_active = true
+       RETURNING *`,
+      [location_id || null, name, start_time, end_time, days_of_week || [0, 1, 2, 3, 4, 5, 6]]
+    );
+
+    const daypart = result.rows[0];
+    await AuditLogService.logCreate('menu_daypart', daypart.id, daypart, userId, location_id);
+    return daypart;
+  }
+
+  /**
+   * Create seasonal, limited-time or daypart menu with its items
+   * (`items`: [{ menu_item_id, price_override, dayparts }])
+   */
+  async createSeasonalMenu(menuData, userId) {
+    const { location_id, name, description, menu_type, start_date, end_date, dayparts, items = [] } = menuData;
+    if (!name || !start_date) {
+      const error = new Error('name and start_date are required');
+      error.status = 400;
+      throw error;
+    }
+    if (end_date && end_date < start_date) {
+      const error = new Error('end_date must not be before start_date');
+      error.status = 400;
+      throw error;
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO seasonal_menus (location_id, name, description, menu_type, start_date, end_date, dayparts, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [location_id || null, name, description, menu_type || 'seasonal', start_date, end_date || null, dayparts || null, userId]
+      );
+      const seasonalMenu = result.rows[0];
+
+      for (const [index, item] of items.entries()) {
+        await this.addSeasonalMenuItem(seasonalMenu.id, { display_order: index, ...item }, client);
+      }
+
+      await AuditLogService.logCreate('seasonal_menu', seasonalMenu.id, seasonalMenu, userId, location_id);
+      await client.query('COMMIT');
+
+      return this.getSeasonalMenuById(seasonalMenu.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[MenuManagement] Error creating seasonal menu:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getSeasonalMenus(filters = {}) {
+    let query = `
+      SELECT sm.*, COUNT(smi.id)::int as item_count
+      FROM seasonal_menus sm
+      LEFT JOIN seasonal_menu_items smi ON smi.seasonal_menu_id = sm.id
+      WHERE 1=1`;
+    const params = [];
+    let paramIndex = 1;
+
+    if (filters.location_id) {
+      query += ` AND (sm.location_id = $${paramIndex} OR sm.location_id IS NULL)`;
+      params.push(filters.location_id);
+      paramIndex++;
+    }
+
+    if (filters.menu_type) {
+      query += ` AND sm.menu_type = $${paramIndex}`;
+      params.push(filters.menu_type);
+      paramIndex++;
+    }
+
+    if (filters.on_date) {
+      query += ` AND sm.start_date <= $${paramIndex} AND (sm.end_date IS NULL OR sm.end_date >= $${paramIndex})`;
+      params.push(filters.on_date);
+      paramIndex++;
+    }
+
+    query += ' GROUP BY sm.id ORDER BY sm.start_date DESC';
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  async getSeasonalMenuById(seasonalMenuId) {
+    const result = await pool.query('SELECT * FROM seasonal_menus WHERE id = $1', [seasonalMenuId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [items, overrides] = await Promise.all([
+      pool.query(
+        `SELECT smi.*, mi.name, mi.base_price, mi.category_id
+         FROM seasonal_menu_items smi
+         JOIN menu_items mi ON mi.id = smi.menu_item_id
+         WHERE smi.seasonal_menu_id = $1
+         ORDER BY smi.display_order, mi.name`,
+        [seasonalMenuId]
+      ),
+      pool.query(
+        'SELECT * FROM seasonal_menu_location_overrides WHERE seasonal_menu_id = $1',
+        [seasonalMenuId]
+      )
+    ]);
+
+    return { ...result.rows[0], items: items.rows, location_overrides: overrides.rows };
+  }
+
+  /**
+   * Update seasonal menu dates, dayparts or status
+   */
+  async updateSeasonalMenu(seasonalMenuId, updateData, userId) {
+    const allowed = ['name', 'description', 'menu_type', 'start_date', 'end_date', 'dayparts', 'is_active'];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(updateData).filter(key => allowed.includes(key)).forEach(key => {
+      fields.push(`${key} = $${paramIndex++}`);
+      values.push(updateData[key]);
+    });
+
+    if (fields.length === 0) {
+      const error = new Error('No updatable fields provided');
+      error.status = 400;
+      throw error;
+    }
+
+    const before = await pool.query('SELECT * FROM seasonal_menus WHERE id = $1', [seasonalMenuId]);
+    if (before.rows.length === 0) {
+      const error = new Error('Seasonal menu not found');
+      error.status = 404;
+      throw error;
+    }
+
+    values.push(seasonalMenuId);
+    const result = await pool.query(
+      `UPDATE seasonal_menus SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    await AuditLogService.logUpdate('seasonal_menu', seasonalMenuId, before.rows[0], result.rows[0], userId);
+    return result.rows[0];
+  }
+
+  async addSeasonalMenuItem(seasonalMenuId, itemData, client = null) {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO seasonal_menu_items (seasonal_menu_id, menu_item_id, price_override, dayparts, display_order)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (seasonal_menu_id, menu_item_id) DO UPDATE SET
+         price_override = EXCLUDED.price_override,
+         dayparts = EXCLUDED.dayparts,
+         display_order = EXCLUDED.display_order
+       RETURNING *`,
+      [
+        seasonalMenuId,
+        itemData.menu_item_id,
+        itemData.price_override ?? null,
+        itemData.dayparts || null,
+        itemData.display_order || 0
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async removeSeasonalMenuItem(seasonalMenuId, menuItemId) {
+    const result = await pool.query(
+      'DELETE FROM seasonal_menu_items WHERE seasonal_menu_id = $1 AND menu_item_id = $2 RETURNING *',
+      [seasonalMenuId, menuItemId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Opt a location out of a seasonal menu or run it on different dates there
+   */
+  async setSeasonalMenuLocationOverride(seasonalMenuId, locationId, overrideData, userId) {
+    const result = await pool.query(
+      `INSERT INTO seasonal_menu_location_overrides (seasonal_menu_id, location_id, is_excluded, start_date, end_date)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (seasonal_menu_id, location_id) DO UPDATE SET
+         is_excluded = EXCLUDED.is_excluded,
+         start_date = EXCLUDED.start_date,
+         end_date = EXCLUDED.end_date
+       RETURNING *`,
+      [seasonalMenuId, locationId, overrideData.is_excluded === true, overrideData.start_date || null, overrideData.end_date || null]
+    );
+
+    const override = result.rows[0];
+    await AuditLogService.logCreate('seasonal_menu_location_override', override.id, override, userId, locationId);
+    return override;
+  }
+
+  /**
+   * Set a location's price, availability or dayparts for a menu item
+   */
+  async setItemLocationOverride(menuItemId, locationId, overrideData, userId) {
+    const result = await pool.query(
+      `INSERT INTO menu_item_location_overrides (menu_item_id, location_id, price_override, is_available, dayparts, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (menu_item_id, location_id) DO UPDATE SET
+         price_override = EXCLUDED.price_override,
+         is_available = EXCLUDED.is_available,
+         dayparts = EXCLUDED.dayparts,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        menuItemId,
+        locationId,
+        overrideData.price_override ?? null,
+        overrideData.is_available ?? null,
+        overrideData.dayparts || null,
+        userId
+      ]
+    );
+
+    const override = result.rows[0];
+    await AuditLogService.logCreate('menu_item_location_override', override.id, override, userId, locationId);
+    return override;
+  }
+
+  // ============================================
+  // MODIFIERS & COMBOS
+  // ============================================
+
+  /**
+   * Get modifier groups with their modifiers (global ones and the location's own)
+   */
+  async getModifierGroups(locationId = null) {
+    const result = await pool.query(
+      `SELECT g.*,
+              COALESCE(
+                json_agg(m ORDER BY m.display_order, m.name) FILTER (WHERE m.id IS NOT NULL),
+                '[]'
+              ) as modifiers
+       FROM menu_modifier_groups g
+       LEFT JOIN menu_modifiers m ON m.group_id = g.id AND m.is_active = true
+       WHERE g.is_active = true AND (g.location_id IS NULL OR g.location_id = $1)
+       GROUP BY g.id
+       ORDER BY g.display_order, g.name`,
+      [locationId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create modifier group with its modifiers
+   * (`modifiers`: [{ name, modifier_type, price_adjustment, cost_adjustment, max_quantity, is_default }])
+   */
+  async createModifierGroup(groupData, userId) {
+    const { location_id, name, description, min_selections = 0, max_selections = null, modifiers = [] } = groupData;
+    if (!name) {
+      const error = new Error('name is required');
+      error.status = 400;
+      throw error;
+    }
+    if (max_selections !== null && max_selections < Math.max(min_selections, 1)) {
+      const error = new Error('max_selections must be at least 1 and not below min_selections');
+      error.status = 400;
+      throw error;
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO menu_modifier_groups (location_id, name, description, min_selections, max_selections, display_order)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [location_id || null, name, description, min_selections, max_selections, groupData.display_order || 0]
+      );
+      const group = result.rows[0];
+
+      for (const [index, modifier] of modifiers.entries()) {
+        await this.addModifier(group.id, { display_order: index, ...modifier }, client);
+      }
+
+      await AuditLogService.logCreate('menu_modifier_group', group.id, group, userId, location_id);
+      await client.query('COMMIT');
+
+      const groups = await this.getModifierGroups(location_id || null);
+      return groups.find(candidate => candidate.id === group.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[MenuManagement] Error creating modifier group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async addModifier(groupId, modifierData, client = null) {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO menu_modifiers
+       (group_id, name, modifier_type, price_adjustment, cost_adjustment, max_quantity, is_default, display_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        groupId,
+        modifierData.name,
+        modifierData.modifier_type || 'addition',
+        modifierData.price_adjustment || 0,
+        modifierData.cost_adjustment || 0,
+        modifierData.max_quantity || 1,
+        modifierData.is_default === true,
+        modifierData.display_order || 0
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Offer a modifier group on a menu item, optionally with item-specific limits
+   */
+  async attachModifierGroup(menuItemId, groupId, limits = {}) {
+    const result = await pool.query(
+      `INSERT INTO menu_item_modifier_groups (menu_item_id, group_id, min_selections, max_selections, display_order)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (menu_item_id, group_id) DO UPDATE SET
+         min_selections = EXCLUDED.min_selections,
+         max_selections = EXCLUDED.max_selections,
+         display_order = EXCLUDED.display_order
+       RETURNING *`,
+      [menuItemId, groupId, limits.min_selections ?? null, limits.max_selections ?? null, limits.display_order || 0]
+    );
+    return result.rows[0];
+  }
+
+  async detachModifierGroup(menuItemId, groupId) {
+    const result = await pool.query(
+      'DELETE FROM menu_item_modifier_groups WHERE menu_item_id = $1 AND group_id = $2 RETURNING *',
+      [menuItemId, groupId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Replace what one unit of a modifier adds to or removes from the item's recipe
+   * (`ingredients`: [{ inventory_item_id, ingredient_name, quantity, unit }], negative = removed)
+   */
+  async setModifierIngredients(modifierId, ingredients, userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const before = await client.query('SELECT * FROM menu_modifier_ingredients WHERE modifier_id = $1', [modifierId]);
+      await client.query('DELETE FROM menu_modifier_ingredients WHERE modifier_id = $1', [modifierId]);
+
+      const rows = [];
+      for (const ingredient of ingredients) {
+        const result = await client.query(
+          `INSERT INTO menu_modifier_ingredients (modifier_id, inventory_item_id, ingredient_name, quantity, unit)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [modifierId, ingredient.inventory_item_id || null, ingredient.ingredient_name, ingredient.quantity, ingredient.unit]
+        );
+        rows.push(result.rows[0]);
+      }
+
+      await AuditLogService.logUpdate('menu_modifier_ingredients', modifierId, before.rows, rows, userId);
+      await client.query('COMMIT');
+      return rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[MenuManagement] Error setting modifier ingredients:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace a combo's components and mark the item as a combo
+   * (`components`: [{ name, min_selections, max_selections, options: [{ menu_item_id, price_delta, is_default }] }])
+   */
+  async setComboComponents(comboItemId, components, userId) {
+    for (const component of components) {
+      const min = component.min_selections ?? 1;
+      const max = component.max_selections ?? 1;
+      if (!component.name || !Array.isArray(component.options) || component.options.length === 0) {
+        const error = new Error('Each combo component needs a name and at least one option');
+        error.status = 400;
+        throw error;
+      }
+      if (max < Math.max(min, 1)) {
+        const error = new Error(`${component.name}: max_selections must be at least 1 and not below min_selections`);
+        error.status = 400;
+        throw error;
+      }
+      if (component.options.some(option => option.menu_item_id === comboItemId)) {
+        const error = new Error('A combo cannot contain itself');
+        error.status = 400;
+        throw error;
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const item = await client.query('UPDATE menu_items SET is_combo = true WHERE id = $1 RETURNING id', [comboItemId]);
+      if (item.rows.length === 0) {
+        const error = new Error('Menu item not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await client.query('DELETE FROM menu_combo_components WHERE combo_item_id = $1', [comboItemId]);
+
+      for (const [index, component] of components.entries()) {
+        const result = await client.query(
+          `INSERT INTO menu_combo_components (combo_item_id, name, min_selections, max_selections, display_order)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [comboItemId, component.name, component.min_selections ?? 1, component.max_selections ?? 1, index]
+        );
+        for (const option of component.options) {
+          await client.query(
+            `INSERT INTO menu_combo_component_options (component_id, menu_item_id, price_delta, is_default)
+             VALUES ($1, $2, $3, $4)`,
+            [result.rows[0].id, option.menu_item_id, option.price_delta || 0, option.is_default === true]
+          );
+        }
+      }
+
+      await AuditLogService.logUpdate('menu_combo', comboItemId, null, { components }, userId);
+      await client.query('COMMIT');
+
+      return this.getItemOptions(comboItemId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[MenuManagement] Error setting combo components:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Modifier groups, ungrouped modifiers and combo components offered on an item
+   */
+  async getItemOptions(menuItemId) {
+    const catalog = await this.getOrderCatalog([menuItemId]);
+    return {
+      menu_item_id: menuItemId,
+      modifier_groups: catalog.groupsByItem.get(menuItemId) || [],
+      modifiers: catalog.directByItem.get(menuItemId) || [],
+      components: catalog.componentsByItem.get(menuItemId) || []
+    };
+  }
+
+  // ============================================
+  // ORDER PRICING & INVENTORY DEPLETION
+  // ============================================
+
+  /**
+   * Load what utils/orderPricing needs to price lines for the given items: their
+   * modifier groups, ungrouped modifiers and combo components. `prices` maps item ids
+   * to the effective price at the location (see checkItemAvailability); items
+   * without one fall back to base_price.
+   */
+  async getOrderCatalog(menuItemIds, prices = new Map()) {
+    const components = await pool.query(
+      `SELECT c.id, c.combo_item_id, c.name, c.min_selections, c.max_selections,
+              o.menu_item_id, o.price_delta, o.is_default, mi.name as option_name
+       FROM menu_combo_components c
+       JOIN menu_combo_component_options o ON o.component_id = c.id
+       JOIN menu_items mi ON mi.id = o.menu_item_id
+       WHERE c.combo_item_id = ANY($1)
+       ORDER BY c.display_order, mi.name`,
+      [menuItemIds]
+    );
+
+    const allItemIds = [...new Set([...menuItemIds, ...components.rows.map(row => row.menu_item_id)])];
+
+    const [items, groups, direct] = await Promise.all([
+      pool.query('SELECT id, name, base_price, is_combo FROM menu_items WHERE id = ANY($1)', [allItemIds]),
+      pool.query(
+        `SELECT mig.menu_item_id, g.id, g.name,
+                COALESCE(mig.min_selections, g.min_selections) as min_selections,
+                COALESCE(mig.max_selections, g.max_selections) as max_selections,
+                COALESCE(
+                  json_agg(json_build_object(
+                    'id', m.id,
+                    'name', m.name,
+                    'price_adjustment', m.price_adjustment,
+                    'max_quantity', m.max_quantity,
+                    'is_default', m.is_default
+                  ) ORDER BY m.display_order, m.name) FILTER (WHERE m.id IS NOT NULL),
+                  '[]'
+                ) as modifiers
+         FROM menu_item_modifier_groups mig
+         JOIN menu_modifier_groups g ON g.id = mig.group_id AND g.is_active = true
+         LEFT JOIN menu_modifiers m ON m.group_id = g.id AND m.is_active = true
+         WHERE mig.menu_item_id = ANY($1)
+         GROUP BY mig.id, g.id
+         ORDER BY mig.display_order, g.display_order`,
+        [allItemIds]
+      ),
+      pool.query(
+        `SELECT mim.menu_item_id, m.id, m.name, m.price_adjustment,
+                COALESCE(mim.max_quantity, m.max_quantity) as max_quantity, mim.is_default
+         FROM menu_item_modifiers mim
+         JOIN menu_modifiers m ON m.id = mim.modifier_id AND m.is_active = true
+         WHERE mim.menu_item_id = ANY($1)`,
+        [allItemIds]
+      )
+    ]);
+
+    const groupBy = (rows, key, map = row => row) => {
+      const grouped = new Map();
+      for (const row of rows) {
+        if (!grouped.has(row[key])) grouped.set(row[key], []);
+        grouped.get(row[key]).push(map(row));
+      }
+      return grouped;
+    };
+
+    const componentsByItem = new Map();
+    for (const [comboItemId, rows] of groupBy(components.rows, 'combo_item_id')) {
+      const byComponent = new Map();
+      for (const row of rows) {
+        if (!byComponent.has(row.id)) {
+          byComponent.set(row.id, {
+            id: row.id,
+            name: row.name,
+            min_selections: row.min_selections,
+            max_selections: row.max_selections,
+            options: []
+          });
+        }
+        byComponent.get(row.id).options.push({
+          menu_item_id: row.menu_item_id,
+          name: row.option_name,
+          price_delta: Number(row.price_delta),
+          is_default: row.is_default
+        });
+      }
+      componentsByItem.set(comboItemId, [...byComponent.values()]);
+    }
+
+    return {
+      items: new Map(items.rows.map(item => [item.id, {
+        id: item.id,
+        name: item.name,
+        price: prices.get(item.id) ?? Number(item.base_price),
+        is_combo: item.is_combo === true
+      }])),
+      groupsByItem: groupBy(groups.rows, 'menu_item_id', ({ menu_item_id, ...group }) => group),
+      directByItem: groupBy(direct.rows, 'menu_item_id', ({ menu_item_id, ...modifier }) => modifier),
+      componentsByItem
+    };
+  }
+
+  /**
+   * Price order lines ({ menu_item_id, quantity, modifiers, components }) from the
+   * menu, using the effective prices in `availability` (checkItemAvailability result)
+   */
+  async priceOrderItems(lines, availability) {
+    const prices = new Map(availability.map(item => [item.menu_item_id, item.price]));
+    const catalog = await this.getOrderCatalog([...prices.keys()], prices);
+    return lines.map(line => priceOrderLine(line, catalog));
+  }
+
+  /**
+   * Take the ingredients of a completed online order out of the location's stock:
+   * each item's active recipe (scaled by yield), the ingredient impact of its
+   * modifiers, and the same for every combo component. Runs once per order.
+   */
+  async depleteInventoryForOrder(orderId) {
+    const client = await pool.connect();
+    const lowStock = [];
+    let depletion;
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query(
+        'SELECT id, location_id, inventory_depleted_at FROM online_orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+      const order = orderResult.rows[0];
+      if (!order) {
+        const error = new Error('Order not found');
+        error.status = 404;
+        throw error;
+      }
+      if (order.inventory_depleted_at) {
+        await client.query('COMMIT');
+        return { order_id: orderId, already_depleted: true, depletions: [] };
+      }
+
+      const linesResult = await client.query(
+        'SELECT menu_item_id, quantity, modifiers, components FROM online_order_items WHERE order_id = $1',
+        [orderId]
+      );
+      const lines = linesResult.rows.map(line => ({
+        menu_item_id: line.menu_item_id,
+        quantity: Number(line.quantity),
+        modifiers: Array.isArray(line.modifiers) ? line.modifiers : [],
+        components: Array.isArray(line.components) ? line.components : []
+      }));
+
+      const menuItemIds = [...new Set(lines.flatMap(line =>
+        [line.menu_item_id, ...line.components.map(component => component.menu_item_id)]
+      ))];
+      const modifierIds = [...new Set(lines.flatMap(line =>
+        [...line.modifiers, ...line.components.flatMap(component => component.modifiers || [])]
+          .map(modifier => modifier.modifier_id)
+          .filter(Boolean)
+      ))];
+
+      const [recipes, modifierIngredients] = await Promise.all([
+        client.query(
+          `SELECT r.menu_item_id, r.yield_quantity,
+                  COALESCE(
+                    json_agg(json_build_object(
+                      'inventory_item_id', ri.inventory_item_id,
+                      'ingredient_name', ri.ingredient_name,
+                      'quantity', ri.quantity,
+                      'unit', ri.unit
+                    )) FILTER (WHERE ri.id IS NOT NULL),
+                    '[]'
+                  ) as ingredients
+           FROM (
+             SELECT DISTINCT ON (menu_item_id) * FROM recipes
+             WHERE menu_item_id = ANY($1) AND is_active = true
+             ORDER BY menu_item_id, created_at DESC
+           ) r
+           LEFT JOIN recipe_ingredients ri ON ri.recipe_id = r.id AND ri.is_optional IS NOT TRUE
+           GROUP BY r.menu_item_id, r.yield_quantity`,
+          [menuItemIds]
+        ),
+        client.query('SELECT * FROM menu_modifier_ingredients WHERE modifier_id = ANY($1)', [modifierIds])
+      ]);
+
+      const ingredientsByModifier = new Map();
+      for (const row of modifierIngredients.rows) {
+        if (!ingredientsByModifier.has(row.modifier_id)) ingredientsByModifier.set(row.modifier_id, []);
+        ingredientsByModifier.get(row.modifier_id).push(row);
+      }
+
+      const usage = ingredientUsage(
+        lines,
+        new Map(recipes.rows.map(recipe => [recipe.menu_item_id, recipe])),
+        ingredientsByModifier
+      );
+
+      // Recipes may name another location's item (or none); use this location's
+      // stock of the same SKU or name
+      const stock = await client.query(
+        `SELECT * FROM inventory_items
+         WHERE location_id = $1 OR id = ANY($2)
+         FOR UPDATE`,
+        [order.location_id, usage.map(ingredient => ingredient.inventory_item_id).filter(Boolean)]
+      );
+      const byId = new Map(stock.rows.map(item => [item.id, item]));
+      const local = stock.rows.filter(item => item.location_id === order.location_id);
+      const resolve = (ingredient) => {
+        const linked = byId.get(ingredient.inventory_item_id);
+        if (linked && linked.location_id === order.location_id) return linked;
+        const sku = linked && linked.sku;
+        const name = ((linked && linked.name) || ingredient.ingredient_name).toLowerCase();
+        return (sku && local.find(item => item.sku === sku)) ||
+          local.find(item => item.name.toLowerCase() === name) ||
+          null;
+      };
+
+      const totals = new Map();
+      const unmatched = [];
+      for (const ingredient of usage) {
+        const item = resolve(ingredient);
+        if (!item) {
+          unmatched.push(ingredient.ingredient_name);
+          continue;
+        }
+        const current = totals.get(item.id) || { item, quantity: 0, unit: ingredient.unit };
+        current.quantity += ingredient.quantity;
+        totals.set(item.id, current);
+      }
+
+      const depletions = [];
+      for (const { item, quantity, unit } of totals.values()) {
+        const unitCost = Number(item.unit_cost) || 0;
+        const newQuantity = Math.max(0, Number(item.current_quantity) - quantity);
+
+        await client.query(
+          `UPDATE inventory_items
+           SET current_quantity = $1, total_value = $2, updated_at = NOW()
+           WHERE id = $3`,
+          [newQuantity, newQuantity * unitCost, item.id]
+        );
+        const result = await client.query(
+          `INSERT INTO inventory_depletions (order_id, inventory_item_id, location_id, quantity, unit, cost)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [orderId, item.id, order.location_id, quantity, unit || item.unit, Math.round(quantity * unitCost * 100) / 100]
+        );
+        depletions.push(result.rows[0]);
+
+        if (newQuantity <= Number(item.reorder_point)) {
+          lowStock.push({ ...item, current_quantity: newQuantity });
+        }
+      }
+
+      await client.query('UPDATE online_orders SET inventory_depleted_at = NOW() WHERE id = $1', [orderId]);
+      await client.query('COMMIT');
+
+      if (unmatched.length > 0) {
+        console.warn(`[MenuManagement] Order ${orderId}: no stock at location for ${unmatched.join(', ')}`);
+      }
+
+      depletion = { order_id: orderId, already_depleted: false, depletions, unmatched };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[MenuManagement] Error depleting inventory for order:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (lowStock.length > 0) {
+      const InventoryService = require('./InventoryService');
+      await Promise.all(lowStock.map(item => InventoryService.notifyLowStock(InventoryService.formatInventoryItem(item))));
+    }
+
+    return depletion;
+  }
 }
 
 module.exports = new MenuManagementService();
@@ -4,6 +4,8 @@
  */
 
 const pool = require('../database/pool').getPool();
+const RealtimeService = require('./RealtimeService');
+const { roomName } = require('../utils/realtimeRooms');
 
 class MessagingService {
   /**
@@ -558,28 +560,25 @@ class MessagingService {
   }
 
   /**
-   * Push message to channel members (WebSocket)
+   * Push message to channel members, except the sender's own sockets
    */
   pushMessageToChannel(channelId, message, excludeUserId) {
-    console.log(`[WebSocket] Pushing message to channel ${channelId}:`, message.id);
-    // Integration point for WebSocket service
-    // WebSocketService.emitToChannel(channelId, 'message', message, excludeUserId);
+    RealtimeService.broadcastToRoom('channel', channelId, 'message', message,
+      excludeUserId ? roomName('user', excludeUserId) : null);
   }
 
   /**
    * Push message update to channel
    */
   pushMessageUpdate(channelId, message) {
-    console.log(`[WebSocket] Pushing message update to channel ${channelId}:`, message.id);
-    // Integration point for WebSocket service
+    RealtimeService.broadcastToRoom('channel', channelId, 'message_updated', message);
   }
 
   /**
    * Push reaction update to channel
    */
   pushReactionUpdate(channelId, messageId, emoji, action) {
-    console.log(`[WebSocket] Pushing reaction ${action} to channel ${channelId}:`, messageId, emoji);
-    // Integration point for WebSocket service
+    RealtimeService.broadcastToRoom('channel', channelId, 'reaction', { messageId, emoji, action });
   }
 
   /**
@@ -2,15 +2,87 @@
  * Notification Delivery Service
  *
  * Handles email/SMS delivery via external providers (SendGrid, Twilio, etc.)
+ * Each notification_providers row selects a transport (see services/transports).
  * Part of Phase 15: Email/SMS Notification Delivery
  */
 
 const pool = require('../database/pool').getPool();
+const config = require('../config/app');
+const { createTransport, TransportError } = require('./transports');
+
+const CHANNELS = {
+  email: { table: 'email_queue', logColumn: 'email_queue_id', recipientColumn: 'to_email' },
+  sms: { table: 'sms_queue', logColumn: 'sms_queue_id', recipientColumn: 'to_phone' }
+};
+
+/**
+ * Recipient with most of it hidden, for log lines ("j***@example.com", "***4567")
+ */
+const maskRecipient = (recipient) => {
+  const value = String(recipient || '');
+  const at = value.indexOf('@');
+  if (at > 0) return `${value[0]}***${value.slice(at)}`;
+  return `***${value.slice(-4)}`;
+};
+
+// How each normalized webhook event changes its notification_delivery_log rows ($1 is the message ID)
+const LOG_UPDATES = {
+  delivered: {
+    set: `status = CASE WHEN status IN ('bounced', 'failed') THEN status ELSE 'delivered' END,
+          delivered_at = COALESCE(delivered_at, $2)`,
+    params: event => [event.occurredAt]
+  },
+  bounced: {
+    set: `status = 'bounced', bounced_at = COALESCE(bounced_at, $2), bounce_type = $3, error_message = $4`,
+    params: event => [event.occurredAt, event.bounceType, event.reason]
+  },
+  complained: {
+    set: `bounce_type = 'complaint', bounced_at = COALESCE(bounced_at, $2)`,
+    params: event => [event.occurredAt]
+  },
+  opened: {
+    set: `opened_at = COALESCE(opened_at, $2)`,
+    params: event => [event.occurredAt]
+  },
+  clicked: {
+    set: `clicked_at = COALESCE(clicked_at, $2), opened_at = COALESCE(opened_at, $2),
+          metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('clicked_url', $3::text)`,
+    params: event => [event.occurredAt, event.url]
+  },
+  failed: {
+    set: `status = 'failed', error_message = $2`,
+    params: event => [event.reason]
+  },
+  deferred: {
+    set: `error_message = $2`,
+    params: event => [event.reason]
+  }
+};
 
 class NotificationDeliveryService {
   constructor() {
     this.providers = new Map();
     this.isProcessing = false;
+    this.deliveryListeners = [];
+  }
+
+  /**
+   * Register a callback for delivery outcomes (sent, failed) and provider
+   * events (delivered, bounced, opened, ...). Called with
+   * (eventType, { channel, queueId, occurredAt, reason, url }).
+   */
+  addDeliveryListener(listener) {
+    this.deliveryListeners.push(listener);
+  }
+
+  async notifyDeliveryListeners(eventType, details) {
+    for (const listener of this.deliveryListeners) {
+      try {
+        await listener(eventType, details);
+      } catch (error) {
+        console.error(`[NotificationDelivery] Delivery listener failed for ${eventType}:`, error.message);
+      }
+    }
   }
 
   /**
@@ -31,7 +103,7 @@ class NotificationDeliveryService {
       );
 
       if (unsubResult.rows[0].unsubscribed) {
-        console.log(`[NotificationDelivery] Email ${toEmail} is unsubscribed, skipping`);
+        console.log(`[NotificationDelivery] Email ${maskRecipient(toEmail)} is unsubscribed, skipping`);
         await client.query('COMMIT');
         return null;
       }
@@ -52,7 +124,7 @@ class NotificationDeliveryService {
           priority, scheduled_for)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
          RETURNING *`,
-        [notificationId, toEmail, toName, fromEmail || 'noreply@pattyshack.com',
+        [notificationId, toEmail, toName, fromEmail || config.notifications.defaultFromEmail,
          fromName || 'PattyShack', subject, bodyHtml, bodyText, templateId,
          JSON.stringify(templateVariables || {}), providerId, priority || 5, scheduledFor]
       );
@@ -94,7 +166,7 @@ class NotificationDeliveryService {
           template_variables, provider_id, priority, scheduled_for)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
          RETURNING *`,
-        [notificationId, toPhone, fromPhone || '+1234567890', message, templateId,
+        [notificationId, toPhone, fromPhone || config.notifications.defaultFromPhone, message, templateId,
          JSON.stringify(templateVariables || {}), providerId, priority || 5, scheduledFor]
       );
 
@@ -201,71 +273,387 @@ class NotificationDeliveryService {
     }
   }
 
+  /**
+   * Deliver due emails and SMS (called by the processPendingNotifications job)
+   */
+  async processPendingNotifications(limit = config.notifications.batchSize) {
+    const email = await this.processQueue('email', limit);
+    const sms = await this.processQueue('sms', limit);
+    return { email, sms, processed: email.sent + sms.sent };
+  }
+
   /**
    * Process pending emails (called by job processor)
    */
   async processPendingEmails(limit = 10) {
     try {
-      const result = await pool.query(
-        `SELECT * FROM pending_emails WHERE is_ready = true LIMIT $1`,
-        [limit]
-      );
-
-      let processed = 0;
-      for (const email of result.rows) {
-        try {
-          await this.sendEmail(email);
-          processed++;
-        } catch (error) {
-          console.error(`[NotificationDelivery] Failed to send email ${email.id}:`, error);
-        }
-      }
-
-      return processed;
+      const result = await this.processQueue('email', limit);
+      return result.sent;
     } catch (error) {
       console.error('[NotificationDelivery] Error processing emails:', error);
       return 0;
     }
   }
 
+  /**
+   * Process pending SMS (called by job processor)
+   */
+  async processPendingSMS(limit = 10) {
+    try {
+      const result = await this.processQueue('sms', limit);
+      return result.sent;
+    } catch (error) {
+      console.error('[NotificationDelivery] Error processing SMS:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Claim due rows from a queue and hand each to its provider's transport
+   */
+  async processQueue(channel, limit) {
+    const { table } = CHANNELS[channel];
+
+    // Claim rows so concurrent workers never send the same message twice
+    const result = await pool.query(
+      `UPDATE ${table}
+       SET status = 'sending'
+       WHERE id IN (
+         SELECT id FROM ${table}
+         WHERE status = 'queued'
+           AND (scheduled_for IS NULL OR scheduled_for <= CURRENT_TIMESTAMP)
+         ORDER BY priority DESC, created_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit]
+    );
+
+    const summary = { sent: 0, retried: 0, failed: 0 };
+    for (const row of result.rows) {
+      const outcome = await this.deliver(channel, row);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send a queued email immediately (urgent alerts skip the queue wait)
+   */
+  async sendQueuedEmail(queueId) {
+    return this.sendQueued('email', queueId);
+  }
+
+  async sendQueuedSMS(queueId) {
+    return this.sendQueued('sms', queueId);
+  }
+
+  async sendQueued(channel, queueId) {
+    const { table } = CHANNELS[channel];
+    const result = await pool.query(
+      `UPDATE ${table} SET status = 'sending'
+       WHERE id = $1 AND status = 'queued'
+       RETURNING *`,
+      [queueId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return this.deliver(channel, result.rows[0]);
+  }
+
   /**
    * Send email (actual delivery via provider)
    */
   async sendEmail(email) {
+    return this.deliver('email', email);
+  }
+
+  /**
+   * Send SMS (actual delivery via provider)
+   */
+  async sendSMS(sms) {
+    return this.deliver('sms', sms);
+  }
+
+  /**
+   * Deliver one claimed queue row; returns 'sent', 'retried' or 'failed'
+   */
+  async deliver(channel, row) {
+    let provider = null;
+
     try {
-      // TODO: Implement actual provider integration (SendGrid, etc.)
-      // For now, simulate send and mark as sent
+      provider = await this.getProvider(channel, row.provider_id);
+      const transport = this.getTransport(provider);
+
+      const { messageId } = channel === 'email'
+        ? await transport.sendEmail(this.buildEmailMessage(row))
+        : await transport.sendSMS(this.buildSMSMessage(row));
+
+      await this.markSent(channel, row, provider, messageId);
+      return 'sent';
+    } catch (error) {
+      return this.markFailed(channel, row, provider, error);
+    }
+  }
+
+  buildEmailMessage(row) {
+    return {
+      id: row.id,
+      to: row.to_email,
+      toName: row.to_name,
+      from: row.from_email || config.notifications.defaultFromEmail,
+      fromName: row.from_name,
+      subject: row.subject,
+      html: row.body_html,
+      text: row.body_text
+    };
+  }
+
+  buildSMSMessage(row) {
+    return {
+      id: row.id,
+      to: row.to_phone,
+      from: row.from_phone || config.notifications.defaultFromPhone,
+      body: row.message
+    };
+  }
+
+  async markSent(channel, row, provider, messageId) {
+    const { table, logColumn, recipientColumn } = CHANNELS[channel];
+
+    await pool.query(
+      `UPDATE ${table}
+       SET status = 'sent', sent_at = CURRENT_TIMESTAMP, provider_id = $1,
+           provider_message_id = $2, error_message = NULL
+       WHERE id = $3`,
+      [provider.id, messageId, row.id]
+    );
+
+    await pool.query(
+      `INSERT INTO notification_delivery_log
+       (${logColumn}, notification_id, delivery_type, recipient, status,
+        provider_name, provider_message_id, sent_at)
+       VALUES ($1, $2, $3, $4, 'sent', $5, $6, CURRENT_TIMESTAMP)`,
+      [row.id, row.notification_id, channel, row[recipientColumn], provider.provider_name, messageId]
+    );
+
+    console.log(`[NotificationDelivery] Sent ${channel} ${row.id} via ${provider.provider_name}`);
+    await this.notifyDeliveryListeners('sent', { channel, queueId: row.id, occurredAt: new Date().toISOString() });
+  }
+
+  /**
+   * Requeue with exponential backoff, or fail for good once retries run out
+   */
+  async markFailed(channel, row, provider, error) {
+    const { table, logColumn, recipientColumn } = CHANNELS[channel];
+    const retryCount = (row.retry_count || 0) + 1;
+    const maxRetries = row.max_retries === null || row.max_retries === undefined ? 3 : row.max_retries;
+
+    if (!error.permanent && retryCount <= maxRetries) {
+      const delaySeconds = this.getRetryDelay(retryCount);
 
       await pool.query(
-        `UPDATE email_queue
-         SET status = 'sent', sent_at = CURRENT_TIMESTAMP,
-             provider_message_id = $1
-         WHERE id = $2`,
-        [`mock-${Date.now()}`, email.id]
+        `UPDATE ${table}
+         SET status = 'queued', retry_count = $1, error_message = $2,
+             scheduled_for = CURRENT_TIMESTAMP + make_interval(secs => $3)
+         WHERE id = $4`,
+        [retryCount, error.message, delaySeconds, row.id]
       );
 
-      // Log delivery
-      await pool.query(
-        `INSERT INTO notification_delivery_log
-         (email_queue_id, notification_id, delivery_type, recipient, status,
-          provider_name, sent_at)
-         VALUES ($1, $2, 'email', $3, 'sent', $4, CURRENT_TIMESTAMP)`,
-        [email.id, email.notification_id, email.to_email, email.provider_name || 'mock']
+      console.warn(`[NotificationDelivery] ${channel} ${row.id} failed (attempt ${retryCount}), retrying in ${delaySeconds}s: ${error.message}`);
+      return 'retried';
+    }
+
+    await pool.query(
+      `UPDATE ${table}
+       SET status = 'failed', failed_at = CURRENT_TIMESTAMP, retry_count = $1, error_message = $2
+       WHERE id = $3`,
+      [retryCount, error.message, row.id]
+    );
+
+    await pool.query(
+      `INSERT INTO notification_delivery_log
+       (${logColumn}, notification_id, delivery_type, recipient, status,
+        provider_name, error_message)
+       VALUES ($1, $2, $3, $4, 'failed', $5, $6)`,
+      [row.id, row.notification_id, channel, row[recipientColumn],
+       provider ? provider.provider_name : null, error.message]
+    );
+
+    console.error(`[NotificationDelivery] ${channel} ${row.id} failed permanently: ${error.message}`);
+    await this.notifyDeliveryListeners('failed', { channel, queueId: row.id, reason: error.message });
+    return 'failed';
+  }
+
+  /**
+   * Seconds to wait before retry number `retryCount` (1-based)
+   */
+  getRetryDelay(retryCount) {
+    const { retryBaseDelaySeconds, retryMaxDelaySeconds } = config.notifications;
+    return Math.min(retryBaseDelaySeconds * Math.pow(2, Math.max(retryCount - 1, 0)), retryMaxDelaySeconds);
+  }
+
+  // ===== PROVIDERS =====
+
+  /**
+   * The row's provider, or the current default when it was queued without one
+   */
+  async getProvider(channel, providerId) {
+    const result = providerId
+      ? await pool.query(
+          `SELECT * FROM notification_providers WHERE id = $1 AND is_active = true`,
+          [providerId]
+        )
+      : await pool.query(
+          `SELECT * FROM notification_providers
+           WHERE provider_type = $1 AND is_active = true
+           ORDER BY is_default DESC, created_at ASC
+           LIMIT 1`,
+          [channel]
+        );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No active ${channel} provider configured`);
+    }
+    return result.rows[0];
+  }
+
+  async getProviderByName(providerName) {
+    const result = await pool.query(
+      `SELECT * FROM notification_providers WHERE provider_name = $1`,
+      [providerName]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Transport for a provider, cached until the provider row changes
+   */
+  getTransport(provider) {
+    const version = provider.updated_at ? new Date(provider.updated_at).getTime() : 0;
+    const cached = this.providers.get(provider.id);
+    if (cached && cached.version === version) {
+      return cached.transport;
+    }
+
+    const transport = createTransport(provider, this.getProviderCredentials(provider));
+    if (!transport) {
+      throw new TransportError(
+        `Provider ${provider.provider_name} has no supported transport (config.transport)`,
+        { permanent: true }
       );
+    }
+
+    this.providers.set(provider.id, { version, transport });
+    return transport;
+  }
+
+  getProviderCredentials(provider) {
+    return {
+      apiKey: provider.api_key_encrypted || null,
+      apiSecret: provider.api_secret_encrypted || null
+    };
+  }
+
+  // ===== DELIVERY WEBHOOKS =====
+
+  /**
+   * Apply a provider delivery-status webhook (delivered, bounced, opened, ...)
+   */
+  async handleProviderWebhook(providerName, payload, { headers = {}, query = {} } = {}) {
+    const provider = await this.getProviderByName(providerName);
+    if (!provider) {
+      const error = new Error('Notification provider not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const transport = this.getTransport(provider);
+    if (!transport.verifyWebhook(headers, query)) {
+      const error = new Error('Invalid webhook token');
+      error.status = 401;
+      throw error;
+    }
+
+    const events = transport.parseWebhook(payload, headers);
+    const summary = { received: events.length, applied: 0, duplicates: 0 };
+
+    for (const event of events) {
+      const inserted = await pool.query(
+        `INSERT INTO notification_webhooks
+         (provider_id, event_type, provider_event_id, provider_message_id, payload)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (provider_id, provider_event_id) WHERE provider_event_id IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [provider.id, event.eventType, event.providerEventId, event.providerMessageId,
+         JSON.stringify(event.raw || event)]
+      );
+
+      if (inserted.rows.length === 0) {
+        summary.duplicates++;
+        continue;
+      }
+
+      const logs = await this.applyDeliveryEvent(event);
 
-      console.log(`[NotificationDelivery] Sent email ${email.id} to ${email.to_email}`);
-    } catch (error) {
-      // Mark as failed
       await pool.query(
-        `UPDATE email_queue
-         SET status = 'failed', failed_at = CURRENT_TIMESTAMP,
-             error_message = $1, retry_count = retry_count + 1
-         WHERE id = $2`,
-        [error.message, email.id]
+        `UPDATE notification_webhooks
+         SET processed = true, processed_at = CURRENT_TIMESTAMP,
+             email_queue_id = $1, sms_queue_id = $2
+         WHERE id = $3`,
+        [logs[0] ? logs[0].email_queue_id : null, logs[0] ? logs[0].sms_queue_id : null, inserted.rows[0].id]
       );
 
-      throw error;
+      if (logs.length > 0) {
+        summary.applied++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Update the delivery log rows for a normalized event; returns the updated rows
+   */
+  async applyDeliveryEvent(event) {
+    if (!event.providerMessageId || !LOG_UPDATES[event.eventType]) {
+      return [];
     }
+
+    const update = LOG_UPDATES[event.eventType];
+    const result = await pool.query(
+      `UPDATE notification_delivery_log
+       SET ${update.set}
+       WHERE provider_message_id = $1
+       RETURNING *`,
+      [event.providerMessageId, ...update.params(event)]
+    );
+
+    for (const log of result.rows) {
+      await this.notifyDeliveryListeners(event.eventType, {
+        channel: log.delivery_type,
+        queueId: log.email_queue_id || log.sms_queue_id,
+        occurredAt: event.occurredAt,
+        reason: event.reason,
+        url: event.url
+      });
+    }
+
+    // Hard bounces and spam complaints stop further email to the address
+    const suppress = event.eventType === 'complained' ||
+      (event.eventType === 'bounced' && event.bounceType === 'hard');
+
+    if (suppress) {
+      for (const log of result.rows.filter(row => row.delivery_type === 'email')) {
+        await this.unsubscribeEmail(log.recipient, event.eventType === 'complained' ? 'complaint' : 'hard_bounce');
+      }
+    }
+
+    return result.rows;
   }
 
   /**
@@ -314,7 +702,7 @@ class NotificationDeliveryService {
         [email, reason]
       );
 
-      console.log(`[NotificationDelivery] Unsubscribed: ${email}`);
+      console.log(`[NotificationDelivery] Unsubscribed: ${maskRecipient(email)}`);
     } catch (error) {
       console.error('[NotificationDelivery] Error unsubscribing:', error);
       throw error;
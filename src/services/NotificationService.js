@@ -4,6 +4,19 @@
  */
 
 const pool = require('../database/pool').getPool();
+const NotificationDeliveryService = require('./NotificationDeliveryService');
+
+// Notification priority -> email/sms queue priority (higher is sent first)
+const QUEUE_PRIORITIES = { low: 3, medium: 5, high: 8, urgent: 10 };
+
+// Priorities delivered immediately instead of waiting for the next queue run
+const IMMEDIATE_PRIORITIES = ['high', 'urgent'];
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
 class NotificationService {
   /**
@@ -78,7 +91,7 @@ class NotificationService {
 
       await client.query('COMMIT');
 
-      // Trigger real-time push (handled by WebSocket service)
+      // Trigger real-time push
       if (effectiveChannels.includes('in_app') || effectiveChannels.includes('push')) {
         this.pushRealTimeNotification(userId, notification);
       }
@@ -298,6 +311,11 @@ class NotificationService {
     const notifications = [];
 
     for (const rule of rules) {
+      // Location rules only fire for their own location's events
+      if (rule.location_id && eventData.locationId && rule.location_id !== eventData.locationId) {
+        continue;
+      }
+
       try {
         // Determine target users based on rule
         const targetUsers = await this.getTargetUsersForRule(rule, eventData);
@@ -404,7 +422,11 @@ class NotificationService {
       inventory_low: `Low Inventory: ${eventData.itemName || 'Item'}`,
       schedule_change: 'Your schedule has been updated',
       shift_reminder: `Shift starting soon`,
-      new_announcement: `New Announcement: ${eventData.announcementTitle || ''}`
+      new_announcement: `New Announcement: ${eventData.announcementTitle || ''}`,
+      task_completed: `Task Completed: ${eventData.title || ''}`,
+      invoice_approved: `Invoice Approved: ${eventData.invoiceNumber || ''}`,
+      order_status_changed: `Order ${eventData.orderNumber || ''} ${eventData.status || 'updated'}`,
+      shift_clocked_in: 'Employee clocked in'
     };
 
     return titles[eventType] || 'New Notification';
@@ -422,34 +444,92 @@ class NotificationService {
       inventory_low: `Current stock: ${eventData.currentQuantity || 0} ${eventData.unit || 'units'}. Reorder point: ${eventData.reorderPoint || 0}.`,
       schedule_change: `Your schedule for ${eventData.date || 'upcoming shifts'} has been modified.`,
       shift_reminder: `Your shift starts ${eventData.startsIn || 'soon'} at ${eventData.locationName || 'your location'}.`,
-      new_announcement: eventData.announcementSummary || 'A new announcement has been posted.'
+      new_announcement: eventData.announcementSummary || 'A new announcement has been posted.',
+      task_completed: `${eventData.title || 'A task'} was completed${eventData.completedAt ? ` at ${eventData.completedAt}` : ''}.`,
+      invoice_approved: `Invoice total of $${eventData.total || 0} was approved for payment.`,
+      order_status_changed: `Order status changed from ${eventData.previousStatus || 'unknown'} to ${eventData.status}.`,
+      shift_clocked_in: `Clocked in at ${eventData.clockInTime}${eventData.minutesLate ? ` (${eventData.minutesLate} minutes late)` : ''}.`
     };
 
     return messages[eventType] || 'You have a new notification.';
   }
 
   /**
-   * Push real-time notification via WebSocket (to be integrated)
+   * Push real-time notification to the user's sockets
    */
   async pushRealTimeNotification(userId, notification) {
-    console.log(`[WebSocket] Pushing notification to user ${userId}:`, notification.id);
-    // Integration point for WebSocket service
+    // Required lazily: RealtimeService -> LocationService -> InventoryService -> NotificationService
+    const RealtimeService = require('./RealtimeService');
+    await RealtimeService.broadcastToUser(userId, 'notification', notification);
   }
 
   /**
-   * Send email notification (to be integrated)
+   * Queue an email notification; urgent and high priority alerts are sent right away
    */
   async sendEmailNotification(userId, notification) {
-    console.log(`[Email] Sending notification to user ${userId}:`, notification.title);
-    // Integration point for email service
+    try {
+      const user = await this.getContactDetails(userId);
+      if (!user || !user.email) {
+        return null;
+      }
+
+      const actionLink = notification.action_url
+        ? `<p><a href="${escapeHtml(notification.action_url)}">${escapeHtml(notification.action_label || 'View details')}</a></p>`
+        : '';
+
+      const queued = await NotificationDeliveryService.queueEmail({
+        notificationId: notification.id,
+        toEmail: user.email,
+        toName: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+        subject: notification.title,
+        bodyHtml: `<h2>${escapeHtml(notification.title)}</h2><p>${escapeHtml(notification.message)}</p>${actionLink}`,
+        bodyText: `${notification.title}\n\n${notification.message}${notification.action_url ? `\n\n${notification.action_url}` : ''}`,
+        priority: QUEUE_PRIORITIES[notification.priority] || QUEUE_PRIORITIES.medium
+      });
+
+      if (queued && IMMEDIATE_PRIORITIES.includes(notification.priority)) {
+        await NotificationDeliveryService.sendQueuedEmail(queued.id);
+      }
+      return queued;
+    } catch (error) {
+      console.error(`[Email] Failed to queue notification ${notification.id} for user ${userId}:`, error.message);
+      return null;
+    }
   }
 
   /**
-   * Send SMS notification (to be integrated)
+   * Queue an SMS notification; urgent and high priority alerts are sent right away
    */
   async sendSMSNotification(userId, notification) {
-    console.log(`[SMS] Sending notification to user ${userId}:`, notification.title);
-    // Integration point for SMS service
+    try {
+      const user = await this.getContactDetails(userId);
+      if (!user || !user.phone) {
+        return null;
+      }
+
+      const queued = await NotificationDeliveryService.queueSMS({
+        notificationId: notification.id,
+        toPhone: user.phone,
+        message: `${notification.title}: ${notification.message}`.slice(0, 1600),
+        priority: QUEUE_PRIORITIES[notification.priority] || QUEUE_PRIORITIES.medium
+      });
+
+      if (queued && IMMEDIATE_PRIORITIES.includes(notification.priority)) {
+        await NotificationDeliveryService.sendQueuedSMS(queued.id);
+      }
+      return queued;
+    } catch (error) {
+      console.error(`[SMS] Failed to queue notification ${notification.id} for user ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  async getContactDetails(userId) {
+    const result = await pool.query(
+      `SELECT email, phone, first_name, last_name FROM users WHERE id = $1 AND active = true`,
+      [userId]
+    );
+    return result.rows[0] || null;
   }
 
   /**
@@ -1,17 +1,44 @@
 /**
  * Realtime Service
  *
- * Manages WebSocket connections, real-time events, presence tracking,
- * and live updates across the platform.
+ * Socket.IO server for live updates: connection tracking, presence, room
+ * subscriptions, typing indicators and pushes from other services
+ * (notifications, channel messages, temperature alerts).
  * Part of Phase 13: Real-time WebSocket Server
+ *
+ * Clients authenticate during the handshake with the same JWT used for the
+ * REST API (auth.token, an Authorization header or ?token=). Every socket
+ * joins its own user room; other rooms (see utils/realtimeRooms) are joined
+ * with a 'subscribe' event and are checked against the user's locations.
+ *
+ * Events reach clients as 'event' with { type, roomType, roomId, payload, timestamp }.
  */
 
 const pool = require('../database/pool').getPool();
+const config = require('../config/app');
+const AuthService = require('./AuthService');
+const LocationService = require('./LocationService');
+const { roomName, normalizeRoom, isLocationAllowed } = require('../utils/realtimeRooms');
 
 class RealtimeService {
   constructor() {
     this.io = null; // Socket.IO instance (set by server)
     this.connections = new Map(); // socketId -> connection data
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Create a Socket.IO server on the HTTP server and initialize it
+   */
+  attach(httpServer) {
+    const { Server } = require('socket.io');
+    const io = new Server(httpServer, {
+      path: config.realtime.path,
+      cors: config.cors
+    });
+
+    this.initialize(io);
+    return io;
   }
 
   /**
@@ -19,63 +46,78 @@ class RealtimeService {
    */
   initialize(io) {
     this.io = io;
-    console.log('[RealtimeService] WebSocket server initialized');
 
-    // Setup Socket.IO event handlers
-    this.setupSocketHandlers();
+    io.use((socket, next) => this.authenticateSocket(socket, next));
+    io.on('connection', (socket) => this.handleConnection(socket));
 
-    // Start cleanup interval
     this.startCleanupInterval();
+    console.log('[RealtimeService] WebSocket server initialized');
   }
 
   /**
-   * Setup Socket.IO event handlers
+   * Stop the cleanup timer and close all sockets
    */
-  setupSocketHandlers() {
-    if (!this.io) return;
+  async close() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
 
-    this.io.on('connection', async (socket) => {
-      console.log(`[WebSocket] New connection: ${socket.id}`);
+    if (this.io) {
+      await new Promise(resolve => this.io.close(() => resolve()));
+      this.io = null;
+    }
 
-      // Authentication
-      const user = await this.authenticateSocket(socket);
-      if (!user) {
-        console.log(`[WebSocket] Unauthenticated connection rejected: ${socket.id}`);
-        socket.disconnect(true);
-        return;
-      }
+    this.connections.clear();
+  }
 
-      // Register connection
-      await this.registerConnection(socket, user);
+  // ============================================
+  // CONNECTIONS
+  // ============================================
 
-      // Setup socket event listeners
-      this.setupSocketEvents(socket, user);
-    });
+  getHandshakeToken(socket) {
+    const { auth = {}, headers = {}, query = {} } = socket.handshake;
+    if (auth.token) {
+      return auth.token;
+    }
+
+    const header = headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.substring(7);
+    }
+
+    return query.token || null;
   }
 
   /**
-   * Authenticate socket connection
+   * Handshake middleware: verify the JWT and resolve the user's locations
    */
-  async authenticateSocket(socket) {
+  async authenticateSocket(socket, next) {
     try {
-      const token = socket.handshake.auth.token || socket.handshake.query.token;
-      if (!token) return null;
+      const { user } = await AuthService.verifyToken(this.getHandshakeToken(socket));
 
-      // TODO: Implement JWT verification
-      // For now, accept user_id from handshake
-      const userId = socket.handshake.auth.userId || socket.handshake.query.userId;
-      if (!userId) return null;
+      socket.data.user = user;
+      socket.data.accessibleLocationIds = await LocationService.getAccessibleLocationIds(user);
+      next();
+    } catch (error) {
+      console.log(`[WebSocket] Handshake rejected for ${socket.id}: ${error.message}`);
+      next(new Error('Authentication failed'));
+    }
+  }
 
-      const result = await pool.query(
-        `SELECT id, first_name, last_name, email, role FROM users WHERE id = $1`,
-        [userId]
-      );
+  async handleConnection(socket) {
+    const user = socket.data.user;
 
-      return result.rows[0] || null;
+    try {
+      await this.registerConnection(socket, user);
     } catch (error) {
-      console.error('[WebSocket] Auth error:', error);
-      return null;
+      socket.disconnect(true);
+      return;
     }
+
+    socket.join(roomName('user', user.id));
+    await this.joinMemberChannels(socket, user);
+    this.setupSocketEvents(socket, user);
   }
 
   /**
@@ -87,13 +129,18 @@ class RealtimeService {
       await client.query('BEGIN');
 
       const deviceType = socket.handshake.query.deviceType || 'web';
-      const locationId = socket.handshake.query.locationId || null;
       const ipAddress = socket.handshake.address;
       const deviceInfo = {
         userAgent: socket.handshake.headers['user-agent'],
         platform: socket.handshake.query.platform
       };
 
+      // The current location is only recorded when the user may see it
+      const requestedLocation = socket.handshake.query.locationId || user.locationId || null;
+      const locationId = isLocationAllowed(socket.data.accessibleLocationIds, requestedLocation)
+        ? requestedLocation
+        : null;
+
       // Insert connection record
       const connResult = await client.query(
         `INSERT INTO websocket_connections
@@ -132,13 +179,14 @@ class RealtimeService {
         connectionId: connection.id,
         user: {
           id: user.id,
-          name: `${user.first_name} ${user.last_name}`,
+          name: `${user.firstName} ${user.lastName}`,
           email: user.email
-        }
+        },
+        locationId
       });
 
       // Broadcast user online status
-      this.broadcastUserPresence(user.id, 'online');
+      this.broadcastUserPresence(user.id, 'online', null, locationId);
 
       console.log(`[WebSocket] User ${user.id} connected: ${socket.id}`);
     } catch (error) {
@@ -150,10 +198,38 @@ class RealtimeService {
     }
   }
 
+  /**
+   * Join the rooms of every channel the user belongs to
+   */
+  async joinMemberChannels(socket, user) {
+    try {
+      const result = await pool.query(
+        `SELECT cm.channel_id
+         FROM channel_members cm
+         JOIN channels c ON c.id = cm.channel_id
+         WHERE cm.user_id = $1 AND c.is_archived = false`,
+        [user.id]
+      );
+
+      const conn = this.connections.get(socket.id);
+      result.rows.forEach(row => {
+        const room = roomName('channel', row.channel_id);
+        socket.join(room);
+        if (conn) conn.subscriptions.add(room);
+      });
+    } catch (error) {
+      console.error('[WebSocket] Error joining member channels:', error);
+    }
+  }
+
   /**
    * Setup socket event listeners
    */
   setupSocketEvents(socket, user) {
+    const respond = (ack, result) => {
+      if (typeof ack === 'function') ack(result);
+    };
+
     // Ping/pong for connection health
     socket.on('ping', async () => {
       await this.updateLastPing(socket.id);
@@ -161,31 +237,31 @@ class RealtimeService {
     });
 
     // Subscribe to room
-    socket.on('subscribe', async (data) => {
-      await this.subscribeToRoom(socket, data.roomType, data.roomId);
+    socket.on('subscribe', async (data = {}, ack) => {
+      respond(ack, await this.subscribeToRoom(socket, data.roomType, data.roomId));
     });
 
     // Unsubscribe from room
-    socket.on('unsubscribe', async (data) => {
-      await this.unsubscribeFromRoom(socket, data.roomType, data.roomId);
+    socket.on('unsubscribe', async (data = {}, ack) => {
+      respond(ack, await this.unsubscribeFromRoom(socket, data.roomType, data.roomId));
     });
 
     // Typing indicator
-    socket.on('typing', async (data) => {
+    socket.on('typing', async (data = {}) => {
       await this.handleTyping(socket, user.id, data.channelId, true);
     });
 
-    socket.on('stop_typing', async (data) => {
+    socket.on('stop_typing', async (data = {}) => {
       await this.handleTyping(socket, user.id, data.channelId, false);
     });
 
     // Presence update
-    socket.on('presence', async (data) => {
+    socket.on('presence', async (data = {}) => {
       await this.updatePresence(user.id, data.status, data.statusMessage);
     });
 
     // Acknowledge event
-    socket.on('acknowledge', async (data) => {
+    socket.on('acknowledge', async (data = {}) => {
       await this.acknowledgeEvent(data.eventId, user.id);
     });
 
@@ -212,32 +288,87 @@ class RealtimeService {
     }
   }
 
+  // ============================================
+  // ROOMS
+  // ============================================
+
+  /**
+   * Whether the socket's user may join a room
+   */
+  async canJoinRoom(socket, roomType, roomId) {
+    const user = socket.data.user;
+    const accessible = socket.data.accessibleLocationIds;
+
+    switch (roomType) {
+      case 'user':
+        return roomId === user.id;
+
+      case 'location':
+      case 'dashboard':
+        return isLocationAllowed(accessible, roomId);
+
+      case 'task': {
+        const result = await pool.query('SELECT location_id FROM tasks WHERE id = $1', [roomId]);
+        return result.rows.length > 0 && isLocationAllowed(accessible, result.rows[0].location_id);
+      }
+
+      case 'channel': {
+        const result = await pool.query(
+          `SELECT c.channel_type, c.location_id, c.is_archived,
+                  EXISTS (SELECT 1 FROM channel_members cm WHERE cm.channel_id = c.id AND cm.user_id = $2) as is_member
+           FROM channels c
+           WHERE c.id = $1`,
+          [roomId, user.id]
+        );
+
+        const channel = result.rows[0];
+        if (!channel || channel.is_archived) return false;
+        if (channel.is_member) return true;
+
+        // Non-members may only follow public channels of locations they can see
+        return channel.channel_type === 'public'
+          && (!channel.location_id || isLocationAllowed(accessible, channel.location_id));
+      }
+
+      default:
+        return false;
+    }
+  }
+
   /**
    * Subscribe to room
    */
   async subscribeToRoom(socket, roomType, roomId) {
     try {
       const conn = this.connections.get(socket.id);
-      if (!conn) return;
+      if (!conn) return { success: false, error: 'Not connected' };
+
+      const room = normalizeRoom(roomType, roomId);
+      if (!(await this.canJoinRoom(socket, room.roomType, room.roomId))) {
+        socket.emit('error', { message: 'Access denied', roomType, roomId });
+        return { success: false, error: 'Access denied' };
+      }
 
       // Add to database
       await pool.query(
         `INSERT INTO websocket_subscriptions (connection_id, room_type, room_id)
          VALUES ($1, $2, $3)
          ON CONFLICT (connection_id, room_type, room_id) DO NOTHING`,
-        [conn.id, roomType, roomId]
+        [conn.id, room.roomType, room.roomId]
       );
 
       // Join Socket.IO room
-      const roomName = `${roomType}:${roomId}`;
-      socket.join(roomName);
-      conn.subscriptions.add(roomName);
+      const name = roomName(room.roomType, room.roomId);
+      socket.join(name);
+      conn.subscriptions.add(name);
 
-      socket.emit('subscribed', { roomType, roomId });
-      console.log(`[WebSocket] ${conn.userId} subscribed to ${roomName}`);
+      socket.emit('subscribed', room);
+      console.log(`[WebSocket] ${conn.userId} subscribed to ${name}`);
+      return { success: true };
     } catch (error) {
-      console.error('[WebSocket] Subscribe error:', error);
+      console.error('[WebSocket] Subscribe error:', error.message);
       socket.emit('error', { message: 'Failed to subscribe' });
+      return { success: false, error: 'Failed to subscribe' };
     }
   }
 
@@ -247,31 +378,38 @@ class RealtimeService {
   async unsubscribeFromRoom(socket, roomType, roomId) {
     try {
       const conn = this.connections.get(socket.id);
-      if (!conn) return;
+      if (!conn) return { success: false, error: 'Not connected' };
+
+      const room = normalizeRoom(roomType, roomId);
 
       // Remove from database
       await pool.query(
         `DELETE FROM websocket_subscriptions
          WHERE connection_id = $1 AND room_type = $2 AND room_id = $3`,
-        [conn.id, roomType, roomId]
+        [conn.id, room.roomType, room.roomId]
       );
 
       // Leave Socket.IO room
-      const roomName = `${roomType}:${roomId}`;
-      socket.leave(roomName);
-      conn.subscriptions.delete(roomName);
+      const name = roomName(room.roomType, room.roomId);
+      socket.leave(name);
+      conn.subscriptions.delete(name);
 
-      socket.emit('unsubscribed', { roomType, roomId });
+      socket.emit('unsubscribed', room);
+      return { success: true };
     } catch (error) {
-      console.error('[WebSocket] Unsubscribe error:', error);
+      console.error('[WebSocket] Unsubscribe error:', error.message);
+      return { success: false, error: 'Failed to unsubscribe' };
     }
   }
 
   /**
-   * Handle typing indicator
+   * Handle typing indicator (only in channels the socket has joined)
    */
   async handleTyping(socket, userId, channelId, isTyping) {
     try {
+      const conn = this.connections.get(socket.id);
+      if (!conn || !conn.subscriptions.has(roomName('channel', channelId))) return;
+
       if (isTyping) {
         // Insert/update typing indicator
         await pool.query(
@@ -301,35 +439,40 @@ class RealtimeService {
     }
   }
 
+  // ============================================
+  // PRESENCE
+  // ============================================
+
   /**
    * Update user presence
    */
   async updatePresence(userId, status, statusMessage = null) {
     try {
-      await pool.query(
+      const result = await pool.query(
         `UPDATE user_presence
          SET status = $1, status_message = $2, last_seen_at = CURRENT_TIMESTAMP
-         WHERE user_id = $3`,
+         WHERE user_id = $3
+         RETURNING current_location_id`,
         [status, statusMessage, userId]
       );
 
-      this.broadcastUserPresence(userId, status, statusMessage);
+      const locationId = result.rows.length > 0 ? result.rows[0].current_location_id : null;
+      this.broadcastUserPresence(userId, status, statusMessage, locationId);
     } catch (error) {
       console.error('[WebSocket] Presence update error:', error);
     }
   }
 
   /**
-   * Broadcast user presence change
+   * Broadcast user presence change to the user's current location
    */
-  broadcastUserPresence(userId, status, statusMessage = null) {
-    if (!this.io) return;
+  broadcastUserPresence(userId, status, statusMessage = null, locationId = null) {
+    if (!locationId) return;
 
-    this.io.emit('user_presence', {
+    this.broadcastToRoom('location', locationId, 'user_presence', {
       userId,
       status,
-      statusMessage,
-      timestamp: new Date()
+      statusMessage
     });
   }
 
@@ -370,7 +513,7 @@ class RealtimeService {
           );
 
           // Broadcast offline status
-          this.broadcastUserPresence(user.id, 'offline');
+          this.broadcastUserPresence(user.id, 'offline', null, conn.locationId);
         }
 
         this.connections.delete(socket.id);
@@ -386,12 +529,24 @@ class RealtimeService {
   }
 
   /**
-   * Broadcast to room
+   * Whether the user has a live socket on this server
    */
-  broadcastToRoom(roomType, roomId, eventType, payload, excludeSocketId = null) {
+  isUserOnline(userId) {
+    if (!this.io) return false;
+    return this.io.sockets.adapter.rooms.has(roomName('user', userId));
+  }
+
+  // ============================================
+  // PUBLISHING
+  // ============================================
+
+  /**
+   * Broadcast to room. `exclude` is a socket id or room name (e.g. 'user:<id>')
+   * whose sockets should not receive the event.
+   */
+  broadcastToRoom(roomType, roomId, eventType, payload, exclude = null) {
     if (!this.io) return;
 
-    const roomName = `${roomType}:${roomId}`;
     const event = {
       type: eventType,
       roomType,
@@ -400,35 +555,15 @@ class RealtimeService {
       timestamp: new Date()
     };
 
-    if (excludeSocketId) {
-      this.io.to(roomName).except(excludeSocketId).emit('event', event);
-    } else {
-      this.io.to(roomName).emit('event', event);
-    }
+    const target = this.io.to(roomName(roomType, roomId));
+    (exclude ? target.except(exclude) : target).emit('event', event);
   }
 
   /**
    * Broadcast to user
    */
   async broadcastToUser(userId, eventType, payload) {
-    if (!this.io) return;
-
-    // Get all active sockets for user
-    const result = await pool.query(
-      `SELECT socket_id FROM websocket_connections
-       WHERE user_id = $1 AND status = 'active'`,
-      [userId]
-    );
-
-    const event = {
-      type: eventType,
-      payload,
-      timestamp: new Date()
-    };
-
-    result.rows.forEach(row => {
-      this.io.to(row.socket_id).emit('event', event);
-    });
+    this.broadcastToRoom('user', userId, eventType, payload);
   }
 
   /**
@@ -465,10 +600,13 @@ class RealtimeService {
 
       await client.query('COMMIT');
 
-      // Broadcast to target users
+      // Broadcast to target users and locations
       if (targetUsers && targetUsers.length > 0) {
         await this.broadcastToUsers(targetUsers, eventType, payload);
       }
+      if (targetLocations && targetLocations.length > 0) {
+        targetLocations.forEach(locationId => this.broadcastToRoom('location', locationId, eventType, payload));
+      }
 
       return event;
     } catch (error) {
@@ -496,6 +634,10 @@ class RealtimeService {
     }
   }
 
+  // ============================================
+  // MONITORING
+  // ============================================
+
   /**
    * Get online users
    */
@@ -570,10 +712,14 @@ class RealtimeService {
    * Start periodic cleanup
    */
   startCleanupInterval() {
-    // Cleanup every 5 minutes
-    setInterval(() => {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(() => {
       this.cleanupStaleConnections();
-    }, 5 * 60 * 1000);
+    }, config.realtime.cleanupIntervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for cleanup
+    this.cleanupTimer.unref();
   }
 }
 
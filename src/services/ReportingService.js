@@ -0,0 +1,869 @@
+/**
+ * Reporting Service
+ * Renders report templates and chart configurations into tables and chart
+ * series, with results cached in visualization_cache
+ *
+ * Templates never contain SQL. Each one names a data source registered below,
+ * which wraps an AnalyticsService or EnhancedAnalyticsService call.
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../database/pool');
+const AnalyticsService = require('./AnalyticsService');
+const EnhancedAnalyticsService = require('./EnhancedAnalyticsService');
+const LocationService = require('./LocationService');
+
+const CHART_TYPES = ['line', 'bar', 'area', 'pie', 'donut', 'scatter', 'table'];
+const DEFAULT_CACHE_TTL_SECONDS = 900;
+
+const locationParam = { type: 'string', required: true, description: 'Location ID' };
+const dateRangeParams = {
+  locationId: locationParam,
+  startDate: { type: 'date', required: true, description: 'Start date (YYYY-MM-DD, "today" or "-Nd")' },
+  endDate: { type: 'date', required: true, default: 'today', description: 'End date (YYYY-MM-DD, "today" or "-Nd")' }
+};
+
+const DATA_SOURCES = {
+  sales_daily: {
+    description: 'Daily net sales, transactions and guests',
+    parameters: dateRangeParams,
+    fetch: async ({ locationId, startDate, endDate }) =>
+      (await EnhancedAnalyticsService.getSalesReport(locationId, startDate, endDate)).dailyBreakdown
+  },
+  labor_daily: {
+    description: 'Daily approved labor hours and cost',
+    parameters: dateRangeParams,
+    fetch: async ({ locationId, startDate, endDate }) =>
+      (await EnhancedAnalyticsService.getLaborCostReport(locationId, startDate, endDate)).dailyBreakdown
+  },
+  waste: {
+    description: 'Waste cost by date, reason and item',
+    parameters: dateRangeParams,
+    fetch: async ({ locationId, startDate, endDate }) =>
+      (await EnhancedAnalyticsService.getWasteReport(locationId, startDate, endDate)).details
+  },
+  food_cost_trend: {
+    description: 'Food cost percentage per period',
+    parameters: {
+      locationId: locationParam,
+      months: { type: 'number', default: 6, description: 'Months of history' }
+    },
+    fetch: ({ locationId, months }) => EnhancedAnalyticsService.getFoodCostTrend(locationId, months)
+  },
+  prime_cost: {
+    description: 'Prime cost (food + labor) per period',
+    parameters: dateRangeParams,
+    fetch: ({ locationId, startDate, endDate }) =>
+      EnhancedAnalyticsService.getPrimeCostAnalysis(locationId, startDate, endDate)
+  },
+  employee_productivity: {
+    description: 'Weekly sales per labor hour by employee',
+    parameters: dateRangeParams,
+    fetch: ({ locationId, startDate, endDate }) =>
+      EnhancedAnalyticsService.getEmployeeProductivity(locationId, startDate, endDate)
+  },
+  kpi_summary: {
+    description: 'Dashboard KPIs compared with the previous period',
+    parameters: {
+      locationId: locationParam,
+      period: { type: 'string', default: '7d', enum: ['24h', '7d', '30d', '90d', 'mtd', 'qtd', 'ytd'] }
+    },
+    fetch: async ({ locationId, period }) => {
+      const { kpis } = await AnalyticsService.getDashboard({ locationId, period });
+      return [
+        { metric: 'sales', current: kpis.sales.current, previous: kpis.sales.previous, change: kpis.sales.change },
+        { metric: 'food_cost', current: kpis.foodCost.current, previous: kpis.foodCost.previous, target: kpis.foodCost.target },
+        { metric: 'labor_percent', current: kpis.laborCost.laborPercent, previous: kpis.laborCost.previousPercent },
+        { metric: 'waste', current: kpis.waste.current, previous: kpis.waste.previous, change: kpis.waste.change },
+        { metric: 'compliance', current: kpis.compliance.score }
+      ];
+    }
+  },
+  sales_trend: {
+    description: 'Scheduled sales and labor cost over time',
+    parameters: {
+      locationId: locationParam,
+      period: { type: 'string', default: '30d', enum: ['24h', '7d', '30d', '90d', 'mtd', 'qtd', 'ytd'] }
+    },
+    fetch: async ({ locationId, period }) =>
+      (await AnalyticsService.getDashboard({ locationId, period })).charts.salesTrend
+  },
+  location_comparison: {
+    description: 'Metric ranked across locations',
+    parameters: {
+      metric: { type: 'string', default: 'sales', enum: ['sales', 'labor', 'compliance', 'waste'] },
+      period: { type: 'string', default: '30d', enum: ['7d', '30d', '90d', 'mtd', 'qtd', 'ytd'] }
+    },
+    allLocations: true,
+    fetch: async ({ metric, period }) =>
+      (await AnalyticsService.getLocationComparison({ metric, period })).locations
+  },
+  task_status: {
+    description: 'Task counts by status',
+    parameters: {
+      locationId: locationParam,
+      startDate: { type: 'date', default: '-30d' },
+      endDate: { type: 'date', default: 'today' }
+    },
+    fetch: async ({ locationId, startDate, endDate }) => {
+      const report = await AnalyticsService.generateReport('operations', { locationId, startDate, endDate });
+      return Object.entries(report.data.taskBreakdown.byStatus || {})
+        .map(([status, count]) => ({ status, count }));
+    }
+  }
+};
+
+class ReportingService {
+  // ===== DATA SOURCES =====
+
+  /**
+   * List registered data sources and their parameters
+   */
+  getDataSources() {
+    return Object.entries(DATA_SOURCES).map(([name, source]) => ({
+      name,
+      description: source.description,
+      parameters: source.parameters,
+      allLocations: Boolean(source.allLocations)
+    }));
+  }
+
+  /**
+   * Whether a data source spans every location (and so needs unrestricted access)
+   */
+  isAllLocationsSource(dataSource) {
+    return Boolean(DATA_SOURCES[dataSource] && DATA_SOURCES[dataSource].allLocations);
+  }
+
+  /**
+   * Resolve "today" and "-Nd" to YYYY-MM-DD
+   */
+  resolveDateValue(value) {
+    if (value instanceof Date) {
+      return value.toISOString().slice(0, 10);
+    }
+
+    const text = String(value).trim().toLowerCase();
+    const today = new Date();
+
+    if (text === 'today') {
+      return today.toISOString().slice(0, 10);
+    }
+
+    const relative = text.match(/^-(\d+)d$/);
+    if (relative) {
+      today.setUTCDate(today.getUTCDate() - parseInt(relative[1], 10));
+      return today.toISOString().slice(0, 10);
+    }
+
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+      return null;
+    }
+    return parsed.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Merge data source definitions, template defaults and request values,
+   * then validate and coerce each parameter
+   */
+  resolveParameters(dataSource, templateParameters = {}, requestParameters = {}) {
+    const source = DATA_SOURCES[dataSource];
+    if (!source) {
+      const error = new Error(`Unknown data source: ${dataSource}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const resolved = {};
+    const errors = [];
+
+    Object.entries(source.parameters).forEach(([name, definition]) => {
+      const override = templateParameters[name] || {};
+      const raw = requestParameters[name] !== undefined && requestParameters[name] !== ''
+        ? requestParameters[name]
+        : (override.default !== undefined ? override.default : definition.default);
+
+      if (raw === undefined || raw === null) {
+        if (definition.required) errors.push(`${name} is required`);
+        return;
+      }
+
+      if (definition.type === 'date') {
+        const date = this.resolveDateValue(raw);
+        if (!date) {
+          errors.push(`${name} must be a valid date`);
+          return;
+        }
+        resolved[name] = date;
+      } else if (definition.type === 'number') {
+        const number = Number(raw);
+        if (!Number.isFinite(number)) {
+          errors.push(`${name} must be a number`);
+          return;
+        }
+        resolved[name] = number;
+      } else {
+        const text = String(raw);
+        if (definition.enum && !definition.enum.includes(text)) {
+          errors.push(`${name} must be one of: ${definition.enum.join(', ')}`);
+          return;
+        }
+        resolved[name] = text;
+      }
+    });
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid report parameters: ${errors.join('; ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Reject parameters that reach outside the caller's locations.
+   * Cross-location sources require unrestricted (corporate) access.
+   */
+  async assertLocationAccess(dataSource, parameters, user) {
+    if (!user) return;
+
+    const accessible = await LocationService.getAccessibleLocationIds(user);
+    if (accessible === null) return;
+
+    const allowed = DATA_SOURCES[dataSource].allLocations
+      ? false
+      : !parameters.locationId || accessible.includes(parameters.locationId);
+
+    if (!allowed) {
+      const error = new Error('You do not have access to this location');
+      error.status = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Private templates and charts are only visible to their creator
+   */
+  canView(record, user, sharedColumn) {
+    return record[sharedColumn] !== false || this.canModify(record, user);
+  }
+
+  // ===== RENDERING =====
+
+  /**
+   * Normalize database/analytics values into JSON-friendly cells
+   */
+  normalizeRows(rows) {
+    return (rows || []).map(row => {
+      const normalized = {};
+      Object.entries(row).forEach(([key, value]) => {
+        normalized[key] = value instanceof Date ? value.toISOString() : value;
+      });
+      return normalized;
+    });
+  }
+
+  /**
+   * Infer column definitions from rows, honouring configured columns/labels
+   */
+  buildColumns(rows, configuredColumns = null) {
+    const keys = configuredColumns && configuredColumns.length > 0
+      ? configuredColumns.map(column => (typeof column === 'string' ? column : column.key))
+      : [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    return keys.map(key => {
+      const configured = (configuredColumns || []).find(column => column && column.key === key) || {};
+      const values = rows.map(row => row[key]).filter(value => value !== null && value !== undefined);
+
+      let type = 'string';
+      if (values.length > 0 && values.every(value => value !== '' && Number.isFinite(Number(value)))) {
+        type = 'number';
+      } else if (values.length > 0 && values.every(value => /^\d{4}-\d{2}-\d{2}/.test(String(value)))) {
+        type = 'date';
+      }
+
+      return {
+        key,
+        label: configured.label || key.replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase()),
+        type: configured.type || type
+      };
+    });
+  }
+
+  /**
+   * Build chart-ready labels and series.
+   *
+   * chartConfig: { type, x, y: [keys], groupBy?, sort?: 'asc' | 'desc' | 'none' }
+   * With groupBy, one series is produced per group value for y[0], summing
+   * rows that share the same x value.
+   */
+  buildChartSeries(rows, chartConfig) {
+    if (!chartConfig || !chartConfig.x || chartConfig.type === 'table') {
+      return null;
+    }
+
+    const type = chartConfig.type || 'bar';
+    const yKeys = (Array.isArray(chartConfig.y) ? chartConfig.y : [chartConfig.y]).filter(Boolean);
+    if (yKeys.length === 0) {
+      return null;
+    }
+
+    const sort = chartConfig.sort || (['line', 'area'].includes(type) ? 'asc' : 'none');
+    const compare = (a, b) => {
+      const dateA = Date.parse(a);
+      const dateB = Date.parse(b);
+      if (!Number.isNaN(dateA) && !Number.isNaN(dateB)) return dateA - dateB;
+      return String(a).localeCompare(String(b), undefined, { numeric: true });
+    };
+
+    const labels = [...new Set(rows.map(row => row[chartConfig.x]))];
+    if (sort === 'asc') labels.sort(compare);
+    if (sort === 'desc') labels.sort((a, b) => compare(b, a));
+
+    const toNumber = value => {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : 0;
+    };
+
+    let series;
+    if (chartConfig.groupBy) {
+      const groups = [...new Set(rows.map(row => row[chartConfig.groupBy]))];
+      series = groups.map(group => ({
+        name: String(group),
+        data: labels.map(label => rows
+          .filter(row => row[chartConfig.x] === label && row[chartConfig.groupBy] === group)
+          .reduce((sum, row) => sum + toNumber(row[yKeys[0]]), 0))
+      }));
+    } else {
+      series = yKeys.map(key => ({
+        name: key,
+        data: labels.map(label => rows
+          .filter(row => row[chartConfig.x] === label)
+          .reduce((sum, row) => sum + toNumber(row[key]), 0))
+      }));
+    }
+
+    if (['pie', 'donut'].includes(type)) {
+      series = series.slice(0, 1);
+    }
+
+    return { type, labels, series };
+  }
+
+  /**
+   * Fetch a data source and shape the result, using the cache when possible
+   */
+  async renderDataSource({ kind, id, chartId = null, dataSource, parameters, columns, chartConfig, ttlSeconds, refresh }) {
+    const cacheKey = this.buildCacheKey(kind, id, dataSource, parameters);
+
+    if (!refresh) {
+      const cached = await this.getCachedResult(cacheKey);
+      if (cached) {
+        return { ...cached.data, cached: true, cachedAt: cached.created_at };
+      }
+    }
+
+    const rows = this.normalizeRows(await DATA_SOURCES[dataSource].fetch(parameters));
+    const tableColumns = this.buildColumns(rows, columns);
+
+    const data = {
+      dataSource,
+      parameters,
+      table: {
+        columns: tableColumns,
+        rows: rows.map(row => Object.fromEntries(tableColumns.map(column => [column.key, row[column.key] ?? null])))
+      },
+      chart: this.buildChartSeries(rows, chartConfig),
+      rowCount: rows.length,
+      generatedAt: new Date().toISOString()
+    };
+
+    await this.setCachedResult(cacheKey, chartId, data, parameters, ttlSeconds);
+
+    return { ...data, cached: false };
+  }
+
+  /**
+   * Render a report template
+   */
+  async renderTemplate(templateId, requestParameters = {}, options = {}) {
+    const template = await this.getTemplate(templateId);
+    if (!template || (options.user && !this.canView(template, options.user, 'is_public'))) return null;
+
+    if (!template.data_source) {
+      const error = new Error('Report template has no data source');
+      error.status = 422;
+      throw error;
+    }
+
+    const parameters = this.resolveParameters(
+      template.data_source,
+      template.parameters || {},
+      { locationId: template.location_id || undefined, ...requestParameters }
+    );
+    await this.assertLocationAccess(template.data_source, parameters, options.user);
+
+    const rendered = await this.renderDataSource({
+      kind: 'template',
+      id: template.id,
+      dataSource: template.data_source,
+      parameters,
+      columns: template.columns,
+      chartConfig: template.output_format === 'table' ? null : template.chart_config,
+      ttlSeconds: template.cache_ttl_seconds || DEFAULT_CACHE_TTL_SECONDS,
+      refresh: options.refresh
+    });
+
+    return {
+      template: {
+        id: template.id,
+        name: template.name,
+        category: template.category,
+        outputFormat: template.output_format
+      },
+      ...rendered
+    };
+  }
+
+  /**
+   * Render a saved chart configuration
+   */
+  async renderChart(chartId, requestParameters = {}, options = {}) {
+    const chart = await this.getChart(chartId);
+    if (!chart || (options.user && !this.canView(chart, options.user, 'is_shared'))) return null;
+
+    const dataConfig = chart.data_config || {};
+    const parameters = this.resolveParameters(chart.data_source, chart.filters || {}, requestParameters);
+    await this.assertLocationAccess(chart.data_source, parameters, options.user);
+
+    const rendered = await this.renderDataSource({
+      kind: 'chart',
+      id: chart.id,
+      chartId: chart.id,
+      dataSource: chart.data_source,
+      parameters,
+      columns: dataConfig.columns,
+      chartConfig: { ...dataConfig, type: chart.chart_type },
+      ttlSeconds: chart.refresh_interval_seconds || DEFAULT_CACHE_TTL_SECONDS,
+      refresh: options.refresh
+    });
+
+    return {
+      chartConfiguration: {
+        id: chart.id,
+        name: chart.name,
+        chartType: chart.chart_type,
+        display: chart.display_config || {}
+      },
+      ...rendered
+    };
+  }
+
+  // ===== CACHE =====
+
+  /**
+   * Cache keys look like "template:<id>:<data source>:<parameter hash>" so
+   * entries can be invalidated per template, chart or data source
+   */
+  buildCacheKey(kind, id, dataSource, parameters) {
+    const sorted = Object.keys(parameters || {}).sort()
+      .reduce((acc, key) => ({ ...acc, [key]: parameters[key] }), {});
+    const hash = crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex').slice(0, 32);
+    return `${kind}:${id}:${dataSource}:${hash}`;
+  }
+
+  async getCachedResult(cacheKey) {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT data, created_at FROM visualization_cache WHERE cache_key = $1 AND expires_at > NOW()',
+      [cacheKey]
+    );
+    return result.rows[0] || null;
+  }
+
+  async setCachedResult(cacheKey, chartId, data, parameters, ttlSeconds) {
+    const pool = getPool();
+
+    // Drop expired entries while we are here
+    await pool.query('DELETE FROM visualization_cache WHERE expires_at <= NOW()');
+
+    await pool.query(`
+      INSERT INTO visualization_cache (cache_key, chart_id, data, parameters, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + ($5 || ' seconds')::INTERVAL)
+      ON CONFLICT (cache_key) DO UPDATE
+      SET data = EXCLUDED.data,
+          parameters = EXCLUDED.parameters,
+          expires_at = EXCLUDED.expires_at,
+          created_at = CURRENT_TIMESTAMP
+    `, [cacheKey, chartId, JSON.stringify(data), JSON.stringify(parameters), String(ttlSeconds)]);
+  }
+
+  /**
+   * Invalidate cached results by template, chart and/or data source.
+   * With no filters, the whole cache is cleared.
+   */
+  async invalidateCache({ templateId, chartId, dataSource } = {}) {
+    const pool = getPool();
+    const escape = value => String(value).replace(/[\\%_]/g, char => `\\${char}`);
+
+    const conditions = [];
+    const params = [];
+
+    if (templateId) {
+      params.push(`template:${escape(templateId)}:%`);
+      conditions.push(`cache_key LIKE $${params.length}`);
+    }
+    if (chartId) {
+      params.push(chartId);
+      conditions.push(`chart_id = $${params.length}`);
+    }
+    if (dataSource) {
+      params.push(`%:%:${escape(dataSource)}:%`);
+      conditions.push(`cache_key LIKE $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' OR ')}` : '';
+    const result = await pool.query(`DELETE FROM visualization_cache ${where}`, params);
+    return result.rowCount;
+  }
+
+  // ===== REPORT TEMPLATES =====
+
+  validateDefinition({ dataSource, chartType }) {
+    if (!DATA_SOURCES[dataSource]) {
+      const error = new Error(`Unknown data source: ${dataSource}. Available: ${Object.keys(DATA_SOURCES).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (chartType && !CHART_TYPES.includes(chartType)) {
+      const error = new Error(`Unsupported chart type: ${chartType}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  async createTemplate(templateData, userId) {
+    const pool = getPool();
+
+    this.validateDefinition({
+      dataSource: templateData.dataSource,
+      chartType: templateData.chartConfig && templateData.chartConfig.type
+    });
+
+    const result = await pool.query(`
+      INSERT INTO report_templates (
+        name, description, category, data_source, parameters, columns, output_format,
+        chart_config, is_public, location_id, cache_ttl_seconds, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      templateData.name,
+      templateData.description || null,
+      templateData.category || null,
+      templateData.dataSource,
+      JSON.stringify(templateData.parameters || {}),
+      templateData.columns ? JSON.stringify(templateData.columns) : null,
+      templateData.outputFormat || (templateData.chartConfig ? 'chart' : 'table'),
+      templateData.chartConfig ? JSON.stringify(templateData.chartConfig) : null,
+      templateData.isPublic !== undefined ? templateData.isPublic : true,
+      templateData.locationId || null,
+      templateData.cacheTtlSeconds || DEFAULT_CACHE_TTL_SECONDS,
+      userId
+    ]);
+
+    return result.rows[0];
+  }
+
+  async getTemplates(filters = {}, userId = null) {
+    const pool = getPool();
+
+    let query = 'SELECT * FROM report_templates WHERE (is_public = true OR created_by = $1)';
+    const params = [userId];
+    let paramIndex = 2;
+
+    if (filters.category) {
+      query += ` AND category = $${paramIndex++}`;
+      params.push(filters.category);
+    }
+    if (filters.dataSource) {
+      query += ` AND data_source = $${paramIndex++}`;
+      params.push(filters.dataSource);
+    }
+    if (filters.locationIds) {
+      query += ` AND (location_id IS NULL OR location_id = ANY($${paramIndex++}))`;
+      params.push(filters.locationIds);
+    }
+
+    query += ' ORDER BY category ASC NULLS LAST, name ASC';
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  async getTemplate(templateId) {
+    const pool = getPool();
+    const result = await pool.query('SELECT * FROM report_templates WHERE id = $1', [templateId]);
+    return result.rows[0] || null;
+  }
+
+  async updateTemplate(templateId, updates) {
+    const pool = getPool();
+
+    if (updates.dataSource !== undefined || (updates.chartConfig && updates.chartConfig.type)) {
+      const current = await this.getTemplate(templateId);
+      if (!current) return null;
+      this.validateDefinition({
+        dataSource: updates.dataSource || current.data_source,
+        chartType: updates.chartConfig && updates.chartConfig.type
+      });
+    }
+
+    const fields = {
+      name: updates.name,
+      description: updates.description,
+      category: updates.category,
+      data_source: updates.dataSource,
+      parameters: updates.parameters !== undefined ? JSON.stringify(updates.parameters) : undefined,
+      columns: updates.columns !== undefined ? JSON.stringify(updates.columns) : undefined,
+      output_format: updates.outputFormat,
+      chart_config: updates.chartConfig !== undefined ? JSON.stringify(updates.chartConfig) : undefined,
+      is_public: updates.isPublic,
+      location_id: updates.locationId,
+      cache_ttl_seconds: updates.cacheTtlSeconds
+    };
+
+    const setClauses = [];
+    const params = [];
+    let paramIndex = 1;
+
+    Object.entries(fields).forEach(([column, value]) => {
+      if (value !== undefined) {
+        setClauses.push(`${column} = $${paramIndex++}`);
+        params.push(value);
+      }
+    });
+
+    if (setClauses.length === 0) {
+      return this.getTemplate(templateId);
+    }
+
+    setClauses.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(templateId);
+
+    const result = await pool.query(`
+      UPDATE report_templates SET ${setClauses.join(', ')}
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) return null;
+
+    await this.invalidateCache({ templateId });
+    return result.rows[0];
+  }
+
+  async deleteTemplate(templateId) {
+    const pool = getPool();
+
+    await this.invalidateCache({ templateId });
+    const result = await pool.query('DELETE FROM report_templates WHERE id = $1 RETURNING id', [templateId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Only the creator or corporate users may change a template
+   */
+  canModify(record, user) {
+    return Boolean(user) && (record.created_by === user.id || user.role === 'corporate');
+  }
+
+  // ===== CHART CONFIGURATIONS =====
+
+  async createChart(chartData, userId) {
+    const pool = getPool();
+
+    this.validateDefinition({ dataSource: chartData.dataSource, chartType: chartData.chartType });
+
+    const result = await pool.query(`
+      INSERT INTO chart_configurations (
+        name, chart_type, data_source, data_config, display_config, filters,
+        refresh_interval_seconds, is_shared, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      chartData.name,
+      chartData.chartType,
+      chartData.dataSource,
+      JSON.stringify(chartData.dataConfig || {}),
+      JSON.stringify(chartData.displayConfig || {}),
+      JSON.stringify(chartData.filters || {}),
+      chartData.refreshIntervalSeconds || null,
+      chartData.isShared !== undefined ? chartData.isShared : true,
+      userId
+    ]);
+
+    return result.rows[0];
+  }
+
+  async getCharts(userId = null) {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT * FROM chart_configurations WHERE is_shared = true OR created_by = $1 ORDER BY name ASC',
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async getChart(chartId) {
+    const pool = getPool();
+    const result = await pool.query('SELECT * FROM chart_configurations WHERE id = $1', [chartId]);
+    return result.rows[0] || null;
+  }
+
+  async updateChart(chartId, updates) {
+    const pool = getPool();
+
+    if (updates.dataSource !== undefined || updates.chartType !== undefined) {
+      const current = await this.getChart(chartId);
+      if (!current) return null;
+      this.validateDefinition({
+        dataSource: updates.dataSource || current.data_source,
+        chartType: updates.chartType
+      });
+    }
+
+    const fields = {
+      name: updates.name,
+      chart_type: updates.chartType,
+      data_source: updates.dataSource,
+      data_config: updates.dataConfig !== undefined ? JSON.stringify(updates.dataConfig) : undefined,
+      display_config: updates.displayConfig !== undefined ? JSON.stringify(updates.displayConfig) : undefined,
+      filters: updates.filters !== undefined ? JSON.stringify(updates.filters) : undefined,
+      refresh_interval_seconds: updates.refreshIntervalSeconds,
+      is_shared: updates.isShared
+    };
+
+    const setClauses = [];
+    const params = [];
+    let paramIndex = 1;
+
+    Object.entries(fields).forEach(([column, value]) => {
+      if (value !== undefined) {
+        setClauses.push(`${column} = $${paramIndex++}`);
+        params.push(value);
+      }
+    });
+
+    if (setClauses.length === 0) {
+      return this.getChart(chartId);
+    }
+
+    setClauses.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(chartId);
+
+    const result = await pool.query(`
+      UPDATE chart_configurations SET ${setClauses.join(', ')}
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) return null;
+
+    await this.invalidateCache({ chartId });
+    return result.rows[0];
+  }
+
+  async deleteChart(chartId) {
+    const pool = getPool();
+
+    await this.invalidateCache({ chartId });
+    const result = await pool.query('DELETE FROM chart_configurations WHERE id = $1 RETURNING id', [chartId]);
+    return result.rows.length > 0;
+  }
+
+  // ===== DASHBOARD LAYOUTS =====
+
+  async getDashboardLayouts(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT * FROM dashboard_layouts
+      WHERE user_id = $1 OR is_shared = true
+      ORDER BY is_default DESC, name ASC
+    `, [userId]);
+    return result.rows;
+  }
+
+  async saveDashboardLayout(userId, layoutData, layoutId = null) {
+    const pool = getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Only one default layout per user
+      if (layoutData.isDefault) {
+        await client.query('UPDATE dashboard_layouts SET is_default = false WHERE user_id = $1', [userId]);
+      }
+
+      let result;
+      if (layoutId) {
+        result = await client.query(`
+          UPDATE dashboard_layouts
+          SET name = COALESCE($1, name),
+              description = COALESCE($2, description),
+              layout_config = COALESCE($3, layout_config),
+              widgets = COALESCE($4, widgets),
+              is_default = COALESCE($5, is_default),
+              is_shared = COALESCE($6, is_shared),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $7 AND user_id = $8
+          RETURNING *
+        `, [
+          layoutData.name || null,
+          layoutData.description || null,
+          layoutData.layoutConfig ? JSON.stringify(layoutData.layoutConfig) : null,
+          layoutData.widgets ? JSON.stringify(layoutData.widgets) : null,
+          layoutData.isDefault !== undefined ? layoutData.isDefault : null,
+          layoutData.isShared !== undefined ? layoutData.isShared : null,
+          layoutId,
+          userId
+        ]);
+      } else {
+        result = await client.query(`
+          INSERT INTO dashboard_layouts (user_id, name, description, layout_config, widgets, is_default, is_shared)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *
+        `, [
+          userId,
+          layoutData.name,
+          layoutData.description || null,
+          JSON.stringify(layoutData.layoutConfig || {}),
+          JSON.stringify(layoutData.widgets || []),
+          layoutData.isDefault || false,
+          layoutData.isShared || false
+        ]);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteDashboardLayout(userId, layoutId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'DELETE FROM dashboard_layouts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [layoutId, userId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new ReportingService();
@@ -4,6 +4,7 @@
  */
 
 const { getPool } = require('../database/pool');
+const EventBus = require('./EventBus');
 
 class ScheduleService {
   constructor() {
@@ -148,7 +149,21 @@ class ScheduleService {
     ]);
 
     if (result.rows.length === 0) return null;
-    return this.formatSchedule(result.rows[0]);
+
+    const clockedIn = this.formatSchedule(result.rows[0]);
+    EventBus.publish('shift.clocked_in', {
+      scheduleId: clockedIn.id,
+      userId: clockedIn.userId,
+      locationId: clockedIn.locationId,
+      date: clockedIn.date,
+      startTime: clockedIn.startTime,
+      position: clockedIn.position,
+      clockInTime: clockedIn.clockInTime,
+      clockInLocation: clockedIn.clockInLocation,
+      minutesLate: this.minutesLate(clockedIn.date, clockedIn.startTime, clockInTime)
+    }, { actorId: clockedIn.userId });
+
+    return clockedIn;
   }
 
   async clockOutSchedule(id, options = {}) {
@@ -390,6 +405,17 @@ class ScheduleService {
     return this.roundToTwo(Math.max(0, hours));
   }
 
+  minutesLate(date, startTime, clockInTime) {
+    const shiftDate = this.normalizeDate(date);
+    if (!shiftDate || !startTime) return 0;
+
+    const [startHours, startMinutes] = String(startTime).split(':').map(Number);
+    const shiftStart = shiftDate.getTime() + ((startHours * 60) + (startMinutes || 0)) * 60 * 1000;
+    const late = Math.floor((new Date(clockInTime).getTime() - shiftStart) / (60 * 1000));
+
+    return Number.isFinite(late) ? Math.max(0, late) : 0;
+  }
+
   calculateLaborCost(hours, hourlyRate) {
     return this.roundToTwo((hours || 0) * (hourlyRate || 0));
   }
@@ -4,6 +4,7 @@
  */
 
 const { getPool } = require('../database/pool');
+const TrainingService = require('./TrainingService');
 
 class SchedulingService {
   // ===== EMPLOYEE AVAILABILITY =====
@@ -425,6 +426,11 @@ class SchedulingService {
     const pool = getPool();
     const id = `shift-${Date.now()}-${Math.random().toString(36).substring(7)}`;
 
+    // A shift created already assigned gets the same checks as assignShift
+    if (shiftData.userId) {
+      await this.assertCanAssignNewShift(shiftData);
+    }
+
     // Calculate total hours
     const startTime = new Date(`${shiftData.shiftDate}T${shiftData.startTime}`);
     const endTime = new Date(`${shiftData.shiftDate}T${shiftData.endTime}`);
@@ -462,6 +468,41 @@ class SchedulingService {
     return result.rows[0];
   }
 
+  /**
+   * Conflict and certification checks for a shift that does not exist yet
+   */
+  async assertCanAssignNewShift(shiftData) {
+    const pool = getPool();
+
+    const overlapping = await pool.query(`
+      SELECT id FROM shifts
+      WHERE user_id = $1
+        AND shift_date = $2
+        AND start_time < $4
+        AND end_time > $3
+        AND status NOT IN ('cancelled', 'declined')
+    `, [shiftData.userId, shiftData.shiftDate, shiftData.startTime, shiftData.endTime]);
+
+    if (overlapping.rows.length > 0) {
+      const error = new Error(`Cannot assign shift: ${overlapping.rows.length} conflict(s) detected`);
+      error.status = 409;
+      throw error;
+    }
+
+    const schedule = await pool.query('SELECT location_id FROM schedules WHERE id = $1', [shiftData.scheduleId]);
+    if (schedule.rows.length === 0) {
+      const error = new Error('Schedule not found');
+      error.status = 404;
+      throw error;
+    }
+
+    await TrainingService.assertShiftCertifications(shiftData.userId, {
+      position: shiftData.position,
+      shift_date: shiftData.shiftDate,
+      location_id: schedule.rows[0].location_id
+    });
+  }
+
   async assignShift(shiftId, userId) {
     const pool = getPool();
 
@@ -476,6 +517,16 @@ class SchedulingService {
       throw new Error(`Cannot assign shift: ${conflictsResult.rows.length} conflict(s) detected`);
     }
 
+    const shift = await this.getShiftWithLocation(shiftId);
+    if (!shift) {
+      const error = new Error('Shift not found');
+      error.status = 404;
+      throw error;
+    }
+
+    // Positions can require certifications (e.g. food handler cards) that must be valid on the shift date
+    await TrainingService.assertShiftCertifications(userId, shift);
+
     // Get user's hourly rate
     const userResult = await pool.query(
       'SELECT hourly_rate FROM users WHERE id = $1',
@@ -497,6 +548,18 @@ class SchedulingService {
     return result.rows[0];
   }
 
+  async getShiftWithLocation(shiftId, db = getPool()) {
+    const result = await db.query(`
+      SELECT s.id, s.schedule_id, s.user_id, s.position, to_char(s.shift_date, 'YYYY-MM-DD') as shift_date,
+             s.start_time, s.end_time, s.status, sc.location_id
+      FROM shifts s
+      JOIN schedules sc ON sc.id = s.schedule_id
+      WHERE s.id = $1
+    `, [shiftId]);
+
+    return result.rows[0] || null;
+  }
+
   async updateShiftStatus(shiftId, status, userId = null) {
     const pool = getPool();
 
@@ -587,6 +650,11 @@ class SchedulingService {
         throw new Error('Trade must be accepted by recipient before manager approval');
       }
 
+      await TrainingService.assertShiftCertifications(trade.to_user_id, await this.getShiftWithLocation(trade.shift_id, client));
+      if (trade.trade_type === 'swap' && trade.offered_shift_id) {
+        await TrainingService.assertShiftCertifications(trade.from_user_id, await this.getShiftWithLocation(trade.offered_shift_id, client));
+      }
+
       // Update shift assignment
       await client.query(
         'UPDATE shifts SET user_id = $1 WHERE id = $2',
@@ -696,11 +764,13 @@ class SchedulingService {
 
       // Get unassigned shifts
       const unassignedResult = await client.query(`
-        SELECT * FROM shifts
-        WHERE schedule_id = $1
-          AND user_id IS NULL
-          AND status = 'scheduled'
-        ORDER BY shift_date, start_time
+        SELECT s.*, sc.location_id
+        FROM shifts s
+        JOIN schedules sc ON sc.id = s.schedule_id
+        WHERE s.schedule_id = $1
+          AND s.user_id IS NULL
+          AND s.status = 'scheduled'
+        ORDER BY s.shift_date, s.start_time
       `, [scheduleId]);
 
       const assigned = [];
@@ -729,9 +799,21 @@ class SchedulingService {
                 AND $1 <= tor.end_date
                 AND tor.status = 'approved'
             )
+            AND NOT EXISTS (
+              SELECT 1 FROM position_certification_requirements pcr
+              WHERE LOWER(pcr.position) = LOWER($4)
+                AND (pcr.location_id IS NULL OR pcr.location_id = $5)
+                AND NOT EXISTS (
+                  SELECT 1 FROM franchise_training_records ftr
+                  WHERE ftr.user_id = u.id
+                    AND ftr.program_id = pcr.program_id
+                    AND ftr.certified = TRUE
+                    AND (ftr.certification_expires_at IS NULL OR ftr.certification_expires_at >= $1::date)
+                )
+            )
           ORDER BY ea.is_preferred DESC, RANDOM()
           LIMIT 1
-        `, [shift.shift_date, shift.start_time, shift.end_time]);
+        `, [shift.shift_date, shift.start_time, shift.end_time, shift.position, shift.location_id]);
 
         if (availableResult.rows.length > 0) {
           const employee = availableResult.rows[0];
@@ -0,0 +1,459 @@
+/**
+ * Search Service
+ * Global full-text search across entity types, saved searches and search history
+ *
+ * Which tables and columns are searched, and how each column is weighted, is
+ * driven by the search_indexes table (see migrations 018, 026 and 050).
+ */
+
+const { getPool } = require('../database/pool');
+const LocationService = require('./LocationService');
+
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+const VALID_WEIGHTS = ['A', 'B', 'C', 'D'];
+const MAX_LIMIT = 100;
+
+class SearchService {
+  /**
+   * Get active search index configurations
+   */
+  async getSearchIndexes(entityTypes = null) {
+    const pool = getPool();
+
+    let query = 'SELECT * FROM search_indexes WHERE is_active = true';
+    const params = [];
+
+    if (entityTypes && entityTypes.length > 0) {
+      query += ' AND entity_type = ANY($1)';
+      params.push(entityTypes);
+    }
+
+    query += ' ORDER BY entity_type ASC';
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Turn free text into a prefix-matching tsquery ("walk in" -> "walk:* & in:*")
+   */
+  buildTsQuery(text) {
+    const terms = String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
+
+    if (!terms) return null;
+
+    return terms.slice(0, 10).map(term => `${term}:*`).join(' & ');
+  }
+
+  /**
+   * Build the weighted tsvector expression for one index configuration
+   */
+  buildVectorExpression(index, alias) {
+    const weights = index.weight_config || {};
+    const columns = (index.searchable_columns || []).filter(column => IDENTIFIER_PATTERN.test(column));
+
+    if (columns.length === 0) {
+      throw new Error(`Search index ${index.entity_type} has no valid searchable columns`);
+    }
+
+    return columns
+      .map(column => {
+        const weight = VALID_WEIGHTS.includes(weights[column]) ? weights[column] : 'D';
+        return `setweight(to_tsvector('english', COALESCE(${alias}.${column}::text, '')), '${weight}')`;
+      })
+      .join(' || ');
+  }
+
+  /**
+   * Build a display expression (title/subtitle) from configured columns
+   */
+  buildDisplayExpression(columns, alias) {
+    const valid = (columns || []).filter(column => IDENTIFIER_PATTERN.test(column));
+    if (valid.length === 0) return 'NULL::text';
+
+    return `NULLIF(CONCAT_WS(' ', ${valid.map(column => `${alias}.${column}::text`).join(', ')}), '')`;
+  }
+
+  /**
+   * Conditions leaving out soft-deleted rows, from the index's excluded_values
+   * ({ column: [values] }, e.g. { "status": ["deleted"] })
+   */
+  buildExclusionFilter(index, alias) {
+    return Object.entries(index.excluded_values || {})
+      .filter(([column]) => IDENTIFIER_PATTERN.test(column))
+      .map(([column, values]) => {
+        const valid = (Array.isArray(values) ? values : [values]).filter(value => IDENTIFIER_PATTERN.test(String(value)));
+        if (valid.length === 0) return null;
+        const list = valid.map(value => `'${value}'`).join(', ');
+        return `AND (${alias}.${column} IS NULL OR ${alias}.${column}::text <> ALL (ARRAY[${list}]))`;
+      })
+      .filter(Boolean)
+      .join('\n        ');
+  }
+
+  /**
+   * Build the SELECT for one entity type. Expects a CTE "q" holding the
+   * tsquery and the allowed location IDs (NULL for unrestricted).
+   */
+  buildEntityQuery(index) {
+    if (!IDENTIFIER_PATTERN.test(index.entity_type) || !IDENTIFIER_PATTERN.test(index.table_name)) {
+      throw new Error(`Search index ${index.entity_type} has an invalid entity type or table name`);
+    }
+
+    const alias = 'e';
+    const vector = this.buildVectorExpression(index, alias);
+    const display = index.display_columns || {};
+    const locationColumn = IDENTIFIER_PATTERN.test(index.location_column || '') ? index.location_column : null;
+    const boost = Number(index.rank_boost) || 1;
+
+    const locationExpression = locationColumn ? `${alias}.${locationColumn}::text` : 'NULL::text';
+    // Rows without a location (e.g. corporate users), and entity types with no
+    // location column, are only visible to unrestricted callers
+    const locationFilter = locationColumn
+      ? `AND (q.location_ids IS NULL OR ${alias}.${locationColumn} = ANY(q.location_ids))`
+      : 'AND q.location_ids IS NULL';
+
+    return `
+      SELECT
+        '${index.entity_type}'::text AS entity_type,
+        ${alias}.id::text AS entity_id,
+        ${this.buildDisplayExpression(display.title, alias)} AS title,
+        ${this.buildDisplayExpression(display.subtitle, alias)} AS subtitle,
+        ${locationExpression} AS location_id,
+        ${alias}.created_at AS created_at,
+        ts_rank(${vector}, q.query) * ${boost} AS rank
+      FROM ${index.table_name} ${alias}, q
+      WHERE (${vector}) @@ q.query
+        ${locationFilter}
+        ${this.buildExclusionFilter(index, alias)}
+    `;
+  }
+
+  /**
+   * Search across entity types.
+   *
+   * @param {string} queryText - Free-text query
+   * @param {object} options - { entityTypes, locationId, limit, offset }
+   * @param {object} user - Authenticated user ({ id, role, locationId })
+   */
+  async search(queryText, options = {}, user = null) {
+    const pool = getPool();
+    const startTime = Date.now();
+
+    const tsQuery = this.buildTsQuery(queryText);
+    if (!tsQuery) {
+      throw new Error('Search query must contain at least one word');
+    }
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+    const locationIds = await this.resolveLocationScope(user, options.locationId);
+
+    const indexes = await this.getSearchIndexes(options.entityTypes);
+    if (indexes.length === 0) {
+      return { query: queryText, results: [], total: 0, counts: {}, limit, offset };
+    }
+
+    const unions = indexes.map(index => this.buildEntityQuery(index)).join(' UNION ALL ');
+
+    const result = await pool.query(`
+      WITH q AS (SELECT to_tsquery('english', $1) AS query, $2::text[] AS location_ids),
+      matches AS (${unions})
+      SELECT *, COUNT(*) OVER () AS total_count,
+             (SELECT json_object_agg(entity_type, n)
+              FROM (SELECT entity_type, COUNT(*) AS n FROM matches GROUP BY entity_type) c) AS type_counts
+      FROM matches
+      ORDER BY rank DESC, created_at DESC NULLS LAST
+      LIMIT $3 OFFSET $4
+    `, [tsQuery, locationIds, limit, offset]);
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0;
+    const counts = result.rows.length > 0 ? result.rows[0].type_counts : {};
+
+    const response = {
+      query: queryText,
+      results: result.rows.map(row => this.formatResult(row)),
+      total,
+      counts,
+      limit,
+      offset
+    };
+
+    if (user && options.recordHistory !== false) {
+      await this.recordSearch(user.id, {
+        searchQuery: queryText,
+        filters: { locationId: options.locationId || null },
+        entityTypes: options.entityTypes || null,
+        resultsCount: total,
+        durationMs: Date.now() - startTime
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Work out which locations a search may return.
+   * Returns null for unrestricted, otherwise an array of location IDs.
+   */
+  async resolveLocationScope(user, requestedLocationId = null) {
+    const accessible = user ? await LocationService.getAccessibleLocationIds(user) : [];
+
+    if (!requestedLocationId) {
+      return accessible;
+    }
+
+    if (accessible !== null && !accessible.includes(requestedLocationId)) {
+      const error = new Error('You do not have access to this location');
+      error.status = 403;
+      throw error;
+    }
+
+    return [requestedLocationId];
+  }
+
+  // ===== SEARCH HISTORY =====
+
+  /**
+   * Record a search in the user's history
+   */
+  async recordSearch(userId, { searchQuery, filters, entityTypes, resultsCount, durationMs }) {
+    const pool = getPool();
+
+    try {
+      await pool.query(`
+        INSERT INTO search_history (user_id, search_query, filters, entity_types, results_count, search_duration_ms)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [userId, searchQuery, JSON.stringify(filters || {}), entityTypes, resultsCount, durationMs]);
+    } catch (error) {
+      // History is best-effort; never fail a search because of it
+      console.error('[SearchService] Error recording search history:', error.message);
+    }
+  }
+
+  /**
+   * Get a user's recent distinct searches, most recent first
+   */
+  async getRecentSearches(userId, limit = 10) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT search_query,
+             MAX(searched_at) AS last_searched_at,
+             COUNT(*) AS search_count
+      FROM search_history
+      WHERE user_id = $1
+      GROUP BY search_query
+      ORDER BY last_searched_at DESC
+      LIMIT $2
+    `, [userId, Math.min(parseInt(limit, 10) || 10, MAX_LIMIT)]);
+
+    return result.rows.map(row => ({
+      query: row.search_query,
+      lastSearchedAt: row.last_searched_at,
+      searchCount: parseInt(row.search_count, 10)
+    }));
+  }
+
+  /**
+   * Clear a user's search history
+   */
+  async clearSearchHistory(userId) {
+    const pool = getPool();
+    const result = await pool.query('DELETE FROM search_history WHERE user_id = $1', [userId]);
+    return result.rowCount;
+  }
+
+  // ===== SAVED SEARCHES =====
+
+  /**
+   * Save a search for later
+   */
+  async createSavedSearch(userId, searchData) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      INSERT INTO saved_searches (user_id, name, description, search_query, filters, entity_types, is_favorite, is_shared)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      userId,
+      searchData.name,
+      searchData.description || null,
+      searchData.query,
+      JSON.stringify(searchData.filters || {}),
+      searchData.entityTypes || null,
+      searchData.isFavorite || false,
+      searchData.isShared || false
+    ]);
+
+    return this.formatSavedSearch(result.rows[0]);
+  }
+
+  /**
+   * Get the user's own saved searches plus searches shared by others
+   */
+  async getSavedSearches(userId, filters = {}) {
+    const pool = getPool();
+
+    let query = `
+      SELECT ss.*, u.first_name AS owner_first_name, u.last_name AS owner_last_name
+      FROM saved_searches ss
+      LEFT JOIN users u ON ss.user_id = u.id
+      WHERE (ss.user_id = $1 OR ss.is_shared = true)
+    `;
+    const params = [userId];
+
+    if (filters.favoritesOnly) {
+      query += ' AND ss.is_favorite = true AND ss.user_id = $1';
+    }
+
+    query += ' ORDER BY ss.is_favorite DESC, ss.last_used_at DESC NULLS LAST, ss.created_at DESC';
+
+    const result = await pool.query(query, params);
+    return result.rows.map(row => this.formatSavedSearch(row, userId));
+  }
+
+  /**
+   * Get a saved search visible to the user
+   */
+  async getSavedSearch(id, userId) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT * FROM saved_searches
+      WHERE id = $1 AND (user_id = $2 OR is_shared = true)
+    `, [id, userId]);
+
+    if (result.rows.length === 0) return null;
+    return this.formatSavedSearch(result.rows[0], userId);
+  }
+
+  /**
+   * Update a saved search (owner only)
+   */
+  async updateSavedSearch(id, userId, updates) {
+    const pool = getPool();
+
+    const fields = {
+      name: updates.name,
+      description: updates.description,
+      search_query: updates.query,
+      filters: updates.filters !== undefined ? JSON.stringify(updates.filters) : undefined,
+      entity_types: updates.entityTypes,
+      is_favorite: updates.isFavorite,
+      is_shared: updates.isShared
+    };
+
+    const setClauses = [];
+    const params = [];
+    let paramIndex = 1;
+
+    Object.entries(fields).forEach(([column, value]) => {
+      if (value !== undefined) {
+        setClauses.push(`${column} = $${paramIndex++}`);
+        params.push(value);
+      }
+    });
+
+    if (setClauses.length === 0) {
+      return this.getSavedSearch(id, userId);
+    }
+
+    params.push(id, userId);
+    const result = await pool.query(`
+      UPDATE saved_searches
+      SET ${setClauses.join(', ')}
+      WHERE id = $${paramIndex++} AND user_id = $${paramIndex}
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) return null;
+    return this.formatSavedSearch(result.rows[0], userId);
+  }
+
+  /**
+   * Delete a saved search (owner only)
+   */
+  async deleteSavedSearch(id, userId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Run a saved search as the given user. Shared searches are still limited
+   * to the locations the running user can see.
+   */
+  async runSavedSearch(id, user, options = {}) {
+    const pool = getPool();
+
+    const saved = await this.getSavedSearch(id, user.id);
+    if (!saved) return null;
+
+    await pool.query(`
+      UPDATE saved_searches
+      SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id]);
+
+    const results = await this.search(saved.query, {
+      entityTypes: saved.entityTypes,
+      locationId: saved.filters.locationId,
+      limit: options.limit,
+      offset: options.offset
+    }, user);
+
+    return { savedSearch: saved, ...results };
+  }
+
+  /**
+   * Format search result for API response
+   */
+  formatResult(row) {
+    return {
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      title: row.title,
+      subtitle: row.subtitle,
+      locationId: row.location_id,
+      rank: parseFloat(row.rank),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format saved search for API response
+   */
+  formatSavedSearch(row, userId = null) {
+    const formatted = {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      description: row.description,
+      query: row.search_query,
+      filters: row.filters || {},
+      entityTypes: row.entity_types,
+      isFavorite: row.is_favorite,
+      isShared: row.is_shared,
+      isOwner: userId ? row.user_id === userId : undefined,
+      useCount: row.use_count,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at
+    };
+
+    if (row.owner_first_name !== undefined) {
+      formatted.ownerName = [row.owner_first_name, row.owner_last_name].filter(Boolean).join(' ');
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new SearchService();
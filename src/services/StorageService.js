@@ -0,0 +1,370 @@
+/**
+ * Storage Service
+ * Uploads, thumbnails and signed download links for files kept in object storage
+ *
+ * Task photos, annotation renderings, compliance documents and invoice scans are
+ * written to the configured backend (local disk or S3-compatible) and described by
+ * a stored_files row. Records that own files keep a stable reference
+ * (/api/v1/files/:id) instead of the file contents; clients exchange it for a
+ * short-lived signed URL.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getPool } = require('../database/pool');
+const config = require('../config/app');
+const { createStorage, StorageError } = require('./storage');
+const { detectContentType, extensionFor, isImage, sanitizeFilename } = require('../utils/fileTypes');
+
+const createError = (message, status) => new StorageError(message, status);
+
+const DATA_URL_PATTERN = /^data:([\w/+.-]+);base64,(.*)$/s;
+
+class StorageService {
+  constructor() {
+    this.backends = new Map();
+  }
+
+  /**
+   * Backend instance for a key (defaults to the configured backend)
+   */
+  getBackend(key = config.storage.backend) {
+    if (!this.backends.has(key)) {
+      this.backends.set(key, createStorage(key, config.storage[key] || {}));
+    }
+    return this.backends.get(key);
+  }
+
+  // ===== UPLOADS =====
+
+  /**
+   * Check an upload against the limits for its kind. Returns the content type
+   * detected from the file bytes.
+   */
+  validateUpload(file, kind) {
+    const rules = config.storage.kinds[kind];
+    if (!rules) {
+      throw createError(`Unknown upload kind: ${kind}`, 400);
+    }
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw createError('No file provided', 400);
+    }
+    if (file.buffer.length > rules.maxSize) {
+      throw createError(`File is too large (max ${Math.round(rules.maxSize / (1024 * 1024))} MB)`, 413);
+    }
+
+    const contentType = detectContentType(file.buffer);
+    if (!contentType || !rules.types.includes(contentType)) {
+      throw createError(`Unsupported file type. Allowed: ${rules.types.join(', ')}`, 400);
+    }
+
+    return contentType;
+  }
+
+  /**
+   * Validate and store a multer-style file ({ buffer, originalname }).
+   * Images also get a JPEG thumbnail.
+   */
+  async storeFile(file, { kind, ownerId = null, locationId = null, uploadedBy = null, metadata = {} }) {
+    const contentType = this.validateUpload(file, kind);
+    const backend = this.getBackend();
+
+    const id = `file-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const now = new Date();
+    const prefix = `${kind}/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+    const storageKey = `${prefix}/${id}.${extensionFor(contentType)}`;
+
+    const image = isImage(contentType) ? await this.processImage(file.buffer) : null;
+    const thumbnailKey = image ? `${prefix}/thumbs/${id}.jpg` : null;
+
+    await backend.putObject(storageKey, file.buffer, { contentType });
+
+    try {
+      if (image) {
+        await backend.putObject(thumbnailKey, image.thumbnail, { contentType: 'image/jpeg' });
+      }
+
+      const pool = getPool();
+      const result = await pool.query(`
+        INSERT INTO stored_files (
+          id, storage_backend, storage_key, thumbnail_key, original_filename, content_type,
+          size_bytes, checksum_sha256, width, height, owner_type, owner_id, location_id,
+          uploaded_by, metadata
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *
+      `, [
+        id,
+        backend.key,
+        storageKey,
+        thumbnailKey,
+        sanitizeFilename(file.originalname, `${id}.${extensionFor(contentType)}`),
+        contentType,
+        file.buffer.length,
+        crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        image ? image.width : null,
+        image ? image.height : null,
+        kind,
+        ownerId,
+        locationId,
+        uploadedBy,
+        JSON.stringify(metadata)
+      ]);
+
+      return this.formatFile(result.rows[0]);
+    } catch (error) {
+      await Promise.all([storageKey, thumbnailKey].filter(Boolean).map(key =>
+        backend.deleteObject(key).catch(() => null)
+      ));
+      throw error;
+    }
+  }
+
+  /**
+   * Dimensions and a thumbnail that fits config.storage.thumbnail (EXIF rotation applied)
+   */
+  async processImage(buffer) {
+    const { width, height, quality } = config.storage.thumbnail;
+
+    try {
+      const { info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+      const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(width, height, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality })
+        .toBuffer();
+
+      return { width: info.width, height: info.height, thumbnail };
+    } catch (error) {
+      throw createError(`Image could not be read: ${error.message}`, 400);
+    }
+  }
+
+  /**
+   * Store a base64 data: URL (the format task photos used to be saved in)
+   */
+  async storeDataUrl(dataUrl, options) {
+    const match = DATA_URL_PATTERN.exec(dataUrl || '');
+    if (!match) {
+      throw createError('Not a base64 data URL', 400);
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    return this.storeFile({ buffer, originalname: `upload.${extensionFor(detectContentType(buffer))}` }, options);
+  }
+
+  /**
+   * Link a stored file to the record that owns it
+   */
+  async assignOwner(fileId, ownerId, db = getPool()) {
+    await db.query('UPDATE stored_files SET owner_id = $1 WHERE id = $2', [ownerId, fileId]);
+  }
+
+  // ===== REFERENCES & DOWNLOADS =====
+
+  /**
+   * Stable reference saved on owning records in place of the file itself
+   */
+  fileReference(fileId) {
+    return `${config.apiPrefix}/files/${fileId}`;
+  }
+
+  /**
+   * File id from a reference, or null for anything else (legacy URLs, data: URLs)
+   */
+  parseFileReference(reference) {
+    const prefix = `${config.apiPrefix}/files/`;
+    if (typeof reference !== 'string' || !reference.startsWith(prefix)) {
+      return null;
+    }
+    const id = reference.substring(prefix.length).split(/[/?#]/)[0];
+    return id || null;
+  }
+
+  async getFile(fileId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT * FROM stored_files WHERE id = $1 AND deleted_at IS NULL',
+      [fileId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getFilesForOwner(ownerType, ownerId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT * FROM stored_files
+      WHERE owner_type = $1 AND owner_id = $2 AND deleted_at IS NULL
+      ORDER BY created_at
+    `, [ownerType, ownerId]);
+    return result.rows;
+  }
+
+  /**
+   * File metadata plus signed URLs for the original and (for images) the thumbnail
+   */
+  async getSignedFile(row, { expiresIn = config.storage.signedUrlTtlSeconds } = {}) {
+    const backend = this.getBackend(row.storage_backend);
+    const original = await backend.getSignedUrl(row.storage_key, {
+      expiresIn,
+      filename: row.original_filename,
+      contentType: row.content_type
+    });
+    const thumbnail = row.thumbnail_key
+      ? await backend.getSignedUrl(row.thumbnail_key, { expiresIn, contentType: 'image/jpeg' })
+      : null;
+
+    return {
+      ...this.formatFile(row),
+      url: original.url,
+      thumbnailUrl: thumbnail ? thumbnail.url : null,
+      expiresAt: original.expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Resolve a list of references (e.g. tasks.photo_urls) to signed files.
+   * Entries that are not file references are passed through as plain URLs.
+   */
+  async signReferences(references = []) {
+    return Promise.all(references.map(async reference => {
+      const fileId = this.parseFileReference(reference);
+      const row = fileId ? await this.getFile(fileId) : null;
+      return row ? this.getSignedFile(row) : { id: null, url: reference, thumbnailUrl: null };
+    }));
+  }
+
+  /**
+   * Contents behind a local signed download link
+   */
+  async readSignedDownload(params) {
+    const backend = this.getBackend('local');
+    if (!backend.verifySignedUrl(params)) {
+      throw createError('Download link is invalid or has expired', 403);
+    }
+
+    const data = await backend.getObject(params.key);
+    return { data, contentType: detectContentType(data) || 'application/octet-stream' };
+  }
+
+  /**
+   * Soft-delete the row and remove the stored objects
+   */
+  async deleteFile(fileId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'UPDATE stored_files SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+      [fileId]
+    );
+    const row = result.rows[0];
+    if (!row) {
+      return false;
+    }
+
+    const backend = this.getBackend(row.storage_backend);
+    await Promise.all([row.storage_key, row.thumbnail_key].filter(Boolean).map(key => backend.deleteObject(key)));
+    return true;
+  }
+
+  // ===== LEGACY DATA MIGRATION =====
+
+  /**
+   * Job handler: move base64 data: URLs out of tasks.photo_urls and
+   * task_photo_annotations.photo_url into storage
+   */
+  async migrateInlineFiles({ limit = config.storage.inlineMigrationBatchSize } = {}) {
+    const pool = getPool();
+    const summary = { tasks: 0, photos: 0, annotations: 0, failed: 0 };
+
+    // Page by id so rows that keep failing do not block the rest
+    let lastTaskId = '';
+    for (;;) {
+      const tasks = await pool.query(`
+        SELECT id, location_id, photo_urls FROM tasks
+        WHERE id > $1
+          AND EXISTS (SELECT 1 FROM jsonb_array_elements_text(photo_urls) url WHERE url LIKE 'data:%')
+        ORDER BY id
+        LIMIT $2
+      `, [lastTaskId, limit]);
+
+      for (const task of tasks.rows) {
+        const photoUrls = [];
+        for (const url of task.photo_urls) {
+          if (!url.startsWith('data:')) {
+            photoUrls.push(url);
+            continue;
+          }
+          try {
+            const file = await this.storeDataUrl(url, { kind: 'task_photo', ownerId: task.id, locationId: task.location_id });
+            photoUrls.push(this.fileReference(file.id));
+            summary.photos++;
+          } catch (error) {
+            console.error(`[StorageService] Could not migrate photo on task ${task.id}:`, error.message);
+            photoUrls.push(url);
+            summary.failed++;
+          }
+        }
+
+        await pool.query('UPDATE tasks SET photo_urls = $1 WHERE id = $2', [JSON.stringify(photoUrls), task.id]);
+        summary.tasks++;
+        lastTaskId = task.id;
+      }
+
+      if (tasks.rows.length < limit) break;
+    }
+
+    let lastAnnotationId = '';
+    for (;;) {
+      const annotations = await pool.query(`
+        SELECT a.id, a.task_id, a.photo_url, t.location_id
+        FROM task_photo_annotations a
+        JOIN tasks t ON t.id = a.task_id
+        WHERE a.id > $1 AND a.photo_url LIKE 'data:%'
+        ORDER BY a.id
+        LIMIT $2
+      `, [lastAnnotationId, limit]);
+
+      for (const annotation of annotations.rows) {
+        lastAnnotationId = annotation.id;
+        try {
+          const file = await this.storeDataUrl(annotation.photo_url, {
+            kind: 'task_photo',
+            ownerId: annotation.task_id,
+            locationId: annotation.location_id
+          });
+          await pool.query(
+            'UPDATE task_photo_annotations SET photo_url = $1, file_id = $2 WHERE id = $3',
+            [this.fileReference(file.id), file.id, annotation.id]
+          );
+          summary.annotations++;
+        } catch (error) {
+          console.error(`[StorageService] Could not migrate annotation ${annotation.id}:`, error.message);
+          summary.failed++;
+        }
+      }
+
+      if (annotations.rows.length < limit) break;
+    }
+
+    return summary;
+  }
+
+  formatFile(row) {
+    return {
+      id: row.id,
+      reference: this.fileReference(row.id),
+      filename: row.original_filename,
+      contentType: row.content_type,
+      size: Number(row.size_bytes),
+      width: row.width,
+      height: row.height,
+      hasThumbnail: Boolean(row.thumbnail_key),
+      ownerType: row.owner_type,
+      ownerId: row.owner_id,
+      locationId: row.location_id,
+      uploadedBy: row.uploaded_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new StorageService();
@@ -4,6 +4,8 @@
  */
 
 const { getPool } = require('../database/pool');
+const StorageService = require('./StorageService');
+const EventBus = require('./EventBus');
 const { v4: uuidv4 } = require('crypto').randomUUID ? { v4: () => require('crypto').randomUUID() } : require('crypto');
 
 class TaskService {
@@ -172,6 +174,8 @@ class TaskService {
         return null;
       }
 
+      const photos = await this.storeInlinePhotos(task, completionData.photos || [], completionData.userId);
+
       // Check if task dependencies are met (unless force flag is set)
       if (!completionData.force) {
         const readinessCheck = await client.query(`
@@ -202,7 +206,7 @@ class TaskService {
         RETURNING *
       `, [
         completionData.userId,
-        JSON.stringify(completionData.photos || []),
+        JSON.stringify(photos),
         completionData.signature || null,
         completionData.notes || '',
         id
@@ -216,7 +220,19 @@ class TaskService {
       // Commit transaction
       await client.query('COMMIT');
 
-      return this.formatTask(result.rows[0]);
+      const completed = this.formatTask(result.rows[0]);
+      EventBus.publish('task.completed', {
+        taskId: completed.id,
+        title: completed.title,
+        type: completed.type,
+        locationId: completed.locationId,
+        assignedTo: completed.assignedTo,
+        completedBy: completed.completedBy,
+        completedAt: completed.completedAt,
+        recurring: Boolean(completed.recurring)
+      }, { actorId: completionData.userId });
+
+      return completed;
     } catch (error) {
       // Rollback on error
       await client.query('ROLLBACK');
@@ -384,12 +400,14 @@ class TaskService {
     };
   }
 
-  async addPhoto(taskId, photoUrl) {
+  /**
+   * Store an uploaded photo and append its file reference to the task
+   */
+  async addPhoto(taskId, file, { uploadedBy = null } = {}) {
     const pool = getPool();
 
-    // Get current task to append to existing photos
     const taskResult = await pool.query(
-      'SELECT photo_urls FROM tasks WHERE id = $1',
+      'SELECT location_id FROM tasks WHERE id = $1',
       [taskId]
     );
 
@@ -397,18 +415,128 @@ class TaskService {
       return null;
     }
 
-    const currentPhotos = taskResult.rows[0].photo_urls || [];
-    const updatedPhotos = [...currentPhotos, photoUrl];
+    const photo = await StorageService.storeFile(file, {
+      kind: 'task_photo',
+      ownerId: taskId,
+      locationId: taskResult.rows[0].location_id,
+      uploadedBy
+    });
 
     const result = await pool.query(
       `UPDATE tasks
-       SET photo_urls = $1, updated_at = CURRENT_TIMESTAMP
+       SET photo_urls = COALESCE(photo_urls, '[]'::jsonb) || jsonb_build_array($1::text),
+           updated_at = CURRENT_TIMESTAMP
        WHERE id = $2
        RETURNING *`,
-      [JSON.stringify(updatedPhotos), taskId]
+      [photo.reference, taskId]
     );
 
-    return result.rows.length > 0 ? this.formatTask(result.rows[0]) : null;
+    return {
+      task: this.formatTask(result.rows[0]),
+      photo: await StorageService.getSignedFile(await StorageService.getFile(photo.id))
+    };
+  }
+
+  /**
+   * Task photos with signed URLs and thumbnails
+   */
+  async getTaskPhotos(taskId) {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      return null;
+    }
+    return StorageService.signReferences(task.photoUrls);
+  }
+
+  /**
+   * Move any base64 data: URLs a client sent with a completion into storage
+   */
+  async storeInlinePhotos(task, photos, uploadedBy) {
+    return Promise.all(photos.map(async photo => {
+      if (typeof photo !== 'string' || !photo.startsWith('data:')) {
+        return photo;
+      }
+      const file = await StorageService.storeDataUrl(photo, {
+        kind: 'task_photo',
+        ownerId: task.id,
+        locationId: task.locationId,
+        uploadedBy: uploadedBy || null
+      });
+      return file.reference;
+    }));
+  }
+
+  /**
+   * Annotate one of the task's stored photos. The photo is given as a file id or
+   * reference (a legacy data: URL is stored first); an annotated rendering may be
+   * uploaded alongside the annotation data.
+   */
+  async addPhotoAnnotation(taskId, { fileId, photoUrl, annotations, annotatedBy, image }) {
+    const pool = getPool();
+
+    const taskResult = await pool.query('SELECT location_id FROM tasks WHERE id = $1', [taskId]);
+    if (taskResult.rows.length === 0) {
+      return null;
+    }
+    const locationId = taskResult.rows[0].location_id;
+
+    let photo;
+    if (!fileId && typeof photoUrl === 'string' && photoUrl.startsWith('data:')) {
+      photo = await StorageService.storeDataUrl(photoUrl, { kind: 'task_photo', ownerId: taskId, locationId, uploadedBy: annotatedBy });
+    } else {
+      const row = await StorageService.getFile(fileId || StorageService.parseFileReference(photoUrl));
+      if (!row || row.owner_type !== 'task_photo' || row.owner_id !== taskId) {
+        const error = new Error('Annotations must reference a photo stored on this task');
+        error.status = 400;
+        throw error;
+      }
+      photo = StorageService.formatFile(row);
+    }
+
+    const rendering = image
+      ? await StorageService.storeFile(image, { kind: 'photo_annotation', ownerId: taskId, locationId, uploadedBy: annotatedBy })
+      : null;
+
+    const annotationId = `ann-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const result = await pool.query(`
+      INSERT INTO task_photo_annotations (id, task_id, photo_url, file_id, annotated_file_id, annotations, annotated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      annotationId,
+      taskId,
+      photo.reference,
+      photo.id,
+      rendering ? rendering.id : null,
+      JSON.stringify(annotations),
+      annotatedBy || null
+    ]);
+
+    if (rendering) {
+      await StorageService.assignOwner(rendering.id, annotationId);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Photo annotations with signed URLs for the photo and any annotated rendering
+   */
+  async getPhotoAnnotations(taskId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT * FROM task_photo_annotations
+      WHERE task_id = $1
+      ORDER BY annotated_at DESC
+    `, [taskId]);
+
+    return Promise.all(result.rows.map(async annotation => {
+      const [photo, rendering] = await Promise.all([annotation.file_id, annotation.annotated_file_id].map(async id => {
+        const row = id ? await StorageService.getFile(id) : null;
+        return row ? StorageService.getSignedFile(row) : null;
+      }));
+      return { ...annotation, photo, annotatedImage: rendering };
+    }));
   }
 
   async createBulkTasks(tasksData) {
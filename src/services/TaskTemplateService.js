@@ -271,7 +271,7 @@ class TaskTemplateService {
     return await TaskService.createBulkTasks(tasksData);
   }
 
-  async getTemplateUsageStats(templateId) {
+  async getTemplateUsageStats(templateId, locationId = null) {
     const pool = getPool();
 
     const result = await pool.query(`
@@ -283,7 +283,8 @@ class TaskTemplateService {
         AVG(EXTRACT(EPOCH FROM (completed_at - created_at)) / 60) as avg_completion_time_minutes
       FROM tasks
       WHERE template_id = $1
-    `, [templateId]);
+        AND ($2::VARCHAR IS NULL OR location_id = $2)
+    `, [templateId, locationId]);
 
     return result.rows[0] || {
       total_uses: 0,
@@ -4,6 +4,7 @@
  */
 
 const { getPool } = require('../database/pool');
+const EventBus = require('./EventBus');
 
 class TemperatureService {
   constructor() {
@@ -235,7 +236,21 @@ class TemperatureService {
       alert.threshold_max, alert.direction, alert.status, alert.severity, alert.notes
     ]);
 
-    return this.formatAlert(result.rows[0]);
+    const created = this.formatAlert(result.rows[0]);
+
+    EventBus.publish('temperature.out_of_range', {
+      alertId: created.id,
+      temperatureLogId: created.temperatureLogId,
+      locationId: created.locationId,
+      equipmentId: created.equipmentId,
+      equipmentType: created.equipmentType,
+      temperature: created.temperature,
+      threshold: created.threshold,
+      direction: created.direction,
+      severity: created.severity
+    }, { actorId: logRow.recorded_by });
+
+    return created;
   }
 
   async acknowledgeAlert(id, { acknowledgedBy, note } = {}) {
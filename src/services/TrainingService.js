@@ -0,0 +1,737 @@
+/**
+ * Training Service
+ * Franchise training programs, module completions, certifications and expiry reminders
+ */
+
+const { getPool } = require('../database/pool');
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class TrainingService {
+  // ============================================
+  // PROGRAMS & MODULES
+  // ============================================
+
+  /**
+   * Create a program with its modules (`modules` in order)
+   */
+  async createProgram(programData, userId) {
+    if (!programData.program_name) {
+      throw createError('program_name is required', 400);
+    }
+
+    const pool = getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO training_programs (
+          brand_id, program_name, program_type, description, duration_hours,
+          is_mandatory, is_online, certification_required, certification_name,
+          certification_valid_months, passing_score, reminder_days, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *`,
+        [
+          programData.brand_id || null,
+          programData.program_name,
+          programData.program_type,
+          programData.description,
+          programData.duration_hours,
+          programData.is_mandatory !== false,
+          programData.is_online === true,
+          programData.certification_required === true,
+          programData.certification_name || null,
+          programData.certification_valid_months || null,
+          programData.passing_score ?? 70,
+          programData.reminder_days || [30, 7, 1],
+          userId
+        ]
+      );
+
+      const program = result.rows[0];
+      const modules = [];
+      for (const [index, moduleData] of (programData.modules || []).entries()) {
+        modules.push(await this.insertModule(client, program.id, { module_order: index + 1, ...moduleData }));
+      }
+
+      await client.query('COMMIT');
+
+      return { ...program, modules };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertModule(db, programId, moduleData) {
+    if (!moduleData.title) {
+      throw createError('Module title is required', 400);
+    }
+
+    const result = await db.query(
+      `INSERT INTO training_modules (
+        program_id, module_order, title, description, content_url,
+        duration_minutes, has_quiz, passing_score, is_required
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        programId,
+        moduleData.module_order,
+        moduleData.title,
+        moduleData.description,
+        moduleData.content_url,
+        moduleData.duration_minutes,
+        moduleData.has_quiz === true,
+        moduleData.passing_score ?? null,
+        moduleData.is_required !== false
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Append a module to a program
+   */
+  async addModule(programId, moduleData) {
+    const pool = getPool();
+
+    const program = await this.getProgramById(programId);
+    if (!program) {
+      throw createError('Program not found', 404);
+    }
+
+    const nextOrder = program.modules.reduce((max, programModule) => Math.max(max, programModule.module_order), 0) + 1;
+    return this.insertModule(pool, programId, { module_order: nextOrder, ...moduleData });
+  }
+
+  async getPrograms(filters = {}) {
+    const pool = getPool();
+
+    let query = `
+      SELECT tp.*, COUNT(tm.id)::int as module_count
+      FROM training_programs tp
+      LEFT JOIN training_modules tm ON tm.program_id = tp.id
+      WHERE tp.is_active = TRUE`;
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.brand_id) {
+      query += ` AND tp.brand_id = $${paramCount}`;
+      values.push(filters.brand_id);
+      paramCount++;
+    }
+
+    if (filters.program_type) {
+      query += ` AND tp.program_type = $${paramCount}`;
+      values.push(filters.program_type);
+      paramCount++;
+    }
+
+    if (filters.certification_required !== undefined) {
+      query += ` AND tp.certification_required = $${paramCount}`;
+      values.push(filters.certification_required === true || filters.certification_required === 'true');
+      paramCount++;
+    }
+
+    query += ' GROUP BY tp.id ORDER BY tp.program_name';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  async getProgramById(programId) {
+    const pool = getPool();
+
+    const result = await pool.query('SELECT * FROM training_programs WHERE id = $1', [programId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const modules = await pool.query(
+      'SELECT * FROM training_modules WHERE program_id = $1 ORDER BY module_order',
+      [programId]
+    );
+
+    return { ...result.rows[0], modules: modules.rows };
+  }
+
+  // ============================================
+  // ASSIGNMENTS
+  // ============================================
+
+  /**
+   * Assign a program to a role, a location, or a role at a location
+   */
+  async assignProgram(programId, assignmentData, userId) {
+    if (!assignmentData.role && !assignmentData.location_id) {
+      throw createError('role or location_id is required', 400);
+    }
+
+    const pool = getPool();
+    const result = await pool.query(
+      `INSERT INTO training_assignments (program_id, role, location_id, due_within_days, assigned_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        programId,
+        assignmentData.role || null,
+        assignmentData.location_id || null,
+        assignmentData.due_within_days || null,
+        userId
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async getAssignments(filters = {}) {
+    const pool = getPool();
+
+    let query = `
+      SELECT ta.*, tp.program_name, l.name as location_name
+      FROM training_assignments ta
+      JOIN training_programs tp ON tp.id = ta.program_id
+      LEFT JOIN locations l ON l.id = ta.location_id
+      WHERE ta.is_active = TRUE`;
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.program_id) {
+      query += ` AND ta.program_id = $${paramCount}`;
+      values.push(filters.program_id);
+      paramCount++;
+    }
+
+    if (filters.location_id) {
+      query += ` AND ta.location_id = $${paramCount}`;
+      values.push(filters.location_id);
+      paramCount++;
+    }
+
+    query += ' ORDER BY tp.program_name, ta.created_at';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  async removeAssignment(assignmentId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'UPDATE training_assignments SET is_active = FALSE WHERE id = $1 RETURNING *',
+      [assignmentId]
+    );
+    return result.rows[0];
+  }
+
+  // ============================================
+  // COMPLETIONS & RECORDS
+  // ============================================
+
+  /**
+   * Record an attempt at a module. Quiz modules pass at the module's passing score
+   * (or the program's). When every required module has been passed since the
+   * employee's last completion, the program completion is recorded.
+   */
+  async recordModuleCompletion(userId, completionData) {
+    const pool = getPool();
+    const { program_id, module_id, score = null } = completionData;
+
+    const moduleResult = await pool.query(
+      `SELECT tm.*, tp.passing_score as program_passing_score
+       FROM training_modules tm
+       JOIN training_programs tp ON tp.id = tm.program_id
+       WHERE tm.id = $1 AND tm.program_id = $2`,
+      [module_id, program_id]
+    );
+    const trainingModule = moduleResult.rows[0];
+    if (!trainingModule) {
+      throw createError('Module not found', 404);
+    }
+    if (trainingModule.has_quiz && (score === null || score === undefined)) {
+      throw createError('score is required for quiz modules', 400);
+    }
+
+    const passingScore = Number(trainingModule.passing_score ?? trainingModule.program_passing_score ?? 0);
+    const passed = !trainingModule.has_quiz || Number(score) >= passingScore;
+
+    // A failed retake never undoes an earlier pass
+    const result = await pool.query(
+      `INSERT INTO training_module_completions AS tmc (program_id, module_id, user_id, location_id, score, passed)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (module_id, user_id) DO UPDATE SET
+         score = CASE WHEN EXCLUDED.passed OR NOT tmc.passed THEN EXCLUDED.score ELSE tmc.score END,
+         completed_at = CASE WHEN EXCLUDED.passed OR NOT tmc.passed THEN NOW() ELSE tmc.completed_at END,
+         passed = tmc.passed OR EXCLUDED.passed,
+         attempts = tmc.attempts + 1,
+         location_id = COALESCE(EXCLUDED.location_id, tmc.location_id)
+       RETURNING *`,
+      [program_id, module_id, userId, completionData.location_id || null, score, passed]
+    );
+
+    const progress = await this.getProgramProgress(userId, program_id);
+    let record = null;
+    if (passed && progress.required_modules > 0 && progress.passed_modules === progress.required_modules) {
+      record = await this.recordTrainingCompletion({
+        program_id,
+        user_id: userId,
+        location_id: completionData.location_id,
+        training_date: progress.started_on,
+        score: progress.average_score,
+        passed: true
+      }, userId);
+    }
+
+    return { completion: result.rows[0], progress, record };
+  }
+
+  /**
+   * Required modules passed since the employee last completed the program
+   */
+  async getProgramProgress(userId, programId) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      `WITH last_completion AS (
+         SELECT MAX(created_at) as completed_at
+         FROM franchise_training_records
+         WHERE user_id = $1 AND program_id = $2 AND passed = TRUE
+       )
+       SELECT
+         COUNT(*) FILTER (WHERE tm.is_required)::int as required_modules,
+         COUNT(*) FILTER (
+           WHERE tm.is_required AND tmc.passed
+             AND tmc.completed_at > COALESCE((SELECT completed_at FROM last_completion), '-infinity')
+         )::int as passed_modules,
+         ROUND(AVG(tmc.score) FILTER (WHERE tm.has_quiz AND tmc.passed), 2) as average_score,
+         MIN(tmc.completed_at)::date as started_on
+       FROM training_modules tm
+       LEFT JOIN training_module_completions tmc ON tmc.module_id = tm.id AND tmc.user_id = $1
+       WHERE tm.program_id = $2`,
+      [userId, programId]
+    );
+
+    const row = result.rows[0];
+    return {
+      required_modules: row.required_modules,
+      passed_modules: row.passed_modules,
+      average_score: row.average_score !== null ? Number(row.average_score) : null,
+      started_on: row.started_on
+    };
+  }
+
+  /**
+   * Record a program completion, e.g. from modules or an externally issued card
+   * (certificate_number, certification_expires_at). Passing a certification program
+   * certifies the employee; without an explicit expiry the certificate is valid for
+   * the program's certification_valid_months.
+   */
+  async recordTrainingCompletion(recordData, recordedBy) {
+    if (!recordData.program_id || !recordData.user_id) {
+      throw createError('program_id and user_id are required', 400);
+    }
+
+    const pool = getPool();
+    const programResult = await pool.query('SELECT * FROM training_programs WHERE id = $1', [recordData.program_id]);
+    const program = programResult.rows[0];
+    if (!program) {
+      throw createError('Program not found', 404);
+    }
+
+    const passed = recordData.passed !== undefined
+      ? recordData.passed === true
+      : recordData.score === undefined || recordData.score === null || Number(recordData.score) >= Number(program.passing_score || 0);
+    const certified = passed && program.certification_required === true;
+
+    const result = await pool.query(
+      `INSERT INTO franchise_training_records (
+        franchise_agreement_id, location_id, user_id, program_id, training_date,
+        completion_date, score, passed, certified, certification_expires_at,
+        certificate_number, trainer_name, notes, recorded_by
+      )
+      SELECT
+        COALESCE($1, l.franchise_agreement_id), $2, $3, $4, COALESCE($5::date, CURRENT_DATE),
+        COALESCE($6::date, CURRENT_DATE), $7::numeric, $8::boolean, $9::boolean,
+        CASE
+          WHEN NOT $9::boolean THEN NULL
+          WHEN $10::date IS NOT NULL THEN $10::date
+          WHEN $11::int IS NOT NULL THEN (COALESCE($6::date, CURRENT_DATE) + make_interval(months => $11::int))::date
+        END,
+        $12, $13, $14, $15
+      FROM (SELECT 1) one
+      LEFT JOIN locations l ON l.id = $2
+      RETURNING *`,
+      [
+        recordData.franchise_agreement_id || null,
+        recordData.location_id || null,
+        recordData.user_id,
+        recordData.program_id,
+        recordData.training_date || null,
+        recordData.completion_date || null,
+        recordData.score ?? null,
+        passed,
+        certified,
+        recordData.certification_expires_at || null,
+        program.certification_valid_months || null,
+        recordData.certificate_number || null,
+        recordData.trainer_name || null,
+        recordData.notes || null,
+        recordedBy
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  async getTrainingRecords(filters = {}) {
+    const pool = getPool();
+
+    let query = `
+      SELECT ftr.*, tp.program_name, tp.certification_name,
+             u.first_name, u.last_name, l.name as location_name
+      FROM franchise_training_records ftr
+      JOIN training_programs tp ON tp.id = ftr.program_id
+      LEFT JOIN users u ON u.id = ftr.user_id
+      LEFT JOIN locations l ON l.id = ftr.location_id
+      WHERE 1=1`;
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.user_id) {
+      query += ` AND ftr.user_id = $${paramCount}`;
+      values.push(filters.user_id);
+      paramCount++;
+    }
+
+    if (filters.location_id) {
+      query += ` AND ftr.location_id = $${paramCount}`;
+      values.push(filters.location_id);
+      paramCount++;
+    }
+
+    if (filters.program_id) {
+      query += ` AND ftr.program_id = $${paramCount}`;
+      values.push(filters.program_id);
+      paramCount++;
+    }
+
+    query += ' ORDER BY ftr.completion_date DESC NULLS LAST, ftr.created_at DESC';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Programs assigned to an employee (through their role and location) with
+   * progress, due date and certificate state
+   */
+  async getUserTrainingStatus(userId) {
+    const pool = getPool();
+
+    const userResult = await pool.query('SELECT id, role, location_id FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      throw createError('User not found', 404);
+    }
+
+    const result = await pool.query(
+      `SELECT DISTINCT ON (tp.id)
+         tp.id as program_id, tp.program_name, tp.program_type, tp.is_mandatory,
+         tp.certification_required, tp.certification_name,
+         (ta.created_at::date + ta.due_within_days) as due_date,
+         latest.completion_date, latest.passed, latest.certified,
+         to_char(latest.certification_expires_at, 'YYYY-MM-DD') as certification_expires_at
+       FROM training_assignments ta
+       JOIN training_programs tp ON tp.id = ta.program_id AND tp.is_active = TRUE
+       LEFT JOIN LATERAL (
+         SELECT completion_date, passed, certified, certification_expires_at
+         FROM franchise_training_records
+         WHERE user_id = $1 AND program_id = tp.id AND passed = TRUE
+         ORDER BY completion_date DESC NULLS LAST, created_at DESC
+         LIMIT 1
+       ) latest ON TRUE
+       WHERE ta.is_active = TRUE
+         AND (ta.role IS NULL OR ta.role = $2)
+         AND (ta.location_id IS NULL OR ta.location_id = $3)
+       ORDER BY tp.id, due_date NULLS LAST`,
+      [userId, user.role, user.location_id]
+    );
+
+    const today = new Date().toISOString().slice(0, 10);
+    const programs = [];
+    for (const row of result.rows) {
+      const progress = await this.getProgramProgress(userId, row.program_id);
+      programs.push({
+        ...row,
+        progress,
+        status: this.trainingStatus(row, progress, today)
+      });
+    }
+
+    return { user_id: userId, role: user.role, location_id: user.location_id, programs };
+  }
+
+  /**
+   * completed | expired | overdue | in_progress | not_started
+   */
+  trainingStatus(program, progress, today) {
+    if (program.passed) {
+      if (program.certified && program.certification_expires_at && program.certification_expires_at < today) {
+        return 'expired';
+      }
+      return 'completed';
+    }
+
+    const dueDate = program.due_date instanceof Date ? program.due_date.toISOString().slice(0, 10) : program.due_date;
+    if (dueDate && dueDate < today) {
+      return 'overdue';
+    }
+    return progress.passed_modules > 0 ? 'in_progress' : 'not_started';
+  }
+
+  // ============================================
+  // CERTIFICATIONS
+  // ============================================
+
+  /**
+   * Current certificates (the latest per employee and program) expiring within
+   * `days`, including ones already expired
+   */
+  async getExpiringCertifications({ days = 30, location_id = null } = {}) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (ftr.user_id, ftr.program_id)
+           ftr.id, ftr.user_id, ftr.location_id, ftr.program_id, ftr.certificate_number,
+           ftr.certification_expires_at, (ftr.certification_expires_at - CURRENT_DATE) as days_remaining,
+           tp.program_name, tp.certification_name, u.first_name, u.last_name, l.name as location_name
+         FROM franchise_training_records ftr
+         JOIN training_programs tp ON tp.id = ftr.program_id
+         JOIN users u ON u.id = ftr.user_id AND u.active IS NOT FALSE
+         LEFT JOIN locations l ON l.id = ftr.location_id
+         WHERE ftr.certified = TRUE
+           AND ($2::varchar IS NULL OR ftr.location_id = $2)
+         ORDER BY ftr.user_id, ftr.program_id, ftr.certification_expires_at DESC NULLS FIRST
+       ) current
+       WHERE certification_expires_at <= CURRENT_DATE + $1::int
+       ORDER BY certification_expires_at`,
+      [parseInt(days, 10) || 30, location_id]
+    );
+    return result.rows;
+  }
+
+  async setPositionRequirement(requirementData, userId) {
+    if (!requirementData.position || !requirementData.program_id) {
+      throw createError('position and program_id are required', 400);
+    }
+
+    const pool = getPool();
+    const result = await pool.query(
+      `INSERT INTO position_certification_requirements (position, program_id, location_id, created_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (position, program_id, COALESCE(location_id, '')) DO UPDATE SET position = EXCLUDED.position
+       RETURNING *`,
+      [requirementData.position, requirementData.program_id, requirementData.location_id || null, userId]
+    );
+    return result.rows[0];
+  }
+
+  async getPositionRequirements(filters = {}) {
+    const pool = getPool();
+
+    let query = `
+      SELECT pcr.*, tp.program_name, tp.certification_name
+      FROM position_certification_requirements pcr
+      JOIN training_programs tp ON tp.id = pcr.program_id
+      WHERE 1=1`;
+    const values = [];
+    let paramCount = 1;
+
+    if (filters.position) {
+      query += ` AND LOWER(pcr.position) = LOWER($${paramCount})`;
+      values.push(filters.position);
+      paramCount++;
+    }
+
+    if (filters.location_id) {
+      query += ` AND (pcr.location_id IS NULL OR pcr.location_id = $${paramCount})`;
+      values.push(filters.location_id);
+      paramCount++;
+    }
+
+    query += ' ORDER BY pcr.position, tp.program_name';
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  async removePositionRequirement(requirementId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'DELETE FROM position_certification_requirements WHERE id = $1 RETURNING *',
+      [requirementId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Certifications the position requires at the location, each with the employee's
+   * best certificate (no expiry beats the latest expiry)
+   */
+  async getShiftCertificationIssues(userId, position, locationId, shiftDate) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT pcr.program_id, tp.program_name, tp.certification_name,
+              best.id as record_id, to_char(best.certification_expires_at, 'YYYY-MM-DD') as expires_on
+       FROM position_certification_requirements pcr
+       JOIN training_programs tp ON tp.id = pcr.program_id
+       LEFT JOIN LATERAL (
+         SELECT id, certification_expires_at
+         FROM franchise_training_records
+         WHERE user_id = $1 AND program_id = pcr.program_id AND certified = TRUE
+         ORDER BY certification_expires_at DESC NULLS FIRST
+         LIMIT 1
+       ) best ON TRUE
+       WHERE LOWER(pcr.position) = LOWER($2)
+         AND (pcr.location_id IS NULL OR pcr.location_id = $3)`,
+      [userId, position, locationId]
+    );
+
+    return this.certificationIssues(result.rows, shiftDate);
+  }
+
+  /**
+   * Required certifications that are missing or expire before `onDate` (YYYY-MM-DD)
+   */
+  certificationIssues(requirements, onDate) {
+    return requirements
+      .map(requirement => ({
+        program_id: requirement.program_id,
+        certification: requirement.certification_name || requirement.program_name,
+        expires_on: requirement.expires_on || null,
+        status: !requirement.record_id
+          ? 'missing'
+          : (requirement.expires_on && requirement.expires_on < onDate ? 'expired' : 'valid')
+      }))
+      .filter(requirement => requirement.status !== 'valid');
+  }
+
+  /**
+   * Throw a 409 when the employee lacks a valid certification the shift's position requires
+   */
+  async assertShiftCertifications(userId, shift) {
+    const issues = await this.getShiftCertificationIssues(userId, shift.position, shift.location_id, shift.shift_date);
+    if (issues.length === 0) {
+      return;
+    }
+
+    const summary = issues
+      .map(issue => issue.status === 'expired'
+        ? `${issue.certification} expired ${issue.expires_on}`
+        : `${issue.certification} missing`)
+      .join(', ');
+    const error = createError(`Cannot assign shift: ${shift.position} requires a valid certification (${summary})`, 409);
+    error.details = { certificationIssues: issues };
+    throw error;
+  }
+
+  // ============================================
+  // EXPIRY REMINDERS
+  // ============================================
+
+  /**
+   * Which reminder a certificate is due: the smallest threshold (days before expiry)
+   * it has reached, 0 once expired, or null when none applies yet
+   */
+  reminderThreshold(daysRemaining, reminderDays = [30, 7, 1]) {
+    if (daysRemaining < 0) {
+      return 0;
+    }
+    const reached = reminderDays.filter(days => days > 0 && daysRemaining <= days);
+    return reached.length > 0 ? Math.min(...reached) : null;
+  }
+
+  /**
+   * Notify employees (and, for the last reminder and the expired notice, their
+   * location manager) about expiring certificates. Each threshold is sent once.
+   */
+  async processCertificationReminders(params = {}) {
+    const pool = getPool();
+    const NotificationService = require('./NotificationService');
+    const expiredWithinDays = params.expired_within_days || 30;
+
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (ftr.user_id, ftr.program_id)
+           ftr.id, ftr.user_id, ftr.location_id, ftr.certification_expires_at,
+           to_char(ftr.certification_expires_at, 'YYYY-MM-DD') as expires_on,
+           (ftr.certification_expires_at - CURRENT_DATE) as days_remaining,
+           tp.program_name, tp.certification_name, tp.reminder_days, l.manager_id
+         FROM franchise_training_records ftr
+         JOIN training_programs tp ON tp.id = ftr.program_id AND tp.is_active = TRUE
+         JOIN users u ON u.id = ftr.user_id AND u.active IS NOT FALSE
+         LEFT JOIN locations l ON l.id = ftr.location_id
+         WHERE ftr.certified = TRUE
+         ORDER BY ftr.user_id, ftr.program_id, ftr.certification_expires_at DESC NULLS FIRST
+       ) current
+       WHERE certification_expires_at IS NOT NULL
+         AND days_remaining >= -$1::int`,
+      [expiredWithinDays]
+    );
+
+    let sent = 0;
+    for (const certificate of result.rows) {
+      const reminderDays = certificate.reminder_days || [30, 7, 1];
+      const threshold = this.reminderThreshold(certificate.days_remaining, reminderDays);
+      if (threshold === null) continue;
+
+      const claimed = await pool.query(
+        `INSERT INTO training_certification_reminders (record_id, days_before)
+         VALUES ($1, $2)
+         ON CONFLICT (record_id, days_before) DO NOTHING
+         RETURNING id`,
+        [certificate.id, threshold]
+      );
+      if (claimed.rows.length === 0) continue;
+
+      const name = certificate.certification_name || certificate.program_name;
+      const expired = threshold === 0;
+      const notification = {
+        locationId: certificate.location_id,
+        notificationType: expired ? 'certification_expired' : 'certification_expiring',
+        title: expired ? `${name} expired` : `${name} expires in ${certificate.days_remaining} day(s)`,
+        message: expired
+          ? `The ${name} certification has expired. Shifts requiring it cannot be scheduled until it is renewed.`
+          : `The ${name} certification expires on ${certificate.expires_on}. Renew it to stay eligible for shifts that require it.`,
+        priority: expired ? 'high' : 'medium',
+        actionUrl: '/training',
+        metadata: { recordId: certificate.id, employeeId: certificate.user_id, daysRemaining: certificate.days_remaining }
+      };
+
+      try {
+        await NotificationService.createNotification({ ...notification, userId: certificate.user_id });
+        sent++;
+
+        const lastReminder = expired || threshold === Math.min(...reminderDays.filter(days => days > 0));
+        if (lastReminder && certificate.manager_id && certificate.manager_id !== certificate.user_id) {
+          await NotificationService.createNotification({ ...notification, userId: certificate.manager_id });
+          sent++;
+        }
+      } catch (error) {
+        console.error(`[TrainingService] Failed to send certification reminder for record ${certificate.id}:`, error);
+      }
+    }
+
+    return { checked: result.rows.length, sent };
+  }
+}
+
+module.exports = new TrainingService();
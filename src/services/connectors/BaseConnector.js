@@ -0,0 +1,212 @@
+/**
+ * Base Connector
+ * Shared paging, transport and mapping helpers for POS/accounting connectors
+ *
+ * A connector subclass describes, per resource ('sales', 'labor'):
+ *   buildRequest(resource, { pageCursor, since })   -> { path, params }
+ *   parseResponse(resource, body, { pageCursor })   -> { records, nextPageCursor }
+ *   mapRecord(resource, raw)                        -> normalized record
+ *
+ * Normalized sale:  { externalId, occurredAt, grossSales, netSales, taxAmount, tips,
+ *                     discounts, voids, guestCount, paymentMethods, lineItems, updatedAt }
+ * Normalized labor: { externalId, employeeExternalId, employeeEmail, clockIn, clockOut,
+ *                     breakMinutes, hourlyRate, position, updatedAt }
+ *
+ * With integration config { mode: 'fixture' } requests are answered from
+ * <POS_FIXTURE_DIR>/<fixtureSet or provider key>/<resource>.json, a file shaped
+ * { "pages": { "<page cursor, '' for the first page>": <raw response body> } }.
+ * Setting config.baseUrl points the connector at a mock server instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../../config/app');
+
+class BaseConnector {
+  constructor(integration, credentials = {}) {
+    this.integration = integration;
+    this.credentials = credentials || {};
+    this.settings = integration.config || {};
+    this.timezone = integration.location_timezone || 'UTC';
+  }
+
+  /**
+   * Short provider key, used as the `source` of imported rows
+   */
+  static get key() {
+    throw new Error('Connector must define a key');
+  }
+
+  get key() {
+    return this.constructor.key;
+  }
+
+  /**
+   * Resources this connector can import, in sync order
+   */
+  get resources() {
+    return ['sales', 'labor'];
+  }
+
+  get defaultBaseUrl() {
+    return null;
+  }
+
+  get baseUrl() {
+    return this.settings.baseUrl || this.integration.base_url || this.defaultBaseUrl;
+  }
+
+  get pageSize() {
+    return this.settings.pageSize || config.integrations.pageSize;
+  }
+
+  /**
+   * Headers for authenticated requests; overridden per provider
+   */
+  getAuthHeaders() {
+    const token = this.credentials.accessToken || this.credentials.apiKey;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  isFixtureMode() {
+    return this.settings.mode === 'fixture';
+  }
+
+  // ===== TRANSPORT =====
+
+  async request(resource, { path: requestPath, params = {}, method = 'GET', body = null }, pageCursor) {
+    if (this.isFixtureMode()) {
+      return this.readFixture(resource, pageCursor);
+    }
+
+    if (!this.baseUrl) {
+      throw new Error(`${this.key} connector has no base URL configured`);
+    }
+
+    const response = await axios({
+      method,
+      url: `${this.baseUrl.replace(/\/$/, '')}${requestPath}`,
+      params: method === 'GET' ? params : undefined,
+      data: body || undefined,
+      headers: { Accept: 'application/json', ...this.getAuthHeaders() },
+      timeout: config.integrations.requestTimeoutMs
+    });
+
+    return response.data;
+  }
+
+  readFixture(resource, pageCursor) {
+    const root = config.integrations.fixtureDir;
+    if (!root) {
+      throw new Error('Fixture mode requires POS_FIXTURE_DIR to be set');
+    }
+
+    const fixtureSet = this.settings.fixtureSet || this.key;
+    if (!/^[A-Za-z0-9_-]+$/.test(fixtureSet)) {
+      throw new Error(`Invalid fixture set: ${fixtureSet}`);
+    }
+
+    const file = path.join(path.resolve(root), fixtureSet, `${resource}.json`);
+    if (!fs.existsSync(file)) {
+      return this.emptyResponse(resource);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const page = fixture.pages && fixture.pages[pageCursor == null ? '' : String(pageCursor)];
+    return page === undefined ? this.emptyResponse(resource) : page;
+  }
+
+  /**
+   * Raw response body representing "no records"
+   */
+  emptyResponse() {
+    return {};
+  }
+
+  // ===== PAGING =====
+
+  /**
+   * Yield pages of raw records for a resource, starting after `since`
+   */
+  async *fetchPages(resource, { since = null } = {}) {
+    let pageCursor = null;
+    let pageCount = 0;
+
+    do {
+      const request = this.buildRequest(resource, { pageCursor, since });
+      const body = await this.request(resource, request, pageCursor);
+      const { records, nextPageCursor } = this.parseResponse(resource, body, { pageCursor });
+
+      yield records || [];
+
+      pageCursor = nextPageCursor == null || nextPageCursor === '' ? null : nextPageCursor;
+      pageCount++;
+    } while (pageCursor !== null && pageCount < config.integrations.maxPagesPerSync);
+  }
+
+  buildRequest() {
+    throw new Error(`${this.key} connector does not implement buildRequest`);
+  }
+
+  parseResponse() {
+    throw new Error(`${this.key} connector does not implement parseResponse`);
+  }
+
+  mapRecord() {
+    throw new Error(`${this.key} connector does not implement mapRecord`);
+  }
+
+  // ===== MAPPING HELPERS =====
+
+  /**
+   * Money in minor units (cents) to a decimal amount
+   */
+  fromMinorUnits(money) {
+    if (money === null || money === undefined) return 0;
+    const amount = typeof money === 'object' ? money.amount : money;
+    return Math.round(Number(amount || 0)) / 100;
+  }
+
+  toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : 0;
+  }
+
+  /**
+   * Local date (YYYY-MM-DD) and hour for a timestamp in the location's timezone
+   */
+  localDateParts(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid timestamp: ${timestamp}`);
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      hour: parseInt(parts.hour, 10)
+    };
+  }
+
+  /**
+   * Latest updatedAt among normalized records, used as the next sync cursor
+   */
+  highWaterMark(records, current = null) {
+    return records.reduce((latest, record) => {
+      if (!record || !record.updatedAt) return latest;
+      return !latest || new Date(record.updatedAt) > new Date(latest) ? record.updatedAt : latest;
+    }, current);
+  }
+}
+
+module.exports = BaseConnector;
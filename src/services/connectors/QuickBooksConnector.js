@@ -0,0 +1,136 @@
+/**
+ * QuickBooks Online Connector
+ * Imports sales receipts and time activities through the query endpoint
+ *
+ * Settings: realmId (company ID)
+ * Credentials: accessToken, realmId
+ */
+
+const BaseConnector = require('./BaseConnector');
+
+const ENTITIES = {
+  sales: 'SalesReceipt',
+  labor: 'TimeActivity'
+};
+
+class QuickBooksConnector extends BaseConnector {
+  static get key() {
+    return 'quickbooks';
+  }
+
+  get defaultBaseUrl() {
+    return 'https://quickbooks.api.intuit.com';
+  }
+
+  get realmId() {
+    return this.settings.realmId || this.credentials.realmId;
+  }
+
+  emptyResponse() {
+    return { QueryResponse: {} };
+  }
+
+  buildRequest(resource, { pageCursor, since }) {
+    const startPosition = pageCursor || 1;
+    const where = since ? ` WHERE MetaData.LastUpdatedTime > '${new Date(since).toISOString()}'` : '';
+
+    return {
+      path: `/v3/company/${encodeURIComponent(this.realmId || '')}/query`,
+      params: {
+        query: `SELECT * FROM ${ENTITIES[resource]}${where} ORDERBY MetaData.LastUpdatedTime STARTPOSITION ${startPosition} MAXRESULTS ${this.pageSize}`,
+        minorversion: 65
+      }
+    };
+  }
+
+  parseResponse(resource, body, { pageCursor }) {
+    const response = (body && body.QueryResponse) || {};
+    const records = response[ENTITIES[resource]] || [];
+    const startPosition = pageCursor || 1;
+
+    return {
+      records,
+      nextPageCursor: records.length >= this.pageSize ? startPosition + records.length : null
+    };
+  }
+
+  mapRecord(resource, raw) {
+    return resource === 'sales' ? this.mapSalesReceipt(raw) : this.mapTimeActivity(raw);
+  }
+
+  mapSalesReceipt(receipt) {
+    const round = value => Math.round(value * 100) / 100;
+    const lines = receipt.Line || [];
+
+    const itemLines = lines.filter(line => line.DetailType === 'SalesItemLineDetail');
+    const discounts = lines
+      .filter(line => line.DetailType === 'DiscountLineDetail')
+      .reduce((sum, line) => sum + this.toNumber(line.Amount), 0);
+    const grossSales = itemLines.reduce((sum, line) => sum + this.toNumber(line.Amount), 0);
+    const taxAmount = receipt.TxnTaxDetail ? this.toNumber(receipt.TxnTaxDetail.TotalTax) : 0;
+
+    const method = receipt.PaymentMethodRef && receipt.PaymentMethodRef.name
+      ? receipt.PaymentMethodRef.name.toLowerCase()
+      : 'other';
+
+    const metaData = receipt.MetaData || {};
+
+    return {
+      externalId: receipt.Id,
+      // TxnDate is already a local business date; noon keeps it on the same day in any timezone
+      occurredAt: metaData.CreateTime || `${receipt.TxnDate}T12:00:00Z`,
+      saleDate: receipt.TxnDate,
+      grossSales: round(grossSales),
+      netSales: round(grossSales - discounts),
+      taxAmount: round(taxAmount),
+      tips: 0,
+      discounts: round(discounts),
+      voids: 0,
+      guestCount: 0,
+      paymentMethods: { [method]: round(this.toNumber(receipt.TotalAmt)) },
+      lineItems: itemLines.map(line => {
+        const detail = line.SalesItemLineDetail || {};
+        const itemRef = detail.ItemRef || {};
+        return {
+          externalId: itemRef.value || null,
+          sku: null,
+          name: itemRef.name || line.Description,
+          quantity: this.toNumber(detail.Qty || 1),
+          revenue: round(this.toNumber(line.Amount))
+        };
+      }),
+      updatedAt: metaData.LastUpdatedTime
+    };
+  }
+
+  mapTimeActivity(activity) {
+    const metaData = activity.MetaData || {};
+    const breakMinutes = this.toNumber(activity.BreakHours) * 60 + this.toNumber(activity.BreakMinutes);
+
+    let clockIn = activity.StartTime;
+    let clockOut = activity.EndTime || null;
+
+    // Duration-only entries: anchor at the start of the transaction date
+    if (!clockIn) {
+      const minutes = this.toNumber(activity.Hours) * 60 + this.toNumber(activity.Minutes) + breakMinutes;
+      const start = new Date(`${activity.TxnDate}T00:00:00Z`);
+      clockIn = start.toISOString();
+      clockOut = new Date(start.getTime() + minutes * 60000).toISOString();
+    }
+
+    return {
+      externalId: activity.Id,
+      employeeExternalId: activity.EmployeeRef ? activity.EmployeeRef.value : null,
+      employeeEmail: null,
+      shiftDate: activity.TxnDate,
+      clockIn,
+      clockOut,
+      breakMinutes,
+      hourlyRate: activity.HourlyRate !== undefined ? this.toNumber(activity.HourlyRate) : null,
+      position: activity.ItemRef ? activity.ItemRef.name : null,
+      updatedAt: metaData.LastUpdatedTime
+    };
+  }
+}
+
+module.exports = QuickBooksConnector;
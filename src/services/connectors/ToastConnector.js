@@ -0,0 +1,135 @@
+/**
+ * Toast Connector
+ * Imports orders (Orders API ordersBulk) and time entries (Labor API)
+ *
+ * Settings: restaurantGuid
+ * Credentials: accessToken
+ */
+
+const BaseConnector = require('./BaseConnector');
+
+class ToastConnector extends BaseConnector {
+  static get key() {
+    return 'toast';
+  }
+
+  get defaultBaseUrl() {
+    return 'https://ws-api.toasttab.com';
+  }
+
+  getAuthHeaders() {
+    return {
+      Authorization: `Bearer ${this.credentials.accessToken || this.credentials.apiKey}`,
+      'Toast-Restaurant-External-ID': this.settings.restaurantGuid
+    };
+  }
+
+  emptyResponse() {
+    return [];
+  }
+
+  buildRequest(resource, { pageCursor, since }) {
+    const now = new Date().toISOString();
+
+    if (resource === 'sales') {
+      return {
+        path: '/orders/v2/ordersBulk',
+        params: {
+          startDate: since || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+          endDate: now,
+          pageSize: this.pageSize,
+          page: pageCursor || 1
+        }
+      };
+    }
+
+    // Time entries are not paged; the modified window bounds the result
+    return {
+      path: '/labor/v1/timeEntries',
+      params: {
+        modifiedStartDate: since || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+        modifiedEndDate: now
+      }
+    };
+  }
+
+  parseResponse(resource, body, { pageCursor }) {
+    const records = Array.isArray(body) ? body : [];
+    const hasMore = resource === 'sales' && records.length >= this.pageSize;
+
+    return {
+      records,
+      nextPageCursor: hasMore ? (pageCursor || 1) + 1 : null
+    };
+  }
+
+  mapRecord(resource, raw) {
+    return resource === 'sales' ? this.mapOrder(raw) : this.mapTimeEntry(raw);
+  }
+
+  mapOrder(order) {
+    const checks = (order.checks || []).filter(check => !check.voided && !check.deleted);
+    const voidedChecks = (order.checks || []).filter(check => check.voided);
+
+    const sum = (items, field) => items.reduce((total, item) => total + this.toNumber(item[field]), 0);
+    const round = value => Math.round(value * 100) / 100;
+
+    const payments = checks.flatMap(check => check.payments || []);
+    const discounts = checks.reduce((total, check) => total + sum(check.appliedDiscounts || [], 'discountAmount'), 0);
+    const netSales = sum(checks, 'amount');
+
+    const paymentMethods = {};
+    payments.forEach(payment => {
+      const method = (payment.type || 'other').toLowerCase();
+      paymentMethods[method] = round((paymentMethods[method] || 0) + this.toNumber(payment.amount));
+    });
+
+    const lineItems = checks
+      .flatMap(check => check.selections || [])
+      .filter(selection => !selection.voided)
+      .map(selection => ({
+        externalId: selection.item ? selection.item.guid : null,
+        sku: selection.item && selection.item.externalId ? selection.item.externalId : null,
+        name: selection.displayName,
+        quantity: this.toNumber(selection.quantity),
+        revenue: round(this.toNumber(selection.price))
+      }));
+
+    return {
+      externalId: order.guid,
+      occurredAt: order.closedDate || order.openedDate,
+      grossSales: round(netSales + discounts),
+      netSales: round(netSales),
+      taxAmount: round(sum(checks, 'taxAmount')),
+      tips: round(sum(payments, 'tipAmount')),
+      discounts: round(discounts),
+      voids: round(sum(voidedChecks, 'amount')),
+      guestCount: parseInt(order.numberOfGuests || 0, 10),
+      paymentMethods,
+      lineItems,
+      updatedAt: order.modifiedDate || order.closedDate || order.openedDate
+    };
+  }
+
+  mapTimeEntry(entry) {
+    const breakMinutes = (entry.breaks || []).reduce((sum, item) => {
+      if (!item.inDate || !item.outDate || item.paid) return sum;
+      return sum + (new Date(item.outDate) - new Date(item.inDate)) / 60000;
+    }, 0);
+
+    return {
+      externalId: entry.guid,
+      employeeExternalId: entry.employeeReference ? entry.employeeReference.guid : null,
+      employeeEmail: null,
+      clockIn: entry.inDate,
+      clockOut: entry.outDate || null,
+      breakMinutes: Math.round(breakMinutes),
+      hourlyRate: entry.hourlyWage !== undefined && entry.hourlyWage !== null ? this.toNumber(entry.hourlyWage) : null,
+      position: entry.jobReference ? entry.jobReference.guid : null,
+      deleted: Boolean(entry.deleted),
+      updatedAt: entry.modifiedDate
+    };
+  }
+}
+
+module.exports = ToastConnector;
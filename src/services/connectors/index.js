@@ -0,0 +1,42 @@
+/**
+ * Connector Registry
+ * Maps integration providers to connector classes
+ */
+
+const SquareConnector = require('./SquareConnector');
+const ToastConnector = require('./ToastConnector');
+const QuickBooksConnector = require('./QuickBooksConnector');
+
+const connectors = new Map([
+  ['provider-square', SquareConnector],
+  ['provider-toast', ToastConnector],
+  ['provider-quickbooks', QuickBooksConnector]
+]);
+
+/**
+ * Register (or replace) the connector used for a provider
+ */
+function registerConnector(providerId, ConnectorClass) {
+  connectors.set(providerId, ConnectorClass);
+}
+
+function hasConnector(providerId) {
+  return connectors.has(providerId);
+}
+
+/**
+ * Build a connector instance for a location integration row
+ */
+function createConnector(integration, credentials) {
+  const ConnectorClass = connectors.get(integration.provider_id);
+  if (!ConnectorClass) {
+    return null;
+  }
+  return new ConnectorClass(integration, credentials);
+}
+
+module.exports = {
+  registerConnector,
+  hasConnector,
+  createConnector
+};
@@ -0,0 +1,73 @@
+/**
+ * Base Storage
+ * Shared contract for object storage backends
+ *
+ * A backend is built from its config.storage settings and implements:
+ *   putObject(key, body, { contentType })            -> { key, size }
+ *   getObject(key)                                   -> Buffer
+ *   deleteObject(key)                                -> void (missing objects are ignored)
+ *   getSignedUrl(key, { expiresIn, filename, contentType }) -> { url, expiresAt }
+ *
+ * Keys are relative, slash-separated paths such as "task_photo/2024/05/file-123.jpg".
+ */
+
+class StorageError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._\-/]*$/;
+
+class BaseStorage {
+  constructor(settings = {}) {
+    this.settings = settings;
+  }
+
+  /**
+   * Backend key used in config.storage.backend and stored_files.storage_backend
+   */
+  static get key() {
+    throw new Error('Storage backend must define a key');
+  }
+
+  get key() {
+    return this.constructor.key;
+  }
+
+  async putObject() {
+    throw new StorageError(`${this.key} storage does not support uploads`);
+  }
+
+  async getObject() {
+    throw new StorageError(`${this.key} storage does not support downloads`);
+  }
+
+  async deleteObject() {
+    throw new StorageError(`${this.key} storage does not support deletes`);
+  }
+
+  async getSignedUrl() {
+    throw new StorageError(`${this.key} storage does not support signed URLs`);
+  }
+
+  /**
+   * Reject keys that could escape the bucket or directory
+   */
+  assertKey(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+      throw new StorageError(`Invalid storage key: ${key}`, 400);
+    }
+    return key;
+  }
+
+  expiryFor(expiresIn, now = Date.now()) {
+    const seconds = Math.max(1, Math.floor(Number(expiresIn) || 900));
+    return { seconds, expiresAt: new Date(now + seconds * 1000) };
+  }
+}
+
+module.exports = BaseStorage;
+module.exports.StorageError = StorageError;
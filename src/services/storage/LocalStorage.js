@@ -0,0 +1,97 @@
+/**
+ * Local Disk Storage
+ * Keeps objects under a directory; downloads go through the signed /files/download route
+ *
+ * Settings: directory, publicUrl, signingSecret
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/app');
+const BaseStorage = require('./BaseStorage');
+const { StorageError } = BaseStorage;
+
+class LocalStorage extends BaseStorage {
+  static get key() {
+    return 'local';
+  }
+
+  get directory() {
+    return path.resolve(this.settings.directory || './uploads');
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, this.assertKey(key));
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new StorageError(`Invalid storage key: ${key}`, 400);
+    }
+    return filePath;
+  }
+
+  async putObject(key, body) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return { key, size: body.length };
+  }
+
+  async getObject(key) {
+    try {
+      return await fs.promises.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new StorageError('Stored file not found', 404);
+      }
+      throw error;
+    }
+  }
+
+  async deleteObject(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  /**
+   * URL for the /files/download route, valid until `expires` (epoch seconds)
+   */
+  async getSignedUrl(key, { expiresIn, filename = '', now = Date.now() } = {}) {
+    this.assertKey(key);
+    const { expiresAt } = this.expiryFor(expiresIn, now);
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+
+    const query = new URLSearchParams({
+      key,
+      expires: String(expires),
+      filename,
+      signature: this.sign(key, expires, filename)
+    });
+
+    const baseUrl = (this.settings.publicUrl || '').replace(/\/$/, '');
+    return { url: `${baseUrl}${config.apiPrefix}/files/download?${query.toString()}`, expiresAt };
+  }
+
+  sign(key, expires, filename = '') {
+    return crypto
+      .createHmac('sha256', String(this.settings.signingSecret))
+      .update(`${key}\n${expires}\n${filename}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a download link's signature and expiry
+   */
+  verifySignedUrl({ key, expires, filename = '', signature }, now = Date.now()) {
+    if (!key || !expires || !signature) {
+      return false;
+    }
+    if (Number(expires) * 1000 < now) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires, filename));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,191 @@
+/**
+ * S3-Compatible Storage
+ * Talks to AWS S3, MinIO and similar services with Signature Version 4
+ *
+ * Settings:
+ *   bucket, region (default us-east-1)
+ *   endpoint: e.g. http://localhost:9000 for MinIO (defaults to the AWS regional endpoint)
+ *   forcePathStyle: address the bucket as /bucket/key instead of bucket.host/key (MinIO)
+ *   accessKeyId, secretAccessKey, requestTimeoutMs
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const BaseStorage = require('./BaseStorage');
+const { StorageError } = BaseStorage;
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = value => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const toAmzDate = date => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+class S3Storage extends BaseStorage {
+  static get key() {
+    return 's3';
+  }
+
+  get region() {
+    return this.settings.region || 'us-east-1';
+  }
+
+  get bucket() {
+    if (!this.settings.bucket) {
+      throw new StorageError('S3 storage requires a bucket');
+    }
+    return this.settings.bucket;
+  }
+
+  /**
+   * Host and path for an object, honouring path-style addressing
+   */
+  locate(key) {
+    const endpoint = new URL(this.settings.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    const encodedKey = this.assertKey(key).split('/').map(encodeRfc3986).join('/');
+
+    if (this.settings.forcePathStyle) {
+      return { protocol: endpoint.protocol, host: endpoint.host, path: `/${encodeRfc3986(this.bucket)}/${encodedKey}` };
+    }
+    return { protocol: endpoint.protocol, host: `${this.bucket}.${endpoint.host}`, path: `/${encodedKey}` };
+  }
+
+  // ===== SIGNING =====
+
+  signingKey(dateStamp) {
+    const dateKey = hmac(`AWS4${this.settings.secretAccessKey}`, dateStamp);
+    return hmac(hmac(hmac(dateKey, this.region), 's3'), 'aws4_request');
+  }
+
+  /**
+   * SigV4 signature over a canonical request. `headers` must include host and
+   * use lowercase names; `query` values are unencoded.
+   */
+  signature({ method, path, query = {}, headers, payloadHash, amzDate }) {
+    const dateStamp = amzDate.substring(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+      .join('&');
+    const headerNames = Object.keys(headers).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    return {
+      scope,
+      signedHeaders,
+      signature: crypto.createHmac('sha256', this.signingKey(dateStamp)).update(stringToSign).digest('hex')
+    };
+  }
+
+  /**
+   * Send a header-signed request to the object's URL
+   */
+  async request(method, key, { body, contentType } = {}) {
+    const { protocol, host, path } = this.locate(key);
+    const payload = body || Buffer.alloc(0);
+    const amzDate = toAmzDate(new Date());
+    const payloadHash = sha256(payload);
+
+    const headers = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+
+    const { scope, signedHeaders, signature } = this.signature({ method, path, headers, payloadHash, amzDate });
+    headers.authorization = `${ALGORITHM} Credential=${this.settings.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    delete headers.host;
+
+    const response = await axios({
+      method,
+      url: `${protocol}//${host}${path}`,
+      headers,
+      data: body,
+      responseType: 'arraybuffer',
+      timeout: this.settings.requestTimeoutMs || 30000,
+      maxBodyLength: Infinity,
+      validateStatus: () => true
+    });
+
+    if (response.status === 404) {
+      throw new StorageError('Stored file not found', 404);
+    }
+    if (response.status >= 300) {
+      const detail = Buffer.from(response.data || '').toString('utf8').match(/<Message>([^<]*)<\/Message>/);
+      throw new StorageError(`S3 ${method} failed with ${response.status}${detail ? `: ${detail[1]}` : ''}`, 502);
+    }
+
+    return response;
+  }
+
+  // ===== OBJECTS =====
+
+  async putObject(key, body, { contentType } = {}) {
+    await this.request('PUT', key, { body, contentType });
+    return { key, size: body.length };
+  }
+
+  async getObject(key) {
+    const response = await this.request('GET', key);
+    return Buffer.from(response.data);
+  }
+
+  async deleteObject(key) {
+    try {
+      await this.request('DELETE', key);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  /**
+   * Presigned GET URL; the browser downloads straight from the bucket
+   */
+  async getSignedUrl(key, { expiresIn, filename, contentType, now = Date.now() } = {}) {
+    const { protocol, host, path } = this.locate(key);
+    const { seconds, expiresAt } = this.expiryFor(expiresIn, now);
+    const amzDate = toAmzDate(new Date(now));
+
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${this.settings.accessKeyId}/${amzDate.substring(0, 8)}/${this.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(seconds),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (filename) {
+      query['response-content-disposition'] = `attachment; filename="${filename}"`;
+    }
+    if (contentType) {
+      query['response-content-type'] = contentType;
+    }
+
+    const { signature } = this.signature({
+      method: 'GET',
+      path,
+      query,
+      headers: { host },
+      payloadHash: UNSIGNED_PAYLOAD,
+      amzDate
+    });
+
+    const search = Object.keys(query)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    return { url: `${protocol}//${host}${path}?${search}&X-Amz-Signature=${signature}`, expiresAt };
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,42 @@
+/**
+ * Storage Backend Registry
+ * Maps config.storage.backend to object storage implementations
+ */
+
+const LocalStorage = require('./LocalStorage');
+const S3Storage = require('./S3Storage');
+const { StorageError } = require('./BaseStorage');
+
+const backends = new Map([
+  ['local', LocalStorage],
+  ['s3', S3Storage]
+]);
+
+/**
+ * Register (or replace) the class for a backend key
+ */
+function registerStorage(key, StorageClass) {
+  backends.set(key, StorageClass);
+}
+
+function hasStorage(key) {
+  return backends.has(key);
+}
+
+/**
+ * Build a backend instance from its settings
+ */
+function createStorage(key, settings) {
+  const StorageClass = backends.get(key);
+  if (!StorageClass) {
+    throw new StorageError(`Unknown storage backend: ${key}`);
+  }
+  return new StorageClass(settings);
+}
+
+module.exports = {
+  registerStorage,
+  hasStorage,
+  createStorage,
+  StorageError
+};
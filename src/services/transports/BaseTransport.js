@@ -0,0 +1,149 @@
+/**
+ * Base Transport
+ * Shared helpers for email/SMS delivery transports
+ *
+ * A transport is built from a notification_providers row and implements:
+ *   sendEmail(message)              -> { messageId }
+ *   sendSMS(message)                -> { messageId }
+ *   parseWebhook(payload, headers)  -> [normalized event]
+ *
+ * Email message: { id, to, toName, from, fromName, replyTo, subject, html, text }
+ * SMS message:   { id, to, from, body }
+ *
+ * Normalized event: { eventType, providerEventId, providerMessageId, recipient,
+ *                     occurredAt, bounceType, reason, url, raw }
+ * eventType is one of delivered, bounced, complained, opened, clicked, failed, deferred.
+ *
+ * Errors thrown with `permanent = true` are not retried (bad recipient, rejected
+ * credentials); everything else is treated as transient.
+ */
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['delivered', 'bounced', 'complained', 'opened', 'clicked', 'failed', 'deferred'];
+
+class TransportError extends Error {
+  constructor(message, { permanent = false, code = null } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.permanent = permanent;
+    this.code = code;
+  }
+}
+
+class BaseTransport {
+  constructor(provider, credentials = {}) {
+    this.provider = provider;
+    this.credentials = credentials || {};
+    this.settings = provider.config || {};
+  }
+
+  /**
+   * Transport key stored in notification_providers.config.transport
+   */
+  static get key() {
+    throw new Error('Transport must define a key');
+  }
+
+  get key() {
+    return this.constructor.key;
+  }
+
+  get name() {
+    return this.provider.provider_name;
+  }
+
+  async sendEmail() {
+    throw new TransportError(`${this.key} transport does not support email`, { permanent: true });
+  }
+
+  async sendSMS() {
+    throw new TransportError(`${this.key} transport does not support SMS`, { permanent: true });
+  }
+
+  /**
+   * Check the shared webhook token. Providers post it as the X-Webhook-Token
+   * header or a ?token= query parameter; without a configured secret every
+   * webhook is rejected.
+   */
+  verifyWebhook(headers = {}, query = {}) {
+    const secret = this.settings.webhookSecret;
+    if (!secret) {
+      return false;
+    }
+
+    const supplied = headers['x-webhook-token'] || query.token;
+    if (!supplied) {
+      return false;
+    }
+
+    const expected = Buffer.from(String(secret));
+    const actual = Buffer.from(String(supplied));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Events in the transport-neutral format:
+   * { "events": [{ "event", "id", "messageId", "recipient", "timestamp", "bounceType", "reason", "url" }] }
+   */
+  parseWebhook(payload) {
+    const events = Array.isArray(payload) ? payload : (payload && payload.events) || [payload];
+
+    return events
+      .filter(event => event && EVENT_TYPES.includes(event.event))
+      .map(event => this.buildEvent({
+        eventType: event.event,
+        providerEventId: event.id,
+        providerMessageId: event.messageId,
+        recipient: event.recipient,
+        occurredAt: event.timestamp,
+        bounceType: event.bounceType,
+        reason: event.reason,
+        url: event.url,
+        raw: event
+      }));
+  }
+
+  buildEvent(fields) {
+    const occurredAt = this.toTimestamp(fields.occurredAt);
+    return {
+      eventType: fields.eventType,
+      providerEventId: fields.providerEventId ? String(fields.providerEventId) : null,
+      providerMessageId: fields.providerMessageId ? String(fields.providerMessageId) : null,
+      recipient: fields.recipient || null,
+      occurredAt,
+      bounceType: fields.bounceType || (fields.eventType === 'bounced' ? 'hard' : null),
+      reason: fields.reason || null,
+      url: fields.url || null,
+      raw: fields.raw || null
+    };
+  }
+
+  /**
+   * Accepts ISO strings, epoch seconds and epoch milliseconds
+   */
+  toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+      return new Date().toISOString();
+    }
+
+    const numeric = Number(value);
+    const date = Number.isFinite(numeric)
+      ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+      : new Date(value);
+
+    return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+  }
+
+  generateMessageId(prefix = this.key) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+  }
+
+  formatAddress(email, name) {
+    return name ? `"${String(name).replace(/"/g, '')}" <${email}>` : email;
+  }
+}
+
+module.exports = BaseTransport;
+module.exports.TransportError = TransportError;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,26 @@
+/**
+ * Console Transport
+ * Logs outgoing messages instead of delivering them (development default)
+ */
+
+const BaseTransport = require('./BaseTransport');
+
+class ConsoleTransport extends BaseTransport {
+  static get key() {
+    return 'console';
+  }
+
+  async sendEmail(message) {
+    const messageId = this.generateMessageId();
+    console.log(`[Transport:console] Email ${messageId} to ${message.to}: ${message.subject}`);
+    return { messageId };
+  }
+
+  async sendSMS(message) {
+    const messageId = this.generateMessageId();
+    console.log(`[Transport:console] SMS ${messageId} to ${message.to}: ${message.body}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
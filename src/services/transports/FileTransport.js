@@ -0,0 +1,41 @@
+/**
+ * File Transport
+ * Writes each outgoing message to a JSON file, for staging and local testing
+ *
+ * Settings: directory (defaults to NOTIFICATION_OUTBOX_DIR)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/app');
+const BaseTransport = require('./BaseTransport');
+
+class FileTransport extends BaseTransport {
+  static get key() {
+    return 'file';
+  }
+
+  get directory() {
+    return path.resolve(this.settings.directory || config.notifications.outboxDir);
+  }
+
+  async sendEmail(message) {
+    return this.write('email', message);
+  }
+
+  async sendSMS(message) {
+    return this.write('sms', message);
+  }
+
+  async write(channel, message) {
+    const messageId = this.generateMessageId();
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify({ messageId, channel, provider: this.name, createdAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,176 @@
+/**
+ * HTTP API Transport
+ * Sends email/SMS through provider REST APIs
+ *
+ * Settings:
+ *   preset: 'sendgrid' | 'twilio' | 'generic' (defaults to the provider name when it matches)
+ *   baseUrl: override the preset API host (e.g. a mock server)
+ *   url, headers, messageIdField: endpoint description for the generic preset
+ *   accountSid, statusCallbackUrl: Twilio
+ * Credentials: apiKey (SendGrid key / Twilio account SID / bearer token), apiSecret (Twilio auth token)
+ */
+
+const axios = require('axios');
+const config = require('../../config/app');
+const BaseTransport = require('./BaseTransport');
+const { TransportError } = BaseTransport;
+
+const PRESETS = ['sendgrid', 'twilio', 'generic'];
+
+const SENDGRID_EVENTS = {
+  delivered: 'delivered',
+  bounce: 'bounced',
+  dropped: 'failed',
+  deferred: 'deferred',
+  open: 'opened',
+  click: 'clicked',
+  spamreport: 'complained'
+};
+
+const TWILIO_STATUSES = {
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed'
+};
+
+class HttpApiTransport extends BaseTransport {
+  static get key() {
+    return 'http';
+  }
+
+  get preset() {
+    const preset = this.settings.preset || (PRESETS.includes(this.name) ? this.name : 'generic');
+    if (!PRESETS.includes(preset)) {
+      throw new TransportError(`Unknown HTTP transport preset: ${preset}`, { permanent: true });
+    }
+    return preset;
+  }
+
+  // ===== SENDING =====
+
+  async sendEmail(message) {
+    if (this.preset === 'twilio') {
+      return super.sendEmail(message);
+    }
+
+    if (this.preset === 'sendgrid') {
+      const response = await this.post(`${this.settings.baseUrl || 'https://api.sendgrid.com'}/v3/mail/send`, {
+        personalizations: [{
+          to: [{ email: message.to, name: message.toName || undefined }],
+          custom_args: message.id ? { queue_id: message.id } : undefined
+        }],
+        from: { email: message.from, name: message.fromName || undefined },
+        reply_to: message.replyTo ? { email: message.replyTo } : undefined,
+        subject: message.subject,
+        content: [
+          message.text ? { type: 'text/plain', value: message.text } : null,
+          message.html ? { type: 'text/html', value: message.html } : null
+        ].filter(Boolean)
+      }, { Authorization: `Bearer ${this.credentials.apiKey}` });
+
+      return { messageId: response.headers['x-message-id'] || this.generateMessageId('sendgrid') };
+    }
+
+    return this.sendGeneric('email', message);
+  }
+
+  async sendSMS(message) {
+    if (this.preset === 'sendgrid') {
+      return super.sendSMS(message);
+    }
+
+    if (this.preset === 'twilio') {
+      const accountSid = this.settings.accountSid || this.credentials.apiKey;
+      const form = new URLSearchParams({ To: message.to, From: message.from, Body: message.body });
+      if (this.settings.statusCallbackUrl) {
+        form.append('StatusCallback', this.settings.statusCallbackUrl);
+      }
+
+      const response = await this.post(
+        `${this.settings.baseUrl || 'https://api.twilio.com'}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`,
+        form.toString(),
+        {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${this.credentials.apiSecret}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      );
+
+      return { messageId: response.data.sid };
+    }
+
+    return this.sendGeneric('sms', message);
+  }
+
+  async sendGeneric(channel, message) {
+    if (!this.settings.url) {
+      throw new TransportError(`HTTP provider ${this.name} has no url configured`, { permanent: true });
+    }
+
+    const headers = { ...(this.settings.headers || {}) };
+    if (this.credentials.apiKey) {
+      headers.Authorization = `Bearer ${this.credentials.apiKey}`;
+    }
+
+    const response = await this.post(this.settings.url, { channel, ...message }, headers);
+    const messageId = response.data && response.data[this.settings.messageIdField || 'id'];
+
+    return { messageId: messageId ? String(messageId) : this.generateMessageId() };
+  }
+
+  async post(url, data, headers) {
+    try {
+      return await axios.post(url, data, {
+        headers: { Accept: 'application/json', ...headers },
+        timeout: config.notifications.requestTimeoutMs
+      });
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const detail = error.response && error.response.data ? JSON.stringify(error.response.data) : error.message;
+
+      // Client errors other than timeouts/throttling will fail the same way on retry
+      const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+      throw new TransportError(`${this.name} responded ${status || error.code}: ${detail}`, { permanent, code: status || error.code });
+    }
+  }
+
+  // ===== WEBHOOKS =====
+
+  parseWebhook(payload, headers) {
+    if (this.preset === 'sendgrid') {
+      return (Array.isArray(payload) ? payload : [])
+        .filter(event => SENDGRID_EVENTS[event.event])
+        .map(event => this.buildEvent({
+          eventType: SENDGRID_EVENTS[event.event],
+          providerEventId: event.sg_event_id,
+          // sg_message_id is the X-Message-Id returned on send plus a ".filter..." suffix
+          providerMessageId: event.sg_message_id ? event.sg_message_id.split('.filter')[0] : null,
+          recipient: event.email,
+          occurredAt: event.timestamp,
+          bounceType: event.event === 'bounce' ? (event.type === 'blocked' ? 'soft' : 'hard') : null,
+          reason: event.reason || event.response,
+          url: event.url,
+          raw: event
+        }));
+    }
+
+    if (this.preset === 'twilio') {
+      const eventType = payload && TWILIO_STATUSES[payload.MessageStatus];
+      if (!eventType) {
+        return [];
+      }
+
+      return [this.buildEvent({
+        eventType,
+        providerEventId: `${payload.MessageSid}:${payload.MessageStatus}`,
+        providerMessageId: payload.MessageSid,
+        recipient: payload.To,
+        reason: payload.ErrorCode ? `Twilio error ${payload.ErrorCode}` : null,
+        raw: payload
+      })];
+    }
+
+    return super.parseWebhook(payload, headers);
+  }
+}
+
+module.exports = HttpApiTransport;
@@ -0,0 +1,69 @@
+/**
+ * SMTP Transport
+ * Sends email through any SMTP relay using nodemailer
+ *
+ * Settings: host, port, secure, user
+ * Credentials: apiKey (username, when settings.user is not set), apiSecret (password)
+ */
+
+const nodemailer = require('nodemailer');
+const config = require('../../config/app');
+const BaseTransport = require('./BaseTransport');
+const { TransportError } = BaseTransport;
+
+class SmtpTransport extends BaseTransport {
+  static get key() {
+    return 'smtp';
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      if (!this.settings.host) {
+        throw new TransportError(`SMTP provider ${this.name} has no host configured`, { permanent: true });
+      }
+
+      const port = parseInt(this.settings.port || 587, 10);
+      const user = this.settings.user || this.credentials.apiKey;
+
+      this.transporter = nodemailer.createTransport({
+        host: this.settings.host,
+        port,
+        secure: this.settings.secure !== undefined ? Boolean(this.settings.secure) : port === 465,
+        auth: user ? { user, pass: this.credentials.apiSecret } : undefined,
+        connectionTimeout: config.notifications.requestTimeoutMs,
+        socketTimeout: config.notifications.requestTimeoutMs
+      });
+    }
+    return this.transporter;
+  }
+
+  async sendEmail(message) {
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: this.formatAddress(message.from, message.fromName),
+        to: this.formatAddress(message.to, message.toName),
+        replyTo: message.replyTo || undefined,
+        subject: message.subject,
+        html: message.html || undefined,
+        text: message.text || undefined,
+        headers: message.id ? { 'X-PattyShack-Queue-Id': message.id } : undefined
+      });
+
+      if (info.rejected && info.rejected.length > 0) {
+        throw new TransportError('Recipient rejected by the SMTP server', { permanent: true });
+      }
+
+      return { messageId: info.messageId };
+    } catch (error) {
+      if (error instanceof TransportError) {
+        throw error;
+      }
+
+      // 5xx replies are permanent (unknown mailbox, auth rejected); 4xx and socket errors are retried
+      const permanent = error.responseCode >= 500 || error.code === 'EAUTH';
+      throw new TransportError(error.message, { permanent, code: error.responseCode || error.code });
+    }
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,58 @@
+/**
+ * Transport Registry
+ * Maps notification_providers rows to delivery transports
+ */
+
+const ConsoleTransport = require('./ConsoleTransport');
+const FileTransport = require('./FileTransport');
+const SmtpTransport = require('./SmtpTransport');
+const HttpApiTransport = require('./HttpApiTransport');
+const { TransportError } = require('./BaseTransport');
+
+const transports = new Map([
+  ['console', ConsoleTransport],
+  ['file', FileTransport],
+  ['smtp', SmtpTransport],
+  ['http', HttpApiTransport]
+]);
+
+// Providers created before config.transport existed are resolved by name
+const PROVIDER_DEFAULTS = {
+  sendgrid: 'http',
+  twilio: 'http'
+};
+
+/**
+ * Register (or replace) the transport class for a config.transport key
+ */
+function registerTransport(key, TransportClass) {
+  transports.set(key, TransportClass);
+}
+
+function hasTransport(key) {
+  return transports.has(key);
+}
+
+function resolveTransportKey(provider) {
+  const settings = provider.config || {};
+  return settings.transport || PROVIDER_DEFAULTS[provider.provider_name] || null;
+}
+
+/**
+ * Build a transport instance for a notification_providers row
+ */
+function createTransport(provider, credentials) {
+  const TransportClass = transports.get(resolveTransportKey(provider));
+  if (!TransportClass) {
+    return null;
+  }
+  return new TransportClass(provider, credentials);
+}
+
+module.exports = {
+  registerTransport,
+  hasTransport,
+  resolveTransportKey,
+  createTransport,
+  TransportError
+};
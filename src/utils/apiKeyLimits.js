@@ -0,0 +1,137 @@
+/**
+ * API Key Limits
+ * IP allowlists with CIDR ranges, and hourly/burst rate limit decisions
+ *
+ * Requests are counted in one-minute windows. The burst limit applies to the
+ * current minute and the hourly limit to the current minute plus the 59 before
+ * it, so the hourly allowance frees up gradually rather than all at once.
+ */
+
+const net = require('net');
+
+const HOUR_WINDOWS = 60;
+
+// IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+const normalizeIp = (ip) => {
+  const value = String(ip || '').trim();
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(value);
+  return mapped ? mapped[1] : value;
+};
+
+/**
+ * Parse one allowlist entry ("203.0.113.7", "10.0.0.0/8", "2001:db8::/32"),
+ * returning null when it is not a valid address or range
+ */
+const parseAllowlistEntry = (entry) => {
+  const [address, prefixText, ...rest] = String(entry || '').trim().split('/');
+  const family = net.isIP(normalizeIp(address));
+  if (!family || rest.length > 0) return null;
+
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  if (prefixText === undefined) return { address: normalizeIp(address), prefix: null, type };
+
+  const prefix = Number(prefixText);
+  const maxPrefix = family === 4 ? 32 : 128;
+  if (!/^\d+$/.test(prefixText) || prefix > maxPrefix) return null;
+
+  return { address: normalizeIp(address), prefix, type };
+};
+
+/**
+ * Entries of an allowlist that are not valid addresses or CIDR ranges
+ */
+const invalidAllowlistEntries = (allowlist = []) =>
+  allowlist.filter(entry => parseAllowlistEntry(entry) === null);
+
+/**
+ * Whether a client address is allowed. An empty allowlist allows every address.
+ */
+const ipAllowed = (allowlist, ip) => {
+  if (!Array.isArray(allowlist) || allowlist.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const entry of allowlist) {
+    const parsed = parseAllowlistEntry(entry);
+    if (!parsed) continue;
+    if (parsed.prefix === null) {
+      blockList.addAddress(parsed.address, parsed.type);
+    } else {
+      blockList.addSubnet(parsed.address, parsed.prefix, parsed.type);
+    }
+  }
+
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const unixSeconds = (date) => Math.ceil(new Date(date).getTime() / 1000);
+
+/**
+ * Whether a request fits a key's limits.
+ *
+ *   limits - { hourlyLimit, burstLimit }
+ *   usage  - { minuteCount, hourCount, windowStart, oldestWindowStart }, counts
+ *            including this request; windowStart is the current minute
+ *
+ * Returns { allowed, reason, limit, remaining, reset, burstLimit,
+ * burstRemaining, retryAfter } where reset is when the oldest counted minute
+ * leaves the hourly window (unix seconds) and retryAfter is set when rejected.
+ */
+const rateLimitDecision = ({ hourlyLimit, burstLimit }, usage, now = new Date()) => {
+  const windowStart = new Date(usage.windowStart);
+  const nextMinute = new Date(windowStart.getTime() + 60 * 1000);
+  const oldest = new Date(usage.oldestWindowStart || windowStart);
+  const reset = new Date(oldest.getTime() + HOUR_WINDOWS * 60 * 1000);
+
+  const burstExceeded = burstLimit > 0 && usage.minuteCount > burstLimit;
+  const hourlyExceeded = hourlyLimit > 0 && usage.hourCount > hourlyLimit;
+
+  let retryAfter = null;
+  if (hourlyExceeded) {
+    retryAfter = Math.max(1, unixSeconds(reset) - Math.floor(now.getTime() / 1000));
+  } else if (burstExceeded) {
+    retryAfter = Math.max(1, unixSeconds(nextMinute) - Math.floor(now.getTime() / 1000));
+  }
+
+  return {
+    allowed: !burstExceeded && !hourlyExceeded,
+    reason: hourlyExceeded ? 'rate_limited' : (burstExceeded ? 'burst_limited' : null),
+    limit: hourlyLimit,
+    remaining: Math.max(0, hourlyLimit - usage.hourCount),
+    reset: unixSeconds(reset),
+    burstLimit,
+    burstRemaining: Math.max(0, burstLimit - usage.minuteCount),
+    retryAfter
+  };
+};
+
+/**
+ * Response headers describing a rate limit decision
+ */
+const rateLimitHeaders = (decision) => {
+  const headers = {
+    'X-RateLimit-Limit': String(decision.limit),
+    'X-RateLimit-Remaining': String(decision.remaining),
+    'X-RateLimit-Reset': String(decision.reset),
+    'X-RateLimit-Burst-Limit': String(decision.burstLimit),
+    'X-RateLimit-Burst-Remaining': String(decision.burstRemaining)
+  };
+
+  if (decision.retryAfter !== null) {
+    headers['Retry-After'] = String(decision.retryAfter);
+  }
+
+  return headers;
+};
+
+module.exports = {
+  HOUR_WINDOWS,
+  normalizeIp,
+  invalidAllowlistEntries,
+  ipAllowed,
+  rateLimitDecision,
+  rateLimitHeaders
+};
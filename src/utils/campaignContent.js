@@ -0,0 +1,94 @@
+/**
+ * Campaign Content Utilities
+ * Merge-field rendering and open/click tracking for marketing email
+ *
+ * Merge fields are written {{field}} or {{field|fallback}}; unknown fields
+ * render as the fallback (or empty). Values are HTML-escaped when rendering HTML.
+ */
+
+const crypto = require('crypto');
+
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-zA-Z0-9_.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve a dotted path ("location.name") against the merge data
+ */
+function lookup(fields, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), fields);
+}
+
+/**
+ * Replace {{field}} placeholders with values from `fields`
+ */
+function renderMergeFields(template, fields = {}, { html = false } = {}) {
+  if (!template) {
+    return template;
+  }
+
+  return String(template).replace(MERGE_FIELD_PATTERN, (match, path, fallback) => {
+    const value = lookup(fields, path);
+    const resolved = value === null || value === undefined || value === '' ? (fallback || '').trim() : value;
+    return html ? escapeHtml(resolved) : String(resolved);
+  });
+}
+
+/**
+ * HMAC signature for tracking links, so they cannot be forged or turned into open redirects
+ */
+function signTrackingValue(secret, ...parts) {
+  return crypto.createHmac('sha256', secret).update(parts.join(':')).digest('hex').substring(0, 32);
+}
+
+function verifyTrackingValue(secret, signature, ...parts) {
+  if (!signature) {
+    return false;
+  }
+  const expected = Buffer.from(signTrackingValue(secret, ...parts));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Rewrite absolute http(s) links through the click tracker.
+ * `buildUrl(originalUrl)` returns the tracking URL, or null to leave the link as is;
+ * mailto: and anchors are never rewritten.
+ */
+function rewriteLinks(html, buildUrl) {
+  if (!html) {
+    return html;
+  }
+
+  return html.replace(/(<a\b[^>]*\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, url) => {
+    const tracked = buildUrl(url.replace(/&amp;/g, '&'));
+    return tracked ? `${prefix}${quote}${escapeHtml(tracked)}${quote}` : match;
+  });
+}
+
+/**
+ * Append a 1x1 open-tracking image, inside <body> when there is one
+ */
+function appendTrackingPixel(html, pixelUrl) {
+  const pixel = `<img src="${escapeHtml(pixelUrl)}" width="1" height="1" alt="" style="display:none" />`;
+  if (!html) {
+    return pixel;
+  }
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${pixel}</body>`) : `${html}${pixel}`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderMergeFields,
+  signTrackingValue,
+  verifyTrackingValue,
+  rewriteLinks,
+  appendTrackingPixel
+};
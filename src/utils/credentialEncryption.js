@@ -0,0 +1,191 @@
+/**
+ * Credential Encryption
+ * Envelope encryption for stored integration credentials, and secret redaction
+ *
+ * Each value is encrypted with its own random data key (AES-256-GCM), and the
+ * data key is wrapped with a versioned master key from configuration. What is
+ * stored looks like:
+ *
+ *   { enc: 'aes-256-gcm', key_version: 2,
+ *     wrapped_key: { iv, tag, data }, iv, tag, data }   (all base64)
+ *
+ * Rotating the master key only re-wraps data keys; the credentials themselves
+ * are never re-encrypted. An optional context (the owning record's id) is bound
+ * in as additional authenticated data, so ciphertext copied onto another
+ * record fails to decrypt.
+ *
+ * Master keys are configured as "version:key" pairs separated by commas. A key
+ * is 32 bytes of base64 or hex; anything else is treated as a passphrase and
+ * hashed to 32 bytes.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+const REDACTED = '[REDACTED]';
+
+// Field names (snake_cased) whose values never leave the server
+const SECRET_FIELD_PATTERN = /(^|_)(password(_hash)?|secret|token|credentials?|api_?key|private_key)$/;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const decodeKey = (value) => {
+  const text = String(value).trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) return Buffer.from(text, 'hex');
+
+  const base64 = Buffer.from(text, 'base64');
+  if (base64.length === 32 && /^[A-Za-z0-9+/]+=*$/.test(text)) return base64;
+
+  return crypto.createHash('sha256').update(text).digest();
+};
+
+/**
+ * Parse configured master keys into { currentVersion, keys: Map(version -> Buffer) }.
+ * The current version defaults to the highest one configured.
+ */
+const parseKeyring = (spec, currentVersion = null) => {
+  const keys = new Map();
+
+  for (const entry of String(spec || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const version = parseInt(entry.slice(0, separator), 10);
+    if (separator < 1 || !Number.isInteger(version) || version < 1) {
+      throw new Error('Credential master keys must be "version:key" pairs with positive integer versions');
+    }
+    keys.set(version, decodeKey(entry.slice(separator + 1)));
+  }
+
+  if (keys.size === 0) {
+    throw new Error('No credential master keys configured (set CREDENTIALS_MASTER_KEYS)');
+  }
+
+  const current = currentVersion ? parseInt(currentVersion, 10) : Math.max(...keys.keys());
+  if (!keys.has(current)) {
+    throw new Error(`Current credential key version ${current} is not configured`);
+  }
+
+  return { currentVersion: current, keys };
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+};
+
+const isEncrypted = (stored) =>
+  Boolean(stored && typeof stored === 'object' && stored.enc === ALGORITHM && stored.wrapped_key);
+
+const masterKey = (keyring, version) => {
+  const key = keyring.keys.get(version);
+  if (!key) {
+    throw createError(`Credentials are encrypted with key version ${version}, which is not configured`, 500);
+  }
+  return key;
+};
+
+/**
+ * Encrypt a credentials object under the current master key
+ */
+const encryptCredentials = (credentials, keyring, context = null) => {
+  const dataKey = crypto.randomBytes(32);
+  const sealed = seal(dataKey, Buffer.from(JSON.stringify(credentials || {})), context);
+
+  return {
+    enc: ALGORITHM,
+    key_version: keyring.currentVersion,
+    wrapped_key: seal(masterKey(keyring, keyring.currentVersion), dataKey, null),
+    ...sealed
+  };
+};
+
+/**
+ * Decrypt stored credentials. Values written before encryption (plain
+ * objects, or JSON text) are returned as they are.
+ */
+const decryptCredentials = (stored, keyring, context = null) => {
+  if (!stored) return {};
+  if (typeof stored === 'string') return decryptCredentials(JSON.parse(stored), keyring, context);
+  if (!isEncrypted(stored)) return stored;
+
+  try {
+    const dataKey = open(masterKey(keyring, stored.key_version), stored.wrapped_key, null);
+    return JSON.parse(open(dataKey, stored, context).toString('utf8'));
+  } catch (error) {
+    if (error.status) throw error;
+    throw createError('Stored credentials could not be decrypted', 500);
+  }
+};
+
+/**
+ * Whether stored credentials should be rewritten under the current key
+ * (plaintext values and values under an older key version)
+ */
+const needsReencryption = (stored, keyring) => {
+  if (!stored || (typeof stored === 'object' && !isEncrypted(stored) && Object.keys(stored).length === 0)) {
+    return false;
+  }
+  return !isEncrypted(stored) || stored.key_version !== keyring.currentVersion;
+};
+
+/**
+ * Bring stored credentials onto the current master key: plaintext is
+ * encrypted, and an older wrapped data key is re-wrapped.
+ */
+const reencryptCredentials = (stored, keyring, context = null) => {
+  if (!isEncrypted(stored)) {
+    return encryptCredentials(decryptCredentials(stored, keyring, context), keyring, context);
+  }
+
+  const dataKey = open(masterKey(keyring, stored.key_version), stored.wrapped_key, null);
+  return {
+    ...stored,
+    key_version: keyring.currentVersion,
+    wrapped_key: seal(masterKey(keyring, keyring.currentVersion), dataKey, null)
+  };
+};
+
+const isSecretField = (key) =>
+  SECRET_FIELD_PATTERN.test(key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase());
+
+/**
+ * Deep copy with the value of every secret-looking field replaced by a marker
+ * (flags such as require_password: true are kept)
+ */
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => {
+    if (isSecretField(key) && fieldValue !== null && fieldValue !== undefined && typeof fieldValue !== 'boolean') {
+      return [key, REDACTED];
+    }
+    return [key, redactSecrets(fieldValue)];
+  }));
+};
+
+module.exports = {
+  REDACTED,
+  parseKeyring,
+  isEncrypted,
+  encryptCredentials,
+  decryptCredentials,
+  needsReencryption,
+  reencryptCredentials,
+  redactSecrets
+};
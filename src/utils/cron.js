@@ -0,0 +1,410 @@
+/**
+ * Cron Utilities
+ * Parses cron expressions and calculates run times in a given timezone
+ *
+ * Supported syntax:
+ * - Five fields (minute hour day-of-month month day-of-week) or six fields
+ *   with a leading seconds field
+ * - Wildcards (*, ?), ranges (1-5), steps (*\/15, 10-40/10), lists (1,15,30)
+ * - Month and weekday names (JAN-DEC, SUN-SAT); 7 is accepted for Sunday
+ * - Macros: @yearly, @annually, @monthly, @weekly, @daily, @midnight, @hourly
+ *
+ * As in Vixie cron, when both day-of-month and day-of-week are restricted a
+ * day matches if either field matches.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = {
+  second: { min: 0, max: 59 },
+  minute: { min: 0, max: 59 },
+  hour: { min: 0, max: 23 },
+  dayOfMonth: { min: 1, max: 31 },
+  month: { min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  dayOfWeek: { min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+};
+
+// Upper bound on the wall-clock search; only expressions that can never
+// match (such as 30 February) exhaust it
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const formatterCache = new Map();
+
+function parseValue(token, field, fieldName) {
+  const upper = token.toUpperCase();
+  if (field.names) {
+    const index = field.names.indexOf(upper);
+    if (index !== -1) return index + field.nameOffset;
+  }
+
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid value "${token}" in ${fieldName} field`);
+  }
+
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`Value ${value} out of range ${field.min}-${field.max} in ${fieldName} field`);
+  }
+  return value;
+}
+
+function parseField(source, fieldName) {
+  const field = FIELDS[fieldName];
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    if (part === '') {
+      throw new Error(`Empty list entry in ${fieldName} field`);
+    }
+
+    const [rangePart, stepPart, extra] = part.split('/');
+    if (extra !== undefined) {
+      throw new Error(`Invalid step "${part}" in ${fieldName} field`);
+    }
+
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+        throw new Error(`Invalid step "${stepPart}" in ${fieldName} field`);
+      }
+      step = parseInt(stepPart, 10);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*' || rangePart === '?') {
+      if (rangePart === '?' && fieldName !== 'dayOfMonth' && fieldName !== 'dayOfWeek') {
+        throw new Error(`"?" is only allowed in day-of-month and day-of-week fields`);
+      }
+      start = field.min;
+      end = fieldName === 'dayOfWeek' ? 6 : field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, field, fieldName);
+      end = parseValue(to, field, fieldName);
+      if (start > end) {
+        throw new Error(`Invalid range "${rangePart}" in ${fieldName} field`);
+      }
+    } else {
+      start = parseValue(rangePart, field, fieldName);
+      // "5/15" means every 15 starting at 5
+      end = stepPart !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(fieldName === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression into sets of allowed values per field.
+ * Throws an Error describing the problem when the expression is invalid.
+ */
+function parseExpression(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Cron expression is required');
+  }
+
+  const trimmed = expression.trim();
+  const normalized = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 or 6 fields, got ${parts.length}`);
+  }
+
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  try {
+    const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts;
+    return {
+      expression: trimmed,
+      second: parseField(second, 'second'),
+      minute: parseField(minute, 'minute'),
+      hour: parseField(hour, 'hour'),
+      dayOfMonth: parseField(dayOfMonth, 'dayOfMonth'),
+      month: parseField(month, 'month'),
+      dayOfWeek: parseField(dayOfWeek, 'dayOfWeek'),
+      dayOfMonthRestricted: !(dayOfMonth.startsWith('*') || dayOfMonth === '?'),
+      dayOfWeekRestricted: !(dayOfWeek.startsWith('*') || dayOfWeek === '?')
+    };
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+  }
+}
+
+/**
+ * Validate a cron expression without throwing
+ */
+function validateExpression(expression) {
+  try {
+    parseExpression(expression);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Check whether a timezone name is known to the runtime
+ */
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+// Wall-clock time in the timezone, encoded as a UTC timestamp so that
+// calendar arithmetic can be done with Date.UTC
+function toWallClock(instantMs, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(instantMs))) {
+    parts[type] = parseInt(value, 10);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Convert a wall-clock time back to an instant. Times repeated by a DST
+// change resolve to the earlier instant; times skipped by one resolve to the
+// equivalent instant after the change (02:30 becomes 03:30).
+function fromWallClock(wallMs, timezone) {
+  const offsetBefore = toWallClock(wallMs - 86400000, timezone) - (wallMs - 86400000);
+  const offsetAfter = toWallClock(wallMs + 86400000, timezone) - (wallMs + 86400000);
+
+  const matches = [wallMs - offsetBefore, wallMs - offsetAfter]
+    .filter(instant => toWallClock(instant, timezone) === wallMs)
+    .sort((a, b) => a - b);
+
+  return matches.length > 0 ? matches[0] : wallMs - offsetBefore;
+}
+
+function dayMatches(parsed, date) {
+  const domMatch = parsed.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getUTCDay());
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Find the next run strictly after the given date.
+ *
+ * @param {string|object} expression - Cron expression or result of parseExpression
+ * @param {object} options - { after: Date, timezone: IANA name (default UTC) }
+ * @returns {Date|null} Next run, or null if none within the search window
+ */
+function getNextRun(expression, options = {}) {
+  const parsed = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const timezone = options.timezone || 'UTC';
+  const after = options.after ? new Date(options.after).getTime() : Date.now();
+
+  if (Number.isNaN(after)) {
+    throw new Error('Invalid start date');
+  }
+
+  // Start at the next whole second after the reference instant
+  let wall = Math.floor(toWallClock(after, timezone) / 1000) * 1000 + 1000;
+  const limit = wall + MAX_SEARCH_MS;
+
+  while (wall <= limit) {
+    const date = new Date(wall);
+
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+      continue;
+    }
+    if (!dayMatches(parsed, date)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+      continue;
+    }
+    if (!parsed.hour.has(date.getUTCHours())) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours() + 1);
+      continue;
+    }
+    if (!parsed.minute.has(date.getUTCMinutes())) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes() + 1);
+      continue;
+    }
+    if (!parsed.second.has(date.getUTCSeconds())) {
+      wall += 1000;
+      continue;
+    }
+
+    const instant = fromWallClock(wall, timezone);
+    if (instant > after) {
+      return new Date(instant);
+    }
+    wall += 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Find the latest run strictly before the given date.
+ *
+ * @param {string|object} expression - Cron expression or result of parseExpression
+ * @param {object} options - { before: Date, timezone: IANA name (default UTC),
+ *   since: Date, runs at or before it are not returned }
+ * @returns {Date|null} Previous run, or null if none within the search window
+ */
+function getPreviousRun(expression, options = {}) {
+  const parsed = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const timezone = options.timezone || 'UTC';
+  const before = options.before ? new Date(options.before).getTime() : Date.now();
+
+  if (Number.isNaN(before)) {
+    throw new Error('Invalid end date');
+  }
+
+  // Wall clock truncates to the second, so this may equal `before`; the
+  // instant check below steps past it
+  let wall = toWallClock(before, timezone);
+  const limit = options.since
+    ? toWallClock(new Date(options.since).getTime(), timezone) - 86400000
+    : wall - MAX_SEARCH_MS;
+
+  while (wall >= limit) {
+    const date = new Date(wall);
+
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) - 1000;
+      continue;
+    }
+    if (!dayMatches(parsed, date)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - 1000;
+      continue;
+    }
+    if (!parsed.hour.has(date.getUTCHours())) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()) - 1000;
+      continue;
+    }
+    if (!parsed.minute.has(date.getUTCMinutes())) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes()) - 1000;
+      continue;
+    }
+    if (!parsed.second.has(date.getUTCSeconds())) {
+      wall -= 1000;
+      continue;
+    }
+
+    const instant = fromWallClock(wall, timezone);
+    if (instant < before) {
+      if (options.since && instant <= new Date(options.since).getTime()) return null;
+      return new Date(instant);
+    }
+    wall -= 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Get the next `count` runs after the given date
+ */
+function getNextRuns(expression, count, options = {}) {
+  const parsed = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const runs = [];
+  let after = options.after || new Date();
+
+  while (runs.length < count) {
+    const next = getNextRun(parsed, { ...options, after });
+    if (!next) break;
+    runs.push(next);
+    after = next;
+  }
+
+  return runs;
+}
+
+/**
+ * Get all runs in the window (after, until], capped at `limit`
+ */
+function getRunsBetween(expression, after, until, options = {}) {
+  const parsed = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const limit = options.limit || 1000;
+  const end = new Date(until).getTime();
+  const runs = [];
+  let cursor = after;
+
+  while (runs.length < limit) {
+    const next = getNextRun(parsed, { timezone: options.timezone, after: cursor });
+    if (!next || next.getTime() > end) break;
+    runs.push(next);
+    cursor = next;
+  }
+
+  return runs;
+}
+
+/**
+ * Get the latest `limit` runs in the window (after, until], oldest first.
+ * Searches back from `until`, so a long window only costs `limit` steps.
+ */
+function getLatestRunsBetween(expression, after, until, options = {}) {
+  const parsed = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const limit = options.limit || 1;
+  const runs = [];
+  // Runs exactly at `until` are in the window
+  let cursor = new Date(new Date(until).getTime() + 1);
+
+  while (runs.length < limit) {
+    const previous = getPreviousRun(parsed, { timezone: options.timezone, before: cursor, since: after });
+    if (!previous) break;
+    runs.unshift(previous);
+    cursor = previous;
+  }
+
+  return runs;
+}
+
+module.exports = {
+  parseExpression,
+  validateExpression,
+  isValidTimezone,
+  toWallClock,
+  getNextRun,
+  getNextRuns,
+  getPreviousRun,
+  getRunsBetween,
+  getLatestRunsBetween
+};
@@ -0,0 +1,337 @@
+/**
+ * Data Import Helpers
+ * File parsing, column mapping and row validation for bulk imports
+ *
+ * Each import type maps rows onto one table and upserts on a natural key
+ * (SKU, email or serial number). Field types:
+ *   string | number | integer | boolean | date | email | enum | list
+ *
+ * Types that are not location scoped match existing records across the brand,
+ * so updates to them are limited: sharedRecords may only be updated by callers
+ * with access to every location, and reachableByLocation records only when
+ * their location_id is one the importer can reach.
+ */
+
+const IMPORT_DEFINITIONS = {
+  inventory: {
+    title: 'Inventory Items',
+    table: 'inventory_items',
+    idPrefix: 'item',
+    key: 'sku',
+    locationScoped: true,
+    fields: {
+      sku: { type: 'string', required: true, maxLength: 100 },
+      name: { type: 'string', required: true, maxLength: 500 },
+      barcode: { type: 'string', maxLength: 100 },
+      category: { type: 'string', maxLength: 100 },
+      unit: { type: 'string', maxLength: 50 },
+      current_quantity: { type: 'number', min: 0 },
+      par_level: { type: 'number', min: 0 },
+      reorder_point: { type: 'number', min: 0 },
+      unit_cost: { type: 'number', min: 0 }
+    }
+  },
+  vendors: {
+    title: 'Vendors',
+    table: 'vendors',
+    idPrefix: 'vendor',
+    key: 'email',
+    locationScoped: false,
+    sharedRecords: true,
+    fields: {
+      email: { type: 'email', required: true },
+      name: { type: 'string', required: true, maxLength: 255 },
+      contact_name: { type: 'string', maxLength: 255 },
+      phone: { type: 'string', maxLength: 50 },
+      address: { type: 'string' },
+      payment_terms: { type: 'string', maxLength: 100 },
+      lead_time_days: { type: 'integer', min: 0 },
+      minimum_order: { type: 'number', min: 0 }
+    }
+  },
+  menu_items: {
+    title: 'Menu Items',
+    table: 'menu_items',
+    idPrefix: 'menu-item',
+    key: 'sku',
+    locationScoped: true,
+    fields: {
+      sku: { type: 'string', required: true, maxLength: 100 },
+      name: { type: 'string', required: true, maxLength: 255 },
+      description: { type: 'string' },
+      base_price: { type: 'number', required: true, min: 0 },
+      prep_time_minutes: { type: 'integer', min: 0 },
+      allergens: { type: 'list' },
+      is_available: { type: 'boolean' }
+    }
+  },
+  employees: {
+    title: 'Employees',
+    table: 'users',
+    idPrefix: 'user',
+    key: 'email',
+    locationScoped: false,
+    // Existing users are only updated when they hold one of the importable roles
+    reachableByLocation: true,
+    fields: {
+      email: { type: 'email', required: true },
+      first_name: { type: 'string', maxLength: 255 },
+      last_name: { type: 'string', maxLength: 255 },
+      phone: { type: 'string', maxLength: 50 },
+      username: { type: 'string', maxLength: 255 },
+      // Multi-location roles are granted by hand, not by bulk import
+      role: { type: 'enum', values: ['crew', 'manager'] }
+    }
+  },
+  equipment: {
+    title: 'Equipment',
+    table: 'equipment',
+    idPrefix: 'equip',
+    key: 'serial_number',
+    locationScoped: true,
+    fields: {
+      serial_number: { type: 'string', required: true, maxLength: 255 },
+      name: { type: 'string', required: true, maxLength: 255 },
+      equipment_type: {
+        type: 'enum',
+        required: true,
+        values: ['refrigerator', 'freezer', 'hot_holding', 'prep_table', 'ambient', 'walk_in_cooler', 'walk_in_freezer']
+      },
+      manufacturer: { type: 'string', maxLength: 255 },
+      model: { type: 'string', maxLength: 255 },
+      install_date: { type: 'date' },
+      status: { type: 'enum', values: ['active', 'maintenance', 'offline', 'decommissioned'] }
+    }
+  }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// ===== PARSING =====
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * into an array of string arrays
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse an uploaded file into { columns, records } where each record is keyed by source column
+ */
+function parseImportFile(content, format) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      throw new Error('CSV file is empty');
+    }
+
+    const columns = header.map(column => column.trim());
+    const records = rows.map(cells => {
+      const record = {};
+      columns.forEach((column, index) => { record[column] = cells[index] === undefined ? '' : cells[index]; });
+      return record;
+    });
+
+    return { columns, records };
+  }
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const records = Array.isArray(data) ? data : data && data.rows;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new Error('JSON imports must be an array of objects (or { "rows": [...] })');
+    }
+
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { columns, records };
+  }
+
+  throw new Error(`Unsupported import format: ${format}`);
+}
+
+// ===== MAPPING =====
+
+const normalizeColumn = column => String(column).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Build { field: sourceColumn } from an explicit mapping, falling back to columns
+ * whose normalized name matches the field ("Unit Cost" -> unit_cost)
+ */
+function resolveColumnMapping(definition, columns, mapping = {}) {
+  const resolved = {};
+
+  Object.entries(mapping || {}).forEach(([field, column]) => {
+    if (!definition.fields[field]) {
+      throw new Error(`Unknown field in column mapping: ${field}`);
+    }
+    if (column && !columns.includes(column)) {
+      throw new Error(`Mapped column "${column}" is not in the file`);
+    }
+    if (column) resolved[field] = column;
+  });
+
+  Object.keys(definition.fields).forEach(field => {
+    if (resolved[field] || (mapping && field in mapping)) return;
+    const match = columns.find(column => normalizeColumn(column) === field);
+    if (match) resolved[field] = match;
+  });
+
+  const missing = Object.entries(definition.fields)
+    .filter(([field, spec]) => spec.required && !resolved[field])
+    .map(([field]) => field);
+  if (missing.length > 0) {
+    throw new Error(`No column mapped for required field(s): ${missing.join(', ')}`);
+  }
+
+  return resolved;
+}
+
+// ===== VALIDATION =====
+
+function coerceValue(spec, raw) {
+  if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+    return null;
+  }
+
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      const number = typeof text === 'number' ? text : Number(String(text).replace(/[$,\s]/g, ''));
+      if (!Number.isFinite(number)) throw new Error('must be a number');
+      if (spec.type === 'integer' && !Number.isInteger(number)) throw new Error('must be a whole number');
+      if (spec.min !== undefined && number < spec.min) throw new Error(`must be at least ${spec.min}`);
+      return number;
+    }
+
+    case 'boolean': {
+      if (typeof text === 'boolean') return text;
+      const value = String(text).toLowerCase();
+      if (TRUE_VALUES.includes(value)) return true;
+      if (FALSE_VALUES.includes(value)) return false;
+      throw new Error('must be yes/no or true/false');
+    }
+
+    case 'date': {
+      const match = String(text).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : new Date(text);
+      if (Number.isNaN(date.getTime())) throw new Error('must be a date (YYYY-MM-DD)');
+      return date.toISOString().substring(0, 10);
+    }
+
+    case 'email': {
+      const value = String(text).toLowerCase();
+      if (!EMAIL_PATTERN.test(value)) throw new Error('must be an email address');
+      return value;
+    }
+
+    case 'enum': {
+      const value = String(text).toLowerCase().replace(/\s+/g, '_');
+      if (!spec.values.includes(value)) throw new Error(`must be one of: ${spec.values.join(', ')}`);
+      return value;
+    }
+
+    case 'list':
+      return (Array.isArray(text) ? text : String(text).split(/[;,]/))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+    default: {
+      const value = String(text);
+      if (spec.maxLength && value.length > spec.maxLength) {
+        throw new Error(`must be at most ${spec.maxLength} characters`);
+      }
+      return value;
+    }
+  }
+}
+
+/**
+ * Map and validate one source record. Returns { values, errors } where values
+ * holds only the mapped fields and errors is [{ field, message }].
+ */
+function validateRecord(definition, record, columnMapping) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(columnMapping).forEach(([field, column]) => {
+    const spec = definition.fields[field];
+    try {
+      values[field] = coerceValue(spec, record[column]);
+    } catch (error) {
+      errors.push({ field, message: `${field} ${error.message}` });
+      return;
+    }
+
+    if (spec.required && values[field] === null) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  });
+
+  return { values, errors };
+}
+
+module.exports = {
+  IMPORT_DEFINITIONS,
+  parseCsv,
+  parseImportFile,
+  resolveColumnMapping,
+  validateRecord
+};
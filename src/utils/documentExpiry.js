@@ -0,0 +1,78 @@
+/**
+ * Document Expiry
+ * Reminder stages for expiring compliance documents and diffs between
+ * document versions
+ *
+ * Reminders escalate as the expiration date nears: a notice to the document
+ * owner from the document's own lead time, a warning that also reaches the
+ * location manager in the last week, and an expired notice that goes up to
+ * corporate.
+ */
+
+const WARNING_DAYS = 7;
+
+// Document fields compared between versions, besides custom metadata
+const VERSION_FIELDS = ['file_name', 'file_size', 'mime_type'];
+
+/**
+ * Reminder thresholds (days before expiry) for a document's lead time,
+ * largest first: the lead time itself plus 14, 7 and 1 days where they fall inside it
+ */
+const expiryReminderDays = (reminderDaysBefore = 30) => {
+  const lead = parseInt(reminderDaysBefore, 10) > 0 ? parseInt(reminderDaysBefore, 10) : 30;
+  return [...new Set([lead, 14, WARNING_DAYS, 1])]
+    .filter(days => days <= lead)
+    .sort((a, b) => b - a);
+};
+
+/**
+ * Reminder due for a document with daysRemaining until expiry, or null.
+ * Returns { days_before, escalation: 'notice' | 'warning' | 'expired' } where
+ * days_before is the smallest threshold reached (0 once expired).
+ */
+const reminderStage = (daysRemaining, reminderDays) => {
+  if (daysRemaining === null || daysRemaining === undefined) return null;
+  const days = Number(daysRemaining);
+
+  if (days < 0) {
+    return { days_before: 0, escalation: 'expired' };
+  }
+
+  const reached = reminderDays.filter(threshold => threshold > 0 && days <= threshold);
+  if (reached.length === 0) return null;
+
+  const daysBefore = Math.min(...reached);
+  return { days_before: daysBefore, escalation: daysBefore <= WARNING_DAYS ? 'warning' : 'notice' };
+};
+
+const flatten = (version) => {
+  const values = {};
+  for (const field of VERSION_FIELDS) {
+    values[field] = version[field] ?? null;
+  }
+  for (const [key, value] of Object.entries(version.metadata || {})) {
+    values[`metadata.${key}`] = value ?? null;
+  }
+  return values;
+};
+
+/**
+ * Field changes between two document versions.
+ * Versions are document_versions rows; their metadata snapshot is compared key by key.
+ * Returns [{ field, from, to }].
+ */
+const diffVersions = (from, to) => {
+  const before = flatten(from);
+  const after = flatten(to);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+module.exports = {
+  expiryReminderDays,
+  reminderStage,
+  diffVersions
+};
@@ -0,0 +1,208 @@
+/**
+ * Domain Events
+ * Versioned catalog of business events and the envelope they are published in
+ *
+ * Every event is delivered (to webhooks, notification rules and realtime
+ * rooms) as the same envelope:
+ *
+ *   { id, type, version, occurred_at, location_id, actor_id, data }
+ *
+ * `data` carries the fields listed in the catalog entry. Adding an optional
+ * field keeps the version; renaming, removing or changing the meaning of a
+ * field bumps it, so consumers can tell payload shapes apart.
+ *
+ * Catalog entries also say how each subscriber sees the event:
+ *   notification - notification_rules.event_type that fires for it
+ *   realtime     - socket event name, and the rooms it goes to as
+ *                  { roomType: data field holding the room id }
+ */
+
+const crypto = require('crypto');
+
+const EVENT_CATALOG = {
+  'task.completed': {
+    version: 1,
+    description: 'A task was marked complete',
+    notification: 'task_completed',
+    realtime: { event: 'task_completed', rooms: { location: 'locationId', task: 'taskId' } },
+    required: ['taskId', 'title'],
+    fields: {
+      taskId: 'Task id',
+      title: 'Task title',
+      type: 'Task type',
+      locationId: 'Location the task belongs to',
+      assignedTo: 'User the task was assigned to',
+      completedBy: 'User who completed it',
+      completedAt: 'Completion time (ISO 8601)',
+      recurring: 'Whether a next occurrence was scheduled'
+    }
+  },
+
+  'temperature.out_of_range': {
+    version: 1,
+    description: 'A temperature reading fell outside its equipment thresholds and raised an alert',
+    notification: 'temperature_alert',
+    realtime: { event: 'temperature_alert', rooms: { location: 'locationId' } },
+    required: ['alertId', 'equipmentId', 'temperature', 'direction'],
+    fields: {
+      alertId: 'Temperature alert id',
+      temperatureLogId: 'Reading that raised the alert',
+      locationId: 'Location of the equipment',
+      equipmentId: 'Equipment id',
+      equipmentType: 'Equipment type (freezer, cooler, ...)',
+      temperature: 'Reading in °F',
+      threshold: 'Allowed range { min, max } in °F',
+      direction: '"low" or "high"',
+      severity: 'Alert severity'
+    }
+  },
+
+  'inventory.low_stock': {
+    version: 1,
+    description: 'An item dropped to or below its reorder point after a count or waste entry',
+    notification: 'inventory_low',
+    realtime: { event: 'inventory_low_stock', rooms: { location: 'locationId' } },
+    required: ['itemId', 'currentQuantity', 'reorderPoint'],
+    fields: {
+      itemId: 'Inventory item id',
+      itemName: 'Item name',
+      sku: 'Item SKU',
+      locationId: 'Location holding the stock',
+      unit: 'Unit of measure',
+      currentQuantity: 'Quantity on hand',
+      reorderPoint: 'Reorder point',
+      parLevel: 'Par level',
+      vendorId: 'Preferred vendor'
+    }
+  },
+
+  'invoice.approved': {
+    version: 1,
+    description: 'A vendor invoice was approved for payment',
+    notification: 'invoice_approved',
+    realtime: { event: 'invoice_approved', rooms: { location: 'locationId' } },
+    required: ['invoiceId', 'total'],
+    fields: {
+      invoiceId: 'Invoice id',
+      invoiceNumber: 'Vendor invoice number',
+      vendorId: 'Vendor id',
+      locationId: 'Location billed',
+      total: 'Invoice total',
+      dueDate: 'Payment due date (ISO 8601)',
+      approvedBy: 'User who approved it',
+      approvedAt: 'Approval time (ISO 8601)'
+    }
+  },
+
+  'order.status_changed': {
+    version: 1,
+    description: 'An online order moved to a new status',
+    notification: 'order_status_changed',
+    realtime: { event: 'order_status_changed', rooms: { location: 'locationId' } },
+    required: ['orderId', 'status'],
+    fields: {
+      orderId: 'Online order id',
+      orderNumber: 'Customer-facing order number',
+      locationId: 'Location fulfilling the order',
+      customerId: 'Customer account id',
+      orderType: 'delivery, pickup or dine-in',
+      previousStatus: 'Status before the change',
+      status: 'New status',
+      totalAmount: 'Order total'
+    }
+  },
+
+  'shift.clocked_in': {
+    version: 1,
+    description: 'An employee clocked in to a scheduled shift',
+    notification: 'shift_clocked_in',
+    realtime: { event: 'shift_clocked_in', rooms: { location: 'locationId' } },
+    required: ['scheduleId', 'userId', 'clockInTime'],
+    fields: {
+      scheduleId: 'Schedule (shift) id',
+      userId: 'Employee who clocked in',
+      locationId: 'Location of the shift',
+      date: 'Shift date',
+      startTime: 'Scheduled start time',
+      position: 'Scheduled position',
+      clockInTime: 'Clock-in time (ISO 8601)',
+      clockInLocation: 'Where the clock-in was recorded',
+      minutesLate: 'Minutes after the scheduled start, 0 when on time'
+    }
+  }
+};
+
+const EVENT_TYPES = Object.keys(EVENT_CATALOG);
+
+/**
+ * Catalog as served to integrators: one entry per event type
+ */
+const describeCatalog = () => EVENT_TYPES.map(type => {
+  const { version, description, required, fields } = EVENT_CATALOG[type];
+  return {
+    type,
+    version,
+    description,
+    fields: Object.entries(fields).map(([name, fieldDescription]) => ({
+      name,
+      description: fieldDescription,
+      required: required.includes(name)
+    }))
+  };
+});
+
+/**
+ * Why a payload is not a valid event of this type, or null when it is
+ */
+const validateEvent = (type, data) => {
+  const definition = EVENT_CATALOG[type];
+  if (!definition) return `Unknown event type ${type}`;
+  if (!data || typeof data !== 'object') return `${type} needs a data object`;
+
+  const missing = definition.required.filter(field => data[field] === undefined || data[field] === null);
+  if (missing.length > 0) return `${type} is missing ${missing.join(', ')}`;
+
+  const unknown = Object.keys(data).filter(field => !(field in definition.fields));
+  if (unknown.length > 0) return `${type} has fields not in the catalog: ${unknown.join(', ')}`;
+
+  return null;
+};
+
+/**
+ * Wrap a payload in the event envelope, throwing when it does not match the catalog
+ */
+const buildEvent = (type, data, { locationId, actorId, occurredAt = new Date() } = {}) => {
+  const problem = validateEvent(type, data);
+  if (problem) throw new Error(problem);
+
+  return {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    version: EVENT_CATALOG[type].version,
+    occurred_at: new Date(occurredAt).toISOString(),
+    location_id: locationId || data.locationId || null,
+    actor_id: actorId || null,
+    data
+  };
+};
+
+/**
+ * Realtime rooms an event is broadcast to, as [{ roomType, roomId }]
+ */
+const realtimeRooms = (event) => {
+  const definition = EVENT_CATALOG[event.type];
+  if (!definition || !definition.realtime) return [];
+
+  return Object.entries(definition.realtime.rooms)
+    .map(([roomType, field]) => ({ roomType, roomId: event.data[field] }))
+    .filter(room => room.roomId !== undefined && room.roomId !== null);
+};
+
+module.exports = {
+  EVENT_CATALOG,
+  EVENT_TYPES,
+  describeCatalog,
+  validateEvent,
+  buildEvent,
+  realtimeRooms
+};
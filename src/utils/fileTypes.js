@@ -0,0 +1,55 @@
+/**
+ * File Type Detection
+ * Identifies uploads from their leading bytes rather than the client-supplied MIME type
+ */
+
+const SIGNATURES = [
+  { contentType: 'image/jpeg', extension: 'jpg', matches: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+  { contentType: 'image/png', extension: 'png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { contentType: 'image/gif', extension: 'gif', matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'GIF8' },
+  {
+    contentType: 'image/webp',
+    extension: 'webp',
+    matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP'
+  },
+  { contentType: 'application/pdf', extension: 'pdf', matches: bytes => bytes.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Content type of a buffer, or null when it is not a recognised format
+ */
+function detectContentType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+    return null;
+  }
+
+  const signature = SIGNATURES.find(entry => entry.matches(buffer));
+  return signature ? signature.contentType : null;
+}
+
+function extensionFor(contentType) {
+  const signature = SIGNATURES.find(entry => entry.contentType === contentType);
+  return signature ? signature.extension : 'bin';
+}
+
+function isImage(contentType) {
+  return IMAGE_TYPES.includes(contentType);
+}
+
+/**
+ * Strip path components and characters that are unsafe in a Content-Disposition header
+ */
+function sanitizeFilename(filename, fallback = 'file') {
+  const base = String(filename || '').split(/[\\/]/).pop().replace(/[^\w.\- ]+/g, '_').trim();
+  return base.substring(0, 200) || fallback;
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  detectContentType,
+  extensionFor,
+  isImage,
+  sanitizeFilename
+};
@@ -0,0 +1,111 @@
+/**
+ * Fiscal Periods
+ * Period calendars, posting locks and year-end closing lines
+ *
+ * An open period takes any entry. A soft-closed period is being reviewed and
+ * only takes adjusting entries; a hard-closed period takes nothing until it is
+ * reopened.
+ */
+
+const PERIOD_STATUSES = ['open', 'soft_closed', 'hard_closed'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isoDate = (year, monthIndex, day) => new Date(Date.UTC(year, monthIndex, day)).toISOString().slice(0, 10);
+
+/**
+ * Twelve monthly periods of a fiscal year. A fiscal year is named for the
+ * calendar year it ends in, so with startMonth 7, fiscal 2026 runs from
+ * July 2025 through June 2026.
+ */
+const buildMonthlyPeriods = (fiscalYear, startMonth = 1) => {
+  const firstYear = startMonth === 1 ? fiscalYear : fiscalYear - 1;
+
+  return MONTH_NAMES.map((_, index) => {
+    const monthIndex = (startMonth - 1 + index) % 12;
+    const year = firstYear + Math.floor((startMonth - 1 + index) / 12);
+    return {
+      period_number: index + 1,
+      period_name: `${MONTH_NAMES[monthIndex]} ${year}`,
+      start_date: isoDate(year, monthIndex, 1),
+      end_date: isoDate(year, monthIndex + 1, 0)
+    };
+  });
+};
+
+/**
+ * Whether an entry of this type may post into a period with this status
+ */
+const canPostToPeriod = (status, entryType = 'manual') => {
+  if (status === 'open' || !status) return true;
+  if (status === 'soft_closed') return entryType === 'adjusting';
+  return false;
+};
+
+/**
+ * Why a period cannot move from one status to another, or null when it can.
+ * Reopening goes back to open from either closed status.
+ */
+const transitionError = (from, to) => {
+  if (!PERIOD_STATUSES.includes(to)) return `Unknown period status ${to}`;
+  if (from === to) return `Period is already ${to.replace('_', '-')}`;
+  if (from === 'hard_closed' && to === 'soft_closed') return 'A hard-closed period must be reopened first';
+  return null;
+};
+
+/**
+ * Closing lines that zero revenue and expense accounts into retained earnings.
+ *
+ *   balances - [{ account_id, account_type, location_id, debit, credit }] for the year
+ *
+ * Each income statement account gets the opposite of its net balance, and each
+ * location's net income goes to retained earnings (credited for a profit,
+ * debited for a loss). Returns { lines, net_income }.
+ */
+const buildClosingLines = (balances, retainedEarningsAccountId) => {
+  const lines = [];
+  const netByLocation = new Map();
+
+  for (const balance of balances) {
+    if (!['revenue', 'expense'].includes(balance.account_type)) continue;
+
+    const net = round(parseFloat(balance.debit || 0) - parseFloat(balance.credit || 0));
+    if (net === 0) continue;
+
+    const locationId = balance.location_id || null;
+    lines.push({
+      account_id: balance.account_id,
+      location_id: locationId,
+      debit_amount: net < 0 ? -net : 0,
+      credit_amount: net > 0 ? net : 0
+    });
+    netByLocation.set(locationId, round((netByLocation.get(locationId) || 0) - net));
+  }
+
+  let netIncome = 0;
+  for (const [locationId, net] of netByLocation) {
+    netIncome = round(netIncome + net);
+    if (net === 0) continue;
+    lines.push({
+      account_id: retainedEarningsAccountId,
+      location_id: locationId,
+      debit_amount: net < 0 ? -net : 0,
+      credit_amount: net > 0 ? net : 0
+    });
+  }
+
+  return { lines, net_income: netIncome };
+};
+
+module.exports = {
+  PERIOD_STATUSES,
+  buildMonthlyPeriods,
+  canPostToPeriod,
+  transitionError,
+  buildClosingLines
+};
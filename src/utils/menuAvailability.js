@@ -0,0 +1,141 @@
+/**
+ * Menu Availability
+ * Decides which menu items are sold at a location at a given moment, and at what price
+ *
+ * Inputs are plain rows: dayparts (menu_dayparts), seasonal menus with their
+ * location override, seasonal menu entries (seasonal_menu_items) and per-location
+ * item overrides. Dates are 'YYYY-MM-DD' strings and times 'HH:MM[:SS]', both in
+ * the location's local time.
+ */
+
+const { toWallClock } = require('./cron');
+
+/**
+ * Local date, time and weekday (0 = Sunday) of an instant in a timezone
+ */
+const localMoment = (asOf, timezone = 'UTC') => {
+  const wall = new Date(toWallClock(new Date(asOf).getTime(), timezone));
+  const iso = wall.toISOString();
+  return {
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 19),
+    dayOfWeek: wall.getUTCDay()
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Whether a daypart is being served. A daypart ending before it starts runs past
+ * midnight; its early-morning hours belong to the previous day's service.
+ */
+const isDaypartActive = (daypart, moment) => {
+  const days = daypart.days_of_week || [0, 1, 2, 3, 4, 5, 6];
+  const now = toMinutes(moment.time);
+  const start = toMinutes(daypart.start_time);
+  const end = toMinutes(daypart.end_time);
+
+  if (start <= end) {
+    return days.includes(moment.dayOfWeek) && now >= start && now < end;
+  }
+  return (days.includes(moment.dayOfWeek) && now >= start) ||
+    (days.includes((moment.dayOfWeek + 6) % 7) && now < end);
+};
+
+/**
+ * Names of the dayparts being served. Location dayparts replace global ones of the same name.
+ */
+const activeDayparts = (dayparts, moment) => {
+  const byName = new Map();
+  for (const daypart of dayparts) {
+    if (daypart.is_active === false) continue;
+    if (!byName.has(daypart.name) || daypart.location_id) {
+      byName.set(daypart.name, daypart);
+    }
+  }
+  return [...byName.values()].filter(daypart => isDaypartActive(daypart, moment)).map(daypart => daypart.name);
+};
+
+const inDayparts = (allowed, active) =>
+  !allowed || allowed.length === 0 || allowed.some(name => active.includes(name));
+
+const inDateRange = (date, start, end) => (!start || date >= start) && (!end || date <= end);
+
+/**
+ * Whether a seasonal menu is running: active, not opted out by the location, within
+ * its (possibly location-specific) dates and serving during a current daypart
+ */
+const isSeasonalMenuRunning = (menu, override, moment, active) => {
+  if (menu.is_active === false || (override && override.is_excluded)) {
+    return false;
+  }
+  const start = (override && override.start_date) || menu.start_date;
+  const end = (override && override.end_date) || menu.end_date;
+  return inDateRange(moment.date, start, end) && inDayparts(menu.dayparts, active);
+};
+
+const toPrice = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Availability and effective price of one item.
+ *
+ *   seasonal - [{ menu, entry, override }] for every seasonal menu listing the item
+ *   location - the item's location override, if any
+ *
+ * Price precedence: location override, then the running seasonal menu's price, then base price.
+ */
+const resolveMenuItem = (item, { moment, active, seasonal = [], location = null }) => {
+  const unavailable = (reason) => ({ available: false, reason, price: toPrice(item.base_price), seasonal_menu: null });
+
+  if (item.is_available === false) {
+    return unavailable('unavailable');
+  }
+  if (location && location.is_available === false) {
+    return unavailable('unavailable_at_location');
+  }
+
+  let running = null;
+  if (seasonal.length > 0) {
+    const inSeason = seasonal.filter(({ menu, override }) =>
+      isSeasonalMenuRunning({ ...menu, dayparts: null }, override, moment, active)
+    );
+    if (inSeason.length === 0) {
+      return unavailable('out_of_season');
+    }
+    running = inSeason.find(({ menu, entry }) =>
+      inDayparts(menu.dayparts, active) && inDayparts(entry.dayparts, active)
+    );
+    if (!running) {
+      return unavailable('outside_daypart');
+    }
+  }
+
+  const dayparts = (location && location.dayparts) || item.dayparts;
+  if (!inDayparts(dayparts, active)) {
+    return unavailable('outside_daypart');
+  }
+
+  const price = toPrice(location && location.price_override) ??
+    toPrice(running && running.entry.price_override) ??
+    toPrice(item.base_price);
+
+  return {
+    available: true,
+    reason: null,
+    price,
+    seasonal_menu: running
+      ? { id: running.menu.id, name: running.menu.name, menu_type: running.menu.menu_type }
+      : null
+  };
+};
+
+module.exports = {
+  localMoment,
+  isDaypartActive,
+  activeDayparts,
+  isSeasonalMenuRunning,
+  resolveMenuItem
+};
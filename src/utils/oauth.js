@@ -0,0 +1,167 @@
+/**
+ * OAuth 2.0
+ * Authorization-code flow with PKCE for third-party integrations
+ *
+ * A connect starts by sending the user to the provider's authorize URL with a
+ * random state and the S256 challenge of a code verifier we keep server-side.
+ * The provider redirects back with ?code&state; the code is exchanged together
+ * with the verifier at the token URL. Token responses are normalized to
+ * { accessToken, refreshToken, tokenType, scope, expiresAt } plus any extra
+ * fields the provider returns (e.g. Slack's team, Square's merchant_id).
+ *
+ * Token requests authenticate the client with HTTP Basic ('client_secret_basic',
+ * the default) or in the form body ('client_secret_post').
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const TOKEN_FIELDS = ['access_token', 'refresh_token', 'token_type', 'scope', 'expires_in'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * 43-character verifier (RFC 7636 allows 43-128 unreserved characters)
+ */
+const generateCodeVerifier = () => base64url(crypto.randomBytes(32));
+
+const codeChallenge = (verifier) => base64url(crypto.createHash('sha256').update(verifier).digest());
+
+const generateState = () => base64url(crypto.randomBytes(24));
+
+/**
+ * URL the user is sent to for consent.
+ *
+ *   provider - { authorizeUrl, clientId, scopes, extraParams }
+ */
+const buildAuthorizationUrl = (provider, { state, verifier, redirectUri }) => {
+  const url = new URL(provider.authorizeUrl);
+  const params = {
+    ...(provider.extraParams || {}),
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    state,
+    code_challenge: codeChallenge(verifier),
+    code_challenge_method: 'S256'
+  };
+
+  if (Array.isArray(provider.scopes) && provider.scopes.length > 0) {
+    params.scope = provider.scopes.join(' ');
+  }
+
+  for (const [name, value] of Object.entries(params)) {
+    url.searchParams.set(name, value);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Normalize a token endpoint response. Providers that omit refresh_token on a
+ * refresh keep using the previous one.
+ */
+const tokenSet = (body, { previous = {}, now = new Date() } = {}) => {
+  if (!body || typeof body !== 'object' || !body.access_token) {
+    throw new Error('Token response did not include an access_token');
+  }
+
+  const extra = {};
+  for (const [name, value] of Object.entries(body)) {
+    if (!TOKEN_FIELDS.includes(name)) extra[name] = value;
+  }
+
+  const expiresIn = Number(body.expires_in);
+
+  return {
+    ...extra,
+    accessToken: body.access_token,
+    refreshToken: body.refresh_token || previous.refreshToken || null,
+    tokenType: body.token_type || 'Bearer',
+    scope: body.scope || previous.scope || null,
+    expiresAt: expiresIn > 0 ? new Date(now.getTime() + expiresIn * 1000).toISOString() : null
+  };
+};
+
+/**
+ * POST a grant to the provider's token URL and normalize the response.
+ *
+ *   client - { tokenUrl, clientId, clientSecret, authMethod }
+ *   grant  - form fields, e.g. { grant_type: 'refresh_token', refresh_token }
+ *
+ * Failures carry `permanent`: true when the provider answered 4xx (e.g.
+ * invalid_grant, so retrying will not help), false for network errors and 5xx.
+ */
+const requestToken = async (client, grant, { previous, timeoutMs = 30000, now } = {}) => {
+  const form = new URLSearchParams();
+  for (const [name, value] of Object.entries(grant)) {
+    if (value !== undefined && value !== null) form.set(name, value);
+  }
+
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  if (client.authMethod === 'client_secret_post') {
+    form.set('client_id', client.clientId);
+    if (client.clientSecret) form.set('client_secret', client.clientSecret);
+  } else if (client.clientSecret) {
+    const basic = `${encodeURIComponent(client.clientId)}:${encodeURIComponent(client.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString('base64')}`;
+  } else {
+    // Public clients identify themselves in the body and rely on PKCE alone
+    form.set('client_id', client.clientId);
+  }
+
+  let response;
+  try {
+    response = await axios.post(client.tokenUrl, form.toString(), { headers, timeout: timeoutMs });
+  } catch (err) {
+    const body = err.response && err.response.data;
+    const status = err.response ? err.response.status : null;
+    const reason = body && body.error
+      ? `${body.error}${body.error_description ? `: ${body.error_description}` : ''}`
+      : err.message;
+
+    const error = new Error(`Token request failed: ${reason}`);
+    error.status = status;
+    error.code = (body && body.error) || null;
+    error.permanent = status !== null && status >= 400 && status < 500;
+    throw error;
+  }
+
+  return tokenSet(response.data, { previous, now });
+};
+
+/**
+ * Whether a token expiring at expiresAt should be refreshed now
+ */
+const refreshDue = (expiresAt, leadSeconds, now = new Date()) =>
+  Boolean(expiresAt) && new Date(expiresAt).getTime() - leadSeconds * 1000 <= now.getTime();
+
+/**
+ * Where to send the browser after a callback: a path, or an absolute URL on
+ * the app's own origin. Anything else falls back so the callback can't be
+ * used as an open redirect.
+ */
+const safeReturnUrl = (returnUrl, appUrl, fallback = '/integrations') => {
+  const base = new URL(appUrl);
+  try {
+    const target = new URL(returnUrl || fallback, base);
+    return target.origin === base.origin ? target.toString() : new URL(fallback, base).toString();
+  } catch (error) {
+    return new URL(fallback, base).toString();
+  }
+};
+
+module.exports = {
+  generateCodeVerifier,
+  codeChallenge,
+  generateState,
+  buildAuthorizationUrl,
+  tokenSet,
+  requestToken,
+  refreshDue,
+  safeReturnUrl
+};
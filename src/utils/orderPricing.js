@@ -0,0 +1,290 @@
+/**
+ * Order Pricing
+ * Validates modifier and combo selections on order lines, prices them, works out
+ * promotion discounts and sales tax, and the ingredients a set of priced lines uses
+ *
+ * The catalog is built by MenuManagementService.getOrderCatalog:
+ *   items            - Map menu_item_id -> { id, name, price, is_combo }
+ *   groupsByItem     - Map menu_item_id -> [{ id, name, min_selections, max_selections, modifiers }]
+ *   directByItem     - Map menu_item_id -> [modifier] attached without a group (menu_item_modifiers)
+ *   componentsByItem - Map combo menu_item_id -> [{ id, name, min_selections, max_selections, options }]
+ * Modifiers are { id, name, price_adjustment, max_quantity, is_default }; combo
+ * options are { menu_item_id, name, price_delta, is_default }.
+ */
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toQuantity = (value, label) => {
+  const quantity = value === undefined || value === null ? 1 : Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw createError(`${label}: quantity must be a positive whole number`);
+  }
+  return quantity;
+};
+
+// Selections arrive as ids or { modifier_id, quantity }; repeated ids add up
+const normalizeSelections = (selections = [], label) => {
+  if (!Array.isArray(selections)) {
+    throw createError(`${label}: modifiers must be an array`);
+  }
+  const quantities = new Map();
+  for (const selection of selections) {
+    const modifierId = typeof selection === 'string' ? selection : selection && selection.modifier_id;
+    if (!modifierId) {
+      throw createError(`${label}: every modifier needs a modifier_id`);
+    }
+    const quantity = toQuantity(typeof selection === 'string' ? 1 : selection.quantity, label);
+    quantities.set(modifierId, (quantities.get(modifierId) || 0) + quantity);
+  }
+  return quantities;
+};
+
+const checkLimits = (count, min, max, label, groupName) => {
+  if (count < (min || 0)) {
+    throw createError(`${label}: choose at least ${min} from ${groupName}`);
+  }
+  if (max !== null && max !== undefined && count > max) {
+    throw createError(`${label}: choose at most ${max} from ${groupName}`);
+  }
+};
+
+/**
+ * Validate modifier selections for an item and price them. Groups with no
+ * selection fall back to their default modifiers.
+ */
+const selectModifiers = (menuItemId, selections, catalog) => {
+  const item = catalog.items.get(menuItemId);
+  const label = item ? item.name : menuItemId;
+  const requested = normalizeSelections(selections, label);
+  const groups = catalog.groupsByItem.get(menuItemId) || [];
+  const direct = catalog.directByItem.get(menuItemId) || [];
+
+  const allowed = new Map();
+  for (const group of groups) {
+    for (const modifier of group.modifiers) allowed.set(modifier.id, { modifier, group });
+  }
+  for (const modifier of direct) {
+    if (!allowed.has(modifier.id)) allowed.set(modifier.id, { modifier, group: null });
+  }
+
+  for (const modifierId of requested.keys()) {
+    if (!allowed.has(modifierId)) {
+      throw createError(`${label}: modifier ${modifierId} is not offered on this item`);
+    }
+  }
+
+  const chosen = new Map(requested);
+  for (const group of groups) {
+    const inGroup = group.modifiers.filter(modifier => chosen.has(modifier.id));
+    if (inGroup.length === 0) {
+      group.modifiers.filter(modifier => modifier.is_default).forEach(modifier => chosen.set(modifier.id, 1));
+    }
+    const count = group.modifiers.reduce((sum, modifier) => sum + (chosen.get(modifier.id) || 0), 0);
+    checkLimits(count, group.min_selections, group.max_selections, label, group.name);
+  }
+
+  return [...chosen.entries()].map(([modifierId, quantity]) => {
+    const { modifier, group } = allowed.get(modifierId);
+    const maxQuantity = modifier.max_quantity || 1;
+    if (quantity > maxQuantity) {
+      throw createError(`${label}: ${modifier.name} can be added at most ${maxQuantity} time(s)`);
+    }
+    return {
+      modifier_id: modifier.id,
+      group_id: group ? group.id : null,
+      name: modifier.name,
+      quantity,
+      price: roundMoney(Number(modifier.price_adjustment || 0) * quantity)
+    };
+  });
+};
+
+/**
+ * Validate combo component choices; components with no choice use their defaults
+ */
+const selectComponents = (comboItem, selections = [], catalog) => {
+  const components = catalog.componentsByItem.get(comboItem.id) || [];
+  if (!Array.isArray(selections)) {
+    throw createError(`${comboItem.name}: components must be an array`);
+  }
+
+  for (const selection of selections) {
+    if (!components.some(component => component.id === selection.component_id)) {
+      throw createError(`${comboItem.name}: unknown combo component ${selection.component_id}`);
+    }
+  }
+
+  return components.flatMap(component => {
+    let chosen = selections.filter(selection => selection.component_id === component.id);
+    if (chosen.length === 0) {
+      chosen = component.options
+        .filter(option => option.is_default)
+        .map(option => ({ component_id: component.id, menu_item_id: option.menu_item_id }));
+    }
+    checkLimits(chosen.length, component.min_selections, component.max_selections, comboItem.name, component.name);
+
+    return chosen.map(selection => {
+      const option = component.options.find(candidate => candidate.menu_item_id === selection.menu_item_id);
+      if (!option) {
+        throw createError(`${comboItem.name}: ${selection.menu_item_id} is not an option for ${component.name}`);
+      }
+      const modifiers = selectModifiers(option.menu_item_id, selection.modifiers, catalog);
+      return {
+        component_id: component.id,
+        component_name: component.name,
+        menu_item_id: option.menu_item_id,
+        name: option.name,
+        price_delta: Number(option.price_delta || 0),
+        modifiers
+      };
+    });
+  });
+};
+
+/**
+ * Price one order line: item price, plus modifier deltas, plus (for combos) each
+ * component's price delta and modifier deltas
+ */
+const priceOrderLine = (line, catalog) => {
+  const item = catalog.items.get(line.menu_item_id);
+  if (!item) {
+    throw createError(`Menu item ${line.menu_item_id} is not on the menu`);
+  }
+
+  const quantity = toQuantity(line.quantity, item.name);
+  const modifiers = selectModifiers(item.id, line.modifiers, catalog);
+
+  let components = [];
+  if (item.is_combo) {
+    components = selectComponents(item, line.components, catalog);
+  } else if (Array.isArray(line.components) && line.components.length > 0) {
+    throw createError(`${item.name} is not a combo`);
+  }
+
+  const unitPrice = roundMoney(
+    Number(item.price) +
+    modifiers.reduce((sum, modifier) => sum + modifier.price, 0) +
+    components.reduce((sum, component) =>
+      sum + component.price_delta + component.modifiers.reduce((total, modifier) => total + modifier.price, 0), 0)
+  );
+
+  return {
+    menu_item_id: item.id,
+    name: item.name,
+    quantity,
+    unit_price: unitPrice,
+    subtotal: roundMoney(unitPrice * quantity),
+    modifiers,
+    components,
+    special_instructions: line.special_instructions || null
+  };
+};
+
+/**
+ * Discount a validated promotion gives on priced lines, never more than the subtotal.
+ * Free-item and BOGO promotions take one unit of the qualifying line off (BOGO needs
+ * two of it); without a free_item_id, BOGO applies to the cheapest qualifying line.
+ */
+const promotionDiscount = (promotion, lines, subtotal) => {
+  let discount;
+
+  switch (promotion.promotion_type) {
+    case 'percentage_off':
+      discount = subtotal * (Number(promotion.discount_percentage) || 0) / 100;
+      break;
+    case 'fixed_amount':
+      discount = Number(promotion.discount_amount) || 0;
+      break;
+    case 'free_item':
+    case 'bogo': {
+      const minimum = promotion.promotion_type === 'bogo' ? 2 : 1;
+      const qualifying = lines
+        .filter(line => line.quantity >= minimum)
+        .filter(line => !promotion.free_item_id || line.menu_item_id === promotion.free_item_id)
+        .sort((a, b) => a.unit_price - b.unit_price);
+      if (qualifying.length === 0) {
+        throw createError(`The order has no item promotion ${promotion.promotion_code} applies to`);
+      }
+      discount = qualifying[0].unit_price;
+      break;
+    }
+    default:
+      throw createError(`Promotion ${promotion.promotion_code} cannot be used on online orders`);
+  }
+
+  return roundMoney(Math.min(Math.max(discount, 0), subtotal));
+};
+
+/**
+ * Sales tax on a taxable amount. Rates are { tax_rate, is_compound }; simple rates
+ * apply to the amount, compound rates to the amount plus the tax before them.
+ */
+const salesTax = (taxableAmount, rates) => {
+  const simple = rates.filter(rate => !rate.is_compound)
+    .reduce((sum, rate) => sum + taxableAmount * Number(rate.tax_rate), 0);
+  const total = rates.filter(rate => rate.is_compound)
+    .reduce((sum, rate) => sum + (taxableAmount + sum) * Number(rate.tax_rate), simple);
+
+  return roundMoney(total);
+};
+
+/**
+ * Ingredients used by priced lines.
+ *
+ *   recipesByItem       - Map menu_item_id -> { yield_quantity, ingredients }
+ *   ingredientsByModifier - Map modifier_id -> ingredients (signed quantity per modifier)
+ *
+ * Ingredients are { inventory_item_id, ingredient_name, quantity, unit }. Totals are
+ * per inventory item (or ingredient name when unlinked); removals never go below zero.
+ */
+const ingredientUsage = (lines, recipesByItem, ingredientsByModifier) => {
+  const totals = new Map();
+
+  const add = (ingredients, multiplier) => {
+    for (const ingredient of ingredients || []) {
+      const key = ingredient.inventory_item_id || `name:${ingredient.ingredient_name.toLowerCase()}`;
+      const current = totals.get(key) || {
+        inventory_item_id: ingredient.inventory_item_id || null,
+        ingredient_name: ingredient.ingredient_name,
+        unit: ingredient.unit || null,
+        quantity: 0
+      };
+      current.quantity += Number(ingredient.quantity) * multiplier;
+      totals.set(key, current);
+    }
+  };
+
+  const addItem = (menuItemId, modifiers, quantity) => {
+    const recipe = recipesByItem.get(menuItemId);
+    if (recipe) {
+      add(recipe.ingredients, quantity / (Number(recipe.yield_quantity) || 1));
+    }
+    for (const modifier of modifiers || []) {
+      add(ingredientsByModifier.get(modifier.modifier_id), modifier.quantity * quantity);
+    }
+  };
+
+  for (const line of lines) {
+    addItem(line.menu_item_id, line.modifiers, line.quantity);
+    for (const component of line.components || []) {
+      addItem(component.menu_item_id, component.modifiers, line.quantity);
+    }
+  }
+
+  return [...totals.values()]
+    .map(total => ({ ...total, quantity: Math.round(total.quantity * 1000) / 1000 }))
+    .filter(total => total.quantity > 0);
+};
+
+module.exports = {
+  priceOrderLine,
+  promotionDiscount,
+  salesTax,
+  ingredientUsage
+};
@@ -0,0 +1,52 @@
+/**
+ * Realtime Room Helpers
+ * Room naming and validation shared by the realtime server and its publishers
+ *
+ * Rooms are named "<type>:<id>":
+ *   location:<locationId>   - location-wide events (temperature alerts, presence)
+ *   dashboard:<locationId>  - live dashboard widgets for a location
+ *   task:<taskId>           - updates to one task
+ *   channel:<channelId>     - messaging channel traffic and typing indicators
+ *   user:<userId>           - a user's own notifications; joined automatically
+ */
+
+const ROOM_TYPES = ['location', 'dashboard', 'task', 'channel', 'user'];
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+
+function roomName(roomType, roomId) {
+  return `${roomType}:${roomId}`;
+}
+
+/**
+ * Validate a client subscription request, returning { roomType, roomId }
+ */
+function normalizeRoom(roomType, roomId) {
+  if (!ROOM_TYPES.includes(roomType)) {
+    throw new Error(`Unknown room type: ${roomType}`);
+  }
+
+  const id = roomId === undefined || roomId === null ? '' : String(roomId);
+  if (!ROOM_ID_PATTERN.test(id)) {
+    throw new Error('Invalid room id');
+  }
+
+  return { roomType, roomId: id };
+}
+
+/**
+ * accessibleLocationIds comes from LocationService.getAccessibleLocationIds: null means every location
+ */
+function isLocationAllowed(accessibleLocationIds, locationId) {
+  if (!locationId) {
+    return false;
+  }
+  return accessibleLocationIds === null || accessibleLocationIds.includes(locationId);
+}
+
+module.exports = {
+  ROOM_TYPES,
+  roomName,
+  normalizeRoom,
+  isLocationAllowed
+};
@@ -0,0 +1,131 @@
+/**
+ * Regulatory Coverage
+ * Which regulatory requirements apply to a location, whether a checklist covers
+ * them, and what inspections and violations say about them
+ *
+ * Requirements carry a jurisdiction: federal ones apply everywhere, state ones to
+ * locations in that state, county and city ones to locations in that county or
+ * city of the state. Requirements with a location_id apply only there.
+ */
+
+const same = (a, b) => Boolean(a) && Boolean(b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Whether a requirement applies to a location ({ id, state, county, city })
+ */
+const requirementAppliesTo = (requirement, location) => {
+  if (requirement.is_active === false) return false;
+  if (requirement.location_id) return requirement.location_id === location.id;
+
+  switch (requirement.jurisdiction_level || 'federal') {
+    case 'federal':
+      return true;
+    case 'state':
+      return same(requirement.state, location.state);
+    case 'county':
+      return same(requirement.state, location.state) && same(requirement.county, location.county);
+    case 'city':
+      return same(requirement.state, location.state) && same(requirement.city, location.city);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Requirement outcomes of an inspection from its item responses.
+ *
+ *   responses - [{ checklist_item_id, is_compliant }]
+ *   mappings  - [{ requirement_id, checklist_item_id }]
+ *
+ * A requirement is met when every answered item mapped to it is compliant.
+ * Returns [{ requirement_id, outcome: 'met' | 'not_met', checklist_item_ids }].
+ */
+const requirementOutcomes = (responses, mappings) => {
+  const byItem = new Map(responses
+    .filter(response => response.is_compliant !== null && response.is_compliant !== undefined)
+    .map(response => [response.checklist_item_id, response.is_compliant]));
+  const outcomes = new Map();
+
+  for (const { requirement_id, checklist_item_id } of mappings) {
+    if (!byItem.has(checklist_item_id)) continue;
+    const outcome = outcomes.get(requirement_id) || { requirement_id, outcome: 'met', checklist_item_ids: [] };
+    outcome.checklist_item_ids.push(checklist_item_id);
+    if (byItem.get(checklist_item_id) === false) outcome.outcome = 'not_met';
+    outcomes.set(requirement_id, outcome);
+  }
+
+  return [...outcomes.values()];
+};
+
+/**
+ * Coverage report for one location.
+ *
+ *   requirements - all active library and location requirements
+ *   mappings     - [{ requirement_id, checklist_item_id, item_text, checklist_id, checklist_name,
+ *                    checklist_location_id, checklist_active }]
+ *   evidence     - { lastInspections: Map requirement_id -> { inspection_id, outcome, completed_at },
+ *                    openViolations: Map requirement_id -> count }
+ *
+ * Status per requirement: uncovered (no checklist used at the location checks it),
+ * breached (open violations or last inspection not met), proven (last inspection
+ * met) or covered (checked but never inspected).
+ */
+const buildCoverageReport = (location, requirements, mappings, evidence = {}) => {
+  const lastInspections = evidence.lastInspections || new Map();
+  const openViolations = evidence.openViolations || new Map();
+
+  const rows = requirements
+    .filter(requirement => requirementAppliesTo(requirement, location))
+    .map(requirement => {
+      const checklistItems = mappings
+        .filter(mapping =>
+          mapping.requirement_id === requirement.id &&
+          mapping.checklist_active !== false &&
+          (!mapping.checklist_location_id || mapping.checklist_location_id === location.id)
+        )
+        .map(({ checklist_item_id, item_text, checklist_id, checklist_name }) =>
+          ({ checklist_item_id, item_text, checklist_id, checklist_name }));
+
+      const lastInspection = lastInspections.get(requirement.id) || null;
+      const violations = openViolations.get(requirement.id) || 0;
+
+      let status = 'covered';
+      if (checklistItems.length === 0) status = 'uncovered';
+      else if (violations > 0 || (lastInspection && lastInspection.outcome === 'not_met')) status = 'breached';
+      else if (lastInspection) status = 'proven';
+
+      return {
+        requirement_id: requirement.id,
+        code: requirement.code || null,
+        title: requirement.title,
+        regulatory_body: requirement.regulatory_body,
+        jurisdiction_level: requirement.jurisdiction_level || 'federal',
+        status,
+        checklist_items: checklistItems,
+        last_inspection: lastInspection,
+        open_violations: violations
+      };
+    });
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  const covered = rows.length - count('uncovered');
+
+  return {
+    location_id: location.id,
+    summary: {
+      total: rows.length,
+      covered,
+      uncovered: count('uncovered'),
+      proven: count('proven'),
+      breached: count('breached'),
+      coverage_percent: rows.length > 0 ? Math.round((covered / rows.length) * 1000) / 10 : 100
+    },
+    requirements: rows
+  };
+};
+
+module.exports = {
+  requirementAppliesTo,
+  requirementOutcomes,
+  buildCoverageReport
+};
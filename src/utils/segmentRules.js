@@ -0,0 +1,203 @@
+/**
+ * Segment Rule Compiler
+ * Turns dynamic segment criteria into a parameterized WHERE clause over customer_accounts (alias c)
+ *
+ * Criteria use the same shape as workflow conditions:
+ *   { field, operator, value } or nested { all: [...] } / { any: [...] }
+ *
+ * Activity fields (orders, loyalty, reviews) accept optional window filters:
+ *   within_days  - only count activity from the last N days
+ *   location_id  - only count activity at this location (orders and reviews)
+ *
+ * Example, "3+ orders in 60 days at loc-1 with an average ticket over $25":
+ *   { all: [
+ *     { field: 'order_count', operator: 'gte', value: 3, within_days: 60, location_id: 'loc-1' },
+ *     { field: 'avg_order_value', operator: 'gt', value: 25, within_days: 60, location_id: 'loc-1' }
+ *   ] }
+ */
+
+const SOURCES = {
+  orders: {
+    from: 'online_orders o',
+    customerColumn: 'o.customer_id',
+    dateColumn: 'o.placed_at',
+    locationColumn: 'o.location_id',
+    filter: "o.order_status <> 'cancelled'"
+  },
+  loyalty: {
+    from: 'loyalty_transactions lt',
+    customerColumn: 'lt.customer_id',
+    dateColumn: 'lt.created_at'
+  },
+  reviews: {
+    from: 'customer_reviews r',
+    customerColumn: 'r.customer_id',
+    dateColumn: 'r.created_at',
+    locationColumn: 'r.location_id'
+  }
+};
+
+const FIELDS = {
+  // customer_accounts
+  loyalty_points: { type: 'numeric', expression: 'c.loyalty_points' },
+  lifetime_orders: { type: 'numeric', expression: 'c.total_orders' },
+  lifetime_spent: { type: 'numeric', expression: 'c.total_spent' },
+  account_status: { type: 'text', expression: 'c.account_status' },
+  marketing_opt_in: { type: 'boolean', expression: 'c.marketing_opt_in' },
+  preferred_location_id: { type: 'text', expression: 'c.preferred_location_id' },
+  days_since_signup: { type: 'numeric', expression: 'EXTRACT(DAY FROM NOW() - c.created_at)' },
+  birthday_month: { type: 'numeric', expression: 'EXTRACT(MONTH FROM c.date_of_birth)' },
+
+  // online_orders
+  order_count: { type: 'numeric', source: 'orders', aggregate: 'COUNT(*)' },
+  order_total: { type: 'numeric', source: 'orders', aggregate: 'COALESCE(SUM(o.total_amount), 0)' },
+  avg_order_value: { type: 'numeric', source: 'orders', aggregate: 'AVG(o.total_amount)' },
+  days_since_last_order: { type: 'numeric', source: 'orders', aggregate: 'EXTRACT(DAY FROM NOW() - MAX(o.placed_at))' },
+
+  // loyalty_transactions
+  points_earned: {
+    type: 'numeric',
+    source: 'loyalty',
+    aggregate: "COALESCE(SUM(lt.points) FILTER (WHERE lt.transaction_type = 'earned'), 0)"
+  },
+  points_redeemed: {
+    type: 'numeric',
+    source: 'loyalty',
+    aggregate: "COALESCE(-SUM(lt.points) FILTER (WHERE lt.transaction_type = 'redeemed'), 0)"
+  },
+
+  // customer_reviews
+  review_count: { type: 'numeric', source: 'reviews', aggregate: 'COUNT(*)' },
+  avg_rating: { type: 'numeric', source: 'reviews', aggregate: 'AVG(r.rating)' }
+};
+
+const COMPARISONS = {
+  eq: '=',
+  neq: 'IS DISTINCT FROM',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+const MAX_DEPTH = 5;
+
+/**
+ * Compile criteria into SQL. Parameter values are appended to `values`, so the
+ * clause can be embedded in a query that already uses earlier placeholders.
+ */
+function compileSegmentRules(criteria, values = []) {
+  if (!criteria || (!criteria.all && !criteria.any && !criteria.field)) {
+    throw new Error('Dynamic segments need at least one rule');
+  }
+
+  return { sql: compileNode(criteria, values, 0), values };
+}
+
+function compileNode(node, values, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Segment rules may be nested at most ${MAX_DEPTH} levels deep`);
+  }
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error('Each segment rule must be an object');
+  }
+
+  const group = node.all || node.any;
+  if (group) {
+    if (!Array.isArray(group) || group.length === 0) {
+      throw new Error('Rule groups need at least one rule');
+    }
+    const joiner = node.all ? ' AND ' : ' OR ';
+    return `(${group.map(child => compileNode(child, values, depth + 1)).join(joiner)})`;
+  }
+
+  return compileRule(node, values);
+}
+
+function compileRule(rule, values) {
+  if (!Object.hasOwn(FIELDS, rule.field)) {
+    throw new Error(`Unknown segment field: ${rule.field}`);
+  }
+
+  const field = FIELDS[rule.field];
+
+  const operator = rule.operator || 'eq';
+  const expression = field.source ? buildAggregate(field, rule, values) : field.expression;
+
+  if (operator === 'exists') {
+    return `${expression} IS NOT NULL`;
+  }
+  if (operator === 'not_exists') {
+    return `${expression} IS NULL`;
+  }
+
+  if (operator === 'in' || operator === 'not_in') {
+    if (!Array.isArray(rule.value) || rule.value.length === 0) {
+      throw new Error(`${rule.field} ${operator} needs a non-empty list`);
+    }
+    values.push(rule.value.map(value => castValue(field, value)));
+    const test = `${expression} = ANY($${values.length}::${field.type}[])`;
+    return operator === 'in' ? test : `NOT COALESCE(${test}, FALSE)`;
+  }
+
+  if (!Object.hasOwn(COMPARISONS, operator)) {
+    throw new Error(`Unknown segment operator: ${operator}`);
+  }
+  const comparison = COMPARISONS[operator];
+  if (rule.value === undefined || rule.value === null) {
+    throw new Error(`${rule.field} ${operator} needs a value`);
+  }
+
+  values.push(castValue(field, rule.value));
+  return `${expression} ${comparison} $${values.length}::${field.type}`;
+}
+
+/**
+ * Correlated subquery aggregating one customer's activity within the rule's window
+ */
+function buildAggregate(field, rule, values) {
+  const source = SOURCES[field.source];
+  const conditions = [`${source.customerColumn} = c.id`];
+
+  if (source.filter) {
+    conditions.push(source.filter);
+  }
+
+  if (rule.within_days !== undefined && rule.within_days !== null) {
+    const days = parseInt(rule.within_days, 10);
+    if (!Number.isInteger(days) || days <= 0) {
+      throw new Error(`${rule.field} within_days must be a positive number`);
+    }
+    values.push(days);
+    conditions.push(`${source.dateColumn} >= NOW() - make_interval(days => $${values.length}::integer)`);
+  }
+
+  if (rule.location_id) {
+    if (!source.locationColumn) {
+      throw new Error(`${rule.field} cannot be filtered by location`);
+    }
+    values.push(String(rule.location_id));
+    conditions.push(`${source.locationColumn} = $${values.length}`);
+  }
+
+  return `(SELECT ${field.aggregate} FROM ${source.from} WHERE ${conditions.join(' AND ')})`;
+}
+
+function castValue(field, value) {
+  if (field.type === 'numeric') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`Expected a number but got: ${value}`);
+    }
+    return number;
+  }
+  if (field.type === 'boolean') {
+    return value === true || value === 'true';
+  }
+  return String(value);
+}
+
+module.exports = {
+  SEGMENT_FIELDS: Object.keys(FIELDS),
+  compileSegmentRules
+};
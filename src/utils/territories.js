@@ -0,0 +1,266 @@
+/**
+ * Territory Geometry
+ * Postal-code sets and GeoJSON polygons for franchise territories and delivery zones
+ *
+ * A territory is either a set of postal codes (territory_type 'zip_codes') or a
+ * GeoJSON Polygon/MultiPolygon (territory_type 'polygon'). Coordinates are
+ * GeoJSON order, [longitude, latitude]; territories are small enough that edges
+ * are treated as straight lines in that plane.
+ */
+
+const TERRITORY_TYPES = ['zip_codes', 'polygon'];
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Canonical postal code: uppercase without spaces; US ZIP+4 reduced to the five-digit ZIP
+ */
+const normalizePostalCode = (code) => {
+  if (code === null || code === undefined) return null;
+  const value = String(code).toUpperCase().replace(/\s+/g, '');
+  if (!value) return null;
+  const zip = /^(\d{5})(-?\d{4})?$/.exec(value);
+  return zip ? zip[1] : value;
+};
+
+const normalizePostalCodes = (codes = []) => {
+  if (!Array.isArray(codes)) {
+    throw createError('postal_codes must be an array');
+  }
+  return [...new Set(codes.map(normalizePostalCode).filter(Boolean))].sort();
+};
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    throw createError('Polygon rings must be arrays of [longitude, latitude] positions');
+  }
+  const points = ring.map(([lng, lat]) => [lng, lat]);
+  const [first] = points;
+  const last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    points.pop();
+  }
+  if (points.length < 3) {
+    throw createError('Polygon rings need at least three distinct positions');
+  }
+  return points;
+};
+
+/**
+ * GeoJSON Polygon, MultiPolygon or Feature → list of polygons, each a list of
+ * open rings (outer boundary first, then holes). Null for empty input.
+ */
+const normalizePolygon = (geojson) => {
+  if (geojson === null || geojson === undefined) return null;
+
+  const geometry = geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry || typeof geometry !== 'object') {
+    throw createError('Boundary must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  if (geometry.type === 'Polygon' && Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0) {
+    return [geometry.coordinates.map(normalizeRing)];
+  }
+  if (geometry.type === 'MultiPolygon' && Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0) {
+    return geometry.coordinates.map(polygon => {
+      if (!Array.isArray(polygon) || polygon.length === 0) {
+        throw createError('MultiPolygon members must be polygons');
+      }
+      return polygon.map(normalizeRing);
+    });
+  }
+
+  throw createError('Boundary must be a GeoJSON Polygon or MultiPolygon');
+};
+
+/**
+ * Normalized polygons back to GeoJSON for storage
+ */
+const toGeoJSON = (polygons) => {
+  if (!polygons) return null;
+  const close = ring => [...ring, ring[0]];
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0].map(close) }
+    : { type: 'MultiPolygon', coordinates: polygons.map(polygon => polygon.map(close)) };
+};
+
+// Ray casting; points on an edge count as inside
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if (onSegment([x, y], ring[j], ring[i])) return true;
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const pointInPolygon = (point, [outer, ...holes]) =>
+  pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole) && !ringHasOnEdge(point, hole));
+
+const ringHasOnEdge = (point, ring) =>
+  ring.some((start, i) => onSegment(point, start, ring[(i + 1) % ring.length]));
+
+/**
+ * Whether [longitude, latitude] falls inside any of the polygons
+ */
+const polygonsContainPoint = (polygons, point) =>
+  Boolean(polygons) && isPosition(point) && polygons.some(polygon => pointInPolygon(point, polygon));
+
+const orientation = (p, q, r) => {
+  const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+  if (Math.abs(value) < 1e-12) return 0;
+  return value > 0 ? 1 : 2;
+};
+
+const onSegment = (point, start, end) =>
+  orientation(start, point, end) === 0 &&
+  point[0] <= Math.max(start[0], end[0]) && point[0] >= Math.min(start[0], end[0]) &&
+  point[1] <= Math.max(start[1], end[1]) && point[1] >= Math.min(start[1], end[1]);
+
+const segmentsIntersect = (p1, q1, p2, q2) => {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(p2, p1, q1)) ||
+    (o2 === 0 && onSegment(q2, p1, q1)) ||
+    (o3 === 0 && onSegment(p1, p2, q2)) ||
+    (o4 === 0 && onSegment(q1, p2, q2));
+};
+
+const edges = (ring) => ring.map((start, i) => [start, ring[(i + 1) % ring.length]]);
+
+// Edges cross at a point interior to both (touching at a vertex or along a shared edge does not count)
+const edgesCross = ([p1, q1], [p2, q2]) =>
+  segmentsIntersect(p1, q1, p2, q2) &&
+  ![p2, q2].some(point => onSegment(point, p1, q1)) &&
+  ![p1, q1].some(point => onSegment(point, p2, q2));
+
+const strictlyInside = (point, polygon) =>
+  pointInPolygon(point, polygon) && !polygon.some(ring => ringHasOnEdge(point, ring));
+
+const centroid = (ring) => [
+  ring.reduce((sum, [x]) => sum + x, 0) / ring.length,
+  ring.reduce((sum, [, y]) => sum + y, 0) / ring.length
+];
+
+/**
+ * Whether two polygons share area. Neighbours that only touch along a border do not.
+ */
+const polygonIntersects = (a, b) => {
+  const edgesA = a.flatMap(edges);
+  const edgesB = b.flatMap(edges);
+  if (edgesA.some(edge => edgesB.some(other => edgesCross(edge, other)))) {
+    return true;
+  }
+  // No crossing edges: one lies inside the other (possibly sharing its boundary) or they are apart
+  return [a[0], [centroid(a[0])]].some(points => points.some(point => strictlyInside(point, b))) ||
+    [b[0], [centroid(b[0])]].some(points => points.some(point => strictlyInside(point, a)));
+};
+
+const polygonsIntersect = (a, b) =>
+  Boolean(a && b) && a.some(polygonA => b.some(polygonB => polygonIntersects(polygonA, polygonB)));
+
+/**
+ * Whether `inner` lies entirely within `outer`: every outer-ring vertex is
+ * inside and no edges cross
+ */
+const polygonsContainPolygons = (outer, inner) =>
+  Boolean(outer && inner) && inner.every(([ring]) => {
+    const innerEdges = edges(ring);
+    return ring.every(point => polygonsContainPoint(outer, point)) &&
+      !outer.some(polygon => polygon.flatMap(edges).some(edge => innerEdges.some(other => edgesCross(edge, other))));
+  });
+
+/**
+ * Territory row → { type, postalCodes, polygons }
+ */
+const territoryShape = (territory) => ({
+  type: territory.territory_type,
+  postalCodes: normalizePostalCodes(territory.postal_codes || []),
+  polygons: territory.boundary_polygon ? normalizePolygon(territory.boundary_polygon) : null
+});
+
+/**
+ * Whether a territory covers a place described by postal code and/or coordinates
+ */
+const territoryContains = (territory, { postalCode = null, latitude = null, longitude = null } = {}) => {
+  const shape = territoryShape(territory);
+  if (shape.type === 'zip_codes') {
+    const code = normalizePostalCode(postalCode);
+    return Boolean(code) && shape.postalCodes.includes(code);
+  }
+  if (latitude === null || longitude === null || latitude === '' || longitude === '') {
+    return false;
+  }
+  return polygonsContainPoint(shape.polygons, [Number(longitude), Number(latitude)]);
+};
+
+/**
+ * Overlap between two territories of the same kind. Postal-code territories
+ * overlap when they share codes; polygon territories when their areas touch.
+ * Territories of different kinds cannot be compared without geocoding.
+ */
+const territoryOverlap = (a, b) => {
+  const shapeA = territoryShape(a);
+  const shapeB = territoryShape(b);
+
+  if (shapeA.type === 'zip_codes' && shapeB.type === 'zip_codes') {
+    const shared = shapeA.postalCodes.filter(code => shapeB.postalCodes.includes(code));
+    return { overlaps: shared.length > 0, sharedPostalCodes: shared };
+  }
+  if (shapeA.type === 'polygon' && shapeB.type === 'polygon') {
+    return { overlaps: polygonsIntersect(shapeA.polygons, shapeB.polygons), sharedPostalCodes: [] };
+  }
+  return { overlaps: false, sharedPostalCodes: [], comparable: false };
+};
+
+/**
+ * How much of a delivery zone a territory covers: 'full', 'partial' or null
+ */
+const zoneCoverage = (territory, zone) => {
+  const shape = territoryShape(territory);
+
+  if (shape.type === 'zip_codes') {
+    const zoneCodes = normalizePostalCodes(zone.postal_codes || []);
+    const inside = zoneCodes.filter(code => shape.postalCodes.includes(code));
+    if (inside.length === 0) return null;
+    return inside.length === zoneCodes.length ? 'full' : 'partial';
+  }
+
+  const zonePolygons = zone.boundary_polygon ? normalizePolygon(zone.boundary_polygon) : null;
+  if (!zonePolygons || !polygonsIntersect(shape.polygons, zonePolygons)) return null;
+  return polygonsContainPolygons(shape.polygons, zonePolygons) ? 'full' : 'partial';
+};
+
+module.exports = {
+  TERRITORY_TYPES,
+  normalizePostalCode,
+  normalizePostalCodes,
+  normalizePolygon,
+  toGeoJSON,
+  polygonsContainPoint,
+  polygonsIntersect,
+  polygonsContainPolygons,
+  territoryContains,
+  territoryOverlap,
+  zoneCoverage
+};
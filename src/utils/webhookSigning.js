@@ -0,0 +1,75 @@
+/**
+ * Webhook Signing
+ * HMAC-SHA256 signatures for outgoing webhook payloads and retry backoff
+ *
+ * Each delivery carries X-PattyShack-Timestamp (unix seconds) and
+ * X-PattyShack-Signature: "v1=<hex>", the HMAC-SHA256 of "<timestamp>.<body>"
+ * under the webhook's secret. While a secret is being rotated the header lists
+ * a signature per active secret ("v1=<new>,v1=<old>"); consumers accept the
+ * delivery when any of them matches.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const SIGNATURE_HEADER = 'X-PattyShack-Signature';
+const TIMESTAMP_HEADER = 'X-PattyShack-Timestamp';
+
+// Longest wait between retries
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+// Enough of a secret to recognise it; secrets themselves are stored encrypted
+const secretHint = (secret) => `${secret.substring(0, 6)}…${secret.slice(-4)}`;
+
+const computeSignature = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Signature headers for a raw request body, signed with every active secret
+ */
+const signatureHeaders = (secrets, body, timestamp = Math.floor(Date.now() / 1000)) => ({
+  [TIMESTAMP_HEADER]: String(timestamp),
+  [SIGNATURE_HEADER]: secrets
+    .filter(Boolean)
+    .map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, body)}`)
+    .join(',')
+});
+
+/**
+ * Whether a signature header matches the body under a secret, within the
+ * timestamp tolerance (what a consumer runs on receipt)
+ */
+const verifySignature = (secret, { signature, timestamp, body, toleranceSeconds = 300, now = Date.now() }) => {
+  if (!signature || !timestamp) return false;
+  if (Math.abs(Math.floor(now / 1000) - parseInt(timestamp, 10)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body));
+  return String(signature).split(',').some(part => {
+    const [version, value] = part.trim().split('=');
+    if (version !== SIGNATURE_VERSION || !value) return false;
+    const candidate = Buffer.from(value);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
+
+/**
+ * Seconds to wait before retry number `attempt` (1-based): the webhook's base
+ * delay doubled for each earlier attempt, capped at six hours
+ */
+const retryDelaySeconds = (baseSeconds, attempt) => {
+  const base = Math.max(parseInt(baseSeconds, 10) || 60, 1);
+  return Math.min(base * 2 ** Math.max(attempt - 1, 0), MAX_RETRY_DELAY_SECONDS);
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  generateSecret,
+  secretHint,
+  computeSignature,
+  signatureHeaders,
+  verifySignature,
+  retryDelaySeconds
+};
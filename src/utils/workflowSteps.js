@@ -0,0 +1,143 @@
+/**
+ * Marketing Workflow Step Utilities
+ * Condition evaluation, delays and step navigation for workflow executions
+ *
+ * Conditions are { field, operator, value } or nested { all: [...] } / { any: [...] }.
+ * Operators: eq, neq, gt, gte, lt, lte, in, not_in, contains, exists, not_exists.
+ *
+ * Steps run in step_order. A conditional_split's action_data names its branch
+ * targets by step_order (then_step / else_step); 'end' finishes the workflow and
+ * a missing target falls through to the next step.
+ */
+
+const DELAY_UNITS = {
+  minutes: 1,
+  hours: 60,
+  days: 60 * 24,
+  weeks: 60 * 24 * 7
+};
+
+const STEP_TYPES = ['wait', 'conditional_split', 'send_email', 'send_sms', 'grant_promotion', 'add_to_segment'];
+
+const OPERATORS = {
+  // Facts come from the database, so '5' and 5 compare equal
+  eq: (actual, expected) => String(actual) === String(expected),
+  neq: (actual, expected) => String(actual) !== String(expected),
+  gt: (actual, expected) => Number(actual) > Number(expected),
+  gte: (actual, expected) => Number(actual) >= Number(expected),
+  lt: (actual, expected) => Number(actual) < Number(expected),
+  lte: (actual, expected) => Number(actual) <= Number(expected),
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  not_in: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  contains: (actual, expected) => (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+  exists: actual => actual !== null && actual !== undefined,
+  not_exists: actual => actual === null || actual === undefined
+};
+
+/**
+ * Evaluate a condition tree against a flat facts object
+ */
+function evaluateCondition(condition, facts) {
+  if (!condition) {
+    return true;
+  }
+
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(child => evaluateCondition(child, facts));
+  }
+
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(child => evaluateCondition(child, facts));
+  }
+
+  const operator = OPERATORS[condition.operator || 'eq'];
+  if (!operator) {
+    throw new Error(`Unknown condition operator: ${condition.operator}`);
+  }
+
+  const actual = facts[condition.field];
+  if (actual === null || actual === undefined) {
+    return ['not_exists', 'neq', 'not_in'].includes(condition.operator);
+  }
+
+  return operator(actual, condition.value);
+}
+
+/**
+ * Delay for a wait step in minutes
+ */
+function getDelayMinutes(step) {
+  const amount = Number(step.delay_amount || 0);
+  const multiplier = DELAY_UNITS[step.delay_unit || 'minutes'];
+  if (!multiplier) {
+    throw new Error(`Unknown delay unit: ${step.delay_unit}`);
+  }
+  return Math.max(amount, 0) * multiplier;
+}
+
+/**
+ * The step after `current` (steps sorted by step_order), or a branch target.
+ * Returns null when the workflow is finished.
+ */
+function resolveNextStep(steps, current, target) {
+  if (target === 'end') {
+    return null;
+  }
+
+  if (target !== undefined && target !== null) {
+    const branch = steps.find(step => step.step_order === Number(target));
+    if (!branch) {
+      throw new Error(`Branch target step ${target} does not exist`);
+    }
+    return branch;
+  }
+
+  if (!current) {
+    return steps[0] || null;
+  }
+  return steps.find(step => step.step_order > current.step_order) || null;
+}
+
+/**
+ * Validate step definitions before a workflow is saved
+ */
+function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('A workflow needs at least one step');
+  }
+
+  const orders = new Set(steps.map(step => Number(step.step_order)));
+  if (orders.size !== steps.length) {
+    throw new Error('Step orders must be unique');
+  }
+
+  steps.forEach(step => {
+    if (!STEP_TYPES.includes(step.step_type)) {
+      throw new Error(`Unknown step type: ${step.step_type}`);
+    }
+
+    if (step.step_type === 'wait') {
+      getDelayMinutes(step);
+    }
+
+    if (step.step_type === 'conditional_split') {
+      const data = step.action_data || {};
+      if (!data.condition) {
+        throw new Error(`Conditional step ${step.step_order} needs a condition`);
+      }
+      [data.then_step, data.else_step].forEach(target => {
+        if (target !== undefined && target !== null && target !== 'end' && !orders.has(Number(target))) {
+          throw new Error(`Conditional step ${step.step_order} targets missing step ${target}`);
+        }
+      });
+    }
+  });
+}
+
+module.exports = {
+  STEP_TYPES,
+  evaluateCondition,
+  getDelayMinutes,
+  resolveNextStep,
+  validateSteps
+};
@@ -0,0 +1,71 @@
+/**
+ * API Key Limits Unit Tests
+ * CIDR allowlists, hourly and burst rate limit decisions and headers
+ */
+
+const {
+  invalidAllowlistEntries,
+  ipAllowed,
+  rateLimitDecision,
+  rateLimitHeaders
+} = require('../../src/utils/apiKeyLimits');
+
+describe('apiKeyLimits', () => {
+  it('matches single addresses and CIDR ranges for IPv4 and IPv6', () => {
+    const allowlist = ['203.0.113.7', '10.0.0.0/8', '2001:db8::/32'];
+
+    expect(ipAllowed(allowlist, '203.0.113.7')).toBe(true);
+    expect(ipAllowed(allowlist, '10.42.1.9')).toBe(true);
+    expect(ipAllowed(allowlist, '::ffff:10.1.2.3')).toBe(true);
+    expect(ipAllowed(allowlist, '2001:db8:1::5')).toBe(true);
+    expect(ipAllowed(allowlist, '203.0.113.8')).toBe(false);
+    expect(ipAllowed(allowlist, '11.0.0.1')).toBe(false);
+    expect(ipAllowed(allowlist, undefined)).toBe(false);
+    expect(ipAllowed([], '198.51.100.1')).toBe(true);
+  });
+
+  it('reports allowlist entries that are not addresses or ranges', () => {
+    expect(invalidAllowlistEntries(['10.0.0.0/8', '10.0.0.0/33', 'example.com', '1.2.3.4/', '::1/128']))
+      .toEqual(['10.0.0.0/33', 'example.com', '1.2.3.4/']);
+  });
+
+  it('allows requests within both limits and reports what is left', () => {
+    const now = new Date('2026-03-01T12:30:20Z');
+    const decision = rateLimitDecision({ hourlyLimit: 1000, burstLimit: 60 }, {
+      windowStart: '2026-03-01T12:30:00Z',
+      oldestWindowStart: '2026-03-01T11:45:00Z',
+      minuteCount: 5,
+      hourCount: 400
+    }, now);
+
+    expect(decision).toEqual({
+      allowed: true,
+      reason: null,
+      limit: 1000,
+      remaining: 600,
+      reset: Date.parse('2026-03-01T12:45:00Z') / 1000,
+      burstLimit: 60,
+      burstRemaining: 55,
+      retryAfter: null
+    });
+    expect(rateLimitHeaders(decision)).toEqual({
+      'X-RateLimit-Limit': '1000',
+      'X-RateLimit-Remaining': '600',
+      'X-RateLimit-Reset': String(Date.parse('2026-03-01T12:45:00Z') / 1000),
+      'X-RateLimit-Burst-Limit': '60',
+      'X-RateLimit-Burst-Remaining': '55'
+    });
+  });
+
+  it('rejects bursts until the next minute and hourly overruns until the window moves', () => {
+    const now = new Date('2026-03-01T12:30:20Z');
+    const usage = { windowStart: '2026-03-01T12:30:00Z', oldestWindowStart: '2026-03-01T11:45:00Z' };
+
+    const burst = rateLimitDecision({ hourlyLimit: 1000, burstLimit: 60 }, { ...usage, minuteCount: 61, hourCount: 200 }, now);
+    expect(burst).toMatchObject({ allowed: false, reason: 'burst_limited', burstRemaining: 0, retryAfter: 40 });
+
+    const hourly = rateLimitDecision({ hourlyLimit: 1000, burstLimit: 60 }, { ...usage, minuteCount: 61, hourCount: 1001 }, now);
+    expect(hourly).toMatchObject({ allowed: false, reason: 'rate_limited', remaining: 0, retryAfter: 880 });
+    expect(rateLimitHeaders(hourly)['Retry-After']).toBe('880');
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * Authorization Unit Tests
+ * Route permission policies, API key permission lists and location scoping
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const policies = require('../../src/config/routePermissions');
+const AuthorizationService = require('../../src/services/AuthorizationService');
+const UserManagementService = require('../../src/services/UserManagementService');
+const IntegrationsService = require('../../src/services/IntegrationsService');
+const integrationsRouter = require('../../src/routes/integrations');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { secure, resolvePermission, requestedLocationIds, isPublic } = require('../../src/middleware/authorization');
+
+const runSecure = (policyName, req) => new Promise(resolve => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+    }
+  };
+  secure(policyName)(req, res, error => resolve({ error }));
+});
+
+const createApp = (user, router, mountPath) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(mountPath, router);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('authorization', () => {
+  beforeEach(() => {
+    mockQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  afterEach(() => {
+    AuthorizationService.clearCache();
+    jest.restoreAllMocks();
+  });
+
+  it('resolves permissions from rules before the read/write defaults', () => {
+    expect(resolvePermission(policies.tasks, 'GET', '/task-1').permission).toBe('task:read');
+    expect(resolvePermission(policies.tasks, 'PUT', '/task-1').permission).toBe('task:update');
+    expect(resolvePermission(policies.tasks, 'POST', '/').permission).toBe('task:create');
+    expect(resolvePermission(policies.tasks, 'DELETE', '/task-1').permission).toBe('task:delete');
+    expect(resolvePermission(policies.invoices, 'POST', '/inv-1/approve').permission).toBe('invoice:approve');
+    expect(resolvePermission(policies.schedules, 'POST', '/sched-1/clock-in').permission).toBe('schedule:view');
+  });
+
+  it('lets users act on their own profile without the user permission', () => {
+    expect(resolvePermission(policies.userManagement, 'PUT', '/profile/user-7'))
+      .toEqual({ permission: 'user:manage', selfUserId: 'user-7' });
+    expect(resolvePermission(policies.userManagement, 'GET', '/users/user-7/roles'))
+      .toEqual({ permission: 'user:read', selfUserId: 'user-7' });
+    expect(resolvePermission(policies.userManagement, 'POST', '/roles').selfUserId).toBeNull();
+  });
+
+  it('only serves listed public paths without authentication', () => {
+    expect(isPublic(policies.marketing, 'GET', '/track/open/msg-1')).toBe(true);
+    expect(isPublic(policies.marketing, 'POST', '/promotions/validate')).toBe(true);
+    expect(isPublic(policies.marketing, 'GET', '/campaigns')).toBe(false);
+    expect(isPublic(policies.files, 'HEAD', '/download')).toBe(true);
+    expect(isPublic(policies.tasks, 'GET', '/')).toBe(false);
+  });
+
+  it('collects requested locations from the query and write bodies', () => {
+    expect(requestedLocationIds({ method: 'GET', query: { locationIds: 'loc-1, loc-2' }, body: { locationId: 'loc-3' } }))
+      .toEqual(['loc-1', 'loc-2']);
+    expect(requestedLocationIds({ method: 'POST', query: {}, body: { fromLocationId: 'loc-1', toLocationId: 'loc-2' } }))
+      .toEqual(['loc-1', 'loc-2']);
+  });
+
+  it('matches API key permission lists with resource and global wildcards', () => {
+    expect(AuthorizationService.permissionListGrants(['task:read'], 'task:read')).toBe(true);
+    expect(AuthorizationService.permissionListGrants(['task:*'], 'task:delete')).toBe(true);
+    expect(AuthorizationService.permissionListGrants(['*'], 'invoice:approve')).toBe(true);
+    expect(AuthorizationService.permissionListGrants(['task:read'], 'temperature:read')).toBe(false);
+  });
+
+  it('rejects requests for locations outside the caller subtree', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+    jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+
+    const { error } = await runSecure('temperatures', {
+      method: 'GET',
+      path: '/',
+      query: { locationId: 'loc-2' },
+      user: { id: 'user-1', role: 'manager', locationId: 'loc-1' }
+    });
+
+    expect(error).toMatchObject({ status: 403, message: 'Access denied to location loc-2' });
+  });
+
+  it('checks the location of records addressed by id and scopes unfiltered lists', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+    jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+    jest.spyOn(AuthorizationService, 'getRecordLocation').mockResolvedValue('loc-9');
+
+    const user = { id: 'user-1', role: 'crew', locationId: 'loc-1' };
+    const denied = await runSecure('invoices', { method: 'GET', path: '/inv-1', query: {}, user });
+    expect(denied.error).toMatchObject({ status: 403 });
+    expect(AuthorizationService.getRecordLocation).toHaveBeenCalledWith('invoices', 'location_id', 'inv-1', undefined);
+
+    const req = { method: 'GET', path: '/', query: {}, user };
+    expect(await runSecure('tasks', req)).toEqual({ error: undefined });
+    expect(req.query.locationId).toBe('loc-1');
+  });
+
+  it('checks the webhook location before replaying one of its deliveries', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+    jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+    mockQuery.mockResolvedValue({ rows: [{ location_id: 'loc-9' }] });
+
+    const user = { id: 'user-1', role: 'manager', locationId: 'loc-1' };
+    const { error } = await runSecure('integrations', {
+      method: 'POST', path: '/webhooks/deliveries/del-1/replay', query: {}, body: {}, user
+    });
+
+    expect(error).toMatchObject({ status: 403, message: 'Access denied to this location' });
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toBe('SELECT r.location_id AS location_id FROM webhook_deliveries c0 JOIN webhooks r ON r.id = c0.webhook_id WHERE c0.id = $1');
+    expect(params).toEqual(['del-1']);
+  });
+
+  it('checks the order location for staff order routes in the customer portal', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+    jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+    jest.spyOn(AuthorizationService, 'getRecordLocation').mockResolvedValue('loc-9');
+
+    const user = { id: 'user-1', role: 'crew', locationId: 'loc-1' };
+    const { error } = await runSecure('customerOrders', {
+      method: 'PUT', path: '/orders/order-1/status', query: {}, body: { status: 'ready' }, user
+    });
+
+    expect(error).toMatchObject({ status: 403, message: 'Access denied to this location' });
+    expect(AuthorizationService.hasPermission).toHaveBeenCalledWith(user, 'order:manage', null);
+    expect(AuthorizationService.getRecordLocation).toHaveBeenCalledWith('online_orders', 'location_id', 'order-1', undefined);
+  });
+
+  it('resolves record locations through rows that reference the record', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ location_id: 'loc-2' }] });
+
+    await expect(AuthorizationService.getRecordLocation('schedules', 'location_id', 'trade-1', [
+      { table: 'shift_trades', column: 'shift_id' },
+      { table: 'shifts', column: 'schedule_id' }
+    ])).resolves.toBe('loc-2');
+    expect(mockQuery.mock.calls[0][0]).toBe(
+      'SELECT r.location_id AS location_id FROM shift_trades c0 ' +
+      'JOIN shifts c1 ON c1.id = c0.shift_id JOIN schedules r ON r.id = c1.schedule_id WHERE c0.id = $1'
+    );
+  });
+
+  it('scopes user management, scheduling and jobs to the caller locations', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+    jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+    const getRecordLocation = jest.spyOn(AuthorizationService, 'getRecordLocation').mockResolvedValue('loc-9');
+    const user = { id: 'user-1', role: 'manager', locationId: 'loc-1' };
+
+    const profile = await runSecure('userManagement', { method: 'GET', path: '/profile/user-2', query: {}, user });
+    expect(profile.error).toMatchObject({ status: 403 });
+    expect(getRecordLocation).toHaveBeenLastCalledWith('users', 'location_id', 'user-2', undefined);
+
+    const shift = await runSecure('scheduling', {
+      method: 'POST', path: '/shifts', query: {}, body: { scheduleId: 'sched-9' }, user
+    });
+    expect(shift.error).toMatchObject({ status: 403 });
+    expect(getRecordLocation).toHaveBeenLastCalledWith('schedules', 'location_id', 'sched-9', undefined);
+
+    const job = await runSecure('jobs', { method: 'POST', path: '/job-1/retry', query: {}, body: {}, user });
+    expect(job.error).toMatchObject({ status: 403 });
+    expect(getRecordLocation).toHaveBeenLastCalledWith('job_definitions', 'location_id', 'job-1', {
+      table: 'jobs', column: 'job_definition_id'
+    });
+
+    getRecordLocation.mockResolvedValue('loc-1');
+    const own = { method: 'GET', path: '/schedules', query: {}, user };
+    expect(await runSecure('scheduling', own)).toEqual({ error: undefined });
+    expect(own.query.locationId).toBe('loc-1');
+  });
+
+  it('keeps company-wide endpoints to callers that reach every location', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+    const accessible = jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+    const user = { id: 'user-1', role: 'district', locationId: 'loc-1' };
+
+    const close = await runSecure('financial', { method: 'POST', path: '/fiscal-periods/fp-1/hard-close', query: {}, body: {}, user });
+    expect(close.error).toMatchObject({ status: 403, message: 'Access to every location is required' });
+    const enqueue = await runSecure('jobs', { method: 'POST', path: '/', query: {}, body: {}, user });
+    expect(enqueue.error).toMatchObject({ status: 403 });
+    const importRequirements = await runSecure('compliance', {
+      method: 'POST', path: '/requirements/import', query: {}, body: { requirements: [] }, user
+    });
+    expect(importRequirements.error).toMatchObject({ status: 403 });
+    expect(await runSecure('compliance', { method: 'GET', path: '/requirements/req-1', query: {}, user }))
+      .toEqual({ error: undefined });
+
+    // Financial lists read snake_case filters
+    const payables = { method: 'GET', path: '/payables', query: {}, user };
+    expect(await runSecure('financial', payables)).toEqual({ error: undefined });
+    expect(payables.query).toEqual({ location_id: 'loc-1' });
+
+    accessible.mockResolvedValue(null);
+    expect(await runSecure('financial', { method: 'POST', path: '/fiscal-periods/fp-1/hard-close', query: {}, body: {}, user }))
+      .toEqual({ error: undefined });
+  });
+
+  it('limits menu writes to the caller locations and the brand-wide menu to corporate', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+    const accessible = jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+    const getRecordLocation = jest.spyOn(AuthorizationService, 'getRecordLocation').mockResolvedValue('loc-9');
+    const user = { id: 'user-1', role: 'manager', locationId: 'loc-1' };
+    const write = (method, path, body = {}) => runSecure('menu', { method, path, query: {}, body, user });
+
+    expect((await write('PUT', '/items/item-9/combo')).error).toMatchObject({ status: 403 });
+    expect(getRecordLocation).toHaveBeenLastCalledWith('menu_items', 'location_id', 'item-9', undefined);
+    expect((await write('POST', '/seasonal-menus/sm-9/items')).error).toMatchObject({ status: 403 });
+    expect(getRecordLocation).toHaveBeenLastCalledWith('seasonal_menus', 'location_id', 'sm-9', undefined);
+
+    // Brand-wide rows have no location: readable, but only corporate may change them
+    getRecordLocation.mockResolvedValue(null);
+    expect((await write('PUT', '/items/item-1')).error)
+      .toMatchObject({ status: 403, message: 'Access to every location is required' });
+    expect((await write('PUT', '/modifiers/mod-1/ingredients')).error).toMatchObject({ status: 403 });
+    expect((await write('POST', '/categories', { name: 'Shakes' })).error).toMatchObject({ status: 403 });
+    expect((await write('POST', '/recipes', { location_id: 'loc-1' })).error).toMatchObject({ status: 403 });
+    expect(await runSecure('menu', { method: 'GET', path: '/items/item-1/options', query: {}, user }))
+      .toEqual({ error: undefined });
+
+    // A location can override brand-wide items and add its own rows
+    expect(await write('PUT', '/items/item-1/locations/loc-1', { is_available: false })).toEqual({ error: undefined });
+    expect(await write('POST', '/categories', { name: 'Shakes', location_id: 'loc-1' })).toEqual({ error: undefined });
+
+    const list = { method: 'GET', path: '/items', query: {}, user };
+    expect(await runSecure('menu', list)).toEqual({ error: undefined });
+    expect(list.query).toEqual({ location_id: 'loc-1' });
+
+    accessible.mockResolvedValue(null);
+    expect(await write('PUT', '/items/item-1')).toEqual({ error: undefined });
+  });
+
+  it('leaves role definitions to super admins', () => {
+    expect(resolvePermission(policies.userManagement, 'PUT', '/roles/role-manager/permissions').permission).toBe('role:manage');
+    expect(resolvePermission(policies.userManagement, 'POST', '/roles').permission).toBe('role:manage');
+    expect(resolvePermission(policies.userManagement, 'POST', '/users/user-2/roles').permission).toBe('user:manage');
+  });
+
+  it('refuses callers without the route permission', async () => {
+    jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(false);
+
+    const { error } = await runSecure('financial', {
+      method: 'POST',
+      path: '/journal-entries',
+      query: {},
+      body: {},
+      user: { id: 'user-1', role: 'crew', locationId: 'loc-1' }
+    });
+
+    expect(error).toMatchObject({ status: 403, message: 'Insufficient permissions. Required permission: financial:manage' });
+  });
+
+  it('keeps API keys inside their resource and location scopes', async () => {
+    jest.spyOn(AuthorizationService, 'getRecordLocation').mockResolvedValue(null);
+
+    const key = {
+      id: 'user-1',
+      role: 'api_key',
+      apiKeyId: 'apikey-1',
+      locationId: null,
+      locationIds: ['loc-1', 'loc-2'],
+      resources: ['temperatures'],
+      permissions: ['*']
+    };
+
+    const outOfScope = { method: 'GET', path: '/', query: {}, user: key };
+    const { error } = await runSecure('invoices', outOfScope);
+    expect(error).toMatchObject({ status: 403, message: 'This API key is not scoped to invoices' });
+    expect(outOfScope.apiKeyRejection).toBe('resource_not_allowed');
+
+    expect(await AuthorizationService.getAccessibleLocationIds(key)).toEqual(['loc-1', 'loc-2']);
+    expect(await runSecure('temperatures', { method: 'GET', path: '/', query: { locationId: 'loc-2' }, user: key }))
+      .toEqual({ error: undefined });
+    const denied = await runSecure('temperatures', { method: 'GET', path: '/', query: { locationId: 'loc-3' }, user: key });
+    expect(denied.error).toMatchObject({ status: 403, message: 'Access denied to location loc-3' });
+  });
+
+  it('gives API keys with no locations and no owner no locations', async () => {
+    const key = { id: null, role: 'api_key', apiKeyId: 'apikey-2', locationIds: [], ownerId: null, permissions: ['*'] };
+
+    expect(await AuthorizationService.getAccessibleLocationIds(key)).toEqual([]);
+    const { error } = await runSecure('temperatures', { method: 'GET', path: '/', query: {}, user: key });
+    expect(error).toMatchObject({ status: 403, message: 'No locations are assigned to this account' });
+  });
+
+  it('lists requested permissions the caller does not hold, expanding wildcards', async () => {
+    jest.spyOn(UserManagementService, 'getPermissions').mockResolvedValue([
+      { name: 'task:read' }, { name: 'task:delete' }, { name: 'invoice:read' }
+    ]);
+    jest.spyOn(AuthorizationService, 'hasPermission')
+      .mockImplementation(async (principal, permission) => permission.startsWith('task:'));
+    const user = { id: 'user-1', role: 'manager' };
+
+    expect(await AuthorizationService.missingPermissions(user, ['task:read', 'task:*'])).toEqual([]);
+    expect(await AuthorizationService.missingPermissions(user, ['task:read', 'invoice:read', '*']))
+      .toEqual(['invoice:read', '*']);
+  });
+
+  it('drops expired cache entries when new answers are cached', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const load = jest.fn().mockResolvedValue(true);
+
+    await AuthorizationService.cached('perm:user-1', load);
+    await AuthorizationService.cached('perm:user-2', load);
+    expect(AuthorizationService.cache.size).toBe(2);
+
+    now += 31 * 1000;
+    await AuthorizationService.cached('perm:user-3', load);
+    expect([...AuthorizationService.cache.keys()]).toEqual(['perm:user-3']);
+
+    await AuthorizationService.cached('perm:user-3', load);
+    expect(load).toHaveBeenCalledTimes(3);
+  });
+
+  describe('API keys and webhooks', () => {
+    const user = { id: 'user-1', role: 'manager', locationId: 'loc-1' };
+
+    it('owns the key by its creator and only grants permissions the creator holds', async () => {
+      jest.spyOn(AuthorizationService, 'hasPermission')
+        .mockImplementation(async (principal, permission) => permission === 'temperature:read');
+      jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+      const create = jest.spyOn(IntegrationsService, 'createApiKey').mockResolvedValue({ id: 'apikey-1' });
+      const app = createApp(user, integrationsRouter, '/integrations');
+
+      const escalated = await request(app).post('/integrations/api-keys')
+        .send({ name: 'gateway', permissions: ['temperature:read', 'user:manage'] });
+      expect(escalated.status).toBe(403);
+      expect(escalated.body.error).toBe('You cannot grant permissions you do not hold: user:manage');
+
+      const otherLocation = await request(app).post('/integrations/api-keys')
+        .send({ name: 'gateway', permissions: ['temperature:read'], allowedLocationIds: ['loc-2'] });
+      expect(otherLocation.status).toBe(403);
+      expect(create).not.toHaveBeenCalled();
+
+      const created = await request(app).post('/integrations/api-keys')
+        .send({ name: 'gateway', permissions: ['temperature:read'], userId: 'user-corporate' });
+      expect(created.status).toBe(201);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1' }));
+    });
+
+    it('requires scoped callers to give new webhooks a location', async () => {
+      const accessible = jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+      const create = jest.spyOn(IntegrationsService, 'createWebhook').mockResolvedValue({ id: 'webhook-1' });
+      const app = createApp(user, integrationsRouter, '/integrations');
+      const webhook = { name: 'Orders', url: 'https://example.com/hook', eventTypes: ['order.placed'] };
+
+      const everywhere = await request(app).post('/integrations/webhooks').send(webhook);
+      expect(everywhere.status).toBe(400);
+      expect(everywhere.body.error).toBe('locationId is required');
+      expect(create).not.toHaveBeenCalled();
+
+      expect((await request(app).post('/integrations/webhooks').send({ ...webhook, locationId: 'loc-1' })).status).toBe(201);
+
+      accessible.mockResolvedValue(null);
+      expect((await request(app).post('/integrations/webhooks').send(webhook)).status).toBe(201);
+    });
+
+    it('keeps webhooks without a location to callers that reach every location', async () => {
+      jest.spyOn(AuthorizationService, 'hasPermission').mockResolvedValue(true);
+      jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+      jest.spyOn(AuthorizationService, 'getRecordLocation').mockResolvedValue(null);
+
+      const { error } = await runSecure('integrations', {
+        method: 'PUT', path: '/webhooks/webhook-1', query: {}, body: { url: 'https://evil.example.net' }, user
+      });
+      expect(error).toMatchObject({ status: 403, message: 'Access to every location is required' });
+    });
+
+    it('lets the owner or callers reaching all of its locations manage a key', async () => {
+      const accessible = jest.spyOn(AuthorizationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+      const scope = jest.spyOn(IntegrationsService, 'getApiKeyScope');
+      const revoke = jest.spyOn(IntegrationsService, 'revokeApiKey').mockResolvedValue({ id: 'apikey-1' });
+      jest.spyOn(IntegrationsService, 'getApiKeyUsage').mockResolvedValue({ total: 0 });
+      const app = createApp(user, integrationsRouter, '/integrations');
+
+      scope.mockResolvedValue({ id: 'apikey-1', user_id: 'user-2', location_id: null, allowed_location_ids: [] });
+      expect((await request(app).get('/integrations/api-keys/apikey-1/usage')).status).toBe(403);
+      expect((await request(app).post('/integrations/api-keys/apikey-1/revoke')).status).toBe(403);
+
+      scope.mockResolvedValue({ id: 'apikey-1', user_id: 'user-2', location_id: null, allowed_location_ids: ['loc-1', 'loc-2'] });
+      expect((await request(app).post('/integrations/api-keys/apikey-1/revoke')).status).toBe(403);
+      expect(revoke).not.toHaveBeenCalled();
+
+      scope.mockResolvedValue({ id: 'apikey-1', user_id: 'user-1', location_id: null, allowed_location_ids: [] });
+      expect((await request(app).get('/integrations/api-keys/apikey-1/usage')).status).toBe(200);
+
+      scope.mockResolvedValue({ id: 'apikey-1', user_id: 'user-2', location_id: 'loc-1', allowed_location_ids: [] });
+      expect((await request(app).post('/integrations/api-keys/apikey-1/revoke')).status).toBe(200);
+
+      accessible.mockResolvedValue(null);
+      scope.mockResolvedValue({ id: 'apikey-1', user_id: null, location_id: null, allowed_location_ids: [] });
+      expect((await request(app).post('/integrations/api-keys/apikey-1/revoke')).status).toBe(200);
+
+      scope.mockResolvedValue(null);
+      expect((await request(app).get('/integrations/api-keys/apikey-9/usage')).status).toBe(404);
+    });
+  });
+
+  it('requires credentials on non-public paths', async () => {
+    const result = await runSecure('tasks', { method: 'GET', path: '/', query: {}, headers: {} });
+    expect(result.status).toBe(401);
+  });
+});
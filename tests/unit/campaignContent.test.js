@@ -0,0 +1,58 @@
+/**
+ * Campaign Content Unit Tests
+ * Merge-field rendering, link rewriting and tracking signatures
+ */
+
+const {
+  renderMergeFields,
+  rewriteLinks,
+  appendTrackingPixel,
+  signTrackingValue,
+  verifyTrackingValue
+} = require('../../src/utils/campaignContent');
+
+describe('campaignContent', () => {
+  describe('renderMergeFields', () => {
+    it('replaces fields, nested paths and fallbacks', () => {
+      const rendered = renderMergeFields(
+        'Hi {{ first_name }}, {{location.name}} has {{offer|a treat}} for you',
+        { first_name: 'Ana', location: { name: 'Downtown' } }
+      );
+
+      expect(rendered).toBe('Hi Ana, Downtown has a treat for you');
+    });
+
+    it('escapes values when rendering HTML', () => {
+      const rendered = renderMergeFields('<p>{{first_name}}</p>', { first_name: '<script>x</script>' }, { html: true });
+      expect(rendered).toBe('<p>&lt;script&gt;x&lt;/script&gt;</p>');
+    });
+  });
+
+  describe('tracking', () => {
+    it('rewrites http links but leaves mailto links alone', () => {
+      const html = '<a href="https://pattyshack.com/menu?a=1&amp;b=2">Menu</a> <a href="mailto:hi@pattyshack.com">Mail</a>';
+      const rewritten = rewriteLinks(html, url => `https://t.example/c?url=${encodeURIComponent(url)}`);
+
+      expect(rewritten).toContain('href="https://t.example/c?url=https%3A%2F%2Fpattyshack.com%2Fmenu%3Fa%3D1%26b%3D2"');
+      expect(rewritten).toContain('href="mailto:hi@pattyshack.com"');
+    });
+
+    it('keeps links the builder declines', () => {
+      const html = '<a href="https://pattyshack.com/unsubscribe">Unsubscribe</a>';
+      expect(rewriteLinks(html, () => null)).toBe(html);
+    });
+
+    it('places the open pixel inside the body', () => {
+      const html = appendTrackingPixel('<html><body><p>Hi</p></body></html>', 'https://t.example/o');
+      expect(html).toMatch(/<img src="https:\/\/t.example\/o"[^>]*\/><\/body>/);
+    });
+
+    it('verifies signatures only for the signed values', () => {
+      const sig = signTrackingValue('secret', 'click', 'msg_1', 'https://pattyshack.com');
+
+      expect(verifyTrackingValue('secret', sig, 'click', 'msg_1', 'https://pattyshack.com')).toBe(true);
+      expect(verifyTrackingValue('secret', sig, 'click', 'msg_1', 'https://evil.example')).toBe(false);
+      expect(verifyTrackingValue('secret', undefined, 'click', 'msg_1', 'https://pattyshack.com')).toBe(false);
+    });
+  });
+});
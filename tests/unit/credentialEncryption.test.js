@@ -0,0 +1,114 @@
+/**
+ * Credential Encryption Unit Tests
+ * Envelope encryption, key rotation and secret redaction
+ */
+
+const crypto = require('crypto');
+const {
+  REDACTED,
+  parseKeyring,
+  isEncrypted,
+  encryptCredentials,
+  decryptCredentials,
+  needsReencryption,
+  reencryptCredentials,
+  redactSecrets
+} = require('../../src/utils/credentialEncryption');
+
+describe('credentialEncryption', () => {
+  const keyOne = crypto.randomBytes(32).toString('base64');
+  const keyTwo = crypto.randomBytes(32).toString('hex');
+  const credentials = { accessToken: 'sq0atp-live', refreshToken: 'sq0rtp-live', realmId: '123' };
+
+  it('parses versioned master keys and defaults to the highest version', () => {
+    const keyring = parseKeyring(`1:${keyOne}, 2:${keyTwo}`);
+    expect(keyring.currentVersion).toBe(2);
+    expect(keyring.keys.get(1)).toEqual(Buffer.from(keyOne, 'base64'));
+    expect(keyring.keys.get(2)).toEqual(Buffer.from(keyTwo, 'hex'));
+
+    expect(parseKeyring(`1:${keyOne},2:${keyTwo}`, '1').currentVersion).toBe(1);
+    expect(parseKeyring('1:a passphrase').keys.get(1)).toHaveLength(32);
+    expect(() => parseKeyring('')).toThrow('No credential master keys configured');
+    expect(() => parseKeyring(`2:${keyTwo}`, 3)).toThrow('version 3 is not configured');
+  });
+
+  it('encrypts with a wrapped data key and binds the owning record', () => {
+    const keyring = parseKeyring(`1:${keyOne}`);
+    const stored = encryptCredentials(credentials, keyring, 'integration-1');
+
+    expect(isEncrypted(stored)).toBe(true);
+    expect(stored.key_version).toBe(1);
+    expect(JSON.stringify(stored)).not.toContain('sq0atp-live');
+    expect(decryptCredentials(stored, keyring, 'integration-1')).toEqual(credentials);
+    expect(() => decryptCredentials(stored, keyring, 'integration-2')).toThrow('could not be decrypted');
+    expect(() => decryptCredentials({ ...stored, data: Buffer.from('tampered').toString('base64') }, keyring, 'integration-1'))
+      .toThrow('could not be decrypted');
+  });
+
+  it('passes plaintext written before encryption through until it is re-encrypted', () => {
+    const keyring = parseKeyring(`1:${keyOne}`);
+    expect(decryptCredentials(credentials, keyring)).toEqual(credentials);
+    expect(decryptCredentials(JSON.stringify(credentials), keyring)).toEqual(credentials);
+    expect(decryptCredentials(null, keyring)).toEqual({});
+    expect(needsReencryption(credentials, keyring)).toBe(true);
+    expect(needsReencryption({}, keyring)).toBe(false);
+
+    const stored = reencryptCredentials(credentials, keyring, 'integration-1');
+    expect(isEncrypted(stored)).toBe(true);
+    expect(decryptCredentials(stored, keyring, 'integration-1')).toEqual(credentials);
+  });
+
+  it('re-wraps data keys onto a rotated master key', () => {
+    const before = parseKeyring(`1:${keyOne}`);
+    const after = parseKeyring(`1:${keyOne},2:${keyTwo}`);
+    const stored = encryptCredentials(credentials, before, 'integration-1');
+
+    expect(needsReencryption(stored, after)).toBe(true);
+    const rotated = reencryptCredentials(stored, after, 'integration-1');
+
+    expect(rotated.key_version).toBe(2);
+    expect(rotated.data).toBe(stored.data);
+    expect(needsReencryption(rotated, after)).toBe(false);
+    expect(decryptCredentials(rotated, parseKeyring(`2:${keyTwo}`), 'integration-1')).toEqual(credentials);
+    expect(() => decryptCredentials(stored, parseKeyring(`2:${keyTwo}`), 'integration-1'))
+      .toThrow('key version 1, which is not configured');
+  });
+
+  it('redacts secret fields at any depth and keeps everything else', () => {
+    expect(redactSecrets({
+      name: 'Square',
+      credentials: { accessToken: 'x' },
+      auth_credentials: {},
+      changes: [{ client_secret: 'y', api_key: 'z', password_hash: 'h', token_expires_at: '2026-01-01' }],
+      require_password: true,
+      secret_hint: 'whsec_…abcd'
+    })).toEqual({
+      name: 'Square',
+      credentials: REDACTED,
+      auth_credentials: REDACTED,
+      changes: [{ client_secret: REDACTED, api_key: REDACTED, password_hash: REDACTED, token_expires_at: '2026-01-01' }],
+      require_password: true,
+      secret_hint: 'whsec_…abcd'
+    });
+  });
+
+  it('never derives master keys from the JWT secret and requires them in production', () => {
+    const env = { ...process.env };
+    const loadConfig = () => {
+      let config;
+      jest.isolateModules(() => { config = require('../../src/config/app'); });
+      return config.integrations.credentialMasterKeys;
+    };
+
+    try {
+      delete process.env.CREDENTIALS_MASTER_KEYS;
+      process.env.JWT_SECRET = 'jwt-signing-secret';
+      expect(loadConfig()).not.toContain('jwt-signing-secret');
+
+      process.env.NODE_ENV = 'production';
+      expect(() => parseKeyring(loadConfig())).toThrow('set CREDENTIALS_MASTER_KEYS');
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Cron Utility Unit Tests
+ * Tests cron expression parsing and timezone-aware run calculation
+ */
+
+const cron = require('../../src/utils/cron');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+describe('cron utilities', () => {
+  describe('parseExpression', () => {
+    it('should parse five-field expressions with a zero seconds field', () => {
+      const parsed = cron.parseExpression('30 2 * * *');
+
+      expect([...parsed.second]).toEqual([0]);
+      expect([...parsed.minute]).toEqual([30]);
+      expect([...parsed.hour]).toEqual([2]);
+      expect(parsed.dayOfMonth.size).toBe(31);
+    });
+
+    it('should parse six-field expressions with seconds', () => {
+      const parsed = cron.parseExpression('*/20 0 12 * * *');
+      expect([...parsed.second]).toEqual([0, 20, 40]);
+    });
+
+    it('should parse ranges, steps and lists', () => {
+      const parsed = cron.parseExpression('0,15,30-40/5 8-17/3 * * *');
+
+      expect([...parsed.minute]).toEqual([0, 15, 30, 35, 40]);
+      expect([...parsed.hour]).toEqual([8, 11, 14, 17]);
+    });
+
+    it('should parse month and day names case-insensitively', () => {
+      const parsed = cron.parseExpression('0 9 * jan-Mar MON-FRI');
+
+      expect([...parsed.month]).toEqual([1, 2, 3]);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      const parsed = cron.parseExpression('0 0 * * 7');
+      expect([...parsed.dayOfWeek]).toEqual([0]);
+    });
+
+    it('should expand macros', () => {
+      const parsed = cron.parseExpression('@weekly');
+
+      expect([...parsed.hour]).toEqual([0]);
+      expect([...parsed.dayOfWeek]).toEqual([0]);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => cron.parseExpression('')).toThrow('Cron expression is required');
+      expect(() => cron.parseExpression('* * *')).toThrow('expected 5 or 6 fields');
+      expect(() => cron.parseExpression('60 * * * *')).toThrow('out of range');
+      expect(() => cron.parseExpression('* * * * FUNDAY')).toThrow('Invalid value');
+      expect(() => cron.parseExpression('*/0 * * * *')).toThrow('Invalid step');
+      expect(() => cron.parseExpression('10-5 * * * *')).toThrow('Invalid range');
+    });
+  });
+
+  describe('validateExpression', () => {
+    it('should report validity without throwing', () => {
+      expect(cron.validateExpression('0 2 * * *')).toEqual({ valid: true, error: null });
+
+      const result = cron.validateExpression('0 25 * * *');
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('hour');
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('should return the next run strictly after the given time', () => {
+      const after = new Date('2025-01-01T02:30:00Z');
+      const next = cron.getNextRun('30 2 * * *', { after });
+
+      expect(next.toISOString()).toBe('2025-01-02T02:30:00.000Z');
+    });
+
+    it('should calculate runs in the requested timezone', () => {
+      const next = cron.getNextRun('30 2 * * *', {
+        after: new Date('2025-01-15T12:00:00Z'),
+        timezone: 'America/New_York'
+      });
+
+      expect(next.toISOString()).toBe('2025-01-16T07:30:00.000Z');
+    });
+
+    it('should only fire on the named weekday', () => {
+      const runs = cron.getNextRuns('0 6 * * MON', 3, {
+        after: new Date('2025-01-01T00:00:00Z'),
+        timezone: 'America/Chicago'
+      });
+
+      expect(iso(runs)).toEqual([
+        '2025-01-06T12:00:00.000Z',
+        '2025-01-13T12:00:00.000Z',
+        '2025-01-20T12:00:00.000Z'
+      ]);
+    });
+
+    it('should match either day field when both are restricted', () => {
+      const runs = cron.getNextRuns('0 0 13 * FRI', 3, {
+        after: new Date('2025-01-01T00:00:00Z')
+      });
+
+      expect(iso(runs)).toEqual([
+        '2025-01-03T00:00:00.000Z',
+        '2025-01-10T00:00:00.000Z',
+        '2025-01-13T00:00:00.000Z'
+      ]);
+    });
+
+    it('should move runs in a skipped DST hour to after the change', () => {
+      const runs = cron.getNextRuns('30 2 * * *', 3, {
+        after: new Date('2025-03-08T12:00:00Z'),
+        timezone: 'America/New_York'
+      });
+
+      // 2025-03-09 02:30 does not exist in New York; it runs at 03:30 EDT
+      expect(iso(runs)).toEqual([
+        '2025-03-09T07:30:00.000Z',
+        '2025-03-10T06:30:00.000Z',
+        '2025-03-11T06:30:00.000Z'
+      ]);
+    });
+
+    it('should run only once in a repeated DST hour', () => {
+      const runs = cron.getNextRuns('30 1 * * *', 2, {
+        after: new Date('2025-11-01T12:00:00Z'),
+        timezone: 'America/New_York'
+      });
+
+      expect(iso(runs)).toEqual([
+        '2025-11-02T05:30:00.000Z',
+        '2025-11-03T06:30:00.000Z'
+      ]);
+    });
+
+    it('should return null for expressions that never match', () => {
+      expect(cron.getNextRun('0 0 30 2 *', { after: new Date('2025-01-01T00:00:00Z') })).toBeNull();
+    });
+  });
+
+  describe('getRunsBetween', () => {
+    it('should list runs in the window excluding the start', () => {
+      const runs = cron.getRunsBetween(
+        '0 */6 * * *',
+        new Date('2025-01-01T00:00:00Z'),
+        new Date('2025-01-02T00:00:00Z')
+      );
+
+      expect(iso(runs)).toEqual([
+        '2025-01-01T06:00:00.000Z',
+        '2025-01-01T12:00:00.000Z',
+        '2025-01-01T18:00:00.000Z',
+        '2025-01-02T00:00:00.000Z'
+      ]);
+    });
+
+    it('should respect the limit', () => {
+      const runs = cron.getRunsBetween(
+        '* * * * *',
+        new Date('2025-01-01T00:00:00Z'),
+        new Date('2025-01-02T00:00:00Z'),
+        { limit: 5 }
+      );
+
+      expect(runs).toHaveLength(5);
+    });
+  });
+
+  describe('getPreviousRun', () => {
+    it('should find the latest run strictly before the date', () => {
+      expect(cron.getPreviousRun('0 */6 * * *', { before: new Date('2025-01-01T12:00:00Z') }).toISOString())
+        .toBe('2025-01-01T06:00:00.000Z');
+      expect(cron.getPreviousRun('0 0 1 * *', { before: new Date('2025-03-15T00:00:00Z') }).toISOString())
+        .toBe('2025-03-01T00:00:00.000Z');
+    });
+
+    it('should handle DST changes in the timezone', () => {
+      // 2025-03-09 02:30 does not exist in New York; that run happened at 03:30 EDT
+      expect(cron.getPreviousRun('30 2 * * *', {
+        before: new Date('2025-03-09T12:00:00Z'),
+        timezone: 'America/New_York'
+      }).toISOString()).toBe('2025-03-09T07:30:00.000Z');
+    });
+
+    it('should stop at the since date', () => {
+      expect(cron.getPreviousRun('0 0 1 1 *', {
+        before: new Date('2025-06-01T00:00:00Z'),
+        since: new Date('2025-01-01T00:00:00Z')
+      })).toBeNull();
+    });
+  });
+
+  describe('getLatestRunsBetween', () => {
+    it('should list the latest runs in the window, oldest first', () => {
+      const runs = cron.getLatestRunsBetween(
+        '* * * * *',
+        new Date('2025-01-01T00:00:00Z'),
+        new Date('2025-03-01T00:00:00Z'),
+        { limit: 3 }
+      );
+
+      expect(iso(runs)).toEqual([
+        '2025-02-28T23:58:00.000Z',
+        '2025-02-28T23:59:00.000Z',
+        '2025-03-01T00:00:00.000Z'
+      ]);
+    });
+
+    it('should match getRunsBetween for short windows', () => {
+      const after = new Date('2025-01-01T00:00:00Z');
+      const until = new Date('2025-01-02T00:00:00Z');
+
+      expect(iso(cron.getLatestRunsBetween('0 */6 * * *', after, until, { limit: 10 })))
+        .toEqual(iso(cron.getRunsBetween('0 */6 * * *', after, until)));
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    it('should accept IANA names and reject unknown ones', () => {
+      expect(cron.isValidTimezone('America/Denver')).toBe(true);
+      expect(cron.isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+  });
+});
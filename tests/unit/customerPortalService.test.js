@@ -182,6 +182,11 @@ describe('CustomerPortalService', () => {
     });
 
     it('should create an online order', async () => {
+      await pool.query(`
+        INSERT INTO tax_rates (tax_name, tax_type, tax_rate, location_id, effective_from)
+        VALUES ('State sales tax', 'sales_tax', 0.0800, $1, CURRENT_DATE - 1)
+      `, [testLocation.id]);
+
       const orderData = {
         location_id: testLocation.id,
         order_type: 'pickup',
@@ -210,8 +215,8 @@ describe('CustomerPortalService', () => {
       const orderData = {
         location_id: testLocation.id,
         order_type: 'pickup',
-        subtotal: 25.00,
-        total_amount: 25.00,
+        subtotal: 19.98,
+        total_amount: 19.98,
         items: [
           {
             menu_item_id: testMenuItem.id,
@@ -224,7 +229,63 @@ describe('CustomerPortalService', () => {
 
       const order = await CustomerPortalService.createOnlineOrder(orderData, testCustomer.id);
 
-      expect(order.loyalty_points_earned).toBe(25); // $1 = 1 point
+      expect(order.loyalty_points_earned).toBe(19); // $1 = 1 point
+    });
+
+    it('should price orders from the menu instead of client totals', async () => {
+      const orderData = {
+        location_id: testLocation.id,
+        order_type: 'pickup',
+        subtotal: 1.00,
+        tax_amount: 0.80,
+        total_amount: 1.80,
+        items: [{ menu_item_id: testMenuItem.id, quantity: 2, unit_price: 0.50, subtotal: 1.00 }]
+      };
+
+      const order = await CustomerPortalService.createOnlineOrder(orderData, testCustomer.id);
+
+      expect(parseFloat(order.subtotal)).toBe(19.98);
+      expect(parseFloat(order.tax_amount)).toBe(0);
+      expect(parseFloat(order.total_amount)).toBe(19.98);
+      expect(parseFloat(order.items[0].unit_price)).toBe(9.99);
+    });
+
+    it('should ignore client discounts and reject negative tips or fees', async () => {
+      const orderData = {
+        location_id: testLocation.id,
+        order_type: 'pickup',
+        discount_amount: 9999,
+        items: [{ menu_item_id: testMenuItem.id, quantity: 1 }]
+      };
+
+      const order = await CustomerPortalService.createOnlineOrder(orderData, testCustomer.id);
+      expect(parseFloat(order.discount_amount)).toBe(0);
+      expect(parseFloat(order.total_amount)).toBe(9.99);
+
+      await expect(CustomerPortalService.createOnlineOrder({ ...orderData, tip_amount: -20 }, testCustomer.id))
+        .rejects.toMatchObject({ status: 400, message: 'tip_amount must be a non-negative amount' });
+      await expect(CustomerPortalService.priceOrder({ ...orderData, delivery_fee: 'free' }, testCustomer.id))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should discount orders with a valid promotion code', async () => {
+      await pool.query(`
+        INSERT INTO promotions (promotion_code, promotion_name, promotion_type, discount_percentage, valid_from, valid_until)
+        VALUES ('TENOFF', '10% off', 'percentage_off', 10, NOW() - INTERVAL '1 day', NOW() + INTERVAL '1 day')
+      `);
+      const orderData = {
+        location_id: testLocation.id,
+        order_type: 'pickup',
+        promotion_code: 'TENOFF',
+        items: [{ menu_item_id: testMenuItem.id, quantity: 2 }]
+      };
+
+      const order = await CustomerPortalService.createOnlineOrder(orderData, testCustomer.id);
+      expect(parseFloat(order.discount_amount)).toBe(2);
+      expect(parseFloat(order.total_amount)).toBe(17.98);
+
+      await expect(CustomerPortalService.priceOrder({ ...orderData, promotion_code: 'NOPE' }, testCustomer.id))
+        .rejects.toMatchObject({ status: 400, message: 'Invalid or expired promotion code' });
     });
 
     it('should get customer order history', async () => {
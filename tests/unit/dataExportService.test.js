@@ -0,0 +1,143 @@
+/**
+ * DataExportService Unit Tests
+ * XLSX workbooks and PDF rendering of export datasets
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const DataExportService = require('../../src/services/DataExportService');
+
+// Column keys are not stored in the file, so look cells up by header text
+const cellByHeader = (sheet, rowNumber, header) => {
+  let column = null;
+  sheet.getRow(1).eachCell((cell, columnNumber) => {
+    if (cell.value === header) column = columnNumber;
+  });
+  return sheet.getRow(rowNumber).getCell(column);
+};
+
+describe('DataExportService file generation', () => {
+  let tmpDir;
+
+  const laborRows = [
+    {
+      id: 'labor-1',
+      shift_date: new Date(2024, 2, 5),
+      employee_name: 'Alice Cook',
+      position: 'Line Cook',
+      clock_in: new Date(2024, 2, 5, 9, 0),
+      clock_out: new Date(2024, 2, 5, 19, 30),
+      total_hours: '10.00',
+      hourly_rate: '18.00',
+      overtime_hours: '2.00',
+      overtime_cost: '54.00',
+      total_cost: '198.00',
+      status: 'active',
+      location_name: 'Downtown'
+    },
+    {
+      id: 'labor-2',
+      shift_date: '2024-03-06',
+      employee_name: 'Bob Cashier',
+      position: 'Cashier',
+      clock_in: new Date(2024, 2, 6, 11, 0),
+      clock_out: null,
+      total_hours: null,
+      hourly_rate: '15.50',
+      overtime_hours: '0',
+      overtime_cost: '0',
+      total_cost: null,
+      status: 'active',
+      location_name: 'Downtown'
+    }
+  ];
+
+  const temperatureRows = [
+    { id: 't1', equipment_name: 'Walk-in', equipment_type: 'refrigerator', temperature: '38.5', recorded_at: new Date(2024, 2, 5, 8, 0), is_within_range: true },
+    { id: 't2', equipment_name: 'Walk-in', equipment_type: 'refrigerator', temperature: '45.0', recorded_at: new Date(2024, 2, 5, 14, 0), is_within_range: false }
+  ];
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pattyshack-export-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes a workbook with a summary sheet, typed cells and frozen headers', async () => {
+    const filePath = path.join(tmpDir, 'labor.xlsx');
+    await DataExportService.generateXLSX([{ type: 'labor', rows: laborRows }], filePath, {
+      exportType: 'labor',
+      filters: { startDate: '2024-03-01', endDate: '2024-03-07' }
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Labor']);
+
+    const sheet = workbook.getWorksheet('Labor');
+    expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+    expect(sheet.getRow(1).getCell(1).value).toBe('Date');
+
+    expect(cellByHeader(sheet, 2, 'Total Cost').value).toBe(198);
+    expect(cellByHeader(sheet, 2, 'Total Cost').numFmt).toBe('"$"#,##0.00');
+    expect(cellByHeader(sheet, 2, 'Date').value).toEqual(new Date(Date.UTC(2024, 2, 5)));
+    expect(cellByHeader(sheet, 2, 'Clock Out').value).toEqual(new Date(Date.UTC(2024, 2, 5, 19, 30)));
+    expect(cellByHeader(sheet, 3, 'Date').value).toEqual(new Date(Date.UTC(2024, 2, 6)));
+    expect(cellByHeader(sheet, 3, 'Total Cost').value).toBeNull();
+
+    const summary = {};
+    workbook.getWorksheet('Summary').eachRow((row, rowNumber) => {
+      if (rowNumber > 1) summary[row.getCell(1).value] = row.getCell(2).value;
+    });
+    expect(summary['Labor rows']).toBe(2);
+    expect(summary['Total total cost']).toBe(198);
+    expect(summary['Total ot hours']).toBe(2);
+  });
+
+  it('bundles every dataset into one workbook for the all export', async () => {
+    const filePath = path.join(tmpDir, 'all.xlsx');
+    await DataExportService.generateXLSX([
+      { type: 'labor', rows: laborRows },
+      { type: 'temperatures', rows: temperatureRows }
+    ], filePath, { exportType: 'all' });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Labor', 'Temperature Logs']);
+    const temps = workbook.getWorksheet('Temperature Logs');
+    expect(cellByHeader(temps, 3, 'In Range').value).toBe(false);
+    expect(temps.getRow(3).font.bold).toBe(true);
+  });
+
+  it('renders a PDF', async () => {
+    const filePath = path.join(tmpDir, 'temperatures.pdf');
+    await DataExportService.generatePDF([{ type: 'temperatures', rows: temperatureRows }], filePath, {
+      exportType: 'temperatures'
+    });
+
+    const content = fs.readFileSync(filePath);
+    expect(content.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(content.length).toBeGreaterThan(1000);
+  });
+
+  it('rejects multi-dataset CSV exports', async () => {
+    await expect(DataExportService.generateExportFile([
+      { type: 'labor', rows: [] },
+      { type: 'sales', rows: [] }
+    ], 'csv', 'all')).rejects.toThrow('CSV exports contain a single dataset');
+  });
+
+  it('formats PDF cells by column type', () => {
+    expect(DataExportService.formatCell('1234.5', 'currency')).toBe('$1,234.50');
+    expect(DataExportService.formatCell(false, 'boolean')).toBe('No');
+    expect(DataExportService.formatCell('2024-03-05', 'date')).toBe('2024-03-05');
+    expect(DataExportService.formatCell('09:30:00', 'time')).toBe('09:30');
+    expect(DataExportService.formatCell(null, 'number')).toBe('');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Data Import Unit Tests
+ * File parsing, column mapping, row validation and which existing records an
+ * import may update
+ */
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const DataImportService = require('../../src/services/DataImportService');
+const {
+  IMPORT_DEFINITIONS,
+  parseCsv,
+  parseImportFile,
+  resolveColumnMapping,
+  validateRecord
+} = require('../../src/utils/dataImport');
+
+describe('dataImport', () => {
+  it('parses quoted CSV fields, escaped quotes and embedded newlines', () => {
+    const rows = parseCsv('\uFEFFsku,name\r\n"A-1","Tomatoes, ""Roma"""\n\nB-2,"Two\nlines"\n');
+
+    expect(rows).toEqual([
+      ['sku', 'name'],
+      ['A-1', 'Tomatoes, "Roma"'],
+      ['B-2', 'Two\nlines']
+    ]);
+  });
+
+  it('rejects unterminated quotes', () => {
+    expect(() => parseCsv('sku,name\n"A-1,Tomatoes')).toThrow('unterminated');
+  });
+
+  it('parses JSON arrays and { rows } objects into records', () => {
+    const fromArray = parseImportFile(JSON.stringify([{ sku: 'A-1' }, { sku: 'B-2', name: 'Basil' }]), 'json');
+    expect(fromArray.columns).toEqual(['sku', 'name']);
+    expect(fromArray.records).toHaveLength(2);
+
+    const fromObject = parseImportFile(Buffer.from(JSON.stringify({ rows: [{ sku: 'A-1' }] })), 'json');
+    expect(fromObject.records).toEqual([{ sku: 'A-1' }]);
+
+    expect(() => parseImportFile('{"sku":"A-1"}', 'json')).toThrow('array of objects');
+  });
+
+  it('auto-maps normalized column names and honours explicit mappings', () => {
+    const definition = IMPORT_DEFINITIONS.inventory;
+    const mapping = resolveColumnMapping(definition, ['Item Code', 'Name', 'Unit Cost'], { sku: 'Item Code' });
+
+    expect(mapping).toEqual({ sku: 'Item Code', name: 'Name', unit_cost: 'Unit Cost' });
+  });
+
+  it('requires a column for every required field', () => {
+    expect(() => resolveColumnMapping(IMPORT_DEFINITIONS.inventory, ['Name'])).toThrow('sku');
+    expect(() => resolveColumnMapping(IMPORT_DEFINITIONS.inventory, ['sku', 'name'], { sku: 'Code' })).toThrow('not in the file');
+  });
+
+  it('coerces values and reports per-field errors', () => {
+    const definition = IMPORT_DEFINITIONS.menu_items;
+    const mapping = resolveColumnMapping(definition, ['sku', 'name', 'base_price', 'allergens', 'is_available']);
+
+    const valid = validateRecord(definition, {
+      sku: ' M-1 ', name: 'Burger', base_price: '$12.50', allergens: 'gluten; dairy', is_available: 'Yes'
+    }, mapping);
+    expect(valid.errors).toEqual([]);
+    expect(valid.values).toEqual({
+      sku: 'M-1', name: 'Burger', base_price: 12.5, allergens: ['gluten', 'dairy'], is_available: true
+    });
+
+    const invalid = validateRecord(definition, {
+      sku: 'M-2', name: '', base_price: 'free', allergens: '', is_available: 'maybe'
+    }, mapping);
+    expect(invalid.errors.map(error => error.field)).toEqual(['name', 'base_price', 'is_available']);
+  });
+
+  it('validates enums and dates for equipment', () => {
+    const definition = IMPORT_DEFINITIONS.equipment;
+    const mapping = resolveColumnMapping(definition, ['serial_number', 'name', 'equipment_type', 'install_date']);
+
+    const { values, errors } = validateRecord(definition, {
+      serial_number: 'SN-1', name: 'Walk-in', equipment_type: 'Walk In Cooler', install_date: '2024-03-01'
+    }, mapping);
+    expect(errors).toEqual([]);
+    expect(values.equipment_type).toBe('walk_in_cooler');
+    expect(values.install_date).toBe('2024-03-01');
+
+    const bad = validateRecord(definition, {
+      serial_number: 'SN-2', name: 'Oven', equipment_type: 'oven', install_date: 'soon'
+    }, mapping);
+    expect(bad.errors.map(error => error.field)).toEqual(['equipment_type', 'install_date']);
+  });
+
+  describe('updating existing records', () => {
+    const client = { query: jest.fn() };
+    const upsert = (importType, accessible, current, values = { email: 'sam@example.com', role: 'manager', phone: null }) => {
+      client.query.mockResolvedValue({ rows: current ? [current] : [] });
+      const row = { rowNumber: 1, values };
+      return DataImportService.upsertRow(client, IMPORT_DEFINITIONS[importType], { id: 'import-1', location_id: 'loc-1', accessible }, row);
+    };
+    const updates = () => client.query.mock.calls.filter(([sql]) => sql.startsWith('UPDATE'));
+
+    it('only updates employees at a reachable location who hold an importable role', async () => {
+      await expect(upsert('employees', ['loc-1'], { id: 'u1', email: 'sam@example.com', role: 'crew', location_id: 'loc-1' }))
+        .resolves.toBe('updated');
+      expect(updates()).toHaveLength(1);
+
+      client.query.mockClear();
+      await expect(upsert('employees', ['loc-1'], { id: 'u2', email: 'sam@example.com', role: 'crew', location_id: 'loc-2' }))
+        .rejects.toThrow('belongs to a location you do not have access to');
+      await expect(upsert('employees', null, { id: 'u3', email: 'sam@example.com', role: 'corporate', location_id: 'loc-1' }))
+        .rejects.toThrow('has the corporate role and cannot be updated by an import');
+      expect(updates()).toHaveLength(0);
+    });
+
+    it('only lets corporate users update shared vendors', async () => {
+      const vendor = { id: 'v1', email: 'orders@sysco.example', name: 'Sysco' };
+      const values = { email: 'orders@sysco.example', name: 'Sysco', payment_terms: 'Net 60' };
+
+      await expect(upsert('vendors', ['loc-1'], vendor, values)).rejects.toMatchObject({ status: 403 });
+      await expect(upsert('vendors', null, vendor, values)).resolves.toBe('updated');
+      await expect(upsert('vendors', ['loc-1'], null, values)).resolves.toBe('created');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Document Expiry Unit Tests
+ * Reminder thresholds, escalation stages and version diffs
+ */
+
+const { expiryReminderDays, reminderStage, diffVersions } = require('../../src/utils/documentExpiry');
+
+describe('documentExpiry', () => {
+  it('derives reminder thresholds from the document lead time', () => {
+    expect(expiryReminderDays(30)).toEqual([30, 14, 7, 1]);
+    expect(expiryReminderDays(60)).toEqual([60, 14, 7, 1]);
+    expect(expiryReminderDays(10)).toEqual([10, 7, 1]);
+    expect(expiryReminderDays(null)).toEqual([30, 14, 7, 1]);
+  });
+
+  it('escalates from notice to warning to expired', () => {
+    const days = expiryReminderDays(30);
+    expect(reminderStage(45, days)).toBeNull();
+    expect(reminderStage(30, days)).toEqual({ days_before: 30, escalation: 'notice' });
+    expect(reminderStage(12, days)).toEqual({ days_before: 14, escalation: 'notice' });
+    expect(reminderStage(5, days)).toEqual({ days_before: 7, escalation: 'warning' });
+    expect(reminderStage(0, days)).toEqual({ days_before: 1, escalation: 'warning' });
+    expect(reminderStage(-1, days)).toEqual({ days_before: 0, escalation: 'expired' });
+    expect(reminderStage(null, days)).toBeNull();
+  });
+
+  it('diffs file fields and metadata snapshots between versions', () => {
+    const changes = diffVersions(
+      {
+        file_name: 'health-permit-2025.pdf',
+        file_size: 1200,
+        mime_type: 'application/pdf',
+        metadata: { title: 'Health Permit', expiration_date: '2026-01-31', description: null }
+      },
+      {
+        file_name: 'health-permit-2026.pdf',
+        file_size: 1200,
+        mime_type: 'application/pdf',
+        metadata: { title: 'Health Permit', expiration_date: '2027-01-31', permit_number: 'HP-4471' }
+      }
+    );
+
+    expect(changes).toEqual([
+      { field: 'file_name', from: 'health-permit-2025.pdf', to: 'health-permit-2026.pdf' },
+      { field: 'metadata.expiration_date', from: '2026-01-31', to: '2027-01-31' },
+      { field: 'metadata.permit_number', from: null, to: 'HP-4471' }
+    ]);
+  });
+});
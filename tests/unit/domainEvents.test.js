@@ -0,0 +1,85 @@
+/**
+ * Domain Events Unit Tests
+ * Event catalog validation, envelopes, realtime rooms and bus dispatch
+ */
+
+const {
+  EVENT_TYPES,
+  describeCatalog,
+  validateEvent,
+  buildEvent,
+  realtimeRooms
+} = require('../../src/utils/domainEvents');
+const EventBus = require('../../src/services/EventBus');
+
+describe('domainEvents', () => {
+  const taskData = { taskId: 'task-1', title: 'Close checklist', locationId: 'loc-1', completedBy: 'user-1' };
+
+  it('describes every published event with a version and its fields', () => {
+    expect(EVENT_TYPES).toEqual([
+      'task.completed',
+      'temperature.out_of_range',
+      'inventory.low_stock',
+      'invoice.approved',
+      'order.status_changed',
+      'shift.clocked_in'
+    ]);
+
+    const task = describeCatalog().find(entry => entry.type === 'task.completed');
+    expect(task.version).toBe(1);
+    expect(task.fields).toContainEqual({ name: 'taskId', description: 'Task id', required: true });
+    expect(task.fields).toContainEqual(expect.objectContaining({ name: 'assignedTo', required: false }));
+  });
+
+  it('rejects unknown types, missing required fields and fields outside the catalog', () => {
+    expect(validateEvent('task.completed', taskData)).toBeNull();
+    expect(validateEvent('task.deleted', taskData)).toBe('Unknown event type task.deleted');
+    expect(validateEvent('task.completed', { title: 'x' })).toBe('task.completed is missing taskId');
+    expect(validateEvent('task.completed', { ...taskData, secret: 1 })).toMatch('not in the catalog: secret');
+  });
+
+  it('wraps payloads in a versioned envelope and routes them to realtime rooms', () => {
+    const event = buildEvent('task.completed', taskData, { actorId: 'user-1', occurredAt: '2026-01-15T08:30:00Z' });
+
+    expect(event).toMatchObject({
+      type: 'task.completed',
+      version: 1,
+      occurred_at: '2026-01-15T08:30:00.000Z',
+      location_id: 'loc-1',
+      actor_id: 'user-1',
+      data: taskData
+    });
+    expect(event.id).toMatch(/^evt_/);
+    expect(realtimeRooms(event)).toEqual([
+      { roomType: 'location', roomId: 'loc-1' },
+      { roomType: 'task', roomId: 'task-1' }
+    ]);
+    expect(() => buildEvent('task.completed', {})).toThrow('missing taskId, title');
+  });
+
+  it('dispatches to matching subscribers and isolates their failures', async () => {
+    const received = [];
+    const unsubscribeAll = EventBus.subscribe('all', '*', event => received.push(`all:${event.type}`));
+    const unsubscribeTasks = EventBus.subscribe('tasks', 'task.completed', () => {
+      throw new Error('endpoint down');
+    });
+    const unsubscribeOrders = EventBus.subscribe('orders', ['order.status_changed'], event => received.push(event.type));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const results = await EventBus.dispatch(buildEvent('task.completed', taskData));
+
+      expect(received).toEqual(['all:task.completed']);
+      expect(results).toEqual([
+        { subscriber: 'all', success: true },
+        { subscriber: 'tasks', success: false, error: 'endpoint down' }
+      ]);
+      expect(EventBus.publish('task.completed', {})).toBeNull();
+    } finally {
+      errorSpy.mockRestore();
+      unsubscribeAll();
+      unsubscribeTasks();
+      unsubscribeOrders();
+    }
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Fiscal Periods Unit Tests
+ * Period calendars, posting locks, status transitions and closing lines
+ */
+
+const {
+  buildMonthlyPeriods,
+  canPostToPeriod,
+  transitionError,
+  buildClosingLines
+} = require('../../src/utils/fiscalPeriods');
+
+describe('fiscalPeriods', () => {
+  it('builds calendar and offset fiscal years named for their end year', () => {
+    const calendar = buildMonthlyPeriods(2026);
+    expect(calendar).toHaveLength(12);
+    expect(calendar[0]).toEqual({ period_number: 1, period_name: 'January 2026', start_date: '2026-01-01', end_date: '2026-01-31' });
+    expect(calendar[1].end_date).toBe('2026-02-28');
+    expect(calendar[11].end_date).toBe('2026-12-31');
+
+    const july = buildMonthlyPeriods(2026, 7);
+    expect(july[0]).toMatchObject({ period_name: 'July 2025', start_date: '2025-07-01' });
+    expect(july[11]).toMatchObject({ period_name: 'June 2026', end_date: '2026-06-30' });
+  });
+
+  it('only lets adjusting entries into soft-closed periods and nothing into hard-closed ones', () => {
+    expect(canPostToPeriod('open', 'manual')).toBe(true);
+    expect(canPostToPeriod('soft_closed', 'manual')).toBe(false);
+    expect(canPostToPeriod('soft_closed', 'adjusting')).toBe(true);
+    expect(canPostToPeriod('hard_closed', 'adjusting')).toBe(false);
+  });
+
+  it('rejects invalid status transitions', () => {
+    expect(transitionError('open', 'soft_closed')).toBeNull();
+    expect(transitionError('open', 'hard_closed')).toBeNull();
+    expect(transitionError('soft_closed', 'hard_closed')).toBeNull();
+    expect(transitionError('hard_closed', 'open')).toBeNull();
+    expect(transitionError('hard_closed', 'soft_closed')).toMatch('must be reopened');
+    expect(transitionError('open', 'open')).toBe('Period is already open');
+  });
+
+  it('closes revenue and expense balances into retained earnings per location', () => {
+    const { lines, net_income } = buildClosingLines([
+      { account_id: 'sales', account_type: 'revenue', location_id: 'loc-1', debit: '0', credit: '1000.00' },
+      { account_id: 'payroll', account_type: 'expense', location_id: 'loc-1', debit: '600.00', credit: '0' },
+      { account_id: 'payroll', account_type: 'expense', location_id: 'loc-2', debit: '250.50', credit: '0' },
+      { account_id: 'cash', account_type: 'asset', location_id: 'loc-1', debit: '1000.00', credit: '0' }
+    ], 'retained');
+
+    expect(lines).toEqual([
+      { account_id: 'sales', location_id: 'loc-1', debit_amount: 1000, credit_amount: 0 },
+      { account_id: 'payroll', location_id: 'loc-1', debit_amount: 0, credit_amount: 600 },
+      { account_id: 'payroll', location_id: 'loc-2', debit_amount: 0, credit_amount: 250.5 },
+      { account_id: 'retained', location_id: 'loc-1', debit_amount: 0, credit_amount: 400 },
+      { account_id: 'retained', location_id: 'loc-2', debit_amount: 250.5, credit_amount: 0 }
+    ]);
+    expect(net_income).toBe(149.5);
+
+    const debits = lines.reduce((sum, line) => sum + line.debit_amount, 0);
+    const credits = lines.reduce((sum, line) => sum + line.credit_amount, 0);
+    expect(debits).toBeCloseTo(credits, 2);
+  });
+});
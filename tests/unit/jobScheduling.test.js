@@ -0,0 +1,70 @@
+/**
+ * Job Scheduling Unit Tests
+ * Missed-run policies for cron job definitions
+ */
+
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: async () => ({ rows: [] }), connect: async () => ({ query: async () => ({ rows: [] }), release() {} }) })
+}));
+
+const JobService = require('../../src/services/JobService');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+describe('JobService.planScheduledRuns', () => {
+  const every5Minutes = {
+    schedule_cron: '*/5 * * * *',
+    timezone: 'UTC',
+    misfire_grace_seconds: 300
+  };
+
+  it('runs the latest missed run once by default', () => {
+    const plan = JobService.planScheduledRuns(
+      { ...every5Minutes, next_run_at: '2025-01-01T00:00:00Z' },
+      new Date('2025-01-01T00:17:00Z')
+    );
+
+    expect(iso(plan.runs)).toEqual(['2025-01-01T00:15:00.000Z']);
+    expect(plan.skipped).toBe(3);
+    expect(plan.nextRunAt.toISOString()).toBe('2025-01-01T00:20:00.000Z');
+  });
+
+  it('catches up on the most recent runs after a long outage', () => {
+    // 30 days of every-minute runs is far more than the run search cap
+    const plan = JobService.planScheduledRuns({
+      ...every5Minutes,
+      schedule_cron: '* * * * *',
+      missed_run_policy: 'catch_up',
+      max_catch_up_runs: 3,
+      next_run_at: '2025-01-01T00:00:00Z'
+    }, new Date('2025-01-31T12:00:30Z'));
+
+    expect(iso(plan.runs)).toEqual([
+      '2025-01-31T11:58:00.000Z',
+      '2025-01-31T11:59:00.000Z',
+      '2025-01-31T12:00:00.000Z'
+    ]);
+    expect(plan.skipped).toBeGreaterThan(0);
+  });
+
+  it('still runs a skip-policy job that is due now after a long outage', () => {
+    const longOutage = { ...every5Minutes, schedule_cron: '* * * * *', missed_run_policy: 'skip', next_run_at: '2025-01-01T00:00:00Z' };
+
+    expect(iso(JobService.planScheduledRuns(longOutage, new Date('2025-01-31T12:00:30Z')).runs))
+      .toEqual(['2025-01-31T12:00:00.000Z']);
+
+    // Nothing inside the grace window: every missed run is skipped
+    const daily = { ...every5Minutes, schedule_cron: '0 3 * * *', missed_run_policy: 'skip', next_run_at: '2025-01-01T03:00:00Z' };
+    expect(JobService.planScheduledRuns(daily, new Date('2025-01-31T12:00:00Z')).runs).toEqual([]);
+  });
+
+  it('includes next_run_at itself when it is the only run due', () => {
+    const plan = JobService.planScheduledRuns(
+      { ...every5Minutes, missed_run_policy: 'catch_up', next_run_at: '2025-01-01T00:05:00Z' },
+      new Date('2025-01-01T00:06:00Z')
+    );
+
+    expect(iso(plan.runs)).toEqual(['2025-01-01T00:05:00.000Z']);
+    expect(plan.skipped).toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Menu Availability Unit Tests
+ * Dayparts, seasonal menu windows, location overrides and effective prices
+ */
+
+const {
+  localMoment,
+  isDaypartActive,
+  activeDayparts,
+  resolveMenuItem
+} = require('../../src/utils/menuAvailability');
+
+const DAYPARTS = [
+  { name: 'breakfast', start_time: '06:00:00', end_time: '10:30:00', location_id: null },
+  { name: 'lunch', start_time: '10:30:00', end_time: '15:00:00', location_id: null },
+  { name: 'late_night', start_time: '22:00:00', end_time: '02:00:00', location_id: null }
+];
+
+const at = (date, time, dayOfWeek) => ({ date, time, dayOfWeek });
+
+describe('menuAvailability', () => {
+  it('converts instants to the location wall clock', () => {
+    expect(localMoment('2026-10-19T12:30:00Z', 'America/Chicago'))
+      .toEqual({ date: '2026-10-19', time: '07:30:00', dayOfWeek: 1 });
+    expect(localMoment('2026-10-20T03:00:00Z', 'America/Los_Angeles'))
+      .toEqual({ date: '2026-10-19', time: '20:00:00', dayOfWeek: 1 });
+  });
+
+  it('serves late night past midnight as the previous day', () => {
+    const lateNight = { ...DAYPARTS[2], days_of_week: [5, 6] };
+    expect(isDaypartActive(lateNight, at('2026-10-24', '01:00:00', 6))).toBe(true);
+    expect(isDaypartActive(lateNight, at('2026-10-25', '01:00:00', 0))).toBe(true);
+    expect(isDaypartActive(lateNight, at('2026-10-26', '01:00:00', 1))).toBe(false);
+    expect(isDaypartActive(lateNight, at('2026-10-25', '23:00:00', 0))).toBe(false);
+  });
+
+  it('lets location dayparts replace global ones', () => {
+    const dayparts = [...DAYPARTS, { name: 'breakfast', start_time: '05:00:00', end_time: '11:00:00', location_id: 'loc-1' }];
+    expect(activeDayparts(dayparts, at('2026-10-19', '10:45:00', 1))).toEqual(['breakfast', 'lunch']);
+    expect(activeDayparts(DAYPARTS, at('2026-10-19', '05:30:00', 1))).toEqual([]);
+  });
+
+  describe('resolveMenuItem', () => {
+    const item = { id: 'item-1', base_price: '9.50', is_available: true, dayparts: null };
+    const menu = { id: 'sm-1', name: 'Fall Favorites', menu_type: 'seasonal', start_date: '2026-09-01', end_date: '2026-11-30' };
+    const lunchTime = at('2026-10-19', '12:00:00', 1);
+
+    it('sells core items all day at the base price', () => {
+      expect(resolveMenuItem(item, { moment: lunchTime, active: ['lunch'] }))
+        .toEqual({ available: true, reason: null, price: 9.5, seasonal_menu: null });
+    });
+
+    it('limits daypart items to their dayparts', () => {
+      const breakfastItem = { ...item, dayparts: ['breakfast'] };
+      expect(resolveMenuItem(breakfastItem, { moment: lunchTime, active: ['lunch'] }).reason).toBe('outside_daypart');
+      expect(resolveMenuItem(breakfastItem, {
+        moment: lunchTime,
+        active: ['lunch'],
+        location: { dayparts: ['breakfast', 'lunch'] }
+      }).available).toBe(true);
+    });
+
+    it('sells seasonal items only while their menu runs, at the seasonal price', () => {
+      const seasonal = [{ menu, entry: { price_override: '7.25', dayparts: null }, override: null }];
+
+      expect(resolveMenuItem(item, { moment: lunchTime, active: ['lunch'], seasonal })).toEqual({
+        available: true,
+        reason: null,
+        price: 7.25,
+        seasonal_menu: { id: 'sm-1', name: 'Fall Favorites', menu_type: 'seasonal' }
+      });
+      expect(resolveMenuItem(item, { moment: at('2026-12-01', '12:00:00', 2), active: ['lunch'], seasonal }).reason)
+        .toBe('out_of_season');
+    });
+
+    it('applies location date overrides and opt-outs to seasonal menus', () => {
+      const entry = { price_override: null, dayparts: null };
+      const delayed = [{ menu, entry, override: { start_date: '2026-10-20' } }];
+      const excluded = [{ menu, entry, override: { is_excluded: true } }];
+
+      expect(resolveMenuItem(item, { moment: lunchTime, active: ['lunch'], seasonal: delayed }).reason).toBe('out_of_season');
+      expect(resolveMenuItem(item, { moment: lunchTime, active: ['lunch'], seasonal: excluded }).reason).toBe('out_of_season');
+    });
+
+    it('distinguishes daypart menus out of their hours from menus out of season', () => {
+      const seasonal = [{ menu: { ...menu, dayparts: ['late_night'] }, entry: { dayparts: null }, override: null }];
+      expect(resolveMenuItem(item, { moment: lunchTime, active: ['lunch'], seasonal }).reason).toBe('outside_daypart');
+    });
+
+    it('prefers location prices and honours location availability', () => {
+      const seasonal = [{ menu, entry: { price_override: '7.25', dayparts: null }, override: null }];
+      expect(resolveMenuItem(item, { moment: lunchTime, active: [], seasonal, location: { price_override: '8.00' } }).price)
+        .toBe(8);
+      expect(resolveMenuItem(item, { moment: lunchTime, active: [], location: { is_available: false } }).reason)
+        .toBe('unavailable_at_location');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Notification Transport Unit Tests
+ * Transport selection, file delivery, HTTP error classification, webhook parsing
+ * and delivery logging
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const { createTransport, resolveTransportKey } = require('../../src/services/transports');
+const NotificationDeliveryService = require('../../src/services/NotificationDeliveryService');
+
+const buildProvider = (providerName, settings = {}, providerType = 'email') => ({
+  id: `np-${providerName}`,
+  provider_name: providerName,
+  provider_type: providerType,
+  config: settings
+});
+
+describe('Notification transports', () => {
+  it('resolves transports from config.transport or the provider name', () => {
+    expect(resolveTransportKey(buildProvider('console-email', { transport: 'console' }))).toBe('console');
+    expect(resolveTransportKey(buildProvider('sendgrid'))).toBe('http');
+    expect(createTransport(buildProvider('carrier-pigeon'))).toBeNull();
+  });
+
+  describe('file transport', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('writes each message to the outbox directory', async () => {
+      const transport = createTransport(buildProvider('outbox', { transport: 'file', directory }));
+      const { messageId } = await transport.sendEmail({
+        to: 'manager@example.com',
+        from: 'noreply@pattyshack.com',
+        subject: 'Walk-in cooler at 45°F',
+        text: 'Check the cooler'
+      });
+
+      const written = JSON.parse(fs.readFileSync(path.join(directory, `${messageId}.json`), 'utf8'));
+      expect(written).toMatchObject({ channel: 'email', to: 'manager@example.com', subject: 'Walk-in cooler at 45°F' });
+    });
+  });
+
+  describe('HTTP transport', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('returns the SendGrid message id header', async () => {
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ headers: { 'x-message-id': 'sg-123' }, data: '' });
+      const transport = createTransport(buildProvider('sendgrid'), { apiKey: 'SG.key' });
+
+      const result = await transport.sendEmail({ id: 'eq-1', to: 'a@example.com', from: 'b@example.com', subject: 'Hi', text: 'Hello' });
+
+      expect(result.messageId).toBe('sg-123');
+      expect(post.mock.calls[0][0]).toBe('https://api.sendgrid.com/v3/mail/send');
+      expect(post.mock.calls[0][2].headers.Authorization).toBe('Bearer SG.key');
+    });
+
+    it('treats client errors as permanent and throttling as transient', async () => {
+      const transport = createTransport(buildProvider('twilio', {}, 'sms'), { apiKey: 'AC1', apiSecret: 'secret' });
+      const failWith = status => jest.spyOn(axios, 'post').mockRejectedValueOnce({ response: { status, data: {} } });
+
+      failWith(400);
+      await expect(transport.sendSMS({ to: '+15550001', from: '+15550002', body: 'x' }))
+        .rejects.toMatchObject({ permanent: true });
+
+      failWith(429);
+      await expect(transport.sendSMS({ to: '+15550001', from: '+15550002', body: 'x' }))
+        .rejects.toMatchObject({ permanent: false });
+    });
+
+    it('normalizes SendGrid event webhooks', () => {
+      const transport = createTransport(buildProvider('sendgrid'));
+      const events = transport.parseWebhook([
+        { event: 'delivered', sg_event_id: 'e1', sg_message_id: 'sg-123.filter0001.1', email: 'a@example.com', timestamp: 1709600000 },
+        { event: 'bounce', type: 'bounce', sg_event_id: 'e2', sg_message_id: 'sg-124.filter0001.1', reason: '550 no mailbox' },
+        { event: 'spamreport', sg_event_id: 'e3', sg_message_id: 'sg-125.filter0001.1' },
+        { event: 'processed', sg_event_id: 'e4', sg_message_id: 'sg-126.filter0001.1' }
+      ]);
+
+      expect(events.map(event => event.eventType)).toEqual(['delivered', 'bounced', 'complained']);
+      expect(events[0]).toMatchObject({ providerMessageId: 'sg-123', occurredAt: '2024-03-05T00:53:20.000Z' });
+      expect(events[1]).toMatchObject({ bounceType: 'hard', reason: '550 no mailbox' });
+    });
+
+    it('normalizes Twilio status callbacks', () => {
+      const transport = createTransport(buildProvider('twilio', {}, 'sms'));
+
+      expect(transport.parseWebhook({ MessageSid: 'SM1', MessageStatus: 'sent' })).toEqual([]);
+      expect(transport.parseWebhook({ MessageSid: 'SM1', MessageStatus: 'undelivered', ErrorCode: '30003' })[0])
+        .toMatchObject({ eventType: 'failed', providerEventId: 'SM1:undelivered', reason: 'Twilio error 30003' });
+    });
+  });
+
+  describe('webhook verification', () => {
+    const transport = createTransport(buildProvider('relay', { transport: 'smtp', webhookSecret: 's3cret' }));
+
+    it('requires the configured token as a header or query parameter', () => {
+      expect(transport.verifyWebhook({ 'x-webhook-token': 's3cret' })).toBe(true);
+      expect(transport.verifyWebhook({}, { token: 's3cret' })).toBe(true);
+      expect(transport.verifyWebhook({ 'x-webhook-token': 'wrong' })).toBe(false);
+      expect(transport.verifyWebhook({})).toBe(false);
+    });
+
+    it('rejects every webhook when no secret is configured', () => {
+      const unconfigured = createTransport(buildProvider('relay', { transport: 'smtp' }));
+
+      expect(unconfigured.verifyWebhook({})).toBe(false);
+      expect(unconfigured.verifyWebhook({ 'x-webhook-token': 'anything' }, { token: 'anything' })).toBe(false);
+    });
+
+    it('parses the transport-neutral event format', () => {
+      const [event] = transport.parseWebhook({
+        events: [{ event: 'opened', id: 'evt-1', messageId: '<abc@relay>', timestamp: '2024-03-05T12:00:00Z' }]
+      });
+
+      expect(event).toMatchObject({ eventType: 'opened', providerEventId: 'evt-1', providerMessageId: '<abc@relay>' });
+    });
+  });
+
+  describe('delivery logging', () => {
+    it('logs queue ids rather than recipients', async () => {
+      mockQuery.mockResolvedValue({ rows: [], rowCount: 1 });
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const provider = buildProvider('console-email', { transport: 'console' });
+
+      await NotificationDeliveryService.markSent('email', { id: 'eq-1', to_email: 'jo@example.com' }, provider, 'msg-1');
+      await NotificationDeliveryService.markFailed('sms', { id: 'sq-1', to_phone: '+15555550123', max_retries: 0 }, provider,
+        new Error('Provider unavailable'));
+      await NotificationDeliveryService.unsubscribeEmail('jo@example.com');
+
+      const output = [...log.mock.calls, ...warn.mock.calls, ...error.mock.calls].flat().join('\n');
+      expect(output).toContain('email eq-1');
+      expect(output).toContain('sms sq-1');
+      expect(output).toContain('j***@example.com');
+      expect(output).not.toContain('jo@example.com');
+      expect(output).not.toContain('+15555550123');
+    });
+  });
+});
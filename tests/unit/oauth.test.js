@@ -0,0 +1,210 @@
+/**
+ * OAuth Unit Tests
+ * PKCE, authorize URLs, token requests against a local mock authorization
+ * server, refresh timing, return URLs and completing a connect
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const oauthUtils = require('../../src/utils/oauth');
+const IntegrationsService = require('../../src/services/IntegrationsService');
+const {
+  generateCodeVerifier,
+  codeChallenge,
+  generateState,
+  buildAuthorizationUrl,
+  tokenSet,
+  requestToken,
+  refreshDue,
+  safeReturnUrl
+} = require('../../src/utils/oauth');
+
+/**
+ * Minimal authorization server: issues tokens for a code bound to a PKCE
+ * challenge, rotates refresh tokens and rejects anything it doesn't know
+ */
+const startMockAuthorizationServer = (expected) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const form = Object.fromEntries(new URLSearchParams(raw));
+      requests.push({ headers: req.headers, form });
+
+      const reply = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.url !== '/token') return reply(404, { error: 'not_found' });
+      if (form.grant_type === 'authorization_code') {
+        const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+        if (form.code !== expected.code || challenge !== expected.challenge) {
+          return reply(400, { error: 'invalid_grant', error_description: 'Code or verifier mismatch' });
+        }
+        return reply(200, { access_token: 'at-1', refresh_token: 'rt-1', token_type: 'bearer', expires_in: 3600, realm: 'r-9' });
+      }
+      if (form.grant_type === 'refresh_token' && form.refresh_token === 'rt-1') {
+        return reply(200, { access_token: 'at-2', expires_in: 3600 });
+      }
+      if (form.grant_type === 'refresh_token' && form.refresh_token === 'outage') {
+        return reply(503, { error: 'temporarily_unavailable' });
+      }
+      return reply(400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, tokenUrl: `http://127.0.0.1:${server.address().port}/token` });
+  });
+});
+
+describe('oauth', () => {
+  it('derives S256 challenges from random verifiers', () => {
+    const verifier = generateCodeVerifier();
+    expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateCodeVerifier()).not.toBe(verifier);
+    expect(generateState()).toMatch(/^[A-Za-z0-9_-]{32}$/);
+
+    // RFC 7636 appendix B
+    expect(codeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+      .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+
+  it('builds the authorize URL with PKCE, scopes and provider parameters', () => {
+    const url = new URL(buildAuthorizationUrl({
+      authorizeUrl: 'https://auth.example.com/authorize?tenant=common',
+      clientId: 'client-1',
+      scopes: ['sales.read', 'labor.read'],
+      extraParams: { access_type: 'offline', response_type: 'token' }
+    }, { state: 'st', verifier: 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk', redirectUri: 'https://app.example.com/cb' }));
+
+    expect(url.origin + url.pathname).toBe('https://auth.example.com/authorize');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      tenant: 'common',
+      access_type: 'offline',
+      response_type: 'code',
+      client_id: 'client-1',
+      redirect_uri: 'https://app.example.com/cb',
+      state: 'st',
+      code_challenge: 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM',
+      code_challenge_method: 'S256',
+      scope: 'sales.read labor.read'
+    });
+  });
+
+  it('normalizes token responses and keeps the previous refresh token', () => {
+    const now = new Date('2026-05-01T10:00:00Z');
+    expect(tokenSet({ access_token: 'a', refresh_token: 'r', expires_in: 600, merchant_id: 'm-1' }, { now })).toEqual({
+      merchant_id: 'm-1',
+      accessToken: 'a',
+      refreshToken: 'r',
+      tokenType: 'Bearer',
+      scope: null,
+      expiresAt: '2026-05-01T10:10:00.000Z'
+    });
+    expect(tokenSet({ access_token: 'b' }, { previous: { refreshToken: 'r', scope: 's' }, now }))
+      .toMatchObject({ refreshToken: 'r', scope: 's', expiresAt: null });
+    expect(() => tokenSet({ error: 'nope' })).toThrow('did not include an access_token');
+  });
+
+  it('exchanges a code and refreshes tokens against a mock authorization server', async () => {
+    const verifier = generateCodeVerifier();
+    const mock = await startMockAuthorizationServer({ code: 'code-1', challenge: codeChallenge(verifier) });
+    const client = { tokenUrl: mock.tokenUrl, clientId: 'client-1', clientSecret: 's3cret' };
+
+    try {
+      const tokens = await requestToken(client, {
+        grant_type: 'authorization_code', code: 'code-1', redirect_uri: 'https://app.example.com/cb', code_verifier: verifier
+      });
+      expect(tokens).toMatchObject({ accessToken: 'at-1', refreshToken: 'rt-1', tokenType: 'bearer', realm: 'r-9' });
+      expect(mock.requests[0].headers.authorization).toBe(`Basic ${Buffer.from('client-1:s3cret').toString('base64')}`);
+      expect(mock.requests[0].form.client_secret).toBeUndefined();
+
+      const refreshed = await requestToken({ ...client, authMethod: 'client_secret_post' },
+        { grant_type: 'refresh_token', refresh_token: 'rt-1' }, { previous: tokens });
+      expect(refreshed).toMatchObject({ accessToken: 'at-2', refreshToken: 'rt-1' });
+      expect(mock.requests[1].form).toMatchObject({ client_id: 'client-1', client_secret: 's3cret' });
+
+      await expect(requestToken(client, { grant_type: 'authorization_code', code: 'code-1', code_verifier: 'wrong' }))
+        .rejects.toMatchObject({ status: 400, code: 'invalid_grant', permanent: true });
+      await expect(requestToken(client, { grant_type: 'refresh_token', refresh_token: 'revoked' }))
+        .rejects.toThrow('invalid_grant: Refresh token revoked');
+      await expect(requestToken(client, { grant_type: 'refresh_token', refresh_token: 'outage' }))
+        .rejects.toMatchObject({ status: 503, permanent: false });
+    } finally {
+      await new Promise(resolve => mock.server.close(resolve));
+    }
+  });
+
+  it('refreshes inside the lead window and only redirects to the app origin', () => {
+    const now = new Date('2026-05-01T10:00:00Z');
+    expect(refreshDue('2026-05-01T10:10:00Z', 900, now)).toBe(true);
+    expect(refreshDue('2026-05-01T10:30:00Z', 900, now)).toBe(false);
+    expect(refreshDue(null, 900, now)).toBe(false);
+
+    const app = 'https://app.example.com';
+    expect(safeReturnUrl('/settings/integrations?tab=pos', app)).toBe('https://app.example.com/settings/integrations?tab=pos');
+    expect(safeReturnUrl('https://app.example.com/x', app)).toBe('https://app.example.com/x');
+    expect(safeReturnUrl('https://evil.example.net/x', app)).toBe('https://app.example.com/integrations');
+    expect(safeReturnUrl('//evil.example.net/x', app)).toBe('https://app.example.com/integrations');
+    expect(safeReturnUrl(undefined, app)).toBe('https://app.example.com/integrations');
+  });
+
+  describe('completeOAuthConnect', () => {
+    const pending = {
+      id: 'oauth-1',
+      provider_id: 'provider-quickbooks',
+      location_id: 'loc-1',
+      code_verifier: {},
+      return_url: 'https://app.example.com/settings',
+      is_current: true
+    };
+
+    beforeEach(() => {
+      mockQuery.mockResolvedValue({ rows: [pending] });
+      jest.spyOn(IntegrationsService, 'getOAuthClient').mockResolvedValue({ tokenUrl: 'https://auth.example.com/token' });
+      jest.spyOn(IntegrationsService, 'decryptCredentials').mockReturnValue({ verifier: 'v' });
+      jest.spyOn(oauthUtils, 'requestToken').mockResolvedValue({ accessToken: 'at-1', refreshToken: 'rt-1', expiresAt: null });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('stores the tokens and the realmId but no other callback parameters', async () => {
+      const save = jest.spyOn(IntegrationsService, 'saveOAuthIntegration').mockResolvedValue({ id: 'integration-1' });
+
+      const result = await IntegrationsService.completeOAuthConnect({
+        state: 'st', code: 'code-1', realmId: '123', accessToken: 'injected', returnUrl: 'https://evil.example.net'
+      });
+
+      expect(save).toHaveBeenCalledWith(pending, { accessToken: 'at-1', refreshToken: 'rt-1', expiresAt: null, realmId: '123' });
+      expect(result).toEqual({
+        success: true,
+        returnUrl: 'https://app.example.com/settings',
+        providerId: 'provider-quickbooks',
+        integration: { id: 'integration-1' }
+      });
+    });
+
+    it('returns a failure redirect when the integration cannot be saved', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(IntegrationsService, 'saveOAuthIntegration').mockRejectedValue(new Error('deadlock detected'));
+
+      await expect(IntegrationsService.completeOAuthConnect({ state: 'st', code: 'code-1' })).resolves.toEqual({
+        success: false,
+        returnUrl: 'https://app.example.com/settings',
+        providerId: 'provider-quickbooks',
+        error: 'The connection could not be saved. Please try again.'
+      });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Order Pricing Unit Tests
+ * Modifier group rules, price deltas, combos, promotions, sales tax and ingredient usage
+ */
+
+const { priceOrderLine, promotionDiscount, salesTax, ingredientUsage } = require('../../src/utils/orderPricing');
+
+const modifier = (id, name, price, extra = {}) => ({
+  id, name, price_adjustment: price, max_quantity: 1, is_default: false, ...extra
+});
+
+const buildCatalog = () => ({
+  items: new Map([
+    ['burger', { id: 'burger', name: 'Burger', price: 8, is_combo: false }],
+    ['fries', { id: 'fries', name: 'Fries', price: 3, is_combo: false }],
+    ['rings', { id: 'rings', name: 'Onion Rings', price: 4, is_combo: false }],
+    ['meal', { id: 'meal', name: 'Burger Meal', price: 11, is_combo: true }]
+  ]),
+  groupsByItem: new Map([
+    ['burger', [
+      {
+        id: 'g-cheese',
+        name: 'Cheese',
+        min_selections: 1,
+        max_selections: 1,
+        modifiers: [
+          modifier('m-american', 'American', 0, { is_default: true }),
+          modifier('m-swiss', 'Swiss', 0.5)
+        ]
+      },
+      {
+        id: 'g-toppings',
+        name: 'Toppings',
+        min_selections: 0,
+        max_selections: 3,
+        modifiers: [
+          modifier('m-bacon', 'Bacon', 1.5, { max_quantity: 2 }),
+          modifier('m-no-onion', 'No Onion', 0)
+        ]
+      }
+    ]]
+  ]),
+  directByItem: new Map([
+    ['fries', [modifier('m-large', 'Large', 1)]]
+  ]),
+  componentsByItem: new Map([
+    ['meal', [
+      {
+        id: 'c-main',
+        name: 'Main',
+        min_selections: 1,
+        max_selections: 1,
+        options: [{ menu_item_id: 'burger', name: 'Burger', price_delta: 0, is_default: true }]
+      },
+      {
+        id: 'c-side',
+        name: 'Side',
+        min_selections: 1,
+        max_selections: 1,
+        options: [
+          { menu_item_id: 'fries', name: 'Fries', price_delta: 0, is_default: true },
+          { menu_item_id: 'rings', name: 'Onion Rings', price_delta: 1.25, is_default: false }
+        ]
+      }
+    ]]
+  ])
+});
+
+describe('orderPricing', () => {
+  describe('priceOrderLine', () => {
+    it('adds modifier deltas and applies group defaults', () => {
+      const line = priceOrderLine({
+        menu_item_id: 'burger',
+        quantity: 2,
+        modifiers: [{ modifier_id: 'm-bacon', quantity: 2 }]
+      }, buildCatalog());
+
+      expect(line.unit_price).toBe(11);
+      expect(line.subtotal).toBe(22);
+      expect(line.modifiers.map(selected => selected.modifier_id)).toEqual(['m-bacon', 'm-american']);
+    });
+
+    it('enforces group min/max and per-modifier quantity limits', () => {
+      const catalog = buildCatalog();
+      expect(() => priceOrderLine({
+        menu_item_id: 'burger',
+        modifiers: ['m-american', 'm-swiss']
+      }, catalog)).toThrow('choose at most 1 from Cheese');
+      expect(() => priceOrderLine({
+        menu_item_id: 'burger',
+        modifiers: [{ modifier_id: 'm-bacon', quantity: 3 }]
+      }, catalog)).toThrow('at most 2 time(s)');
+
+      catalog.groupsByItem.get('burger')[0].modifiers[0].is_default = false;
+      expect(() => priceOrderLine({ menu_item_id: 'burger' }, catalog))
+        .toThrow('choose at least 1 from Cheese');
+    });
+
+    it('rejects modifiers not offered on the item', () => {
+      expect(() => priceOrderLine({ menu_item_id: 'burger', modifiers: ['m-large'] }, buildCatalog()))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('prices combos with component deltas and component modifiers', () => {
+      const line = priceOrderLine({
+        menu_item_id: 'meal',
+        components: [
+          { component_id: 'c-main', menu_item_id: 'burger', modifiers: ['m-swiss'] },
+          { component_id: 'c-side', menu_item_id: 'rings' }
+        ]
+      }, buildCatalog());
+
+      expect(line.unit_price).toBe(12.75);
+      expect(line.components.map(component => component.menu_item_id)).toEqual(['burger', 'rings']);
+    });
+
+    it('fills combo components with defaults and rejects foreign options', () => {
+      const catalog = buildCatalog();
+      expect(priceOrderLine({ menu_item_id: 'meal' }, catalog).components.map(component => component.menu_item_id))
+        .toEqual(['burger', 'fries']);
+      expect(() => priceOrderLine({
+        menu_item_id: 'meal',
+        components: [{ component_id: 'c-side', menu_item_id: 'burger' }]
+      }, catalog)).toThrow('not an option for Side');
+      expect(() => priceOrderLine({
+        menu_item_id: 'fries',
+        components: [{ component_id: 'c-side', menu_item_id: 'rings' }]
+      }, catalog)).toThrow('Fries is not a combo');
+    });
+  });
+
+  describe('ingredientUsage', () => {
+    const recipes = new Map([
+      ['burger', {
+        yield_quantity: 1,
+        ingredients: [
+          { inventory_item_id: 'inv-patty', ingredient_name: 'Patty', quantity: '1', unit: 'ea' },
+          { inventory_item_id: 'inv-onion', ingredient_name: 'Onion', quantity: '0.05', unit: 'lb' }
+        ]
+      }],
+      ['fries', {
+        yield_quantity: 4,
+        ingredients: [{ inventory_item_id: 'inv-potato', ingredient_name: 'Potato', quantity: '2', unit: 'lb' }]
+      }]
+    ]);
+    const modifierIngredients = new Map([
+      ['m-bacon', [{ inventory_item_id: 'inv-bacon', ingredient_name: 'Bacon', quantity: '2', unit: 'slice' }]],
+      ['m-no-onion', [{ inventory_item_id: 'inv-onion', ingredient_name: 'Onion', quantity: '-0.05', unit: 'lb' }]]
+    ]);
+
+    it('scales recipes by yield and applies modifier additions and removals', () => {
+      const usage = ingredientUsage([
+        {
+          menu_item_id: 'burger',
+          quantity: 2,
+          modifiers: [{ modifier_id: 'm-bacon', quantity: 1 }, { modifier_id: 'm-no-onion', quantity: 1 }]
+        },
+        { menu_item_id: 'fries', quantity: 2, modifiers: [] }
+      ], recipes, modifierIngredients);
+
+      expect(usage).toEqual([
+        { inventory_item_id: 'inv-patty', ingredient_name: 'Patty', unit: 'ea', quantity: 2 },
+        { inventory_item_id: 'inv-bacon', ingredient_name: 'Bacon', unit: 'slice', quantity: 4 },
+        { inventory_item_id: 'inv-potato', ingredient_name: 'Potato', unit: 'lb', quantity: 1 }
+      ]);
+    });
+
+    it('includes combo component recipes', () => {
+      const usage = ingredientUsage([{
+        menu_item_id: 'meal',
+        quantity: 1,
+        modifiers: [],
+        components: [
+          { menu_item_id: 'burger', modifiers: [] },
+          { menu_item_id: 'fries', modifiers: [] }
+        ]
+      }], recipes, modifierIngredients);
+
+      expect(usage.map(ingredient => [ingredient.inventory_item_id, ingredient.quantity])).toEqual([
+        ['inv-patty', 1],
+        ['inv-onion', 0.05],
+        ['inv-potato', 0.5]
+      ]);
+    });
+  });
+
+  describe('promotionDiscount', () => {
+    const lines = [
+      { menu_item_id: 'burger', quantity: 2, unit_price: 8 },
+      { menu_item_id: 'fries', quantity: 1, unit_price: 3 }
+    ];
+    const promo = (type, extra = {}) => ({ promotion_code: 'SAVE', promotion_type: type, ...extra });
+
+    it('applies percentage and fixed discounts up to the subtotal', () => {
+      expect(promotionDiscount(promo('percentage_off', { discount_percentage: '15.00' }), lines, 19)).toBe(2.85);
+      expect(promotionDiscount(promo('fixed_amount', { discount_amount: '5.00' }), lines, 19)).toBe(5);
+      expect(promotionDiscount(promo('fixed_amount', { discount_amount: '9999' }), lines, 19)).toBe(19);
+    });
+
+    it('takes one qualifying unit off for free-item and BOGO promotions', () => {
+      expect(promotionDiscount(promo('free_item', { free_item_id: 'fries' }), lines, 19)).toBe(3);
+      expect(promotionDiscount(promo('bogo'), lines, 19)).toBe(8);
+      expect(() => promotionDiscount(promo('bogo', { free_item_id: 'fries' }), lines, 19))
+        .toThrow('The order has no item promotion SAVE applies to');
+      expect(() => promotionDiscount(promo('loyalty_bonus'), lines, 19)).toThrow('cannot be used on online orders');
+    });
+  });
+
+  describe('salesTax', () => {
+    it('adds simple rates and compounds compound ones', () => {
+      expect(salesTax(19.98, [{ tax_rate: '0.0800', is_compound: false }])).toBe(1.6);
+      expect(salesTax(100, [
+        { tax_rate: '0.0500', is_compound: false },
+        { tax_rate: '0.0300', is_compound: false },
+        { tax_rate: '0.1000', is_compound: true }
+      ])).toBe(18.8);
+      expect(salesTax(100, [])).toBe(0);
+    });
+  });
+});
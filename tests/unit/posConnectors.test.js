@@ -0,0 +1,187 @@
+/**
+ * POS Connector Unit Tests
+ * Paging, fixture transport and field mapping for Square, Toast and QuickBooks
+ */
+
+const path = require('path');
+const config = require('../../src/config/app');
+const { createConnector, hasConnector } = require('../../src/services/connectors');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/connectors');
+
+const buildIntegration = (providerId, settings = {}) => ({
+  id: 'integration-test',
+  location_id: 'loc-1',
+  provider_id: providerId,
+  location_timezone: 'America/New_York',
+  config: { mode: 'fixture', ...settings }
+});
+
+const collect = async (connector, resource) => {
+  const records = [];
+  for await (const page of connector.fetchPages(resource)) {
+    page.forEach(raw => records.push(connector.mapRecord(resource, raw)));
+  }
+  return records;
+};
+
+describe('POS connectors', () => {
+  const originalFixtureDir = config.integrations.fixtureDir;
+
+  beforeAll(() => {
+    config.integrations.fixtureDir = FIXTURE_DIR;
+  });
+
+  afterAll(() => {
+    config.integrations.fixtureDir = originalFixtureDir;
+  });
+
+  it('registers the Square, Toast and QuickBooks connectors', () => {
+    expect(hasConnector('provider-square')).toBe(true);
+    expect(hasConnector('provider-toast')).toBe(true);
+    expect(hasConnector('provider-quickbooks')).toBe(true);
+    expect(createConnector(buildIntegration('provider-gusto'))).toBeNull();
+  });
+
+  describe('Square', () => {
+    const connector = createConnector(buildIntegration('provider-square'), { accessToken: 'token' });
+
+    it('follows page cursors and maps orders', async () => {
+      const sales = await collect(connector, 'sales');
+
+      expect(sales.map(sale => sale.externalId)).toEqual(['sq-order-1', 'sq-order-2']);
+      expect(sales[0]).toMatchObject({
+        netSales: 23.97,
+        grossSales: 23.97,
+        taxAmount: 1.9,
+        tips: 3,
+        paymentMethods: { card: 28.87 }
+      });
+      expect(sales[0].lineItems[0]).toMatchObject({ name: 'Classic Burger', quantity: 2, revenue: 19.98 });
+      expect(sales[1]).toMatchObject({ netSales: 4, grossSales: 4.5, discounts: 0.5 });
+    });
+
+    it('maps shifts with unpaid breaks and wage', async () => {
+      const [shift] = await collect(connector, 'labor');
+
+      expect(shift).toMatchObject({
+        externalId: 'sq-shift-1',
+        employeeExternalId: 'TM-ALICE',
+        breakMinutes: 30,
+        hourlyRate: 18,
+        position: 'Line Cook'
+      });
+    });
+
+    it('re-reads shifts started within the lookback so open shifts are picked up once closed', () => {
+      const since = '2024-03-06T12:00:00.000Z';
+
+      expect(connector.buildRequest('labor', { since }).body.query.filter.start)
+        .toEqual({ start_at: '2024-03-04T12:00:00.000Z' });
+      expect(createConnector(buildIntegration('provider-square', { shiftLookbackHours: 12 }), { accessToken: 'token' })
+        .buildRequest('labor', { since }).body.query.filter.start)
+        .toEqual({ start_at: '2024-03-06T00:00:00.000Z' });
+      expect(connector.buildRequest('labor', {}).body.query.filter.start).toBeUndefined();
+    });
+
+    it('uses the location timezone for sale dates', () => {
+      // 02:31 UTC on Mar 6 is still Mar 5 in New York
+      expect(connector.localDateParts('2024-03-06T02:31:00Z')).toEqual({ date: '2024-03-05', hour: 21 });
+    });
+  });
+
+  describe('Toast', () => {
+    const connector = createConnector(buildIntegration('provider-toast'), { accessToken: 'token' });
+
+    it('excludes voided checks and selections from sales', async () => {
+      const [order] = await collect(connector, 'sales');
+
+      expect(order).toMatchObject({
+        externalId: 'toast-order-1',
+        netSales: 32.5,
+        grossSales: 35,
+        discounts: 2.5,
+        taxAmount: 2.6,
+        tips: 6,
+        voids: 9,
+        guestCount: 3,
+        paymentMethods: { credit: 35.1 }
+      });
+      expect(order.lineItems.map(item => item.name)).toEqual(['Classic Burger', 'Onion Rings']);
+    });
+
+    it('flags deleted time entries', async () => {
+      const entries = await collect(connector, 'labor');
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({ externalId: 'toast-time-1', hourlyRate: 15.5, deleted: false });
+      expect(entries[1].deleted).toBe(true);
+    });
+
+    it('requests the next page only when a page is full', () => {
+      const records = new Array(connector.pageSize).fill({});
+      expect(connector.parseResponse('sales', records, { pageCursor: null }).nextPageCursor).toBe(2);
+      expect(connector.parseResponse('sales', [{}], { pageCursor: 2 }).nextPageCursor).toBeNull();
+    });
+  });
+
+  describe('QuickBooks', () => {
+    const connector = createConnector(
+      buildIntegration('provider-quickbooks', { realmId: '123' }),
+      { accessToken: 'token' }
+    );
+
+    it('maps sales receipts using the transaction date', async () => {
+      const [receipt] = await collect(connector, 'sales');
+
+      expect(receipt).toMatchObject({
+        externalId: '145',
+        saleDate: '2024-03-05',
+        grossSales: 55,
+        netSales: 50,
+        discounts: 5,
+        taxAmount: 4,
+        paymentMethods: { cash: 54 }
+      });
+      expect(receipt.lineItems).toHaveLength(2);
+    });
+
+    it('anchors duration-only time activities on the transaction date', async () => {
+      const [activity] = await collect(connector, 'labor');
+
+      expect(activity).toMatchObject({
+        externalId: '88',
+        employeeExternalId: '55',
+        shiftDate: '2024-03-05',
+        breakMinutes: 30,
+        hourlyRate: 20,
+        clockIn: '2024-03-05T00:00:00.000Z',
+        clockOut: '2024-03-05T10:00:00.000Z'
+      });
+    });
+
+    it('builds incremental queries from the cursor', () => {
+      const request = connector.buildRequest('sales', { pageCursor: 101, since: '2024-03-01T00:00:00Z' });
+
+      expect(request.path).toBe('/v3/company/123/query');
+      expect(request.params.query).toContain("WHERE MetaData.LastUpdatedTime > '2024-03-01T00:00:00.000Z'");
+      expect(request.params.query).toContain('STARTPOSITION 101');
+    });
+  });
+
+  it('tracks the latest updatedAt as the high-water mark', () => {
+    const connector = createConnector(buildIntegration('provider-square'));
+    const mark = connector.highWaterMark([
+      { updatedAt: '2024-03-05T10:00:00Z' },
+      { updatedAt: '2024-03-06T10:00:00Z' },
+      { updatedAt: null }
+    ], '2024-03-01T00:00:00Z');
+
+    expect(mark).toBe('2024-03-06T10:00:00Z');
+  });
+
+  it('rejects fixture sets outside the fixture directory', () => {
+    const connector = createConnector(buildIntegration('provider-square', { fixtureSet: '../etc' }));
+    expect(() => connector.readFixture('sales', null)).toThrow('Invalid fixture set');
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Realtime Room Unit Tests
+ * Room naming, subscription validation and location checks
+ */
+
+const { roomName, normalizeRoom, isLocationAllowed } = require('../../src/utils/realtimeRooms');
+
+describe('realtimeRooms', () => {
+  it('names rooms by type and id', () => {
+    expect(roomName('location', 'loc-1')).toBe('location:loc-1');
+  });
+
+  it('normalizes valid subscriptions', () => {
+    expect(normalizeRoom('task', 42)).toEqual({ roomType: 'task', roomId: '42' });
+  });
+
+  it('rejects unknown room types and malformed ids', () => {
+    expect(() => normalizeRoom('admin', 'x')).toThrow('Unknown room type');
+    expect(() => normalizeRoom('location', '')).toThrow('Invalid room id');
+    expect(() => normalizeRoom('location', 'loc 1; drop')).toThrow('Invalid room id');
+  });
+
+  it('allows corporate users every location and others only their own', () => {
+    expect(isLocationAllowed(null, 'loc-9')).toBe(true);
+    expect(isLocationAllowed(['loc-1', 'loc-2'], 'loc-2')).toBe(true);
+    expect(isLocationAllowed(['loc-1'], 'loc-2')).toBe(false);
+    expect(isLocationAllowed(null, null)).toBe(false);
+  });
+});
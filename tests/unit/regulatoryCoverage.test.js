@@ -0,0 +1,87 @@
+/**
+ * Regulatory Coverage Unit Tests
+ * Jurisdiction matching, inspection outcomes and location coverage reports
+ */
+
+const {
+  requirementAppliesTo,
+  requirementOutcomes,
+  buildCoverageReport
+} = require('../../src/utils/regulatoryCoverage');
+
+const LOCATION = { id: 'loc-1', state: 'CA', county: 'Los Angeles', city: 'Pasadena' };
+
+const REQUIREMENTS = [
+  { id: 'req-hold', code: '3-501.16', title: 'Hot and cold holding', regulatory_body: 'FDA', jurisdiction_level: 'federal' },
+  { id: 'req-date', code: '3-501.17', title: 'Date marking', regulatory_body: 'FDA', jurisdiction_level: 'federal' },
+  { id: 'req-grade', code: '8.04.225', title: 'Grade card posting', regulatory_body: 'LA County DPH', jurisdiction_level: 'county', state: 'CA', county: 'Los Angeles' },
+  { id: 'req-tx', code: '228.75', title: 'Texas food handler', regulatory_body: 'Texas DSHS', jurisdiction_level: 'state', state: 'TX' },
+  { id: 'req-pests', code: '6-501.111', title: 'Controlling pests', regulatory_body: 'FDA', jurisdiction_level: 'federal' }
+];
+
+const MAPPINGS = [
+  { requirement_id: 'req-hold', checklist_item_id: 'item-temp', item_text: 'Food at proper temperatures', checklist_id: 'cl-health', checklist_name: 'Health', checklist_location_id: null, checklist_active: true },
+  { requirement_id: 'req-date', checklist_item_id: 'item-date', item_text: 'Date marking', checklist_id: 'cl-health', checklist_name: 'Health', checklist_location_id: null, checklist_active: true },
+  { requirement_id: 'req-grade', checklist_item_id: 'item-grade', item_text: 'Grade card posted', checklist_id: 'cl-other', checklist_name: 'Other store', checklist_location_id: 'loc-2', checklist_active: true },
+  { requirement_id: 'req-pests', checklist_item_id: 'item-pests', item_text: 'No pests', checklist_id: 'cl-health', checklist_name: 'Health', checklist_location_id: null, checklist_active: true }
+];
+
+describe('regulatoryCoverage', () => {
+  it('applies requirements by jurisdiction and location', () => {
+    expect(requirementAppliesTo(REQUIREMENTS[0], LOCATION)).toBe(true);
+    expect(requirementAppliesTo(REQUIREMENTS[2], LOCATION)).toBe(true);
+    expect(requirementAppliesTo(REQUIREMENTS[2], { ...LOCATION, county: 'Orange' })).toBe(false);
+    expect(requirementAppliesTo(REQUIREMENTS[3], LOCATION)).toBe(false);
+    expect(requirementAppliesTo({ jurisdiction_level: 'city', state: 'ca', city: 'pasadena' }, LOCATION)).toBe(true);
+    expect(requirementAppliesTo({ location_id: 'loc-2' }, LOCATION)).toBe(false);
+    expect(requirementAppliesTo({ ...REQUIREMENTS[0], is_active: false }, LOCATION)).toBe(false);
+  });
+
+  it('derives requirement outcomes from inspection responses', () => {
+    const outcomes = requirementOutcomes(
+      [
+        { checklist_item_id: 'item-temp', is_compliant: true },
+        { checklist_item_id: 'item-date', is_compliant: false },
+        { checklist_item_id: 'item-pests', is_compliant: null }
+      ],
+      [...MAPPINGS, { requirement_id: 'req-hold', checklist_item_id: 'item-date' }]
+    );
+
+    expect(outcomes).toEqual([
+      { requirement_id: 'req-hold', outcome: 'not_met', checklist_item_ids: ['item-temp', 'item-date'] },
+      { requirement_id: 'req-date', outcome: 'not_met', checklist_item_ids: ['item-date'] }
+    ]);
+  });
+
+  it('reports uncovered, covered, proven and breached requirements for a location', () => {
+    const report = buildCoverageReport(LOCATION, REQUIREMENTS, MAPPINGS, {
+      lastInspections: new Map([
+        ['req-hold', { inspection_id: 'insp-1', outcome: 'met', completed_at: '2026-10-01' }],
+        ['req-date', { inspection_id: 'insp-1', outcome: 'met', completed_at: '2026-10-01' }]
+      ]),
+      openViolations: new Map([['req-date', 1]])
+    });
+
+    expect(report.requirements.map(row => [row.requirement_id, row.status])).toEqual([
+      ['req-hold', 'proven'],
+      ['req-date', 'breached'],
+      ['req-grade', 'uncovered'],
+      ['req-pests', 'covered']
+    ]);
+    expect(report.summary).toEqual({
+      total: 4,
+      covered: 3,
+      uncovered: 1,
+      proven: 1,
+      breached: 1,
+      coverage_percent: 75
+    });
+  });
+
+  it('ignores checklists that are inactive', () => {
+    const inactive = MAPPINGS.map(mapping => ({ ...mapping, checklist_active: false }));
+    const report = buildCoverageReport(LOCATION, REQUIREMENTS.slice(0, 1), inactive);
+    expect(report.requirements[0].status).toBe('uncovered');
+    expect(report.summary.coverage_percent).toBe(0);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Reporting Service Unit Tests
+ * Parameter validation, table and chart building, rendering with the cache,
+ * location checks and the /reports routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const ReportingService = require('../../src/services/ReportingService');
+const EnhancedAnalyticsService = require('../../src/services/EnhancedAnalyticsService');
+const LocationService = require('../../src/services/LocationService');
+const reportsRouter = require('../../src/routes/reports');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const createApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/reports', reportsRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+const template = {
+  id: 'tpl-1',
+  name: 'Weekly sales',
+  category: 'sales',
+  data_source: 'sales_daily',
+  parameters: { startDate: { default: '2025-01-01' } },
+  columns: [{ key: 'date', label: 'Day' }, 'net_sales'],
+  output_format: 'chart',
+  chart_config: { type: 'line', x: 'date', y: ['net_sales'] },
+  is_public: true,
+  location_id: 'loc-1',
+  created_by: 'u-owner'
+};
+
+describe('ReportingService', () => {
+  beforeEach(() => {
+    mockQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveParameters', () => {
+    it('applies request values, then template defaults, then data source defaults', () => {
+      const resolved = ReportingService.resolveParameters(
+        'sales_daily',
+        { startDate: { default: '2025-01-01' } },
+        { locationId: 'loc-1', endDate: '2025-01-31T10:00:00Z' }
+      );
+
+      expect(resolved).toEqual({ locationId: 'loc-1', startDate: '2025-01-01', endDate: '2025-01-31' });
+    });
+
+    it('resolves relative dates and coerces numbers', () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const weekAgo = new Date(Date.now() - 7 * 86400000).toISOString().slice(0, 10);
+
+      expect(ReportingService.resolveParameters('sales_daily', {}, { locationId: 'l', startDate: '-7d' }))
+        .toEqual({ locationId: 'l', startDate: weekAgo, endDate: today });
+      expect(ReportingService.resolveParameters('food_cost_trend', {}, { locationId: 'l', months: '3' }))
+        .toEqual({ locationId: 'l', months: 3 });
+    });
+
+    it('reports every invalid parameter at once with a 400', () => {
+      let error;
+      try {
+        ReportingService.resolveParameters('food_cost_trend', {}, { months: 'many' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.status).toBe(400);
+      expect(error.message).toBe('Invalid report parameters: locationId is required; months must be a number');
+
+      expect(() => ReportingService.resolveParameters('kpi_summary', {}, { locationId: 'l', period: '2w' }))
+        .toThrow('period must be one of: 24h, 7d, 30d, 90d, mtd, qtd, ytd');
+      expect(() => ReportingService.resolveParameters('sales_daily', {}, { locationId: 'l', startDate: 'soon' }))
+        .toThrow('startDate must be a valid date');
+      expect(() => ReportingService.resolveParameters('nope')).toThrow('Unknown data source: nope');
+    });
+  });
+
+  describe('building tables and charts', () => {
+    const rows = [
+      { date: '2025-01-02', shift: 'am', net_sales: '100.5', note: 'x' },
+      { date: '2025-01-01', shift: 'pm', net_sales: 80, note: null },
+      { date: '2025-01-01', shift: 'am', net_sales: 20, note: 'y' }
+    ];
+
+    it('infers column types and honours configured labels', () => {
+      expect(ReportingService.buildColumns(rows, [{ key: 'date', label: 'Day' }, 'net_sales'])).toEqual([
+        { key: 'date', label: 'Day', type: 'date' },
+        { key: 'net_sales', label: 'Net Sales', type: 'number' }
+      ]);
+      expect(ReportingService.buildColumns(rows).map(column => column.type)).toEqual(['date', 'string', 'number', 'string']);
+    });
+
+    it('sums y values per x label and sorts time series', () => {
+      expect(ReportingService.buildChartSeries(rows, { type: 'line', x: 'date', y: ['net_sales'] })).toEqual({
+        type: 'line',
+        labels: ['2025-01-01', '2025-01-02'],
+        series: [{ name: 'net_sales', data: [100, 100.5] }]
+      });
+    });
+
+    it('splits series by group and keeps one series for pie charts', () => {
+      const grouped = ReportingService.buildChartSeries(rows, { type: 'bar', x: 'date', y: 'net_sales', groupBy: 'shift', sort: 'asc' });
+      expect(grouped.series).toEqual([
+        { name: 'am', data: [20, 100.5] },
+        { name: 'pm', data: [80, 0] }
+      ]);
+
+      expect(ReportingService.buildChartSeries(rows, { type: 'pie', x: 'shift', y: ['net_sales', 'note'] }).series)
+        .toHaveLength(1);
+      expect(ReportingService.buildChartSeries(rows, { type: 'table', x: 'date', y: ['net_sales'] })).toBeNull();
+    });
+
+    it('builds stable cache keys regardless of parameter order', () => {
+      expect(ReportingService.buildCacheKey('chart', 'c1', 'waste', { b: 1, a: 2 }))
+        .toBe(ReportingService.buildCacheKey('chart', 'c1', 'waste', { a: 2, b: 1 }));
+      expect(ReportingService.buildCacheKey('chart', 'c1', 'waste', {})).toMatch(/^chart:c1:waste:[0-9a-f]{32}$/);
+    });
+  });
+
+  describe('location access', () => {
+    it('limits scoped callers to their locations and cross-location sources to unrestricted ones', async () => {
+      jest.spyOn(LocationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+      const user = { id: 'u1', role: 'manager' };
+
+      await expect(ReportingService.assertLocationAccess('sales_daily', { locationId: 'loc-1' }, user)).resolves.toBeUndefined();
+      await expect(ReportingService.assertLocationAccess('sales_daily', { locationId: 'loc-2' }, user))
+        .rejects.toMatchObject({ status: 403 });
+      await expect(ReportingService.assertLocationAccess('location_comparison', {}, user))
+        .rejects.toMatchObject({ status: 403 });
+
+      LocationService.getAccessibleLocationIds.mockResolvedValue(null);
+      await expect(ReportingService.assertLocationAccess('location_comparison', {}, { id: 'corp', role: 'corporate' }))
+        .resolves.toBeUndefined();
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('renders from the data source on a cache miss and caches the result', async () => {
+      jest.spyOn(LocationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+      const fetch = jest.spyOn(EnhancedAnalyticsService, 'getSalesReport').mockResolvedValue({
+        dailyBreakdown: [{ date: new Date('2025-01-01T00:00:00Z'), net_sales: 10, guests: 3 }]
+      });
+      mockQuery.mockImplementation(async (sql) => (
+        sql.startsWith('SELECT * FROM report_templates') ? { rows: [template] } : { rows: [], rowCount: 0 }
+      ));
+
+      const rendered = await ReportingService.renderTemplate('tpl-1', { endDate: '2025-01-07' }, { user: { id: 'u1' } });
+
+      expect(fetch).toHaveBeenCalledWith('loc-1', '2025-01-01', '2025-01-07');
+      expect(rendered).toMatchObject({
+        template: { id: 'tpl-1', name: 'Weekly sales', outputFormat: 'chart' },
+        cached: false,
+        rowCount: 1,
+        table: { rows: [{ date: '2025-01-01T00:00:00.000Z', net_sales: 10 }] },
+        chart: { type: 'line', labels: ['2025-01-01T00:00:00.000Z'], series: [{ name: 'net_sales', data: [10] }] }
+      });
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO visualization_cache'))).toBe(true);
+    });
+
+    it('serves cached results without fetching and hides private templates from others', async () => {
+      jest.spyOn(LocationService, 'getAccessibleLocationIds').mockResolvedValue(null);
+      const fetch = jest.spyOn(EnhancedAnalyticsService, 'getSalesReport');
+      const cachedAt = new Date('2025-01-08T00:00:00Z');
+      mockQuery.mockImplementation(async (sql) => {
+        if (sql.startsWith('SELECT * FROM report_templates')) return { rows: [template] };
+        if (sql.includes('FROM visualization_cache')) return { rows: [{ data: { rowCount: 4 }, created_at: cachedAt }] };
+        return { rows: [] };
+      });
+
+      const rendered = await ReportingService.renderTemplate('tpl-1', { endDate: '2025-01-07' }, { user: { id: 'u1' } });
+      expect(rendered).toMatchObject({ rowCount: 4, cached: true, cachedAt });
+      expect(fetch).not.toHaveBeenCalled();
+
+      mockQuery.mockResolvedValue({ rows: [{ ...template, is_public: false }] });
+      await expect(ReportingService.renderTemplate('tpl-1', {}, { user: { id: 'u1', role: 'manager' } })).resolves.toBeNull();
+    });
+  });
+
+  describe('routes', () => {
+    it('lists data sources', async () => {
+      const response = await request(createApp({ id: 'u1', role: 'staff' })).get('/reports/data-sources');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.find(source => source.name === 'location_comparison').allLocations).toBe(true);
+    });
+
+    it('requires a managing role, a name and a known data source to create templates', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const staff = createApp({ id: 'u1', role: 'staff' });
+      const manager = createApp({ id: 'u1', role: 'manager' });
+
+      expect((await request(staff).post('/reports/templates').send({ name: 'x', dataSource: 'waste' })).status).toBe(403);
+      expect((await request(manager).post('/reports/templates').send({ name: 'x' })).status).toBe(400);
+
+      const unknown = await request(manager).post('/reports/templates').send({ name: 'x', dataSource: 'nope' });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toMatch(/^Unknown data source: nope/);
+    });
+
+    it('only lets the creator change a template', async () => {
+      mockQuery.mockResolvedValue({ rows: [template] });
+      const update = jest.spyOn(ReportingService, 'updateTemplate').mockResolvedValue(template);
+
+      const other = await request(createApp({ id: 'u2', role: 'manager' })).put('/reports/templates/tpl-1').send({ name: 'y' });
+      expect(other.status).toBe(403);
+      expect(update).not.toHaveBeenCalled();
+
+      const owner = await request(createApp({ id: 'u-owner', role: 'manager' })).put('/reports/templates/tpl-1').send({ name: 'y' });
+      expect(owner.status).toBe(200);
+    });
+
+    it('returns parameter errors from rendering as 400', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockQuery.mockResolvedValue({ rows: [{ ...template, location_id: null }] });
+
+      const response = await request(createApp({ id: 'u1', role: 'manager' }))
+        .post('/reports/templates/tpl-1/render')
+        .send({ parameters: {} });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid report parameters: locationId is required');
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Search Service Unit Tests
+ * Query building, location scoping, the /search routes and the search index
+ * configuration from migrations 026 and 050
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const SearchService = require('../../src/services/SearchService');
+const LocationService = require('../../src/services/LocationService');
+const searchRouter = require('../../src/routes/search');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const taskIndex = {
+  entity_type: 'task',
+  table_name: 'tasks',
+  searchable_columns: ['title', 'description'],
+  weight_config: { title: 'A', description: 'B' },
+  display_columns: { title: ['title'], subtitle: ['description'] },
+  location_column: 'location_id',
+  rank_boost: 1
+};
+
+const createApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/search', searchRouter);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    mockQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('builds prefix-matching tsqueries from free text', () => {
+    expect(SearchService.buildTsQuery('Walk-in  cooler!')).toBe('walk:* & in:* & cooler:*');
+    expect(SearchService.buildTsQuery('  ?! ')).toBeNull();
+    expect(SearchService.buildTsQuery('a b c d e f g h i j k l').split(' & ')).toHaveLength(10);
+  });
+
+  it('only returns rows without a location to unrestricted callers', () => {
+    const sql = SearchService.buildEntityQuery(taskIndex).replace(/\s+/g, ' ');
+
+    expect(sql).toContain("setweight(to_tsvector('english', COALESCE(e.title::text, '')), 'A')");
+    expect(sql).toContain('AND (q.location_ids IS NULL OR e.location_id = ANY(q.location_ids))');
+    expect(sql).not.toContain('e.location_id IS NULL');
+
+    const unscoped = SearchService.buildEntityQuery({ ...taskIndex, location_column: null }).replace(/\s+/g, ' ');
+    expect(unscoped).toContain('AND q.location_ids IS NULL');
+  });
+
+  it('leaves out soft-deleted rows for entity types that configure them', () => {
+    const sql = SearchService.buildEntityQuery({ ...taskIndex, excluded_values: { status: ['deleted'] } })
+      .replace(/\s+/g, ' ');
+    expect(sql).toContain("AND (e.status IS NULL OR e.status::text <> ALL (ARRAY['deleted']))");
+
+    const unsafe = SearchService.buildEntityQuery({
+      ...taskIndex,
+      excluded_values: { 'status)--': ['deleted'], status: ["x') OR ('1' = '1"] }
+    });
+    expect(unsafe).not.toContain('status');
+    expect(SearchService.buildEntityQuery(taskIndex)).not.toContain('<> ALL');
+  });
+
+  it('rejects index configurations with unsafe identifiers', () => {
+    expect(() => SearchService.buildEntityQuery({ ...taskIndex, table_name: 'tasks; DROP TABLE users' }))
+      .toThrow('invalid entity type or table name');
+    expect(() => SearchService.buildEntityQuery({ ...taskIndex, searchable_columns: ['title)--'] }))
+      .toThrow('no valid searchable columns');
+  });
+
+  it('scopes searches to the locations the caller can reach', async () => {
+    jest.spyOn(LocationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1', 'loc-2']);
+
+    await expect(SearchService.resolveLocationScope({ id: 'u1' })).resolves.toEqual(['loc-1', 'loc-2']);
+    await expect(SearchService.resolveLocationScope({ id: 'u1' }, 'loc-2')).resolves.toEqual(['loc-2']);
+    await expect(SearchService.resolveLocationScope({ id: 'u1' }, 'loc-9')).rejects.toMatchObject({ status: 403 });
+
+    LocationService.getAccessibleLocationIds.mockResolvedValue(null);
+    await expect(SearchService.resolveLocationScope({ id: 'corp' })).resolves.toBeNull();
+  });
+
+  it('passes the tsquery, location scope and paging to the search query', async () => {
+    jest.spyOn(LocationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [taskIndex] })
+      .mockResolvedValueOnce({
+        rows: [{
+          entity_type: 'task', entity_id: 't1', title: 'Clean cooler', subtitle: null, location_id: 'loc-1',
+          rank: '0.5', created_at: null, total_count: '1', type_counts: { task: 1 }
+        }]
+      });
+
+    const result = await SearchService.search('cooler', { limit: 500, recordHistory: false }, { id: 'u1' });
+
+    expect(mockQuery.mock.calls[1][1]).toEqual(['cooler:*', ['loc-1'], 100, 0]);
+    expect(result).toMatchObject({
+      total: 1,
+      counts: { task: 1 },
+      limit: 100,
+      results: [{ entityType: 'task', entityId: 't1', title: 'Clean cooler', locationId: 'loc-1', rank: 0.5 }]
+    });
+  });
+
+  describe('routes', () => {
+    it('requires a query and passes parsed entity types through', async () => {
+      const spy = jest.spyOn(SearchService, 'search').mockResolvedValue({ results: [], total: 0 });
+      const app = createApp({ id: 'u1', role: 'manager', locationId: 'loc-1' });
+
+      const missing = await request(app).get('/search?q=%20');
+      expect(missing.status).toBe(400);
+
+      const ok = await request(app).get('/search?q=cooler&types=task,%20invoice&locationId=loc-1');
+      expect(ok.status).toBe(200);
+      expect(spy).toHaveBeenCalledWith('cooler', expect.objectContaining({
+        entityTypes: ['task', 'invoice'],
+        locationId: 'loc-1'
+      }), expect.objectContaining({ id: 'u1' }));
+    });
+
+    it('reports location access errors with their status', async () => {
+      jest.spyOn(LocationService, 'getAccessibleLocationIds').mockResolvedValue(['loc-1']);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const app = createApp({ id: 'u1', role: 'manager', locationId: 'loc-1' });
+
+      const response = await request(app).get('/search?q=cooler&locationId=loc-2');
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You do not have access to this location');
+    });
+
+    it('validates and scopes saved searches to their owner', async () => {
+      const create = jest.spyOn(SearchService, 'createSavedSearch').mockResolvedValue({ id: 's1' });
+      jest.spyOn(SearchService, 'deleteSavedSearch').mockResolvedValue(false);
+      const app = createApp({ id: 'u1', role: 'manager' });
+
+      expect((await request(app).post('/search/saved').send({ name: 'Coolers' })).status).toBe(400);
+
+      const created = await request(app).post('/search/saved').send({ name: 'Coolers', query: 'cooler', entityTypes: 'task' });
+      expect(created.status).toBe(201);
+      expect(create).toHaveBeenCalledWith('u1', expect.objectContaining({ entityTypes: ['task'] }));
+
+      expect((await request(app).delete('/search/saved/s2')).status).toBe(404);
+    });
+  });
+
+  it('excludes deleted tasks and archived documents (migration 050)', () => {
+    const sql = fs.readFileSync(
+      path.join(__dirname, '../../src/database/migrations/050_search_soft_delete.sql'),
+      'utf8'
+    );
+    const excluded = Object.fromEntries(
+      [...sql.matchAll(/excluded_values = '([^']+)' WHERE entity_type = '(\w+)'/g)].map(m => [m[2], JSON.parse(m[1])])
+    );
+
+    expect(excluded).toEqual({ task: { status: ['deleted'] }, document: { status: ['archived'] } });
+  });
+
+  describe('migration 026', () => {
+    const sql = fs.readFileSync(
+      path.join(__dirname, '../../src/database/migrations/026_search_index_config.sql'),
+      'utf8'
+    );
+
+    it('gives every configured entity type a location column', () => {
+      const updated = [...sql.matchAll(/location_column = 'location_id'\s+WHERE entity_type = '(\w+)'/g)].map(m => m[1]);
+      const inserted = [...sql.matchAll(/^\('(\w+)', '(\w+)', ARRAY\[/gm)].map(m => m[1]);
+
+      expect(updated.sort()).toEqual(['equipment', 'inventory', 'task', 'user']);
+      expect(inserted.sort()).toEqual(['document', 'invoice', 'menu_item']);
+
+      const insertRows = [...sql.matchAll(/^\('\w+'[\s\S]*?'(\w+)'\)(,|\s*ON CONFLICT)/gm)].map(m => m[1]);
+      expect(insertRows).toEqual(['location_id', 'location_id', 'location_id']);
+    });
+
+    it('only uses identifiers the query builder accepts', () => {
+      for (const [, entityType, tableName, columns] of sql.matchAll(/^\('(\w+)', '(\w+)', ARRAY\[([^\]]+)\]/gm)) {
+        const index = {
+          ...taskIndex,
+          entity_type: entityType,
+          table_name: tableName,
+          searchable_columns: columns.split(',').map(column => column.trim().replace(/'/g, ''))
+        };
+        expect(() => SearchService.buildEntityQuery(index)).not.toThrow();
+      }
+    });
+  });
+});
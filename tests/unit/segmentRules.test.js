@@ -0,0 +1,64 @@
+/**
+ * Segment Rule Unit Tests
+ * Compiling dynamic segment criteria into parameterized SQL
+ */
+
+const { compileSegmentRules } = require('../../src/utils/segmentRules');
+
+describe('segmentRules', () => {
+  it('compiles customer fields with typed placeholders', () => {
+    const { sql, values } = compileSegmentRules({ field: 'loyalty_points', operator: 'gte', value: '500' });
+
+    expect(sql).toBe('c.loyalty_points >= $1::numeric');
+    expect(values).toEqual([500]);
+  });
+
+  it('windows activity aggregates by days and location', () => {
+    const { sql, values } = compileSegmentRules({
+      all: [
+        { field: 'order_count', operator: 'gte', value: 3, within_days: 60, location_id: 'loc-1' },
+        { field: 'avg_order_value', operator: 'gt', value: 25, within_days: 60, location_id: 'loc-1' }
+      ]
+    });
+
+    expect(sql).toContain("(SELECT COUNT(*) FROM online_orders o WHERE o.customer_id = c.id AND o.order_status <> 'cancelled'");
+    expect(sql).toContain('o.placed_at >= NOW() - make_interval(days => $1::integer) AND o.location_id = $2) >= $3::numeric');
+    expect(sql).toContain(' AND (SELECT AVG(o.total_amount)');
+    expect(values).toEqual([60, 'loc-1', 3, 60, 'loc-1', 25]);
+  });
+
+  it('continues numbering after existing parameters', () => {
+    const { sql, values } = compileSegmentRules(
+      { any: [{ field: 'account_status', operator: 'in', value: ['active'] }, { field: 'review_count', operator: 'exists' }] },
+      ['seg-1']
+    );
+
+    expect(sql).toBe("(c.account_status = ANY($2::text[]) OR (SELECT COUNT(*) FROM customer_reviews r WHERE r.customer_id = c.id) IS NOT NULL)");
+    expect(values).toEqual(['seg-1', ['active']]);
+  });
+
+  it('never interpolates rule values into SQL', () => {
+    const { sql } = compileSegmentRules({ field: 'preferred_location_id', operator: 'eq', value: "x'; DROP TABLE customers; --" });
+    expect(sql).toBe('c.preferred_location_id = $1::text');
+  });
+
+  it('rejects unknown fields, operators and invalid windows', () => {
+    expect(() => compileSegmentRules({})).toThrow('at least one rule');
+    expect(() => compileSegmentRules({ field: 'password_hash', value: 'x' })).toThrow('Unknown segment field');
+    expect(() => compileSegmentRules({ field: 'order_count', operator: 'like', value: 1 })).toThrow('Unknown segment operator');
+    expect(() => compileSegmentRules({ field: 'order_count', operator: 'gt', value: 'many' })).toThrow('Expected a number');
+    expect(() => compileSegmentRules({ field: 'points_earned', operator: 'gt', value: 1, location_id: 'loc-1' }))
+      .toThrow('cannot be filtered by location');
+    expect(() => compileSegmentRules({ field: 'order_count', operator: 'gt', value: 1, within_days: -5 }))
+      .toThrow('within_days must be a positive number');
+  });
+
+  it('rejects inherited property names and rules that are not objects', () => {
+    expect(() => compileSegmentRules({ field: 'constructor', value: 1 })).toThrow('Unknown segment field');
+    expect(() => compileSegmentRules({ field: '__proto__', value: 1 })).toThrow('Unknown segment field');
+    expect(() => compileSegmentRules({ field: 'order_count', operator: 'toString', value: 1 }))
+      .toThrow('Unknown segment operator');
+    expect(() => compileSegmentRules({ all: [null] })).toThrow('must be an object');
+    expect(() => compileSegmentRules({ any: [{ field: 'order_count', value: 1 }, 'order_count'] })).toThrow('must be an object');
+  });
+});
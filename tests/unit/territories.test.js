@@ -0,0 +1,81 @@
+/**
+ * Territory Geometry Unit Tests
+ * Postal-code and polygon containment, overlap and delivery zone coverage
+ */
+
+const {
+  normalizePostalCodes,
+  normalizePolygon,
+  territoryContains,
+  territoryOverlap,
+  zoneCoverage
+} = require('../../src/utils/territories');
+
+const square = (x, y, size) => ({
+  type: 'Polygon',
+  coordinates: [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]]
+});
+
+const polygonTerritory = (boundary) => ({ territory_type: 'polygon', boundary_polygon: boundary });
+const zipTerritory = (postalCodes) => ({ territory_type: 'zip_codes', postal_codes: postalCodes });
+
+describe('territories', () => {
+  it('normalizes postal codes and reduces ZIP+4', () => {
+    expect(normalizePostalCodes(['62701-1234', ' 62702', 'k1a 0b1', '62701'])).toEqual(['62701', '62702', 'K1A0B1']);
+    expect(() => normalizePostalCodes('62701')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('rejects malformed boundaries', () => {
+    expect(() => normalizePolygon({ type: 'Point', coordinates: [0, 0] })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => normalizePolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] })).toThrow(/three distinct/);
+  });
+
+  it('locates addresses by postal code or coordinates', () => {
+    expect(territoryContains(zipTerritory(['62701']), { postalCode: '62701-0001' })).toBe(true);
+    expect(territoryContains(zipTerritory(['62701']), { postalCode: '62703' })).toBe(false);
+
+    const territory = polygonTerritory(square(-90, 39, 1));
+    expect(territoryContains(territory, { latitude: '39.5', longitude: '-89.5' })).toBe(true);
+    expect(territoryContains(territory, { latitude: 41, longitude: -89.5 })).toBe(false);
+    expect(territoryContains(territory, { postalCode: '62701' })).toBe(false);
+  });
+
+  it('treats points inside a hole as outside', () => {
+    const donut = {
+      type: 'Polygon',
+      coordinates: [
+        [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+        [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+      ]
+    };
+    expect(territoryContains(polygonTerritory(donut), { latitude: 5, longitude: 5 })).toBe(false);
+    expect(territoryContains(polygonTerritory(donut), { latitude: 2, longitude: 2 })).toBe(true);
+  });
+
+  it('detects overlapping territories but not neighbours sharing a border', () => {
+    expect(territoryOverlap(zipTerritory(['62701', '62702']), zipTerritory(['62702', '62703'])))
+      .toEqual({ overlaps: true, sharedPostalCodes: ['62702'] });
+
+    const base = polygonTerritory(square(0, 0, 2));
+    expect(territoryOverlap(base, polygonTerritory(square(1, 1, 2))).overlaps).toBe(true);
+    expect(territoryOverlap(base, polygonTerritory(square(0.5, 0.5, 1))).overlaps).toBe(true);
+    expect(territoryOverlap(base, polygonTerritory(square(2, 0, 2))).overlaps).toBe(false);
+    expect(territoryOverlap(base, polygonTerritory(square(5, 5, 1))).overlaps).toBe(false);
+  });
+
+  it('does not compare postal-code and polygon territories', () => {
+    expect(territoryOverlap(zipTerritory(['62701']), polygonTerritory(square(0, 0, 1))))
+      .toEqual({ overlaps: false, sharedPostalCodes: [], comparable: false });
+  });
+
+  it('reports full and partial delivery zone coverage', () => {
+    expect(zoneCoverage(zipTerritory(['62701', '62702']), { postal_codes: ['62701'] })).toBe('full');
+    expect(zoneCoverage(zipTerritory(['62701']), { postal_codes: ['62701', '62704'] })).toBe('partial');
+    expect(zoneCoverage(zipTerritory(['62701']), { postal_codes: ['62704'] })).toBeNull();
+
+    const territory = polygonTerritory(square(0, 0, 4));
+    expect(zoneCoverage(territory, { boundary_polygon: square(1, 1, 1) })).toBe('full');
+    expect(zoneCoverage(territory, { boundary_polygon: square(3, 3, 2) })).toBe('partial');
+    expect(zoneCoverage(territory, { boundary_polygon: square(6, 6, 1) })).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Training Service Unit Tests
+ * Certification checks for shift positions (including shifts created already
+ * assigned), reminder thresholds and training status
+ */
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const TrainingService = require('../../src/services/TrainingService');
+const SchedulingService = require('../../src/services/SchedulingService');
+
+describe('TrainingService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('certificationIssues', () => {
+    const requirement = (overrides) => ({
+      program_id: 'prog-1',
+      program_name: 'Food Safety',
+      certification_name: 'ServSafe Food Handler',
+      record_id: 'train-1',
+      expires_on: '2026-12-31',
+      ...overrides
+    });
+
+    it('accepts certificates valid through the shift date', () => {
+      expect(TrainingService.certificationIssues([requirement()], '2026-12-31')).toEqual([]);
+      expect(TrainingService.certificationIssues([requirement({ expires_on: null })], '2030-01-01')).toEqual([]);
+    });
+
+    it('reports expired and missing certificates', () => {
+      const issues = TrainingService.certificationIssues([
+        requirement({ expires_on: '2026-03-01' }),
+        requirement({ program_id: 'prog-2', certification_name: null, program_name: 'Allergen Awareness', record_id: null, expires_on: null })
+      ], '2026-03-02');
+
+      expect(issues).toEqual([
+        { program_id: 'prog-1', certification: 'ServSafe Food Handler', expires_on: '2026-03-01', status: 'expired' },
+        { program_id: 'prog-2', certification: 'Allergen Awareness', expires_on: null, status: 'missing' }
+      ]);
+    });
+  });
+
+  describe('assertShiftCertifications', () => {
+    const shift = { position: 'line_cook', location_id: 'loc-1', shift_date: '2026-03-02' };
+
+    it('refuses shifts the employee is not certified for', async () => {
+      jest.spyOn(TrainingService, 'getShiftCertificationIssues').mockResolvedValue([
+        { program_id: 'prog-1', certification: 'ServSafe Food Handler', expires_on: '2026-03-01', status: 'expired' }
+      ]);
+
+      await expect(TrainingService.assertShiftCertifications('user-1', shift)).rejects.toMatchObject({
+        status: 409,
+        message: 'Cannot assign shift: line_cook requires a valid certification (ServSafe Food Handler expired 2026-03-01)'
+      });
+      expect(TrainingService.getShiftCertificationIssues).toHaveBeenCalledWith('user-1', 'line_cook', 'loc-1', '2026-03-02');
+    });
+
+    it('allows certified employees', async () => {
+      jest.spyOn(TrainingService, 'getShiftCertificationIssues').mockResolvedValue([]);
+      await expect(TrainingService.assertShiftCertifications('user-1', shift)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('creating assigned shifts', () => {
+    const shiftData = {
+      scheduleId: 'sched-1', userId: 'user-1', position: 'line_cook',
+      shiftDate: '2026-03-02', startTime: '09:00', endTime: '17:00'
+    };
+    const inserts = () => mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO shifts'));
+
+    beforeEach(() => {
+      mockQuery.mockImplementation(async (sql) => (
+        sql.includes('FROM schedules') ? { rows: [{ location_id: 'loc-1' }] } : { rows: [] }
+      ));
+    });
+
+    it('checks certifications at the schedule location before inserting', async () => {
+      jest.spyOn(TrainingService, 'getShiftCertificationIssues').mockResolvedValue([
+        { program_id: 'prog-1', certification: 'ServSafe Food Handler', expires_on: null, status: 'missing' }
+      ]);
+
+      await expect(SchedulingService.createShift(shiftData)).rejects.toMatchObject({ status: 409 });
+      expect(TrainingService.getShiftCertificationIssues).toHaveBeenCalledWith('user-1', 'line_cook', 'loc-1', '2026-03-02');
+      expect(inserts()).toHaveLength(0);
+    });
+
+    it('refuses shifts overlapping another of the employee and skips checks for open shifts', async () => {
+      const issues = jest.spyOn(TrainingService, 'getShiftCertificationIssues').mockResolvedValue([]);
+      mockQuery.mockImplementation(async (sql) => (
+        sql.includes('FROM shifts') ? { rows: [{ id: 'shift-0' }] } : { rows: [] }
+      ));
+
+      await expect(SchedulingService.createShift(shiftData))
+        .rejects.toMatchObject({ status: 409, message: 'Cannot assign shift: 1 conflict(s) detected' });
+      expect(inserts()).toHaveLength(0);
+
+      await SchedulingService.createShift({ ...shiftData, userId: null });
+      expect(inserts()).toHaveLength(1);
+      expect(issues).not.toHaveBeenCalled();
+    });
+  });
+
+  it('picks the reminder threshold a certificate has reached', () => {
+    expect(TrainingService.reminderThreshold(45, [30, 7, 1])).toBeNull();
+    expect(TrainingService.reminderThreshold(30, [30, 7, 1])).toBe(30);
+    expect(TrainingService.reminderThreshold(5, [30, 7, 1])).toBe(7);
+    expect(TrainingService.reminderThreshold(0, [30, 7, 1])).toBe(1);
+    expect(TrainingService.reminderThreshold(-2, [30, 7, 1])).toBe(0);
+  });
+
+  it('derives training status from completion, expiry and due date', () => {
+    const today = '2026-03-02';
+    const noProgress = { passed_modules: 0 };
+
+    expect(TrainingService.trainingStatus({ passed: true, certified: false }, noProgress, today)).toBe('completed');
+    expect(TrainingService.trainingStatus(
+      { passed: true, certified: true, certification_expires_at: '2026-03-01' }, noProgress, today
+    )).toBe('expired');
+    expect(TrainingService.trainingStatus({ passed: null, due_date: '2026-02-01' }, noProgress, today)).toBe('overdue');
+    expect(TrainingService.trainingStatus({ passed: null, due_date: null }, { passed_modules: 2 }, today)).toBe('in_progress');
+    expect(TrainingService.trainingStatus({ passed: null, due_date: null }, noProgress, today)).toBe('not_started');
+  });
+});
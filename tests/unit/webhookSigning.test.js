@@ -0,0 +1,102 @@
+/**
+ * Webhook Signing Unit Tests
+ * HMAC signature headers, verification across rotation, retry backoff and
+ * encrypted storage of signing secrets
+ */
+
+const mockQuery = jest.fn();
+jest.mock('../../src/database/pool', () => ({
+  getPool: () => ({ query: mockQuery })
+}));
+
+const IntegrationsService = require('../../src/services/IntegrationsService');
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  generateSecret,
+  secretHint,
+  computeSignature,
+  signatureHeaders,
+  verifySignature,
+  retryDelaySeconds
+} = require('../../src/utils/webhookSigning');
+
+describe('webhookSigning', () => {
+  const body = JSON.stringify({ event: 'task.completed', taskId: 'task-1' });
+  const timestamp = 1760000000;
+  const now = timestamp * 1000;
+
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const headers = signatureHeaders(['whsec_test'], body, timestamp);
+
+    expect(headers[TIMESTAMP_HEADER]).toBe(String(timestamp));
+    expect(headers[SIGNATURE_HEADER]).toBe(`v1=${computeSignature('whsec_test', timestamp, body)}`);
+    expect(computeSignature('whsec_test', timestamp, body)).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateSecret()).toMatch(/^whsec_[0-9a-f]{64}$/);
+  });
+
+  it('verifies against either secret while a rotation is in progress', () => {
+    const headers = signatureHeaders(['whsec_new', 'whsec_old'], body, timestamp);
+    const received = { signature: headers[SIGNATURE_HEADER], timestamp: headers[TIMESTAMP_HEADER], body, now };
+
+    expect(verifySignature('whsec_new', received)).toBe(true);
+    expect(verifySignature('whsec_old', received)).toBe(true);
+    expect(verifySignature('whsec_other', received)).toBe(false);
+    expect(verifySignature('whsec_new', { ...received, body: `${body} ` })).toBe(false);
+  });
+
+  it('rejects stale timestamps', () => {
+    const headers = signatureHeaders(['whsec_test'], body, timestamp);
+    expect(verifySignature('whsec_test', {
+      signature: headers[SIGNATURE_HEADER],
+      timestamp: headers[TIMESTAMP_HEADER],
+      body,
+      now: now + 301 * 1000
+    })).toBe(false);
+  });
+
+  it('backs off exponentially from the base delay up to a cap', () => {
+    expect([1, 2, 3, 4].map(attempt => retryDelaySeconds(60, attempt))).toEqual([60, 120, 240, 480]);
+    expect(retryDelaySeconds(60, 20)).toBe(6 * 60 * 60);
+    expect(retryDelaySeconds(null, 1)).toBe(60);
+  });
+
+  describe('stored secrets', () => {
+    const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+
+    beforeEach(() => {
+      mockQuery.mockImplementation(async (sql, params) => ({ rows: [{ id: params[0], auth_credentials: {} }] }));
+    });
+
+    it('stores signing secrets encrypted and returns only a hint', async () => {
+      const webhook = await IntegrationsService.createWebhook({ name: 'Alerts', url: 'https://example.com/hook', eventTypes: [] });
+      const params = mockQuery.mock.calls[0][1];
+      const stored = JSON.parse(params[13]);
+
+      expect(stored.enc).toBeDefined();
+      expect(params[13]).not.toContain(webhook.secret);
+      expect(params[14]).toBe(secretHint(webhook.secret));
+      expect(IntegrationsService.activeSecrets({ id: webhook.id, secret: stored })).toEqual([webhook.secret]);
+      expect(() => IntegrationsService.activeSecrets({ id: 'webhook-other', secret: stored }))
+        .toThrow('could not be decrypted');
+    });
+
+    it('signs with the previous secret during rotation, including values stored before encryption', async () => {
+      const rotated = await IntegrationsService.rotateWebhookSecret('webhook-1', 24);
+      const stored = JSON.parse(mockQuery.mock.calls[0][1][1]);
+
+      expect(IntegrationsService.activeSecrets({
+        id: 'webhook-1',
+        secret: stored,
+        previous_secret: { secret: 'whsec_old' },
+        previous_secret_expires_at: inAnHour
+      })).toEqual([rotated.secret, 'whsec_old']);
+      expect(IntegrationsService.activeSecrets({
+        id: 'webhook-1',
+        secret: stored,
+        previous_secret: { secret: 'whsec_old' },
+        previous_secret_expires_at: new Date(Date.now() - 1000)
+      })).toEqual([rotated.secret]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Workflow Step Unit Tests
+ * Condition evaluation, delays and branch navigation for marketing workflows
+ */
+
+const {
+  evaluateCondition,
+  getDelayMinutes,
+  resolveNextStep,
+  validateSteps
+} = require('../../src/utils/workflowSteps');
+
+const steps = [
+  { id: 'step-1', step_order: 1, step_type: 'send_email' },
+  { id: 'step-2', step_order: 2, step_type: 'wait', delay_amount: 3, delay_unit: 'days' },
+  { id: 'step-3', step_order: 3, step_type: 'conditional_split' },
+  { id: 'step-5', step_order: 5, step_type: 'send_sms' }
+];
+
+describe('workflowSteps', () => {
+  describe('evaluateCondition', () => {
+    const facts = { order_count: '2', loyalty_tier: 'gold', tags: ['vip'], last_order_at: null };
+
+    it('compares database values loosely', () => {
+      expect(evaluateCondition({ field: 'order_count', operator: 'eq', value: 2 }, facts)).toBe(true);
+      expect(evaluateCondition({ field: 'order_count', operator: 'gte', value: 3 }, facts)).toBe(false);
+    });
+
+    it('supports nested all/any groups', () => {
+      const condition = {
+        all: [
+          { field: 'loyalty_tier', operator: 'in', value: ['gold', 'platinum'] },
+          { any: [{ field: 'tags', operator: 'contains', value: 'vip' }, { field: 'order_count', operator: 'gt', value: 10 }] }
+        ]
+      };
+      expect(evaluateCondition(condition, facts)).toBe(true);
+    });
+
+    it('treats missing facts as unmatched except for negative operators', () => {
+      expect(evaluateCondition({ field: 'last_order_at', operator: 'lt', value: 5 }, facts)).toBe(false);
+      expect(evaluateCondition({ field: 'last_order_at', operator: 'not_exists' }, facts)).toBe(true);
+      expect(evaluateCondition({ field: 'birthday', operator: 'neq', value: 'x' }, facts)).toBe(true);
+    });
+
+    it('rejects unknown operators', () => {
+      expect(() => evaluateCondition({ field: 'order_count', operator: 'like', value: 1 }, facts))
+        .toThrow('Unknown condition operator');
+    });
+  });
+
+  it('converts wait delays to minutes', () => {
+    expect(getDelayMinutes({ delay_amount: 3, delay_unit: 'days' })).toBe(4320);
+    expect(getDelayMinutes({ delay_amount: 2 })).toBe(2);
+    expect(() => getDelayMinutes({ delay_amount: 1, delay_unit: 'fortnights' })).toThrow('Unknown delay unit');
+  });
+
+  describe('resolveNextStep', () => {
+    it('walks steps in order and finishes after the last', () => {
+      expect(resolveNextStep(steps, null).id).toBe('step-1');
+      expect(resolveNextStep(steps, steps[2]).id).toBe('step-5');
+      expect(resolveNextStep(steps, steps[3])).toBeNull();
+    });
+
+    it('jumps to branch targets by step order', () => {
+      expect(resolveNextStep(steps, steps[2], 1).id).toBe('step-1');
+      expect(resolveNextStep(steps, steps[2], 'end')).toBeNull();
+      expect(() => resolveNextStep(steps, steps[2], 4)).toThrow('does not exist');
+    });
+  });
+
+  describe('validateSteps', () => {
+    it('accepts a valid workflow', () => {
+      expect(() => validateSteps([
+        { step_order: 1, step_type: 'wait', delay_amount: 1, delay_unit: 'hours' },
+        { step_order: 2, step_type: 'conditional_split', action_data: { condition: { field: 'x' }, then_step: 3, else_step: 'end' } },
+        { step_order: 3, step_type: 'grant_promotion' }
+      ])).not.toThrow();
+    });
+
+    it('rejects duplicate orders, unknown types and missing branch targets', () => {
+      expect(() => validateSteps([])).toThrow('at least one step');
+      expect(() => validateSteps([
+        { step_order: 1, step_type: 'wait' },
+        { step_order: 1, step_type: 'wait' }
+      ])).toThrow('unique');
+      expect(() => validateSteps([{ step_order: 1, step_type: 'send_fax' }])).toThrow('Unknown step type');
+      expect(() => validateSteps([
+        { step_order: 1, step_type: 'conditional_split', action_data: { condition: { field: 'x' }, then_step: 9 } }
+      ])).toThrow('missing step 9');
+    });
+  });
+});